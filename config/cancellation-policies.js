@@ -0,0 +1,102 @@
+/**
+ * Políticas de cancelación
+ * Cada política define el porcentaje de reembolso según las horas de anticipación,
+ * quién cancela y el motivo de la cancelación (cancellation.reason)
+ */
+
+/**
+ * Políticas disponibles
+ * - tiers: tramos por horas antes del inicio, ordenados de mayor a menor anticipación.
+ *   Se aplica el primer tramo cuyo minHoursBefore se cumpla
+ * - roleOverrides: porcentaje fijo según quién cancela (tiene prioridad sobre motivo y tramos)
+ * - reasonOverrides: porcentaje fijo según el motivo (tiene prioridad sobre los tramos)
+ */
+const CANCELLATION_POLICIES = {
+  flexible: {
+    label: 'Flexible',
+    description: 'Reembolso total hasta 24 horas antes del servicio y del 50% después',
+    tiers: [
+      { minHoursBefore: 24, refundPercentage: 100 },
+      { minHoursBefore: 0, refundPercentage: 50 }
+    ],
+    roleOverrides: {
+      professional: 100
+    },
+    reasonOverrides: {
+      professional_unavailable: 100,
+      weather_conditions: 100,
+      emergency: 100
+    }
+  },
+
+  moderate: {
+    label: 'Moderada',
+    description: 'Reembolso total hasta 72 horas antes, del 50% hasta 24 horas antes y sin reembolso después',
+    tiers: [
+      { minHoursBefore: 72, refundPercentage: 100 },
+      { minHoursBefore: 24, refundPercentage: 50 },
+      { minHoursBefore: 0, refundPercentage: 0 }
+    ],
+    roleOverrides: {
+      professional: 100
+    },
+    reasonOverrides: {
+      professional_unavailable: 100,
+      weather_conditions: 100,
+      emergency: 50
+    }
+  },
+
+  strict: {
+    label: 'Estricta',
+    description: 'Reembolso total hasta 7 días antes, del 50% hasta 48 horas antes y sin reembolso después',
+    tiers: [
+      { minHoursBefore: 168, refundPercentage: 100 },
+      { minHoursBefore: 48, refundPercentage: 50 },
+      { minHoursBefore: 0, refundPercentage: 0 }
+    ],
+    roleOverrides: {
+      professional: 100
+    },
+    reasonOverrides: {
+      professional_unavailable: 100,
+      weather_conditions: 50
+    }
+  }
+};
+
+// Política de las categorías sin política propia (ServiceCategory.cancellationPolicy)
+const DEFAULT_CANCELLATION_POLICY = 'moderate';
+
+/**
+ * Inasistencia del profesional: reembolso total al cliente más una penalización
+ * calculada sobre el valor del servicio. Solo se aplica a la acción report_no_show,
+ * que verifica que ya pasó la hora pactada
+ */
+const NO_SHOW_CONFIG = {
+  action: 'report_no_show',
+  reason: 'professional_no_show',
+  refundPercentage: 100,
+  penaltyPercentage: 20,
+  minPenalty: 20000,       // COP
+  graceMinutes: parseInt(process.env.NO_SHOW_GRACE_MINUTES) || 30 // Espera tras la hora pactada antes de reportar
+};
+
+/**
+ * Obtener la clave de política efectiva
+ * @param {string} professionalPolicy - Política adoptada por el profesional
+ * @param {string} categoryPolicy - Política de la categoría del servicio
+ * @returns {string}
+ */
+function resolvePolicyKey(professionalPolicy, categoryPolicy) {
+  if (professionalPolicy && CANCELLATION_POLICIES[professionalPolicy]) return professionalPolicy;
+  if (categoryPolicy && CANCELLATION_POLICIES[categoryPolicy]) return categoryPolicy;
+  return DEFAULT_CANCELLATION_POLICY;
+}
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  DEFAULT_CANCELLATION_POLICY,
+  NO_SHOW_CONFIG,
+  resolvePolicyKey
+};
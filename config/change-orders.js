@@ -0,0 +1,24 @@
+/**
+ * Configuración de órdenes de cambio
+ * Trabajo adicional que el profesional descubre en sitio: propone ítems con
+ * descripción, monto y fotos mientras el servicio está en progreso, y el cliente
+ * aprueba o rechaza cada ítem desde la app o desde el chat
+ */
+
+const CHANGE_ORDER_ITEM_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Resultado del cobro de los ítems aprobados: aumento de la autorización pendiente
+// de captura o, si el pago ya se capturó (reserva inmediata), cobro aparte
+const CHANGE_ORDER_AUTHORIZATION_STATUSES = ['increased', 'charged', 'not_required', 'failed'];
+
+const CHANGE_ORDER_CONFIG = {
+  maxItemsPerOrder: 10,
+  maxPhotosPerItem: 3,
+  maxFileBytes: 10 * 1024 * 1024
+};
+
+module.exports = {
+  CHANGE_ORDER_ITEM_STATUSES,
+  CHANGE_ORDER_AUTHORIZATION_STATUSES,
+  CHANGE_ORDER_CONFIG
+};
@@ -0,0 +1,28 @@
+/**
+ * Configuración del cierre de servicios
+ * El profesional envía el acta de finalización (resumen, fotos, materiales y
+ * ajustes de costo) y el cliente la confirma o la impugna dentro del plazo;
+ * sin respuesta se confirma automáticamente
+ */
+
+// Estados del acta de finalización
+const COMPLETION_SIGN_OFF_STATUSES = ['submitted', 'confirmed', 'auto_confirmed', 'contested'];
+
+// Resultado de la captura del pago al confirmar (partial: el costo final superó
+// lo autorizado y no se pudo ampliar la autorización)
+const COMPLETION_CAPTURE_STATUSES = ['captured', 'partial', 'not_required', 'failed'];
+
+const COMPLETION_CONFIG = {
+  confirmationWindowHours: parseInt(process.env.COMPLETION_CONFIRMATION_HOURS) || 48, // Plazo del cliente
+  maxPhotosPerSet: 10,             // Fotos de antes y de después (cada grupo)
+  maxFileBytes: 10 * 1024 * 1024,
+  maxMaterials: 50,
+  maxAdjustments: 20,
+  maxWarrantyDays: 365
+};
+
+module.exports = {
+  COMPLETION_SIGN_OFF_STATUSES,
+  COMPLETION_CAPTURE_STATUSES,
+  COMPLETION_CONFIG
+};
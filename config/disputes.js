@@ -0,0 +1,72 @@
+/**
+ * Configuración de disputas sobre solicitudes de servicio
+ * Define categorías, tipos de evidencia, resultados del arbitraje y plazos
+ */
+
+// Estados de la solicitud desde los que se puede abrir una disputa
+const DISPUTE_OPENABLE_STATUSES = ['in_progress', 'completed'];
+
+const DISPUTE_CATEGORIES = {
+  quality: 'Calidad del trabajo',
+  incomplete_work: 'Trabajo incompleto',
+  damage: 'Daños a la propiedad',
+  billing: 'Cobro incorrecto',
+  behavior: 'Comportamiento inadecuado',
+  no_payment: 'Pago no recibido',
+  other: 'Otro'
+};
+
+// Ciclo de vida: la contraparte responde (o vence el plazo) y pasa a la cola de arbitraje
+const DISPUTE_STATUSES = ['awaiting_response', 'under_review', 'resolved'];
+
+const DISPUTE_EVIDENCE_TYPES = ['photo', 'chat_excerpt', 'invoice', 'document'];
+
+/**
+ * Resultados del arbitraje
+ * - refund: 'full' reembolsa todo lo pagado, 'partial' exige refundAmount, 'none' no reembolsa
+ * - status: estado final de la solicitud (acción de la máquina de estados)
+ * - penalty: exige penaltyAmount para el profesional
+ */
+const DISPUTE_OUTCOMES = {
+  full_refund: {
+    label: 'Reembolso total al cliente',
+    refund: 'full',
+    action: 'resolve_cancelled',
+    penalty: false
+  },
+  partial_refund: {
+    label: 'Reembolso parcial al cliente',
+    refund: 'partial',
+    action: 'resolve_completed',
+    penalty: false
+  },
+  release: {
+    label: 'Pago liberado al profesional',
+    refund: 'none',
+    action: 'resolve_completed',
+    penalty: false
+  },
+  penalty: {
+    label: 'Reembolso total y penalización al profesional',
+    refund: 'full',
+    action: 'resolve_cancelled',
+    penalty: true
+  }
+};
+
+const DISPUTE_CONFIG = {
+  responseWindowHours: parseInt(process.env.DISPUTE_RESPONSE_WINDOW_HOURS) || 72, // Plazo de la contraparte
+  maxEvidenceItems: 30,
+  maxFilesPerUpload: 5,
+  maxFileBytes: 10 * 1024 * 1024,
+  maxChatExcerptMessages: 50
+};
+
+module.exports = {
+  DISPUTE_OPENABLE_STATUSES,
+  DISPUTE_CATEGORIES,
+  DISPUTE_STATUSES,
+  DISPUTE_EVIDENCE_TYPES,
+  DISPUTE_OUTCOMES,
+  DISPUTE_CONFIG
+};
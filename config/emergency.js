@@ -0,0 +1,47 @@
+/**
+ * Configuración del despacho de emergencias
+ * Las solicitudes con service.urgency 'emergency' se ofrecen por oleadas a los
+ * profesionales más cercanos que atienden emergencias y están libres en este
+ * momento; cada oleada amplía el radio y el primero que acepta se queda el trabajo
+ */
+
+const DISPATCH_STATUSES = ['searching', 'assigned', 'exhausted', 'cancelled'];
+
+const DISPATCH_OFFER_STATUSES = ['offered', 'accepted', 'declined', 'expired', 'superseded'];
+
+const EMERGENCY_DISPATCH_CONFIG = {
+  namespace: '/dispatch',
+  initialRadiusKm: parseFloat(process.env.DISPATCH_INITIAL_RADIUS_KM) || 5,
+  radiusStepKm: parseFloat(process.env.DISPATCH_RADIUS_STEP_KM) || 5,  // Ampliación por oleada
+  maxRadiusKm: parseFloat(process.env.DISPATCH_MAX_RADIUS_KM) || 50,
+  waveSize: parseInt(process.env.DISPATCH_WAVE_SIZE) || 5,              // Profesionales por oleada
+  acceptTimeoutSeconds: parseInt(process.env.DISPATCH_ACCEPT_TIMEOUT_SECONDS) || 90,
+  candidatePoolSize: 50    // Profesionales evaluados por oleada antes de filtrar por agenda
+};
+
+/**
+ * Recargos de emergencia sobre el precio base (fracción del precio)
+ * - categories: recargo por categoría del servicio (default si no figura)
+ * - night: recargo adicional dentro de la franja nocturna (hora local del profesional)
+ * - weekend: recargo adicional sábados y domingos
+ */
+const EMERGENCY_SURCHARGES = {
+  default: 0.5,
+  categories: {
+    home_services: 0.5,
+    technical_services: 0.4,
+    automotive: 0.6,
+    health: 0.3,
+    cleaning: 0.3
+  },
+  night: { start: '22:00', end: '06:00', rate: 0.25 },
+  weekend: { rate: 0.15 },
+  maxRate: 1.5 // Tope de la suma de recargos
+};
+
+module.exports = {
+  DISPATCH_STATUSES,
+  DISPATCH_OFFER_STATUSES,
+  EMERGENCY_DISPATCH_CONFIG,
+  EMERGENCY_SURCHARGES
+};
@@ -0,0 +1,19 @@
+/**
+ * Configuración de profesionales favoritos y re-reserva
+ * La re-reserva clona un servicio completado y lo envía como solicitud privada
+ * al mismo profesional, sin pasar por la búsqueda de profesionales compatibles
+ */
+
+const FAVORITES_CONFIG = {
+  maxPerUser: 100,
+  availabilityDays: 7          // Días revisados para la próxima franja libre de cada favorito
+};
+
+const REBOOK_CONFIG = {
+  sourceStatuses: ['completed'] // Estados de la solicitud original que se pueden volver a reservar
+};
+
+module.exports = {
+  FAVORITES_CONFIG,
+  REBOOK_CONFIG
+};
@@ -0,0 +1,128 @@
+/**
+ * Configuración de tareas programadas
+ * Cada tarea se identifica por nombre; la expresión cron puede sobrescribirse
+ * por variable de entorno (JOB_<NOMBRE>_CRON) y la tarea desactivarse con
+ * JOB_<NOMBRE>_ENABLED=false
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const JOBS_CONFIG = {
+  enabled: process.env.JOBS_ENABLED !== 'false',
+  timezone: process.env.JOBS_TIMEZONE || 'America/Bogota',
+  defaultLockTtlMs: 10 * MINUTE_MS,  // Vigencia del bloqueo si la instancia muere sin liberarlo
+  historyRetentionDays: parseInt(process.env.JOBS_HISTORY_RETENTION_DAYS) || 30,
+  maxHistoryPerJob: 100            // Límite de ejecuciones devueltas por tarea
+};
+
+/**
+ * Tareas registradas
+ * - cron: expresión por defecto (node-cron, 5 o 6 campos)
+ * - lockTtlMs: vigencia del bloqueo distribuido
+ */
+const JOB_DEFINITIONS = {
+  service_reminders: {
+    description: 'Recordatorios de servicio 24 h y 1 h antes del inicio',
+    cron: '*/5 * * * *',
+    lockTtlMs: 5 * MINUTE_MS
+  },
+  chat_auto_archive: {
+    description: 'Archivar chats inactivos',
+    cron: '0 3 * * *'
+  },
+  temp_file_cleanup: {
+    description: 'Eliminar archivos temporales antiguos',
+    cron: '30 * * * *'
+  },
+  arrival_monitor: {
+    description: 'Alertar retrasos y posibles inasistencias de profesionales',
+    cron: '*/5 * * * *'
+  },
+  completion_auto_confirm: {
+    description: 'Confirmar actas de finalización sin respuesta del cliente',
+    cron: '*/15 * * * *'
+  },
+  quote_expiry: {
+    description: 'Vencer cotizaciones cuya vigencia expiró y reabrir sus solicitudes',
+    cron: '*/15 * * * *'
+  },
+  bidding_windows: {
+    description: 'Cerrar ventanas de cotizaciones y vencer solicitudes sin elección',
+    cron: '*/5 * * * *'
+  },
+  emergency_dispatch: {
+    description: 'Lanzar la siguiente oleada de los despachos de emergencia sin aceptar',
+    cron: '*/15 * * * * *',
+    lockTtlMs: MINUTE_MS
+  },
+  saved_search_alerts: {
+    description: 'Avisar a los clientes de profesionales nuevos que cumplen sus búsquedas guardadas',
+    cron: '0 * * * *',
+    lockTtlMs: 30 * MINUTE_MS
+  },
+  price_estimates: {
+    description: 'Recalcular los rangos de precio estimados con los servicios completados',
+    cron: '0 4 * * *',
+    lockTtlMs: 30 * MINUTE_MS
+  },
+  calendar_import_sync: {
+    description: 'Sincronizar calendarios externos por URL',
+    cron: '*/30 * * * *',
+    lockTtlMs: 30 * MINUTE_MS
+  },
+  reschedule_expiry: {
+    description: 'Vencer propuestas de reprogramación sin respuesta',
+    cron: '*/10 * * * *'
+  },
+  dispute_escalation: {
+    description: 'Escalar disputas sin respuesta a la cola de arbitraje',
+    cron: '*/15 * * * *'
+  },
+  warranty_escalation: {
+    description: 'Pasar a revisión los reclamos de garantía sin respuesta',
+    cron: '*/15 * * * *'
+  },
+  series_generation: {
+    description: 'Generar ocurrencias de servicios recurrentes',
+    cron: '0 2 * * *',
+    lockTtlMs: 30 * MINUTE_MS
+  }
+};
+
+const REMINDER_CONFIG = {
+  hoursBefore: [24, 1],            // Ventanas de recordatorio
+  statuses: ['confirmed']          // Solo servicios confirmados
+};
+
+const TEMP_FILES_CONFIG = {
+  directory: process.env.TEMP_UPLOADS_DIR || './uploads/temp',
+  maxAgeMs: 24 * 60 * MINUTE_MS
+};
+
+/**
+ * Resolver la configuración efectiva de una tarea
+ * @param {string} name - Nombre de la tarea
+ * @returns {Object|null} { name, description, cron, enabled, lockTtlMs }
+ */
+const getJobConfig = (name) => {
+  const definition = JOB_DEFINITIONS[name];
+  if (!definition) return null;
+
+  const envKey = `JOB_${name.toUpperCase()}`;
+
+  return {
+    name,
+    description: definition.description,
+    cron: process.env[`${envKey}_CRON`] || definition.cron,
+    enabled: definition.enabled !== false && process.env[`${envKey}_ENABLED`] !== 'false',
+    lockTtlMs: definition.lockTtlMs || JOBS_CONFIG.defaultLockTtlMs
+  };
+};
+
+module.exports = {
+  JOBS_CONFIG,
+  JOB_DEFINITIONS,
+  REMINDER_CONFIG,
+  TEMP_FILES_CONFIG,
+  getJobConfig
+};
@@ -4,7 +4,7 @@
  */
 
 const COLOMBIA_LOCATIONS = {
-  // Ciudades principales con coordenadas
+  // Ciudades principales con coordenadas y velocidad urbana promedio en km/h (ETA del seguimiento)
   cities: {
     bogota: {
       name: 'Bogotá',
@@ -13,7 +13,8 @@ const COLOMBIA_LOCATIONS = {
         latitude: 4.7110,
         longitude: -74.0721
       },
-      timezone: 'America/Bogota'
+      timezone: 'America/Bogota',
+      averageSpeedKmh: 17
     },
     medellin: {
       name: 'Medellín',
@@ -22,7 +23,8 @@ const COLOMBIA_LOCATIONS = {
         latitude: 6.2442,
         longitude: -75.5812
       },
-      timezone: 'America/Bogota'
+      timezone: 'America/Bogota',
+      averageSpeedKmh: 20
     },
     cali: {
       name: 'Cali',
@@ -31,7 +33,8 @@ const COLOMBIA_LOCATIONS = {
         latitude: 3.4516,
         longitude: -76.5320
       },
-      timezone: 'America/Bogota'
+      timezone: 'America/Bogota',
+      averageSpeedKmh: 22
     },
     barranquilla: {
       name: 'Barranquilla',
@@ -40,7 +43,8 @@ const COLOMBIA_LOCATIONS = {
         latitude: 10.9639,
         longitude: -74.7964
       },
-      timezone: 'America/Bogota'
+      timezone: 'America/Bogota',
+      averageSpeedKmh: 24
     },
     cartagena: {
       name: 'Cartagena',
@@ -49,7 +53,8 @@ const COLOMBIA_LOCATIONS = {
         latitude: 10.3910,
         longitude: -75.4794
       },
-      timezone: 'America/Bogota'
+      timezone: 'America/Bogota',
+      averageSpeedKmh: 21
     },
     bucaramanga: {
       name: 'Bucaramanga',
@@ -58,7 +63,8 @@ const COLOMBIA_LOCATIONS = {
         latitude: 7.1193,
         longitude: -73.1227
       },
-      timezone: 'America/Bogota'
+      timezone: 'America/Bogota',
+      averageSpeedKmh: 23
     }
   },
 
@@ -118,6 +124,24 @@ function getCityConfig(cityKey) {
   return COLOMBIA_LOCATIONS.cities[cityKey] || COLOMBIA_LOCATIONS.cities[COLOMBIA_LOCATIONS.default.city];
 }
 
+/**
+ * Busca una ciudad por nombre o clave, sin distinguir mayúsculas ni tildes
+ * @param {string} name - Nombre de la ciudad (ej. 'Bogotá', 'medellin')
+ * @returns {Object|null} Configuración de la ciudad
+ */
+function findCityByName(name) {
+  if (!name) return null;
+
+  const normalize = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  const target = normalize(name);
+
+  const key = Object.keys(COLOMBIA_LOCATIONS.cities).find(cityKey =>
+    cityKey === target || normalize(COLOMBIA_LOCATIONS.cities[cityKey].name) === target
+  );
+
+  return key ? COLOMBIA_LOCATIONS.cities[key] : null;
+}
+
 /**
  * Obtiene todas las ciudades disponibles
  * @returns {Array} Lista de ciudades
@@ -154,6 +178,7 @@ function getDefaultConfig() {
 module.exports = {
   COLOMBIA_LOCATIONS,
   getCityConfig,
+  findCityByName,
   getAllCities,
   getAllDepartments,
   isValidDepartment,
@@ -0,0 +1,30 @@
+/**
+ * Configuración del estimador de precios
+ * Las estimaciones se precalculan (tarea price_estimates) a partir del costo final
+ * de las solicitudes completadas, normalizado a tarifa por hora y urgencia media
+ */
+
+const PRICE_ESTIMATE_CONFIG = {
+  lookbackDays: parseInt(process.env.PRICE_ESTIMATE_LOOKBACK_DAYS) || 365, // Antigüedad máxima de las solicitudes usadas
+  minSamples: parseInt(process.env.PRICE_ESTIMATE_MIN_SAMPLES) || 5,       // Muestras mínimas para usar un grupo
+  currency: 'COP',            // Solo se estiman precios en esta moneda
+  roundTo: 1000,              // Redondeo de los valores devueltos
+  cacheMs: 15 * 60 * 1000,    // Vigencia de la caché en memoria de estimaciones
+  maxDurationHours: 24        // Duración máxima aceptada en la consulta
+};
+
+/**
+ * Factor de precio por urgencia respecto a una solicitud de urgencia media.
+ * Se divide al normalizar cada muestra y se multiplica al estimar
+ */
+const URGENCY_PRICE_FACTORS = {
+  low: 0.9,
+  medium: 1,
+  high: 1.2,
+  emergency: 1.5
+};
+
+module.exports = {
+  PRICE_ESTIMATE_CONFIG,
+  URGENCY_PRICE_FACTORS
+};
@@ -0,0 +1,88 @@
+/**
+ * Configuración de cotizaciones
+ * Cada profesional cotiza una solicitud con su propia cotización versionada:
+ * el cliente puede contraofertar precio o fecha y el profesional revisar,
+ * hasta que el cliente acepta una (las demás se rechazan) o vencen
+ */
+
+const QUOTE_STATUSES = ['draft', 'sent', 'countered', 'revised', 'accepted', 'rejected', 'withdrawn', 'expired'];
+
+// Cotizaciones vigentes ante el cliente (mantienen la solicitud en 'quoted')
+const QUOTE_OPEN_STATUSES = ['sent', 'countered', 'revised'];
+
+/**
+ * Acciones sobre una cotización
+ * - from: estados desde los que se permite
+ * - to: estado resultante
+ * - role: quien la ejecuta (professional: autor de la cotización, client: dueño de la solicitud)
+ */
+const QUOTE_ACTIONS = {
+  send: { label: 'Enviar cotización', from: ['draft'], to: 'sent', role: 'professional' },
+  revise: { label: 'Revisar cotización', from: ['sent', 'countered', 'revised'], to: 'revised', role: 'professional' },
+  counter: { label: 'Contraofertar', from: ['sent', 'revised'], to: 'countered', role: 'client' },
+  accept: { label: 'Aceptar cotización', from: ['sent', 'revised'], to: 'accepted', role: 'client' },
+  reject: { label: 'Rechazar cotización', from: ['sent', 'countered', 'revised'], to: 'rejected', role: 'client' },
+  withdraw: { label: 'Retirar cotización', from: ['draft', 'sent', 'countered', 'revised'], to: 'withdrawn', role: 'professional' },
+  expire: { label: 'Vencer cotización', from: ['sent', 'countered', 'revised'], to: 'expired', role: 'system' }
+};
+
+// Vigencia por defecto de una cotización (y de pricing.quoteValidUntil)
+const QUOTE_VALIDITY_DAYS = parseInt(process.env.QUOTE_VALIDITY_DAYS) || 7;
+
+// Estados de la solicitud que admiten cotizaciones nuevas
+const QUOTABLE_REQUEST_STATUSES = ['pending', 'quoted'];
+
+const QUOTE_CONFIG = {
+  validityDays: QUOTE_VALIDITY_DAYS, // Vigencia por defecto de cada versión
+  maxMaterials: 50,
+  maxVersions: 20                    // Ofertas y contraofertas por cotización
+};
+
+/**
+ * Criterios de la comparación de cotizaciones
+ * - better: 'lower' si gana el menor valor, 'higher' si gana el mayor
+ * - weight: peso por defecto en el puntaje (el cliente puede cambiarlo)
+ */
+const QUOTE_COMPARISON_CRITERIA = {
+  price: { label: 'Precio', better: 'lower', weight: 0.4 },
+  availability: { label: 'Fecha disponible', better: 'lower', weight: 0.2 },
+  rating: { label: 'Calificación', better: 'higher', weight: 0.3 },
+  distance: { label: 'Distancia', better: 'lower', weight: 0.1 }
+};
+
+/**
+ * Ventana de cotizaciones (opcional por solicitud)
+ * El cliente recibe cotizaciones durante un plazo fijo y con un cupo máximo; al
+ * cerrar recibe un resumen y tiene un periodo de gracia para elegir antes de que
+ * la solicitud venza
+ * - sealed: los profesionales no ven los precios de la competencia
+ * - open: los profesionales ven el precio más bajo vigente
+ */
+const BIDDING_MODES = ['sealed', 'open'];
+
+const BIDDING_STATUSES = ['open', 'closed', 'expired'];
+
+// Motivo del cierre: plazo cumplido, cupo lleno o cotización aceptada antes del plazo
+const BIDDING_CLOSE_REASONS = ['deadline', 'max_quotes', 'quote_accepted'];
+
+const BIDDING_CONFIG = {
+  durationsHours: [12, 24, 48, 72],
+  defaultDurationHours: 24,
+  defaultMaxQuotes: 5,
+  maxQuotesLimit: 20,
+  gracePeriodHours: parseInt(process.env.BIDDING_GRACE_HOURS) || 48
+};
+
+module.exports = {
+  QUOTE_STATUSES,
+  QUOTE_OPEN_STATUSES,
+  QUOTE_ACTIONS,
+  QUOTABLE_REQUEST_STATUSES,
+  QUOTE_VALIDITY_DAYS,
+  QUOTE_CONFIG,
+  QUOTE_COMPARISON_CRITERIA,
+  BIDDING_MODES,
+  BIDDING_STATUSES,
+  BIDDING_CLOSE_REASONS,
+  BIDDING_CONFIG
+};
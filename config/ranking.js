@@ -0,0 +1,75 @@
+/**
+ * Configuración del motor de ranking de profesionales
+ * Cada factor produce un puntaje entre 0 y 1; el puntaje final es la suma
+ * ponderada (pesos normalizados). Los pesos por defecto pueden ajustarse desde
+ * el panel de administración (ver RankingSettings)
+ */
+
+const RANKING_FACTORS = [
+  'distance',       // Cercanía a la ubicación del servicio
+  'rating',         // Calificación bayesiana (pocas reseñas tiran hacia el promedio)
+  'completionRate', // Porcentaje de servicios completados
+  'responseTime',   // Tiempo promedio de respuesta
+  'cancellations',  // Cancelaciones recientes hechas por el profesional
+  'priceFit',       // Precio del servicio frente al presupuesto de la solicitud
+  'subscription',   // Impulso por plan de suscripción
+  'fairness'        // Exposición para profesionales nuevos
+];
+
+const DEFAULT_RANKING_WEIGHTS = {
+  distance: 0.25,
+  rating: 0.25,
+  completionRate: 0.1,
+  responseTime: 0.1,
+  cancellations: 0.1,
+  priceFit: 0.1,
+  subscription: 0.05,
+  fairness: 0.05
+};
+
+const RANKING_CONFIG = {
+  maxWeight: 10,                // Tope de cada peso configurable (antes de normalizar)
+  settingsCacheMs: 60 * 1000,   // Vigencia en memoria de los pesos guardados
+  maxCandidates: 200,           // Profesionales evaluados por búsqueda antes de paginar
+  neutralScore: 0.5,            // Puntaje de un factor sin datos (ej. sin ubicación o sin presupuesto)
+  distance: {
+    defaultRadiusKm: 50         // Sin radio de búsqueda, distancia que puntúa 0
+  },
+  rating: {
+    priorMean: parseFloat(process.env.RANKING_RATING_PRIOR_MEAN) || 3.5, // Promedio asumido sin reseñas
+    priorWeight: parseInt(process.env.RANKING_RATING_PRIOR_WEIGHT) || 10  // Reseñas "virtuales" del promedio asumido
+  },
+  responseTime: {
+    targetMinutes: 30,          // Responder en este tiempo puntúa 1
+    maxMinutes: 24 * 60         // Desde este tiempo puntúa 0
+  },
+  cancellations: {
+    windowDays: 90,
+    maxCount: 5                 // Desde esta cantidad puntúa 0
+  },
+  priceFit: {
+    tolerance: 0.5              // Un precio 50 % sobre el presupuesto puntúa 0
+  },
+  subscription: {
+    basic: 0,
+    premium: 0.6,
+    enterprise: 1
+  },
+  fairness: {
+    newProfessionalDays: 60,    // Antigüedad hasta la que se da exposición extra
+    minServices: 5              // Servicios hasta los que se da exposición extra
+  }
+};
+
+// Profesionales notificados de una solicitud nueva (los mejores del ranking)
+const MATCHING_CONFIG = {
+  radiusKm: 50,
+  maxNotified: 20
+};
+
+module.exports = {
+  RANKING_FACTORS,
+  DEFAULT_RANKING_WEIGHTS,
+  RANKING_CONFIG,
+  MATCHING_CONFIG
+};
@@ -0,0 +1,62 @@
+/**
+ * Configuración de series recurrentes de servicios
+ * Define frecuencias soportadas, presets y parámetros de generación anticipada
+ */
+
+// Frecuencias soportadas (subconjunto de RFC 5545 RRULE)
+const RECURRENCE_FREQUENCIES = ['weekly', 'monthly'];
+
+// Días de la semana en formato RRULE, con su índice de Date#getUTCDay()
+const RECURRENCE_WEEKDAYS = {
+  SU: 0,
+  MO: 1,
+  TU: 2,
+  WE: 3,
+  TH: 4,
+  FR: 5,
+  SA: 6
+};
+
+// Presets que el cliente puede usar en lugar de una regla completa
+const RECURRENCE_PRESETS = {
+  weekly: { frequency: 'weekly', interval: 1 },
+  biweekly: { frequency: 'weekly', interval: 2 },
+  monthly: { frequency: 'monthly', interval: 1 }
+};
+
+const SERIES_STATUSES = ['active', 'paused', 'cancelled', 'ended'];
+
+// Tipos de excepción sobre una ocurrencia concreta
+const SERIES_EXCEPTION_TYPES = ['skipped', 'modified'];
+
+// Estados de las solicitudes hijas que todavía se pueden editar u omitir
+const SERIES_EDITABLE_STATUSES = ['pending', 'quoted', 'accepted', 'confirmed'];
+
+const SERIES_GENERATION = {
+  horizonDays: parseInt(process.env.SERIES_HORIZON_DAYS) || 28, // Días generados por adelantado
+  maxInterval: 12,                                             // Intervalo máximo (cada 12 semanas/meses)
+  maxCount: 104,                                               // Máximo de ocurrencias por serie
+  maxIterations: 1000                                          // Límite de seguridad por rango expandido
+};
+
+// Campos de la plantilla que se pueden editar en una ocurrencia o en las siguientes
+const SERIES_EDITABLE_FIELDS = {
+  'scheduling.preferredTime': 'preferredTime',
+  'scheduling.flexibility': 'flexibility',
+  'scheduling.estimatedDuration': 'estimatedDuration',
+  'service.description': 'description',
+  'service.requirements': 'requirements',
+  'location.instructions': 'instructions',
+  'pricing.quotedCost': 'quotedCost'
+};
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  RECURRENCE_WEEKDAYS,
+  RECURRENCE_PRESETS,
+  SERIES_STATUSES,
+  SERIES_EXCEPTION_TYPES,
+  SERIES_EDITABLE_STATUSES,
+  SERIES_GENERATION,
+  SERIES_EDITABLE_FIELDS
+};
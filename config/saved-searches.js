@@ -0,0 +1,21 @@
+/**
+ * Configuración de las búsquedas guardadas de clientes
+ * Una tarea programada evalúa las búsquedas contra los profesionales publicados
+ * desde la última revisión (ver Professional.listedAt) y envía como máximo un
+ * resumen por cliente en cada intervalo
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const SAVED_SEARCH_CONFIG = {
+  maxPerUser: 20,
+  maxNameLength: 80,
+  defaultRadiusKm: 10,
+  maxRadiusKm: 100,
+  digestIntervalMs: (parseInt(process.env.SAVED_SEARCH_DIGEST_HOURS) || 24) * HOUR_MS,
+  maxNotifiedTracked: 500        // Profesionales ya avisados que se recuerdan por búsqueda
+};
+
+module.exports = {
+  SAVED_SEARCH_CONFIG
+};
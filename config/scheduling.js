@@ -0,0 +1,75 @@
+/**
+ * Configuración de agenda y reservas
+ * Parámetros para el cálculo de franjas disponibles de los profesionales
+ */
+
+// Claves de Professional.availability.schedule indexadas por Date#getUTCDay()
+const WEEKDAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const SLOT_CONFIG = {
+  defaultDurationMinutes: 60, // Duración cuando la solicitud no indica estimatedDuration
+  minDurationMinutes: 15,
+  maxDurationMinutes: 12 * 60,
+  granularityMinutes: parseInt(process.env.SLOT_GRANULARITY_MINUTES) || 30, // Paso entre inicios de franja
+  maxRangeDays: 31           // Rango máximo consultable
+};
+
+// Estados que ocupan la agenda del profesional
+const SLOT_BLOCKING_STATUSES = ['confirmed', 'in_progress'];
+
+// Estados que cuentan para el límite diario de reservas (maximumBookingsPerDay)
+const DAILY_CAP_STATUSES = ['accepted', 'confirmed', 'in_progress', 'completed'];
+
+// Conversión de unidades de estimatedDuration a minutos
+const DURATION_UNIT_MINUTES = {
+  minutes: 1,
+  hours: 60,
+  days: 24 * 60
+};
+
+// Feed ICS de la agenda del profesional
+const CALENDAR_FEED_CONFIG = {
+  pastDays: 30,    // Trabajos pasados incluidos en el feed
+  futureDays: 180, // Horizonte de trabajos futuros
+  tokenBytes: 32
+};
+
+// Importación de calendarios externos como bloqueos de agenda
+const CALENDAR_IMPORT_CONFIG = {
+  maxCalendars: 5,                 // Calendarios externos por profesional
+  maxFileBytes: 2 * 1024 * 1024,   // Tamaño máximo del .ics (archivo o URL)
+  fetchTimeoutMs: 15000,
+  maxRedirects: 3,                 // Redirecciones seguidas al descargar por URL (cada una se valida)
+  horizonDays: 180,                // Solo se importan eventos hasta este horizonte
+  maxBlocksPerCalendar: 2000,
+  syncIntervalMinutes: 60          // Antigüedad mínima de la última sincronización
+};
+
+// Propuestas de reprogramación entre cliente y profesional
+const RESCHEDULE_CONFIG = {
+  maxOptions: 3,                 // Opciones de fecha/hora por propuesta
+  defaultExpirationHours: 48,
+  minExpirationHours: 1,
+  maxExpirationHours: 7 * 24,
+  // Estados en los que el trabajo aún puede moverse
+  reschedulableStatuses: ['pending', 'quoted', 'accepted', 'confirmed']
+};
+
+// Reserva inmediata: el cliente toma una franja libre de un servicio de precio fijo
+// y paga con tarjeta al reservar; la solicitud queda confirmada sin cotización
+const INSTANT_BOOKING_CONFIG = {
+  maxPerWeekLimit: 100,      // Tope máximo que puede fijar el profesional (semana de lunes a domingo)
+  counterRetentionDays: 30   // Días que se conserva el contador semanal después de la semana
+};
+
+module.exports = {
+  WEEKDAY_KEYS,
+  SLOT_CONFIG,
+  SLOT_BLOCKING_STATUSES,
+  DAILY_CAP_STATUSES,
+  DURATION_UNIT_MINUTES,
+  CALENDAR_FEED_CONFIG,
+  CALENDAR_IMPORT_CONFIG,
+  RESCHEDULE_CONFIG,
+  INSTANT_BOOKING_CONFIG
+};
@@ -0,0 +1,40 @@
+/**
+ * Configuración de la búsqueda facetada de profesionales
+ * Los rangos de precio se evalúan sobre services[].pricing.amount (COP) y las
+ * bandas de calificación son acumulativas ("4★ o más")
+ */
+
+// Facetas calculadas junto a los resultados
+const SEARCH_FACETS = [
+  'category',
+  'subcategory',
+  'priceRange',
+  'rating',
+  'verification',
+  'emergencyServices',
+  'weekendWork',
+  'subscription'
+];
+
+// Rangos de precio [min, max) por servicio; max null = sin tope
+const PRICE_RANGES = [
+  { key: 'under_50k', min: 0, max: 50000 },
+  { key: '50k_100k', min: 50000, max: 100000 },
+  { key: '100k_200k', min: 100000, max: 200000 },
+  { key: '200k_500k', min: 200000, max: 500000 },
+  { key: 'over_500k', min: 500000, max: null }
+];
+
+// Calificación promedio mínima de cada banda
+const RATING_BANDS = [4.5, 4, 3];
+
+const SEARCH_CONFIG = {
+  maxQueryLength: 100           // Caracteres del texto libre (q)
+};
+
+module.exports = {
+  SEARCH_FACETS,
+  PRICE_RANGES,
+  RATING_BANDS,
+  SEARCH_CONFIG
+};
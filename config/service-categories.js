@@ -0,0 +1,236 @@
+/**
+ * Taxonomía de categorías de servicio
+ * Las categorías viven en la colección ServiceCategory (editable desde el panel
+ * de administración). Aquí están la taxonomía inicial que siembra la migración
+ * y la correspondencia de los valores antiguos con las categorías nuevas
+ */
+
+const SERVICE_CATEGORY_CONFIG = {
+  cacheMs: 60 * 1000,               // Vigencia de la caché de categorías en memoria
+  slugPattern: /^[a-z0-9]+(?:_[a-z0-9]+)*$/,
+  fallbackCategory: 'other',        // Destino de valores antiguos sin correspondencia
+  // Subcategoría <categoría>_general que crea la migración para las subcategorías
+  // antiguas sin correspondencia (service.subcategory es obligatoria)
+  fallbackSubcategory: {
+    suffix: '_general',
+    name: { es: 'General', en: 'General' }
+  }
+};
+
+// Tipos de credencial (mismos valores que Professional.credentials[].type)
+const CREDENTIAL_TYPES = ['certificate', 'license', 'degree', 'insurance', 'other'];
+
+// Unidades de la sugerencia de precio (mismos valores que Professional.services[].pricing.unit)
+const PRICING_HINT_UNITS = ['hour', 'service', 'day', 'project'];
+
+/**
+ * Taxonomía inicial: categorías raíz (service.category) con sus subcategorías
+ * sugeridas. pricingHint es orientativo (COP); cancellationPolicy es la política
+ * de cancelación de la categoría (clave de config/cancellation-policies)
+ */
+const DEFAULT_SERVICE_CATEGORIES = [
+  {
+    slug: 'home_services',
+    name: { es: 'Servicios del Hogar', en: 'Home Services' },
+    icon: 'home',
+    pricingHint: { min: 60000, max: 250000, unit: 'service' },
+    cancellationPolicy: 'moderate',
+    subcategories: [
+      { slug: 'plumbing', name: { es: 'Plomería', en: 'Plumbing' }, icon: 'droplet' },
+      { slug: 'electrical', name: { es: 'Electricidad', en: 'Electrical' }, icon: 'zap' },
+      { slug: 'painting', name: { es: 'Pintura', en: 'Painting' }, icon: 'paint-roller' },
+      { slug: 'carpentry', name: { es: 'Carpintería', en: 'Carpentry' }, icon: 'hammer' },
+      { slug: 'gardening', name: { es: 'Jardinería', en: 'Gardening' }, icon: 'leaf' },
+      { slug: 'locksmith', name: { es: 'Cerrajería', en: 'Locksmith' }, icon: 'key' },
+      { slug: 'pest_control', name: { es: 'Control de plagas', en: 'Pest Control' }, icon: 'bug' }
+    ]
+  },
+  {
+    slug: 'cleaning',
+    name: { es: 'Limpieza', en: 'Cleaning' },
+    icon: 'sparkles',
+    pricingHint: { min: 25000, max: 45000, unit: 'hour' },
+    cancellationPolicy: 'flexible',
+    subcategories: [
+      { slug: 'house_cleaning', name: { es: 'Limpieza de hogar', en: 'House Cleaning' } },
+      { slug: 'deep_cleaning', name: { es: 'Limpieza profunda', en: 'Deep Cleaning' } },
+      { slug: 'office_cleaning', name: { es: 'Limpieza de oficinas', en: 'Office Cleaning' } },
+      { slug: 'upholstery_cleaning', name: { es: 'Lavado de muebles', en: 'Upholstery Cleaning' } }
+    ]
+  },
+  {
+    slug: 'construction',
+    name: { es: 'Construcción y Remodelación', en: 'Construction & Remodeling' },
+    icon: 'hard-hat',
+    pricingHint: { min: 500000, max: 10000000, unit: 'project' },
+    cancellationPolicy: 'strict',
+    requiredCredentials: [
+      { type: 'insurance', description: 'Póliza de responsabilidad civil vigente' }
+    ],
+    subcategories: [
+      { slug: 'roofing', name: { es: 'Techos', en: 'Roofing' } },
+      { slug: 'flooring', name: { es: 'Pisos', en: 'Flooring' } },
+      { slug: 'kitchen_remodel', name: { es: 'Remodelación de cocinas', en: 'Kitchen Remodel' } },
+      { slug: 'bathroom_remodel', name: { es: 'Remodelación de baños', en: 'Bathroom Remodel' } }
+    ]
+  },
+  {
+    slug: 'technical_services',
+    name: { es: 'Servicios Técnicos', en: 'Technical Services' },
+    icon: 'wrench',
+    pricingHint: { min: 50000, max: 200000, unit: 'service' },
+    cancellationPolicy: 'moderate',
+    subcategories: [
+      { slug: 'appliance_repair', name: { es: 'Reparación de electrodomésticos', en: 'Appliance Repair' } },
+      { slug: 'hvac', name: { es: 'Aire acondicionado', en: 'HVAC' } },
+      { slug: 'computer_repair', name: { es: 'Soporte de computadores', en: 'Computer Repair' } },
+      { slug: 'networking', name: { es: 'Redes e internet', en: 'Networking' } }
+    ]
+  },
+  {
+    slug: 'professional_services',
+    name: { es: 'Servicios Profesionales', en: 'Professional Services' },
+    icon: 'briefcase',
+    pricingHint: { min: 80000, max: 300000, unit: 'hour' },
+    cancellationPolicy: 'strict',
+    requiredCredentials: [
+      { type: 'degree', description: 'Título profesional en el área del servicio' }
+    ],
+    subcategories: [
+      { slug: 'legal', name: { es: 'Asesoría legal', en: 'Legal' } },
+      { slug: 'accounting', name: { es: 'Contabilidad', en: 'Accounting' } },
+      { slug: 'consulting', name: { es: 'Consultoría', en: 'Consulting' } },
+      { slug: 'design', name: { es: 'Diseño', en: 'Design' } },
+      { slug: 'photography', name: { es: 'Fotografía', en: 'Photography' } }
+    ]
+  },
+  {
+    slug: 'beauty_wellness',
+    name: { es: 'Belleza y Bienestar', en: 'Beauty & Wellness' },
+    icon: 'scissors',
+    pricingHint: { min: 30000, max: 150000, unit: 'service' },
+    cancellationPolicy: 'flexible',
+    subcategories: [
+      { slug: 'beauty', name: { es: 'Belleza', en: 'Beauty' } },
+      { slug: 'massage', name: { es: 'Masajes', en: 'Massage' } },
+      { slug: 'fitness', name: { es: 'Entrenamiento personal', en: 'Fitness' } }
+    ]
+  },
+  {
+    slug: 'health',
+    name: { es: 'Salud', en: 'Health' },
+    icon: 'heart-pulse',
+    pricingHint: { min: 80000, max: 250000, unit: 'service' },
+    cancellationPolicy: 'strict',
+    requiredCredentials: [
+      { type: 'license', description: 'Registro profesional de salud (ReTHUS)' }
+    ],
+    subcategories: [
+      { slug: 'home_healthcare', name: { es: 'Enfermería a domicilio', en: 'Home Healthcare' } },
+      { slug: 'therapy', name: { es: 'Terapia', en: 'Therapy' } },
+      { slug: 'nutrition', name: { es: 'Nutrición', en: 'Nutrition' } },
+      { slug: 'elderly_care', name: { es: 'Cuidado de adultos mayores', en: 'Elderly Care' } }
+    ]
+  },
+  {
+    slug: 'education',
+    name: { es: 'Educación', en: 'Education' },
+    icon: 'book-open',
+    pricingHint: { min: 30000, max: 100000, unit: 'hour' },
+    cancellationPolicy: 'flexible',
+    subcategories: [
+      { slug: 'tutoring', name: { es: 'Clases particulares', en: 'Tutoring' } },
+      { slug: 'languages', name: { es: 'Idiomas', en: 'Languages' } },
+      { slug: 'music_lessons', name: { es: 'Clases de música', en: 'Music Lessons' } }
+    ]
+  },
+  {
+    slug: 'automotive',
+    name: { es: 'Servicios Automotrices', en: 'Automotive' },
+    icon: 'car',
+    pricingHint: { min: 50000, max: 400000, unit: 'service' },
+    cancellationPolicy: 'moderate',
+    subcategories: [
+      { slug: 'car_repair', name: { es: 'Mecánica', en: 'Car Repair' } },
+      { slug: 'car_wash', name: { es: 'Lavado', en: 'Car Wash' } },
+      { slug: 'towing', name: { es: 'Grúa', en: 'Towing' } }
+    ]
+  },
+  {
+    slug: 'other',
+    name: { es: 'Otros', en: 'Other' },
+    icon: 'more-horizontal',
+    cancellationPolicy: 'moderate',
+    subcategories: [
+      { slug: 'event_planning', name: { es: 'Eventos', en: 'Event Planning' } },
+      { slug: 'pet_care', name: { es: 'Mascotas', en: 'Pet Care' } },
+      { slug: 'moving', name: { es: 'Mudanzas y transporte', en: 'Moving' } }
+    ]
+  }
+];
+
+/**
+ * Valores antiguos de service.category / services[].category (el listado fijo de
+ * GET /api/services/categories y las categorías en español de la validación)
+ * y la categoría nueva a la que se migran
+ */
+const LEGACY_CATEGORY_MAP = {
+  personal_services: 'beauty_wellness',
+  health_wellness: 'health',
+  technology: 'technical_services',
+  limpieza: 'cleaning',
+  reparaciones: 'home_services',
+  jardineria: 'home_services',
+  plomeria: 'home_services',
+  electricidad: 'home_services',
+  pintura: 'home_services',
+  carpinteria: 'home_services',
+  tecnologia: 'technical_services',
+  tutoria: 'education',
+  cuidado_personal: 'beauty_wellness',
+  eventos: 'other',
+  transporte: 'other',
+  consultoria: 'professional_services',
+  diseno: 'professional_services',
+  fotografia: 'professional_services',
+  cocina: 'other',
+  mascotas: 'other',
+  salud: 'health',
+  fitness: 'beauty_wellness',
+  otros: 'other'
+};
+
+/**
+ * Valores antiguos de service.subcategory / services[].subcategory (texto libre o
+ * las categorías en español usadas como subcategoría) y la subcategoría nueva.
+ * Solo se aplica si la subcategoría destino pertenece a la categoría del documento;
+ * los nombres de subcategoría escritos a mano (ej. "Plomería") se reconocen sin esta tabla
+ */
+const LEGACY_SUBCATEGORY_MAP = {
+  repairs: 'carpentry',
+  electrical_installation: 'electrical',
+  plomeria: 'plumbing',
+  electricidad: 'electrical',
+  pintura: 'painting',
+  carpinteria: 'carpentry',
+  jardineria: 'gardening',
+  limpieza: 'house_cleaning',
+  tecnologia: 'computer_repair',
+  tutoria: 'tutoring',
+  consultoria: 'consulting',
+  diseno: 'design',
+  fotografia: 'photography',
+  cuidado_personal: 'beauty',
+  eventos: 'event_planning',
+  transporte: 'moving',
+  mascotas: 'pet_care'
+};
+
+module.exports = {
+  SERVICE_CATEGORY_CONFIG,
+  CREDENTIAL_TYPES,
+  PRICING_HINT_UNITS,
+  DEFAULT_SERVICE_CATEGORIES,
+  LEGACY_CATEGORY_MAP,
+  LEGACY_SUBCATEGORY_MAP
+};
@@ -0,0 +1,232 @@
+/**
+ * Tabla declarativa de transiciones de estado para solicitudes de servicio
+ * Define qué rol puede disparar cada acción, qué condiciones deben cumplirse
+ * y qué efectos secundarios se ejecutan tras el cambio de estado
+ */
+
+/**
+ * Roles que pueden disparar transiciones
+ * - client: cliente propietario de la solicitud
+ * - professional: profesional asignado a la solicitud
+ * - admin: administrador de la plataforma
+ * - system: procesos internos (jobs, flujos de cotización, webhooks)
+ */
+const TRANSITION_ROLES = ['client', 'professional', 'admin', 'system'];
+
+/**
+ * Etiquetas legibles de cada estado
+ */
+const STATUS_LABELS = {
+  pending: 'Pendiente',
+  quoted: 'Cotizada',
+  accepted: 'Aceptada',
+  confirmed: 'Confirmada',
+  in_progress: 'En progreso',
+  completed: 'Completada',
+  cancelled: 'Cancelada',
+  disputed: 'En disputa'
+};
+
+/**
+ * Transiciones indexadas por acción
+ * - from: estados desde los que se permite la acción
+ * - to: estado resultante
+ * - roles: roles autorizados
+ * - guards: condiciones que deben cumplirse (ver ServiceRequestStateMachine.guards)
+ * - effects: efectos secundarios (ver ServiceRequestStateMachine.effects).
+ *   Las resoluciones de disputa ajustan estadísticas en DisputeService
+ * - reason: motivo fijo de la acción (opcional, reemplaza el enviado por el usuario)
+ */
+const SERVICE_REQUEST_TRANSITIONS = {
+  // Las cotizaciones se negocian en QuoteService, que mueve la solicitud según
+  // queden o no cotizaciones vigentes y asigna al profesional al aceptar una
+  quote: {
+    label: 'Enviar cotización',
+    from: ['pending'],
+    to: 'quoted',
+    roles: ['system'],
+    guards: [],
+    effects: ['notifyParties', 'chatMessage']
+  },
+
+  reject_quote: {
+    label: 'Rechazar cotización',
+    from: ['quoted'],
+    to: 'pending',
+    roles: ['system'],
+    guards: [],
+    effects: ['notifyParties', 'chatMessage']
+  },
+
+  expire_quote: {
+    label: 'Vencer cotización',
+    from: ['quoted'],
+    to: 'pending',
+    roles: ['system'],
+    guards: [],
+    effects: ['notifyParties', 'chatMessage'],
+    reason: 'quote_expired'
+  },
+
+  // Ventana de cotizaciones cerrada sin que el cliente eligiera dentro del periodo de gracia
+  expire_bidding: {
+    label: 'Vencer ventana de cotizaciones',
+    from: ['pending', 'quoted'],
+    to: 'cancelled',
+    roles: ['system'],
+    guards: [],
+    effects: ['notifyParties', 'chatMessage'],
+    reason: 'bidding_expired'
+  },
+
+  // Despacho de emergencia: el primer profesional que acepta la oferta queda
+  // asignado y el servicio se confirma para ahora mismo (EmergencyDispatchService)
+  dispatch_assign: {
+    label: 'Asignar emergencia',
+    from: ['pending'],
+    to: 'confirmed',
+    roles: ['system'],
+    guards: ['professionalAssigned'],
+    effects: ['chatMessage'],
+    reason: 'emergency_dispatch'
+  },
+
+  accept: {
+    label: 'Aceptar cotización',
+    from: ['quoted'],
+    to: 'accepted',
+    roles: ['system'],
+    guards: ['professionalAssigned'],
+    effects: ['notifyParties', 'chatMessage']
+  },
+
+  confirm: {
+    label: 'Confirmar servicio',
+    from: ['accepted'],
+    to: 'confirmed',
+    roles: ['professional', 'admin', 'system'],
+    guards: ['professionalAssigned', 'slotAvailable'],
+    effects: ['notifyParties', 'chatMessage']
+  },
+
+  start: {
+    label: 'Iniciar servicio',
+    from: ['confirmed'],
+    to: 'in_progress',
+    roles: ['professional', 'system'],
+    guards: ['professionalAssigned', 'paymentSecured'],
+    effects: ['notifyParties', 'chatMessage']
+  },
+
+  // El profesional no completa directamente: envía el acta de finalización y el
+  // sistema completa al confirmarla el cliente (o al vencer su plazo)
+  complete: {
+    label: 'Completar servicio',
+    from: ['in_progress'],
+    to: 'completed',
+    roles: ['admin', 'system'],
+    guards: ['professionalAssigned'],
+    effects: ['notifyParties', 'chatMessage', 'updateStatistics', 'stopTracking', 'syncWarrantyClaim']
+  },
+
+  cancel: {
+    label: 'Cancelar solicitud',
+    from: ['pending', 'quoted', 'accepted', 'confirmed'],
+    to: 'cancelled',
+    roles: ['client', 'professional', 'admin', 'system'],
+    guards: [],
+    effects: ['notifyParties', 'chatMessage', 'updateStatistics', 'applyCancellationPolicy', 'stopTracking', 'syncWarrantyClaim', 'releaseInstantBooking']
+  },
+
+  report_no_show: {
+    label: 'Reportar inasistencia del profesional',
+    from: ['confirmed'],
+    to: 'cancelled',
+    roles: ['client', 'admin', 'system'],
+    guards: ['professionalAssigned', 'startTimePassed'],
+    effects: ['notifyParties', 'chatMessage', 'updateStatistics', 'applyCancellationPolicy', 'stopTracking', 'syncWarrantyClaim', 'releaseInstantBooking'],
+    reason: 'professional_no_show'
+  },
+
+  dispute: {
+    label: 'Abrir disputa',
+    from: ['in_progress', 'completed'],
+    to: 'disputed',
+    roles: ['client', 'professional', 'system'],
+    guards: ['professionalAssigned'],
+    effects: ['notifyParties', 'chatMessage', 'stopTracking']
+  },
+
+  resolve_completed: {
+    label: 'Resolver disputa como completada',
+    from: ['disputed'],
+    to: 'completed',
+    roles: ['admin', 'system'],
+    guards: [],
+    effects: ['notifyParties', 'chatMessage', 'syncWarrantyClaim']
+  },
+
+  resolve_cancelled: {
+    label: 'Resolver disputa como cancelada',
+    from: ['disputed'],
+    to: 'cancelled',
+    roles: ['admin', 'system'],
+    guards: [],
+    effects: ['notifyParties', 'chatMessage', 'syncWarrantyClaim', 'releaseInstantBooking']
+  }
+};
+
+/**
+ * Mapa derivado estado -> estados alcanzables
+ * Lo usa el modelo para rechazar saltos ilegales independientemente del rol
+ */
+const ALLOWED_STATUS_TRANSITIONS = Object.values(SERVICE_REQUEST_TRANSITIONS)
+  .reduce((map, transition) => {
+    transition.from.forEach(status => {
+      map[status] = map[status] || [];
+      if (!map[status].includes(transition.to)) {
+        map[status].push(transition.to);
+      }
+    });
+    return map;
+  }, Object.keys(STATUS_LABELS).reduce((map, status) => ({ ...map, [status]: [] }), {}));
+
+/**
+ * Motivos fijos de las acciones: solo los asigna su propia acción (ej. la
+ * inasistencia únicamente vía report_no_show) y se rechazan como motivo enviado
+ * por el usuario en cualquier otra
+ */
+const RESERVED_REASONS = Object.values(SERVICE_REQUEST_TRANSITIONS)
+  .map(transition => transition.reason)
+  .filter(Boolean);
+
+/**
+ * Verificar si un cambio de estado está permitido por la tabla
+ * @param {string} from - Estado actual
+ * @param {string} to - Estado destino
+ * @returns {boolean}
+ */
+function isTransitionAllowed(from, to) {
+  if (from === to) return true;
+  return (ALLOWED_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Obtener las acciones disponibles desde un estado
+ * @param {string} status - Estado actual
+ * @returns {Array<string>} Nombres de las acciones
+ */
+function getActionsFromStatus(status) {
+  return Object.keys(SERVICE_REQUEST_TRANSITIONS)
+    .filter(action => SERVICE_REQUEST_TRANSITIONS[action].from.includes(status));
+}
+
+module.exports = {
+  TRANSITION_ROLES,
+  STATUS_LABELS,
+  SERVICE_REQUEST_TRANSITIONS,
+  ALLOWED_STATUS_TRANSITIONS,
+  RESERVED_REASONS,
+  isTransitionAllowed,
+  getActionsFromStatus
+};
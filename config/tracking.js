@@ -0,0 +1,47 @@
+/**
+ * Configuración del seguimiento en vivo del profesional
+ * El profesional asignado transmite su posición (Socket.IO o REST) mientras
+ * el servicio está confirmado o en progreso; solo el cliente la recibe
+ */
+
+const { NO_SHOW_CONFIG } = require('./cancellation-policies');
+
+const TRACKING_CONFIG = {
+  namespace: '/tracking',
+  trackableStatuses: ['confirmed', 'in_progress'],
+  minUpdateIntervalMs: parseInt(process.env.TRACKING_MIN_INTERVAL_SECONDS) * 1000 || 10 * 1000, // Frecuencia máxima de posiciones aceptadas
+  maxAccuracyMeters: 500,          // Se descartan lecturas de GPS más imprecisas
+  defaultSpeedKmh: 20,             // Ciudades sin velocidad promedio en config/locations
+  routeFactor: 1.3,                // Distancia por calles respecto a la distancia en línea recta
+  arrivalDistanceKm: 0.1           // Por debajo de esta distancia el ETA es inmediato
+};
+
+/**
+ * Geocerca alrededor de location.coordinates del servicio
+ * - Entrar al radio registra el checkpoint 'arrived' y avisa al cliente
+ * - Seguir fuera tras la hora pactada genera alertas de retraso y de posible
+ *   inasistencia para ambas partes y los administradores
+ */
+const GEOFENCE_CONFIG = {
+  arrivalRadiusMeters: parseInt(process.env.GEOFENCE_ARRIVAL_RADIUS_METERS) || 150,
+  lateAfterMinutes: parseInt(process.env.GEOFENCE_LATE_AFTER_MINUTES) || 15,
+  noShowAfterMinutes: NO_SHOW_CONFIG.graceMinutes // Coincide con la habilitación de report_no_show
+};
+
+// Alertas por tipo, de menor a mayor gravedad
+const ARRIVAL_ALERTS = {
+  late: {
+    afterMinutes: GEOFENCE_CONFIG.lateAfterMinutes,
+    template: 'ARRIVAL_DELAYED'
+  },
+  possible_no_show: {
+    afterMinutes: GEOFENCE_CONFIG.noShowAfterMinutes,
+    template: 'ARRIVAL_POSSIBLE_NO_SHOW'
+  }
+};
+
+module.exports = {
+  TRACKING_CONFIG,
+  GEOFENCE_CONFIG,
+  ARRIVAL_ALERTS
+};
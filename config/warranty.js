@@ -0,0 +1,38 @@
+/**
+ * Configuración de reclamos de garantía
+ * El cliente reclama sobre un servicio completado con garantía vigente; el
+ * profesional agenda una visita de seguimiento sin costo o impugna el reclamo,
+ * y los reclamos sin acuerdo pasan a un administrador
+ */
+
+// Ciclo de vida: respuesta del profesional, visita agendada o revisión de un administrador
+const WARRANTY_CLAIM_STATUSES = ['awaiting_response', 'visit_scheduled', 'under_review', 'resolved'];
+
+// Motivos por los que un reclamo pasa a revisión
+const WARRANTY_ESCALATION_REASONS = {
+  no_response: 'El profesional no respondió a tiempo',
+  contested: 'El profesional impugnó el reclamo',
+  visit_cancelled: 'La visita de garantía se canceló'
+};
+
+const WARRANTY_OUTCOMES = {
+  repaired: 'Atendido en visita de garantía',
+  rejected: 'Reclamo rechazado'
+};
+
+// Decisiones del administrador sobre un reclamo en revisión
+const WARRANTY_DECISIONS = ['order_visit', 'reject'];
+
+const WARRANTY_CONFIG = {
+  responseWindowHours: parseInt(process.env.WARRANTY_RESPONSE_WINDOW_HOURS) || 48, // Plazo del profesional
+  maxPhotos: 5,
+  maxFileBytes: 10 * 1024 * 1024
+};
+
+module.exports = {
+  WARRANTY_CLAIM_STATUSES,
+  WARRANTY_ESCALATION_REASONS,
+  WARRANTY_OUTCOMES,
+  WARRANTY_DECISIONS,
+  WARRANTY_CONFIG
+};
@@ -0,0 +1,98 @@
+/**
+ * Controlador de órdenes de cambio
+ * Trabajo adicional propuesto por el profesional durante el servicio y la
+ * aprobación o rechazo del cliente por ítem
+ */
+
+const ChangeOrderService = require('../services/ChangeOrderService');
+const ServiceRequestStateMachine = require('../services/ServiceRequestStateMachine');
+const logger = require('../utils/logger');
+const { handleControllerError } = require('../utils/response');
+const { loadServiceRequest } = require('../utils/service-requests');
+
+class ChangeOrderController {
+  /**
+   * Listar las órdenes de cambio de una solicitud (partes o admin)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getChangeOrders(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      await ServiceRequestStateMachine.assertActorRole(serviceRequest, req.user, ['client', 'professional', 'admin']);
+
+      return res.success(ChangeOrderService.getSummary(serviceRequest), 'Órdenes de cambio obtenidas exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo las órdenes de cambio', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Proponer una orden de cambio (profesional asignado)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async proposeChangeOrder(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const changeOrder = await ChangeOrderService.propose(serviceRequest, req.user, req.body, req.files || {});
+
+      logger.info('Orden de cambio propuesta:', {
+        serviceRequestId: serviceRequest._id,
+        changeOrderId: changeOrder._id,
+        items: changeOrder.items.length,
+        userId: req.userId
+      });
+
+      return res.success(changeOrder, 'Orden de cambio enviada; queda pendiente de aprobación del cliente', 201);
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error proponiendo la orden de cambio', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Aprobar o rechazar los ítems de una orden de cambio (cliente)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async decideChangeOrder(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const changeOrder = await ChangeOrderService.decide(
+        serviceRequest,
+        req.user,
+        req.params.orderId,
+        req.body.decisions
+      );
+
+      logger.info('Orden de cambio decidida:', {
+        serviceRequestId: serviceRequest._id,
+        changeOrderId: changeOrder._id,
+        authorization: changeOrder.authorization?.status,
+        userId: req.userId
+      });
+
+      return res.success({
+        changeOrder,
+        finalCost: serviceRequest.pricing.finalCost
+      }, 'Decisión registrada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error registrando la decisión de la orden de cambio', {
+        serviceRequestId: req.params.id,
+        changeOrderId: req.params.orderId,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = ChangeOrderController;
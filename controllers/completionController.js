@@ -0,0 +1,133 @@
+/**
+ * Controlador del cierre de servicios
+ * Acta de finalización del profesional y confirmación o impugnación del cliente
+ */
+
+const CompletionService = require('../services/CompletionService');
+const ServiceRequestStateMachine = require('../services/ServiceRequestStateMachine');
+const logger = require('../utils/logger');
+const { handleControllerError } = require('../utils/response');
+const { loadServiceRequest } = require('../utils/service-requests');
+
+class CompletionController {
+  /**
+   * Consultar el acta de finalización (partes o admin)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getCompletion(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      await ServiceRequestStateMachine.assertActorRole(serviceRequest, req.user, ['client', 'professional', 'admin']);
+
+      return res.success(CompletionService.getSummary(serviceRequest), 'Acta de finalización obtenida exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo el acta de finalización', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Enviar el acta de finalización (profesional asignado)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async submitCompletion(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const summary = await CompletionService.submit(serviceRequest, req.user, req.body, req.files || {});
+
+      logger.info('Acta de finalización enviada:', {
+        serviceRequestId: serviceRequest._id,
+        userId: req.userId
+      });
+
+      return res.success(summary, 'Acta de finalización enviada; queda pendiente de confirmación del cliente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error enviando el acta de finalización', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Confirmar el acta y completar el servicio (cliente)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async confirmCompletion(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const summary = await CompletionService.confirm(serviceRequest, req.user, req.file ? [req.file] : []);
+
+      logger.info('Acta de finalización confirmada:', {
+        serviceRequestId: serviceRequest._id,
+        capture: serviceRequest.completion.signOff.paymentCapture?.status,
+        userId: req.userId
+      });
+
+      return res.success(summary, 'Servicio completado exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error confirmando el acta de finalización', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Impugnar el acta y abrir una disputa (cliente)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async contestCompletion(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const dispute = await CompletionService.contest(serviceRequest, req.user, req.body, req.files || []);
+
+      logger.info('Acta de finalización impugnada:', {
+        serviceRequestId: serviceRequest._id,
+        disputeId: dispute._id,
+        userId: req.userId
+      });
+
+      return res.success(dispute, 'Acta impugnada; se abrió una disputa', 201);
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error impugnando el acta de finalización', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Reintentar la captura del pago de un servicio completado (admin)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async retryCapture(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const result = await CompletionService.retryCapture(serviceRequest);
+
+      return res.success(result, result.status === 'captured'
+        ? 'Pago capturado exitosamente'
+        : 'La captura del pago no se completó');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error reintentando la captura del pago', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = CompletionController;
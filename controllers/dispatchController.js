@@ -0,0 +1,97 @@
+/**
+ * Controlador del despacho de emergencias
+ * El cliente inicia y sigue el despacho; los profesionales que reciben la
+ * oferta la aceptan o rechazan (alternativa REST al namespace /dispatch)
+ */
+
+const EmergencyDispatchService = require('../services/EmergencyDispatchService');
+const { handleControllerError } = require('../utils/response');
+const { loadServiceRequest } = require('../utils/service-requests');
+
+class DispatchController {
+  /**
+   * Iniciar (o reintentar) el despacho de una emergencia
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async startDispatch(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const dispatched = await EmergencyDispatchService.start(serviceRequest, req.user);
+
+      return res.success(
+        EmergencyDispatchService.getClientState(dispatched),
+        'Despacho de emergencia iniciado',
+        201
+      );
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error iniciando el despacho de emergencia', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Consultar el despacho de una emergencia
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getDispatch(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const dispatch = await EmergencyDispatchService.getStatus(serviceRequest, req.user);
+
+      return res.success(dispatch, 'Despacho de emergencia obtenido exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo el despacho de emergencia', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Aceptar la oferta de una emergencia
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async acceptOffer(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const assigned = await EmergencyDispatchService.accept(serviceRequest, req.user);
+
+      return res.success(assigned, 'Emergencia asignada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error aceptando la emergencia', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Rechazar la oferta de una emergencia
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async declineOffer(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      await EmergencyDispatchService.decline(serviceRequest, req.user);
+
+      return res.success({ serviceRequestId: serviceRequest._id }, 'Oferta de emergencia rechazada');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error rechazando la emergencia', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = DispatchController;
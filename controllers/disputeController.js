@@ -0,0 +1,249 @@
+/**
+ * Controlador de disputas
+ * Apertura, respuesta y evidencia por las partes; cola de arbitraje y resolución por administradores
+ */
+
+const Dispute = require('../models/Dispute');
+const Professional = require('../models/Professional');
+const DisputeService = require('../services/DisputeService');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { handleControllerError } = require('../utils/response');
+const { loadServiceRequest } = require('../utils/service-requests');
+
+class DisputeController {
+  /**
+   * Cargar una disputa
+   * @param {string} id - ID de la disputa
+   * @returns {Promise<Object>} Disputa
+   */
+  static async loadDispute(id) {
+    const dispute = await Dispute.findById(id);
+    if (!dispute) {
+      throw new AppError('Disputa no encontrada', 404, 'DISPUTE_NOT_FOUND');
+    }
+    return dispute;
+  }
+
+  /**
+   * Abrir una disputa
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async openDispute(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.body.serviceRequestId);
+      const dispute = await DisputeService.open(serviceRequest, req.user, req.body, req.files || []);
+
+      logger.info('Disputa abierta:', {
+        disputeId: dispute._id,
+        serviceRequestId: serviceRequest._id,
+        category: dispute.category,
+        userId: req.userId
+      });
+
+      return res.success(dispute, 'Disputa abierta exitosamente', 201);
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error abriendo la disputa', {
+        serviceRequestId: req.body.serviceRequestId,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Listar las disputas del usuario autenticado
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getMyDisputes(req, res) {
+    try {
+      const { status, page = 1, limit = 10 } = req.query;
+      const parties = [{ clientId: req.user._id }];
+
+      if (req.user.role === 'professional') {
+        const professional = await Professional.findOne({ userId: req.user._id }).select('_id');
+        if (professional) parties.push({ professionalId: professional._id });
+      }
+
+      const query = { $or: parties };
+      if (status) query.status = status;
+
+      const [disputes, total] = await Promise.all([
+        Dispute.find(query)
+          .sort({ createdAt: -1 })
+          .skip((parseInt(page) - 1) * parseInt(limit))
+          .limit(parseInt(limit))
+          .populate('serviceRequestId', 'service.title service.category status')
+          .select('-evidence'),
+        Dispute.countDocuments(query)
+      ]);
+
+      return res.success({
+        disputes,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }, 'Disputas obtenidas exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo disputas', {
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Obtener una disputa con su evidencia
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getDispute(req, res) {
+    try {
+      const dispute = await DisputeController.loadDispute(req.params.id);
+
+      if (!await DisputeService.getRole(dispute, req.user)) {
+        return res.forbidden('No tienes permisos para ver esta disputa');
+      }
+
+      if (DisputeService.escalateIfOverdue(dispute)) {
+        await dispute.save();
+      }
+
+      await dispute.populate([
+        { path: 'serviceRequestId', select: 'service status pricing scheduling changeOrders' },
+        { path: 'openedBy', select: 'firstName lastName' },
+        { path: 'assignedTo', select: 'firstName lastName email' }
+      ]);
+
+      return res.success(dispute, 'Disputa obtenida exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo la disputa', {
+        disputeId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Responder la disputa (contraparte)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async respondDispute(req, res) {
+    try {
+      const dispute = await DisputeController.loadDispute(req.params.id);
+      const serviceRequest = await loadServiceRequest(dispute.serviceRequestId);
+
+      await DisputeService.respond(dispute, serviceRequest, req.user, req.body, req.files || []);
+
+      return res.success(dispute, 'Respuesta registrada; la disputa queda en revisión');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error respondiendo la disputa', {
+        disputeId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Aportar evidencia adicional
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async addEvidence(req, res) {
+    try {
+      const dispute = await DisputeController.loadDispute(req.params.id);
+      const serviceRequest = await loadServiceRequest(dispute.serviceRequestId);
+
+      await DisputeService.addEvidence(dispute, serviceRequest, req.user, req.body, req.files || []);
+
+      return res.success(dispute.evidence, 'Evidencia agregada exitosamente', 201);
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error agregando evidencia', {
+        disputeId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Cola de arbitraje (admin)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getArbitrationQueue(req, res) {
+    try {
+      const filters = { ...req.query };
+      if (filters.assignedTo === 'me') filters.assignedTo = req.user._id;
+
+      const result = await DisputeService.getQueue(filters);
+
+      return res.success(result, 'Cola de disputas obtenida exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo la cola de disputas', {
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Asignarse una disputa (admin)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async assignDispute(req, res) {
+    try {
+      const dispute = await DisputeController.loadDispute(req.params.id);
+      await DisputeService.assign(dispute, req.user);
+
+      return res.success(dispute, 'Disputa asignada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error asignando la disputa', {
+        disputeId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Resolver una disputa (admin)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async resolveDispute(req, res) {
+    try {
+      const dispute = await DisputeController.loadDispute(req.params.id);
+      const serviceRequest = await loadServiceRequest(dispute.serviceRequestId);
+
+      await DisputeService.resolve(dispute, serviceRequest, req.user, req.body);
+
+      return res.success({
+        dispute,
+        serviceRequest: {
+          _id: serviceRequest._id,
+          status: serviceRequest.status,
+          payment: serviceRequest.payment,
+          cancellation: serviceRequest.cancellation
+        }
+      }, 'Disputa resuelta exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error resolviendo la disputa', {
+        disputeId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = DisputeController;
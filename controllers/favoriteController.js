@@ -0,0 +1,85 @@
+/**
+ * Controlador de profesionales favoritos
+ * Los clientes marcan profesionales como favoritos y los listan con su
+ * disponibilidad actual (ver FavoriteService)
+ */
+
+const FavoriteService = require('../services/FavoriteService');
+const { handleControllerError } = require('../utils/response');
+
+class FavoriteController {
+  /**
+   * Listar los profesionales favoritos del cliente con su disponibilidad
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async listFavorites(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+      const { favorites, total } = await FavoriteService.list(req.user, { page, limit });
+
+      return res.success({
+        favorites,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }, 'Favoritos obtenidos exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo los favoritos', {
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Marcar un profesional como favorito
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async addFavorite(req, res) {
+    try {
+      const result = await FavoriteService.add(req.user, req.params.professionalId);
+
+      return res.success(
+        result,
+        'Profesional agregado a favoritos',
+        result.created ? 201 : 200
+      );
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error agregando el favorito', {
+        professionalId: req.params.professionalId,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Quitar un profesional de favoritos
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async removeFavorite(req, res) {
+    try {
+      await FavoriteService.remove(req.user, req.params.professionalId);
+
+      return res.success({ professionalId: req.params.professionalId }, 'Profesional eliminado de favoritos');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error eliminando el favorito', {
+        professionalId: req.params.professionalId,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = FavoriteController;
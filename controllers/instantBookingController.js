@@ -0,0 +1,40 @@
+/**
+ * Controlador de reservas inmediatas
+ * El cliente reserva y paga una franja libre de un servicio de precio fijo; la
+ * solicitud queda confirmada sin cotización
+ */
+
+const InstantBookingService = require('../services/InstantBookingService');
+const { handleControllerError } = require('../utils/response');
+
+class InstantBookingController {
+  /**
+   * Reservar una franja de un servicio de precio fijo
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async book(req, res) {
+    try {
+      const { serviceRequest, payment } = await InstantBookingService.book(req.user, req.body);
+
+      return res.success({
+        serviceRequest,
+        payment: {
+          _id: payment._id,
+          paymentId: payment.paymentId,
+          amount: payment.totalAmount,
+          currency: payment.currency,
+          status: payment.status
+        }
+      }, 'Reserva confirmada exitosamente', 201);
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error creando la reserva inmediata', {
+        professionalId: req.body.professionalId,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = InstantBookingController;
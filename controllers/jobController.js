@@ -0,0 +1,88 @@
+/**
+ * Controlador de tareas programadas (admin)
+ * Estado, historial y ejecución manual de las tareas de JobScheduler
+ */
+
+const JobScheduler = require('../services/JobScheduler');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+
+class JobController {
+  /**
+   * Listar las tareas con su estado y última ejecución
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async listJobs(req, res) {
+    try {
+      const jobs = await JobScheduler.listJobs();
+
+      return res.success(jobs, 'Tareas programadas obtenidas exitosamente');
+
+    } catch (error) {
+      logger.error('Error obteniendo tareas programadas:', {
+        error: error.message,
+        userId: req.userId
+      });
+      return res.serverError('Error obteniendo tareas programadas');
+    }
+  }
+
+  /**
+   * Historial de ejecuciones de una tarea
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getJobRuns(req, res) {
+    try {
+      const runs = await JobScheduler.getRuns(req.params.name, req.query);
+
+      return res.success(runs, 'Historial de la tarea obtenido exitosamente');
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.error(error.message, error.statusCode, error.details);
+      }
+
+      logger.error('Error obteniendo historial de tarea:', {
+        error: error.message,
+        job: req.params.name,
+        userId: req.userId
+      });
+      return res.serverError('Error obteniendo el historial de la tarea');
+    }
+  }
+
+  /**
+   * Ejecutar una tarea manualmente
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async runJob(req, res) {
+    try {
+      const run = await JobScheduler.trigger(req.params.name, req.user);
+
+      logger.info('Tarea programada ejecutada manualmente:', {
+        job: req.params.name,
+        runId: run._id,
+        userId: req.userId
+      });
+
+      return res.success(run, 'Ejecución de la tarea iniciada', 202);
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.error(error.message, error.statusCode, error.details);
+      }
+
+      logger.error('Error ejecutando tarea manualmente:', {
+        error: error.message,
+        job: req.params.name,
+        userId: req.userId
+      });
+      return res.serverError('Error ejecutando la tarea');
+    }
+  }
+}
+
+module.exports = JobController;
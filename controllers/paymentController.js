@@ -8,7 +8,7 @@ const Professional = require('../models/Professional');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
 const Invoice = require('../models/Invoice');
-const { PaymentService } = require('../utils/payments');
+const { PaymentService, paymentService } = require('../utils/payments');
 const { NotificationService } = require('../utils/notifications');
 const logger = require('../utils/logger');
 const { validatePayment } = require('../utils/validation');
@@ -56,10 +56,10 @@ class PaymentController {
         return res.error('El servicio no está en un estado válido para realizar el pago', 400);
       }
 
-      // Verificar que no haya un pago exitoso previo
+      // Verificar que no haya un pago autorizado o exitoso previo
       const existingPayment = await Payment.findOne({
         serviceRequest: serviceRequestId,
-        status: 'completed'
+        status: { $in: ['processing', 'completed'] }
       });
 
       if (existingPayment) {
@@ -75,6 +75,7 @@ class PaymentController {
 
       // Crear registro de pago
       const payment = new Payment({
+        paymentId: Payment.generatePaymentId(),
         serviceRequest: serviceRequestId,
         client: req.userId,
         professional: serviceRequest.assignedProfessional._id,
@@ -96,36 +97,44 @@ class PaymentController {
       await payment.save();
 
       try {
-        // Procesar pago con el proveedor de pagos
-        const paymentResult = await PaymentService.processPayment({
+        // Autorizar el pago con el proveedor; se captura el costo final cuando
+        // el cliente confirma el acta de finalización (CompletionService)
+        const paymentResult = await paymentService.authorizePayment({
           amount: totalAmount,
           currency: payment.currency,
-          paymentMethod: paymentData.paymentMethod,
-          customer: {
-            id: req.userId,
-            email: serviceRequest.client.email,
-            name: `${serviceRequest.client.firstName} ${serviceRequest.client.lastName}`
-          },
+          paymentMethodId: paymentData.paymentMethodId,
           metadata: {
             paymentId: payment._id.toString(),
             serviceRequestId,
+            clientId: req.userId,
             type: 'service_payment'
           },
           description: payment.description
         });
 
+        if (!paymentResult.success) {
+          throw new Error(paymentResult.error);
+        }
+
         // Actualizar pago con información del proveedor
-        payment.providerTransactionId = paymentResult.transactionId;
-        payment.providerResponse = paymentResult;
+        payment.paymentMethod.provider = paymentResult.provider;
+        payment.providerPaymentId = paymentResult.providerPaymentId;
+        payment.providerResponse = paymentResult.payment;
         payment.status = paymentResult.status;
+        payment.processedAt = new Date();
         payment.paidAt = paymentResult.status === 'completed' ? new Date() : null;
 
+        if (paymentResult.status === 'processing') {
+          // Pago autorizado pendiente de captura (suficiente para iniciar el servicio)
+          serviceRequest.payment.paymentStatus = 'processing';
+          serviceRequest.payment.paymentIntentId = paymentResult.providerPaymentId;
+          await serviceRequest.save();
+        }
+
         if (paymentResult.status === 'completed') {
-          // Actualizar estado del servicio
-          serviceRequest.paymentStatus = 'paid';
-          if (serviceRequest.status === 'completed') {
-            serviceRequest.status = 'paid';
-          }
+          // Registrar el pago capturado (requerido para iniciar el servicio)
+          serviceRequest.payment.paymentStatus = 'completed';
+          serviceRequest.payment.paidAt = new Date();
           await serviceRequest.save();
 
           // Crear factura
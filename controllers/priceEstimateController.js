@@ -0,0 +1,30 @@
+/**
+ * Controlador del estimador de precios
+ * Rango de precio esperado para un servicio según los trabajos completados
+ * (ver PriceEstimateService)
+ */
+
+const PriceEstimateService = require('../services/PriceEstimateService');
+const { handleControllerError } = require('../utils/response');
+
+class PriceEstimateController {
+  /**
+   * Estimar el precio de un servicio
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getEstimate(req, res) {
+    try {
+      const estimate = await PriceEstimateService.estimate(req.query);
+
+      return res.success(estimate, 'Estimación de precio obtenida exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error estimando el precio', {
+        category: req.query.category
+      });
+    }
+  }
+}
+
+module.exports = PriceEstimateController;
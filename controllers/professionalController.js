@@ -1,13 +1,25 @@
 const Professional = require('../models/Professional');
 const User = require('../models/User');
 const ServiceRequest = require('../models/ServiceRequest');
+const ServiceSeries = require('../models/ServiceSeries');
 const Review = require('../models/Review');
+const AvailabilityBlock = require('../models/AvailabilityBlock');
 const { validateData } = require('../utils/validation');
 const { professionalProfileSchema, serviceSchema, availabilitySchema, quoteSchema } = require('../utils/validation');
 const { storageService } = require('../utils/storage');
 const { geolocationUtils } = require('../utils/geolocation');
 const { notificationService } = require('../utils/notifications');
+const AvailabilityService = require('../services/AvailabilityService');
+const CalendarFeedService = require('../services/CalendarFeedService');
+const CalendarImportService = require('../services/CalendarImportService');
+const CancellationService = require('../services/CancellationService');
+const ProfessionalSearchService = require('../services/ProfessionalSearchService');
+const FavoriteService = require('../services/FavoriteService');
+const { AppError } = require('../utils/errors');
+const { TimezoneUtils } = require('../utils/timezone');
 const logger = require('../utils/logger');
+const { SLOT_CONFIG } = require('../config/scheduling');
+const { PRICE_RANGES, SEARCH_CONFIG } = require('../config/search');
 const mongoose = require('mongoose');
 
 /**
@@ -155,6 +167,363 @@ class ProfessionalController {
     }
   }
 
+  /**
+   * Obtener franjas horarias reservables de un profesional
+   * Query: from, to (YYYY-MM-DD en la zona horaria del profesional), duration (minutos)
+   */
+  static async getAvailableSlots(req, res) {
+    try {
+      const { professionalId } = req.params;
+      const { from, to, duration } = req.query;
+
+      if (!mongoose.Types.ObjectId.isValid(professionalId)) {
+        return res.badRequest('ID de profesional inválido');
+      }
+
+      const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+      if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+        return res.badRequest('Las fechas deben tener formato YYYY-MM-DD');
+      }
+
+      if (from && to && to < from) {
+        return res.badRequest('La fecha final debe ser posterior a la inicial');
+      }
+
+      const rangeDays = from && to
+        ? Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000)) + 1
+        : 0;
+      if (rangeDays > SLOT_CONFIG.maxRangeDays) {
+        return res.badRequest(`El rango máximo es de ${SLOT_CONFIG.maxRangeDays} días`);
+      }
+
+      const durationMinutes = duration ? parseInt(duration) : SLOT_CONFIG.defaultDurationMinutes;
+      if (isNaN(durationMinutes) ||
+          durationMinutes < SLOT_CONFIG.minDurationMinutes ||
+          durationMinutes > SLOT_CONFIG.maxDurationMinutes) {
+        return res.badRequest(`La duración debe estar entre ${SLOT_CONFIG.minDurationMinutes} y ${SLOT_CONFIG.maxDurationMinutes} minutos`);
+      }
+
+      const professional = await Professional.findById(professionalId)
+        .select('availability preferences isActive');
+
+      if (!professional || !professional.isActive) {
+        return res.notFound('Profesional no encontrado');
+      }
+
+      const slots = await AvailabilityService.getAvailableSlots(professional, {
+        from,
+        to,
+        duration: durationMinutes
+      });
+
+      res.success(slots, 'Franjas disponibles obtenidas exitosamente');
+
+    } catch (error) {
+      logger.error('Error obteniendo franjas disponibles', {
+        error: error.message,
+        professionalId: req.params.professionalId
+      });
+      res.serverError('Error interno del servidor');
+    }
+  }
+
+  /**
+   * Servir el feed ICS de la agenda (acceso por token secreto)
+   */
+  static async getCalendarFeed(req, res) {
+    try {
+      const professional = await CalendarFeedService.findProfessionalByToken(req.params.token);
+
+      if (!professional) {
+        return res.status(404).type('text/plain').send('Calendario no encontrado');
+      }
+
+      const calendar = await CalendarFeedService.buildFeed(professional);
+      await CalendarFeedService.touchFeed(professional);
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="agenda.ics"',
+        'Cache-Control': 'private, max-age=300'
+      });
+      res.send(calendar);
+
+    } catch (error) {
+      logger.error('Error generando feed de calendario', {
+        error: error.message
+      });
+      res.status(500).type('text/plain').send('Error interno del servidor');
+    }
+  }
+
+  /**
+   * Obtener el estado del feed de calendario del profesional
+   */
+  static async getCalendarFeedStatus(req, res) {
+    try {
+      const professional = await Professional.findOne({ userId: req.user._id })
+        .select('+calendarFeed.tokenHash');
+
+      if (!professional) {
+        return res.notFound('Perfil profesional no encontrado');
+      }
+
+      const feed = professional.calendarFeed || {};
+
+      res.success({
+        enabled: !!feed.tokenHash,
+        createdAt: feed.createdAt || null,
+        lastAccessedAt: feed.lastAccessedAt || null
+      }, 'Estado del calendario obtenido exitosamente');
+
+    } catch (error) {
+      logger.error('Error obteniendo estado del calendario', {
+        error: error.message,
+        userId: req.user?._id
+      });
+      res.serverError('Error interno del servidor');
+    }
+  }
+
+  /**
+   * Generar (o rotar) el token del feed de calendario
+   * La URL anterior deja de funcionar inmediatamente
+   */
+  static async rotateCalendarFeedToken(req, res) {
+    try {
+      const professional = await Professional.findOne({ userId: req.user._id });
+
+      if (!professional) {
+        return res.notFound('Perfil profesional no encontrado');
+      }
+
+      const { url } = await CalendarFeedService.rotateToken(professional);
+
+      logger.info('Token de calendario rotado', {
+        professionalId: professional._id
+      });
+
+      res.success({
+        url,
+        createdAt: professional.calendarFeed.createdAt
+      }, 'Enlace de calendario generado exitosamente');
+
+    } catch (error) {
+      logger.error('Error rotando token de calendario', {
+        error: error.message,
+        userId: req.user?._id
+      });
+      res.serverError('Error interno del servidor');
+    }
+  }
+
+  /**
+   * Desactivar el feed de calendario
+   */
+  static async disableCalendarFeed(req, res) {
+    try {
+      const professional = await Professional.findOne({ userId: req.user._id });
+
+      if (!professional) {
+        return res.notFound('Perfil profesional no encontrado');
+      }
+
+      await CalendarFeedService.disableFeed(professional);
+
+      res.success(null, 'Calendario desactivado exitosamente');
+
+    } catch (error) {
+      logger.error('Error desactivando calendario', {
+        error: error.message,
+        userId: req.user?._id
+      });
+      res.serverError('Error interno del servidor');
+    }
+  }
+
+  /**
+   * Listar calendarios externos importados
+   */
+  static async getCalendarImports(req, res) {
+    try {
+      const professional = await Professional.findOne({ userId: req.user._id });
+
+      if (!professional) {
+        return res.notFound('Perfil profesional no encontrado');
+      }
+
+      res.success({
+        calendars: professional.calendarImports.map(calendar =>
+          CalendarImportService.serializeCalendar(calendar)
+        )
+      }, 'Calendarios importados obtenidos exitosamente');
+
+    } catch (error) {
+      logger.error('Error obteniendo calendarios importados', {
+        error: error.message,
+        userId: req.user?._id
+      });
+      res.serverError('Error interno del servidor');
+    }
+  }
+
+  /**
+   * Importar un calendario externo (archivo .ics o URL sincronizada periódicamente)
+   */
+  static async addCalendarImport(req, res) {
+    try {
+      const { name, url } = req.body;
+
+      if (!url === !req.file) {
+        return res.badRequest('Debes enviar una URL o un archivo .ics (solo uno)');
+      }
+
+      const professional = await Professional.findOne({ userId: req.user._id });
+
+      if (!professional) {
+        return res.notFound('Perfil profesional no encontrado');
+      }
+
+      const calendar = await CalendarImportService.addCalendar(professional, {
+        name,
+        url,
+        content: req.file ? req.file.buffer.toString('utf8') : null
+      });
+
+      res.success({
+        calendar: CalendarImportService.serializeCalendar(calendar)
+      }, 'Calendario importado exitosamente', 201);
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.error(error.message, error.statusCode, error.details);
+      }
+
+      logger.error('Error importando calendario', {
+        error: error.message,
+        userId: req.user?._id
+      });
+      res.serverError('Error interno del servidor');
+    }
+  }
+
+  /**
+   * Reimportar un calendario externo; reemplaza sus bloqueos anteriores
+   * Los calendarios de archivo requieren subir el .ics actualizado
+   */
+  static async syncCalendarImport(req, res) {
+    try {
+      const professional = await Professional.findOne({ userId: req.user._id });
+
+      if (!professional) {
+        return res.notFound('Perfil profesional no encontrado');
+      }
+
+      const calendar = CalendarImportService.getCalendar(professional, req.params.calendarId);
+      await CalendarImportService.syncCalendar(
+        professional,
+        calendar,
+        req.file ? req.file.buffer.toString('utf8') : null
+      );
+
+      res.success({
+        calendar: CalendarImportService.serializeCalendar(calendar)
+      }, 'Calendario sincronizado exitosamente');
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.error(error.message, error.statusCode, error.details);
+      }
+
+      logger.error('Error sincronizando calendario', {
+        error: error.message,
+        userId: req.user?._id,
+        calendarId: req.params.calendarId
+      });
+      res.serverError('Error interno del servidor');
+    }
+  }
+
+  /**
+   * Eliminar un calendario importado y sus bloqueos
+   */
+  static async deleteCalendarImport(req, res) {
+    try {
+      const professional = await Professional.findOne({ userId: req.user._id });
+
+      if (!professional) {
+        return res.notFound('Perfil profesional no encontrado');
+      }
+
+      await CalendarImportService.removeCalendar(professional, req.params.calendarId);
+
+      res.success(null, 'Calendario eliminado exitosamente');
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.error(error.message, error.statusCode, error.details);
+      }
+
+      logger.error('Error eliminando calendario', {
+        error: error.message,
+        userId: req.user?._id,
+        calendarId: req.params.calendarId
+      });
+      res.serverError('Error interno del servidor');
+    }
+  }
+
+  /**
+   * Listar bloqueos de agenda importados (solo lectura)
+   * Query: from, to (YYYY-MM-DD en la zona horaria del profesional)
+   */
+  static async getAvailabilityBlocks(req, res) {
+    try {
+      const { from, to } = req.query;
+      const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+      if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+        return res.badRequest('Las fechas deben tener formato YYYY-MM-DD');
+      }
+
+      const professional = await Professional.findOne({ userId: req.user._id });
+
+      if (!professional) {
+        return res.notFound('Perfil profesional no encontrado');
+      }
+
+      const timeZone = AvailabilityService.getTimeZone(professional);
+      const fromKey = from || TimezoneUtils.toLocal(new Date(), timeZone).dateKey;
+      const toKey = to || TimezoneUtils.addDaysToKey(fromKey, SLOT_CONFIG.maxRangeDays - 1);
+
+      const blocks = await AvailabilityBlock.findOverlapping(
+        professional._id,
+        TimezoneUtils.toUtc(fromKey, '00:00', timeZone),
+        TimezoneUtils.toUtc(TimezoneUtils.addDaysToKey(toKey, 1), '00:00', timeZone)
+      );
+
+      res.success({
+        timeZone,
+        from: fromKey,
+        to: toKey,
+        blocks: blocks.map(block => ({
+          start: block.start,
+          end: block.end,
+          allDay: block.allDay,
+          calendarId: block.calendarId,
+          calendarName: professional.calendarImports.id(block.calendarId)?.name || null
+        }))
+      }, 'Bloqueos de agenda obtenidos exitosamente');
+
+    } catch (error) {
+      logger.error('Error obteniendo bloqueos de agenda', {
+        error: error.message,
+        userId: req.user?._id
+      });
+      res.serverError('Error interno del servidor');
+    }
+  }
+
   /**
    * Agregar servicio
    */
@@ -360,157 +729,174 @@ class ProfessionalController {
   }
 
   /**
-   * Buscar profesionales
+   * Adoptar una política de cancelación (null vuelve a la de la categoría)
+   */
+  static async updateCancellationPolicy(req, res) {
+    try {
+      const professional = await Professional.findOne({ userId: req.user._id });
+
+      if (!professional) {
+        return res.notFound('Perfil profesional no encontrado');
+      }
+
+      professional.preferences.cancellationPolicy = req.body.policy;
+      await professional.save();
+
+      logger.info('Política de cancelación actualizada', {
+        professionalId: professional._id,
+        policy: req.body.policy
+      });
+
+      res.success({
+        cancellationPolicy: professional.preferences.cancellationPolicy,
+        policies: CancellationService.listPolicies()
+      }, 'Política de cancelación actualizada exitosamente');
+
+    } catch (error) {
+      logger.error('Error actualizando política de cancelación', {
+        error: error.message,
+        userId: req.user?._id
+      });
+      res.serverError('Error interno del servidor');
+    }
+  }
+
+  /**
+   * Configurar la reserva inmediata (autoAcceptBookings y límite semanal)
+   */
+  static async updateInstantBookingSettings(req, res) {
+    try {
+      const professional = await Professional.findOne({ userId: req.user._id });
+
+      if (!professional) {
+        return res.notFound('Perfil profesional no encontrado');
+      }
+
+      Object.entries(req.body).forEach(([key, value]) => {
+        professional.preferences[key] = value;
+      });
+      await professional.save();
+
+      logger.info('Reserva inmediata actualizada', {
+        professionalId: professional._id,
+        ...req.body
+      });
+
+      res.success({
+        autoAcceptBookings: professional.preferences.autoAcceptBookings,
+        maxInstantBookingsPerWeek: professional.preferences.maxInstantBookingsPerWeek,
+        // Solo los servicios de precio fijo admiten reserva inmediata
+        instantBookableServices: professional.services
+          .filter(service => service.isActive && service.pricing?.type === 'fixed')
+          .map(service => ({ _id: service._id, title: service.title, price: service.pricing.amount }))
+      }, 'Reserva inmediata actualizada exitosamente');
+
+    } catch (error) {
+      logger.error('Error actualizando reserva inmediata', {
+        error: error.message,
+        userId: req.user?._id
+      });
+      res.serverError('Error interno del servidor');
+    }
+  }
+
+  /**
+   * Buscar profesionales con facetas. Con texto libre (q) se ordena por
+   * relevancia; sin él, por el motor de ranking (sortBy=score) o por un criterio
+   * puntual. Cada faceta cuenta los resultados que daría con el resto de filtros
    */
   static async searchProfessionals(req, res) {
     try {
       const {
+        q,
         category,
         subcategory,
         location,
         radius = 10,
         minRating = 0,
         maxPrice,
-        availability,
+        priceRange,
+        budget,
         verified,
+        emergencyServices,
+        weekendWork,
+        subscription,
         page = 1,
-        limit = 10,
-        sortBy = 'rating'
+        limit = 10
       } = req.query;
 
-      // Construir filtros
-      const matchStage = {
-        'userId.isActive': true
-      };
-
-      if (category) {
-        matchStage['services.category'] = category;
+      const text = typeof q === 'string' ? q.trim() : '';
+      if (text.length > SEARCH_CONFIG.maxQueryLength) {
+        return res.badRequest(`La búsqueda no puede superar ${SEARCH_CONFIG.maxQueryLength} caracteres`);
       }
 
-      if (subcategory) {
-        matchStage['services.subcategory'] = subcategory;
+      if (priceRange && !PRICE_RANGES.some(range => range.key === priceRange)) {
+        return res.badRequest(`Rango de precio inválido. Use: ${PRICE_RANGES.map(range => range.key).join(', ')}`);
       }
 
-      if (minRating > 0) {
-        matchStage['rating.average'] = { $gte: parseFloat(minRating) };
+      const subscriptionPlans = subscription
+        ? String(subscription).split(',').map(plan => plan.trim()).filter(Boolean)
+        : [];
+      const plans = Professional.schema.path('subscription.plan').enumValues;
+      const invalidPlan = subscriptionPlans.find(plan => !plans.includes(plan));
+      if (invalidPlan) {
+        return res.badRequest(`Plan de suscripción inválido: ${invalidPlan}`);
       }
 
-      if (maxPrice) {
-        matchStage['services.pricing.basePrice'] = { $lte: parseFloat(maxPrice) };
-      }
-
-      if (verified === 'true') {
-        matchStage['verification.isVerified'] = true;
-      }
-
-      if (availability === 'true') {
-        matchStage['availability.isCurrentlyAvailable'] = true;
-      }
-
-      // Pipeline de agregación
-      const pipeline = [
-        {
-          $lookup: {
-            from: 'users',
-            localField: 'userId',
-            foreignField: '_id',
-            as: 'userId'
-          }
-        },
-        { $unwind: '$userId' },
-        { $match: matchStage }
-      ];
-
-      // Filtro por ubicación
+      let coordinates = null;
       if (location) {
         const [lat, lng] = location.split(',').map(Number);
         if (!isNaN(lat) && !isNaN(lng)) {
-          pipeline.push({
-            $geoNear: {
-              near: {
-                type: 'Point',
-                coordinates: [lng, lat]
-              },
-              distanceField: 'distance',
-              maxDistance: radius * 1000, // convertir km a metros
-              spherical: true
-            }
-          });
+          coordinates = [lng, lat];
         }
       }
 
-      // Ordenamiento
-      const sortStage = {};
-      switch (sortBy) {
-        case 'rating':
-          sortStage['rating.average'] = -1;
-          break;
-        case 'price':
-          sortStage['services.pricing.basePrice'] = 1;
-          break;
-        case 'distance':
-          if (location) {
-            sortStage.distance = 1;
-          } else {
-            sortStage['rating.average'] = -1;
-          }
-          break;
-        case 'reviews':
-          sortStage['rating.count'] = -1;
-          break;
-        default:
-          sortStage['rating.average'] = -1;
-      }
-
-      pipeline.push({ $sort: sortStage });
-
-      // Paginación
-      pipeline.push(
-        { $skip: (page - 1) * limit },
-        { $limit: parseInt(limit) }
-      );
-
-      // Proyección
-      pipeline.push({
-        $project: {
-          'userId.password': 0,
-          'userId.refreshTokens': 0,
-          'userId.verification': 0,
-          'userId.passwordReset': 0,
-          'bankInfo': 0,
-          'documents': 0,
-          'earnings': 0
-        }
-      });
-
-      const professionals = await Professional.aggregate(pipeline);
-
-      // Contar total para paginación
-      const countPipeline = pipeline.slice(0, -3); // Remover skip, limit y project
-      countPipeline.push({ $count: 'total' });
-      const countResult = await Professional.aggregate(countPipeline);
-      const total = countResult[0]?.total || 0;
+      const sortBy = req.query.sortBy || (text ? 'relevance' : 'score');
+      const pageNumber = parseInt(page) || 1;
+      const pageSize = parseInt(limit) || 10;
 
-      res.success('Búsqueda de profesionales completada', {
-        professionals,
+      const { results, total, facets } = await ProfessionalSearchService.search({
+        q: text || undefined,
+        category,
+        subcategory,
+        coordinates,
+        radiusKm: parseFloat(radius) || undefined,
+        minRating: parseFloat(minRating) || undefined,
+        maxPrice: parseFloat(maxPrice) || undefined,
+        priceRange,
+        budget: parseFloat(budget) || undefined,
+        verifiedOnly: verified === 'true',
+        emergencyServices: emergencyServices === 'true',
+        weekendWork: weekendWork === 'true',
+        subscriptionPlans
+      }, { sortBy, page: pageNumber, limit: pageSize, facets: true });
+
+      res.success({
+        professionals: results.map(result => ProfessionalSearchService.toResponse(result)),
+        facets,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
+          page: pageNumber,
+          limit: pageSize,
           total,
-          pages: Math.ceil(total / limit)
+          pages: Math.ceil(total / pageSize)
         },
         filters: {
+          q: text || undefined,
           category,
           subcategory,
           location,
           radius,
           minRating,
           maxPrice,
-          availability,
+          priceRange,
+          budget,
           verified,
+          emergencyServices,
+          weekendWork,
+          subscription: subscriptionPlans.length > 0 ? subscriptionPlans : undefined,
           sortBy
         }
-      });
+      }, 'Búsqueda de profesionales completada');
 
     } catch (error) {
       logger.error('Error buscando profesionales', {
@@ -527,25 +913,33 @@ class ProfessionalController {
   static async getServiceRequests(req, res) {
     try {
       const user = req.user;
-      const { status, page = 1, limit = 10 } = req.query;
+      const { status, seriesId, page = 1, limit = 10 } = req.query;
 
       const professional = await Professional.findOne({ userId: user._id });
       if (!professional) {
         return res.notFound('Perfil profesional no encontrado');
       }
 
-      // Construir filtros
+      // Construir filtros (incluye las solicitudes privadas dirigidas a él)
       const filters = {
-        professional: professional._id
+        $or: [
+          { professionalId: professional._id },
+          { 'directRequest.professionalId': professional._id }
+        ]
       };
 
       if (status) {
         filters.status = status;
       }
 
+      if (seriesId) {
+        filters['series.seriesId'] = seriesId;
+      }
+
       // Obtener solicitudes
       const serviceRequests = await ServiceRequest.find(filters)
-        .populate('client', 'profile.firstName profile.lastName profile.profilePhoto')
+        .populate('clientId', 'profile.firstName profile.lastName profile.avatar')
+        .populate('series.seriesId', 'recurrence status')
         .sort({ createdAt: -1 })
         .limit(limit * 1)
         .skip((page - 1) * limit)
@@ -553,15 +947,29 @@ class ProfessionalController {
 
       const total = await ServiceRequest.countDocuments(filters);
 
-      res.success('Solicitudes de servicio obtenidas exitosamente', {
+      // Series recurrentes asignadas, con sus próximas fechas aunque aún no estén generadas
+      const seriesList = await ServiceSeries.find({
+        professionalId: professional._id,
+        status: { $in: ['active', 'paused'] }
+      })
+        .populate('clientId', 'profile.firstName profile.lastName profile.avatar')
+        .sort({ 'recurrence.startDate': 1 });
+
+      const series = seriesList.map(item => ({
+        ...item.toJSON(),
+        upcomingOccurrences: item.getUpcomingOccurrences()
+      }));
+
+      res.success({
         serviceRequests,
+        series,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
           total,
           pages: Math.ceil(total / limit)
         }
-      });
+      }, 'Solicitudes de servicio obtenidas exitosamente');
 
     } catch (error) {
       logger.error('Error obteniendo solicitudes de servicio', {
@@ -788,6 +1196,9 @@ class ProfessionalController {
         }
       ]);
 
+      // Clientes que lo marcaron como favorito
+      const favoritedBy = await FavoriteService.countForProfessional(professional._id);
+
       res.success('Estadísticas obtenidas exitosamente', {
         serviceRequests: {
           byStatus: serviceStats,
@@ -803,8 +1214,11 @@ class ProfessionalController {
           totalServices: serviceStats.reduce((sum, stat) => sum + stat.count, 0),
           totalEarnings: serviceStats.reduce((sum, stat) => sum + (stat.totalEarnings || 0), 0),
           completionRate: professional.completionRate,
+          warrantyClaims: professional.statistics.warrantyClaims,
+          warrantyClaimRate: professional.statistics.warrantyClaimRate,
           rating: professional.rating.average,
-          isVerified: professional.verification.isVerified
+          isVerified: professional.verification.isVerified,
+          favoritedBy
         }
       });
 
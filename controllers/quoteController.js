@@ -1,418 +1,339 @@
 /**
  * Controlador para gestión de cotizaciones
- * Maneja el envío, aceptación y gestión de cotizaciones entre profesionales y clientes
+ * Maneja el envío, la negociación (revisiones y contraofertas), la aceptación
+ * y el retiro de cotizaciones entre profesionales y clientes
  */
 
-const ServiceRequest = require('../models/ServiceRequest');
-const Professional = require('../models/Professional');
-const User = require('../models/User');
-const { NotificationService } = require('../utils/notifications');
+const Quote = require('../models/Quote');
+const QuoteService = require('../services/QuoteService');
+const BiddingService = require('../services/BiddingService');
 const logger = require('../utils/logger');
-const { validateQuote } = require('../utils/validation');
+const { handleControllerError } = require('../utils/response');
+const { loadServiceRequest } = require('../utils/service-requests');
 
 class QuoteController {
   /**
-   * Enviar una cotización para una solicitud de servicio
+   * Enviar (o guardar como borrador) una cotización para una solicitud de servicio
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    */
   static async sendQuote(req, res) {
     try {
-      const { serviceRequestId } = req.params;
-      const quoteData = req.body;
-      const professionalId = req.user.professional;
-
-      // Validar datos de entrada
-      const validation = validateQuote(quoteData);
-      if (!validation.isValid) {
-        return res.validationError(validation.errors);
-      }
+      const serviceRequest = await loadServiceRequest(req.params.serviceRequestId);
+      const quote = await QuoteService.create(serviceRequest, req.user, req.body);
+
+      logger.info('Cotización creada:', {
+        quoteId: quote._id,
+        serviceRequestId: serviceRequest._id,
+        status: quote.status,
+        price: quote.price,
+        userId: req.userId
+      });
 
-      // Verificar que el usuario sea un profesional
-      if (req.userRole !== 'professional') {
-        return res.forbidden('Solo los profesionales pueden enviar cotizaciones');
-      }
+      return res.success(
+        quote,
+        quote.status === 'draft' ? 'Borrador de cotización guardado' : 'Cotización enviada exitosamente',
+        201
+      );
 
-      // Buscar la solicitud de servicio
-      const serviceRequest = await ServiceRequest.findById(serviceRequestId)
-        .populate('client', 'firstName lastName email');
+    } catch (error) {
+      return handleControllerError(res, error, 'Error enviando la cotización', {
+        serviceRequestId: req.params.serviceRequestId,
+        userId: req.userId
+      });
+    }
+  }
 
-      if (!serviceRequest) {
-        return res.notFound('Solicitud de servicio no encontrada');
-      }
+  /**
+   * Enviar un borrador de cotización al cliente
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async sendDraft(req, res) {
+    try {
+      const { serviceRequestId, quoteId } = req.params;
+      const serviceRequest = await loadServiceRequest(serviceRequestId);
+      const quote = await QuoteService.loadQuote(serviceRequestId, quoteId);
 
-      // Verificar que la solicitud esté abierta
-      if (serviceRequest.status !== 'open') {
-        return res.error('Esta solicitud ya no está disponible para cotizaciones', 400);
-      }
+      await QuoteService.send(quote, req.user, serviceRequest);
 
-      // Verificar que el profesional no haya enviado ya una cotización
-      const existingQuote = serviceRequest.quotes.find(
-        quote => quote.professional.toString() === professionalId.toString()
-      );
+      return res.success(quote, 'Cotización enviada exitosamente');
 
-      if (existingQuote) {
-        return res.conflict('Ya has enviado una cotización para esta solicitud');
-      }
+    } catch (error) {
+      return handleControllerError(res, error, 'Error enviando el borrador de cotización', {
+        quoteId: req.params.quoteId,
+        userId: req.userId
+      });
+    }
+  }
 
-      // Obtener información del profesional
-      const professional = await Professional.findById(professionalId)
-        .populate('user', 'firstName lastName');
+  /**
+   * Obtener cotizaciones de un profesional
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getProfessionalQuotes(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        status,
+        sortBy = 'createdAt',
+        sortOrder = 'desc'
+      } = req.query;
 
+      const professional = await QuoteService.getProfessional(req.user);
       if (!professional) {
         return res.notFound('Perfil profesional no encontrado');
       }
 
-      // Verificar que el profesional esté verificado
-      if (!professional.isVerified) {
-        return res.forbidden('Debes tener un perfil verificado para enviar cotizaciones');
-      }
-
-      // Verificar que el profesional ofrezca el servicio solicitado
-      const offersService = professional.services.some(
-        service => service.category === serviceRequest.category &&
-                  (!serviceRequest.subcategory || service.subcategory === serviceRequest.subcategory)
-      );
-
-      if (!offersService) {
-        return res.forbidden('No ofreces este tipo de servicio');
-      }
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const query = { professionalId: professional._id };
+      if (status) query.status = status;
+
+      const sortField = ['createdAt', 'updatedAt', 'price', 'validUntil'].includes(sortBy) ? sortBy : 'createdAt';
+
+      const [quotes, total] = await Promise.all([
+        Quote.find(query)
+          .populate('serviceRequestId', 'service status scheduling.preferredDate location.address.city createdAt')
+          .sort({ [sortField]: sortOrder === 'desc' ? -1 : 1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Quote.countDocuments(query)
+      ]);
 
-      // Crear la cotización
-      const quote = {
-        professional: professionalId,
-        price: quoteData.price,
-        description: quoteData.description,
-        estimatedDuration: quoteData.estimatedDuration,
-        availableDate: quoteData.availableDate,
-        availableTime: quoteData.availableTime,
-        materials: quoteData.materials || [],
-        warranty: quoteData.warranty,
-        terms: quoteData.terms,
-        validUntil: quoteData.validUntil || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 días por defecto
-        sentAt: new Date()
+      const pagination = {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        hasNext: skip + parseInt(limit) < total,
+        hasPrev: parseInt(page) > 1
       };
 
-      // Agregar la cotización a la solicitud
-      serviceRequest.quotes.push(quote);
-      serviceRequest.quotesCount = serviceRequest.quotes.length;
-      await serviceRequest.save();
-
-      // Enviar notificación al cliente
-      try {
-        await NotificationService.sendQuoteReceivedNotification(
-          serviceRequest.client._id,
-          serviceRequest,
-          professional
-        );
-      } catch (notifError) {
-        logger.warn('Error enviando notificación de cotización:', {
-          error: notifError.message,
-          serviceRequestId,
-          professionalId
-        });
-      }
+      return res.paginated(quotes, pagination, 'Cotizaciones obtenidas exitosamente');
 
-      // Poblar datos para la respuesta
-      await serviceRequest.populate({
-        path: 'quotes.professional',
-        select: 'businessName rating reviewCount',
-        populate: {
-          path: 'user',
-          select: 'firstName lastName'
-        }
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo las cotizaciones', {
+        userId: req.userId
       });
+    }
+  }
 
-      const sentQuote = serviceRequest.quotes[serviceRequest.quotes.length - 1];
-
-      logger.info('Cotización enviada:', {
-        serviceRequestId,
-        professionalId,
-        price: quoteData.price,
-        clientId: serviceRequest.client._id
-      });
+  /**
+   * Obtener las cotizaciones de una solicitud de servicio
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getServiceRequestQuotes(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.serviceRequestId);
+      const quotes = await QuoteService.getVisibleQuotes(serviceRequest, req.user);
 
       return res.success({
-        quote: sentQuote,
         serviceRequest: {
           _id: serviceRequest._id,
-          title: serviceRequest.title,
+          title: serviceRequest.service.title,
           status: serviceRequest.status,
-          quotesCount: serviceRequest.quotesCount
-        }
-      }, 'Cotización enviada exitosamente', 201);
+          acceptedQuoteId: serviceRequest.acceptedQuoteId,
+          professionalId: serviceRequest.professionalId
+        },
+        quotes
+      }, 'Cotizaciones obtenidas exitosamente');
 
     } catch (error) {
-      logger.error('Error enviando cotización:', {
-        error: error.message,
-        stack: error.stack,
+      return handleControllerError(res, error, 'Error obteniendo las cotizaciones', {
         serviceRequestId: req.params.serviceRequestId,
-        professionalId: req.user?.professional
+        userId: req.userId
       });
-      return res.serverError('Error enviando la cotización');
     }
   }
 
   /**
-   * Obtener cotizaciones de un profesional
-   * @param {Object} req - Request object
+   * Comparar lado a lado las cotizaciones vigentes de una solicitud
+   * @param {Object} req - Request object (query: <criterio>Weight, sortBy)
    * @param {Object} res - Response object
    */
-  static async getProfessionalQuotes(req, res) {
+  static async compareQuotes(req, res) {
     try {
-      const professionalId = req.user.professional;
-      const {
-        page = 1,
-        limit = 10,
-        status,
-        sortBy = 'sentAt',
-        sortOrder = 'desc'
-      } = req.query;
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const { sortBy, ...query } = req.query;
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-      const matchQuery = {
-        'quotes.professional': professionalId
-      };
+      const weights = Object.keys(query).reduce((result, key) => {
+        result[key.replace(/Weight$/, '')] = query[key];
+        return result;
+      }, {});
 
-      // Filtro por estado de la solicitud
-      if (status) {
-        matchQuery.status = status;
-      }
+      const comparison = await QuoteService.compare(serviceRequest, req.user, { weights, sortBy });
 
-      // Configurar ordenamiento
-      const sortOptions = {};
-      sortOptions[`quotes.${sortBy}`] = sortOrder === 'desc' ? -1 : 1;
-
-      // Buscar solicitudes con cotizaciones del profesional
-      const serviceRequests = await ServiceRequest.find(matchQuery)
-        .populate('client', 'firstName lastName email phone')
-        .populate({
-          path: 'quotes.professional',
-          select: 'businessName rating',
-          populate: {
-            path: 'user',
-            select: 'firstName lastName'
-          }
-        })
-        .sort({ 'quotes.sentAt': sortOrder === 'desc' ? -1 : 1 })
-        .skip(skip)
-        .limit(parseInt(limit));
-
-      // Filtrar solo las cotizaciones del profesional
-      const quotesWithRequests = serviceRequests.map(request => {
-        const professionalQuote = request.quotes.find(
-          quote => quote.professional._id.toString() === professionalId.toString()
-        );
-
-        return {
-          _id: professionalQuote._id,
-          serviceRequest: {
-            _id: request._id,
-            title: request.title,
-            description: request.description,
-            category: request.category,
-            subcategory: request.subcategory,
-            status: request.status,
-            budget: request.budget,
-            urgency: request.urgency,
-            client: request.client,
-            createdAt: request.createdAt
-          },
-          quote: professionalQuote,
-          isAccepted: request.acceptedQuote?.toString() === professionalQuote._id.toString(),
-          isAssigned: request.assignedProfessional?.toString() === professionalId.toString()
-        };
-      });
+      return res.success(comparison, 'Comparación de cotizaciones obtenida exitosamente');
 
-      const total = await ServiceRequest.countDocuments(matchQuery);
+    } catch (error) {
+      return handleControllerError(res, error, 'Error comparando las cotizaciones', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
 
-      const pagination = {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit)),
-        hasNext: skip + parseInt(limit) < total,
-        hasPrev: parseInt(page) > 1
-      };
+  /**
+   * Abrir la ventana de cotizaciones de una solicitud (solo el cliente)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async openBidding(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      await BiddingService.open(serviceRequest, req.user, req.body);
 
-      return res.paginated(quotesWithRequests, pagination, 'Cotizaciones obtenidas exitosamente');
+      return res.success(
+        await BiddingService.getStatus(serviceRequest, req.user),
+        'Ventana de cotizaciones abierta exitosamente',
+        201
+      );
 
     } catch (error) {
-      logger.error('Error obteniendo cotizaciones del profesional:', {
-        error: error.message,
-        stack: error.stack,
-        professionalId: req.user?.professional
+      return handleControllerError(res, error, 'Error abriendo la ventana de cotizaciones', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
       });
-      return res.serverError('Error obteniendo las cotizaciones');
     }
   }
 
   /**
-   * Actualizar una cotización existente
+   * Consultar la ventana de cotizaciones de una solicitud
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    */
-  static async updateQuote(req, res) {
+  static async getBidding(req, res) {
     try {
-      const { serviceRequestId, quoteId } = req.params;
-      const updates = req.body;
-      const professionalId = req.user.professional;
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const bidding = await BiddingService.getStatus(serviceRequest, req.user);
 
-      // Buscar la solicitud de servicio
-      const serviceRequest = await ServiceRequest.findById(serviceRequestId);
-      if (!serviceRequest) {
-        return res.notFound('Solicitud de servicio no encontrada');
-      }
+      return res.success(bidding, 'Ventana de cotizaciones obtenida exitosamente');
 
-      // Buscar la cotización específica
-      const quote = serviceRequest.quotes.id(quoteId);
-      if (!quote) {
-        return res.notFound('Cotización no encontrada');
-      }
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo la ventana de cotizaciones', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
 
-      // Verificar que la cotización pertenezca al profesional
-      if (quote.professional.toString() !== professionalId.toString()) {
-        return res.forbidden('Solo puedes actualizar tus propias cotizaciones');
-      }
+  /**
+   * Obtener una cotización con su historial de versiones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getQuote(req, res) {
+    try {
+      const { serviceRequestId, quoteId } = req.params;
+      const quote = await QuoteService.loadQuote(serviceRequestId, quoteId);
+      const role = await QuoteService.getRole(quote, req.user);
 
-      // Verificar que la cotización no haya sido aceptada
-      if (serviceRequest.acceptedQuote?.toString() === quoteId) {
-        return res.error('No se puede actualizar una cotización ya aceptada', 400);
+      if (!role || (role === 'client' && quote.status === 'draft')) {
+        return res.forbidden('No tienes permisos para ver esta cotización');
       }
 
-      // Verificar que la solicitud siga abierta
-      if (serviceRequest.status !== 'open') {
-        return res.error('No se puede actualizar cotizaciones en solicitudes cerradas', 400);
-      }
+      await quote.populate('professionalId', 'businessInfo.businessName rating.average rating.count userId');
+
+      return res.success(quote, 'Cotización obtenida exitosamente');
 
-      // Campos permitidos para actualización
-      const allowedUpdates = [
-        'price', 'description', 'estimatedDuration', 'availableDate', 
-        'availableTime', 'materials', 'warranty', 'terms', 'validUntil'
-      ];
-
-      // Aplicar actualizaciones
-      allowedUpdates.forEach(field => {
-        if (updates[field] !== undefined) {
-          quote[field] = updates[field];
-        }
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo la cotización', {
+        quoteId: req.params.quoteId,
+        userId: req.userId
       });
+    }
+  }
 
-      quote.updatedAt = new Date();
-      await serviceRequest.save();
-
-      // Enviar notificación al cliente sobre la actualización
-      try {
-        const professional = await Professional.findById(professionalId)
-          .populate('user', 'firstName lastName');
-        
-        await NotificationService.sendQuoteUpdatedNotification(
-          serviceRequest.client,
-          serviceRequest,
-          professional
-        );
-      } catch (notifError) {
-        logger.warn('Error enviando notificación de actualización:', {
-          error: notifError.message,
-          serviceRequestId,
-          quoteId
-        });
-      }
+  /**
+   * Editar un borrador o revisar una cotización enviada
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async updateQuote(req, res) {
+    try {
+      const { serviceRequestId, quoteId } = req.params;
+      const serviceRequest = await loadServiceRequest(serviceRequestId);
+      const quote = await QuoteService.loadQuote(serviceRequestId, quoteId);
+
+      await QuoteService.revise(quote, req.user, req.body, serviceRequest);
 
       logger.info('Cotización actualizada:', {
-        serviceRequestId,
-        quoteId,
-        professionalId,
-        updates: Object.keys(updates)
+        quoteId: quote._id,
+        version: quote.version,
+        status: quote.status,
+        userId: req.userId
       });
 
       return res.success(quote, 'Cotización actualizada exitosamente');
 
     } catch (error) {
-      logger.error('Error actualizando cotización:', {
-        error: error.message,
-        stack: error.stack,
-        serviceRequestId: req.params.serviceRequestId,
-        quoteId: req.params.quoteId
+      return handleControllerError(res, error, 'Error actualizando la cotización', {
+        quoteId: req.params.quoteId,
+        userId: req.userId
       });
-      return res.serverError('Error actualizando la cotización');
     }
   }
 
   /**
-   * Retirar una cotización
+   * Contraofertar precio o fecha (solo clientes)
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    */
-  static async withdrawQuote(req, res) {
+  static async counterQuote(req, res) {
     try {
       const { serviceRequestId, quoteId } = req.params;
-      const { reason } = req.body;
-      const professionalId = req.user.professional;
+      const serviceRequest = await loadServiceRequest(serviceRequestId);
+      const quote = await QuoteService.loadQuote(serviceRequestId, quoteId);
 
-      // Buscar la solicitud de servicio
-      const serviceRequest = await ServiceRequest.findById(serviceRequestId);
-      if (!serviceRequest) {
-        return res.notFound('Solicitud de servicio no encontrada');
-      }
+      await QuoteService.counter(quote, req.user, req.body, serviceRequest);
 
-      // Buscar la cotización específica
-      const quote = serviceRequest.quotes.id(quoteId);
-      if (!quote) {
-        return res.notFound('Cotización no encontrada');
-      }
+      logger.info('Contraoferta enviada:', {
+        quoteId: quote._id,
+        version: quote.version,
+        price: quote.price,
+        userId: req.userId
+      });
 
-      // Verificar que la cotización pertenezca al profesional
-      if (quote.professional.toString() !== professionalId.toString()) {
-        return res.forbidden('Solo puedes retirar tus propias cotizaciones');
-      }
+      return res.success(quote, 'Contraoferta enviada; queda pendiente de revisión del profesional');
 
-      // Verificar que la cotización no haya sido aceptada
-      if (serviceRequest.acceptedQuote?.toString() === quoteId) {
-        return res.error('No se puede retirar una cotización ya aceptada', 400);
-      }
+    } catch (error) {
+      return handleControllerError(res, error, 'Error enviando la contraoferta', {
+        quoteId: req.params.quoteId,
+        userId: req.userId
+      });
+    }
+  }
 
-      // Remover la cotización
-      serviceRequest.quotes.pull(quoteId);
-      serviceRequest.quotesCount = serviceRequest.quotes.length;
-      await serviceRequest.save();
-
-      // Enviar notificación al cliente
-      try {
-        const professional = await Professional.findById(professionalId)
-          .populate('user', 'firstName lastName');
-        
-        await NotificationService.sendQuoteWithdrawnNotification(
-          serviceRequest.client,
-          serviceRequest,
-          professional,
-          reason
-        );
-      } catch (notifError) {
-        logger.warn('Error enviando notificación de retiro:', {
-          error: notifError.message,
-          serviceRequestId,
-          quoteId
-        });
-      }
+  /**
+   * Retirar una cotización
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async withdrawQuote(req, res) {
+    try {
+      const { serviceRequestId, quoteId } = req.params;
+      const serviceRequest = await loadServiceRequest(serviceRequestId);
+      const quote = await QuoteService.loadQuote(serviceRequestId, quoteId);
+
+      await QuoteService.withdraw(quote, req.user, req.body.reason, serviceRequest);
 
       logger.info('Cotización retirada:', {
+        quoteId: quote._id,
         serviceRequestId,
-        quoteId,
-        professionalId,
-        reason
+        reason: req.body.reason,
+        userId: req.userId
       });
 
-      return res.success(null, 'Cotización retirada exitosamente');
+      return res.success(quote, 'Cotización retirada exitosamente');
 
     } catch (error) {
-      logger.error('Error retirando cotización:', {
-        error: error.message,
-        stack: error.stack,
-        serviceRequestId: req.params.serviceRequestId,
-        quoteId: req.params.quoteId
+      return handleControllerError(res, error, 'Error retirando la cotización', {
+        quoteId: req.params.quoteId,
+        userId: req.userId
       });
-      return res.serverError('Error retirando la cotización');
     }
   }
 
@@ -424,127 +345,41 @@ class QuoteController {
   static async acceptQuote(req, res) {
     try {
       const { serviceRequestId, quoteId } = req.params;
-      const { message } = req.body;
+      const serviceRequest = await loadServiceRequest(serviceRequestId);
+      const quote = await QuoteService.loadQuote(serviceRequestId, quoteId);
 
-      // Verificar que el usuario sea un cliente
-      if (req.userRole !== 'client') {
-        return res.forbidden('Solo los clientes pueden aceptar cotizaciones');
-      }
-
-      // Buscar la solicitud de servicio
-      const serviceRequest = await ServiceRequest.findById(serviceRequestId)
-        .populate('client', 'firstName lastName email');
-
-      if (!serviceRequest) {
-        return res.notFound('Solicitud de servicio no encontrada');
-      }
-
-      // Verificar que el cliente sea el propietario
-      if (serviceRequest.client._id.toString() !== req.userId) {
-        return res.forbidden('Solo puedes aceptar cotizaciones de tus propias solicitudes');
-      }
+      const result = await QuoteService.accept(quote, req.user, serviceRequest);
 
-      // Verificar que la solicitud esté abierta
-      if (serviceRequest.status !== 'open') {
-        return res.error('Esta solicitud ya no está disponible', 400);
-      }
-
-      // Buscar la cotización específica
-      const quote = serviceRequest.quotes.id(quoteId);
-      if (!quote) {
-        return res.notFound('Cotización no encontrada');
-      }
-
-      // Verificar que la cotización siga válida
-      if (quote.validUntil && new Date() > quote.validUntil) {
-        return res.error('Esta cotización ha expirado', 400);
-      }
+      return res.success(result, 'Cotización aceptada exitosamente');
 
-      // Aceptar la cotización
-      serviceRequest.acceptedQuote = quoteId;
-      serviceRequest.assignedProfessional = quote.professional;
-      serviceRequest.status = 'assigned';
-      serviceRequest.assignedAt = new Date();
-      serviceRequest.finalPrice = quote.price;
-      
-      if (message) {
-        serviceRequest.clientMessage = message;
-      }
+    } catch (error) {
+      return handleControllerError(res, error, 'Error aceptando la cotización', {
+        quoteId: req.params.quoteId,
+        userId: req.userId
+      });
+    }
+  }
 
-      await serviceRequest.save();
-
-      // Obtener información del profesional
-      const professional = await Professional.findById(quote.professional)
-        .populate('user', 'firstName lastName email');
-
-      // Enviar notificaciones
-      try {
-        // Notificar al profesional aceptado
-        await NotificationService.sendQuoteAcceptedNotification(
-          professional.user._id,
-          serviceRequest,
-          quote
-        );
-
-        // Notificar a otros profesionales que su cotización no fue aceptada
-        const otherQuotes = serviceRequest.quotes.filter(
-          q => q._id.toString() !== quoteId && q.professional.toString() !== quote.professional.toString()
-        );
-
-        for (const otherQuote of otherQuotes) {
-          try {
-            const otherProfessional = await Professional.findById(otherQuote.professional)
-              .populate('user');
-            
-            if (otherProfessional && otherProfessional.user) {
-              await NotificationService.sendQuoteRejectedNotification(
-                otherProfessional.user._id,
-                serviceRequest
-              );
-            }
-          } catch (otherNotifError) {
-            logger.warn('Error notificando rechazo a profesional:', {
-              error: otherNotifError.message,
-              professionalId: otherQuote.professional
-            });
-          }
-        }
-
-      } catch (notifError) {
-        logger.warn('Error enviando notificaciones de aceptación:', {
-          error: notifError.message,
-          serviceRequestId,
-          quoteId
-        });
-      }
+  /**
+   * Rechazar una cotización (solo clientes)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async rejectQuote(req, res) {
+    try {
+      const { serviceRequestId, quoteId } = req.params;
+      const serviceRequest = await loadServiceRequest(serviceRequestId);
+      const quote = await QuoteService.loadQuote(serviceRequestId, quoteId);
 
-      logger.info('Cotización aceptada:', {
-        serviceRequestId,
-        quoteId,
-        clientId: req.userId,
-        professionalId: quote.professional,
-        price: quote.price
-      });
+      await QuoteService.reject(quote, req.user, req.body.reason, serviceRequest);
 
-      return res.success({
-        serviceRequest,
-        acceptedQuote: quote,
-        professional: {
-          _id: professional._id,
-          businessName: professional.businessName,
-          rating: professional.rating,
-          user: professional.user
-        }
-      }, 'Cotización aceptada exitosamente');
+      return res.success(quote, 'Cotización rechazada');
 
     } catch (error) {
-      logger.error('Error aceptando cotización:', {
-        error: error.message,
-        stack: error.stack,
-        serviceRequestId: req.params.serviceRequestId,
-        quoteId: req.params.quoteId
+      return handleControllerError(res, error, 'Error rechazando la cotización', {
+        quoteId: req.params.quoteId,
+        userId: req.userId
       });
-      return res.serverError('Error aceptando la cotización');
     }
   }
 
@@ -555,60 +390,21 @@ class QuoteController {
    */
   static async getQuoteStats(req, res) {
     try {
-      const professionalId = req.user.professional;
-
-      const stats = await ServiceRequest.aggregate([
-        { $unwind: '$quotes' },
-        { $match: { 'quotes.professional': professionalId } },
-        {
-          $group: {
-            _id: null,
-            totalQuotes: { $sum: 1 },
-            acceptedQuotes: {
-              $sum: {
-                $cond: [
-                  { $eq: ['$acceptedQuote', '$quotes._id'] },
-                  1,
-                  0
-                ]
-              }
-            },
-            avgQuotePrice: { $avg: '$quotes.price' },
-            totalRevenue: {
-              $sum: {
-                $cond: [
-                  { $eq: ['$acceptedQuote', '$quotes._id'] },
-                  '$quotes.price',
-                  0
-                ]
-              }
-            }
-          }
-        }
-      ]);
-
-      const result = stats[0] || {
-        totalQuotes: 0,
-        acceptedQuotes: 0,
-        avgQuotePrice: 0,
-        totalRevenue: 0
-      };
+      const professional = await QuoteService.getProfessional(req.user);
+      if (!professional) {
+        return res.notFound('Perfil profesional no encontrado');
+      }
 
-      result.acceptanceRate = result.totalQuotes > 0 
-        ? (result.acceptedQuotes / result.totalQuotes * 100).toFixed(2)
-        : 0;
+      const stats = await QuoteService.getStats(professional._id);
 
-      return res.success(result, 'Estadísticas de cotizaciones obtenidas exitosamente');
+      return res.success(stats, 'Estadísticas de cotizaciones obtenidas exitosamente');
 
     } catch (error) {
-      logger.error('Error obteniendo estadísticas de cotizaciones:', {
-        error: error.message,
-        stack: error.stack,
-        professionalId: req.user?.professional
+      return handleControllerError(res, error, 'Error obteniendo las estadísticas', {
+        userId: req.userId
       });
-      return res.serverError('Error obteniendo las estadísticas');
     }
   }
 }
 
-module.exports = QuoteController;
\ No newline at end of file
+module.exports = QuoteController;
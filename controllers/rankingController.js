@@ -0,0 +1,67 @@
+/**
+ * Controlador del ranking de profesionales (admin)
+ * Consulta y ajuste de los pesos del motor de ranking
+ */
+
+const RankingService = require('../services/RankingService');
+const { DEFAULT_RANKING_WEIGHTS } = require('../config/ranking');
+const { handleControllerError } = require('../utils/response');
+
+class RankingController {
+  /**
+   * Pesos vigentes, normalizados y por defecto
+   * @param {Object} weights - Pesos vigentes
+   * @returns {Object}
+   */
+  static buildWeightsResponse(weights) {
+    return {
+      weights,
+      normalized: RankingService.normalizeWeights(weights),
+      defaults: DEFAULT_RANKING_WEIGHTS
+    };
+  }
+
+  /**
+   * Obtener los pesos del ranking
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getWeights(req, res) {
+    try {
+      const weights = await RankingService.getWeights();
+
+      return res.success(
+        RankingController.buildWeightsResponse(weights),
+        'Pesos del ranking obtenidos exitosamente'
+      );
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo los pesos del ranking', {
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Actualizar los pesos del ranking
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async updateWeights(req, res) {
+    try {
+      const weights = await RankingService.updateWeights(req.body, req.user);
+
+      return res.success(
+        RankingController.buildWeightsResponse(weights),
+        'Pesos del ranking actualizados exitosamente'
+      );
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error actualizando los pesos del ranking', {
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = RankingController;
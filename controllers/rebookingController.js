@@ -0,0 +1,35 @@
+/**
+ * Controlador de re-reservas
+ * El cliente vuelve a solicitar un servicio completado al mismo profesional
+ * como solicitud privada (ver RebookingService)
+ */
+
+const RebookingService = require('../services/RebookingService');
+const { handleControllerError } = require('../utils/response');
+
+class RebookingController {
+  /**
+   * Volver a reservar un servicio completado con el mismo profesional
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async rebook(req, res) {
+    try {
+      const serviceRequest = await RebookingService.rebook(req.params.id, req.user, req.body);
+
+      return res.success(
+        { serviceRequest },
+        'Solicitud enviada al profesional exitosamente',
+        201
+      );
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error creando la re-reserva', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = RebookingController;
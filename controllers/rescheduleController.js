@@ -0,0 +1,147 @@
+/**
+ * Controlador para propuestas de reprogramación
+ * Cliente y profesional negocian un nuevo horario sin editar la solicitud directamente
+ */
+
+const RescheduleService = require('../services/RescheduleService');
+const ServiceRequestStateMachine = require('../services/ServiceRequestStateMachine');
+const logger = require('../utils/logger');
+const { handleControllerError } = require('../utils/response');
+const { loadServiceRequest } = require('../utils/service-requests');
+
+class RescheduleController {
+  /**
+   * Listar propuestas de reprogramación de una solicitud
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getProposals(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+
+      const role = await ServiceRequestStateMachine.getActorRole(serviceRequest, req.user);
+      if (!role) {
+        return res.forbidden('No tienes permisos para ver esta solicitud');
+      }
+
+      // Aplicar vencimientos antes de responder
+      if (RescheduleService.expireProposals(serviceRequest).length) {
+        await serviceRequest.save();
+      }
+
+      return res.success({
+        scheduling: {
+          preferredDate: serviceRequest.scheduling.preferredDate,
+          preferredTime: serviceRequest.scheduling.preferredTime
+        },
+        proposals: [...serviceRequest.rescheduleProposals].reverse()
+      }, 'Propuestas de reprogramación obtenidas exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo propuestas de reprogramación', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Proponer nuevas fechas
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async createProposal(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const proposal = await RescheduleService.propose(serviceRequest, req.user, req.body);
+
+      logger.info('Reprogramación propuesta:', {
+        serviceRequestId: serviceRequest._id,
+        proposalId: proposal._id,
+        userId: req.userId
+      });
+
+      return res.success(proposal, 'Propuesta de reprogramación enviada exitosamente', 201);
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error proponiendo la reprogramación', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Aceptar una opción de la propuesta
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async acceptProposal(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const proposal = await RescheduleService.accept(serviceRequest, req.params.proposalId, req.user, req.body);
+
+      logger.info('Reprogramación aceptada:', {
+        serviceRequestId: serviceRequest._id,
+        proposalId: proposal._id,
+        userId: req.userId
+      });
+
+      return res.success({
+        proposal,
+        scheduling: serviceRequest.scheduling
+      }, 'Reprogramación aceptada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error aceptando la reprogramación', {
+        serviceRequestId: req.params.id,
+        proposalId: req.params.proposalId,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Rechazar todas las opciones de la propuesta
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async rejectProposal(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const proposal = await RescheduleService.reject(serviceRequest, req.params.proposalId, req.user, req.body);
+
+      return res.success(proposal, 'Reprogramación rechazada');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error rechazando la reprogramación', {
+        serviceRequestId: req.params.id,
+        proposalId: req.params.proposalId,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Retirar una propuesta propia
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async withdrawProposal(req, res) {
+    try {
+      const serviceRequest = await loadServiceRequest(req.params.id);
+      const proposal = await RescheduleService.withdraw(serviceRequest, req.params.proposalId, req.user);
+
+      return res.success(proposal, 'Propuesta de reprogramación retirada');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error retirando la reprogramación', {
+        serviceRequestId: req.params.id,
+        proposalId: req.params.proposalId,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = RescheduleController;
@@ -0,0 +1,112 @@
+/**
+ * Controlador de búsquedas guardadas
+ * Los clientes guardan búsquedas de profesionales y reciben un resumen diario
+ * cuando nuevos profesionales las cumplen (ver SavedSearchService)
+ */
+
+const SavedSearchService = require('../services/SavedSearchService');
+const { handleControllerError } = require('../utils/response');
+
+class SavedSearchController {
+  /**
+   * Listar las búsquedas guardadas del cliente
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async listSavedSearches(req, res) {
+    try {
+      const savedSearches = await SavedSearchService.list(req.user);
+
+      return res.success(
+        savedSearches.map(savedSearch => SavedSearchService.toResponse(savedSearch)),
+        'Búsquedas guardadas obtenidas exitosamente'
+      );
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo las búsquedas guardadas', {
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Guardar una búsqueda
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async createSavedSearch(req, res) {
+    try {
+      const savedSearch = await SavedSearchService.create(req.user, req.body);
+
+      return res.success(
+        SavedSearchService.toResponse(savedSearch),
+        'Búsqueda guardada exitosamente',
+        201
+      );
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error guardando la búsqueda', {
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Obtener una búsqueda guardada
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getSavedSearch(req, res) {
+    try {
+      const savedSearch = await SavedSearchService.get(req.params.id, req.user);
+
+      return res.success(SavedSearchService.toResponse(savedSearch), 'Búsqueda guardada obtenida exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo la búsqueda guardada', {
+        savedSearchId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Actualizar nombre, filtros o alertas de una búsqueda guardada
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async updateSavedSearch(req, res) {
+    try {
+      const savedSearch = await SavedSearchService.update(req.params.id, req.user, req.body);
+
+      return res.success(SavedSearchService.toResponse(savedSearch), 'Búsqueda guardada actualizada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error actualizando la búsqueda guardada', {
+        savedSearchId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Eliminar una búsqueda guardada
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async deleteSavedSearch(req, res) {
+    try {
+      await SavedSearchService.remove(req.params.id, req.user);
+
+      return res.success({ savedSearchId: req.params.id }, 'Búsqueda guardada eliminada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error eliminando la búsqueda guardada', {
+        savedSearchId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = SavedSearchController;
@@ -0,0 +1,297 @@
+/**
+ * Controlador para series recurrentes de servicios
+ * Permite a los clientes programar servicios periódicos (limpieza semanal,
+ * jardinería mensual) y gestionar cada ocurrencia o las siguientes
+ */
+
+const ServiceSeries = require('../models/ServiceSeries');
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const ServiceSeriesService = require('../services/ServiceSeriesService');
+const { AppError } = require('../utils/errors');
+const { handleControllerError } = require('../utils/response');
+
+class SeriesController {
+  /**
+   * Cargar una serie verificando el acceso del usuario
+   * @param {string} id - ID de la serie
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} options - { write: true si la operación modifica la serie }
+   * @returns {Promise<Object>} Serie
+   */
+  static async loadSeries(id, user, options = {}) {
+    const series = await ServiceSeries.findById(id);
+    if (!series) {
+      throw new AppError('Serie no encontrada', 404, 'SERIES_NOT_FOUND');
+    }
+
+    const isOwner = series.clientId.toString() === user._id.toString();
+    if (user.role === 'admin' || isOwner) {
+      return series;
+    }
+
+    // Los profesionales asignados solo pueden consultar
+    if (!options.write && user.role === 'professional' && series.professionalId) {
+      const professional = await Professional.findOne({ userId: user._id }).select('_id');
+      if (professional && professional._id.toString() === series.professionalId.toString()) {
+        return series;
+      }
+    }
+
+    throw new AppError('No tienes permisos para acceder a esta serie', 403, 'FORBIDDEN');
+  }
+
+  /**
+   * Crear una serie recurrente
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async createSeries(req, res) {
+    try {
+      const { series, occurrences } = await ServiceSeriesService.createSeries(req.user, req.body);
+
+      return res.success({
+        series,
+        occurrences
+      }, 'Serie recurrente creada exitosamente', 201);
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error creando la serie recurrente', {
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Listar series del usuario (cliente propietario o profesional asignado)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getSeries(req, res) {
+    try {
+      const { status, page = 1, limit = 10 } = req.query;
+      const filters = {};
+
+      if (req.userRole === 'professional') {
+        const professional = await Professional.findOne({ userId: req.userId }).select('_id');
+        if (!professional) {
+          return res.notFound('Perfil profesional no encontrado');
+        }
+        filters.professionalId = professional._id;
+      } else if (req.userRole !== 'admin') {
+        filters.clientId = req.userId;
+      }
+
+      if (status) {
+        filters.status = status;
+      }
+
+      const [seriesList, total] = await Promise.all([
+        ServiceSeries.find(filters)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(parseInt(limit)),
+        ServiceSeries.countDocuments(filters)
+      ]);
+
+      const series = seriesList.map(item => ({
+        ...item.toJSON(),
+        upcomingOccurrences: item.getUpcomingOccurrences()
+      }));
+
+      return res.paginated(series, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }, 'Series obtenidas exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo las series', {
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Obtener una serie con sus ocurrencias generadas y próximas
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getSeriesById(req, res) {
+    try {
+      const series = await SeriesController.loadSeries(req.params.id, req.user);
+
+      const serviceRequests = await ServiceRequest.find({ 'series.seriesId': series._id })
+        .select('status scheduling pricing series professionalId')
+        .sort({ 'series.occurrenceDate': 1 });
+
+      return res.success({
+        series,
+        serviceRequests,
+        upcomingOccurrences: series.getUpcomingOccurrences(10)
+      }, 'Serie obtenida exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo la serie', {
+        seriesId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Editar todas las ocurrencias futuras a partir de la próxima
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async updateSeries(req, res) {
+    try {
+      const series = await SeriesController.loadSeries(req.params.id, req.user, { write: true });
+      const [nextOccurrence] = series.getUpcomingOccurrences(1);
+
+      if (!nextOccurrence) {
+        return res.error('La serie no tiene ocurrencias futuras', 409);
+      }
+
+      const result = await ServiceSeriesService.updateOccurrence(series, nextOccurrence, {
+        scope: 'future',
+        changes: req.body.changes,
+        reason: req.body.reason,
+        user: req.user
+      });
+
+      return res.success(result, 'Serie actualizada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error actualizando la serie', {
+        seriesId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Omitir una ocurrencia (scope 'this') o todas las siguientes (scope 'future')
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async skipOccurrence(req, res) {
+    try {
+      const series = await SeriesController.loadSeries(req.params.id, req.user, { write: true });
+
+      const result = await ServiceSeriesService.skipOccurrence(series, req.params.date, {
+        scope: req.body.scope,
+        reason: req.body.reason,
+        user: req.user
+      });
+
+      return res.success(result, 'Ocurrencia omitida exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error omitiendo la ocurrencia', {
+        seriesId: req.params.id,
+        date: req.params.date,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Editar una ocurrencia (scope 'this') o todas las siguientes (scope 'future')
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async updateOccurrence(req, res) {
+    try {
+      const series = await SeriesController.loadSeries(req.params.id, req.user, { write: true });
+
+      const result = await ServiceSeriesService.updateOccurrence(series, req.params.date, {
+        scope: req.body.scope,
+        changes: req.body.changes,
+        reason: req.body.reason,
+        user: req.user
+      });
+
+      return res.success(result, 'Ocurrencia actualizada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error actualizando la ocurrencia', {
+        seriesId: req.params.id,
+        date: req.params.date,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Pausar una serie (opcionalmente hasta una fecha)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async pauseSeries(req, res) {
+    try {
+      const series = await SeriesController.loadSeries(req.params.id, req.user, { write: true });
+
+      const result = await ServiceSeriesService.pauseSeries(series, {
+        resumeAt: req.body.resumeAt,
+        reason: req.body.reason,
+        user: req.user
+      });
+
+      return res.success(result, 'Serie pausada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error pausando la serie', {
+        seriesId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Reanudar una serie pausada
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async resumeSeries(req, res) {
+    try {
+      const series = await SeriesController.loadSeries(req.params.id, req.user, { write: true });
+      const result = await ServiceSeriesService.resumeSeries(series);
+
+      return res.success(result, 'Serie reanudada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error reanudando la serie', {
+        seriesId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Cancelar una serie y sus ocurrencias futuras
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async cancelSeries(req, res) {
+    try {
+      const series = await SeriesController.loadSeries(req.params.id, req.user, { write: true });
+
+      const result = await ServiceSeriesService.cancelSeries(series, {
+        reason: req.body.reason,
+        user: req.user
+      });
+
+      return res.success(result, 'Serie cancelada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error cancelando la serie', {
+        seriesId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = SeriesController;
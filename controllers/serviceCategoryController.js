@@ -0,0 +1,112 @@
+/**
+ * Controlador de categorías de servicio
+ * Listado público de la taxonomía y administración de categorías (ver
+ * ServiceCategoryService)
+ */
+
+const ServiceCategoryService = require('../services/ServiceCategoryService');
+const { handleControllerError } = require('../utils/response');
+
+const LANGUAGES = ['es', 'en'];
+
+class ServiceCategoryController {
+  /**
+   * Categorías activas con sus subcategorías, indexadas por slug
+   * (?lang=en para los nombres en inglés)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async listCategories(req, res) {
+    try {
+      const lang = LANGUAGES.includes(req.query.lang) ? req.query.lang : 'es';
+      const tree = await ServiceCategoryService.getTree();
+
+      const categories = tree.reduce((result, category) => {
+        result[category.slug] = ServiceCategoryService.toPublicResponse(category, lang);
+        return result;
+      }, {});
+
+      return res.success(categories, 'Categorías de servicios obtenidas exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo las categorías de servicios');
+    }
+  }
+
+  /**
+   * Árbol completo de categorías, incluidas las inactivas (admin)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async listAll(req, res) {
+    try {
+      const categories = await ServiceCategoryService.getTree({ includeInactive: true });
+
+      return res.success(categories, 'Categorías obtenidas exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo las categorías', {
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Crear una categoría o subcategoría (admin)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async createCategory(req, res) {
+    try {
+      const category = await ServiceCategoryService.create(req.body, req.user);
+
+      return res.success(category, 'Categoría creada exitosamente', 201);
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error creando la categoría', {
+        slug: req.body.slug,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Actualizar una categoría (admin)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async updateCategory(req, res) {
+    try {
+      const category = await ServiceCategoryService.update(req.params.id, req.body, req.user);
+
+      return res.success(category, 'Categoría actualizada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error actualizando la categoría', {
+        categoryId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Eliminar una categoría sin uso (admin)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async deleteCategory(req, res) {
+    try {
+      await ServiceCategoryService.remove(req.params.id, req.user);
+
+      return res.success({ categoryId: req.params.id }, 'Categoría eliminada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error eliminando la categoría', {
+        categoryId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = ServiceCategoryController;
@@ -5,10 +5,23 @@
 
 const ServiceRequest = require('../models/ServiceRequest');
 const Professional = require('../models/Professional');
+const Quote = require('../models/Quote');
+const AvailabilityBlock = require('../models/AvailabilityBlock');
 const User = require('../models/User');
 const { GeolocationUtils } = require('../utils/geolocation');
-const { NotificationService } = require('../utils/notifications');
+const { TimezoneUtils } = require('../utils/timezone');
+const NotificationService = require('../services/NotificationService');
+const ServiceRequestStateMachine = require('../services/ServiceRequestStateMachine');
+const AvailabilityService = require('../services/AvailabilityService');
+const CancellationService = require('../services/CancellationService');
+const RankingService = require('../services/RankingService');
+const ProfessionalSearchService = require('../services/ProfessionalSearchService');
+const PriceEstimateService = require('../services/PriceEstimateService');
 const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { SLOT_CONFIG } = require('../config/scheduling');
+const { MATCHING_CONFIG } = require('../config/ranking');
+const { QUOTABLE_REQUEST_STATUSES } = require('../config/quotes');
 const { validateServiceRequest, validateQuote } = require('../utils/validation');
 
 class ServiceController {
@@ -73,10 +86,7 @@ class ServiceController {
       await serviceRequest.save();
 
       // Buscar profesionales cercanos y compatibles
-      const matchingProfessionals = await ServiceController.findMatchingProfessionals(
-        serviceRequest,
-        coordinates
-      );
+      const matchingProfessionals = await ServiceController.findMatchingProfessionals(serviceRequest);
 
       // Enviar notificaciones a profesionales compatibles
       if (matchingProfessionals.length > 0) {
@@ -91,6 +101,23 @@ class ServiceController {
         { path: 'client', select: 'firstName lastName email phone' }
       ]);
 
+      // Rango de precio orientativo para el cliente; no bloquea la creación
+      let priceEstimate = null;
+      try {
+        priceEstimate = await PriceEstimateService.estimate({
+          category: serviceRequest.service?.category,
+          subcategory: serviceRequest.service?.subcategory,
+          city: serviceRequest.location?.address?.city,
+          duration: AvailabilityService.getDurationMinutes(serviceRequest) / 60,
+          urgency: serviceRequest.service?.urgency
+        });
+      } catch (error) {
+        logger.warn('Error estimando el precio de la solicitud:', {
+          serviceRequestId: serviceRequest._id,
+          error: error.message
+        });
+      }
+
       logger.info('Solicitud de servicio creada:', {
         serviceRequestId: serviceRequest._id,
         clientId: userId,
@@ -100,6 +127,7 @@ class ServiceController {
 
       return res.success({
         serviceRequest,
+        priceEstimate,
         matchingProfessionals: matchingProfessionals.length,
         message: `Se encontraron ${matchingProfessionals.length} profesionales compatibles`
       }, 'Solicitud de servicio creada exitosamente', 201);
@@ -115,78 +143,55 @@ class ServiceController {
   }
 
   /**
-   * Buscar profesionales compatibles con una solicitud de servicio
+   * Buscar profesionales compatibles con una solicitud de servicio, ordenados
+   * por el motor de ranking (ver RankingService)
    * @param {Object} serviceRequest - Solicitud de servicio
-   * @param {Object} coordinates - Coordenadas de ubicación
-   * @returns {Array} Lista de profesionales compatibles
+   * @returns {Array} Resultados del ranking [{ professional, score, distanceKm, breakdown }]
    */
-  static async findMatchingProfessionals(serviceRequest, coordinates) {
+  static async findMatchingProfessionals(serviceRequest) {
     try {
-      const searchRadius = 50000; // 50km en metros
-      const matchQuery = {
-        isVerified: true,
-        isActive: true,
-        'services.category': serviceRequest.category
-      };
-
-      // Agregar filtro de subcategoría si está especificada
-      if (serviceRequest.subcategory) {
-        matchQuery['services.subcategory'] = serviceRequest.subcategory;
-      }
-
-      // Agregar filtro de ubicación si hay coordenadas
-      if (coordinates) {
-        matchQuery.location = {
-          $near: {
-            $geometry: coordinates,
-            $maxDistance: searchRadius
-          }
-        };
-      }
-
-      const professionals = await Professional.find(matchQuery)
-        .populate('user', 'firstName lastName email phone isActive')
-        .select('businessName services rating reviewCount location availability user')
-        .limit(20);
+      const { service = {}, scheduling = {} } = serviceRequest;
+      const coordinates = serviceRequest.location?.coordinates?.length === 2
+        ? serviceRequest.location.coordinates
+        : null;
+
+      const professionals = await ProfessionalSearchService.findCandidates({
+        category: service.category,
+        subcategory: service.subcategory,
+        coordinates,
+        radiusKm: MATCHING_CONFIG.radiusKm,
+        verifiedOnly: true
+      });
 
       // Filtrar por disponibilidad si se especifica fecha preferida
       let availableProfessionals = professionals;
-      if (serviceRequest.preferredDate) {
+      if (scheduling.preferredDate) {
+        const dateKey = TimezoneUtils.toDateKey(scheduling.preferredDate);
+        const blocks = await AvailabilityBlock.findOverlapping(
+          professionals.map(prof => prof._id),
+          new Date(`${TimezoneUtils.addDaysToKey(dateKey, -1)}T00:00:00Z`),
+          new Date(`${TimezoneUtils.addDaysToKey(dateKey, 2)}T00:00:00Z`)
+        );
+
         availableProfessionals = professionals.filter(prof => {
           return ServiceController.isProfessionalAvailable(
             prof,
-            serviceRequest.preferredDate,
-            serviceRequest.preferredTime
+            scheduling.preferredDate,
+            scheduling.preferredTime,
+            blocks.filter(block => block.professionalId.equals(prof._id))
           );
         });
       }
 
-      // Calcular distancia y ordenar por relevancia
-      if (coordinates) {
-        for (const prof of availableProfessionals) {
-          if (prof.location && prof.location.coordinates) {
-            const distance = GeolocationUtils.calculateDistance(
-              coordinates.coordinates[1], // lat
-              coordinates.coordinates[0], // lng
-              prof.location.coordinates[1],
-              prof.location.coordinates[0]
-            );
-            prof.distance = distance;
-          }
-        }
-
-        // Ordenar por distancia y rating
-        availableProfessionals.sort((a, b) => {
-          const scoreA = (a.rating || 0) * 0.7 + (1 / (a.distance || 1)) * 0.3;
-          const scoreB = (b.rating || 0) * 0.7 + (1 / (b.distance || 1)) * 0.3;
-          return scoreB - scoreA;
-        });
-      } else {
-        // Ordenar solo por rating si no hay ubicación
-        availableProfessionals.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-      }
+      const ranked = await RankingService.rank(availableProfessionals, {
+        coordinates,
+        radiusKm: MATCHING_CONFIG.radiusKm,
+        budget: serviceRequest.pricing?.estimatedCost,
+        category: service.category,
+        subcategory: service.subcategory
+      });
 
-      return availableProfessionals;
+      return ranked.slice(0, MATCHING_CONFIG.maxNotified);
 
     } catch (error) {
       logger.error('Error buscando profesionales compatibles:', {
@@ -202,51 +207,70 @@ class ServiceController {
    * @param {Object} professional - Profesional
    * @param {Date} date - Fecha preferida
    * @param {String} time - Hora preferida
+   * @param {Array} blocks - Bloqueos de calendarios externos del profesional ese día
    * @returns {Boolean} True si está disponible
    */
-  static isProfessionalAvailable(professional, date, time) {
+  static isProfessionalAvailable(professional, date, time, blocks = []) {
     if (!professional.availability || !date) return true;
 
-    const dayOfWeek = new Date(date).getDay();
-    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const dayName = dayNames[dayOfWeek];
-
-    const dayAvailability = professional.availability[dayName];
-    if (!dayAvailability || !dayAvailability.isAvailable) {
+    const dateKey = TimezoneUtils.toDateKey(date);
+    const timeZone = AvailabilityService.getTimeZone(professional);
+    const windows = AvailabilityService.getDayWindows(professional, dateKey);
+    if (windows.length === 0) {
       return false;
     }
 
-    // Si no se especifica hora, considerar disponible
-    if (!time || !dayAvailability.hours) return true;
-
-    // Verificar si la hora está dentro del rango disponible
-    const requestTime = time.replace(':', '');
-    const startTime = dayAvailability.hours.start.replace(':', '');
-    const endTime = dayAvailability.hours.end.replace(':', '');
+    // Si no se especifica hora, basta con una ventana que no esté bloqueada por completo
+    if (!time) {
+      return windows.some(window => {
+        const start = TimezoneUtils.toUtc(dateKey, window.start, timeZone);
+        const end = TimezoneUtils.toUtc(dateKey, window.end, timeZone);
+        return !blocks.some(block => block.start <= start && block.end >= end);
+      });
+    }
 
-    return requestTime >= startTime && requestTime <= endTime;
+    // Verificar si la hora está dentro de alguna ventana de trabajo
+    const requestMinutes = TimezoneUtils.timeToMinutes(time);
+    const insideWindow = windows.some(window =>
+      requestMinutes >= TimezoneUtils.timeToMinutes(window.start) &&
+      requestMinutes < TimezoneUtils.timeToMinutes(window.end)
+    );
+    if (!insideWindow) return false;
+
+    // Verificar que no choque con compromisos externos
+    const start = TimezoneUtils.toUtc(dateKey, time, timeZone);
+    const end = new Date(start.getTime() + SLOT_CONFIG.defaultDurationMinutes * 60 * 1000);
+    return !blocks.some(block => start < block.end && end > block.start);
   }
 
   /**
    * Enviar notificaciones a profesionales compatibles
    * @param {Object} serviceRequest - Solicitud de servicio
-   * @param {Array} professionals - Lista de profesionales
+   * @param {Array} matches - Resultados de findMatchingProfessionals
    */
-  static async notifyMatchingProfessionals(serviceRequest, professionals) {
+  static async notifyMatchingProfessionals(serviceRequest, matches) {
     try {
-      const notificationPromises = professionals.map(async (professional) => {
-        if (professional.user && professional.user.isActive) {
-          try {
-            await NotificationService.sendNewServiceRequestNotification(
-              professional.user._id,
-              serviceRequest
-            );
-          } catch (notifError) {
-            logger.warn('Error enviando notificación a profesional:', {
-              professionalId: professional._id,
-              error: notifError.message
-            });
-          }
+      const notificationPromises = matches.map(async ({ professional, score }) => {
+        try {
+          await NotificationService.sendNotification(
+            professional.userId._id,
+            'SERVICE_REQUEST_CREATED',
+            {
+              serviceRequestId: serviceRequest._id,
+              serviceTitle: serviceRequest.service?.title || 'Servicio'
+            },
+            {
+              metadata: {
+                serviceRequestId: serviceRequest._id,
+                rankingScore: score
+              }
+            }
+          );
+        } catch (notifError) {
+          logger.warn('Error enviando notificación a profesional:', {
+            professionalId: professional._id,
+            error: notifError.message
+          });
         }
       });
 
@@ -254,7 +278,7 @@ class ServiceController {
 
       logger.info('Notificaciones enviadas a profesionales:', {
         serviceRequestId: serviceRequest._id,
-        professionalsNotified: professionals.length
+        professionalsNotified: matches.length
       });
 
     } catch (error) {
@@ -319,12 +343,20 @@ class ServiceController {
 
       // Filtro por rol del usuario
       if (req.userRole === 'client') {
-        query.client = req.userId;
+        query.clientId = req.userId;
       } else if (req.userRole === 'professional') {
-        // Los profesionales solo ven solicitudes abiertas o donde han enviado cotizaciones
+        const professional = await Professional.findOne({ userId: req.userId }).select('_id');
+        if (!professional) {
+          return res.notFound('Perfil profesional no encontrado');
+        }
+
+        // Los profesionales solo ven solicitudes abiertas a cotización (salvo las
+        // privadas de otro profesional), las privadas dirigidas a ellos o donde han cotizado
+        const quotedRequestIds = await Quote.distinct('serviceRequestId', { professionalId: professional._id });
         query.$or = [
-          { status: 'open' },
-          { 'quotes.professional': req.user.professional }
+          { status: { $in: QUOTABLE_REQUEST_STATUSES }, 'directRequest.professionalId': null },
+          { 'directRequest.professionalId': professional._id },
+          { _id: { $in: quotedRequestIds } }
         ];
       }
 
@@ -335,8 +367,8 @@ class ServiceController {
       // Ejecutar consulta
       const [serviceRequests, total] = await Promise.all([
         ServiceRequest.find(query)
-          .populate('client', 'firstName lastName email phone')
-          .populate('quotes.professional', 'businessName rating')
+          .populate('clientId', 'firstName lastName email phone')
+          .populate('professionalId', 'businessInfo.businessName rating')
           .sort(sortOptions)
           .skip(skip)
           .limit(parseInt(limit)),
@@ -441,6 +473,15 @@ class ServiceController {
         return res.error('No se puede actualizar una solicitud en este estado', 400);
       }
 
+      // Con profesional asignado la fecha solo cambia mediante propuestas de reprogramación
+      if (serviceRequest.professionalId &&
+          (updates.preferredDate !== undefined || updates.preferredTime !== undefined)) {
+        return res.error(
+          'Para cambiar la fecha de un servicio asignado usa /requests/:id/reschedule-proposals',
+          409
+        );
+      }
+
       // Campos permitidos para actualización
       const allowedUpdates = [
         'title', 'description', 'urgency', 'budget', 
@@ -497,40 +538,15 @@ class ServiceController {
       }
 
       // Verificar permisos
-      if (serviceRequest.client.toString() !== req.userId) {
+      if (serviceRequest.clientId.toString() !== req.userId.toString()) {
         return res.forbidden('Solo puedes cancelar tus propias solicitudes');
       }
 
-      // Verificar que se pueda cancelar
-      if (['completed', 'cancelled'].includes(serviceRequest.status)) {
-        return res.error('No se puede cancelar una solicitud en este estado', 400);
-      }
-
-      // Actualizar estado
-      serviceRequest.status = 'cancelled';
-      serviceRequest.cancellationReason = reason;
-      serviceRequest.cancelledAt = new Date();
-      await serviceRequest.save();
-
-      // Notificar al profesional asignado si existe
-      if (serviceRequest.assignedProfessional) {
-        try {
-          const professional = await Professional.findById(serviceRequest.assignedProfessional)
-            .populate('user');
-          
-          if (professional && professional.user) {
-            await NotificationService.sendServiceCancellationNotification(
-              professional.user._id,
-              serviceRequest
-            );
-          }
-        } catch (notifError) {
-          logger.warn('Error enviando notificación de cancelación:', {
-            error: notifError.message,
-            serviceRequestId: id
-          });
-        }
-      }
+      // La máquina de estados valida el estado actual y notifica al profesional asignado
+      await ServiceRequestStateMachine.transition(serviceRequest, 'cancel', {
+        user: req.user,
+        reason
+      });
 
       logger.info('Solicitud de servicio cancelada:', {
         serviceRequestId: id,
@@ -541,6 +557,10 @@ class ServiceController {
       return res.success(serviceRequest, 'Solicitud cancelada exitosamente');
 
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.error(error.message, error.statusCode, error.details);
+      }
+
       logger.error('Error cancelando solicitud de servicio:', {
         error: error.message,
         serviceRequestId: req.params.id,
@@ -551,7 +571,165 @@ class ServiceController {
   }
 
   /**
-   * Buscar profesionales disponibles para un servicio específico
+   * Listar las políticas de cancelación disponibles
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getCancellationPolicies(req, res) {
+    return res.success(CancellationService.listPolicies(), 'Políticas de cancelación obtenidas exitosamente');
+  }
+
+  /**
+   * Calcular el reembolso que tendría la cancelación antes de confirmarla
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getCancellationPreview(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.query;
+
+      const serviceRequest = await ServiceRequest.findById(id);
+      if (!serviceRequest) {
+        return res.notFound('Solicitud de servicio no encontrada');
+      }
+
+      const role = await ServiceRequestStateMachine.getActorRole(serviceRequest, req.user);
+      if (!role) {
+        return res.forbidden('No tienes permisos para ver esta solicitud');
+      }
+
+      const preview = await CancellationService.preview(serviceRequest, { role, reason });
+
+      return res.success(preview, 'Vista previa de cancelación obtenida exitosamente');
+
+    } catch (error) {
+      logger.error('Error calculando vista previa de cancelación:', {
+        error: error.message,
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+      return res.serverError('Error calculando el reembolso de la cancelación');
+    }
+  }
+
+  /**
+   * Reintentar los reembolsos fallidos de una solicitud cancelada
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async retryCancellationRefund(req, res) {
+    try {
+      const { id } = req.params;
+
+      const serviceRequest = await ServiceRequest.findById(id);
+      if (!serviceRequest) {
+        return res.notFound('Solicitud de servicio no encontrada');
+      }
+
+      if (serviceRequest.status !== 'cancelled' || !serviceRequest.cancellation.policy) {
+        return res.error('La solicitud no tiene una cancelación con política aplicada', 409);
+      }
+
+      if (serviceRequest.cancellation.refundStatus !== 'failed') {
+        return res.error('La solicitud no tiene reembolsos fallidos', 409);
+      }
+
+      const cancellation = await CancellationService.processRefunds(serviceRequest);
+
+      logger.info('Reembolso de cancelación reintentado:', {
+        serviceRequestId: id,
+        refundStatus: cancellation.refundStatus,
+        userId: req.userId
+      });
+
+      return res.success(cancellation, 'Reembolso reintentado');
+
+    } catch (error) {
+      logger.error('Error reintentando reembolso de cancelación:', {
+        error: error.message,
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+      return res.serverError('Error reintentando el reembolso');
+    }
+  }
+
+  /**
+   * Obtener las acciones de estado disponibles para el usuario autenticado
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getServiceRequestTransitions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const serviceRequest = await ServiceRequest.findById(id);
+      if (!serviceRequest) {
+        return res.notFound('Solicitud de servicio no encontrada');
+      }
+
+      const result = await ServiceRequestStateMachine.getAvailableTransitions(serviceRequest, req.user);
+      if (!result.role) {
+        return res.forbidden('No tienes permisos para ver esta solicitud');
+      }
+
+      return res.success(result, 'Transiciones disponibles obtenidas exitosamente');
+
+    } catch (error) {
+      logger.error('Error obteniendo transiciones de solicitud:', {
+        error: error.message,
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+      return res.serverError('Error obteniendo las transiciones disponibles');
+    }
+  }
+
+  /**
+   * Ejecutar una acción de cambio de estado sobre una solicitud
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async transitionServiceRequest(req, res) {
+    try {
+      const { id } = req.params;
+      const { action, reason, notes } = req.body;
+
+      if (!action) {
+        return res.badRequest('La acción es requerida');
+      }
+
+      const serviceRequest = await ServiceRequest.findById(id);
+      if (!serviceRequest) {
+        return res.notFound('Solicitud de servicio no encontrada');
+      }
+
+      await ServiceRequestStateMachine.transition(serviceRequest, action, {
+        user: req.user,
+        reason,
+        notes
+      });
+
+      return res.success(serviceRequest, 'Estado de la solicitud actualizado exitosamente');
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.error(error.message, error.statusCode, error.details);
+      }
+
+      logger.error('Error cambiando estado de solicitud:', {
+        error: error.message,
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+      return res.serverError('Error actualizando el estado de la solicitud');
+    }
+  }
+
+  /**
+   * Buscar profesionales disponibles para un servicio específico, ordenados por
+   * el motor de ranking. Cada resultado incluye ranking.breakdown por factor
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    */
@@ -564,96 +742,53 @@ class ServiceController {
         radius = 50,
         minRating = 0,
         maxPrice,
-        availability,
+        budget,
         page = 1,
         limit = 10,
-        sortBy = 'rating',
-        sortOrder = 'desc'
+        sortBy = 'score'
       } = req.query;
 
       if (!category) {
         return res.error('Categoría de servicio requerida', 400);
       }
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-      const query = {
-        isVerified: true,
-        isActive: true,
-        'services.category': category
-      };
-
-      // Filtros adicionales
-      if (subcategory) {
-        query['services.subcategory'] = subcategory;
-      }
-
-      if (minRating > 0) {
-        query.rating = { $gte: parseFloat(minRating) };
-      }
-
-      if (maxPrice) {
-        query['services.price'] = { $lte: parseFloat(maxPrice) };
-      }
-
-      // Filtro de ubicación
+      let coordinates = null;
       if (location) {
-        try {
-          const [lat, lng] = location.split(',').map(coord => parseFloat(coord.trim()));
-          if (!isNaN(lat) && !isNaN(lng)) {
-            query.location = {
-              $near: {
-                $geometry: {
-                  type: 'Point',
-                  coordinates: [lng, lat]
-                },
-                $maxDistance: parseInt(radius) * 1000
-              }
-            };
-          }
-        } catch (locationError) {
+        const [lat, lng] = location.split(',').map(coord => parseFloat(coord.trim()));
+        if (isNaN(lat) || isNaN(lng)) {
           return res.error('Formato de ubicación inválido. Use: lat,lng', 400);
         }
+        coordinates = [lng, lat];
       }
 
-      // Configurar ordenamiento
-      const sortOptions = {};
-      sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-      // Ejecutar búsqueda
-      const [professionals, total] = await Promise.all([
-        Professional.find(query)
-          .populate('user', 'firstName lastName')
-          .select('businessName services rating reviewCount location availability')
-          .sort(sortOptions)
-          .skip(skip)
-          .limit(parseInt(limit)),
-        Professional.countDocuments(query)
-      ]);
+      const pageNumber = parseInt(page) || 1;
+      const pageSize = parseInt(limit) || 10;
 
-      // Calcular distancia si hay ubicación
-      if (location) {
-        const [lat, lng] = location.split(',').map(coord => parseFloat(coord.trim()));
-        professionals.forEach(prof => {
-          if (prof.location && prof.location.coordinates) {
-            prof.distance = GeolocationUtils.calculateDistance(
-              lat, lng,
-              prof.location.coordinates[1],
-              prof.location.coordinates[0]
-            );
-          }
-        });
-      }
+      const { results, total } = await ProfessionalSearchService.search({
+        category,
+        subcategory,
+        coordinates,
+        radiusKm: parseFloat(radius) || undefined,
+        minRating: parseFloat(minRating) || undefined,
+        maxPrice: parseFloat(maxPrice) || undefined,
+        budget: parseFloat(budget) || undefined,
+        verifiedOnly: true
+      }, { sortBy, page: pageNumber, limit: pageSize });
 
       const pagination = {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page: pageNumber,
+        limit: pageSize,
         total,
-        pages: Math.ceil(total / parseInt(limit)),
-        hasNext: skip + parseInt(limit) < total,
-        hasPrev: parseInt(page) > 1
+        pages: Math.ceil(total / pageSize),
+        hasNext: pageNumber * pageSize < total,
+        hasPrev: pageNumber > 1
       };
 
-      return res.paginated(professionals, pagination, 'Profesionales encontrados exitosamente');
+      return res.paginated(
+        results.map(result => ProfessionalSearchService.toResponse(result)),
+        pagination,
+        'Profesionales encontrados exitosamente'
+      );
 
     } catch (error) {
       logger.error('Error buscando profesionales:', {
@@ -0,0 +1,75 @@
+/**
+ * Controlador de seguimiento en vivo (alternativa REST al namespace /tracking)
+ * Para clientes que no pueden mantener un socket abierto
+ */
+
+const TrackingService = require('../services/TrackingService');
+const { handleControllerError } = require('../utils/response');
+
+class TrackingController {
+  /**
+   * Consultar la ubicación del profesional y el ETA (cliente)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getTracking(req, res) {
+    try {
+      const serviceRequest = await TrackingService.loadServiceRequest(req.params.id);
+      TrackingService.assertClient(serviceRequest, req.user);
+
+      return res.success(TrackingService.getTrackingState(serviceRequest), 'Seguimiento obtenido exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo el seguimiento', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Enviar una posición (profesional asignado); inicia el seguimiento si no estaba activo
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async updateLocation(req, res) {
+    try {
+      const serviceRequest = await TrackingService.loadServiceRequest(req.params.id);
+      const state = await TrackingService.startSharing(serviceRequest, req.user, req.body);
+
+      return res.success(state, state.throttled
+        ? 'Posición descartada por frecuencia o precisión'
+        : 'Posición registrada exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error registrando la posición', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Dejar de compartir la ubicación (profesional asignado)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async stopSharing(req, res) {
+    try {
+      const serviceRequest = await TrackingService.loadServiceRequest(req.params.id);
+      await TrackingService.assertProfessional(serviceRequest, req.user);
+
+      const state = await TrackingService.stopSharing(serviceRequest, 'stopped_by_professional');
+
+      return res.success(state, 'Seguimiento detenido');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error deteniendo el seguimiento', {
+        serviceRequestId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = TrackingController;
@@ -0,0 +1,215 @@
+/**
+ * Controlador de reclamos de garantía
+ * Apertura por el cliente, respuesta del profesional y decisión de administradores
+ */
+
+const WarrantyClaim = require('../models/WarrantyClaim');
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const WarrantyService = require('../services/WarrantyService');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { handleControllerError } = require('../utils/response');
+
+class WarrantyController {
+  /**
+   * Cargar un reclamo
+   * @param {string} id - ID del reclamo
+   * @returns {Promise<Object>} Reclamo
+   */
+  static async loadClaim(id) {
+    const claim = await WarrantyClaim.findById(id);
+    if (!claim) {
+      throw new AppError('Reclamo de garantía no encontrado', 404, 'WARRANTY_CLAIM_NOT_FOUND');
+    }
+    return claim;
+  }
+
+  /**
+   * Abrir un reclamo de garantía (cliente)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async openClaim(req, res) {
+    try {
+      const serviceRequest = await ServiceRequest.findById(req.body.serviceRequestId);
+      if (!serviceRequest) {
+        return res.notFound('Solicitud de servicio no encontrada');
+      }
+
+      const claim = await WarrantyService.open(serviceRequest, req.user, req.body, req.files || []);
+
+      logger.info('Reclamo de garantía abierto:', {
+        warrantyClaimId: claim._id,
+        serviceRequestId: serviceRequest._id,
+        userId: req.userId
+      });
+
+      return res.success(claim, 'Reclamo de garantía abierto exitosamente', 201);
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error abriendo el reclamo de garantía', {
+        serviceRequestId: req.body.serviceRequestId,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Listar los reclamos del usuario autenticado (como cliente o profesional)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getMyClaims(req, res) {
+    try {
+      const { status, page = 1, limit = 10 } = req.query;
+      const parties = [{ clientId: req.user._id }];
+
+      if (req.user.role === 'professional') {
+        const professional = await Professional.findOne({ userId: req.user._id }).select('_id');
+        if (professional) parties.push({ professionalId: professional._id });
+      }
+
+      const query = { $or: parties };
+      if (status) query.status = status;
+
+      const [claims, total] = await Promise.all([
+        WarrantyClaim.find(query)
+          .sort({ createdAt: -1 })
+          .skip((parseInt(page) - 1) * parseInt(limit))
+          .limit(parseInt(limit))
+          .populate('serviceRequestId', 'service.title service.category completion.completedAt'),
+        WarrantyClaim.countDocuments(query)
+      ]);
+
+      return res.success({
+        claims,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }, 'Reclamos de garantía obtenidos exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo reclamos de garantía', {
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Obtener un reclamo
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getClaim(req, res) {
+    try {
+      const claim = await WarrantyController.loadClaim(req.params.id);
+
+      if (!await WarrantyService.getRole(claim, req.user)) {
+        return res.forbidden('No tienes permisos para ver este reclamo');
+      }
+
+      await claim.populate([
+        { path: 'serviceRequestId', select: 'service completion.completedAt completion.warranty' },
+        { path: 'followUpRequestId', select: 'status scheduling' }
+      ]);
+
+      return res.success(claim, 'Reclamo de garantía obtenido exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo el reclamo de garantía', {
+        warrantyClaimId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Agendar la visita de seguimiento sin costo (profesional)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async scheduleVisit(req, res) {
+    try {
+      const claim = await WarrantyController.loadClaim(req.params.id);
+      const followUp = await WarrantyService.scheduleVisit(claim, req.user, req.body);
+
+      return res.success({ claim, followUp }, 'Visita de garantía agendada exitosamente', 201);
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error agendando la visita de garantía', {
+        warrantyClaimId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Impugnar el reclamo (profesional)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async contestClaim(req, res) {
+    try {
+      const claim = await WarrantyController.loadClaim(req.params.id);
+      await WarrantyService.contest(claim, req.user, req.body);
+
+      return res.success(claim, 'Reclamo impugnado; un administrador lo revisará');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error impugnando el reclamo de garantía', {
+        warrantyClaimId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Cola de reclamos en revisión (admin)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async getReviewQueue(req, res) {
+    try {
+      const result = await WarrantyService.getQueue(req.query);
+
+      return res.success(result, 'Cola de reclamos de garantía obtenida exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error obteniendo la cola de reclamos de garantía', {
+        userId: req.userId
+      });
+    }
+  }
+
+  /**
+   * Decidir un reclamo en revisión (admin)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async decideClaim(req, res) {
+    try {
+      const claim = await WarrantyController.loadClaim(req.params.id);
+      await WarrantyService.decide(claim, req.user, req.body);
+
+      logger.info('Reclamo de garantía decidido:', {
+        warrantyClaimId: claim._id,
+        decision: req.body.decision,
+        userId: req.userId
+      });
+
+      return res.success(claim, 'Reclamo de garantía decidido exitosamente');
+
+    } catch (error) {
+      return handleControllerError(res, error, 'Error decidiendo el reclamo de garantía', {
+        warrantyClaimId: req.params.id,
+        userId: req.userId
+      });
+    }
+  }
+}
+
+module.exports = WarrantyController;
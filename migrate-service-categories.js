@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const ServiceCategoryService = require('./services/ServiceCategoryService');
+
+/**
+ * Script de migración a la taxonomía de categorías en base de datos:
+ * siembra las categorías de config/service-categories.js (sin tocar las que ya
+ * existen) y lleva las categorías y subcategorías antiguas de solicitudes,
+ * profesionales, series y búsquedas guardadas a las categorías nuevas
+ * Ejecutar con: node migrate-service-categories.js [--dry-run]
+ */
+
+async function migrateServiceCategories() {
+  const dryRun = process.argv.includes('--dry-run');
+  let exitCode = 0;
+
+  try {
+    console.log('Conectando a la base de datos...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Conectado a MongoDB');
+
+    if (dryRun) {
+      console.log('🔎 Modo simulación: no se modificará ningún documento');
+    }
+
+    const { seeded, changes, unmapped, unmappedSubcategories } = await ServiceCategoryService.migrate({ dryRun });
+
+    console.log(`\n📂 Categorías creadas: ${seeded}`);
+
+    if (changes.length === 0) {
+      console.log('✅ Todos los documentos usan categorías vigentes');
+    } else {
+      console.log('\n🔁 Categorías y subcategorías reemplazadas:');
+      changes.forEach(change => {
+        const to = change.to || '(sin subcategoría)';
+        console.log(`   ${change.collection}.${change.path}: ${change.from} → ${to} (${change.documents} documentos)`);
+      });
+    }
+
+    if (unmapped.length > 0) {
+      console.log(`\n⚠️  Valores sin correspondencia (asignados a "other"): ${unmapped.join(', ')}`);
+    }
+
+    if (unmappedSubcategories.length > 0) {
+      console.log(
+        '\n⚠️  Subcategorías sin correspondencia (asignadas a la subcategoría general o ' +
+        `eliminadas de las búsquedas guardadas): ${unmappedSubcategories.join(', ')}`
+      );
+    }
+
+  } catch (error) {
+    exitCode = 1;
+    console.error('❌ Error migrando categorías de servicio:', error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log('\n🔌 Conexión a la base de datos cerrada.');
+    process.exit(exitCode);
+  }
+}
+
+// Ejecutar el script
+if (require.main === module) {
+  migrateServiceCategories();
+}
+
+module.exports = migrateServiceCategories;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Intervalo bloqueado en la agenda de un profesional importado desde un
+ * calendario externo (ICS). Es de solo lectura: cada reimportación del
+ * calendario reemplaza todos sus bloques
+ */
+const availabilityBlockSchema = new mongoose.Schema({
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    required: true
+  },
+  calendarId: {
+    type: mongoose.Schema.Types.ObjectId, // Professional.calendarImports._id
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  allDay: {
+    type: Boolean,
+    default: false
+  },
+  externalUid: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+availabilityBlockSchema.index({ professionalId: 1, start: 1, end: 1 });
+availabilityBlockSchema.index({ calendarId: 1 });
+
+// Bloques de uno o varios profesionales que se solapan con un rango
+availabilityBlockSchema.statics.findOverlapping = function(professionalIds, rangeStart, rangeEnd) {
+  const ids = Array.isArray(professionalIds) ? professionalIds : [professionalIds];
+
+  return this.find({
+    professionalId: { $in: ids },
+    start: { $lt: rangeEnd },
+    end: { $gt: rangeStart }
+  })
+    .select('professionalId calendarId start end allDay')
+    .sort({ start: 1 });
+};
+
+module.exports = mongoose.model('AvailabilityBlock', availabilityBlockSchema);
@@ -146,7 +146,7 @@ const chatSchema = new mongoose.Schema({
   
   closeReason: {
     type: String,
-    enum: ['service_completed', 'service_cancelled', 'user_request', 'inactivity', 'violation']
+    enum: ['service_completed', 'service_cancelled', 'user_request', 'inactivity', 'violation', 'dispute_resolved']
   }
 }, {
   timestamps: true,
@@ -402,16 +402,36 @@ chatSchema.statics.getActiveChatsCount = function(userId) {
   });
 };
 
-chatSchema.statics.getChatsForAutoArchive = function() {
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - 30); // 30 días atrás
-  
+chatSchema.statics.getChatsForAutoArchive = function(now = new Date()) {
+  // Respeta settings.autoArchiveAfterDays de cada chat (30 días por defecto)
   return this.find({
     status: 'active',
-    'stats.lastActivityAt': { $lt: cutoffDate }
+    $expr: {
+      $lt: [
+        '$stats.lastActivityAt',
+        {
+          $subtract: [
+            now,
+            { $multiply: [{ $ifNull: ['$settings.autoArchiveAfterDays', 30] }, 24 * 60 * 60 * 1000] }
+          ]
+        }
+      ]
+    }
   });
 };
 
+chatSchema.statics.archiveInactiveChats = async function(now = new Date()) {
+  const chats = await this.getChatsForAutoArchive(now);
+  let archived = 0;
+
+  for (const chat of chats) {
+    await chat.archive();
+    archived += 1;
+  }
+
+  return { archived };
+};
+
 chatSchema.statics.getStats = async function(filters = {}) {
   const pipeline = [];
   
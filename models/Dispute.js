@@ -0,0 +1,193 @@
+/**
+ * Modelo de Disputa
+ * Reclamo de una de las partes sobre un servicio en progreso o completado,
+ * con evidencia de ambas partes y la decisión de arbitraje de un administrador
+ */
+
+const mongoose = require('mongoose');
+const {
+  DISPUTE_CATEGORIES,
+  DISPUTE_STATUSES,
+  DISPUTE_EVIDENCE_TYPES,
+  DISPUTE_OUTCOMES
+} = require('../config/disputes');
+
+const PARTY_ROLES = ['client', 'professional'];
+
+const evidenceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DISPUTE_EVIDENCE_TYPES,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La descripción no puede exceder 500 caracteres']
+  },
+  // Fotos y documentos subidos
+  file: {
+    url: String,
+    publicId: String,
+    format: String,
+    originalName: String
+  },
+  // Copia de los mensajes citados para que no cambie si se editan o eliminan
+  messages: [{
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    text: String,
+    sentAt: Date
+  }],
+  invoice: {
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    invoiceNumber: String,
+    status: String
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submittedByRole: {
+    type: String,
+    enum: [...PARTY_ROLES, 'admin'],
+    required: true
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const disputeSchema = new mongoose.Schema({
+  serviceRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceRequest',
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    required: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedByRole: {
+    type: String,
+    enum: PARTY_ROLES,
+    required: true
+  },
+  // Estado de la solicitud al abrir la disputa (define el ajuste de ganancias al resolver)
+  previousStatus: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: Object.keys(DISPUTE_CATEGORIES),
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [2000, 'La descripción no puede exceder 2000 caracteres']
+  },
+  status: {
+    type: String,
+    enum: DISPUTE_STATUSES,
+    default: 'awaiting_response'
+  },
+  responseDeadline: {
+    type: Date,
+    required: true
+  },
+  response: {
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'La respuesta no puede exceder 2000 caracteres']
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date
+  },
+  // Pasó a la cola de arbitraje por vencimiento del plazo sin respuesta
+  escalatedAt: Date,
+  evidence: [evidenceSchema],
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: Date,
+  resolution: {
+    outcome: {
+      type: String,
+      enum: Object.keys(DISPUTE_OUTCOMES)
+    },
+    refundAmount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    refundStatus: {
+      type: String,
+      enum: ['pending', 'processed', 'failed', 'not_required']
+    },
+    penaltyAmount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Las notas no pueden exceder 2000 caracteres']
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ serviceRequestId: 1, status: 1 });
+disputeSchema.index({ status: 1, responseDeadline: 1 });
+disputeSchema.index({ status: 1, createdAt: 1 });
+disputeSchema.index({ clientId: 1, createdAt: -1 });
+disputeSchema.index({ professionalId: 1, createdAt: -1 });
+
+// Rol de la parte que debe responder
+disputeSchema.virtual('respondentRole').get(function() {
+  return this.openedByRole === 'client' ? 'professional' : 'client';
+});
+
+disputeSchema.set('toJSON', { virtuals: true });
+disputeSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * Profesional marcado como favorito por un cliente
+ */
+const favoriteProfessionalSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+favoriteProfessionalSchema.index({ clientId: 1, professionalId: 1 }, { unique: true });
+favoriteProfessionalSchema.index({ clientId: 1, createdAt: -1 });
+favoriteProfessionalSchema.index({ professionalId: 1 });
+
+module.exports = mongoose.model('FavoriteProfessional', favoriteProfessionalSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reservas inmediatas vigentes de un profesional en una semana (lunes a domingo).
+ * Un documento por profesional y semana (_id = professionalId:YYYY-MM-DD) que se
+ * incrementa de forma atómica para que reservas simultáneas no superen el límite
+ */
+const instantBookingCounterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    required: true
+  },
+  weekStart: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Los contadores de semanas pasadas se eliminan solos
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+instantBookingCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Crear el contador de la semana si no existe
+ * @param {Object} data - { _id, professionalId, weekStart, count, expiresAt }
+ */
+instantBookingCounterSchema.statics.ensure = async function(data) {
+  try {
+    await this.updateOne({ _id: data._id }, { $setOnInsert: data }, { upsert: true });
+  } catch (error) {
+    // Otra reserva lo creó al mismo tiempo
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Tomar un cupo de la semana si el contador está por debajo del límite
+ * @param {string} id - _id del contador
+ * @param {number} limit - Límite semanal
+ * @returns {Promise<boolean>} true si se tomó el cupo
+ */
+instantBookingCounterSchema.statics.reserve = async function(id, limit) {
+  const counter = await this.findOneAndUpdate(
+    { _id: id, count: { $lt: limit } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+  return !!counter;
+};
+
+/**
+ * Devolver un cupo (reserva cancelada o que no llegó a registrarse)
+ * @param {string} id - _id del contador
+ */
+instantBookingCounterSchema.statics.release = function(id) {
+  return this.updateOne({ _id: id, count: { $gt: 0 } }, { $inc: { count: -1 } });
+};
+
+module.exports = mongoose.model('InstantBookingCounter', instantBookingCounterSchema);
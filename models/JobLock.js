@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Bloqueo distribuido de una tarea programada. Un documento por tarea
+ * (_id = nombre); solo la instancia que lo adquiere ejecuta la tarea y,
+ * si muere sin liberarlo, el bloqueo vence en expiresAt
+ */
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Adquirir el bloqueo si está libre o vencido
+ * @param {string} name - Nombre de la tarea
+ * @param {string} owner - Identificador de la instancia
+ * @param {number} ttlMs - Vigencia del bloqueo
+ * @returns {Promise<boolean>} true si se adquirió
+ */
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    await this.findOneAndUpdate(
+      { _id: name, expiresAt: { $lte: now } },
+      { $set: { owner, lockedAt: now, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // Otra instancia tiene el bloqueo vigente: el upsert choca con su _id
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Liberar el bloqueo (solo si sigue perteneciendo a la instancia)
+ * @param {string} name - Nombre de la tarea
+ * @param {string} owner - Identificador de la instancia
+ */
+jobLockSchema.statics.release = function(name, owner) {
+  return this.deleteOne({ _id: name, owner });
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
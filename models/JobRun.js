@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { JOBS_CONFIG } = require('../config/jobs');
+
+/**
+ * Historial de ejecuciones de tareas programadas
+ * Se purga automáticamente tras JOBS_CONFIG.historyRetentionDays
+ */
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  instance: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  error: {
+    message: String,
+    stack: String
+  }
+}, {
+  versionKey: false
+});
+
+// Índices
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index(
+  { startedAt: 1 },
+  { expireAfterSeconds: JOBS_CONFIG.historyRetentionDays * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -19,7 +19,10 @@ const messageSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    // Los mensajes generados por el sistema no tienen remitente
+    required: function() {
+      return !['system', 'service_update', 'payment_update'].includes(this.type);
+    },
     index: true
   },
   
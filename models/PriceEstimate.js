@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Estimación de precio precalculada para un grupo de solicitudes completadas:
+ * la categoría sola o combinada con subcategoría y/o ciudad (null = todas).
+ * Las tarifas están normalizadas por hora y a urgencia media
+ */
+const priceEstimateSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true
+  },
+  subcategory: {
+    type: String,
+    default: null
+  },
+  // Ciudad normalizada (minúsculas, sin tildes)
+  city: {
+    type: String,
+    default: null
+  },
+  currency: {
+    type: String,
+    enum: ['COP', 'USD'],
+    default: 'COP'
+  },
+  sampleCount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  hourlyRate: {
+    p25: Number,
+    median: Number,
+    p75: Number
+  },
+  medianDurationMinutes: Number,
+  computedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+priceEstimateSchema.index({ category: 1, subcategory: 1, city: 1, currency: 1 }, { unique: true });
+priceEstimateSchema.index({ computedAt: 1 });
+
+module.exports = mongoose.model('PriceEstimate', priceEstimateSchema);
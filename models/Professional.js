@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { CANCELLATION_POLICIES } = require('../config/cancellation-policies');
+const { CREDENTIAL_TYPES } = require('../config/service-categories');
 
 const professionalSchema = new mongoose.Schema({
   userId: {
@@ -37,21 +39,31 @@ const professionalSchema = new mongoose.Schema({
     category: {
       type: String,
       required: true,
-      enum: [
-        'home_services',
-        'technical_services', 
-        'professional_services',
-        'beauty_wellness',
-        'automotive',
-        'education',
-        'health',
-        'cleaning',
-        'other'
-      ]
+      // Categoría raíz activa de ServiceCategory
+      validate: {
+        validator: function(value) {
+          // Solo al crear o cambiar la categoría del servicio: desactivarla no invalida los
+          // existentes (isDirectModified: agregar otro servicio marca todo el arreglo)
+          if (!this.isNew && !this.isDirectModified('category')) return true;
+          // Se requiere aquí: ServiceCategoryService importa este modelo
+          const ServiceCategoryService = require('../services/ServiceCategoryService');
+          return ServiceCategoryService.isSelectable(value);
+        },
+        message: props => `La categoría ${props.value} no existe o no está activa`
+      }
     },
     subcategory: {
       type: String,
-      required: true
+      required: true,
+      // Subcategoría activa de ServiceCategory, hija de la categoría del servicio
+      validate: {
+        validator: function(value) {
+          if (!this.isNew && !this.isDirectModified('subcategory') && !this.isDirectModified('category')) return true;
+          const ServiceCategoryService = require('../services/ServiceCategoryService');
+          return ServiceCategoryService.isSelectableSubcategory(this.category, value);
+        },
+        message: props => `La subcategoría ${props.value} no existe, no está activa o no pertenece a la categoría`
+      }
     },
     title: {
       type: String,
@@ -205,7 +217,7 @@ const professionalSchema = new mongoose.Schema({
   credentials: [{
     type: {
       type: String,
-      enum: ['certificate', 'license', 'degree', 'insurance', 'other'],
+      enum: CREDENTIAL_TYPES,
       required: true
     },
     title: {
@@ -286,6 +298,22 @@ const professionalSchema = new mongoose.Schema({
     completionRate: {
       type: Number, // porcentaje
       default: 0
+    },
+    noShowCount: {
+      type: Number,
+      default: 0
+    },
+    totalPenalties: {
+      type: Number,
+      default: 0
+    },
+    warrantyClaims: {
+      type: Number,
+      default: 0
+    },
+    warrantyClaimRate: {
+      type: Number, // porcentaje sobre servicios completados
+      default: 0
     }
   },
   verification: {
@@ -340,6 +368,12 @@ const professionalSchema = new mongoose.Schema({
       type: Number,
       default: 8
     },
+    // Límite de reservas inmediatas por semana (null: sin límite)
+    maxInstantBookingsPerWeek: {
+      type: Number,
+      min: [1, 'El límite semanal debe ser al menos 1'],
+      default: null
+    },
     emergencyServices: {
       type: Boolean,
       default: false
@@ -347,8 +381,63 @@ const professionalSchema = new mongoose.Schema({
     weekendWork: {
       type: Boolean,
       default: false
+    },
+    // Sin valor se aplica la política por defecto de la categoría del servicio
+    cancellationPolicy: {
+      type: String,
+      enum: [...Object.keys(CANCELLATION_POLICIES), null],
+      default: null
     }
   },
+  calendarFeed: {
+    // Solo se guarda el hash; el token en claro se entrega una vez al rotarlo
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    createdAt: Date,
+    lastAccessedAt: Date
+  },
+  // Calendarios externos cuyos eventos bloquean la agenda (ver AvailabilityBlock)
+  calendarImports: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'El nombre del calendario no puede exceder 100 caracteres']
+    },
+    sourceType: {
+      type: String,
+      enum: ['file', 'url'],
+      required: true
+    },
+    url: {
+      type: String,
+      trim: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    lastSyncedAt: Date,
+    lastSyncStatus: {
+      type: String,
+      enum: ['success', 'error']
+    },
+    lastError: String,
+    blockCount: {
+      type: Number,
+      default: 0
+    },
+    skippedEvents: {
+      type: Number,
+      default: 0
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   bankAccount: {
     accountHolder: String,
     bankName: String,
@@ -387,6 +476,9 @@ const professionalSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Última vez que quedó visible en búsquedas (verificado y activo) o cambió sus
+  // servicios estando visible; dispara las alertas de búsquedas guardadas
+  listedAt: Date,
   lastActiveAt: {
     type: Date,
     default: Date.now
@@ -405,6 +497,24 @@ professionalSchema.index({ 'verification.status': 1 });
 professionalSchema.index({ isActive: 1, 'verification.status': 1 });
 professionalSchema.index({ serviceRadius: 1 });
 professionalSchema.index({ createdAt: -1 });
+professionalSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
+professionalSchema.index({ listedAt: -1 });
+// Búsqueda de texto libre (negocio, títulos y etiquetas de servicios)
+professionalSchema.index({
+  'businessInfo.businessName': 'text',
+  'businessInfo.description': 'text',
+  'services.title': 'text',
+  'services.tags': 'text'
+}, {
+  name: 'professional_text_search',
+  default_language: 'spanish',
+  weights: {
+    'businessInfo.businessName': 10,
+    'services.title': 5,
+    'services.tags': 5,
+    'businessInfo.description': 2
+  }
+});
 
 // Virtual para obtener el usuario completo
 professionalSchema.virtual('user', {
@@ -433,6 +543,21 @@ professionalSchema.virtual('isAvailableNow').get(function() {
   return currentTime >= daySchedule.start && currentTime <= daySchedule.end;
 });
 
+// Marcar cuándo el profesional queda visible o cambia lo que ofrece
+professionalSchema.pre('save', function(next) {
+  const listed = this.isActive && this.verification?.status === 'verified';
+  const changed = this.isNew ||
+    this.isModified('isActive') ||
+    this.isModified('verification.status') ||
+    this.isModified('services');
+
+  if (listed && changed) {
+    this.listedAt = new Date();
+  }
+
+  next();
+});
+
 // Método para actualizar estadísticas
 professionalSchema.methods.updateStatistics = function(serviceData) {
   this.statistics.totalServices += 1;
@@ -446,10 +571,25 @@ professionalSchema.methods.updateStatistics = function(serviceData) {
   
   // Calcular tasa de finalización
   this.statistics.completionRate = (this.statistics.completedServices / this.statistics.totalServices) * 100;
+  this.calculateWarrantyClaimRate();
   
   return this.save();
 };
 
+// Método para registrar un reclamo de garantía
+professionalSchema.methods.recordWarrantyClaim = function() {
+  this.statistics.warrantyClaims = (this.statistics.warrantyClaims || 0) + 1;
+  this.calculateWarrantyClaimRate();
+
+  return this.save();
+};
+
+// Tasa de reclamos de garantía sobre servicios completados
+professionalSchema.methods.calculateWarrantyClaimRate = function() {
+  const { completedServices, warrantyClaims = 0 } = this.statistics;
+  this.statistics.warrantyClaimRate = completedServices ? (warrantyClaims / completedServices) * 100 : 0;
+};
+
 // Método para actualizar rating
 professionalSchema.methods.updateRating = function(newRating) {
   const currentTotal = this.rating.average * this.rating.count;
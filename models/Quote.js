@@ -0,0 +1,192 @@
+/**
+ * Modelo de Cotización
+ * Oferta de un profesional sobre una solicitud de servicio. Cada oferta del
+ * profesional y cada contraoferta del cliente queda como una versión; los campos
+ * de primer nivel reflejan la última versión
+ */
+
+const mongoose = require('mongoose');
+const { QUOTE_STATUSES } = require('../config/quotes');
+
+const quoteVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  // professional: oferta o revisión; client: contraoferta
+  author: {
+    type: String,
+    enum: ['professional', 'client'],
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'El precio no puede ser negativo']
+  },
+  availableDate: Date,
+  availableTime: {
+    type: String,
+    match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Formato de hora inválido (HH:MM)']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'La descripción no puede exceder 2000 caracteres']
+  },
+  estimatedDuration: {
+    value: Number,
+    unit: {
+      type: String,
+      enum: ['minutes', 'hours', 'days']
+    }
+  },
+  materials: [{
+    name: String,
+    quantity: Number,
+    unitPrice: Number
+  }],
+  transportCost: {
+    type: Number,
+    min: [0, 'El costo de transporte no puede ser negativo']
+  },
+  warrantyDays: Number,
+  terms: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Los términos no pueden exceder 1000 caracteres']
+  },
+  // Mensaje que acompaña la contraoferta o la revisión
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'El mensaje no puede exceder 1000 caracteres']
+  },
+  validUntil: Date
+}, { _id: false });
+
+const quoteSchema = new mongoose.Schema({
+  serviceRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceRequest',
+    required: true
+  },
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: QUOTE_STATUSES,
+    default: 'draft'
+  },
+  // Términos vigentes (última versión)
+  version: {
+    type: Number,
+    default: 1
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'El precio no puede ser negativo']
+  },
+  currency: {
+    type: String,
+    enum: ['COP', 'USD'],
+    default: 'COP'
+  },
+  availableDate: Date,
+  availableTime: String,
+  validUntil: Date,
+  versions: [quoteVersionSchema],
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: QUOTE_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }],
+  sentAt: Date,
+  acceptedAt: Date
+}, {
+  timestamps: true
+});
+
+quoteSchema.index({ serviceRequestId: 1, status: 1 });
+quoteSchema.index({ professionalId: 1, createdAt: -1 });
+quoteSchema.index({ status: 1, validUntil: 1 });
+// Como máximo una cotización aceptada por solicitud: dos aceptaciones simultáneas
+// no pueden pasar las dos
+quoteSchema.index(
+  { serviceRequestId: 1 },
+  { unique: true, partialFilterExpression: { status: 'accepted' } }
+);
+
+// Última versión del profesional (la que el cliente acepta)
+quoteSchema.methods.getLatestOffer = function() {
+  return [...this.versions].reverse().find(version => version.author === 'professional') || null;
+};
+
+// Desglose del precio de la última oferta; la mano de obra es lo que no
+// corresponde a materiales ni transporte
+quoteSchema.methods.getPriceBreakdown = function() {
+  const offer = this.getLatestOffer();
+  if (!offer) return { labor: 0, materials: 0, transport: 0, total: 0 };
+
+  const materials = (offer.materials || [])
+    .reduce((sum, item) => sum + (item.quantity || 0) * (item.unitPrice || 0), 0);
+  const transport = offer.transportCost || 0;
+
+  return {
+    labor: Math.max(offer.price - materials - transport, 0),
+    materials,
+    transport,
+    total: offer.price
+  };
+};
+
+// Agregar una versión y reflejar sus términos en los campos de primer nivel
+quoteSchema.methods.addVersion = function(data) {
+  const version = { ...data, version: this.versions.length + 1 };
+  this.versions.push(version);
+
+  this.version = version.version;
+  this.price = version.price;
+  this.availableDate = version.availableDate;
+  this.availableTime = version.availableTime;
+  if (version.validUntil) this.validUntil = version.validUntil;
+
+  return this.versions[this.versions.length - 1];
+};
+
+// Registrar un cambio de estado
+quoteSchema.methods.setStatus = function(status, changedBy, reason) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, changedAt: new Date(), reason });
+};
+
+module.exports = mongoose.model('Quote', quoteSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { RANKING_FACTORS, RANKING_CONFIG } = require('../config/ranking');
+
+/**
+ * Pesos del ranking de profesionales ajustados por administradores.
+ * Un único documento (_id = 'default'); los factores sin valor usan
+ * DEFAULT_RANKING_WEIGHTS
+ */
+const weightsDefinition = RANKING_FACTORS.reduce((definition, factor) => {
+  definition[factor] = {
+    type: Number,
+    min: [0, 'Los pesos no pueden ser negativos'],
+    max: [RANKING_CONFIG.maxWeight, `Los pesos no pueden superar ${RANKING_CONFIG.maxWeight}`]
+  };
+  return definition;
+}, {});
+
+const rankingSettingsSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  weights: weightsDefinition,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+module.exports = mongoose.model('RankingSettings', rankingSettingsSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { SAVED_SEARCH_CONFIG } = require('../config/saved-searches');
+
+/**
+ * Búsqueda de profesionales guardada por un cliente. Los profesionales que
+ * empiezan a cumplirla se acumulan en alerts.pendingProfessionals hasta el
+ * siguiente resumen (ver SavedSearchService)
+ */
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario es requerido']
+  },
+  name: {
+    type: String,
+    required: [true, 'El nombre de la búsqueda es requerido'],
+    trim: true,
+    maxlength: [SAVED_SEARCH_CONFIG.maxNameLength, `El nombre no puede exceder ${SAVED_SEARCH_CONFIG.maxNameLength} caracteres`]
+  },
+  filters: {
+    category: {
+      type: String,
+      required: [true, 'La categoría es requerida'],
+      trim: true
+    },
+    subcategory: {
+      type: String,
+      trim: true
+    },
+    coordinates: {
+      type: [Number], // [longitud, latitud]
+      default: undefined,
+      validate: {
+        validator: (value) => !value || value.length === 2,
+        message: 'Las coordenadas deben ser [longitud, latitud]'
+      }
+    },
+    address: {
+      type: String,
+      trim: true
+    },
+    radiusKm: {
+      type: Number,
+      min: [1, 'El radio mínimo es 1 km'],
+      max: [SAVED_SEARCH_CONFIG.maxRadiusKm, `El radio máximo es ${SAVED_SEARCH_CONFIG.maxRadiusKm} km`],
+      default: SAVED_SEARCH_CONFIG.defaultRadiusKm
+    },
+    maxPrice: {
+      type: Number,
+      min: [0, 'El precio máximo no puede ser negativo']
+    },
+    minRating: {
+      type: Number,
+      min: [0, 'La calificación mínima es 0'],
+      max: [5, 'La calificación máxima es 5']
+    }
+  },
+  alerts: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Profesionales publicados hasta esta fecha ya fueron evaluados
+    checkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    pendingProfessionals: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Professional'
+    }],
+    notifiedProfessionals: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Professional'
+    }],
+    lastDigestAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+savedSearchSchema.index({ 'alerts.enabled': 1, 'alerts.checkedAt': 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
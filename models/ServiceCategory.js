@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const {
+  SERVICE_CATEGORY_CONFIG,
+  CREDENTIAL_TYPES,
+  PRICING_HINT_UNITS
+} = require('../config/service-categories');
+const { CANCELLATION_POLICIES } = require('../config/cancellation-policies');
+
+/**
+ * Categoría de servicio. Las categorías raíz (sin parent) son los valores de
+ * service.category / services[].category; sus hijas son las subcategorías
+ * sugeridas. El slug es inmutable porque lo guardan los demás documentos
+ */
+const serviceCategorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    immutable: true,
+    match: [SERVICE_CATEGORY_CONFIG.slugPattern, 'El slug solo admite minúsculas, números y guiones bajos'],
+    maxlength: [50, 'El slug no puede exceder 50 caracteres']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceCategory',
+    default: null,
+    immutable: true
+  },
+  name: {
+    es: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [80, 'El nombre no puede exceder 80 caracteres']
+    },
+    en: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [80, 'El nombre no puede exceder 80 caracteres']
+    }
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'El ícono no puede exceder 50 caracteres']
+  },
+  // Rango de precio orientativo para clientes y profesionales nuevos
+  pricingHint: {
+    min: {
+      type: Number,
+      min: [0, 'El precio no puede ser negativo']
+    },
+    max: {
+      type: Number,
+      min: [0, 'El precio no puede ser negativo'],
+      validate: {
+        validator: function(value) {
+          const min = this.pricingHint?.min;
+          return value == null || min == null || value >= min;
+        },
+        message: 'El precio máximo debe ser mayor o igual al mínimo'
+      }
+    },
+    currency: {
+      type: String,
+      enum: ['COP', 'USD'],
+      default: 'COP'
+    },
+    unit: {
+      type: String,
+      enum: PRICING_HINT_UNITS,
+      default: 'service'
+    }
+  },
+  // Política de cancelación de los servicios de la categoría (solo categorías raíz;
+  // sin valor se aplica la política por defecto). La del profesional tiene prioridad
+  cancellationPolicy: {
+    type: String,
+    enum: Object.keys(CANCELLATION_POLICIES)
+  },
+  // Credenciales que debe acreditar un profesional de la categoría
+  requiredCredentials: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: CREDENTIAL_TYPES,
+      required: true
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, 'La descripción no puede exceder 200 caracteres']
+    }
+  }],
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+serviceCategorySchema.index({ slug: 1 }, { unique: true });
+serviceCategorySchema.index({ parent: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('ServiceCategory', serviceCategorySchema);
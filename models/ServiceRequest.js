@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const { isTransitionAllowed } = require('../config/service-request-transitions');
+const { InvalidTransitionError } = require('../utils/errors');
+const { SLOT_BLOCKING_STATUSES } = require('../config/scheduling');
+const { CANCELLATION_POLICIES } = require('../config/cancellation-policies');
+const { ARRIVAL_ALERTS } = require('../config/tracking');
+const { COMPLETION_SIGN_OFF_STATUSES, COMPLETION_CAPTURE_STATUSES } = require('../config/completion');
+const { CHANGE_ORDER_ITEM_STATUSES, CHANGE_ORDER_AUTHORIZATION_STATUSES } = require('../config/change-orders');
+const { BIDDING_MODES, BIDDING_STATUSES, BIDDING_CLOSE_REASONS, QUOTE_VALIDITY_DAYS } = require('../config/quotes');
+const { DISPATCH_STATUSES, DISPATCH_OFFER_STATUSES } = require('../config/emergency');
 
 const serviceRequestSchema = new mongoose.Schema({
   clientId: {
@@ -11,25 +20,128 @@ const serviceRequestSchema = new mongoose.Schema({
     ref: 'Professional',
     default: null
   },
+  // Cotización aceptada que fijó el profesional y el precio
+  acceptedQuoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    default: null
+  },
+  // Reserva inmediata de un servicio de precio fijo (sin cotización)
+  instantBooking: {
+    serviceId: mongoose.Schema.Types.ObjectId, // Professional.services[]._id
+    bookedAt: Date,
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }
+  },
+  // Solicitud privada para un solo profesional (re-reserva): no se publica a
+  // otros profesionales y solo él puede cotizarla
+  directRequest: {
+    professionalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Professional'
+    },
+    rebookedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceRequest'
+    },
+    requestedAt: Date
+  },
+  // Ventana de cotizaciones: plazo y cupo para recibir cotizaciones antes de elegir
+  bidding: {
+    status: {
+      type: String,
+      enum: BIDDING_STATUSES
+    },
+    mode: {
+      type: String,
+      enum: BIDDING_MODES
+    },
+    durationHours: Number,
+    maxQuotes: Number,
+    // Cotizaciones enviadas dentro de la ventana (se incrementa atómicamente)
+    quoteCount: Number,
+    openedAt: Date,
+    closesAt: Date,
+    closedAt: Date,
+    closeReason: {
+      type: String,
+      enum: BIDDING_CLOSE_REASONS
+    },
+    // Fin del periodo de gracia para elegir; después la solicitud vence
+    decisionDeadline: Date,
+    expiredAt: Date
+  },
+  // Despacho de emergencia por oleadas con radio creciente
+  dispatch: {
+    status: {
+      type: String,
+      enum: DISPATCH_STATUSES
+    },
+    wave: Number,
+    radiusKm: Number,
+    startedAt: Date,
+    // Vencimiento de la oleada en curso; después se amplía el radio
+    waveExpiresAt: Date,
+    assignedAt: Date,
+    finishedAt: Date,
+    offers: [{
+      professionalId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professional',
+        required: true
+      },
+      wave: Number,
+      distanceKm: Number,
+      offeredAt: Date,
+      expiresAt: Date,
+      status: {
+        type: String,
+        enum: DISPATCH_OFFER_STATUSES,
+        default: 'offered'
+      },
+      respondedAt: Date
+    }],
+    // Recargo aplicado al asignar (también figura en pricing.breakdown.additionalCosts)
+    surcharge: {
+      baseAmount: Number,
+      rate: Number,
+      amount: Number,
+      components: [{
+        type: { type: String },
+        rate: Number
+      }]
+    }
+  },
   service: {
     category: {
       type: String,
       required: true,
-      enum: [
-        'home_services',
-        'technical_services', 
-        'professional_services',
-        'beauty_wellness',
-        'automotive',
-        'education',
-        'health',
-        'cleaning',
-        'other'
-      ]
+      // Categoría raíz activa de ServiceCategory
+      validate: {
+        validator: function(value) {
+          // Solo al crear o cambiar la categoría: desactivarla no invalida los documentos existentes
+          if (!this.isNew && !this.isModified('service.category')) return true;
+          // Se requiere aquí: ServiceCategoryService importa este modelo
+          const ServiceCategoryService = require('../services/ServiceCategoryService');
+          return ServiceCategoryService.isSelectable(value);
+        },
+        message: props => `La categoría ${props.value} no existe o no está activa`
+      }
     },
     subcategory: {
       type: String,
-      required: true
+      required: true,
+      // Subcategoría activa de ServiceCategory, hija de service.category
+      validate: {
+        validator: function(value) {
+          if (!this.isNew && !this.isModified('service.subcategory') && !this.isModified('service.category')) return true;
+          const ServiceCategoryService = require('../services/ServiceCategoryService');
+          return ServiceCategoryService.isSelectableSubcategory(this.service.category, value);
+        },
+        message: props => `La subcategoría ${props.value} no existe, no está activa o no pertenece a la categoría`
+      }
     },
     title: {
       type: String,
@@ -118,7 +230,10 @@ const serviceRequestSchema = new mongoose.Schema({
       required: true,
       validate: {
         validator: function(value) {
-          return value >= new Date();
+          // Solo validar al crear o reprogramar; los servicios pasados deben poder cambiar de estado
+          if (!this.isNew && !this.isModified('scheduling.preferredDate')) return true;
+          // preferredDate es el día calendario (medianoche UTC): se admite el día de hoy
+          return value >= new Date(new Date().toISOString().slice(0, 10));
         },
         message: 'La fecha preferida debe ser futura'
       }
@@ -145,7 +260,18 @@ const serviceRequestSchema = new mongoose.Schema({
       }
     },
     actualStartTime: Date,
-    actualEndTime: Date
+    actualEndTime: Date,
+    // Recordatorios enviados para la fecha vigente (se reinician al reprogramar)
+    remindersSent: [{
+      hoursBefore: {
+        type: Number,
+        required: true
+      },
+      sentAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   pricing: {
     estimatedCost: {
@@ -156,6 +282,8 @@ const serviceRequestSchema = new mongoose.Schema({
       type: Number,
       min: [0, 'El costo cotizado no puede ser negativo']
     },
+    // Vencida esta fecha la cotización expira y la solicitud vuelve a pendiente
+    quoteValidUntil: Date,
     finalCost: {
       type: Number,
       min: [0, 'El costo final no puede ser negativo']
@@ -171,7 +299,9 @@ const serviceRequestSchema = new mongoose.Schema({
       transportCost: Number,
       additionalCosts: [{
         description: String,
-        amount: Number
+        amount: Number,
+        // Ítem de orden de cambio aprobado por el cliente que originó el costo
+        changeOrderItemId: mongoose.Schema.Types.ObjectId
       }]
     },
     paymentMethod: {
@@ -298,6 +428,20 @@ const serviceRequestSchema = new mongoose.Schema({
         address: String
       },
       notes: String
+    }],
+    // Alertas de la geocerca: el profesional sigue fuera después de la hora pactada
+    arrivalAlerts: [{
+      type: {
+        type: String,
+        enum: Object.keys(ARRIVAL_ALERTS),
+        required: true
+      },
+      raisedAt: {
+        type: Date,
+        default: Date.now
+      },
+      minutesLate: Number,
+      distanceKm: Number
     }]
   },
   cancellation: {
@@ -314,6 +458,8 @@ const serviceRequestSchema = new mongoose.Schema({
         'weather_conditions',
         'emergency',
         'payment_issues',
+        'professional_no_show',
+        'bidding_expired',
         'other'
       ]
     },
@@ -321,14 +467,36 @@ const serviceRequestSchema = new mongoose.Schema({
       type: String,
       trim: true
     },
+    cancelledByRole: {
+      type: String,
+      enum: ['client', 'professional', 'admin', 'system']
+    },
+    // Política aplicada y cálculo del reembolso (ver CancellationService)
+    policy: {
+      type: String,
+      enum: Object.keys(CANCELLATION_POLICIES)
+    },
+    hoursBeforeStart: Number,
+    refundPercentage: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
     refundAmount: {
       type: Number,
       default: 0
     },
     refundStatus: {
       type: String,
-      enum: ['pending', 'processed', 'failed'],
+      enum: ['pending', 'processed', 'failed', 'not_required'],
       default: 'pending'
+    },
+    refundedAt: Date,
+    refundError: String,
+    // Penalización al profesional por inasistencia
+    penaltyAmount: {
+      type: Number,
+      default: 0
     }
   },
   completion: {
@@ -365,6 +533,39 @@ const serviceRequestSchema = new mongoose.Schema({
         type: Boolean,
         default: true
       }
+    },
+    // Acta de finalización: el cliente confirma o impugna lo enviado por el profesional
+    signOff: {
+      status: {
+        type: String,
+        enum: COMPLETION_SIGN_OFF_STATUSES
+      },
+      submittedAt: Date,
+      submittedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      confirmDeadline: Date,
+      confirmedAt: Date,
+      confirmedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      contestedAt: Date,
+      disputeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dispute'
+      },
+      paymentCapture: {
+        status: {
+          type: String,
+          enum: COMPLETION_CAPTURE_STATUSES
+        },
+        amount: Number,
+        pendingAmount: Number,
+        error: String,
+        attemptedAt: Date
+      }
     }
   },
   payment: {
@@ -404,6 +605,144 @@ const serviceRequestSchema = new mongoose.Schema({
       default: false
     }
   },
+  series: {
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceSeries',
+      default: null
+    },
+    occurrenceDate: Date,
+    isException: {
+      type: Boolean,
+      default: false
+    },
+    cancelledByPause: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Órdenes de cambio: trabajo adicional propuesto en sitio y la decisión del cliente por ítem.
+  // No se eliminan; quedan como registro para disputas
+  changeOrders: [{
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    proposedAt: {
+      type: Date,
+      default: Date.now
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Las notas no pueden exceder 1000 caracteres']
+    },
+    items: [{
+      description: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [300, 'La descripción no puede exceder 300 caracteres']
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: [0, 'El monto no puede ser negativo']
+      },
+      photos: [{
+        url: String
+      }],
+      status: {
+        type: String,
+        enum: CHANGE_ORDER_ITEM_STATUSES,
+        default: 'pending'
+      },
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      decidedAt: Date,
+      reason: String
+    }],
+    authorization: {
+      status: {
+        type: String,
+        enum: CHANGE_ORDER_AUTHORIZATION_STATUSES
+      },
+      amount: Number,
+      error: String,
+      attemptedAt: Date
+    }
+  }],
+  // Visita de seguimiento sin costo por un reclamo de garantía
+  followUp: {
+    originalRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceRequest'
+    },
+    warrantyClaimId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WarrantyClaim'
+    }
+  },
+  rescheduleProposals: [{
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    proposerRole: {
+      type: String,
+      enum: ['client', 'professional'],
+      required: true
+    },
+    options: [{
+      preferredDate: {
+        type: Date,
+        required: true
+      },
+      preferredTime: {
+        type: String,
+        required: true,
+        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Formato de hora inválido (HH:MM)']
+      }
+    }],
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [500, 'El motivo no puede exceder 500 caracteres']
+    },
+    previousSchedule: {
+      preferredDate: Date,
+      preferredTime: String
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected', 'expired', 'withdrawn'],
+      default: 'pending'
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    acceptedOptionId: mongoose.Schema.Types.ObjectId,
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date,
+    responseReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'El motivo no puede exceder 500 caracteres']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   metadata: {
     source: {
       type: String,
@@ -428,6 +767,15 @@ serviceRequestSchema.index({ 'location.coordinates': '2dsphere' });
 serviceRequestSchema.index({ 'scheduling.preferredDate': 1 });
 serviceRequestSchema.index({ status: 1, createdAt: -1 });
 serviceRequestSchema.index({ 'payment.paymentStatus': 1 });
+serviceRequestSchema.index({ 'series.seriesId': 1, 'series.occurrenceDate': 1 });
+serviceRequestSchema.index({ 'rescheduleProposals.status': 1, 'rescheduleProposals.expiresAt': 1 });
+serviceRequestSchema.index({ status: 1, 'pricing.quoteValidUntil': 1 });
+serviceRequestSchema.index({ 'completion.signOff.status': 1, 'completion.signOff.confirmDeadline': 1 });
+serviceRequestSchema.index({ 'bidding.status': 1, 'bidding.closesAt': 1 });
+serviceRequestSchema.index({ professionalId: 1, 'instantBooking.bookedAt': 1, 'scheduling.preferredDate': 1 });
+serviceRequestSchema.index({ 'bidding.status': 1, 'bidding.decisionDeadline': 1 });
+serviceRequestSchema.index({ 'dispatch.status': 1, 'dispatch.waveExpiresAt': 1 });
+serviceRequestSchema.index({ 'directRequest.professionalId': 1, status: 1 }, { sparse: true });
 
 // Virtual para calcular duración total
 serviceRequestSchema.virtual('actualDuration').get(function() {
@@ -448,18 +796,85 @@ serviceRequestSchema.virtual('isOverdue').get(function() {
   return new Date() > scheduledDateTime;
 });
 
-// Middleware para actualizar historial de estado
+// Guardar el estado persistido para validar transiciones
+serviceRequestSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+serviceRequestSchema.post('save', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+// Middleware para validar transiciones y actualizar historial de estado
 serviceRequestSchema.pre('save', function(next) {
   if (this.isModified('status') && !this.isNew) {
+    const previousStatus = this.$locals.persistedStatus;
+
+    if (previousStatus && !isTransitionAllowed(previousStatus, this.status)) {
+      return next(new InvalidTransitionError(previousStatus, this.status));
+    }
+
     this.statusHistory.push({
       status: this.status,
       updatedBy: this._updatedBy || this.clientId,
-      timestamp: new Date()
+      timestamp: new Date(),
+      reason: this._statusReason,
+      notes: this._statusNotes
     });
   }
   next();
 });
 
+// Middleware para la vigencia de la cotización y los recordatorios ya enviados
+serviceRequestSchema.pre('save', function(next) {
+  if (this.isModified('status') && this.status === 'quoted') {
+    const validUntil = this.pricing?.quoteValidUntil;
+    const isExplicit = this.isModified('pricing.quoteValidUntil') && validUntil > new Date();
+
+    if (!isExplicit) {
+      this.set('pricing.quoteValidUntil', new Date(Date.now() + QUOTE_VALIDITY_DAYS * 24 * 60 * 60 * 1000));
+    }
+  }
+
+  const isRescheduled = !this.isNew && (
+    this.isModified('scheduling.preferredDate') ||
+    this.isModified('scheduling.preferredTime')
+  );
+  if (isRescheduled && this.scheduling.remindersSent?.length) {
+    this.scheduling.remindersSent = [];
+  }
+
+  next();
+});
+
+// Middleware para rechazar reservas sobre franjas ocupadas del profesional
+serviceRequestSchema.pre('save', async function() {
+  if (!this.professionalId || ['cancelled', 'completed', 'disputed'].includes(this.status)) return;
+
+  const isBlocking = SLOT_BLOCKING_STATUSES.includes(this.status);
+  const entersAgenda = isBlocking && !SLOT_BLOCKING_STATUSES.includes(this.$locals.persistedStatus);
+  const isRescheduled = isBlocking && (
+    this.isModified('scheduling.preferredDate') ||
+    this.isModified('scheduling.preferredTime') ||
+    this.isModified('professionalId')
+  );
+
+  if (!this.isNew && !entersAgenda && !isRescheduled) return;
+
+  // Se requiere aquí: AvailabilityService consulta la agenda con este modelo
+  const AvailabilityService = require('../services/AvailabilityService');
+  await AvailabilityService.assertSlotAvailable(this, {
+    checkNotice: this.isNew,
+    // Las emergencias despachadas se atienden fuera del horario laboral
+    ignoreSchedule: Boolean(this.dispatch?.assignedAt)
+  });
+});
+
+// Propuesta de reprogramación pendiente (como máximo una a la vez)
+serviceRequestSchema.methods.getPendingRescheduleProposal = function() {
+  return (this.rescheduleProposals || []).find(proposal => proposal.status === 'pending') || null;
+};
+
 // Método para agregar mensaje al chat
 serviceRequestSchema.methods.addMessage = function(senderId, message, messageType = 'text', attachments = []) {
   const newMessage = {
@@ -507,7 +922,13 @@ serviceRequestSchema.methods.markMessagesAsRead = function(userId) {
 
 // Método para actualizar estado
 serviceRequestSchema.methods.updateStatus = function(newStatus, updatedBy, reason = '', notes = '') {
+  if (!isTransitionAllowed(this.status, newStatus)) {
+    return Promise.reject(new InvalidTransitionError(this.status, newStatus));
+  }
+
   this._updatedBy = updatedBy;
+  this._statusReason = reason || undefined;
+  this._statusNotes = notes || undefined;
   this.status = newStatus;
   
   // Agregar información específica según el estado
@@ -517,7 +938,11 @@ serviceRequestSchema.methods.updateStatus = function(newStatus, updatedBy, reaso
   } else if (newStatus === 'cancelled') {
     this.cancellation.cancelledAt = new Date();
     this.cancellation.cancelledBy = updatedBy;
-    if (reason) this.cancellation.reason = reason;
+    if (reason) {
+      const cancellationReasons = this.schema.path('cancellation.reason').enumValues;
+      this.cancellation.reason = cancellationReasons.includes(reason) ? reason : 'other';
+      if (!cancellationReasons.includes(reason) && !notes) this.cancellation.description = reason;
+    }
     if (notes) this.cancellation.description = notes;
   } else if (newStatus === 'in_progress') {
     this.scheduling.actualStartTime = new Date();
@@ -547,6 +972,19 @@ serviceRequestSchema.methods.calculateFinalCost = function() {
   return this.save();
 };
 
+// Ítems de órdenes de cambio que esperan la decisión del cliente
+serviceRequestSchema.methods.getPendingChangeOrderItems = function() {
+  return (this.changeOrders || []).flatMap(order => order.items.filter(item => item.status === 'pending'));
+};
+
+// Vencimiento de la garantía, contado desde la finalización (null si no tiene garantía)
+serviceRequestSchema.methods.getWarrantyExpiry = function() {
+  const warranty = this.completion?.warranty;
+  if (!this.completion?.completedAt || !warranty?.duration || warranty.isActive === false) return null;
+
+  return new Date(this.completion.completedAt.getTime() + warranty.duration * 24 * 60 * 60 * 1000);
+};
+
 // Método para agregar checkpoint de seguimiento
 serviceRequestSchema.methods.addTrackingCheckpoint = function(type, location = null, notes = '') {
   const checkpoint = {
@@ -0,0 +1,332 @@
+/**
+ * Modelo de Serie Recurrente
+ * Plantilla de servicio con regla de recurrencia que genera solicitudes hijas por adelantado
+ */
+
+const mongoose = require('mongoose');
+const { RecurrenceUtils } = require('../utils/recurrence');
+const {
+  RECURRENCE_FREQUENCIES,
+  RECURRENCE_WEEKDAYS,
+  SERIES_STATUSES,
+  SERIES_EXCEPTION_TYPES,
+  SERIES_GENERATION
+} = require('../config/recurrence');
+
+const serviceSeriesSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    default: null
+  },
+
+  // Plantilla copiada a cada solicitud generada (mismos campos que ServiceRequest)
+  template: {
+    service: {
+      category: {
+        type: String,
+        required: true,
+        // Categoría raíz activa de ServiceCategory
+        validate: {
+          validator: function(value) {
+            // Solo al crear o cambiar la categoría: desactivarla no invalida las series existentes
+            if (!this.isNew && !this.isModified('template.service.category')) return true;
+            // Se requiere aquí: ServiceCategoryService cuenta las series con este modelo
+            const ServiceCategoryService = require('../services/ServiceCategoryService');
+            return ServiceCategoryService.isSelectable(value);
+          },
+          message: props => `La categoría ${props.value} no existe o no está activa`
+        }
+      },
+      subcategory: {
+        type: String,
+        required: true,
+        // Subcategoría activa de ServiceCategory, hija de template.service.category
+        validate: {
+          validator: function(value) {
+            if (!this.isNew && !this.isModified('template.service.subcategory') &&
+                !this.isModified('template.service.category')) return true;
+            const ServiceCategoryService = require('../services/ServiceCategoryService');
+            return ServiceCategoryService.isSelectableSubcategory(this.template.service.category, value);
+          },
+          message: props => `La subcategoría ${props.value} no existe, no está activa o no pertenece a la categoría`
+        }
+      },
+      title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [100, 'El título no puede exceder 100 caracteres']
+      },
+      description: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [1000, 'La descripción no puede exceder 1000 caracteres']
+      },
+      requirements: [{
+        type: String,
+        trim: true
+      }]
+    },
+    location: {
+      address: {
+        street: { type: String, required: true, trim: true },
+        city: { type: String, required: true, trim: true },
+        state: { type: String, required: true, trim: true },
+        zipCode: { type: String, required: true, trim: true },
+        country: { type: String, default: 'Colombia', trim: true },
+        fullAddress: { type: String, required: true, trim: true }
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true
+      },
+      instructions: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Las instrucciones no pueden exceder 500 caracteres']
+      },
+      accessInfo: {
+        buildingNumber: String,
+        floor: String,
+        apartment: String,
+        accessCode: String,
+        parkingInfo: String
+      }
+    },
+    scheduling: {
+      preferredTime: {
+        type: String,
+        required: true,
+        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Formato de hora inválido (HH:MM)']
+      },
+      flexibility: {
+        type: String,
+        enum: ['strict', 'flexible', 'asap'],
+        default: 'flexible'
+      },
+      estimatedDuration: {
+        value: {
+          type: Number,
+          min: [15, 'La duración mínima es 15 minutos']
+        },
+        unit: {
+          type: String,
+          enum: ['minutes', 'hours', 'days'],
+          default: 'hours'
+        }
+      }
+    },
+    pricing: {
+      estimatedCost: {
+        type: Number,
+        min: [0, 'El costo no puede ser negativo']
+      },
+      quotedCost: {
+        type: Number,
+        min: [0, 'El costo cotizado no puede ser negativo']
+      },
+      currency: {
+        type: String,
+        enum: ['COP', 'USD'],
+        default: 'COP'
+      },
+      paymentMethod: {
+        type: String,
+        enum: ['cash', 'card', 'transfer', 'digital_wallet'],
+        default: 'card'
+      }
+    }
+  },
+
+  // Regla de recurrencia (subconjunto de RRULE)
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: RECURRENCE_FREQUENCIES,
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, 'El intervalo mínimo es 1'],
+      max: [SERIES_GENERATION.maxInterval, `El intervalo máximo es ${SERIES_GENERATION.maxInterval}`]
+    },
+    byWeekday: [{
+      type: String,
+      enum: Object.keys(RECURRENCE_WEEKDAYS)
+    }],
+    byMonthDay: {
+      type: Number,
+      min: 1,
+      max: 31
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: Date,
+    count: {
+      type: Number,
+      min: 1,
+      max: SERIES_GENERATION.maxCount
+    },
+    timeZone: {
+      type: String,
+      default: 'America/Bogota'
+    }
+  },
+
+  status: {
+    type: String,
+    enum: SERIES_STATUSES,
+    default: 'active'
+  },
+
+  pause: {
+    pausedAt: Date,
+    pausedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resumeAt: Date,
+    reason: {
+      type: String,
+      trim: true
+    }
+  },
+
+  // Excepciones sobre ocurrencias concretas (omitidas o modificadas)
+  exceptions: [{
+    occurrenceDate: {
+      type: Date,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: SERIES_EXCEPTION_TYPES,
+      required: true
+    },
+    overrides: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Serie de la que se separó al editar "esta y las siguientes"
+  parentSeriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceSeries',
+    default: null
+  },
+
+  generation: {
+    generatedUntil: Date,
+    lastRunAt: Date,
+    occurrencesGenerated: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices
+serviceSeriesSchema.index({ clientId: 1, status: 1 });
+serviceSeriesSchema.index({ professionalId: 1, status: 1 });
+serviceSeriesSchema.index({ status: 1, 'generation.generatedUntil': 1 });
+
+// Virtual con la regla en formato RRULE
+serviceSeriesSchema.virtual('rrule').get(function() {
+  if (!this.recurrence || !this.recurrence.frequency || !this.recurrence.startDate) return null;
+  return RecurrenceUtils.toRRule(this.recurrence);
+});
+
+// Obtener la excepción registrada para una fecha
+serviceSeriesSchema.methods.getException = function(date) {
+  const key = RecurrenceUtils.toDateKey(date);
+  return this.exceptions.find(exception => RecurrenceUtils.toDateKey(exception.occurrenceDate) === key) || null;
+};
+
+// Registrar (o reemplazar) una excepción para una fecha
+serviceSeriesSchema.methods.setException = function(date, type, data = {}) {
+  const existing = this.getException(date);
+  if (existing) {
+    existing.type = type;
+    existing.overrides = { ...(existing.overrides || {}), ...(data.overrides || {}) };
+    existing.reason = data.reason || existing.reason;
+    existing.createdBy = data.createdBy || existing.createdBy;
+    existing.createdAt = new Date();
+    this.markModified('exceptions');
+    return existing;
+  }
+
+  this.exceptions.push({
+    occurrenceDate: RecurrenceUtils.startOfDay(date),
+    type,
+    overrides: data.overrides || {},
+    reason: data.reason,
+    createdBy: data.createdBy
+  });
+  return this.exceptions[this.exceptions.length - 1];
+};
+
+// Próximas fechas de la serie (sin omitidas)
+serviceSeriesSchema.methods.getUpcomingOccurrences = function(limit = 5, from = new Date()) {
+  if (!['active', 'paused'].includes(this.status)) return [];
+
+  const start = RecurrenceUtils.startOfDay(from);
+  const end = RecurrenceUtils.addDays(start, 366);
+
+  return RecurrenceUtils.getOccurrences(this.recurrence, start, end)
+    .filter(date => {
+      const exception = this.getException(date);
+      return !exception || exception.type !== 'skipped';
+    })
+    .slice(0, limit);
+};
+
+// Series activas cuyo horizonte de generación debe extenderse
+serviceSeriesSchema.statics.findDueForGeneration = function(horizonEnd) {
+  return this.find({
+    $or: [
+      {
+        status: 'active',
+        $or: [
+          { 'generation.generatedUntil': { $lt: horizonEnd } },
+          { 'generation.generatedUntil': { $exists: false } }
+        ]
+      },
+      { status: 'paused', 'pause.resumeAt': { $lte: new Date() } }
+    ]
+  });
+};
+
+module.exports = mongoose.model('ServiceSeries', serviceSeriesSchema);
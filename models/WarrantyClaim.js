@@ -0,0 +1,109 @@
+/**
+ * Modelo de Reclamo de Garantía
+ * Reclamo del cliente sobre un servicio completado dentro del plazo de garantía,
+ * atendido con una visita de seguimiento sin costo o decidido por un administrador
+ */
+
+const mongoose = require('mongoose');
+const {
+  WARRANTY_CLAIM_STATUSES,
+  WARRANTY_ESCALATION_REASONS,
+  WARRANTY_OUTCOMES
+} = require('../config/warranty');
+
+const warrantyClaimSchema = new mongoose.Schema({
+  serviceRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceRequest',
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  professionalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [2000, 'La descripción no puede exceder 2000 caracteres']
+  },
+  photos: [{
+    url: String,
+    publicId: String,
+    originalName: String
+  }],
+  // Vencimiento de la garantía al abrir el reclamo
+  warrantyExpiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: WARRANTY_CLAIM_STATUSES,
+    default: 'awaiting_response'
+  },
+  responseDeadline: {
+    type: Date,
+    required: true
+  },
+  response: {
+    type: {
+      type: String,
+      enum: ['visit', 'contest']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'La respuesta no puede exceder 2000 caracteres']
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date
+  },
+  // Solicitud sin costo para la visita de seguimiento
+  followUpRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceRequest',
+    default: null
+  },
+  escalatedAt: Date,
+  escalationReason: {
+    type: String,
+    enum: Object.keys(WARRANTY_ESCALATION_REASONS)
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: Object.keys(WARRANTY_OUTCOMES)
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Las notas no pueden exceder 2000 caracteres']
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+warrantyClaimSchema.index({ serviceRequestId: 1, status: 1 });
+warrantyClaimSchema.index({ status: 1, responseDeadline: 1 });
+warrantyClaimSchema.index({ status: 1, escalatedAt: 1 });
+warrantyClaimSchema.index({ followUpRequestId: 1 });
+warrantyClaimSchema.index({ clientId: 1, createdAt: -1 });
+warrantyClaimSchema.index({ professionalId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WarrantyClaim', warrantyClaimSchema);
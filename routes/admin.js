@@ -6,10 +6,19 @@
 const express = require('express');
 const router = express.Router();
 const AdminController = require('../controllers/adminController');
+const DisputeController = require('../controllers/disputeController');
+const JobController = require('../controllers/jobController');
+const RankingController = require('../controllers/rankingController');
+const ServiceCategoryController = require('../controllers/serviceCategoryController');
+const WarrantyController = require('../controllers/warrantyController');
 const { authenticate, authorize } = require('../middleware/authenticate');
 const { validateRequest } = require('../middleware/validation');
 const { query, param, body } = require('express-validator');
 const responseMiddleware = require('../middleware/responseMiddleware');
+const { schemas, validate } = require('../utils/validation');
+const { DISPUTE_STATUSES, DISPUTE_CATEGORIES } = require('../config/disputes');
+const { JOB_DEFINITIONS } = require('../config/jobs');
+const { WARRANTY_CLAIM_STATUSES } = require('../config/warranty');
 
 // Aplicar middleware de respuesta a todas las rutas
 router.use(responseMiddleware);
@@ -149,4 +158,224 @@ router.put('/users/:userId/password',
   AdminController.changeUserPassword
 );
 
+/**
+ * @route GET /api/admin/disputes
+ * @desc Cola de arbitraje de disputas (por defecto en revisión, más antiguas primero)
+ * @access Admin
+ */
+router.get('/disputes',
+  authenticate,
+  requireAdmin,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Página inválida'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Límite inválido'),
+    query('status').optional().isIn(DISPUTE_STATUSES).withMessage('Estado inválido'),
+    query('category').optional().isIn(Object.keys(DISPUTE_CATEGORIES)).withMessage('Categoría inválida'),
+    query('assignedTo').optional().custom(value =>
+      ['me', 'unassigned'].includes(value) || /^[a-f\d]{24}$/i.test(value)
+    ).withMessage('Asignación inválida')
+  ],
+  validateRequest,
+  DisputeController.getArbitrationQueue
+);
+
+/**
+ * @route GET /api/admin/disputes/:id
+ * @desc Obtener una disputa con su evidencia
+ * @access Admin
+ */
+router.get('/disputes/:id',
+  authenticate,
+  requireAdmin,
+  [
+    param('id').isMongoId().withMessage('ID de disputa inválido')
+  ],
+  validateRequest,
+  DisputeController.getDispute
+);
+
+/**
+ * @route POST /api/admin/disputes/:id/assign
+ * @desc Asignarse una disputa
+ * @access Admin
+ */
+router.post('/disputes/:id/assign',
+  authenticate,
+  requireAdmin,
+  [
+    param('id').isMongoId().withMessage('ID de disputa inválido')
+  ],
+  validateRequest,
+  DisputeController.assignDispute
+);
+
+/**
+ * @route POST /api/admin/disputes/:id/resolve
+ * @desc Resolver una disputa (reembolso total o parcial, liberación o penalización)
+ * @access Admin
+ */
+router.post('/disputes/:id/resolve',
+  authenticate,
+  requireAdmin,
+  [
+    param('id').isMongoId().withMessage('ID de disputa inválido')
+  ],
+  validateRequest,
+  validate(schemas.disputeResolution),
+  DisputeController.resolveDispute
+);
+
+/**
+ * @route GET /api/admin/warranty-claims
+ * @desc Cola de reclamos de garantía (por defecto en revisión, más antiguos primero)
+ * @access Admin
+ */
+router.get('/warranty-claims',
+  authenticate,
+  requireAdmin,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Página inválida'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Límite inválido'),
+    query('status').optional().isIn(WARRANTY_CLAIM_STATUSES).withMessage('Estado inválido')
+  ],
+  validateRequest,
+  WarrantyController.getReviewQueue
+);
+
+/**
+ * @route POST /api/admin/warranty-claims/:id/decide
+ * @desc Ordenar la visita de garantía o rechazar el reclamo
+ * @access Admin
+ */
+router.post('/warranty-claims/:id/decide',
+  authenticate,
+  requireAdmin,
+  [
+    param('id').isMongoId().withMessage('ID de reclamo inválido')
+  ],
+  validateRequest,
+  validate(schemas.warrantyDecision),
+  WarrantyController.decideClaim
+);
+
+/**
+ * @route GET /api/admin/jobs
+ * @desc Listar tareas programadas con su estado y última ejecución
+ * @access Admin
+ */
+router.get('/jobs',
+  authenticate,
+  requireAdmin,
+  JobController.listJobs
+);
+
+/**
+ * @route GET /api/admin/jobs/:name/runs
+ * @desc Historial de ejecuciones de una tarea
+ * @access Admin
+ */
+router.get('/jobs/:name/runs',
+  authenticate,
+  requireAdmin,
+  [
+    param('name').isIn(Object.keys(JOB_DEFINITIONS)).withMessage('Tarea inválida'),
+    query('status').optional().isIn(['running', 'succeeded', 'failed']).withMessage('Estado inválido'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Límite inválido')
+  ],
+  validateRequest,
+  JobController.getJobRuns
+);
+
+/**
+ * @route POST /api/admin/jobs/:name/run
+ * @desc Ejecutar una tarea manualmente
+ * @access Admin
+ */
+router.post('/jobs/:name/run',
+  authenticate,
+  requireAdmin,
+  [
+    param('name').isIn(Object.keys(JOB_DEFINITIONS)).withMessage('Tarea inválida')
+  ],
+  validateRequest,
+  JobController.runJob
+);
+
+/**
+ * @route GET /api/admin/ranking/weights
+ * @desc Pesos del motor de ranking de profesionales (vigentes, normalizados y por defecto)
+ * @access Admin
+ */
+router.get('/ranking/weights',
+  authenticate,
+  requireAdmin,
+  RankingController.getWeights
+);
+
+/**
+ * @route PUT /api/admin/ranking/weights
+ * @desc Ajustar los pesos del ranking (los factores omitidos conservan su valor)
+ * @access Admin
+ */
+router.put('/ranking/weights',
+  authenticate,
+  requireAdmin,
+  validate(schemas.rankingWeights),
+  RankingController.updateWeights
+);
+
+/**
+ * @route GET /api/admin/service-categories
+ * @desc Árbol de categorías de servicio, incluidas las inactivas
+ * @access Admin
+ */
+router.get('/service-categories',
+  authenticate,
+  requireAdmin,
+  ServiceCategoryController.listAll
+);
+
+/**
+ * @route POST /api/admin/service-categories
+ * @desc Crear una categoría o subcategoría (parent = slug de una categoría raíz)
+ * @access Admin
+ */
+router.post('/service-categories',
+  authenticate,
+  requireAdmin,
+  validate(schemas.serviceCategory),
+  ServiceCategoryController.createCategory
+);
+
+/**
+ * @route PUT /api/admin/service-categories/:id
+ * @desc Actualizar nombres, ícono, precio sugerido, credenciales, orden o estado (el slug no cambia)
+ * @access Admin
+ */
+router.put('/service-categories/:id',
+  authenticate,
+  requireAdmin,
+  [
+    param('id').isMongoId().withMessage('ID de categoría inválido')
+  ],
+  validateRequest,
+  validate(schemas.serviceCategoryUpdate),
+  ServiceCategoryController.updateCategory
+);
+
+/**
+ * @route DELETE /api/admin/service-categories/:id
+ * @desc Eliminar una categoría sin subcategorías ni documentos que la usen
+ * @access Admin
+ */
+router.delete('/service-categories/:id',
+  authenticate,
+  requireAdmin,
+  [
+    param('id').isMongoId().withMessage('ID de categoría inválido')
+  ],
+  validateRequest,
+  ServiceCategoryController.deleteCategory
+);
+
 module.exports = router;
\ No newline at end of file
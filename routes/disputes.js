@@ -0,0 +1,85 @@
+/**
+ * Rutas de disputas
+ * Cliente y profesional abren, responden y aportan evidencia;
+ * la cola de arbitraje de administradores está en /api/admin/disputes
+ */
+
+const express = require('express');
+const DisputeController = require('../controllers/disputeController');
+const { authenticate, authorize } = require('../middleware/authenticate');
+const responseMiddleware = require('../middleware/responseMiddleware');
+const { createResourceRateLimit } = require('../middleware/rateLimitByUser');
+const { storageService } = require('../utils/storage');
+const { schemas, validate } = require('../utils/validation');
+const { DISPUTE_CONFIG } = require('../config/disputes');
+
+const router = express.Router();
+
+// Aplicar middleware de respuesta a todas las rutas
+router.use(responseMiddleware);
+
+// Fotos y documentos de evidencia (campo 'files')
+const uploadEvidence = storageService.configureMulter({
+  fileSize: DISPUTE_CONFIG.maxFileBytes,
+  allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
+}).array('files', DISPUTE_CONFIG.maxFilesPerUpload);
+
+/**
+ * @route   POST /api/disputes
+ * @desc    Abrir una disputa sobre un servicio en progreso o completado
+ * @access  Private (Cliente o profesional del servicio)
+ */
+router.post('/',
+  authenticate,
+  authorize('client', 'professional'),
+  createResourceRateLimit,
+  uploadEvidence,
+  validate(schemas.disputeOpen),
+  DisputeController.openDispute
+);
+
+/**
+ * @route   GET /api/disputes
+ * @desc    Listar disputas del usuario
+ * @access  Private
+ */
+router.get('/',
+  authenticate,
+  DisputeController.getMyDisputes
+);
+
+/**
+ * @route   GET /api/disputes/:id
+ * @desc    Obtener una disputa con su evidencia
+ * @access  Private (Partes de la disputa o admin)
+ */
+router.get('/:id',
+  authenticate,
+  DisputeController.getDispute
+);
+
+/**
+ * @route   POST /api/disputes/:id/response
+ * @desc    Responder la disputa dentro del plazo
+ * @access  Private (Contraparte de quien abrió la disputa)
+ */
+router.post('/:id/response',
+  authenticate,
+  uploadEvidence,
+  validate(schemas.disputeResponse),
+  DisputeController.respondDispute
+);
+
+/**
+ * @route   POST /api/disputes/:id/evidence
+ * @desc    Aportar fotos, extractos del chat o facturas
+ * @access  Private (Partes de la disputa o admin)
+ */
+router.post('/:id/evidence',
+  authenticate,
+  uploadEvidence,
+  validate(schemas.disputeEvidence),
+  DisputeController.addEvidence
+);
+
+module.exports = router;
@@ -4,6 +4,8 @@ const ProfessionalController = require('../controllers/professionalController');
 const { authenticate, authorize, requireCompleteProfessionalProfile } = require('../utils/auth');
 const { responseMiddleware } = require('../utils/response');
 const { storageService } = require('../utils/storage');
+const { validate, schemas } = require('../utils/validation');
+const { CALENDAR_IMPORT_CONFIG } = require('../config/scheduling');
 
 const router = express.Router();
 
@@ -27,19 +29,44 @@ const uploadDocuments = storageService.configureMulter({
   }
 });
 
+// Configurar multer para calendarios .ics (se procesan en memoria)
+const uploadCalendar = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/calendar', 'text/plain', 'application/octet-stream'];
+    if (allowedTypes.includes(file.mimetype) || /\.ics$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Solo se permiten archivos de calendario (.ics)'), false);
+    }
+  },
+  limits: {
+    fileSize: CALENDAR_IMPORT_CONFIG.maxFileBytes,
+    files: 1
+  }
+});
+
 /**
  * @route   GET /api/professionals/search
- * @desc    Buscar profesionales
+ * @desc    Buscar profesionales con facetas (?q=&category=&priceRange=&minRating=
+ *          &verified=&emergencyServices=&weekendWork=&subscription=&sortBy=)
  * @access  Public
  */
 router.get('/search', ProfessionalController.searchProfessionals);
 
 /**
- * @route   GET /api/professionals/:professionalId
- * @desc    Obtener perfil profesional por ID
+ * @route   GET /api/professionals/:professionalId/slots
+ * @desc    Obtener franjas horarias reservables (?from=&to=&duration=)
  * @access  Public
  */
-router.get('/:professionalId', ProfessionalController.getProfessionalProfile);
+router.get('/:professionalId/slots', ProfessionalController.getAvailableSlots);
+
+/**
+ * @route   GET /api/professionals/calendar/:token.ics
+ * @desc    Feed ICS de la agenda del profesional (confirmados, en progreso y cancelados)
+ * @access  Public (token secreto)
+ */
+router.get('/calendar/:token.ics', ProfessionalController.getCalendarFeed);
 
 /**
  * @route   PUT /api/professionals/profile
@@ -96,6 +123,30 @@ router.put('/availability',
   ProfessionalController.updateAvailability
 );
 
+/**
+ * @route   PUT /api/professionals/cancellation-policy
+ * @desc    Adoptar una política de cancelación
+ * @access  Private (solo profesionales)
+ */
+router.put('/cancellation-policy',
+  authenticate,
+  authorize('professional'),
+  validate(schemas.cancellationPolicy),
+  ProfessionalController.updateCancellationPolicy
+);
+
+/**
+ * @route   PUT /api/professionals/instant-booking
+ * @desc    Activar la reserva inmediata y fijar el límite semanal
+ * @access  Private (solo profesionales)
+ */
+router.put('/instant-booking',
+  authenticate,
+  authorize('professional'),
+  validate(schemas.instantBookingSettings),
+  ProfessionalController.updateInstantBookingSettings
+);
+
 /**
  * @route   GET /api/professionals/service-requests
  * @desc    Obtener solicitudes de servicio del profesional
@@ -103,7 +154,7 @@ router.put('/availability',
  */
 router.get('/service-requests', 
   authenticate, 
-  authorize(['professional']), 
+  authorize('professional'), 
   ProfessionalController.getServiceRequests
 );
 
@@ -141,4 +192,103 @@ router.get('/stats',
   ProfessionalController.getProfessionalStats
 );
 
+/**
+ * @route   GET /api/professionals/calendar-feed
+ * @desc    Obtener estado del feed de calendario
+ * @access  Private (solo profesionales)
+ */
+router.get('/calendar-feed',
+  authenticate,
+  authorize('professional'),
+  ProfessionalController.getCalendarFeedStatus
+);
+
+/**
+ * @route   POST /api/professionals/calendar-feed/rotate
+ * @desc    Generar o rotar el enlace secreto del feed de calendario
+ * @access  Private (solo profesionales)
+ */
+router.post('/calendar-feed/rotate',
+  authenticate,
+  authorize('professional'),
+  ProfessionalController.rotateCalendarFeedToken
+);
+
+/**
+ * @route   DELETE /api/professionals/calendar-feed
+ * @desc    Desactivar el feed de calendario
+ * @access  Private (solo profesionales)
+ */
+router.delete('/calendar-feed',
+  authenticate,
+  authorize('professional'),
+  ProfessionalController.disableCalendarFeed
+);
+
+/**
+ * @route   GET /api/professionals/calendar-imports
+ * @desc    Listar calendarios externos importados
+ * @access  Private (solo profesionales)
+ */
+router.get('/calendar-imports',
+  authenticate,
+  authorize('professional'),
+  ProfessionalController.getCalendarImports
+);
+
+/**
+ * @route   POST /api/professionals/calendar-imports
+ * @desc    Importar calendario externo (campo 'file' con .ics o 'url' sincronizada periódicamente)
+ * @access  Private (solo profesionales)
+ */
+router.post('/calendar-imports',
+  authenticate,
+  authorize('professional'),
+  uploadCalendar.single('file'),
+  validate(schemas.calendarImport),
+  ProfessionalController.addCalendarImport
+);
+
+/**
+ * @route   POST /api/professionals/calendar-imports/:calendarId/sync
+ * @desc    Reimportar calendario externo (reemplaza sus bloqueos anteriores)
+ * @access  Private (solo profesionales)
+ */
+router.post('/calendar-imports/:calendarId/sync',
+  authenticate,
+  authorize('professional'),
+  uploadCalendar.single('file'),
+  ProfessionalController.syncCalendarImport
+);
+
+/**
+ * @route   DELETE /api/professionals/calendar-imports/:calendarId
+ * @desc    Eliminar calendario externo y sus bloqueos
+ * @access  Private (solo profesionales)
+ */
+router.delete('/calendar-imports/:calendarId',
+  authenticate,
+  authorize('professional'),
+  ProfessionalController.deleteCalendarImport
+);
+
+/**
+ * @route   GET /api/professionals/availability/blocks
+ * @desc    Listar bloqueos de agenda importados (solo lectura, ?from=&to=)
+ * @access  Private (solo profesionales)
+ */
+router.get('/availability/blocks',
+  authenticate,
+  authorize('professional'),
+  ProfessionalController.getAvailabilityBlocks
+);
+
+// Debe declararse al final para no capturar rutas estáticas como /stats o /calendar-feed
+/**
+ * @route   GET /api/professionals/:professionalId
+ * @desc    Obtener perfil profesional por ID
+ * @access  Public
+ */
+router.get('/:professionalId', ProfessionalController.getProfessionalProfile);
+
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 /**
  * Rutas para gestión de cotizaciones
- * Maneja endpoints para envío, aceptación y gestión de cotizaciones
+ * Maneja endpoints para envío, negociación (revisiones y contraofertas),
+ * aceptación y retiro de cotizaciones
  */
 
 const express = require('express');
@@ -9,6 +10,7 @@ const { authenticate } = require('../middleware/authenticate');
 const { authorize } = require('../middleware/authenticate');
 const responseMiddleware = require('../middleware/responseMiddleware');
 const { createUserRateLimit } = require('../middleware/rateLimitByUser');
+const { schemas, validate } = require('../utils/validation');
 
 const router = express.Router();
 
@@ -40,32 +42,34 @@ const quoteUpdateRateLimit = createUserRateLimit({
 
 /**
  * @route   POST /api/quotes/service-requests/:serviceRequestId
- * @desc    Enviar una cotización para una solicitud de servicio
+ * @desc    Enviar una cotización (o guardarla como borrador) para una solicitud de servicio
  * @access  Private (Profesionales)
  * @params  serviceRequestId - ID de la solicitud de servicio
  * @body    {
  *            price: Number (required),
  *            description: String (required),
- *            estimatedDuration: String,
+ *            estimatedDuration: { value: Number, unit: String },
  *            availableDate: Date,
  *            availableTime: String,
- *            materials: [{ name: String, cost: Number, quantity: Number }],
- *            warranty: String,
+ *            materials: [{ name: String, quantity: Number, unitPrice: Number }],
+ *            warrantyDays: Number,
  *            terms: String,
- *            validUntil: Date
+ *            validUntil: Date,
+ *            draft: Boolean
  *          }
  */
 router.post(
   '/service-requests/:serviceRequestId',
   authenticate,
-  authorize(['professional']),
+  authorize('professional'),
   quoteRateLimit,
+  validate(schemas.quote),
   QuoteController.sendQuote
 );
 
 /**
  * @route   GET /api/quotes/my-quotes
- * @desc    Obtener todas las cotizaciones enviadas por el profesional
+ * @desc    Obtener todas las cotizaciones del profesional
  * @access  Private (Profesionales)
  * @query   {
  *            page: Number,
@@ -78,33 +82,37 @@ router.post(
 router.get(
   '/my-quotes',
   authenticate,
-  authorize(['professional']),
+  authorize('professional'),
   QuoteController.getProfessionalQuotes
 );
 
+/**
+ * @route   POST /api/quotes/service-requests/:serviceRequestId/quotes/:quoteId/send
+ * @desc    Enviar un borrador de cotización al cliente
+ * @access  Private (Profesionales - solo propias cotizaciones)
+ */
+router.post(
+  '/service-requests/:serviceRequestId/quotes/:quoteId/send',
+  authenticate,
+  authorize('professional'),
+  quoteRateLimit,
+  QuoteController.sendDraft
+);
+
 /**
  * @route   PUT /api/quotes/service-requests/:serviceRequestId/quotes/:quoteId
- * @desc    Actualizar una cotización existente
+ * @desc    Editar un borrador o revisar una cotización enviada (crea una nueva versión)
  * @access  Private (Profesionales - solo propias cotizaciones)
  * @params  serviceRequestId - ID de la solicitud de servicio
  * @params  quoteId - ID de la cotización
- * @body    {
- *            price: Number,
- *            description: String,
- *            estimatedDuration: String,
- *            availableDate: Date,
- *            availableTime: String,
- *            materials: [{ name: String, cost: Number, quantity: Number }],
- *            warranty: String,
- *            terms: String,
- *            validUntil: Date
- *          }
+ * @body    Términos a cambiar (mismos campos que al enviar) y message: String
  */
 router.put(
   '/service-requests/:serviceRequestId/quotes/:quoteId',
   authenticate,
-  authorize(['professional']),
+  authorize('professional'),
   quoteUpdateRateLimit,
+  validate(schemas.quoteRevision),
   QuoteController.updateQuote
 );
 
@@ -119,7 +127,8 @@ router.put(
 router.delete(
   '/service-requests/:serviceRequestId/quotes/:quoteId',
   authenticate,
-  authorize(['professional']),
+  authorize('professional'),
+  validate(schemas.quoteReason),
   QuoteController.withdrawQuote
 );
 
@@ -131,7 +140,7 @@ router.delete(
 router.get(
   '/stats',
   authenticate,
-  authorize(['professional']),
+  authorize('professional'),
   QuoteController.getQuoteStats
 );
 
@@ -139,129 +148,68 @@ router.get(
 // RUTAS PARA CLIENTES
 // ============================================================================
 
+/**
+ * @route   POST /api/quotes/service-requests/:serviceRequestId/quotes/:quoteId/counter
+ * @desc    Contraofertar precio o fecha
+ * @access  Private (Clientes - solo propias solicitudes)
+ * @body    { price: Number, availableDate: Date, availableTime: String, message: String }
+ */
+router.post(
+  '/service-requests/:serviceRequestId/quotes/:quoteId/counter',
+  authenticate,
+  authorize('client'),
+  quoteUpdateRateLimit,
+  validate(schemas.quoteCounter),
+  QuoteController.counterQuote
+);
+
 /**
  * @route   POST /api/quotes/service-requests/:serviceRequestId/quotes/:quoteId/accept
- * @desc    Aceptar una cotización
+ * @desc    Aceptar una cotización (rechaza las demás y asigna al profesional)
  * @access  Private (Clientes - solo propias solicitudes)
  * @params  serviceRequestId - ID de la solicitud de servicio
  * @params  quoteId - ID de la cotización
- * @body    { message: String }
  */
 router.post(
   '/service-requests/:serviceRequestId/quotes/:quoteId/accept',
   authenticate,
-  authorize(['client']),
+  authorize('client'),
   QuoteController.acceptQuote
 );
 
+/**
+ * @route   POST /api/quotes/service-requests/:serviceRequestId/quotes/:quoteId/reject
+ * @desc    Rechazar una cotización
+ * @access  Private (Clientes - solo propias solicitudes)
+ * @body    { reason: String }
+ */
+router.post(
+  '/service-requests/:serviceRequestId/quotes/:quoteId/reject',
+  authenticate,
+  authorize('client'),
+  validate(schemas.quoteReason),
+  QuoteController.rejectQuote
+);
+
 // ============================================================================
 // RUTAS MIXTAS (CLIENTES Y PROFESIONALES)
 // ============================================================================
 
 /**
  * @route   GET /api/quotes/service-requests/:serviceRequestId/quotes
- * @desc    Obtener todas las cotizaciones de una solicitud de servicio
- * @access  Private (Cliente propietario o Profesionales que han cotizado)
+ * @desc    Obtener las cotizaciones de una solicitud de servicio
+ * @access  Private (Cliente propietario, Admin, o Profesionales - solo su propia cotización)
  * @params  serviceRequestId - ID de la solicitud de servicio
- * @query   {
- *            sortBy: String,
- *            sortOrder: String
- *          }
  */
 router.get(
   '/service-requests/:serviceRequestId/quotes',
   authenticate,
-  async (req, res, next) => {
-    try {
-      const { serviceRequestId } = req.params;
-      const { sortBy = 'sentAt', sortOrder = 'desc' } = req.query;
-      
-      const ServiceRequest = require('../models/ServiceRequest');
-      
-      // Buscar la solicitud de servicio
-      const serviceRequest = await ServiceRequest.findById(serviceRequestId)
-        .populate({
-          path: 'quotes.professional',
-          select: 'businessName rating reviewCount location',
-          populate: {
-            path: 'user',
-            select: 'firstName lastName profileImage'
-          }
-        })
-        .populate('client', 'firstName lastName');
-
-      if (!serviceRequest) {
-        return res.notFound('Solicitud de servicio no encontrada');
-      }
-
-      // Verificar permisos de acceso
-      const isClient = req.userRole === 'client' && serviceRequest.client._id.toString() === req.userId;
-      const isProfessionalWithQuote = req.userRole === 'professional' && 
-        serviceRequest.quotes.some(quote => 
-          quote.professional._id.toString() === req.user.professional.toString()
-        );
-      const isAdmin = req.userRole === 'admin';
-
-      if (!isClient && !isProfessionalWithQuote && !isAdmin) {
-        return res.forbidden('No tienes permisos para ver estas cotizaciones');
-      }
-
-      // Ordenar cotizaciones
-      let quotes = [...serviceRequest.quotes];
-      quotes.sort((a, b) => {
-        const aValue = a[sortBy];
-        const bValue = b[sortBy];
-        
-        if (sortOrder === 'desc') {
-          return bValue > aValue ? 1 : -1;
-        } else {
-          return aValue > bValue ? 1 : -1;
-        }
-      });
-
-      // Si es un profesional, solo mostrar su propia cotización y las aceptadas
-      if (req.userRole === 'professional' && !isAdmin) {
-        quotes = quotes.filter(quote => 
-          quote.professional._id.toString() === req.user.professional.toString() ||
-          serviceRequest.acceptedQuote?.toString() === quote._id.toString()
-        );
-      }
-
-      const response = {
-        serviceRequest: {
-          _id: serviceRequest._id,
-          title: serviceRequest.title,
-          status: serviceRequest.status,
-          quotesCount: serviceRequest.quotesCount,
-          acceptedQuote: serviceRequest.acceptedQuote,
-          assignedProfessional: serviceRequest.assignedProfessional
-        },
-        quotes,
-        permissions: {
-          canAcceptQuotes: isClient && serviceRequest.status === 'open',
-          canSendQuote: req.userRole === 'professional' && serviceRequest.status === 'open' &&
-            !serviceRequest.quotes.some(q => q.professional._id.toString() === req.user.professional.toString())
-        }
-      };
-
-      return res.success(response, 'Cotizaciones obtenidas exitosamente');
-
-    } catch (error) {
-      const logger = require('../utils/logger');
-      logger.error('Error obteniendo cotizaciones:', {
-        error: error.message,
-        stack: error.stack,
-        serviceRequestId: req.params.serviceRequestId,
-        userId: req.userId
-      });
-      return res.serverError('Error obteniendo las cotizaciones');
-    }
-  }
+  QuoteController.getServiceRequestQuotes
 );
 
 /**
  * @route   GET /api/quotes/service-requests/:serviceRequestId/quotes/:quoteId
- * @desc    Obtener una cotización específica
+ * @desc    Obtener una cotización con su historial de versiones
  * @access  Private (Cliente propietario, Profesional autor, o Admin)
  * @params  serviceRequestId - ID de la solicitud de servicio
  * @params  quoteId - ID de la cotización
@@ -269,74 +217,7 @@ router.get(
 router.get(
   '/service-requests/:serviceRequestId/quotes/:quoteId',
   authenticate,
-  async (req, res, next) => {
-    try {
-      const { serviceRequestId, quoteId } = req.params;
-      
-      const ServiceRequest = require('../models/ServiceRequest');
-      
-      // Buscar la solicitud de servicio
-      const serviceRequest = await ServiceRequest.findById(serviceRequestId)
-        .populate({
-          path: 'quotes.professional',
-          select: 'businessName rating reviewCount location services',
-          populate: {
-            path: 'user',
-            select: 'firstName lastName profileImage email phone'
-          }
-        })
-        .populate('client', 'firstName lastName email phone');
-
-      if (!serviceRequest) {
-        return res.notFound('Solicitud de servicio no encontrada');
-      }
-
-      // Buscar la cotización específica
-      const quote = serviceRequest.quotes.id(quoteId);
-      if (!quote) {
-        return res.notFound('Cotización no encontrada');
-      }
-
-      // Verificar permisos de acceso
-      const isClient = req.userRole === 'client' && serviceRequest.client._id.toString() === req.userId;
-      const isProfessionalAuthor = req.userRole === 'professional' && 
-        quote.professional._id.toString() === req.user.professional.toString();
-      const isAdmin = req.userRole === 'admin';
-
-      if (!isClient && !isProfessionalAuthor && !isAdmin) {
-        return res.forbidden('No tienes permisos para ver esta cotización');
-      }
-
-      const response = {
-        serviceRequest: {
-          _id: serviceRequest._id,
-          title: serviceRequest.title,
-          description: serviceRequest.description,
-          status: serviceRequest.status,
-          client: isClient || isAdmin ? serviceRequest.client : {
-            firstName: serviceRequest.client.firstName,
-            lastName: serviceRequest.client.lastName
-          }
-        },
-        quote,
-        isAccepted: serviceRequest.acceptedQuote?.toString() === quoteId,
-        isAssigned: serviceRequest.assignedProfessional?.toString() === quote.professional._id.toString()
-      };
-
-      return res.success(response, 'Cotización obtenida exitosamente');
-
-    } catch (error) {
-      const logger = require('../utils/logger');
-      logger.error('Error obteniendo cotización específica:', {
-        error: error.message,
-        stack: error.stack,
-        serviceRequestId: req.params.serviceRequestId,
-        quoteId: req.params.quoteId,
-        userId: req.userId
-      });
-      return res.serverError('Error obteniendo la cotización');
-    }
-  }
+  QuoteController.getQuote
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -5,15 +5,63 @@
 
 const express = require('express');
 const ServiceController = require('../controllers/serviceController');
+const SeriesController = require('../controllers/seriesController');
+const RescheduleController = require('../controllers/rescheduleController');
+const TrackingController = require('../controllers/trackingController');
+const CompletionController = require('../controllers/completionController');
+const ChangeOrderController = require('../controllers/changeOrderController');
+const QuoteController = require('../controllers/quoteController');
+const InstantBookingController = require('../controllers/instantBookingController');
+const DispatchController = require('../controllers/dispatchController');
+const RebookingController = require('../controllers/rebookingController');
+const ServiceCategoryController = require('../controllers/serviceCategoryController');
+const PriceEstimateController = require('../controllers/priceEstimateController');
 const { authenticate, authorize } = require('../middleware/authenticate');
 const responseMiddleware = require('../middleware/responseMiddleware');
 const { searchRateLimit, createResourceRateLimit } = require('../middleware/rateLimitByUser');
+const { storageService } = require('../utils/storage');
+const { schemas, validate } = require('../utils/validation');
+const { COMPLETION_CONFIG } = require('../config/completion');
+const { DISPUTE_CONFIG } = require('../config/disputes');
+const { CHANGE_ORDER_CONFIG } = require('../config/change-orders');
 
 const router = express.Router();
 
 // Aplicar middleware de respuesta a todas las rutas
 router.use(responseMiddleware);
 
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Fotos del acta de finalización
+const uploadCompletionPhotos = storageService.configureMulter({
+  fileSize: COMPLETION_CONFIG.maxFileBytes,
+  allowedMimeTypes: IMAGE_MIME_TYPES
+}).fields([
+  { name: 'beforeImages', maxCount: COMPLETION_CONFIG.maxPhotosPerSet },
+  { name: 'afterImages', maxCount: COMPLETION_CONFIG.maxPhotosPerSet }
+]);
+
+// Firma del cliente al confirmar
+const uploadSignature = storageService.configureMulter({
+  fileSize: COMPLETION_CONFIG.maxFileBytes,
+  allowedMimeTypes: IMAGE_MIME_TYPES
+}).single('signature');
+
+// Evidencia al impugnar el acta (campo 'files', igual que en /api/disputes)
+const uploadContestEvidence = storageService.configureMulter({
+  fileSize: DISPUTE_CONFIG.maxFileBytes,
+  allowedMimeTypes: [...IMAGE_MIME_TYPES, 'application/pdf']
+}).array('files', DISPUTE_CONFIG.maxFilesPerUpload);
+
+// Fotos de cada ítem de la orden de cambio (photos_0 para el primer ítem, etc.)
+const uploadChangeOrderPhotos = storageService.configureMulter({
+  fileSize: CHANGE_ORDER_CONFIG.maxFileBytes,
+  allowedMimeTypes: IMAGE_MIME_TYPES
+}).fields(Array.from({ length: CHANGE_ORDER_CONFIG.maxItemsPerOrder }, (_, index) => ({
+  name: `photos_${index}`,
+  maxCount: CHANGE_ORDER_CONFIG.maxPhotosPerItem
+})));
+
 /**
  * @route   POST /api/services/requests
  * @desc    Crear una nueva solicitud de servicio
@@ -26,6 +74,32 @@ router.post('/requests',
   ServiceController.createServiceRequest
 );
 
+/**
+ * @route   POST /api/services/instant-bookings
+ * @desc    Reservar y pagar una franja de un servicio de precio fijo (queda confirmada)
+ * @access  Private (solo clientes)
+ */
+router.post('/instant-bookings',
+  authenticate,
+  authorize('client'),
+  createResourceRateLimit,
+  validate(schemas.instantBooking),
+  InstantBookingController.book
+);
+
+/**
+ * @route   POST /api/services/requests/:id/rebook
+ * @desc    Volver a reservar un servicio completado como solicitud privada al mismo profesional
+ * @access  Private (solo clientes)
+ */
+router.post('/requests/:id/rebook',
+  authenticate,
+  authorize('client'),
+  createResourceRateLimit,
+  validate(schemas.rebook),
+  RebookingController.rebook
+);
+
 /**
  * @route   GET /api/services/requests
  * @desc    Obtener solicitudes de servicio con filtros
@@ -68,6 +142,418 @@ router.delete('/requests/:id',
   ServiceController.cancelServiceRequest
 );
 
+/**
+ * @route   GET /api/services/cancellation-policies
+ * @desc    Listar las políticas de cancelación disponibles
+ * @access  Public
+ */
+router.get('/cancellation-policies',
+  ServiceController.getCancellationPolicies
+);
+
+/**
+ * @route   GET /api/services/requests/:id/cancellation-preview
+ * @desc    Calcular el reembolso que tendría la cancelación
+ * @access  Private (Cliente propietario, profesional asignado o admin)
+ */
+router.get('/requests/:id/cancellation-preview',
+  authenticate,
+  ServiceController.getCancellationPreview
+);
+
+/**
+ * @route   POST /api/services/requests/:id/cancellation/refund
+ * @desc    Reintentar los reembolsos fallidos de una cancelación
+ * @access  Private (Solo admin)
+ */
+router.post('/requests/:id/cancellation/refund',
+  authenticate,
+  authorize('admin'),
+  ServiceController.retryCancellationRefund
+);
+
+/**
+ * @route   GET /api/services/requests/:id/transitions
+ * @desc    Listar las acciones de estado disponibles para el usuario
+ * @access  Private (Cliente propietario, profesional asignado o admin)
+ */
+router.get('/requests/:id/transitions',
+  authenticate,
+  ServiceController.getServiceRequestTransitions
+);
+
+/**
+ * @route   POST /api/services/requests/:id/transitions
+ * @desc    Ejecutar una acción de cambio de estado
+ * @access  Private (Cliente propietario, profesional asignado o admin)
+ */
+router.post('/requests/:id/transitions',
+  authenticate,
+  ServiceController.transitionServiceRequest
+);
+
+/**
+ * @route   GET /api/services/requests/:id/reschedule-proposals
+ * @desc    Listar propuestas de reprogramación
+ * @access  Private (Cliente propietario, profesional asignado o admin)
+ */
+router.get('/requests/:id/reschedule-proposals',
+  authenticate,
+  RescheduleController.getProposals
+);
+
+/**
+ * @route   POST /api/services/requests/:id/reschedule-proposals
+ * @desc    Proponer nuevas fechas para el servicio
+ * @access  Private (Cliente propietario o profesional asignado)
+ */
+router.post('/requests/:id/reschedule-proposals',
+  authenticate,
+  validate(schemas.rescheduleProposal),
+  RescheduleController.createProposal
+);
+
+/**
+ * @route   POST /api/services/requests/:id/reschedule-proposals/:proposalId/accept
+ * @desc    Aceptar una de las opciones propuestas
+ * @access  Private (La contraparte de quien propuso)
+ */
+router.post('/requests/:id/reschedule-proposals/:proposalId/accept',
+  authenticate,
+  validate(schemas.rescheduleAccept),
+  RescheduleController.acceptProposal
+);
+
+/**
+ * @route   POST /api/services/requests/:id/reschedule-proposals/:proposalId/reject
+ * @desc    Rechazar todas las opciones propuestas
+ * @access  Private (La contraparte de quien propuso)
+ */
+router.post('/requests/:id/reschedule-proposals/:proposalId/reject',
+  authenticate,
+  validate(schemas.rescheduleReject),
+  RescheduleController.rejectProposal
+);
+
+/**
+ * @route   POST /api/services/requests/:id/reschedule-proposals/:proposalId/withdraw
+ * @desc    Retirar una propuesta propia pendiente
+ * @access  Private (Quien hizo la propuesta)
+ */
+router.post('/requests/:id/reschedule-proposals/:proposalId/withdraw',
+  authenticate,
+  RescheduleController.withdrawProposal
+);
+
+/**
+ * @route   GET /api/services/requests/:id/tracking
+ * @desc    Ubicación del profesional y hora estimada de llegada
+ * @access  Private (Cliente propietario)
+ */
+router.get('/requests/:id/tracking',
+  authenticate,
+  TrackingController.getTracking
+);
+
+/**
+ * @route   POST /api/services/requests/:id/tracking/location
+ * @desc    Enviar la posición del profesional (alternativa al namespace /tracking)
+ * @access  Private (Profesional asignado)
+ */
+router.post('/requests/:id/tracking/location',
+  authenticate,
+  authorize('professional'),
+  validate(schemas.trackingLocation),
+  TrackingController.updateLocation
+);
+
+/**
+ * @route   DELETE /api/services/requests/:id/tracking
+ * @desc    Dejar de compartir la ubicación
+ * @access  Private (Profesional asignado)
+ */
+router.delete('/requests/:id/tracking',
+  authenticate,
+  authorize('professional'),
+  TrackingController.stopSharing
+);
+
+/**
+ * @route   GET /api/services/requests/:id/completion
+ * @desc    Acta de finalización y costo resultante
+ * @access  Private (Partes del servicio o admin)
+ */
+router.get('/requests/:id/completion',
+  authenticate,
+  CompletionController.getCompletion
+);
+
+/**
+ * @route   POST /api/services/requests/:id/completion
+ * @desc    Enviar el acta de finalización: resumen, fotos, materiales y ajustes de costo
+ * @access  Private (Profesional asignado)
+ */
+router.post('/requests/:id/completion',
+  authenticate,
+  authorize('professional'),
+  uploadCompletionPhotos,
+  validate(schemas.completionSubmit),
+  CompletionController.submitCompletion
+);
+
+/**
+ * @route   POST /api/services/requests/:id/completion/confirm
+ * @desc    Confirmar el acta: completa el servicio y captura el pago
+ * @access  Private (Cliente propietario)
+ */
+router.post('/requests/:id/completion/confirm',
+  authenticate,
+  authorize('client'),
+  uploadSignature,
+  CompletionController.confirmCompletion
+);
+
+/**
+ * @route   POST /api/services/requests/:id/completion/contest
+ * @desc    Impugnar el acta dentro del plazo (abre una disputa)
+ * @access  Private (Cliente propietario)
+ */
+router.post('/requests/:id/completion/contest',
+  authenticate,
+  authorize('client'),
+  uploadContestEvidence,
+  validate(schemas.completionContest),
+  CompletionController.contestCompletion
+);
+
+/**
+ * @route   POST /api/services/requests/:id/completion/capture
+ * @desc    Reintentar la captura del pago tras una captura fallida
+ * @access  Private (Solo admin)
+ */
+router.post('/requests/:id/completion/capture',
+  authenticate,
+  authorize('admin'),
+  CompletionController.retryCapture
+);
+
+/**
+ * @route   POST /api/services/requests/:id/bidding
+ * @desc    Abrir una ventana de cotizaciones con plazo y cupo máximo
+ * @access  Private (Cliente de la solicitud)
+ */
+router.post('/requests/:id/bidding',
+  authenticate,
+  authorize('client'),
+  validate(schemas.biddingWindow),
+  QuoteController.openBidding
+);
+
+/**
+ * @route   GET /api/services/requests/:id/bidding
+ * @desc    Estado de la ventana de cotizaciones (precios según el modo)
+ * @access  Private (Cliente de la solicitud, profesionales o admin)
+ */
+router.get('/requests/:id/bidding',
+  authenticate,
+  QuoteController.getBidding
+);
+
+/**
+ * @route   POST /api/services/requests/:id/dispatch
+ * @desc    Iniciar el despacho de una emergencia (o reintentarlo si se agotó)
+ * @access  Private (Cliente de la solicitud)
+ */
+router.post('/requests/:id/dispatch',
+  authenticate,
+  authorize('client'),
+  DispatchController.startDispatch
+);
+
+/**
+ * @route   GET /api/services/requests/:id/dispatch
+ * @desc    Estado del despacho (el profesional solo ve su oferta)
+ * @access  Private (Cliente de la solicitud, profesionales con oferta o admin)
+ */
+router.get('/requests/:id/dispatch',
+  authenticate,
+  DispatchController.getDispatch
+);
+
+/**
+ * @route   POST /api/services/requests/:id/dispatch/accept
+ * @desc    Aceptar la oferta de emergencia (alternativa al namespace /dispatch)
+ * @access  Private (Profesionales con oferta vigente)
+ */
+router.post('/requests/:id/dispatch/accept',
+  authenticate,
+  authorize('professional'),
+  DispatchController.acceptOffer
+);
+
+/**
+ * @route   POST /api/services/requests/:id/dispatch/decline
+ * @desc    Rechazar la oferta de emergencia
+ * @access  Private (Profesionales con oferta vigente)
+ */
+router.post('/requests/:id/dispatch/decline',
+  authenticate,
+  authorize('professional'),
+  DispatchController.declineOffer
+);
+
+/**
+ * @route   GET /api/services/requests/:id/quotes/compare
+ * @desc    Comparar lado a lado las cotizaciones vigentes de la solicitud
+ * @access  Private (Cliente de la solicitud o admin)
+ * @query   priceWeight, availabilityWeight, ratingWeight, distanceWeight (0-10),
+ *          sortBy: score|price|availability|rating|distance
+ */
+router.get('/requests/:id/quotes/compare',
+  authenticate,
+  authorize('client', 'admin'),
+  validate(schemas.quoteComparison, 'query'),
+  QuoteController.compareQuotes
+);
+
+/**
+ * @route   GET /api/services/requests/:id/change-orders
+ * @desc    Listar las órdenes de cambio de una solicitud
+ * @access  Private (Partes del servicio o admin)
+ */
+router.get('/requests/:id/change-orders',
+  authenticate,
+  ChangeOrderController.getChangeOrders
+);
+
+/**
+ * @route   POST /api/services/requests/:id/change-orders
+ * @desc    Proponer trabajo adicional descubierto en sitio
+ * @access  Private (Profesional asignado)
+ */
+router.post('/requests/:id/change-orders',
+  authenticate,
+  authorize('professional'),
+  uploadChangeOrderPhotos,
+  validate(schemas.changeOrderCreate),
+  ChangeOrderController.proposeChangeOrder
+);
+
+/**
+ * @route   POST /api/services/requests/:id/change-orders/:orderId/decision
+ * @desc    Aprobar o rechazar los ítems de una orden de cambio
+ * @access  Private (Cliente del servicio)
+ */
+router.post('/requests/:id/change-orders/:orderId/decision',
+  authenticate,
+  authorize('client'),
+  validate(schemas.changeOrderDecision),
+  ChangeOrderController.decideChangeOrder
+);
+
+/**
+ * @route   POST /api/services/series
+ * @desc    Crear una serie recurrente de servicios
+ * @access  Private (Solo clientes)
+ */
+router.post('/series',
+  authenticate,
+  authorize('client'),
+  createResourceRateLimit,
+  validate(schemas.serviceSeries),
+  SeriesController.createSeries
+);
+
+/**
+ * @route   GET /api/services/series
+ * @desc    Listar series recurrentes del usuario
+ * @access  Private
+ */
+router.get('/series',
+  authenticate,
+  SeriesController.getSeries
+);
+
+/**
+ * @route   GET /api/services/series/:id
+ * @desc    Obtener una serie con sus ocurrencias
+ * @access  Private (Cliente propietario, profesional asignado o admin)
+ */
+router.get('/series/:id',
+  authenticate,
+  SeriesController.getSeriesById
+);
+
+/**
+ * @route   PUT /api/services/series/:id
+ * @desc    Editar todas las ocurrencias futuras de la serie
+ * @access  Private (Solo el cliente propietario)
+ */
+router.put('/series/:id',
+  authenticate,
+  authorize('client', 'admin'),
+  validate(schemas.seriesOccurrenceUpdate),
+  SeriesController.updateSeries
+);
+
+/**
+ * @route   DELETE /api/services/series/:id
+ * @desc    Cancelar una serie y sus ocurrencias futuras
+ * @access  Private (Solo el cliente propietario)
+ */
+router.delete('/series/:id',
+  authenticate,
+  authorize('client', 'admin'),
+  SeriesController.cancelSeries
+);
+
+/**
+ * @route   POST /api/services/series/:id/pause
+ * @desc    Pausar una serie (opcionalmente hasta resumeAt)
+ * @access  Private (Solo el cliente propietario)
+ */
+router.post('/series/:id/pause',
+  authenticate,
+  authorize('client', 'admin'),
+  validate(schemas.seriesPause),
+  SeriesController.pauseSeries
+);
+
+/**
+ * @route   POST /api/services/series/:id/resume
+ * @desc    Reanudar una serie pausada
+ * @access  Private (Solo el cliente propietario)
+ */
+router.post('/series/:id/resume',
+  authenticate,
+  authorize('client', 'admin'),
+  SeriesController.resumeSeries
+);
+
+/**
+ * @route   POST /api/services/series/:id/occurrences/:date/skip
+ * @desc    Omitir una ocurrencia (scope=this) o todas las siguientes (scope=future)
+ * @access  Private (Solo el cliente propietario)
+ */
+router.post('/series/:id/occurrences/:date/skip',
+  authenticate,
+  authorize('client', 'admin'),
+  validate(schemas.seriesOccurrenceSkip),
+  SeriesController.skipOccurrence
+);
+
+/**
+ * @route   PUT /api/services/series/:id/occurrences/:date
+ * @desc    Editar una ocurrencia (scope=this) o todas las siguientes (scope=future)
+ * @access  Private (Solo el cliente propietario)
+ */
+router.put('/series/:id/occurrences/:date',
+  authenticate,
+  authorize('client', 'admin'),
+  validate(schemas.seriesOccurrenceUpdate),
+  SeriesController.updateOccurrence
+);
+
 /**
  * @route   GET /api/services/search
  * @desc    Buscar profesionales disponibles
@@ -79,106 +565,23 @@ router.get('/search',
 );
 
 /**
- * @route   GET /api/services/categories
- * @desc    Obtener categorías de servicios disponibles
+ * @route   GET /api/services/estimate
+ * @desc    Rango de precio estimado (p25/mediana/p75) según trabajos completados
+ *          (?category=&subcategory=&city=&duration=horas&urgency=)
  * @access  Public
  */
-router.get('/categories', (req, res) => {
-  const categories = {
-    'home_services': {
-      name: 'Servicios del Hogar',
-      subcategories: [
-        'cleaning',
-        'plumbing',
-        'electrical',
-        'painting',
-        'carpentry',
-        'gardening',
-        'appliance_repair',
-        'pest_control',
-        'locksmith',
-        'hvac'
-      ]
-    },
-    'personal_services': {
-      name: 'Servicios Personales',
-      subcategories: [
-        'beauty',
-        'fitness',
-        'massage',
-        'tutoring',
-        'photography',
-        'event_planning',
-        'catering',
-        'pet_care',
-        'childcare',
-        'elderly_care'
-      ]
-    },
-    'professional_services': {
-      name: 'Servicios Profesionales',
-      subcategories: [
-        'legal',
-        'accounting',
-        'consulting',
-        'marketing',
-        'design',
-        'translation',
-        'writing',
-        'it_support',
-        'web_development',
-        'real_estate'
-      ]
-    },
-    'automotive': {
-      name: 'Servicios Automotrices',
-      subcategories: [
-        'car_repair',
-        'car_wash',
-        'tire_service',
-        'oil_change',
-        'car_inspection',
-        'towing',
-        'car_detailing',
-        'auto_glass',
-        'car_rental',
-        'driving_lessons'
-      ]
-    },
-    'health_wellness': {
-      name: 'Salud y Bienestar',
-      subcategories: [
-        'medical',
-        'dental',
-        'therapy',
-        'nutrition',
-        'mental_health',
-        'alternative_medicine',
-        'rehabilitation',
-        'home_healthcare',
-        'veterinary',
-        'wellness_coaching'
-      ]
-    },
-    'construction': {
-      name: 'Construcción y Remodelación',
-      subcategories: [
-        'general_construction',
-        'roofing',
-        'flooring',
-        'kitchen_remodel',
-        'bathroom_remodel',
-        'landscaping',
-        'fencing',
-        'concrete',
-        'insulation',
-        'windows_doors'
-      ]
-    }
-  };
+router.get('/estimate',
+  searchRateLimit,
+  validate(schemas.priceEstimate, 'query'),
+  PriceEstimateController.getEstimate
+);
 
-  res.success(categories, 'Categorías de servicios obtenidas exitosamente');
-});
+/**
+ * @route   GET /api/services/categories
+ * @desc    Obtener categorías de servicios activas con sus subcategorías (?lang=es|en)
+ * @access  Public
+ */
+router.get('/categories', ServiceCategoryController.listCategories);
 
 /**
  * @route   GET /api/services/urgency-levels
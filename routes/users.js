@@ -1,7 +1,10 @@
 const express = require('express');
 const multer = require('multer');
 const UserController = require('../controllers/userController');
+const SavedSearchController = require('../controllers/savedSearchController');
+const FavoriteController = require('../controllers/favoriteController');
 const { authenticate, authorize, validateResourceOwnership } = require('../utils/auth');
+const { validate, schemas } = require('../utils/validation');
 const { responseMiddleware } = require('../utils/response');
 const { storageService } = require('../utils/storage');
 
@@ -25,6 +28,96 @@ const upload = storageService.configureMulter({
   }
 });
 
+/**
+ * @route   GET /api/users/saved-searches
+ * @desc    Listar búsquedas guardadas del cliente
+ * @access  Private (Client)
+ */
+router.get('/saved-searches',
+  authenticate,
+  authorize('client'),
+  SavedSearchController.listSavedSearches
+);
+
+/**
+ * @route   POST /api/users/saved-searches
+ * @desc    Guardar una búsqueda de profesionales (con alertas de nuevos profesionales)
+ * @access  Private (Client)
+ */
+router.post('/saved-searches',
+  authenticate,
+  authorize('client'),
+  validate(schemas.savedSearch),
+  SavedSearchController.createSavedSearch
+);
+
+/**
+ * @route   GET /api/users/saved-searches/:id
+ * @desc    Obtener una búsqueda guardada
+ * @access  Private (Client)
+ */
+router.get('/saved-searches/:id',
+  authenticate,
+  authorize('client'),
+  SavedSearchController.getSavedSearch
+);
+
+/**
+ * @route   PUT /api/users/saved-searches/:id
+ * @desc    Actualizar nombre, filtros o alertas de una búsqueda guardada
+ * @access  Private (Client)
+ */
+router.put('/saved-searches/:id',
+  authenticate,
+  authorize('client'),
+  validate(schemas.savedSearchUpdate),
+  SavedSearchController.updateSavedSearch
+);
+
+/**
+ * @route   DELETE /api/users/saved-searches/:id
+ * @desc    Eliminar una búsqueda guardada
+ * @access  Private (Client)
+ */
+router.delete('/saved-searches/:id',
+  authenticate,
+  authorize('client'),
+  SavedSearchController.deleteSavedSearch
+);
+
+/**
+ * @route   GET /api/users/favorites
+ * @desc    Listar profesionales favoritos con su disponibilidad actual
+ * @access  Private (Client)
+ */
+router.get('/favorites',
+  authenticate,
+  authorize('client'),
+  FavoriteController.listFavorites
+);
+
+/**
+ * @route   POST /api/users/favorites/:professionalId
+ * @desc    Marcar un profesional como favorito
+ * @access  Private (Client)
+ */
+router.post('/favorites/:professionalId',
+  authenticate,
+  authorize('client'),
+  FavoriteController.addFavorite
+);
+
+/**
+ * @route   DELETE /api/users/favorites/:professionalId
+ * @desc    Quitar un profesional de favoritos
+ * @access  Private (Client)
+ */
+router.delete('/favorites/:professionalId',
+  authenticate,
+  authorize('client'),
+  FavoriteController.removeFavorite
+);
+
 /**
  * @route   GET /api/users/:userId
  * @desc    Obtener perfil de usuario por ID
@@ -0,0 +1,85 @@
+/**
+ * Rutas de reclamos de garantía
+ * El cliente reclama y el profesional agenda la visita o impugna;
+ * la cola de revisión de administradores está en /api/admin/warranty-claims
+ */
+
+const express = require('express');
+const WarrantyController = require('../controllers/warrantyController');
+const { authenticate, authorize } = require('../middleware/authenticate');
+const responseMiddleware = require('../middleware/responseMiddleware');
+const { createResourceRateLimit } = require('../middleware/rateLimitByUser');
+const { storageService } = require('../utils/storage');
+const { schemas, validate } = require('../utils/validation');
+const { WARRANTY_CONFIG } = require('../config/warranty');
+
+const router = express.Router();
+
+// Aplicar middleware de respuesta a todas las rutas
+router.use(responseMiddleware);
+
+// Fotos del problema (campo 'photos')
+const uploadPhotos = storageService.configureMulter({
+  fileSize: WARRANTY_CONFIG.maxFileBytes,
+  allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp']
+}).array('photos', WARRANTY_CONFIG.maxPhotos);
+
+/**
+ * @route   POST /api/warranty-claims
+ * @desc    Reclamar la garantía de un servicio completado
+ * @access  Private (Cliente del servicio)
+ */
+router.post('/',
+  authenticate,
+  authorize('client'),
+  createResourceRateLimit,
+  uploadPhotos,
+  validate(schemas.warrantyClaimOpen),
+  WarrantyController.openClaim
+);
+
+/**
+ * @route   GET /api/warranty-claims
+ * @desc    Listar reclamos de garantía del usuario
+ * @access  Private
+ */
+router.get('/',
+  authenticate,
+  WarrantyController.getMyClaims
+);
+
+/**
+ * @route   GET /api/warranty-claims/:id
+ * @desc    Obtener un reclamo de garantía
+ * @access  Private (Partes del reclamo o admin)
+ */
+router.get('/:id',
+  authenticate,
+  WarrantyController.getClaim
+);
+
+/**
+ * @route   POST /api/warranty-claims/:id/visit
+ * @desc    Agendar una visita de seguimiento sin costo
+ * @access  Private (Profesional del servicio)
+ */
+router.post('/:id/visit',
+  authenticate,
+  authorize('professional'),
+  validate(schemas.warrantyVisit),
+  WarrantyController.scheduleVisit
+);
+
+/**
+ * @route   POST /api/warranty-claims/:id/contest
+ * @desc    Impugnar el reclamo (pasa a revisión de un administrador)
+ * @access  Private (Profesional del servicio)
+ */
+router.post('/:id/contest',
+  authenticate,
+  authorize('professional'),
+  validate(schemas.warrantyContest),
+  WarrantyController.contestClaim
+);
+
+module.exports = router;
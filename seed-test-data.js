@@ -182,7 +182,7 @@ const testProfessionals = [
         isActive: true
       }, {
         category: 'home_services',
-        subcategory: 'repairs',
+        subcategory: 'carpentry',
         title: 'Reparaciones menores',
         description: 'Servicios de reparaciones domésticas menores',
         pricing: {
@@ -250,7 +250,7 @@ const testProfessionals = [
         isActive: true
       }, {
         category: 'home_services',
-        subcategory: 'electrical_installation',
+        subcategory: 'electrical',
         title: 'Instalaciones eléctricas',
         description: 'Instalación y mantenimiento de sistemas eléctricos',
         pricing: {
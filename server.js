@@ -46,9 +46,14 @@ const paymentRoutes = require('./routes/payments');
 // const reviewRoutes = require('./routes/reviews');
 const notificationRoutes = require('./routes/notifications');
 const adminRoutes = require('./routes/admin');
+const disputeRoutes = require('./routes/disputes');
+const warrantyRoutes = require('./routes/warranty');
 
 // Importar servicios
 const ChatService = require('./services/ChatService');
+const TrackingService = require('./services/TrackingService');
+const EmergencyDispatchService = require('./services/EmergencyDispatchService');
+const JobScheduler = require('./services/JobScheduler');
 
 // Crear aplicación Express
 const app = express();
@@ -137,6 +142,8 @@ app.use('/api/payments', paymentRoutes);
 // app.use('/api/reviews', reviewRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/warranty-claims', warrantyRoutes);
 
 // Ruta de health check
 app.get('/health', (req, res) => {
@@ -182,6 +189,12 @@ app.use(errorHandler);
 // Inicializar ChatService con Socket.IO
 ChatService.initialize(server);
 
+// Seguimiento en vivo del profesional (namespace /tracking sobre el mismo Socket.IO)
+TrackingService.initialize(ChatService.io);
+
+// Despacho de emergencias en vivo (namespace /dispatch)
+EmergencyDispatchService.initialize(ChatService.io);
+
 // Manejo de errores no capturados
 process.on('uncaughtException', (err) => {
   logger.error('Uncaught Exception:', {
@@ -227,6 +240,9 @@ async function startServer() {
     // Configurar timeout del servidor
     serverInstance.timeout = 30000; // 30 segundos
 
+    // Tareas programadas (recordatorios, vencimientos, limpieza, sincronizaciones)
+    JobScheduler.start();
+
     return serverInstance;
 
   } catch (error) {
@@ -241,6 +257,7 @@ async function startServer() {
 // Manejo graceful shutdown
 const gracefulShutdown = async (signal) => {
   logger.info(`Recibida señal ${signal}. Cerrando servidor...`);
+  JobScheduler.stop();
   
   server.close(async () => {
     logger.info('Servidor HTTP cerrado');
@@ -0,0 +1,342 @@
+/**
+ * Servicio de Disponibilidad
+ * Calcula franjas reservables a partir de Professional.availability (horario semanal,
+ * descansos, excepciones y zona horaria) descontando los servicios ya agendados
+ * y los bloqueos importados de calendarios externos
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const AvailabilityBlock = require('../models/AvailabilityBlock');
+const { SlotConflictError } = require('../utils/errors');
+const { TimezoneUtils } = require('../utils/timezone');
+const {
+  WEEKDAY_KEYS,
+  SLOT_CONFIG,
+  SLOT_BLOCKING_STATUSES,
+  DAILY_CAP_STATUSES,
+  DURATION_UNIT_MINUTES
+} = require('../config/scheduling');
+
+const MINUTE_MS = 60 * 1000;
+
+class AvailabilityService {
+  /**
+   * Zona horaria del profesional
+   * @param {Object} professional - Profesional
+   * @returns {string}
+   */
+  getTimeZone(professional) {
+    const timeZone = professional.availability?.timeZone;
+    return timeZone && TimezoneUtils.isValidTimeZone(timeZone) ? timeZone : 'America/Bogota';
+  }
+
+  /**
+   * Duración estimada de una solicitud en minutos
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {number}
+   */
+  getDurationMinutes(serviceRequest) {
+    const duration = serviceRequest.scheduling?.estimatedDuration;
+    if (!duration || !duration.value) return SLOT_CONFIG.defaultDurationMinutes;
+    return duration.value * (DURATION_UNIT_MINUTES[duration.unit] || DURATION_UNIT_MINUTES.hours);
+  }
+
+  /**
+   * Intervalo UTC que ocupa una solicitud en la agenda
+   * preferredDate es el día calendario y preferredTime la hora local del profesional
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {string} timeZone - Zona horaria del profesional
+   * @returns {Object} { start: Date, end: Date }
+   */
+  getRequestInterval(serviceRequest, timeZone) {
+    const { scheduling } = serviceRequest;
+    const durationMs = this.getDurationMinutes(serviceRequest) * MINUTE_MS;
+
+    if (serviceRequest.status === 'in_progress' && scheduling.actualStartTime) {
+      const start = new Date(scheduling.actualStartTime);
+      const end = new Date(Math.max(start.getTime() + durationMs, Date.now()));
+      return { start, end };
+    }
+
+    const start = TimezoneUtils.toUtc(
+      TimezoneUtils.toDateKey(scheduling.preferredDate),
+      scheduling.preferredTime,
+      timeZone
+    );
+
+    return { start, end: new Date(start.getTime() + durationMs) };
+  }
+
+  /**
+   * Ventanas de trabajo de un día (hora local), ya sin descansos
+   * @param {Object} professional - Profesional
+   * @param {string} dateKey - Día local 'YYYY-MM-DD'
+   * @returns {Array<Object>} [{ start: 'HH:MM', end: 'HH:MM' }]
+   */
+  getDayWindows(professional, dateKey) {
+    const availability = professional.availability || {};
+    const weekday = WEEKDAY_KEYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+    const daySchedule = availability.schedule?.[weekday];
+
+    const exception = (availability.exceptions || []).find(exc =>
+      exc.date && TimezoneUtils.toDateKey(exc.date) === dateKey
+    );
+
+    let window = null;
+    if (exception) {
+      if (!exception.available) return [];
+      if (exception.customSchedule?.start && exception.customSchedule?.end) {
+        window = { start: exception.customSchedule.start, end: exception.customSchedule.end };
+      }
+    }
+
+    if (!window) {
+      if (!daySchedule || !daySchedule.available) return [];
+      window = { start: daySchedule.start, end: daySchedule.end };
+    }
+
+    // Restar los descansos del horario semanal
+    const breaks = (daySchedule?.breaks || [])
+      .filter(item => item.start && item.end)
+      .map(item => ({ start: TimezoneUtils.timeToMinutes(item.start), end: TimezoneUtils.timeToMinutes(item.end) }))
+      .sort((a, b) => a.start - b.start);
+
+    let segments = [{ start: TimezoneUtils.timeToMinutes(window.start), end: TimezoneUtils.timeToMinutes(window.end) }];
+
+    breaks.forEach(item => {
+      segments = segments.flatMap(segment => {
+        if (item.end <= segment.start || item.start >= segment.end) return [segment];
+        return [
+          { start: segment.start, end: item.start },
+          { start: item.end, end: segment.end }
+        ].filter(part => part.end > part.start);
+      });
+    });
+
+    const toTime = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+    return segments
+      .filter(segment => segment.end > segment.start)
+      .map(segment => ({ start: toTime(segment.start), end: toTime(segment.end) }));
+  }
+
+  /**
+   * Solicitudes del profesional relevantes para un rango de días
+   * @param {Object} professionalId - ID del profesional
+   * @param {string} fromKey - Primer día 'YYYY-MM-DD'
+   * @param {string} toKey - Último día 'YYYY-MM-DD'
+   * @param {Object} excludeId - Solicitud a ignorar (la que se está validando)
+   * @returns {Promise<Array>}
+   */
+  async getScheduledRequests(professionalId, fromKey, toKey, excludeId = null) {
+    const statuses = [...new Set([...SLOT_BLOCKING_STATUSES, ...DAILY_CAP_STATUSES])];
+    const query = {
+      professionalId,
+      status: { $in: statuses },
+      'scheduling.preferredDate': {
+        $gte: new Date(`${TimezoneUtils.addDaysToKey(fromKey, -1)}T00:00:00Z`),
+        $lt: new Date(`${TimezoneUtils.addDaysToKey(toKey, 2)}T00:00:00Z`)
+      }
+    };
+
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+
+    return ServiceRequest.find(query).select('status scheduling');
+  }
+
+  /**
+   * Intervalos bloqueados por calendarios externos importados
+   * @param {string} professionalId - ID del profesional
+   * @param {string} fromKey - Primer día (YYYY-MM-DD)
+   * @param {string} toKey - Último día (inclusive)
+   * @returns {Promise<Array>} [{ start, end }]
+   */
+  async getBlockedIntervals(professionalId, fromKey, toKey) {
+    const blocks = await AvailabilityBlock.findOverlapping(
+      professionalId,
+      new Date(`${TimezoneUtils.addDaysToKey(fromKey, -1)}T00:00:00Z`),
+      new Date(`${TimezoneUtils.addDaysToKey(toKey, 2)}T00:00:00Z`)
+    );
+
+    return blocks.map(block => ({ start: block.start, end: block.end }));
+  }
+
+  /**
+   * Agrupar la agenda en intervalos ocupados y reservas por día
+   * @param {Array} requests - Solicitudes agendadas
+   * @param {string} timeZone - Zona horaria del profesional
+   * @returns {Object} { busy: [{start,end}], bookingsPerDay: { dateKey: n } }
+   */
+  buildAgenda(requests, timeZone) {
+    const busy = [];
+    const bookingsPerDay = {};
+
+    requests.forEach(request => {
+      if (SLOT_BLOCKING_STATUSES.includes(request.status)) {
+        busy.push(this.getRequestInterval(request, timeZone));
+      }
+
+      if (DAILY_CAP_STATUSES.includes(request.status)) {
+        const dateKey = TimezoneUtils.toDateKey(request.scheduling.preferredDate);
+        bookingsPerDay[dateKey] = (bookingsPerDay[dateKey] || 0) + 1;
+      }
+    });
+
+    return { busy, bookingsPerDay };
+  }
+
+  /**
+   * Calcular franjas libres del profesional
+   * @param {Object} professional - Profesional
+   * @param {Object} options - Opciones
+   * @param {string} options.from - Primer día (YYYY-MM-DD, hora local del profesional)
+   * @param {string} options.to - Último día (inclusive)
+   * @param {number} options.duration - Duración del servicio en minutos
+   * @returns {Promise<Object>} { timeZone, duration, days: [{ date, available, reason, slots }] }
+   */
+  async getAvailableSlots(professional, options = {}) {
+    const timeZone = this.getTimeZone(professional);
+    const duration = options.duration || SLOT_CONFIG.defaultDurationMinutes;
+    const todayKey = TimezoneUtils.toLocal(new Date(), timeZone).dateKey;
+    const fromKey = options.from || todayKey;
+    const toKey = options.to || TimezoneUtils.addDaysToKey(fromKey, 6);
+
+    const requests = await this.getScheduledRequests(professional._id, fromKey, toKey);
+    const { busy, bookingsPerDay } = this.buildAgenda(requests, timeZone);
+    busy.push(...await this.getBlockedIntervals(professional._id, fromKey, toKey));
+
+    const minimumNoticeMs = (professional.preferences?.minimumNotice || 0) * 60 * MINUTE_MS;
+    const earliestStart = Date.now() + minimumNoticeMs;
+    const maxPerDay = professional.preferences?.maximumBookingsPerDay;
+    const stepMs = SLOT_CONFIG.granularityMinutes * MINUTE_MS;
+    const durationMs = duration * MINUTE_MS;
+
+    const days = [];
+
+    for (let dateKey = fromKey; dateKey <= toKey; dateKey = TimezoneUtils.addDaysToKey(dateKey, 1)) {
+      const windows = this.getDayWindows(professional, dateKey);
+
+      if (windows.length === 0) {
+        days.push({ date: dateKey, available: false, reason: 'unavailable', slots: [] });
+        continue;
+      }
+
+      if (maxPerDay && (bookingsPerDay[dateKey] || 0) >= maxPerDay) {
+        days.push({ date: dateKey, available: false, reason: 'fully_booked', slots: [] });
+        continue;
+      }
+
+      const slots = [];
+
+      windows.forEach(window => {
+        const windowStart = TimezoneUtils.toUtc(dateKey, window.start, timeZone).getTime();
+        const windowEnd = TimezoneUtils.toUtc(dateKey, window.end, timeZone).getTime();
+
+        for (let start = windowStart; start + durationMs <= windowEnd; start += stepMs) {
+          const end = start + durationMs;
+          if (start < earliestStart) continue;
+          if (busy.some(interval => start < interval.end.getTime() && end > interval.start.getTime())) continue;
+
+          slots.push({
+            start: new Date(start),
+            end: new Date(end),
+            localStart: TimezoneUtils.toLocal(new Date(start), timeZone).time,
+            localEnd: TimezoneUtils.toLocal(new Date(end), timeZone).time
+          });
+        }
+      });
+
+      days.push({
+        date: dateKey,
+        available: slots.length > 0,
+        reason: slots.length > 0 ? null : (dateKey < todayKey ? 'past' : 'no_free_slots'),
+        slots
+      });
+    }
+
+    return { timeZone, duration, from: fromKey, to: toKey, days };
+  }
+
+  /**
+   * Verificar que la franja de una solicitud esté libre para su profesional
+   * @param {Object} serviceRequest - Solicitud con professionalId, scheduling y estado
+   * @param {Object} options - Opciones
+   * @param {Object} options.professional - Profesional ya cargado (opcional)
+   * @param {boolean} options.checkNotice - Validar la antelación mínima (al crear)
+   * @param {boolean} options.ignoreSchedule - No exigir el horario laboral (emergencias)
+   * @returns {Promise<Object>} { available, reasons, start, end }
+   */
+  async checkSlot(serviceRequest, options = {}) {
+    const professional = options.professional ||
+      await Professional.findById(serviceRequest.professionalId).select('availability preferences');
+
+    if (!professional) {
+      return { available: false, reasons: ['Profesional no encontrado'] };
+    }
+
+    const timeZone = this.getTimeZone(professional);
+    const { start, end } = this.getRequestInterval(serviceRequest, timeZone);
+    const dateKey = TimezoneUtils.toDateKey(serviceRequest.scheduling.preferredDate);
+    const reasons = [];
+
+    const windows = this.getDayWindows(professional, dateKey);
+    const insideWindow = windows.some(window =>
+      start >= TimezoneUtils.toUtc(dateKey, window.start, timeZone) &&
+      end <= TimezoneUtils.toUtc(dateKey, window.end, timeZone)
+    );
+    if (!insideWindow && !options.ignoreSchedule) {
+      reasons.push('El horario está fuera de la disponibilidad del profesional');
+    }
+
+    if (options.checkNotice) {
+      const minimumNoticeHours = professional.preferences?.minimumNotice || 0;
+      if (start.getTime() < Date.now() + minimumNoticeHours * 60 * MINUTE_MS) {
+        reasons.push(`El profesional requiere al menos ${minimumNoticeHours} horas de anticipación`);
+      }
+    }
+
+    const requests = await this.getScheduledRequests(professional._id, dateKey, dateKey, serviceRequest._id);
+    const { busy, bookingsPerDay } = this.buildAgenda(requests, timeZone);
+
+    if (busy.some(interval => start < interval.end && end > interval.start)) {
+      reasons.push('El profesional ya tiene un servicio agendado en ese horario');
+    }
+
+    const blocked = await this.getBlockedIntervals(professional._id, dateKey, dateKey);
+    if (blocked.some(interval => start < interval.end && end > interval.start)) {
+      reasons.push('El profesional tiene un compromiso externo en ese horario');
+    }
+
+    const maxPerDay = professional.preferences?.maximumBookingsPerDay;
+    if (maxPerDay && (bookingsPerDay[dateKey] || 0) >= maxPerDay) {
+      reasons.push('El profesional alcanzó el máximo de reservas para ese día');
+    }
+
+    return { available: reasons.length === 0, reasons, start, end };
+  }
+
+  /**
+   * Igual que checkSlot pero lanza SlotConflictError si la franja no está libre
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} options - Ver checkSlot
+   */
+  async assertSlotAvailable(serviceRequest, options = {}) {
+    const result = await this.checkSlot(serviceRequest, options);
+
+    if (!result.available) {
+      throw new SlotConflictError(result.reasons[0], {
+        professionalId: serviceRequest.professionalId,
+        start: result.start,
+        end: result.end,
+        reasons: result.reasons
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new AvailabilityService();
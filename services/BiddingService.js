@@ -0,0 +1,360 @@
+/**
+ * Servicio de Ventanas de Cotización
+ * El cliente abre un plazo fijo (con cupo máximo) para recibir cotizaciones; al
+ * cerrarse recibe un resumen y tiene un periodo de gracia para elegir. Las
+ * cotizaciones tardías se rechazan y las solicitudes sin elección vencen
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const Quote = require('../models/Quote');
+const NotificationService = require('./NotificationService');
+const ServiceRequestStateMachine = require('./ServiceRequestStateMachine');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { QUOTE_OPEN_STATUSES, BIDDING_CONFIG } = require('../config/quotes');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class BiddingService {
+  /**
+   * Abrir la ventana de cotizaciones de una solicitud pendiente
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Cliente dueño de la solicitud
+   * @param {Object} data - { durationHours, maxQuotes, mode }
+   * @returns {Promise<Object>} Solicitud actualizada
+   */
+  async open(serviceRequest, user, data) {
+    if (serviceRequest.clientId.toString() !== user._id.toString()) {
+      throw new AppError('Solo el cliente de la solicitud puede abrir la ventana de cotizaciones', 403, 'FORBIDDEN');
+    }
+
+    if (serviceRequest.bidding?.status) {
+      throw new AppError('La solicitud ya tiene una ventana de cotizaciones', 409, 'BIDDING_EXISTS');
+    }
+
+    if (serviceRequest.status !== 'pending') {
+      throw new AppError('Solo se puede abrir una ventana en solicitudes pendientes sin cotizaciones', 409, 'BIDDING_NOT_ALLOWED');
+    }
+
+    if (serviceRequest.dispatch?.status === 'searching') {
+      throw new AppError('La solicitud tiene un despacho de emergencia en curso', 409, 'BIDDING_NOT_ALLOWED');
+    }
+
+    if (serviceRequest.directRequest?.professionalId) {
+      throw new AppError('Las solicitudes privadas no admiten ventana de cotizaciones', 409, 'BIDDING_NOT_ALLOWED');
+    }
+
+    const openedAt = new Date();
+    const durationHours = data.durationHours || BIDDING_CONFIG.defaultDurationHours;
+
+    serviceRequest.bidding = {
+      status: 'open',
+      mode: data.mode || 'sealed',
+      durationHours,
+      maxQuotes: data.maxQuotes || BIDDING_CONFIG.defaultMaxQuotes,
+      quoteCount: 0,
+      openedAt,
+      closesAt: new Date(openedAt.getTime() + durationHours * HOUR_MS)
+    };
+    await serviceRequest.save();
+
+    logger.info('Ventana de cotizaciones abierta:', {
+      serviceRequestId: serviceRequest._id,
+      mode: serviceRequest.bidding.mode,
+      closesAt: serviceRequest.bidding.closesAt,
+      maxQuotes: serviceRequest.bidding.maxQuotes
+    });
+
+    return serviceRequest;
+  }
+
+  /**
+   * Reservar un cupo de la ventana para una cotización que se envía.
+   * Sin ventana no hay límite; fuera de plazo o sin cupo la cotización se rechaza
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {Promise<boolean>} true si se reservó un cupo
+   */
+  async claimSlot(serviceRequest) {
+    if (!serviceRequest.bidding?.status) return false;
+
+    const now = new Date();
+    const { maxQuotes } = serviceRequest.bidding;
+
+    // Reserva atómica: dos envíos simultáneos no pueden superar el cupo
+    const claimed = await ServiceRequest.findOneAndUpdate(
+      {
+        _id: serviceRequest._id,
+        'bidding.status': 'open',
+        'bidding.closesAt': { $gt: now },
+        'bidding.quoteCount': { $lt: maxQuotes }
+      },
+      { $inc: { 'bidding.quoteCount': 1 } },
+      { new: true, projection: { bidding: 1 } }
+    );
+
+    if (!claimed) {
+      const current = await ServiceRequest.findById(serviceRequest._id).select('bidding');
+      const bidding = current?.bidding || serviceRequest.bidding;
+
+      if (bidding.status === 'open' && bidding.closesAt > now) {
+        throw new AppError('La ventana de cotizaciones alcanzó el máximo de cotizaciones', 409, 'BIDDING_FULL', {
+          maxQuotes: bidding.maxQuotes
+        });
+      }
+      throw new AppError('La ventana de cotizaciones ya cerró', 409, 'BIDDING_CLOSED', {
+        closesAt: bidding.closedAt || bidding.closesAt
+      });
+    }
+
+    if (claimed.bidding.quoteCount >= claimed.bidding.maxQuotes) {
+      await this.close(serviceRequest._id, 'max_quotes');
+    }
+
+    return true;
+  }
+
+  /**
+   * Liberar un cupo reservado cuando la cotización no llegó a guardarse
+   * @param {Object} serviceRequest - Solicitud de servicio
+   */
+  async releaseSlot(serviceRequest) {
+    await ServiceRequest.updateOne(
+      { _id: serviceRequest._id, 'bidding.quoteCount': { $gt: 0 } },
+      { $inc: { 'bidding.quoteCount': -1 } }
+    );
+  }
+
+  /**
+   * Cerrar una ventana abierta y enviar el resumen al cliente
+   * @param {string} serviceRequestId - ID de la solicitud
+   * @param {string} reason - deadline | max_quotes | quote_accepted
+   * @returns {Promise<Object|null>} Solicitud cerrada o null si ya estaba cerrada
+   */
+  async close(serviceRequestId, reason) {
+    const closedAt = new Date();
+
+    const serviceRequest = await ServiceRequest.findOneAndUpdate(
+      { _id: serviceRequestId, 'bidding.status': 'open' },
+      {
+        $set: {
+          'bidding.status': 'closed',
+          'bidding.closedAt': closedAt,
+          'bidding.closeReason': reason,
+          'bidding.decisionDeadline': new Date(closedAt.getTime() + BIDDING_CONFIG.gracePeriodHours * HOUR_MS)
+        }
+      },
+      { new: true }
+    );
+    if (!serviceRequest) return null;
+
+    logger.info('Ventana de cotizaciones cerrada:', {
+      serviceRequestId,
+      reason,
+      quoteCount: serviceRequest.bidding.quoteCount
+    });
+
+    // Al aceptar una cotización el cliente ya eligió; no hace falta resumen
+    if (reason !== 'quote_accepted') {
+      await this.notifySummary(serviceRequest);
+    }
+
+    return serviceRequest;
+  }
+
+  /**
+   * Resumen de precios de las cotizaciones vigentes (última oferta del profesional)
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {Promise<Object>} { quoteCount, lowestPrice, highestPrice, averagePrice }
+   */
+  async getSummary(serviceRequest) {
+    const quotes = await Quote.find({
+      serviceRequestId: serviceRequest._id,
+      status: { $in: QUOTE_OPEN_STATUSES }
+    }).select('price versions');
+
+    const prices = quotes.map(quote => {
+      const offer = quote.getLatestOffer();
+      return offer ? offer.price : quote.price;
+    });
+
+    return {
+      quoteCount: prices.length,
+      lowestPrice: prices.length ? Math.min(...prices) : null,
+      highestPrice: prices.length ? Math.max(...prices) : null,
+      averagePrice: prices.length
+        ? Math.round(prices.reduce((sum, price) => sum + price, 0) / prices.length)
+        : null
+    };
+  }
+
+  /**
+   * Estado de la ventana según quien consulta. En modo sellado los profesionales
+   * no ven precios; en modo abierto ven el precio más bajo vigente
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object>}
+   */
+  async getStatus(serviceRequest, user) {
+    const { bidding } = serviceRequest;
+    if (!bidding?.status) {
+      throw new AppError('La solicitud no tiene ventana de cotizaciones', 404, 'BIDDING_NOT_FOUND');
+    }
+
+    const isOwner = serviceRequest.clientId.toString() === user._id.toString();
+    if (!isOwner && user.role !== 'admin') {
+      const professional = await Professional.findOne({ userId: user._id }).select('_id');
+      if (!professional) {
+        throw new AppError('No tienes permisos para ver esta ventana de cotizaciones', 403, 'FORBIDDEN');
+      }
+    }
+
+    const status = {
+      serviceRequestId: serviceRequest._id,
+      status: bidding.status,
+      mode: bidding.mode,
+      openedAt: bidding.openedAt,
+      closesAt: bidding.closesAt,
+      closedAt: bidding.closedAt,
+      closeReason: bidding.closeReason,
+      decisionDeadline: bidding.decisionDeadline,
+      maxQuotes: bidding.maxQuotes,
+      quoteCount: bidding.quoteCount,
+      remainingSlots: Math.max(bidding.maxQuotes - bidding.quoteCount, 0)
+    };
+
+    if (isOwner || user.role === 'admin') {
+      return { ...status, summary: await this.getSummary(serviceRequest) };
+    }
+
+    if (bidding.mode === 'open') {
+      const { lowestPrice } = await this.getSummary(serviceRequest);
+      return { ...status, lowestPrice };
+    }
+
+    return status;
+  }
+
+  /**
+   * Cerrar las ventanas cuyo plazo terminó (tarea programada)
+   * @param {Date} now - Fecha de referencia
+   * @returns {Promise<Object>} { closed, failed }
+   */
+  async closeDueWindows(now = new Date()) {
+    const serviceRequests = await ServiceRequest.find({
+      'bidding.status': 'open',
+      'bidding.closesAt': { $lte: now }
+    }).select('_id');
+
+    const summary = { closed: 0, failed: 0 };
+
+    for (const { _id } of serviceRequests) {
+      try {
+        if (await this.close(_id, 'deadline')) summary.closed += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.warn('Error cerrando ventana de cotizaciones:', {
+          serviceRequestId: _id,
+          error: error.message
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Vencer las solicitudes cuya ventana cerró sin que el cliente eligiera dentro
+   * del periodo de gracia: vence sus cotizaciones y cancela la solicitud
+   * @param {Date} now - Fecha de referencia
+   * @returns {Promise<Object>} { expired, quotesExpired, failed }
+   */
+  async expireUnchosen(now = new Date()) {
+    // Carga diferida para evitar dependencia circular
+    const QuoteService = require('./QuoteService');
+
+    const serviceRequests = await ServiceRequest.find({
+      'bidding.status': 'closed',
+      'bidding.decisionDeadline': { $lte: now },
+      status: { $in: ['pending', 'quoted'] }
+    });
+
+    const summary = { expired: 0, quotesExpired: 0, failed: 0 };
+
+    for (const serviceRequest of serviceRequests) {
+      try {
+        const quotes = await Quote.find({
+          serviceRequestId: serviceRequest._id,
+          status: { $in: QUOTE_OPEN_STATUSES }
+        });
+
+        for (const quote of quotes) {
+          quote.setStatus('expired', null, 'bidding_expired');
+          await quote.save();
+          summary.quotesExpired += 1;
+          await QuoteService.notify(await QuoteService.getProfessionalUserId(quote), serviceRequest, quote, 'QUOTE_EXPIRED');
+        }
+
+        serviceRequest.bidding.status = 'expired';
+        serviceRequest.bidding.expiredAt = now;
+        await ServiceRequestStateMachine.transition(serviceRequest, 'expire_bidding', { role: 'system' });
+        summary.expired += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.warn('Error venciendo solicitud sin elección:', {
+          serviceRequestId: serviceRequest._id,
+          error: error.message
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Procesar ventanas vencidas: cierre por plazo y vencimiento tras la gracia
+   * @returns {Promise<Object>}
+   */
+  async processDueWindows() {
+    const now = new Date();
+    const closing = await this.closeDueWindows(now);
+    const expiry = await this.expireUnchosen(now);
+
+    return {
+      closed: closing.closed,
+      expired: expiry.expired,
+      quotesExpired: expiry.quotesExpired,
+      failed: closing.failed + expiry.failed
+    };
+  }
+
+  /**
+   * Notificar al cliente el resumen de la ventana cerrada
+   * @param {Object} serviceRequest - Solicitud con la ventana cerrada
+   */
+  async notifySummary(serviceRequest) {
+    try {
+      const summary = await this.getSummary(serviceRequest);
+      const templateKey = summary.quoteCount ? 'BIDDING_CLOSED' : 'BIDDING_CLOSED_EMPTY';
+
+      await NotificationService.sendNotification(serviceRequest.clientId, templateKey, {
+        serviceRequestId: serviceRequest._id,
+        serviceTitle: serviceRequest.service?.title || 'Servicio',
+        ...summary,
+        gracePeriodHours: BIDDING_CONFIG.gracePeriodHours
+      }, {
+        metadata: {
+          serviceRequestId: serviceRequest._id,
+          closeReason: serviceRequest.bidding.closeReason
+        }
+      });
+    } catch (error) {
+      logger.warn('Error notificando cierre de ventana de cotizaciones', {
+        serviceRequestId: serviceRequest._id,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new BiddingService();
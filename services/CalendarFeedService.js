@@ -0,0 +1,174 @@
+/**
+ * Servicio de Feed de Calendario
+ * Publica la agenda del profesional como feed ICS (Google Calendar, Apple Calendar)
+ * protegido por un token secreto que el profesional puede rotar
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const AvailabilityService = require('./AvailabilityService');
+const { AuthUtils } = require('../utils/auth');
+const { ICalUtils } = require('../utils/ical');
+const { TimezoneUtils } = require('../utils/timezone');
+const { SLOT_BLOCKING_STATUSES, CALENDAR_FEED_CONFIG } = require('../config/scheduling');
+
+const DURATION_UNIT_LABELS = {
+  minutes: 'minutos',
+  hours: 'horas',
+  days: 'días'
+};
+
+class CalendarFeedService {
+  /**
+   * URL pública del feed para un token
+   * @param {string} token - Token en claro
+   * @returns {string}
+   */
+  getFeedUrl(token) {
+    return `${process.env.API_URL}/api/professionals/calendar/${token}.ics`;
+  }
+
+  /**
+   * Generar un nuevo token e invalidar el anterior
+   * @param {Object} professional - Profesional
+   * @returns {Promise<Object>} { token, url }
+   */
+  async rotateToken(professional) {
+    const token = AuthUtils.generateRandomToken(CALENDAR_FEED_CONFIG.tokenBytes);
+
+    professional.calendarFeed = {
+      tokenHash: AuthUtils.hashToken(token),
+      createdAt: new Date(),
+      lastAccessedAt: null
+    };
+    await professional.save();
+
+    return { token, url: this.getFeedUrl(token) };
+  }
+
+  /**
+   * Desactivar el feed del profesional
+   * @param {Object} professional - Profesional
+   */
+  async disableFeed(professional) {
+    professional.calendarFeed = undefined;
+    await professional.save();
+  }
+
+  /**
+   * Buscar el profesional dueño de un token
+   * @param {string} token - Token en claro
+   * @returns {Promise<Object|null>}
+   */
+  async findProfessionalByToken(token) {
+    if (!token || !/^[a-f0-9]+$/i.test(token)) return null;
+
+    return Professional.findOne({
+      'calendarFeed.tokenHash': AuthUtils.hashToken(token),
+      isActive: true
+    }).populate('userId', 'profile.firstName profile.lastName');
+  }
+
+  /**
+   * Solicitudes que aparecen en el feed
+   * Incluye las canceladas que llegaron a ocupar la agenda para que los
+   * calendarios suscritos las marquen como canceladas en lugar de conservarlas
+   * @param {Object} professional - Profesional
+   * @returns {Promise<Array>}
+   */
+  async getFeedRequests(professional) {
+    const now = Date.now();
+    const dayMs = 24 * 60 * 60 * 1000;
+    const dateRange = {
+      $gte: new Date(now - (CALENDAR_FEED_CONFIG.pastDays + 1) * dayMs),
+      $lte: new Date(now + (CALENDAR_FEED_CONFIG.futureDays + 1) * dayMs)
+    };
+
+    return ServiceRequest.find({
+      professionalId: professional._id,
+      'scheduling.preferredDate': dateRange,
+      $or: [
+        { status: { $in: SLOT_BLOCKING_STATUSES } },
+        { status: 'cancelled', 'statusHistory.status': { $in: SLOT_BLOCKING_STATUSES } }
+      ]
+    })
+      .populate('clientId', 'profile.firstName profile.lastName')
+      .sort({ 'scheduling.preferredDate': 1 });
+  }
+
+  /**
+   * Convertir una solicitud en evento ICS
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {string} timeZone - Zona horaria del profesional
+   * @returns {Object} Evento para ICalUtils.buildEvent
+   */
+  buildEvent(serviceRequest, timeZone) {
+    const { start } = AvailabilityService.getRequestInterval(serviceRequest, timeZone);
+    const durationMinutes = AvailabilityService.getDurationMinutes(serviceRequest);
+    const url = `${process.env.FRONTEND_URL}/professional/services/${serviceRequest._id}`;
+    const client = serviceRequest.clientId?.profile;
+    const clientName = client ? `${client.firstName} ${client.lastName}` : 'Cliente';
+    const estimated = serviceRequest.scheduling.estimatedDuration;
+    const durationLabel = estimated?.value
+      ? `${estimated.value} ${DURATION_UNIT_LABELS[estimated.unit] || estimated.unit}`
+      : `${durationMinutes} minutos`;
+    const isCancelled = serviceRequest.status === 'cancelled';
+
+    const description = [
+      `Cliente: ${clientName}`,
+      `Duración estimada: ${durationLabel}`,
+      isCancelled ? 'Estado: Cancelado' : null,
+      `Ver trabajo: ${url}`
+    ].filter(Boolean).join('\n');
+
+    return {
+      uid: `service-request-${serviceRequest._id}@proserv`,
+      start,
+      durationMinutes,
+      summary: `${isCancelled ? '[Cancelado] ' : ''}${serviceRequest.service.title} - ${clientName}`,
+      description,
+      location: serviceRequest.location?.address?.fullAddress,
+      geo: serviceRequest.location?.coordinates,
+      url,
+      status: isCancelled ? 'CANCELLED' : 'CONFIRMED',
+      sequence: (serviceRequest.statusHistory || []).length,
+      lastModified: serviceRequest.updatedAt
+    };
+  }
+
+  /**
+   * Generar el contenido ICS del profesional
+   * @param {Object} professional - Profesional (con userId poblado)
+   * @returns {Promise<string>}
+   */
+  async buildFeed(professional) {
+    const timeZone = AvailabilityService.getTimeZone(professional);
+    const requests = await this.getFeedRequests(professional);
+    const owner = professional.businessInfo?.businessName ||
+      (professional.userId?.profile ? `${professional.userId.profile.firstName} ${professional.userId.profile.lastName}` : '');
+
+    const events = requests
+      .filter(request => request.scheduling?.preferredDate && request.scheduling?.preferredTime)
+      .map(request => this.buildEvent(request, timeZone));
+
+    return ICalUtils.buildCalendar({
+      name: `${process.env.APP_NAME || 'ProServ'}${owner ? ` - ${owner}` : ''}`,
+      timeZone: TimezoneUtils.isValidTimeZone(timeZone) ? timeZone : null,
+      events
+    });
+  }
+
+  /**
+   * Registrar el último acceso al feed sin alterar updatedAt
+   * @param {Object} professional - Profesional
+   */
+  async touchFeed(professional) {
+    await Professional.updateOne(
+      { _id: professional._id },
+      { $set: { 'calendarFeed.lastAccessedAt': new Date() } },
+      { timestamps: false }
+    );
+  }
+}
+
+module.exports = new CalendarFeedService();
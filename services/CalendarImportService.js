@@ -0,0 +1,637 @@
+/**
+ * Servicio de Importación de Calendarios
+ * Convierte los eventos ocupados de calendarios externos (archivo .ics o URL)
+ * en bloqueos de agenda de solo lectura (AvailabilityBlock). Cada importación
+ * reemplaza los bloqueos previos del mismo calendario y nunca toca las
+ * excepciones ingresadas manualmente en availability.exceptions
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const Professional = require('../models/Professional');
+const AvailabilityBlock = require('../models/AvailabilityBlock');
+const AvailabilityService = require('./AvailabilityService');
+const { AppError } = require('../utils/errors');
+const { ICalUtils } = require('../utils/ical');
+const { RecurrenceUtils } = require('../utils/recurrence');
+const { TimezoneUtils } = require('../utils/timezone');
+const { CALENDAR_IMPORT_CONFIG } = require('../config/scheduling');
+const { RECURRENCE_WEEKDAYS } = require('../config/recurrence');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Sufijo de UID de los eventos de nuestro propio feed (ver CalendarFeedService)
+const OWN_FEED_UID_SUFFIX = '@proserv';
+
+// Rangos IPv4 no públicos: this-network, privados, CGNAT, loopback, link-local,
+// benchmarking, multicast y reservados
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+];
+
+const ipv4ToNumber = (address) => address.split('.')
+  .reduce((value, octet) => value * 256 + Number(octet), 0);
+
+/**
+ * Verificar si una IP no es enrutable públicamente (red interna, loopback, link-local)
+ * @param {string} address - IPv4 o IPv6
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+
+  if (family === 4) {
+    const value = ipv4ToNumber(address);
+    return PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      return Math.floor(value / size) === Math.floor(ipv4ToNumber(base) / size);
+    });
+  }
+
+  if (family === 6) {
+    const normalized = address.toLowerCase();
+    // IPv4 mapeada, en notación decimal (::ffff:10.0.0.1) o hexadecimal (::ffff:a00:1)
+    const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+
+    const mappedHex = normalized.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+      const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+      return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+
+    return normalized === '::' ||
+      normalized === '::1' ||
+      /^f[cd][0-9a-f]{0,2}:/.test(normalized) || // fc00::/7 (única local)
+      /^fe[89ab][0-9a-f]?:/.test(normalized) ||  // fe80::/10 (link-local)
+      /^ff[0-9a-f]{0,2}:/.test(normalized);      // Multicast
+  }
+
+  return true;
+};
+
+/**
+ * dns.lookup que rechaza direcciones internas al momento de conectar, para que
+ * un DNS que cambia de respuesta entre la validación y la descarga no sirva
+ * @param {string} hostname - Host a resolver
+ * @param {Object} options - Opciones de dns.lookup
+ * @param {Function} callback - (error, address, family) o (error, addresses) con all
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new AppError('La URL del calendario no está permitida', 400, 'INVALID_CALENDAR_URL'));
+    }
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const fetchAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+class CalendarImportService {
+  /**
+   * Zona horaria de una propiedad DATE-TIME
+   * @param {string} tzid - Parámetro TZID (puede no ser IANA, ej. zonas de Outlook)
+   * @param {string} defaultTimeZone - Zona del profesional
+   * @returns {string}
+   */
+  resolveTimeZone(tzid, defaultTimeZone) {
+    return tzid && TimezoneUtils.isValidTimeZone(tzid) ? tzid : defaultTimeZone;
+  }
+
+  /**
+   * Convertir un valor DATE/DATE-TIME interpretado a instante UTC
+   * @param {Object} parsed - Resultado de ICalUtils.parseDateValue
+   * @param {string} timeZone - Zona horaria a usar para horas flotantes
+   * @returns {Date}
+   */
+  toInstant(parsed, timeZone) {
+    if (parsed.allDay) {
+      return TimezoneUtils.toUtc(parsed.dateKey, '00:00', timeZone);
+    }
+
+    if (parsed.utc) {
+      return new Date(`${parsed.dateKey}T${parsed.time}:00Z`);
+    }
+
+    return TimezoneUtils.toUtc(parsed.dateKey, parsed.time, this.resolveTimeZone(parsed.tzid, timeZone));
+  }
+
+  /**
+   * Primer valor de una propiedad de evento
+   * @param {Object} event - Evento de ICalUtils.parseEvents
+   * @param {string} name - Nombre de la propiedad
+   * @returns {Object|null} { value, params }
+   */
+  getProperty(event, name) {
+    return event[name] && event[name].length ? event[name][0] : null;
+  }
+
+  /**
+   * Determinar si un evento ocupa tiempo en la agenda
+   * @param {Object} event - Evento
+   * @returns {boolean}
+   */
+  isBusy(event) {
+    const status = (this.getProperty(event, 'STATUS')?.value || '').toUpperCase();
+    const transparency = (this.getProperty(event, 'TRANSP')?.value || '').toUpperCase();
+    const uid = this.getProperty(event, 'UID')?.value || '';
+
+    if (status === 'CANCELLED' || transparency === 'TRANSPARENT') return false;
+
+    // Los trabajos de la plataforma ya bloquean la agenda por sí mismos
+    return !uid.endsWith(OWN_FEED_UID_SUFFIX);
+  }
+
+  /**
+   * Inicio y duración de la primera instancia de un evento
+   * @param {Object} event - Evento
+   * @param {string} timeZone - Zona horaria del profesional
+   * @returns {Object|null} { start, durationMs, allDay, timeZone }
+   */
+  getBaseInterval(event, timeZone) {
+    const dtStart = this.getProperty(event, 'DTSTART');
+    const startValue = dtStart && ICalUtils.parseDateValue(dtStart.value, dtStart.params);
+    if (!startValue) return null;
+
+    const eventTimeZone = startValue.allDay ? timeZone : this.resolveTimeZone(startValue.tzid, timeZone);
+    const start = this.toInstant(startValue, timeZone);
+    let end = null;
+
+    const dtEnd = this.getProperty(event, 'DTEND');
+    const duration = this.getProperty(event, 'DURATION');
+    const endValue = dtEnd && ICalUtils.parseDateValue(dtEnd.value, dtEnd.params);
+
+    if (endValue) {
+      end = this.toInstant(endValue, timeZone);
+    } else if (duration && ICalUtils.parseDuration(duration.value) !== null) {
+      end = new Date(start.getTime() + ICalUtils.parseDuration(duration.value) * MINUTE_MS);
+    } else if (startValue.allDay) {
+      end = TimezoneUtils.toUtc(TimezoneUtils.addDaysToKey(startValue.dateKey, 1), '00:00', timeZone);
+    }
+
+    if (!end || end <= start) return null;
+
+    return {
+      start,
+      durationMs: end.getTime() - start.getTime(),
+      allDay: startValue.allDay,
+      timeZone: eventTimeZone
+    };
+  }
+
+  /**
+   * Convertir RRULE a una regla de RecurrenceUtils
+   * FREQ=DAILY (intervalo 1) se trata como semanal todos los días
+   * @param {string} rrule - Texto RRULE
+   * @returns {Object|null} Regla parcial o null si no está soportada
+   */
+  parseRecurrence(rrule) {
+    const source = String(rrule).replace(/^RRULE:/i, '');
+    const parts = source.split(';').filter(part => !/^WKST=/i.test(part));
+    const isDaily = parts.some(part => /^FREQ=DAILY$/i.test(part));
+
+    try {
+      if (isDaily) {
+        if (parts.some(part => /^(INTERVAL=(?!1$)|BY)/i.test(part))) return null;
+        const weekly = parts.map(part => (/^FREQ=/i.test(part) ? 'FREQ=WEEKLY' : part));
+        weekly.push(`BYDAY=${Object.keys(RECURRENCE_WEEKDAYS).join(',')}`);
+        return RecurrenceUtils.parseRRule(weekly.join(';'));
+      }
+
+      return RecurrenceUtils.parseRRule(parts.join(';'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Expandir un evento (y su recurrencia) en intervalos dentro del rango
+   * @param {Object} event - Evento
+   * @param {Object} options - Opciones
+   * @param {string} options.timeZone - Zona horaria del profesional
+   * @param {Date} options.rangeStart - Inicio del rango
+   * @param {Date} options.rangeEnd - Fin del rango
+   * @param {Set<string>} options.overridden - Días 'YYYY-MM-DD' reemplazados por RECURRENCE-ID
+   * @returns {Object} { intervals: [{ start, end, allDay }], supported }
+   */
+  expandEvent(event, options) {
+    const base = this.getBaseInterval(event, options.timeZone);
+    if (!base) return { intervals: [], supported: false };
+
+    const rrule = this.getProperty(event, 'RRULE');
+    const toInterval = start => ({
+      start,
+      end: new Date(start.getTime() + base.durationMs),
+      allDay: base.allDay
+    });
+    const inRange = interval => interval.start < options.rangeEnd && interval.end > options.rangeStart;
+
+    if (!rrule) {
+      const interval = toInterval(base.start);
+      return { intervals: inRange(interval) ? [interval] : [], supported: true };
+    }
+
+    const recurrence = this.parseRecurrence(rrule.value);
+    if (!recurrence) {
+      // Regla no soportada: se bloquea al menos la primera instancia
+      const interval = toInterval(base.start);
+      return { intervals: inRange(interval) ? [interval] : [], supported: false };
+    }
+
+    const local = TimezoneUtils.toLocal(base.start, base.timeZone);
+    const excluded = new Set(options.overridden || []);
+    (event.EXDATE || []).forEach(exdate => {
+      exdate.value.split(',').forEach(value => {
+        const parsed = ICalUtils.parseDateValue(value, exdate.params);
+        if (parsed) {
+          excluded.add(TimezoneUtils.toLocal(this.toInstant(parsed, options.timeZone), base.timeZone).dateKey);
+        }
+      });
+    });
+
+    const rule = { ...recurrence, startDate: new Date(`${local.dateKey}T00:00:00Z`) };
+
+    const intervals = RecurrenceUtils
+      .getOccurrences(
+        rule,
+        // Incluye las ocurrencias de varios días que empezaron antes y siguen dentro del rango
+        RecurrenceUtils.addDays(options.rangeStart, -Math.ceil(base.durationMs / DAY_MS) - 1),
+        options.rangeEnd
+      )
+      .map(date => TimezoneUtils.toDateKey(date))
+      .filter(dateKey => !excluded.has(dateKey))
+      .map(dateKey => toInterval(TimezoneUtils.toUtc(dateKey, local.time, base.timeZone)))
+      .filter(inRange);
+
+    return { intervals, supported: true };
+  }
+
+  /**
+   * Obtener los intervalos ocupados de un calendario ICS
+   * @param {string} content - Contenido .ics
+   * @param {Object} options - Opciones
+   * @param {string} options.timeZone - Zona horaria del profesional (horas flotantes y días completos)
+   * @param {Date} options.now - Fecha de referencia
+   * @returns {Object} { intervals: [{ start, end, allDay, externalUid }], skipped }
+   */
+  parseBusyIntervals(content, options) {
+    if (!/BEGIN:VCALENDAR/i.test(content)) {
+      throw new AppError('El archivo no es un calendario ICS válido', 400, 'INVALID_CALENDAR');
+    }
+
+    const now = options.now || new Date();
+    const rangeStart = new Date(now.getTime() - DAY_MS);
+    const rangeEnd = new Date(now.getTime() + CALENDAR_IMPORT_CONFIG.horizonDays * DAY_MS);
+    const events = ICalUtils.parseEvents(content);
+
+    // Instancias modificadas de eventos recurrentes (RECURRENCE-ID)
+    const overriddenByUid = {};
+    events.forEach(event => {
+      const recurrenceId = this.getProperty(event, 'RECURRENCE-ID');
+      const uid = this.getProperty(event, 'UID')?.value;
+      const parsed = recurrenceId && ICalUtils.parseDateValue(recurrenceId.value, recurrenceId.params);
+      if (!uid || !parsed) return;
+
+      const base = this.getBaseInterval(event, options.timeZone);
+      const dateKey = TimezoneUtils.toLocal(
+        this.toInstant(parsed, options.timeZone),
+        base ? base.timeZone : options.timeZone
+      ).dateKey;
+      overriddenByUid[uid] = overriddenByUid[uid] || new Set();
+      overriddenByUid[uid].add(dateKey);
+    });
+
+    const intervals = [];
+    let skipped = 0;
+
+    events.forEach(event => {
+      if (!this.isBusy(event)) return;
+
+      const uid = this.getProperty(event, 'UID')?.value;
+      const isOverride = !!this.getProperty(event, 'RECURRENCE-ID');
+      const { intervals: expanded, supported } = this.expandEvent(event, {
+        timeZone: options.timeZone,
+        rangeStart,
+        rangeEnd,
+        overridden: isOverride ? null : overriddenByUid[uid]
+      });
+
+      if (!supported) skipped += 1;
+      expanded.forEach(interval => intervals.push({ ...interval, externalUid: uid }));
+    });
+
+    intervals.sort((a, b) => a.start - b.start);
+
+    if (intervals.length > CALENDAR_IMPORT_CONFIG.maxBlocksPerCalendar) {
+      skipped += intervals.length - CALENDAR_IMPORT_CONFIG.maxBlocksPerCalendar;
+      intervals.length = CALENDAR_IMPORT_CONFIG.maxBlocksPerCalendar;
+    }
+
+    return { intervals, skipped };
+  }
+
+  /**
+   * Rechazar URLs hacia la red interna: el host se resuelve y ninguna de sus
+   * direcciones puede ser privada, loopback o link-local
+   * @param {string} url - URL normalizada
+   */
+  async assertPublicUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new AppError('La URL del calendario no es válida', 400, 'INVALID_CALENDAR_URL');
+    }
+
+    const notAllowed = new AppError('La URL del calendario no está permitida', 400, 'INVALID_CALENDAR_URL');
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (!['http:', 'https:'].includes(parsed.protocol) ||
+        host === 'localhost' ||
+        host.endsWith('.localhost')) {
+      throw notAllowed;
+    }
+
+    if (net.isIP(host)) {
+      if (isPrivateAddress(host)) throw notAllowed;
+      return;
+    }
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+      throw new AppError(`No se pudo resolver el host del calendario: ${host}`, 422, 'CALENDAR_FETCH_FAILED');
+    }
+
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw notAllowed;
+    }
+  }
+
+  /**
+   * Descargar un calendario por URL (acepta webcal://)
+   * Las redirecciones se siguen a mano para validar cada destino
+   * @param {string} url - URL del calendario
+   * @returns {Promise<string>} Contenido .ics
+   */
+  async fetchCalendar(url) {
+    let currentUrl = url.replace(/^webcal:\/\//i, 'https://');
+
+    for (let redirects = 0; ; redirects += 1) {
+      await this.assertPublicUrl(currentUrl);
+
+      let response;
+      try {
+        response = await axios.get(currentUrl, {
+          ...fetchAgents,
+          timeout: CALENDAR_IMPORT_CONFIG.fetchTimeoutMs,
+          maxContentLength: CALENDAR_IMPORT_CONFIG.maxFileBytes,
+          maxRedirects: 0,
+          validateStatus: status => status >= 200 && status < 400,
+          responseType: 'text',
+          transformResponse: data => data,
+          headers: { Accept: 'text/calendar, text/plain;q=0.9, */*;q=0.1' }
+        });
+      } catch (error) {
+        // Rechazo de publicLookup al conectar
+        if (error.cause instanceof AppError) throw error.cause;
+
+        const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+        throw new AppError(`No se pudo descargar el calendario: ${reason}`, 422, 'CALENDAR_FETCH_FAILED');
+      }
+
+      if (response.status < 300) {
+        return String(response.data);
+      }
+
+      if (!response.headers.location || redirects >= CALENDAR_IMPORT_CONFIG.maxRedirects) {
+        throw new AppError(
+          `No se pudo descargar el calendario: demasiadas redirecciones (HTTP ${response.status})`,
+          422,
+          'CALENDAR_FETCH_FAILED'
+        );
+      }
+
+      currentUrl = new URL(response.headers.location, currentUrl).toString();
+    }
+  }
+
+  /**
+   * Representación pública de un calendario importado
+   * La URL completa no se expone porque suele contener un token privado
+   * @param {Object} calendar - Subdocumento de calendarImports
+   * @returns {Object}
+   */
+  serializeCalendar(calendar) {
+    let urlHost = null;
+    if (calendar.url) {
+      try {
+        urlHost = new URL(calendar.url.replace(/^webcal:\/\//i, 'https://')).host;
+      } catch (error) {
+        urlHost = null;
+      }
+    }
+
+    return {
+      id: calendar._id,
+      name: calendar.name,
+      sourceType: calendar.sourceType,
+      urlHost,
+      isActive: calendar.isActive,
+      lastSyncedAt: calendar.lastSyncedAt,
+      lastSyncStatus: calendar.lastSyncStatus,
+      lastError: calendar.lastError,
+      blockCount: calendar.blockCount,
+      skippedEvents: calendar.skippedEvents,
+      createdAt: calendar.createdAt
+    };
+  }
+
+  /**
+   * Buscar un calendario importado del profesional
+   * @param {Object} professional - Profesional
+   * @param {string} calendarId - ID del calendario
+   * @returns {Object} Subdocumento de calendarImports
+   */
+  getCalendar(professional, calendarId) {
+    const calendar = professional.calendarImports.id(calendarId);
+
+    if (!calendar) {
+      throw new AppError('Calendario importado no encontrado', 404, 'CALENDAR_NOT_FOUND');
+    }
+
+    return calendar;
+  }
+
+  /**
+   * Reemplazar los bloqueos de un calendario con el contenido dado
+   * @param {Object} professional - Profesional
+   * @param {Object} calendar - Subdocumento de calendarImports
+   * @param {string} content - Contenido .ics
+   * @returns {Promise<Object>} Calendario actualizado
+   */
+  async replaceBlocks(professional, calendar, content) {
+    const { intervals, skipped } = this.parseBusyIntervals(content, {
+      timeZone: AvailabilityService.getTimeZone(professional)
+    });
+
+    await AvailabilityBlock.deleteMany({ professionalId: professional._id, calendarId: calendar._id });
+    if (intervals.length) {
+      await AvailabilityBlock.insertMany(intervals.map(interval => ({
+        professionalId: professional._id,
+        calendarId: calendar._id,
+        ...interval
+      })));
+    }
+
+    calendar.lastSyncedAt = new Date();
+    calendar.lastSyncStatus = 'success';
+    calendar.lastError = undefined;
+    calendar.blockCount = intervals.length;
+    calendar.skippedEvents = skipped;
+    await professional.save();
+
+    logger.info('Calendario externo importado', {
+      professionalId: professional._id,
+      calendarId: calendar._id,
+      blocks: intervals.length,
+      skipped
+    });
+
+    return calendar;
+  }
+
+  /**
+   * Sincronizar un calendario; los errores de descarga o formato quedan
+   * registrados en el calendario y se conservan los bloqueos anteriores
+   * @param {Object} professional - Profesional
+   * @param {Object} calendar - Subdocumento de calendarImports
+   * @param {string} content - Contenido .ics (obligatorio para calendarios de archivo)
+   * @returns {Promise<Object>} Calendario actualizado
+   */
+  async syncCalendar(professional, calendar, content = null) {
+    if (calendar.sourceType === 'file' && !content) {
+      throw new AppError('Debes subir el archivo .ics para actualizar este calendario', 400, 'CALENDAR_FILE_REQUIRED');
+    }
+
+    try {
+      const ics = calendar.sourceType === 'url' && !content
+        ? await this.fetchCalendar(calendar.url)
+        : content;
+
+      return await this.replaceBlocks(professional, calendar, ics);
+    } catch (error) {
+      calendar.lastSyncedAt = new Date();
+      calendar.lastSyncStatus = 'error';
+      calendar.lastError = error.message;
+      await professional.save();
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar un calendario externo e importarlo
+   * @param {Object} professional - Profesional
+   * @param {Object} data - { name, url } o { name, content } para archivos
+   * @returns {Promise<Object>} Calendario creado
+   */
+  async addCalendar(professional, data) {
+    if (professional.calendarImports.length >= CALENDAR_IMPORT_CONFIG.maxCalendars) {
+      throw new AppError(
+        `Solo puedes importar hasta ${CALENDAR_IMPORT_CONFIG.maxCalendars} calendarios`,
+        400,
+        'CALENDAR_LIMIT_REACHED'
+      );
+    }
+
+    professional.calendarImports.push({
+      name: data.name,
+      sourceType: data.url ? 'url' : 'file',
+      url: data.url
+    });
+    const calendar = professional.calendarImports[professional.calendarImports.length - 1];
+
+    // Si la descarga o el formato fallan no se guarda el calendario
+    const content = data.content || await this.fetchCalendar(data.url);
+
+    return this.replaceBlocks(professional, calendar, content);
+  }
+
+  /**
+   * Eliminar un calendario importado y sus bloqueos
+   * @param {Object} professional - Profesional
+   * @param {string} calendarId - ID del calendario
+   */
+  async removeCalendar(professional, calendarId) {
+    const calendar = this.getCalendar(professional, calendarId);
+
+    await AvailabilityBlock.deleteMany({ professionalId: professional._id, calendarId: calendar._id });
+    calendar.deleteOne();
+    await professional.save();
+  }
+
+  /**
+   * Sincronizar los calendarios por URL cuya última sincronización expiró
+   * (tarea programada calendar_import_sync, ver JobScheduler)
+   * @returns {Promise<Object>} { synced, failed }
+   */
+  async syncDueImports() {
+    const threshold = new Date(Date.now() - CALENDAR_IMPORT_CONFIG.syncIntervalMinutes * MINUTE_MS);
+    const professionals = await Professional.find({
+      isActive: true,
+      calendarImports: {
+        $elemMatch: {
+          sourceType: 'url',
+          isActive: true,
+          $or: [{ lastSyncedAt: { $lt: threshold } }, { lastSyncedAt: { $exists: false } }]
+        }
+      }
+    });
+
+    let synced = 0;
+    let failed = 0;
+
+    for (const professional of professionals) {
+      const due = professional.calendarImports.filter(calendar =>
+        calendar.sourceType === 'url' &&
+        calendar.isActive &&
+        (!calendar.lastSyncedAt || calendar.lastSyncedAt < threshold)
+      );
+
+      for (const calendar of due) {
+        try {
+          await this.syncCalendar(professional, calendar);
+          synced += 1;
+        } catch (error) {
+          failed += 1;
+          logger.warn('Error sincronizando calendario externo', {
+            professionalId: professional._id,
+            calendarId: calendar._id,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    return { synced, failed };
+  }
+}
+
+module.exports = new CalendarImportService();
@@ -0,0 +1,491 @@
+/**
+ * Servicio de políticas de cancelación
+ * Calcula el reembolso según la política del profesional o de la categoría
+ * (ServiceCategory.cancellationPolicy),
+ * lo solicita al proveedor de pagos y registra el resultado en el pago y la solicitud
+ */
+
+const Professional = require('../models/Professional');
+const Payment = require('../models/Payment');
+const AvailabilityService = require('./AvailabilityService');
+const ServiceCategoryService = require('./ServiceCategoryService');
+const NotificationService = require('./NotificationService');
+const { paymentService } = require('../utils/payments');
+const logger = require('../utils/logger');
+const {
+  CANCELLATION_POLICIES,
+  NO_SHOW_CONFIG,
+  resolvePolicyKey
+} = require('../config/cancellation-policies');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Antes de que un profesional acepte no hay compromiso de agenda: reembolso total
+const FULL_REFUND_STATUSES = ['pending', 'quoted'];
+
+class CancellationService {
+  /**
+   * Listar las políticas disponibles
+   * @returns {Array<Object>}
+   */
+  listPolicies() {
+    return Object.entries(CANCELLATION_POLICIES).map(([key, policy]) => ({
+      key,
+      label: policy.label,
+      description: policy.description,
+      tiers: policy.tiers
+    }));
+  }
+
+  /**
+   * Cargar el profesional asignado (solo los campos que usa la política)
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {Promise<Object|null>}
+   */
+  async getProfessional(serviceRequest) {
+    if (!serviceRequest.professionalId) return null;
+    return Professional.findById(serviceRequest.professionalId)
+      .select('userId availability.timeZone preferences.cancellationPolicy');
+  }
+
+  /**
+   * Política de la categoría del servicio
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {Promise<string|null>}
+   */
+  async getCategoryPolicy(serviceRequest) {
+    const categories = await ServiceCategoryService.getAll();
+    const category = categories.find(item => !item.parent && item.slug === serviceRequest.service?.category);
+    return category?.cancellationPolicy || null;
+  }
+
+  /**
+   * Horas que faltan para el inicio pactado (negativo si ya pasó)
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object|null} professional - Profesional asignado
+   * @param {Date} now - Instante de referencia
+   * @returns {number|null}
+   */
+  getHoursBeforeStart(serviceRequest, professional, now = new Date()) {
+    const { scheduling } = serviceRequest;
+    if (!scheduling?.preferredDate || !scheduling.preferredTime) return null;
+
+    const timeZone = AvailabilityService.getTimeZone(professional || {});
+    const { start } = AvailabilityService.getRequestInterval({ scheduling }, timeZone);
+
+    return Math.round(((start.getTime() - now.getTime()) / HOUR_MS) * 100) / 100;
+  }
+
+  /**
+   * Calcular el porcentaje de reembolso de una cancelación
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} options - Opciones
+   * @param {Object|null} options.professional - Profesional asignado
+   * @param {string} options.categoryPolicy - Política de la categoría del servicio
+   * @param {string} options.role - Quién cancela (client, professional, admin, system)
+   * @param {string} options.reason - cancellation.reason
+   * @param {string} options.action - Acción de la máquina de estados que canceló
+   * @param {string} options.status - Estado previo a la cancelación
+   * @param {Date} options.now - Instante de referencia
+   * @returns {Object} { policy, hoursBeforeStart, refundPercentage, penaltyAmount, rule }
+   */
+  calculate(serviceRequest, options = {}) {
+    const {
+      professional = null,
+      categoryPolicy = null,
+      role,
+      reason,
+      action,
+      status = serviceRequest.status,
+      now = new Date()
+    } = options;
+    const policyKey = resolvePolicyKey(professional?.preferences?.cancellationPolicy, categoryPolicy);
+    const policy = CANCELLATION_POLICIES[policyKey];
+    const hoursBeforeStart = this.getHoursBeforeStart(serviceRequest, professional, now);
+
+    const result = { policy: policyKey, hoursBeforeStart, refundPercentage: 0, penaltyAmount: 0, rule: 'tier' };
+
+    if (action === NO_SHOW_CONFIG.action) {
+      const serviceValue = this.getServiceValue(serviceRequest);
+      return {
+        ...result,
+        refundPercentage: NO_SHOW_CONFIG.refundPercentage,
+        penaltyAmount: Math.max(
+          NO_SHOW_CONFIG.minPenalty,
+          Math.round(serviceValue * NO_SHOW_CONFIG.penaltyPercentage / 100)
+        ),
+        rule: 'no_show'
+      };
+    }
+
+    if (FULL_REFUND_STATUSES.includes(status)) {
+      return { ...result, refundPercentage: 100, rule: 'status' };
+    }
+
+    if (policy.roleOverrides[role] !== undefined) {
+      return { ...result, refundPercentage: policy.roleOverrides[role], rule: 'role' };
+    }
+
+    if (policy.reasonOverrides[reason] !== undefined) {
+      return { ...result, refundPercentage: policy.reasonOverrides[reason], rule: 'reason' };
+    }
+
+    // Sin fecha pactada se trata como cancelación con máxima anticipación
+    const hours = hoursBeforeStart === null ? Infinity : hoursBeforeStart;
+    const tier = policy.tiers.find(item => hours >= item.minHoursBefore);
+
+    return { ...result, refundPercentage: tier ? tier.refundPercentage : 0 };
+  }
+
+  /**
+   * Valor del servicio usado para calcular penalizaciones
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {number}
+   */
+  getServiceValue(serviceRequest) {
+    const { pricing = {} } = serviceRequest;
+    return pricing.finalCost || pricing.quotedCost || pricing.estimatedCost || 0;
+  }
+
+  /**
+   * Pagos capturados o autorizados que aún pueden reembolsarse
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {Promise<Array>}
+   */
+  getRefundablePayments(serviceRequest) {
+    return Payment.find({
+      serviceRequest: serviceRequest._id,
+      status: { $in: ['processing', 'completed'] },
+      refundStatus: { $in: ['none', 'failed'] }
+    });
+  }
+
+  /**
+   * Verificar si un pago está autorizado y pendiente de captura
+   * @param {Object} payment - Pago
+   * @returns {boolean}
+   */
+  isAuthorization(payment) {
+    return payment.status === 'processing';
+  }
+
+  /**
+   * Vista previa del reembolso antes de cancelar
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} options - { role, reason }
+   * @returns {Promise<Object>}
+   */
+  async preview(serviceRequest, options = {}) {
+    const professional = await this.getProfessional(serviceRequest);
+    const categoryPolicy = await this.getCategoryPolicy(serviceRequest);
+    const calculation = this.calculate(serviceRequest, { ...options, professional, categoryPolicy });
+    const payments = await this.getRefundablePayments(serviceRequest);
+
+    const paidAmount = payments.reduce((sum, payment) => sum + payment.totalAmount, 0);
+
+    return {
+      ...calculation,
+      policyLabel: CANCELLATION_POLICIES[calculation.policy].label,
+      policyDescription: CANCELLATION_POLICIES[calculation.policy].description,
+      paidAmount,
+      refundAmount: this.roundAmount(paidAmount * calculation.refundPercentage / 100)
+    };
+  }
+
+  /**
+   * Redondear montos a dos decimales
+   * @param {number} amount - Monto
+   * @returns {number}
+   */
+  roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Aplicar la política tras una cancelación (efecto de la máquina de estados)
+   * @param {Object} context - Contexto de la transición
+   * @param {Object} context.serviceRequest - Solicitud ya cancelada
+   * @param {string} context.from - Estado previo
+   * @param {string} context.role - Rol de quien canceló
+   * @param {string} context.action - Acción ejecutada (cancel, report_no_show)
+   * @returns {Promise<Object>} Datos de cancelación actualizados
+   */
+  async applyCancellation({ serviceRequest, from, role, action }) {
+    const professional = await this.getProfessional(serviceRequest);
+    const categoryPolicy = await this.getCategoryPolicy(serviceRequest);
+    const { cancellation } = serviceRequest;
+
+    const calculation = this.calculate(serviceRequest, {
+      professional,
+      categoryPolicy,
+      role,
+      reason: cancellation.reason,
+      action,
+      status: from,
+      now: cancellation.cancelledAt || new Date()
+    });
+
+    cancellation.cancelledByRole = role;
+    cancellation.policy = calculation.policy;
+    cancellation.hoursBeforeStart = calculation.hoursBeforeStart;
+    cancellation.refundPercentage = calculation.refundPercentage;
+    cancellation.penaltyAmount = calculation.penaltyAmount;
+
+    await this.processRefunds(serviceRequest);
+
+    if (calculation.penaltyAmount > 0 && professional) {
+      await this.applyNoShowPenalty(serviceRequest, professional, calculation.penaltyAmount);
+    }
+
+    logger.info('Política de cancelación aplicada:', {
+      serviceRequestId: serviceRequest._id,
+      policy: calculation.policy,
+      rule: calculation.rule,
+      refundPercentage: calculation.refundPercentage,
+      refundAmount: cancellation.refundAmount,
+      refundStatus: cancellation.refundStatus
+    });
+
+    return cancellation;
+  }
+
+  /**
+   * Solicitar los reembolsos pendientes según el porcentaje ya calculado
+   * Se reutiliza para reintentar reembolsos fallidos
+   * @param {Object} serviceRequest - Solicitud cancelada
+   * @returns {Promise<Object>} Datos de cancelación actualizados
+   */
+  async processRefunds(serviceRequest) {
+    const { cancellation } = serviceRequest;
+    const payments = await this.getRefundablePayments(serviceRequest);
+    const percentage = cancellation.refundPercentage || 0;
+
+    // Las autorizaciones se liquidan aunque no haya reembolso: se captura lo retenido
+    const refunds = payments
+      .map(payment => ({ payment, amount: this.roundAmount(payment.totalAmount * percentage / 100) }))
+      .filter(refund => refund.amount > 0 || this.isAuthorization(refund.payment));
+
+    if (!refunds.length) {
+      if (!cancellation.refundAmount) {
+        cancellation.refundStatus = 'not_required';
+      }
+      await serviceRequest.save();
+      return cancellation;
+    }
+
+    const reason = `Cancelación (${cancellation.reason || 'other'}) - ` +
+      `política ${cancellation.policy}: ${percentage}%`;
+
+    const authorized = refunds.some(({ payment }) => this.isAuthorization(payment));
+    const outcomes = [];
+    for (const { payment, amount } of refunds) {
+      outcomes.push(await this.refundPayment(payment, amount, reason));
+    }
+
+    const refunded = outcomes.filter(outcome => outcome.status !== 'failed');
+    cancellation.refundAmount = this.roundAmount(
+      (cancellation.refundAmount || 0) + refunded.reduce((sum, outcome) => sum + outcome.amount, 0)
+    );
+
+    const refundStatus = this.getRefundStatus(outcomes);
+    // Autorización capturada por completo (sin reembolso): no hubo nada que devolver
+    cancellation.refundStatus = refundStatus === 'processed' && !cancellation.refundAmount
+      ? 'not_required'
+      : refundStatus;
+    cancellation.refundError = refundStatus === 'failed'
+      ? outcomes.find(outcome => outcome.error).error
+      : undefined;
+
+    if (refundStatus === 'processed') {
+      if (cancellation.refundAmount) {
+        cancellation.refundedAt = new Date();
+      }
+      if (percentage === 100) {
+        serviceRequest.payment.paymentStatus = 'refunded';
+      } else if (authorized) {
+        // Se capturó la parte retenida de la autorización
+        serviceRequest.payment.paymentStatus = 'completed';
+        serviceRequest.payment.paidAt = new Date();
+      }
+    }
+
+    await serviceRequest.save();
+    return cancellation;
+  }
+
+  /**
+   * Estado agregado de varios reembolsos (formato de cancellation.refundStatus)
+   * @param {Array<Object>} outcomes - Resultados de refundPayment
+   * @returns {string} processed, pending o failed
+   */
+  getRefundStatus(outcomes) {
+    if (outcomes.some(outcome => outcome.status === 'failed')) return 'failed';
+    if (outcomes.every(outcome => outcome.status === 'completed')) return 'processed';
+    return 'pending';
+  }
+
+  /**
+   * Reembolsar un pago con su proveedor y actualizar Payment.refundStatus
+   * Los pagos sin reembolso automático quedan pendientes para gestión manual.
+   * También lo usa DisputeService al resolver disputas
+   * @param {Object} payment - Pago completado
+   * @param {number} amount - Monto a reembolsar
+   * @param {string} reason - Motivo registrado en el pago
+   * @returns {Promise<Object>} { status: completed|processing|pending|failed, amount, error }
+   */
+  async refundPayment(payment, amount, reason) {
+    if (this.isAuthorization(payment)) {
+      return this.settleAuthorization(payment, amount, reason);
+    }
+
+    if (payment.paymentMethod?.type === 'cash') {
+      payment.refundStatus = 'pending';
+      payment.refundAmount = amount;
+      payment.refundReason = reason;
+      await payment.save();
+      return { status: 'pending', amount };
+    }
+
+    await payment.processRefund(amount, reason);
+
+    const result = await paymentService.refundPayment({
+      provider: payment.paymentMethod?.provider,
+      providerPaymentId: payment.providerPaymentId,
+      amount,
+      currency: payment.currency
+    });
+
+    if (!result.success) {
+      payment.refundStatus = 'failed';
+      payment.refundProviderResponse = { error: result.error };
+      await payment.save();
+
+      logger.warn('Reembolso automático fallido:', {
+        paymentId: payment._id,
+        serviceRequestId: payment.serviceRequest,
+        error: result.error
+      });
+
+      return { status: 'failed', amount, error: result.error };
+    }
+
+    payment.refundProviderResponse = result.refund;
+    if (result.status === 'completed') {
+      await payment.completeRefund();
+    } else {
+      await payment.save();
+    }
+
+    return { status: result.status, amount };
+  }
+
+  /**
+   * "Reembolsar" un pago aún no capturado: se captura solo lo retenido y el
+   * proveedor libera el resto; si no se retiene nada se anula la autorización
+   * @param {Object} payment - Pago autorizado
+   * @param {number} amount - Monto a devolver al cliente
+   * @param {string} reason - Motivo registrado en el pago
+   * @returns {Promise<Object>} { status: completed|failed, amount, error }
+   */
+  async settleAuthorization(payment, amount, reason) {
+    const retained = this.roundAmount(Math.max(0, payment.totalAmount - amount));
+    const reference = {
+      provider: payment.paymentMethod?.provider,
+      providerPaymentId: payment.providerPaymentId,
+      currency: payment.currency
+    };
+
+    const result = retained > 0
+      ? await paymentService.capturePayment({ ...reference, amount: retained })
+      : await paymentService.voidAuthorization(reference);
+
+    if (!result.success) {
+      // La autorización sigue vigente: se reintenta con el reembolso
+      payment.refundStatus = 'failed';
+      payment.refundProviderResponse = { error: result.error };
+      await payment.save();
+
+      logger.warn('Liquidación de pago autorizado fallida:', {
+        paymentId: payment._id,
+        serviceRequestId: payment.serviceRequest,
+        error: result.error
+      });
+
+      return { status: 'failed', amount, error: result.error };
+    }
+
+    const now = new Date();
+    if (retained > 0) {
+      payment.status = 'completed';
+      payment.completedAt = now;
+      payment.providerPaymentId = result.captureId;
+      payment.providerResponse = result.capture;
+    } else {
+      payment.status = 'cancelled';
+    }
+
+    if (amount > 0) {
+      payment.refundStatus = 'completed';
+      payment.refundAmount = this.roundAmount(payment.totalAmount - retained);
+      payment.refundReason = reason;
+      payment.refundedAt = now;
+    } else {
+      payment.refundStatus = 'none';
+    }
+    await payment.save();
+
+    return { status: 'completed', amount: this.roundAmount(payment.totalAmount - retained) };
+  }
+
+  /**
+   * Registrar la penalización por inasistencia del profesional
+   * @param {Object} serviceRequest - Solicitud cancelada
+   * @param {Object} professional - Profesional asignado
+   * @param {number} penaltyAmount - Monto de la penalización
+   */
+  async applyNoShowPenalty(serviceRequest, professional, penaltyAmount) {
+    await Professional.updateOne(
+      { _id: professional._id },
+      {
+        $inc: {
+          'statistics.noShowCount': 1,
+          'statistics.totalPenalties': penaltyAmount
+        }
+      }
+    );
+
+    try {
+      await NotificationService.sendNotification(
+        professional.userId,
+        'PROFESSIONAL_NO_SHOW_PENALTY',
+        {
+          serviceRequestId: serviceRequest._id,
+          serviceTitle: serviceRequest.service?.title || 'Servicio',
+          penaltyAmount
+        },
+        { metadata: { serviceRequestId: serviceRequest._id } }
+      );
+    } catch (error) {
+      logger.warn('Error notificando penalización por inasistencia:', {
+        serviceRequestId: serviceRequest._id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Verificar si ya puede reportarse la inasistencia del profesional
+   * @param {Object} serviceRequest - Solicitud confirmada
+   * @param {Date} now - Instante de referencia
+   * @returns {Promise<boolean>}
+   */
+  async canReportNoShow(serviceRequest, now = new Date()) {
+    const professional = await this.getProfessional(serviceRequest);
+    const hoursBeforeStart = this.getHoursBeforeStart(serviceRequest, professional, now);
+    if (hoursBeforeStart === null) return false;
+
+    return hoursBeforeStart * 60 <= -NO_SHOW_CONFIG.graceMinutes;
+  }
+}
+
+module.exports = new CancellationService();
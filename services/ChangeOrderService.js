@@ -0,0 +1,375 @@
+/**
+ * Servicio de Órdenes de Cambio
+ * El profesional propone trabajo adicional (ítems con descripción, monto y fotos)
+ * mientras el servicio está en progreso; el cliente aprueba o rechaza cada ítem desde
+ * la app o desde el chat. Los ítems aprobados pasan a los costos adicionales, ajustan
+ * el costo final y aumentan la autorización del pago pendiente de captura (o se
+ * cobran aparte si el pago ya se capturó)
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Chat = require('../models/Chat');
+const ChatService = require('./ChatService');
+const ServiceRequestStateMachine = require('./ServiceRequestStateMachine');
+const { paymentService } = require('../utils/payments');
+const { storageService } = require('../utils/storage');
+const { AppError } = require('../utils/errors');
+const { notifyServiceRequestUser } = require('../utils/service-requests');
+const logger = require('../utils/logger');
+
+const CHANGE_ORDER_FORBIDDEN = 'No tienes permisos para las órdenes de cambio de este servicio';
+
+class ChangeOrderService {
+  /**
+   * Verificar que el servicio admita cambios: en progreso y sin acta de finalización
+   * @param {Object} serviceRequest - Solicitud de servicio
+   */
+  assertOpenForChanges(serviceRequest) {
+    if (serviceRequest.status !== 'in_progress' || serviceRequest.completion?.signOff?.status) {
+      throw new AppError(
+        'Las órdenes de cambio solo aplican a servicios en progreso sin acta de finalización',
+        409,
+        'CHANGE_ORDER_NOT_ALLOWED'
+      );
+    }
+  }
+
+  /**
+   * Subir las fotos de los ítems (campos photos_<índice del ítem>)
+   * @param {Object} files - Archivos de multer por campo
+   * @returns {Promise<Object>} { índice: [{ url }] }
+   */
+  async uploadPhotos(files = {}) {
+    const list = Object.values(files).flat();
+    if (!list.length) return {};
+
+    const upload = await storageService.uploadMultipleFiles(list, { folder: 'proserv/change-orders' });
+    if (!upload.success || upload.errors.length) {
+      throw new AppError('No se pudieron subir las fotos de la orden de cambio', 502, 'CHANGE_ORDER_UPLOAD_FAILED', {
+        errors: upload.errors.map(error => ({ file: error.originalname, error: error.error }))
+      });
+    }
+
+    return upload.results.reduce((photos, file) => {
+      const index = file.fieldname.split('_')[1];
+      (photos[index] = photos[index] || []).push({ url: file.secureUrl || file.url });
+      return photos;
+    }, {});
+  }
+
+  /**
+   * Proponer una orden de cambio (profesional)
+   * @param {Object} serviceRequest - Solicitud en progreso
+   * @param {Object} user - Profesional asignado
+   * @param {Object} data - { items: [{ description, amount }], notes }
+   * @param {Object} files - Fotos por ítem (photos_0, photos_1, ...)
+   * @returns {Promise<Object>} Orden de cambio creada
+   */
+  async propose(serviceRequest, user, data, files = {}) {
+    await ServiceRequestStateMachine.assertActorRole(serviceRequest, user, ['professional'], CHANGE_ORDER_FORBIDDEN);
+    this.assertOpenForChanges(serviceRequest);
+
+    const photos = await this.uploadPhotos(files);
+    if (Object.keys(photos).some(index => !data.items[index])) {
+      throw new AppError('Hay fotos para ítems que no existen en la orden', 400, 'INVALID_CHANGE_ORDER');
+    }
+
+    serviceRequest.changeOrders.push({
+      proposedBy: user._id,
+      notes: data.notes,
+      items: data.items.map((item, index) => ({ ...item, photos: photos[index] || [] }))
+    });
+    await serviceRequest.save();
+
+    const order = serviceRequest.changeOrders[serviceRequest.changeOrders.length - 1];
+    const total = order.items.reduce((sum, item) => sum + item.amount, 0);
+
+    await this.announce(serviceRequest, order,
+      `El profesional propone trabajo adicional: ` +
+      order.items.map(item => `${item.description} ($${item.amount})`).join(', ') +
+      `. Apruébalo o recházalo ítem por ítem`,
+      'change_order_proposed'
+    );
+
+    await notifyServiceRequestUser(serviceRequest.clientId, serviceRequest, 'CHANGE_ORDER_PROPOSED', {
+      itemCount: order.items.length,
+      total
+    }, { changeOrderId: order._id });
+
+    return order;
+  }
+
+  /**
+   * Aprobar o rechazar ítems de una orden de cambio (cliente)
+   * @param {Object} serviceRequest - Solicitud en progreso
+   * @param {Object} user - Cliente
+   * @param {string} changeOrderId - ID de la orden
+   * @param {Array<Object>} decisions - [{ itemId, decision: approve|reject, reason }]
+   * @returns {Promise<Object>} Orden de cambio actualizada
+   */
+  async decide(serviceRequest, user, changeOrderId, decisions) {
+    await ServiceRequestStateMachine.assertActorRole(serviceRequest, user, ['client'], CHANGE_ORDER_FORBIDDEN);
+    this.assertOpenForChanges(serviceRequest);
+
+    const order = serviceRequest.changeOrders.id(changeOrderId);
+    if (!order) {
+      throw new AppError('Orden de cambio no encontrada', 404, 'CHANGE_ORDER_NOT_FOUND');
+    }
+
+    const now = new Date();
+    const approved = [];
+
+    for (const { itemId, decision, reason } of decisions) {
+      const item = order.items.id(itemId);
+      if (!item) {
+        throw new AppError('El ítem no pertenece a la orden de cambio', 400, 'INVALID_CHANGE_ORDER', { itemId });
+      }
+      if (item.status !== 'pending') {
+        throw new AppError('El ítem ya fue aprobado o rechazado', 409, 'CHANGE_ORDER_ITEM_DECIDED', { itemId });
+      }
+
+      item.status = decision === 'approve' ? 'approved' : 'rejected';
+      item.decidedBy = user._id;
+      item.decidedAt = now;
+      item.reason = reason;
+
+      if (item.status === 'approved') {
+        approved.push(item);
+        serviceRequest.pricing.breakdown.additionalCosts.push({
+          description: item.description,
+          amount: item.amount,
+          changeOrderItemId: item._id
+        });
+      }
+    }
+
+    // Guarda la solicitud con el nuevo costo final
+    await serviceRequest.calculateFinalCost();
+
+    const approvedTotal = approved.reduce((sum, item) => sum + item.amount, 0);
+    if (approvedTotal > 0) {
+      order.authorization = await this.increaseAuthorization(serviceRequest, approvedTotal);
+      await serviceRequest.save();
+    }
+
+    const rejectedCount = decisions.length - approved.length;
+    await this.announce(serviceRequest, order,
+      `El cliente aprobó ${approved.length} y rechazó ${rejectedCount} ítem(s) de la orden de cambio. ` +
+      `Nuevo total: $${serviceRequest.pricing.finalCost}`,
+      'change_order_decided'
+    );
+
+    const professionalUserId = await this.getProfessionalUserId(serviceRequest);
+    await notifyServiceRequestUser(professionalUserId, serviceRequest, 'CHANGE_ORDER_DECIDED', {
+      approvedCount: approved.length,
+      rejectedCount,
+      finalCost: serviceRequest.pricing.finalCost
+    }, { changeOrderId: order._id });
+
+    return order;
+  }
+
+  /**
+   * Aumentar la autorización del pago pendiente de captura por lo aprobado; si el
+   * pago ya se capturó (reserva inmediata) se cobra la diferencia aparte.
+   * CompletionService también la usa cuando los ajustes del acta superan lo autorizado
+   * @param {Object} serviceRequest - Solicitud
+   * @param {number} amount - Monto adicional
+   * @returns {Promise<Object>} { status: increased|charged|not_required|failed, amount, error, attemptedAt }
+   */
+  async increaseAuthorization(serviceRequest, amount) {
+    const result = { amount, attemptedAt: new Date() };
+
+    // En efectivo el cliente paga el total al profesional
+    if (serviceRequest.pricing.paymentMethod === 'cash') {
+      return { ...result, status: 'not_required' };
+    }
+
+    const payment = await Payment.findOne({ serviceRequest: serviceRequest._id, status: 'processing' });
+    if (!payment) {
+      return this.chargeDifference(serviceRequest, amount, result);
+    }
+
+    const totalAmount = payment.totalAmount + amount;
+    const authorization = await paymentService.increaseAuthorization({
+      provider: payment.paymentMethod?.provider,
+      providerPaymentId: payment.providerPaymentId,
+      amount: totalAmount,
+      currency: payment.currency
+    });
+
+    if (!authorization.success) {
+      logger.warn('Error aumentando la autorización del pago:', {
+        paymentId: payment._id,
+        serviceRequestId: serviceRequest._id,
+        error: authorization.error
+      });
+      return { ...result, status: 'failed', error: authorization.error };
+    }
+
+    payment.amount += amount;
+    payment.totalAmount = totalAmount;
+    payment.providerPaymentId = authorization.authorizationId;
+    await payment.save();
+
+    return { ...result, status: 'increased' };
+  }
+
+  /**
+   * Cobrar lo aprobado como un pago aparte con el método de pago del cobro original
+   * @param {Object} serviceRequest - Solicitud
+   * @param {number} amount - Monto aprobado
+   * @param {Object} result - { amount, attemptedAt }
+   * @returns {Promise<Object>} { status: charged|failed, ... }
+   */
+  async chargeDifference(serviceRequest, amount, result) {
+    const original = await Payment.findOne({
+      serviceRequest: serviceRequest._id,
+      status: 'completed',
+      'metadata.paymentMethodId': { $exists: true }
+    }).sort({ createdAt: -1 });
+
+    if (!original) {
+      logger.warn('Orden de cambio aprobada sin pago que incrementar o método con el cual cobrar:', {
+        serviceRequestId: serviceRequest._id,
+        amount
+      });
+      return { ...result, status: 'failed', error: 'No hay un pago autorizado ni un método de pago para cobrar la diferencia' };
+    }
+
+    const description = `Orden de cambio: ${serviceRequest.service?.title || 'Servicio'}`;
+    const charge = await paymentService.chargePayment({
+      amount,
+      currency: original.currency,
+      paymentMethodId: original.metadata.paymentMethodId,
+      description,
+      metadata: {
+        serviceRequestId: serviceRequest._id.toString(),
+        clientId: original.client.toString(),
+        type: 'change_order'
+      }
+    });
+
+    if (!charge.success) {
+      logger.warn('Error cobrando la orden de cambio:', {
+        serviceRequestId: serviceRequest._id,
+        error: charge.error
+      });
+      return { ...result, status: 'failed', error: charge.error };
+    }
+
+    const paidAt = new Date();
+    const payment = new Payment({
+      paymentId: Payment.generatePaymentId(),
+      serviceRequest: serviceRequest._id,
+      client: original.client,
+      professional: original.professional,
+      amount,
+      platformFee: 0,
+      totalAmount: amount,
+      currency: original.currency,
+      status: 'completed',
+      paymentMethod: { type: 'card', provider: charge.provider },
+      providerPaymentId: charge.providerPaymentId,
+      providerResponse: charge.payment,
+      processedAt: paidAt,
+      completedAt: paidAt,
+      description,
+      metadata: { changeOrder: true, paymentMethodId: original.metadata.paymentMethodId }
+    });
+
+    try {
+      await payment.save();
+    } catch (error) {
+      // Sin registro del pago no habría cómo reembolsarlo después: se devuelve ya
+      await paymentService.refundPayment({
+        provider: charge.provider,
+        providerPaymentId: charge.providerPaymentId,
+        amount,
+        currency: original.currency
+      });
+      logger.error('Error registrando el cobro de una orden de cambio:', {
+        serviceRequestId: serviceRequest._id,
+        providerPaymentId: charge.providerPaymentId,
+        error: error.message
+      });
+      return { ...result, status: 'failed', error: 'No se pudo registrar el cobro' };
+    }
+
+    return { ...result, status: 'charged' };
+  }
+
+  /**
+   * Órdenes de cambio de la solicitud con sus totales
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {Object}
+   */
+  getSummary(serviceRequest) {
+    const items = serviceRequest.changeOrders.flatMap(order => order.items);
+    const totalBy = (status) => items
+      .filter(item => item.status === status)
+      .reduce((sum, item) => sum + item.amount, 0);
+
+    return {
+      serviceRequestId: serviceRequest._id,
+      changeOrders: serviceRequest.changeOrders,
+      totals: {
+        pending: totalBy('pending'),
+        approved: totalBy('approved'),
+        rejected: totalBy('rejected')
+      },
+      finalCost: serviceRequest.pricing.finalCost
+    };
+  }
+
+  /**
+   * ID de usuario del profesional asignado
+   * @param {Object} serviceRequest - Solicitud
+   * @returns {Promise<Object|null>}
+   */
+  async getProfessionalUserId(serviceRequest) {
+    const Professional = mongoose.model('Professional');
+    const professional = await Professional.findById(serviceRequest.professionalId).select('userId');
+    return professional ? professional.userId : null;
+  }
+
+  /**
+   * Publicar la orden en el chat del servicio; el cliente puede responder con
+   * el evento de socket change_order_decision
+   * @param {Object} serviceRequest - Solicitud
+   * @param {Object} order - Orden de cambio
+   * @param {string} description - Texto del mensaje
+   * @param {string} event - Evento para los metadatos
+   */
+  async announce(serviceRequest, order, description, event) {
+    if (!ChatService.isAvailable()) return;
+
+    try {
+      const chat = await Chat.findOne({ serviceRequest: serviceRequest._id }).select('_id');
+      if (!chat) return;
+
+      await ChatService.sendSystemMessage(chat._id.toString(), description, {
+        extra: {
+          serviceRequestId: serviceRequest._id,
+          changeOrderId: order._id,
+          items: order.items.map(item => ({
+            itemId: item._id,
+            description: item.description,
+            amount: item.amount,
+            status: item.status
+          })),
+          event
+        }
+      });
+    } catch (error) {
+      logger.warn('Error publicando orden de cambio en el chat', {
+        serviceRequestId: serviceRequest._id,
+        changeOrderId: order._id,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ChangeOrderService();
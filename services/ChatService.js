@@ -9,6 +9,8 @@ const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { schemas, validateData } = require('../utils/validation');
+const { loadServiceRequest } = require('../utils/service-requests');
 const NotificationService = require('./NotificationService');
 
 class ChatService {
@@ -35,29 +37,7 @@ class ChatService {
     });
 
     // Middleware de autenticación
-    this.io.use(async (socket, next) => {
-      try {
-        const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
-        
-        if (!token) {
-          return next(new Error('No token provided'));
-        }
-
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('_id firstName lastName avatar role isActive');
-        
-        if (!user || !user.isActive) {
-          return next(new Error('User not found or inactive'));
-        }
-
-        socket.userId = user._id.toString();
-        socket.user = user;
-        next();
-      } catch (error) {
-        logger.error('Socket authentication error:', error);
-        next(new Error('Authentication failed'));
-      }
-    });
+    this.io.use((socket, next) => this.authenticateSocket(socket, next));
 
     // Manejar conexiones
     this.io.on('connection', (socket) => {
@@ -67,6 +47,33 @@ class ChatService {
     logger.info('Chat service initialized with Socket.IO');
   }
 
+  /**
+   * Middleware de autenticación por JWT para sockets (también lo usan otros namespaces)
+   */
+  async authenticateSocket(socket, next) {
+    try {
+      const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
+      
+      if (!token) {
+        return next(new Error('No token provided'));
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id).select('_id firstName lastName avatar role isActive');
+      
+      if (!user || !user.isActive) {
+        return next(new Error('User not found or inactive'));
+      }
+
+      socket.userId = user._id.toString();
+      socket.user = user;
+      next();
+    } catch (error) {
+      logger.error('Socket authentication error:', error);
+      next(new Error('Authentication failed'));
+    }
+  }
+
   /**
    * Manejar nueva conexión de socket
    */
@@ -110,6 +117,7 @@ class ChatService {
     socket.on('get_chat_history', (data) => this.handleGetChatHistory(socket, data));
     socket.on('search_messages', (data) => this.handleSearchMessages(socket, data));
     socket.on('get_online_users', () => this.handleGetOnlineUsers(socket));
+    socket.on('change_order_decision', (data) => this.handleChangeOrderDecision(socket, data));
     
     // Manejar desconexión
     socket.on('disconnect', () => this.handleDisconnection(socket));
@@ -423,6 +431,42 @@ class ChatService {
     }
   }
 
+  /**
+   * Manejar la decisión del cliente sobre una orden de cambio publicada en el chat
+   */
+  async handleChangeOrderDecision(socket, data) {
+    try {
+      const { isValid, errors, data: payload } = validateData(data, schemas.chatChangeOrderDecision);
+      if (!isValid) {
+        socket.emit('error', { message: 'Decisión de orden de cambio inválida', errors });
+        return;
+      }
+
+      // Carga diferida para evitar dependencia circular (ChangeOrderService usa ChatService)
+      const ChangeOrderService = require('./ChangeOrderService');
+
+      const serviceRequest = await loadServiceRequest(payload.serviceRequestId);
+      const changeOrder = await ChangeOrderService.decide(
+        serviceRequest,
+        socket.user,
+        payload.changeOrderId,
+        payload.decisions
+      );
+
+      socket.emit('change_order_decided', {
+        serviceRequestId: serviceRequest._id,
+        changeOrder,
+        finalCost: serviceRequest.pricing.finalCost
+      });
+    } catch (error) {
+      logger.error('Error deciding change order:', error);
+      socket.emit('error', {
+        message: error.isOperational ? error.message : 'Error al procesar la orden de cambio',
+        code: error.code
+      });
+    }
+  }
+
   /**
    * Manejar agregar reacción
    */
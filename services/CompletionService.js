@@ -0,0 +1,453 @@
+/**
+ * Servicio de Cierre de Servicios
+ * El profesional envía el acta de finalización (resumen, fotos de antes y después,
+ * materiales y ajustes de costo) y el cliente la confirma o la impugna dentro del
+ * plazo; sin respuesta se confirma sola. Confirmar completa el servicio, calcula el
+ * costo final y captura el pago; impugnar abre una disputa
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Payment = require('../models/Payment');
+const Chat = require('../models/Chat');
+const ChatService = require('./ChatService');
+const NotificationService = require('./NotificationService');
+const DisputeService = require('./DisputeService');
+const ChangeOrderService = require('./ChangeOrderService');
+const ServiceRequestStateMachine = require('./ServiceRequestStateMachine');
+const { paymentService } = require('../utils/payments');
+const { storageService } = require('../utils/storage');
+const { AppError } = require('../utils/errors');
+const { notifyServiceRequestUser } = require('../utils/service-requests');
+const logger = require('../utils/logger');
+const { COMPLETION_CONFIG } = require('../config/completion');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class CompletionService {
+  /**
+   * Verificar que el acta esté enviada y pendiente de respuesta del cliente
+   * @param {Object} serviceRequest - Solicitud de servicio
+   */
+  assertAwaitingClient(serviceRequest) {
+    if (serviceRequest.status !== 'in_progress' || serviceRequest.completion?.signOff?.status !== 'submitted') {
+      throw new AppError('El servicio no tiene un acta de finalización pendiente', 409, 'COMPLETION_NOT_PENDING');
+    }
+  }
+
+  /**
+   * Subir fotos o firma y devolverlas agrupadas por campo
+   * @param {Array} files - Archivos de multer
+   * @returns {Promise<Object>} { campo: [{ url }] }
+   */
+  async uploadFiles(files) {
+    if (!files.length) return {};
+
+    const upload = await storageService.uploadMultipleFiles(files, { folder: 'proserv/completions' });
+    if (!upload.success || upload.errors.length) {
+      throw new AppError('No se pudieron subir los archivos del acta', 502, 'COMPLETION_UPLOAD_FAILED', {
+        errors: upload.errors.map(error => ({ file: error.originalname, error: error.error }))
+      });
+    }
+
+    return upload.results.reduce((groups, file) => {
+      (groups[file.fieldname] = groups[file.fieldname] || []).push({ url: file.secureUrl || file.url });
+      return groups;
+    }, {});
+  }
+
+  /**
+   * Resumen del acta y del costo resultante
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {Object}
+   */
+  getSummary(serviceRequest) {
+    const pricing = serviceRequest.pricing || {};
+    const adjustments = pricing.breakdown?.additionalCosts || [];
+    const baseCost = pricing.quotedCost || pricing.estimatedCost || 0;
+
+    return {
+      serviceRequestId: serviceRequest._id,
+      status: serviceRequest.status,
+      completion: serviceRequest.completion,
+      warrantyExpiresAt: serviceRequest.getWarrantyExpiry(),
+      pricing: {
+        baseCost,
+        materialsCost: pricing.breakdown?.materialsCost || 0,
+        adjustments,
+        // Mismo cálculo que calculateFinalCost mientras no se confirme (las órdenes de
+        // cambio ya fijan un costo final que los ajustes del acta pueden modificar)
+        finalCost: serviceRequest.status === 'completed'
+          ? pricing.finalCost
+          : baseCost + adjustments.reduce((sum, cost) => sum + cost.amount, 0)
+      }
+    };
+  }
+
+  /**
+   * Enviar (o reemplazar, mientras el cliente no responda) el acta de finalización
+   * Los materiales quedan como registro; lo que se cobre por encima de la cotización
+   * va en los ajustes
+   * @param {Object} serviceRequest - Solicitud en progreso
+   * @param {Object} user - Profesional asignado
+   * @param {Object} data - { workSummary, materialsUsed, adjustments, warrantyDays, warrantyTerms }
+   * @param {Object} files - Archivos de multer por campo (beforeImages, afterImages)
+   * @returns {Promise<Object>} Resumen del acta
+   */
+  async submit(serviceRequest, user, data, files = {}) {
+    await ServiceRequestStateMachine.assertActorRole(serviceRequest, user, ['professional']);
+
+    const signOffStatus = serviceRequest.completion?.signOff?.status;
+    if (serviceRequest.status !== 'in_progress' || (signOffStatus && signOffStatus !== 'submitted')) {
+      throw new AppError('Solo se puede enviar el acta de un servicio en progreso', 409, 'COMPLETION_NOT_ALLOWED');
+    }
+
+    if (serviceRequest.getPendingChangeOrderItems().length) {
+      throw new AppError('Hay órdenes de cambio pendientes de decisión del cliente', 409, 'CHANGE_ORDERS_PENDING');
+    }
+
+    // Los costos de órdenes de cambio aprobadas se conservan; los ajustes reemplazan al resto
+    const changeOrderCosts = serviceRequest.pricing.breakdown.additionalCosts.filter(cost => cost.changeOrderItemId);
+    const adjustments = [...changeOrderCosts, ...(data.adjustments || [])];
+    const baseCost = serviceRequest.pricing.quotedCost || serviceRequest.pricing.estimatedCost || 0;
+    if (baseCost + adjustments.reduce((sum, cost) => sum + cost.amount, 0) < 0) {
+      throw new AppError('Los descuentos no pueden superar el costo del servicio', 400, 'INVALID_ADJUSTMENTS');
+    }
+
+    const photos = await this.uploadFiles([...(files.beforeImages || []), ...(files.afterImages || [])]);
+    const now = new Date();
+    const completion = serviceRequest.completion;
+
+    completion.workSummary = data.workSummary;
+    if (photos.beforeImages) completion.beforeImages = photos.beforeImages;
+    if (photos.afterImages) completion.afterImages = photos.afterImages;
+
+    if (data.materialsUsed) {
+      completion.materialsUsed = data.materialsUsed;
+      serviceRequest.pricing.breakdown.materialsCost = data.materialsUsed.reduce((sum, item) => sum + item.cost, 0);
+    }
+
+    serviceRequest.pricing.breakdown.additionalCosts = adjustments;
+
+    if (data.warrantyDays !== undefined) {
+      completion.warranty = { duration: data.warrantyDays, terms: data.warrantyTerms, isActive: data.warrantyDays > 0 };
+    }
+
+    completion.signOff = {
+      status: 'submitted',
+      submittedAt: now,
+      submittedBy: user._id,
+      confirmDeadline: new Date(now.getTime() + COMPLETION_CONFIG.confirmationWindowHours * HOUR_MS)
+    };
+
+    await serviceRequest.save();
+
+    const summary = this.getSummary(serviceRequest);
+
+    await this.announce(serviceRequest,
+      `El profesional envió el acta de finalización. El cliente tiene ` +
+      `${COMPLETION_CONFIG.confirmationWindowHours} horas para confirmarla o impugnarla`,
+      'completion_submitted'
+    );
+
+    await notifyServiceRequestUser(serviceRequest.clientId, serviceRequest, 'COMPLETION_SUBMITTED', {
+      finalCost: summary.pricing.finalCost,
+      confirmationWindowHours: COMPLETION_CONFIG.confirmationWindowHours
+    });
+
+    return summary;
+  }
+
+  /**
+   * Confirmar el acta: completa el servicio, calcula el costo final y captura el pago
+   * @param {Object} serviceRequest - Solicitud con acta enviada
+   * @param {Object|null} user - Cliente (null en la confirmación automática)
+   * @param {Array} files - Firma del cliente (campo 'signature')
+   * @param {Object} options - { auto }
+   * @returns {Promise<Object>} Resumen del acta
+   */
+  async confirm(serviceRequest, user, files = [], { auto = false } = {}) {
+    if (!auto) {
+      await ServiceRequestStateMachine.assertActorRole(serviceRequest, user, ['client']);
+    }
+    this.assertAwaitingClient(serviceRequest);
+
+    const uploads = await this.uploadFiles(files);
+    const now = new Date();
+    const confirmation = {
+      status: auto ? 'auto_confirmed' : 'confirmed',
+      confirmedAt: now,
+      confirmedBy: user ? user._id : undefined
+    };
+
+    // Reclamar el acta de forma atómica: el cliente y la tarea programada pueden coincidir
+    const claimed = await ServiceRequest.updateOne(
+      { _id: serviceRequest._id, status: 'in_progress', 'completion.signOff.status': 'submitted' },
+      {
+        $set: {
+          'completion.signOff.status': confirmation.status,
+          'completion.signOff.confirmedAt': confirmation.confirmedAt,
+          'completion.signOff.confirmedBy': confirmation.confirmedBy
+        }
+      }
+    );
+    if (!claimed.modifiedCount) {
+      throw new AppError('El acta de finalización ya fue respondida', 409, 'COMPLETION_ALREADY_RESOLVED');
+    }
+
+    Object.assign(serviceRequest.completion.signOff, confirmation);
+    if (uploads.signature) {
+      serviceRequest.completion.clientSignature = { url: uploads.signature[0].url, timestamp: now };
+    }
+
+    try {
+      await serviceRequest.calculateFinalCost();
+
+      await ServiceRequestStateMachine.transition(serviceRequest, 'complete', {
+        user,
+        role: 'system',
+        reason: auto ? 'completion_auto_confirmed' : 'completion_confirmed'
+      });
+    } catch (error) {
+      // Sin completar el servicio el acta vuelve a quedar pendiente para poder reintentarla
+      await ServiceRequest.updateOne(
+        { _id: serviceRequest._id, status: 'in_progress' },
+        {
+          $set: { 'completion.signOff.status': 'submitted' },
+          $unset: { 'completion.signOff.confirmedAt': '', 'completion.signOff.confirmedBy': '' }
+        }
+      );
+      Object.assign(serviceRequest.completion.signOff, {
+        status: 'submitted',
+        confirmedAt: undefined,
+        confirmedBy: undefined
+      });
+      throw error;
+    }
+
+    await this.capturePayment(serviceRequest);
+
+    return this.getSummary(serviceRequest);
+  }
+
+  /**
+   * Impugnar el acta dentro del plazo: abre una disputa en lugar de completar
+   * @param {Object} serviceRequest - Solicitud con acta enviada
+   * @param {Object} user - Cliente
+   * @param {Object} data - { category, description, messageIds, invoiceId, evidenceDescription }
+   * @param {Array} files - Archivos de evidencia
+   * @returns {Promise<Object>} Disputa abierta
+   */
+  async contest(serviceRequest, user, data, files = []) {
+    await ServiceRequestStateMachine.assertActorRole(serviceRequest, user, ['client']);
+    this.assertAwaitingClient(serviceRequest);
+
+    if (serviceRequest.completion.signOff.confirmDeadline <= new Date()) {
+      throw new AppError('Venció el plazo para impugnar el acta de finalización', 409, 'COMPLETION_WINDOW_EXPIRED');
+    }
+
+    const claimed = await ServiceRequest.updateOne(
+      { _id: serviceRequest._id, status: 'in_progress', 'completion.signOff.status': 'submitted' },
+      { $set: { 'completion.signOff.status': 'contested', 'completion.signOff.contestedAt': new Date() } }
+    );
+    if (!claimed.modifiedCount) {
+      throw new AppError('El acta de finalización ya fue respondida', 409, 'COMPLETION_ALREADY_RESOLVED');
+    }
+
+    let dispute;
+    try {
+      dispute = await DisputeService.open(serviceRequest, user, data, files);
+    } catch (error) {
+      // Sin disputa el acta vuelve a quedar pendiente
+      await ServiceRequest.updateOne(
+        { _id: serviceRequest._id },
+        { $set: { 'completion.signOff.status': 'submitted' }, $unset: { 'completion.signOff.contestedAt': '' } }
+      );
+      throw error;
+    }
+
+    await ServiceRequest.updateOne(
+      { _id: serviceRequest._id },
+      { $set: { 'completion.signOff.disputeId': dispute._id } }
+    );
+
+    return dispute;
+  }
+
+  /**
+   * Capturar los pagos autorizados hasta el costo final y registrar el resultado.
+   * Si los ajustes del acta llevan el costo final por encima de lo autorizado se
+   * amplía la autorización antes de capturar
+   * @param {Object} serviceRequest - Solicitud completada
+   * @returns {Promise<Object>} { status: captured|partial|not_required|failed, amount, pendingAmount, error }
+   */
+  async capturePayment(serviceRequest) {
+    // Efectivo o pago capturado antes de iniciar: no hay autorizaciones pendientes
+    const query = { serviceRequest: serviceRequest._id, status: 'processing' };
+    let payments = await Payment.find(query);
+    const result = { status: 'not_required', amount: 0 };
+    let remaining = serviceRequest.pricing.finalCost || 0;
+
+    const authorized = payments.reduce((sum, payment) => sum + payment.totalAmount, 0);
+    let increaseError;
+    if (payments.length && remaining > authorized) {
+      const increase = await ChangeOrderService.increaseAuthorization(serviceRequest, remaining - authorized);
+      if (increase.status === 'increased') {
+        payments = await Payment.find(query);
+      } else {
+        increaseError = increase.error;
+      }
+    }
+
+    for (const payment of payments) {
+      if (remaining <= 0) break;
+      const amount = Math.min(payment.totalAmount, remaining);
+
+      const capture = await paymentService.capturePayment({
+        provider: payment.paymentMethod?.provider,
+        providerPaymentId: payment.providerPaymentId,
+        amount,
+        currency: payment.currency
+      });
+
+      if (!capture.success) {
+        // La autorización sigue vigente: un administrador puede reintentar
+        result.status = 'failed';
+        result.error = capture.error;
+        logger.warn('Captura de pago fallida al completar el servicio:', {
+          paymentId: payment._id,
+          serviceRequestId: serviceRequest._id,
+          error: capture.error
+        });
+        break;
+      }
+
+      payment.providerPaymentId = capture.captureId;
+      payment.providerResponse = capture.capture;
+      await payment.markAsCompleted();
+
+      remaining -= amount;
+      result.amount += amount;
+      result.status = 'captured';
+    }
+
+    // Lo capturado no cubre el costo final: la diferencia queda para gestión manual
+    if (result.status === 'captured' && remaining > 0) {
+      result.status = 'partial';
+      result.pendingAmount = remaining;
+      result.error = increaseError || 'El costo final supera el monto autorizado';
+    }
+
+    const $set = {
+      'completion.signOff.paymentCapture': { ...result, attemptedAt: new Date() }
+    };
+    if (result.status === 'captured') {
+      $set['payment.paymentStatus'] = 'completed';
+      $set['payment.paidAt'] = new Date();
+    }
+
+    await ServiceRequest.updateOne({ _id: serviceRequest._id }, { $set });
+    serviceRequest.completion.signOff.paymentCapture = $set['completion.signOff.paymentCapture'];
+
+    if (['failed', 'partial'].includes(result.status)) {
+      await this.notifyAdmins(serviceRequest, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Reintentar la captura de un servicio completado cuya captura falló (admin)
+   * @param {Object} serviceRequest - Solicitud completada
+   * @returns {Promise<Object>} Resultado de la captura
+   */
+  async retryCapture(serviceRequest) {
+    if (serviceRequest.status !== 'completed' ||
+        serviceRequest.completion?.signOff?.paymentCapture?.status !== 'failed') {
+      throw new AppError('El servicio no tiene una captura de pago fallida', 409, 'CAPTURE_NOT_RETRYABLE');
+    }
+
+    return this.capturePayment(serviceRequest);
+  }
+
+  /**
+   * Confirmar las actas cuyo plazo venció sin respuesta (para ejecución programada)
+   * @param {Date} now - Instante de referencia
+   * @returns {Promise<Object>} { confirmed, failed }
+   */
+  async autoConfirmDue(now = new Date()) {
+    const serviceRequests = await ServiceRequest.find({
+      status: 'in_progress',
+      'completion.signOff.status': 'submitted',
+      'completion.signOff.confirmDeadline': { $lte: now }
+    });
+
+    const summary = { confirmed: 0, failed: 0 };
+
+    for (const serviceRequest of serviceRequests) {
+      try {
+        await this.confirm(serviceRequest, null, [], { auto: true });
+        summary.confirmed += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.warn('Error confirmando acta de finalización:', {
+          serviceRequestId: serviceRequest._id,
+          error: error.message
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Publicar un evento del acta en el chat del servicio
+   * @param {Object} serviceRequest - Solicitud
+   * @param {string} description - Texto del mensaje
+   * @param {string} event - Evento para los metadatos
+   */
+  async announce(serviceRequest, description, event) {
+    if (!ChatService.isAvailable()) return;
+
+    try {
+      const chat = await Chat.findOne({ serviceRequest: serviceRequest._id }).select('_id');
+      if (!chat) return;
+
+      await ChatService.sendSystemMessage(chat._id.toString(), description, {
+        extra: { serviceRequestId: serviceRequest._id, event }
+      });
+    } catch (error) {
+      logger.warn('Error publicando acta de finalización en el chat', {
+        serviceRequestId: serviceRequest._id,
+        event,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Avisar a los administradores de una captura fallida o parcial
+   * @param {Object} serviceRequest - Solicitud completada
+   * @param {Object} result - Resultado de capturePayment
+   */
+  async notifyAdmins(serviceRequest, result) {
+    const templateKey = result.status === 'partial' ? 'COMPLETION_CAPTURE_PARTIAL' : 'COMPLETION_CAPTURE_FAILED';
+
+    try {
+      await NotificationService.sendNotificationToRole('admin', templateKey, {
+        serviceRequestId: serviceRequest._id,
+        serviceTitle: serviceRequest.service?.title || 'Servicio',
+        pendingAmount: result.pendingAmount,
+        error: result.error
+      }, {
+        metadata: { serviceRequestId: serviceRequest._id }
+      });
+    } catch (notifyError) {
+      logger.warn('Error notificando resultado de la captura', {
+        serviceRequestId: serviceRequest._id,
+        error: notifyError.message
+      });
+    }
+  }
+}
+
+module.exports = new CompletionService();
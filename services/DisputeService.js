@@ -0,0 +1,659 @@
+/**
+ * Servicio de Disputas
+ * Una de las partes abre la disputa con evidencia, la contraparte responde dentro
+ * del plazo y un administrador decide. El resultado reembolsa los pagos, ajusta las
+ * ganancias del profesional y cierra el chat del servicio
+ */
+
+const Dispute = require('../models/Dispute');
+const Professional = require('../models/Professional');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Invoice = require('../models/Invoice');
+const ChatService = require('./ChatService');
+const CancellationService = require('./CancellationService');
+const ServiceRequestStateMachine = require('./ServiceRequestStateMachine');
+const { storageService } = require('../utils/storage');
+const { AppError } = require('../utils/errors');
+const { notifyServiceRequestUser } = require('../utils/service-requests');
+const logger = require('../utils/logger');
+const {
+  DISPUTE_OPENABLE_STATUSES,
+  DISPUTE_CATEGORIES,
+  DISPUTE_OUTCOMES,
+  DISPUTE_CONFIG
+} = require('../config/disputes');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class DisputeService {
+  /**
+   * Normalizar una lista de IDs recibida como arreglo o texto separado por comas (multipart)
+   * @param {Array|string} value - IDs
+   * @returns {Array<string>}
+   */
+  toIdList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(id => String(id).trim()).filter(Boolean);
+  }
+
+  /**
+   * Construir las entradas de evidencia a partir de archivos, mensajes del chat y facturas
+   * @param {Object} serviceRequest - Solicitud en disputa
+   * @param {Object} user - Usuario que aporta la evidencia
+   * @param {string} role - Rol del usuario (client, professional o admin)
+   * @param {Object} data - { messageIds, invoiceId, evidenceDescription }
+   * @param {Array} files - Archivos de multer
+   * @returns {Promise<Array<Object>>}
+   */
+  async collectEvidence(serviceRequest, user, role, data = {}, files = []) {
+    const submitted = { submittedBy: user._id, submittedByRole: role, description: data.evidenceDescription };
+    const evidence = [];
+
+    if (files.length) {
+      const upload = await storageService.uploadMultipleFiles(files, { folder: 'proserv/disputes' });
+      if (!upload.success || upload.errors.length) {
+        throw new AppError('No se pudieron subir los archivos de evidencia', 502, 'EVIDENCE_UPLOAD_FAILED', {
+          errors: upload.errors.map(error => ({ file: error.originalname, error: error.error }))
+        });
+      }
+
+      upload.results.forEach(file => {
+        evidence.push({
+          ...submitted,
+          type: file.resourceType === 'image' ? 'photo' : 'document',
+          file: {
+            url: file.secureUrl || file.url,
+            publicId: file.publicId,
+            format: file.format,
+            originalName: file.originalname
+          }
+        });
+      });
+    }
+
+    const messageIds = this.toIdList(data.messageIds);
+    if (messageIds.length) {
+      if (messageIds.length > DISPUTE_CONFIG.maxChatExcerptMessages) {
+        throw new AppError(
+          `Se pueden citar hasta ${DISPUTE_CONFIG.maxChatExcerptMessages} mensajes por extracto`,
+          400,
+          'INVALID_EVIDENCE'
+        );
+      }
+
+      const chat = await Chat.findOne({ serviceRequest: serviceRequest._id }).select('_id');
+      const messages = chat
+        ? await Message.find({ _id: { $in: messageIds }, chat: chat._id }).sort({ createdAt: 1 })
+        : [];
+
+      if (messages.length !== messageIds.length) {
+        throw new AppError('Algunos mensajes no pertenecen al chat del servicio', 400, 'INVALID_EVIDENCE');
+      }
+
+      evidence.push({
+        ...submitted,
+        type: 'chat_excerpt',
+        messages: messages.map(message => ({
+          messageId: message._id,
+          sender: message.sender,
+          text: message.content?.text || `[${message.type}]`,
+          sentAt: message.createdAt
+        }))
+      });
+    }
+
+    if (data.invoiceId) {
+      const invoice = await Invoice.findOne({ _id: data.invoiceId, serviceRequest: serviceRequest._id })
+        .select('invoiceNumber status');
+
+      if (!invoice) {
+        throw new AppError('La factura no pertenece a esta solicitud', 400, 'INVALID_EVIDENCE');
+      }
+
+      evidence.push({
+        ...submitted,
+        type: 'invoice',
+        invoice: {
+          invoiceId: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          status: invoice.status
+        }
+      });
+    }
+
+    return evidence;
+  }
+
+  /**
+   * Verificar el límite de evidencia de una disputa
+   * @param {Object} dispute - Disputa
+   * @param {number} count - Entradas nuevas
+   */
+  assertEvidenceCapacity(dispute, count) {
+    if (dispute.evidence.length + count > DISPUTE_CONFIG.maxEvidenceItems) {
+      throw new AppError(
+        `La disputa admite hasta ${DISPUTE_CONFIG.maxEvidenceItems} elementos de evidencia`,
+        400,
+        'EVIDENCE_LIMIT_REACHED'
+      );
+    }
+  }
+
+  /**
+   * Abrir una disputa sobre una solicitud en progreso o completada
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Cliente o profesional que abre la disputa
+   * @param {Object} data - { category, description, messageIds, invoiceId, evidenceDescription }
+   * @param {Array} files - Archivos de evidencia
+   * @returns {Promise<Object>} Disputa creada
+   */
+  async open(serviceRequest, user, data, files = []) {
+    const role = await ServiceRequestStateMachine.getActorRole(serviceRequest, user);
+    if (role !== 'client' && role !== 'professional') {
+      throw new AppError('Solo el cliente o el profesional del servicio pueden abrir una disputa', 403, 'FORBIDDEN');
+    }
+
+    if (!DISPUTE_OPENABLE_STATUSES.includes(serviceRequest.status)) {
+      throw new AppError('Solo se pueden disputar servicios en progreso o completados', 409, 'DISPUTE_NOT_ALLOWED');
+    }
+
+    const existing = await Dispute.exists({ serviceRequestId: serviceRequest._id, status: { $ne: 'resolved' } });
+    if (existing) {
+      throw new AppError('Ya existe una disputa abierta para este servicio', 409, 'DISPUTE_EXISTS');
+    }
+
+    const evidence = await this.collectEvidence(serviceRequest, user, role, data, files);
+
+    const dispute = new Dispute({
+      serviceRequestId: serviceRequest._id,
+      clientId: serviceRequest.clientId,
+      professionalId: serviceRequest.professionalId,
+      openedBy: user._id,
+      openedByRole: role,
+      previousStatus: serviceRequest.status,
+      category: data.category,
+      description: data.description,
+      responseDeadline: new Date(Date.now() + DISPUTE_CONFIG.responseWindowHours * HOUR_MS),
+      evidence
+    });
+    this.assertEvidenceCapacity(dispute, 0);
+
+    // La disputa se guarda antes de cambiar el estado: una solicitud en disputa
+    // sin su documento no tendría cómo resolverse
+    await dispute.save();
+
+    try {
+      await ServiceRequestStateMachine.transition(serviceRequest, 'dispute', {
+        user,
+        reason: data.category,
+        notes: data.description
+      });
+    } catch (error) {
+      await dispute.deleteOne();
+      throw error;
+    }
+
+    await this.announce(serviceRequest, dispute,
+      `Se abrió una disputa: ${DISPUTE_CATEGORIES[dispute.category]}. La contraparte tiene ` +
+      `${DISPUTE_CONFIG.responseWindowHours} horas para responder`,
+      'dispute_opened'
+    );
+
+    const respondentId = await this.getPartyUserId(dispute, dispute.respondentRole);
+    await notifyServiceRequestUser(respondentId, serviceRequest, 'DISPUTE_OPENED', {
+      category: DISPUTE_CATEGORIES[dispute.category],
+      responseWindowHours: DISPUTE_CONFIG.responseWindowHours
+    }, { disputeId: dispute._id });
+
+    return dispute;
+  }
+
+  /**
+   * ID de usuario de una de las partes
+   * @param {Object} dispute - Disputa
+   * @param {string} role - client o professional
+   * @returns {Promise<Object|null>}
+   */
+  async getPartyUserId(dispute, role) {
+    if (role === 'client') return dispute.clientId;
+
+    const professional = await Professional.findById(dispute.professionalId).select('userId');
+    return professional ? professional.userId : null;
+  }
+
+  /**
+   * Rol del usuario respecto a la disputa
+   * @param {Object} dispute - Disputa
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<string|null>} client, professional, admin o null
+   */
+  async getRole(dispute, user) {
+    if (!user) return null;
+    if (user.role === 'admin') return 'admin';
+    if (dispute.clientId.toString() === user._id.toString()) return 'client';
+
+    if (user.role === 'professional') {
+      const professional = await Professional.findOne({ userId: user._id }).select('_id');
+      if (professional && professional._id.equals(dispute.professionalId)) return 'professional';
+    }
+
+    return null;
+  }
+
+  /**
+   * Pasar a revisión una disputa cuyo plazo de respuesta venció
+   * @param {Object} dispute - Disputa
+   * @param {Date} now - Instante de referencia
+   * @returns {boolean} Si cambió de estado
+   */
+  escalateIfOverdue(dispute, now = new Date()) {
+    if (dispute.status !== 'awaiting_response' || dispute.responseDeadline > now) return false;
+
+    dispute.status = 'under_review';
+    dispute.escalatedAt = now;
+    return true;
+  }
+
+  /**
+   * Pasar a revisión todas las disputas con plazo vencido (para ejecución programada)
+   * @returns {Promise<number>} Disputas escaladas
+   */
+  async escalateOverdueDisputes() {
+    const now = new Date();
+    const result = await Dispute.updateMany(
+      { status: 'awaiting_response', responseDeadline: { $lte: now } },
+      { $set: { status: 'under_review', escalatedAt: now } }
+    );
+
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Responder la disputa (solo la contraparte y dentro del plazo)
+   * @param {Object} dispute - Disputa
+   * @param {Object} serviceRequest - Solicitud en disputa
+   * @param {Object} user - Usuario que responde
+   * @param {Object} data - { description, messageIds, invoiceId, evidenceDescription }
+   * @param {Array} files - Archivos de evidencia
+   * @returns {Promise<Object>} Disputa actualizada
+   */
+  async respond(dispute, serviceRequest, user, data, files = []) {
+    const role = await this.getRole(dispute, user);
+    if (role !== dispute.respondentRole) {
+      throw new AppError('Solo la contraparte puede responder la disputa', 403, 'FORBIDDEN');
+    }
+
+    if (this.escalateIfOverdue(dispute)) {
+      await dispute.save();
+      throw new AppError('El plazo de respuesta venció; la disputa pasó a revisión', 409, 'DISPUTE_RESPONSE_CLOSED');
+    }
+
+    if (dispute.status !== 'awaiting_response') {
+      throw new AppError('La disputa ya fue respondida', 409, 'DISPUTE_RESPONSE_CLOSED');
+    }
+
+    const evidence = await this.collectEvidence(serviceRequest, user, role, data, files);
+    this.assertEvidenceCapacity(dispute, evidence.length);
+
+    dispute.evidence.push(...evidence);
+    dispute.response = {
+      description: data.description,
+      respondedBy: user._id,
+      respondedAt: new Date()
+    };
+    dispute.status = 'under_review';
+    await dispute.save();
+
+    await this.announce(serviceRequest, dispute, 'La contraparte respondió la disputa; queda en revisión', 'dispute_responded');
+    await notifyServiceRequestUser(dispute.openedBy, serviceRequest, 'DISPUTE_RESPONSE_RECEIVED', {}, {
+      disputeId: dispute._id
+    });
+
+    return dispute;
+  }
+
+  /**
+   * Aportar evidencia adicional mientras la disputa no esté resuelta
+   * @param {Object} dispute - Disputa
+   * @param {Object} serviceRequest - Solicitud en disputa
+   * @param {Object} user - Parte o administrador
+   * @param {Object} data - { messageIds, invoiceId, evidenceDescription }
+   * @param {Array} files - Archivos de evidencia
+   * @returns {Promise<Object>} Disputa actualizada
+   */
+  async addEvidence(dispute, serviceRequest, user, data, files = []) {
+    const role = await this.getRole(dispute, user);
+    if (!role) {
+      throw new AppError('No tienes permisos sobre esta disputa', 403, 'FORBIDDEN');
+    }
+
+    if (dispute.status === 'resolved') {
+      throw new AppError('La disputa ya fue resuelta', 409, 'DISPUTE_RESOLVED');
+    }
+
+    const evidence = await this.collectEvidence(serviceRequest, user, role, data, files);
+    if (!evidence.length) {
+      throw new AppError('Debes adjuntar archivos, mensajes del chat o una factura', 400, 'INVALID_EVIDENCE');
+    }
+    this.assertEvidenceCapacity(dispute, evidence.length);
+
+    this.escalateIfOverdue(dispute);
+    dispute.evidence.push(...evidence);
+    await dispute.save();
+
+    return dispute;
+  }
+
+  /**
+   * Cola de arbitraje para administradores (más antiguas primero)
+   * @param {Object} filters - { status, assignedTo, category, page, limit }
+   * @returns {Promise<Object>} { disputes, pagination }
+   */
+  async getQueue(filters = {}) {
+    await this.escalateOverdueDisputes();
+
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 20;
+    const query = { status: filters.status || 'under_review' };
+
+    if (filters.assignedTo === 'unassigned') {
+      query.assignedTo = null;
+    } else if (filters.assignedTo) {
+      query.assignedTo = filters.assignedTo;
+    }
+    if (filters.category) query.category = filters.category;
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(query)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('serviceRequestId', 'service.title service.category status pricing')
+        .populate('clientId', 'firstName lastName email')
+        .populate('assignedTo', 'firstName lastName email')
+        .select('-evidence'),
+      Dispute.countDocuments(query)
+    ]);
+
+    return {
+      disputes,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  /**
+   * Asignar la disputa a un administrador
+   * @param {Object} dispute - Disputa
+   * @param {Object} admin - Administrador
+   * @returns {Promise<Object>}
+   */
+  async assign(dispute, admin) {
+    if (dispute.status === 'resolved') {
+      throw new AppError('La disputa ya fue resuelta', 409, 'DISPUTE_RESOLVED');
+    }
+
+    dispute.assignedTo = admin._id;
+    dispute.assignedAt = new Date();
+    await dispute.save();
+
+    return dispute;
+  }
+
+  /**
+   * Calcular el monto a reembolsar según el resultado
+   * @param {Object} outcome - Configuración del resultado (DISPUTE_OUTCOMES)
+   * @param {number} paidAmount - Total pagado y aún reembolsable
+   * @param {number} refundAmount - Monto indicado por el administrador
+   * @returns {number}
+   */
+  getRefundAmount(outcome, paidAmount, refundAmount) {
+    if (outcome.refund === 'none') return 0;
+    if (outcome.refund === 'full') return paidAmount;
+
+    if (!refundAmount || refundAmount <= 0 || refundAmount >= paidAmount) {
+      throw new AppError(
+        `El reembolso parcial debe ser mayor a 0 y menor a lo pagado (${paidAmount})`,
+        400,
+        'INVALID_REFUND_AMOUNT'
+      );
+    }
+
+    return CancellationService.roundAmount(refundAmount);
+  }
+
+  /**
+   * Reembolsar un monto repartiéndolo entre los pagos de la solicitud
+   * @param {Array} payments - Pagos reembolsables
+   * @param {number} amount - Monto total
+   * @param {string} reason - Motivo registrado en el pago
+   * @returns {Promise<Object>} { refundedAmount, refundStatus }
+   */
+  async refundPayments(payments, amount, reason) {
+    const outcomes = [];
+    let remaining = Math.max(0, amount);
+
+    for (const payment of payments) {
+      const paymentRefund = CancellationService.roundAmount(Math.min(remaining, payment.totalAmount));
+      // Los pagos autorizados se liquidan aunque no se reembolse nada (se captura lo retenido)
+      if (paymentRefund <= 0 && !CancellationService.isAuthorization(payment)) continue;
+
+      outcomes.push(await CancellationService.refundPayment(payment, paymentRefund, reason));
+      remaining -= paymentRefund;
+    }
+
+    if (amount <= 0 && outcomes.every(outcome => outcome.status !== 'failed')) {
+      return { refundedAmount: 0, refundStatus: 'not_required' };
+    }
+
+    return {
+      refundedAmount: CancellationService.roundAmount(
+        outcomes.filter(outcome => outcome.status !== 'failed').reduce((sum, outcome) => sum + outcome.amount, 0)
+      ),
+      refundStatus: CancellationService.getRefundStatus(outcomes)
+    };
+  }
+
+  /**
+   * Ajustar estadísticas y ganancias del profesional según el resultado
+   * Las disputas sobre servicios completados ya sumaron el servicio en updateStatistics
+   * @param {Object} dispute - Disputa resuelta
+   * @param {Object} serviceRequest - Solicitud
+   * @param {Object} outcome - Configuración del resultado
+   * @param {number} refundAmount - Monto reembolsado al cliente
+   * @param {number} penaltyAmount - Penalización al profesional
+   */
+  async adjustProfessionalEarnings(dispute, serviceRequest, outcome, refundAmount, penaltyAmount) {
+    const professional = await Professional.findById(dispute.professionalId);
+    if (!professional) return;
+
+    const { statistics } = professional;
+    const serviceValue = CancellationService.getServiceValue(serviceRequest);
+    const cancelled = outcome.action === 'resolve_cancelled';
+
+    if (dispute.previousStatus === 'completed') {
+      if (cancelled) {
+        statistics.completedServices = Math.max(0, statistics.completedServices - 1);
+        statistics.cancelledServices += 1;
+        statistics.totalEarnings -= serviceValue;
+      } else {
+        statistics.totalEarnings -= Math.min(refundAmount, serviceValue);
+      }
+    } else {
+      statistics.totalServices += 1;
+      if (cancelled) {
+        statistics.cancelledServices += 1;
+      } else {
+        statistics.completedServices += 1;
+        statistics.totalEarnings += Math.max(0, serviceValue - refundAmount);
+      }
+    }
+
+    statistics.totalEarnings = Math.max(0, statistics.totalEarnings);
+    statistics.totalPenalties = (statistics.totalPenalties || 0) + penaltyAmount;
+    statistics.completionRate = statistics.totalServices
+      ? (statistics.completedServices / statistics.totalServices) * 100
+      : 0;
+
+    await professional.save();
+  }
+
+  /**
+   * Resolver la disputa
+   * @param {Object} dispute - Disputa en revisión
+   * @param {Object} serviceRequest - Solicitud en disputa
+   * @param {Object} admin - Administrador que decide
+   * @param {Object} data - { outcome, refundAmount, penaltyAmount, notes }
+   * @returns {Promise<Object>} Disputa resuelta
+   */
+  async resolve(dispute, serviceRequest, admin, data) {
+    if (this.escalateIfOverdue(dispute)) {
+      await dispute.save();
+    }
+
+    if (dispute.status !== 'under_review') {
+      throw new AppError(
+        dispute.status === 'resolved'
+          ? 'La disputa ya fue resuelta'
+          : 'La disputa está esperando la respuesta de la contraparte',
+        409,
+        dispute.status === 'resolved' ? 'DISPUTE_RESOLVED' : 'DISPUTE_AWAITING_RESPONSE'
+      );
+    }
+
+    const outcome = DISPUTE_OUTCOMES[data.outcome];
+    const penaltyAmount = outcome.penalty ? data.penaltyAmount : 0;
+    if (outcome.penalty && !(penaltyAmount > 0)) {
+      throw new AppError('Debes indicar el monto de la penalización', 400, 'INVALID_PENALTY_AMOUNT');
+    }
+
+    const payments = await CancellationService.getRefundablePayments(serviceRequest);
+    const paidAmount = payments.reduce((sum, payment) => sum + payment.totalAmount, 0);
+    const refundAmount = this.getRefundAmount(outcome, paidAmount, data.refundAmount);
+
+    await ServiceRequestStateMachine.transition(serviceRequest, outcome.action, {
+      user: admin,
+      reason: 'dispute_resolved',
+      notes: data.notes || outcome.label
+    });
+
+    const authorized = payments.some(payment => CancellationService.isAuthorization(payment));
+    const refund = await this.refundPayments(
+      payments,
+      refundAmount,
+      `Disputa resuelta: ${outcome.label}`
+    );
+
+    if (outcome.action === 'resolve_cancelled') {
+      serviceRequest.cancellation.cancelledByRole = 'admin';
+      serviceRequest.cancellation.refundAmount = refund.refundedAmount;
+      serviceRequest.cancellation.refundStatus = refund.refundStatus;
+    }
+    if (refund.refundStatus === 'processed' && refund.refundedAmount >= paidAmount) {
+      serviceRequest.payment.paymentStatus = 'refunded';
+    } else if (authorized && refund.refundStatus !== 'failed') {
+      // Se capturó lo no reembolsado de la autorización
+      serviceRequest.payment.paymentStatus = 'completed';
+      serviceRequest.payment.paidAt = new Date();
+    }
+    await serviceRequest.save();
+
+    await this.adjustProfessionalEarnings(dispute, serviceRequest, outcome, refund.refundedAmount, penaltyAmount);
+
+    dispute.status = 'resolved';
+    dispute.resolution = {
+      outcome: data.outcome,
+      refundAmount: refund.refundedAmount,
+      refundStatus: refund.refundStatus,
+      penaltyAmount,
+      notes: data.notes,
+      resolvedBy: admin._id,
+      resolvedAt: new Date()
+    };
+    await dispute.save();
+
+    await this.closeChat(serviceRequest, dispute, admin, outcome);
+
+    const professionalUserId = await this.getPartyUserId(dispute, 'professional');
+    for (const recipientId of [dispute.clientId, professionalUserId]) {
+      await notifyServiceRequestUser(recipientId, serviceRequest, 'DISPUTE_RESOLVED', {
+        outcome: outcome.label
+      }, { disputeId: dispute._id });
+    }
+
+    logger.info('Disputa resuelta:', {
+      disputeId: dispute._id,
+      serviceRequestId: serviceRequest._id,
+      outcome: data.outcome,
+      refundAmount: refund.refundedAmount,
+      refundStatus: refund.refundStatus,
+      penaltyAmount,
+      adminId: admin._id
+    });
+
+    return dispute;
+  }
+
+  /**
+   * Publicar el resultado en el chat del servicio y cerrarlo
+   * @param {Object} serviceRequest - Solicitud
+   * @param {Object} dispute - Disputa resuelta
+   * @param {Object} admin - Administrador
+   * @param {Object} outcome - Configuración del resultado
+   */
+  async closeChat(serviceRequest, dispute, admin, outcome) {
+    try {
+      const chat = await Chat.findOne({ serviceRequest: serviceRequest._id });
+      if (!chat) return;
+
+      await this.announce(serviceRequest, dispute,
+        `Disputa resuelta: ${outcome.label}` + (dispute.resolution.notes ? `. ${dispute.resolution.notes}` : ''),
+        'dispute_resolved'
+      );
+
+      if (chat.status === 'active') {
+        await chat.close(admin._id, 'dispute_resolved');
+      }
+    } catch (error) {
+      logger.warn('Error cerrando el chat de la disputa', {
+        disputeId: dispute._id,
+        serviceRequestId: serviceRequest._id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Publicar un paso de la disputa como mensaje de sistema en el chat
+   * @param {Object} serviceRequest - Solicitud
+   * @param {Object} dispute - Disputa
+   * @param {string} description - Texto del mensaje
+   * @param {string} event - Evento (dispute_opened, dispute_responded, dispute_resolved)
+   */
+  async announce(serviceRequest, dispute, description, event) {
+    if (!ChatService.isAvailable()) return;
+
+    try {
+      const chat = await Chat.findOne({ serviceRequest: serviceRequest._id }).select('_id');
+      if (!chat) return;
+
+      await ChatService.sendSystemMessage(chat._id.toString(), description, {
+        extra: { serviceRequestId: serviceRequest._id, disputeId: dispute._id, event }
+      });
+    } catch (error) {
+      logger.warn('Error publicando disputa en el chat', {
+        disputeId: dispute._id,
+        event,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new DisputeService();
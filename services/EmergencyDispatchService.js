@@ -0,0 +1,839 @@
+/**
+ * Servicio de Despacho de Emergencias
+ * Las solicitudes urgentes ('emergency') se ofrecen por oleadas a los
+ * profesionales que atienden emergencias y están libres ahora, del más cercano
+ * al más lejano. Cada oleada amplía el radio y vence a los pocos segundos; el
+ * primero que acepta queda asignado, el servicio se confirma para ahora mismo
+ * y se aplica el recargo de emergencia. El cliente sigue el despacho en vivo
+ * por el namespace /dispatch de Socket.IO
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const User = require('../models/User');
+const ChatService = require('./ChatService');
+const NotificationService = require('./NotificationService');
+const AvailabilityService = require('./AvailabilityService');
+const ServiceRequestStateMachine = require('./ServiceRequestStateMachine');
+const { AppError } = require('../utils/errors');
+const { loadServiceRequest } = require('../utils/service-requests');
+const { GeolocationUtils } = require('../utils/geolocation');
+const { TimezoneUtils } = require('../utils/timezone');
+const logger = require('../utils/logger');
+const { EMERGENCY_DISPATCH_CONFIG, EMERGENCY_SURCHARGES } = require('../config/emergency');
+
+const SECOND_MS = 1000;
+
+class EmergencyDispatchService {
+  constructor() {
+    this.namespace = null;
+  }
+
+  /**
+   * Sala del cliente que sigue el despacho de una solicitud
+   * @param {string} serviceRequestId - ID de la solicitud
+   * @returns {string}
+   */
+  getRoom(serviceRequestId) {
+    return `dispatch:${serviceRequestId}`;
+  }
+
+  /**
+   * Sala personal de un profesional (recibe las ofertas)
+   * @param {string} userId - ID del usuario profesional
+   * @returns {string}
+   */
+  getProfessionalRoom(userId) {
+    return `professional:${userId}`;
+  }
+
+  /**
+   * Registrar el namespace de despacho sobre el servidor de Socket.IO del chat
+   * @param {Object} io - Servidor de Socket.IO
+   */
+  initialize(io) {
+    this.namespace = io.of(EMERGENCY_DISPATCH_CONFIG.namespace);
+    this.namespace.use((socket, next) => ChatService.authenticateSocket(socket, next));
+    this.namespace.on('connection', (socket) => this.handleConnection(socket));
+
+    logger.info('Emergency dispatch service initialized with Socket.IO');
+  }
+
+  /**
+   * Registrar los eventos de una conexión
+   * Cada evento responde por callback (ack) con { success, data } o { success, error }
+   * @param {Object} socket - Socket autenticado
+   */
+  handleConnection(socket) {
+    if (socket.user.role === 'professional') {
+      socket.join(this.getProfessionalRoom(socket.userId));
+    }
+
+    const handle = (handler) => async (data = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        const serviceRequest = await loadServiceRequest(data.serviceRequestId);
+        reply({ success: true, data: await handler(serviceRequest, data) });
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          logger.error('Error en evento de despacho:', {
+            userId: socket.userId,
+            serviceRequestId: data.serviceRequestId,
+            error: error.message
+          });
+        }
+        reply({ success: false, error: error instanceof AppError ? error.message : 'Error procesando el despacho' });
+      }
+    };
+
+    // Cliente: seguir el despacho de su emergencia
+    socket.on('watch', handle(async (serviceRequest) => {
+      const state = await this.getStatus(serviceRequest, socket.user);
+      socket.join(this.getRoom(serviceRequest._id));
+      return state;
+    }));
+
+    socket.on('unwatch', handle(async (serviceRequest) => {
+      socket.leave(this.getRoom(serviceRequest._id));
+      return { serviceRequestId: serviceRequest._id };
+    }));
+
+    // Profesional: responder una oferta
+    socket.on('accept_offer', handle(async (serviceRequest) => {
+      const accepted = await this.accept(serviceRequest, socket.user);
+      return this.getStatus(accepted, socket.user);
+    }));
+
+    socket.on('decline_offer', handle(async (serviceRequest) => {
+      await this.decline(serviceRequest, socket.user);
+      return { serviceRequestId: serviceRequest._id, declined: true };
+    }));
+  }
+
+  /**
+   * Iniciar (o reintentar tras agotarse) el despacho de una emergencia
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Cliente dueño de la solicitud
+   * @returns {Promise<Object>} Solicitud con la primera oleada lanzada
+   */
+  async start(serviceRequest, user) {
+    if (serviceRequest.clientId.toString() !== user._id.toString()) {
+      throw new AppError('Solo el cliente de la solicitud puede iniciar el despacho', 403, 'FORBIDDEN');
+    }
+
+    if (serviceRequest.service?.urgency !== 'emergency') {
+      throw new AppError('Solo las solicitudes de emergencia admiten despacho', 409, 'DISPATCH_NOT_EMERGENCY');
+    }
+
+    if (serviceRequest.status !== 'pending' || serviceRequest.bidding?.status) {
+      throw new AppError('Solo se puede despachar una solicitud pendiente sin ventana de cotizaciones', 409, 'DISPATCH_NOT_ALLOWED');
+    }
+
+    if (serviceRequest.directRequest?.professionalId) {
+      throw new AppError('Las solicitudes privadas no se despachan a otros profesionales', 409, 'DISPATCH_NOT_ALLOWED');
+    }
+
+    if (!serviceRequest.location?.coordinates?.length) {
+      throw new AppError('La solicitud no tiene coordenadas para buscar profesionales', 409, 'DISPATCH_NOT_ALLOWED');
+    }
+
+    // Inicio atómico: dos intentos simultáneos no lanzan dos despachos
+    const started = await ServiceRequest.findOneAndUpdate(
+      {
+        _id: serviceRequest._id,
+        status: 'pending',
+        'dispatch.status': { $nin: ['searching', 'assigned'] }
+      },
+      {
+        $set: {
+          dispatch: {
+            status: 'searching',
+            wave: 0,
+            radiusKm: 0,
+            startedAt: new Date(),
+            offers: []
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!started) {
+      throw new AppError('El despacho de esta emergencia ya está en curso', 409, 'DISPATCH_IN_PROGRESS');
+    }
+
+    logger.info('Despacho de emergencia iniciado:', {
+      serviceRequestId: started._id,
+      category: started.service.category,
+      clientId: user._id
+    });
+
+    return (await this.advance(started._id, 0)) || loadServiceRequest(started._id);
+  }
+
+  /**
+   * Buscar profesionales de emergencia libres dentro del radio, del más cercano al más lejano
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {number} radiusKm - Radio de búsqueda
+   * @param {Array<string>} excludeIds - Profesionales que ya recibieron oferta
+   * @returns {Promise<Array>} [{ professional, userId, distanceKm }]
+   */
+  async findCandidates(serviceRequest, radiusKm, excludeIds = []) {
+    const coordinates = serviceRequest.location.coordinates;
+
+    const professionals = await Professional.find({
+      _id: { $nin: excludeIds },
+      isActive: true,
+      'verification.status': 'verified',
+      'preferences.emergencyServices': true,
+      services: { $elemMatch: { category: serviceRequest.service.category, isActive: true } }
+    }).select('userId availability preferences serviceRadius');
+
+    if (professionals.length === 0) return [];
+
+    const users = await User.find({
+      _id: { $in: professionals.map(professional => professional.userId) },
+      isActive: true,
+      'profile.address.coordinates': {
+        $near: {
+          $geometry: { type: 'Point', coordinates },
+          $maxDistance: radiusKm * 1000
+        }
+      }
+    })
+      .select('profile.address.coordinates')
+      .limit(EMERGENCY_DISPATCH_CONFIG.candidatePoolSize);
+
+    const byUserId = new Map(professionals.map(professional => [professional.userId.toString(), professional]));
+    const candidates = [];
+
+    // $near devuelve los usuarios ordenados por distancia
+    for (const user of users) {
+      if (candidates.length >= EMERGENCY_DISPATCH_CONFIG.waveSize) break;
+
+      const professional = byUserId.get(user._id.toString());
+      const distanceKm = GeolocationUtils.calculateDistance(user.profile.address.coordinates, coordinates);
+      if (!professional || distanceKm > professional.serviceRadius) continue;
+
+      if (await this.isAvailableNow(professional, serviceRequest)) {
+        candidates.push({ professional, userId: user._id, distanceKm: Math.round(distanceKm * 10) / 10 });
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Verificar que el profesional pueda atender la emergencia ahora: sin servicios
+   * en curso ni bloqueos durante la duración estimada y sin superar su cupo diario.
+   * El horario laboral no se exige (quien atiende emergencias acepta salir fuera de él)
+   * @param {Object} professional - Profesional
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {Promise<boolean>}
+   */
+  async isAvailableNow(professional, serviceRequest) {
+    const { dateKey, time } = TimezoneUtils.toLocal(new Date(), AvailabilityService.getTimeZone(professional));
+
+    const { available } = await AvailabilityService.checkSlot({
+      _id: serviceRequest._id,
+      professionalId: professional._id,
+      status: 'confirmed',
+      scheduling: {
+        preferredDate: new Date(`${dateKey}T00:00:00Z`),
+        preferredTime: time,
+        estimatedDuration: serviceRequest.scheduling?.estimatedDuration
+      }
+    }, { professional, ignoreSchedule: true });
+
+    return available;
+  }
+
+  /**
+   * Cerrar la oleada en curso y lanzar la siguiente con un radio mayor.
+   * Si no quedan profesionales hasta el radio máximo, el despacho se agota
+   * @param {string} serviceRequestId - ID de la solicitud
+   * @param {number} wave - Oleada que se da por terminada
+   * @returns {Promise<Object|null>} Solicitud actualizada o null si otro proceso ya avanzó
+   */
+  async advance(serviceRequestId, wave) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + EMERGENCY_DISPATCH_CONFIG.acceptTimeoutSeconds * SECOND_MS);
+
+    // Reclamo atómico de la oleada: vence sus ofertas pendientes y reserva el número siguiente
+    const serviceRequest = await ServiceRequest.findOneAndUpdate(
+      {
+        _id: serviceRequestId,
+        status: 'pending',
+        'dispatch.status': 'searching',
+        'dispatch.wave': wave
+      },
+      {
+        $set: {
+          'dispatch.wave': wave + 1,
+          'dispatch.waveExpiresAt': expiresAt,
+          'dispatch.offers.$[offer].status': 'expired'
+        }
+      },
+      {
+        new: true,
+        arrayFilters: [{ 'offer.wave': wave, 'offer.status': 'offered' }]
+      }
+    );
+
+    if (!serviceRequest) return null;
+
+    const offeredIds = serviceRequest.dispatch.offers.map(offer => offer.professionalId);
+    let radiusKm = serviceRequest.dispatch.radiusKm || 0;
+    let candidates = [];
+
+    // Cada oleada amplía el radio; los anillos sin candidatos se saltan
+    while (candidates.length === 0 && radiusKm < EMERGENCY_DISPATCH_CONFIG.maxRadiusKm) {
+      radiusKm = Math.min(
+        radiusKm ? radiusKm + EMERGENCY_DISPATCH_CONFIG.radiusStepKm : EMERGENCY_DISPATCH_CONFIG.initialRadiusKm,
+        EMERGENCY_DISPATCH_CONFIG.maxRadiusKm
+      );
+      candidates = await this.findCandidates(serviceRequest, radiusKm, offeredIds);
+    }
+
+    if (candidates.length === 0) {
+      return this.finish(serviceRequest._id, 'exhausted');
+    }
+
+    const offers = candidates.map(candidate => ({
+      professionalId: candidate.professional._id,
+      wave: wave + 1,
+      distanceKm: candidate.distanceKm,
+      offeredAt: now,
+      expiresAt,
+      status: 'offered'
+    }));
+
+    const updated = await ServiceRequest.findOneAndUpdate(
+      { _id: serviceRequest._id, 'dispatch.status': 'searching', 'dispatch.wave': wave + 1 },
+      {
+        $set: { 'dispatch.radiusKm': radiusKm },
+        $push: { 'dispatch.offers': { $each: offers } }
+      },
+      { new: true }
+    );
+
+    if (!updated) return null;
+
+    logger.info('Oleada de despacho lanzada:', {
+      serviceRequestId: updated._id,
+      wave: wave + 1,
+      radiusKm,
+      candidates: candidates.length
+    });
+
+    await this.notifyCandidates(updated, candidates);
+    this.emitToClient(updated._id, 'dispatch_updated', this.getClientState(updated));
+
+    return updated;
+  }
+
+  /**
+   * Terminar un despacho en búsqueda (agotado o cancelado)
+   * @param {string} serviceRequestId - ID de la solicitud
+   * @param {string} status - exhausted | cancelled
+   * @returns {Promise<Object|null>} Solicitud actualizada o null si ya no estaba en búsqueda
+   */
+  async finish(serviceRequestId, status) {
+    const serviceRequest = await ServiceRequest.findOneAndUpdate(
+      { _id: serviceRequestId, 'dispatch.status': 'searching' },
+      {
+        $set: {
+          'dispatch.status': status,
+          'dispatch.finishedAt': new Date(),
+          'dispatch.waveExpiresAt': null,
+          'dispatch.offers.$[offer].status': 'expired'
+        }
+      },
+      {
+        new: true,
+        arrayFilters: [{ 'offer.status': 'offered' }]
+      }
+    );
+
+    if (!serviceRequest) return null;
+
+    logger.info('Despacho de emergencia terminado:', {
+      serviceRequestId: serviceRequest._id,
+      status,
+      waves: serviceRequest.dispatch.wave,
+      radiusKm: serviceRequest.dispatch.radiusKm
+    });
+
+    if (status === 'exhausted') {
+      await this.notifyClient(serviceRequest, 'EMERGENCY_DISPATCH_EXHAUSTED', {
+        radiusKm: serviceRequest.dispatch.radiusKm || EMERGENCY_DISPATCH_CONFIG.maxRadiusKm
+      });
+    }
+
+    this.emitToClient(serviceRequest._id, 'dispatch_updated', this.getClientState(serviceRequest));
+    return serviceRequest;
+  }
+
+  /**
+   * Aceptar una oferta: el primero que acepta queda asignado y el servicio se
+   * confirma para ahora mismo con el recargo de emergencia
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Profesional
+   * @returns {Promise<Object>} Solicitud confirmada
+   */
+  async accept(serviceRequest, user) {
+    const professional = await this.getOfferedProfessional(serviceRequest, user);
+    const now = new Date();
+
+    // Asignación atómica: solo una aceptación gana aunque lleguen a la vez
+    const assigned = await ServiceRequest.findOneAndUpdate(
+      {
+        _id: serviceRequest._id,
+        status: 'pending',
+        'dispatch.status': 'searching',
+        'dispatch.offers': {
+          $elemMatch: { professionalId: professional._id, status: 'offered', expiresAt: { $gt: now } }
+        }
+      },
+      {
+        $set: {
+          professionalId: professional._id,
+          'dispatch.status': 'assigned',
+          'dispatch.assignedAt': now,
+          'dispatch.finishedAt': now,
+          'dispatch.waveExpiresAt': null,
+          'dispatch.offers.$.status': 'accepted',
+          'dispatch.offers.$.respondedAt': now
+        }
+      },
+      { new: true }
+    );
+
+    if (!assigned) {
+      throw new AppError('La oferta ya no está disponible', 409, 'DISPATCH_OFFER_UNAVAILABLE');
+    }
+
+    const timeZone = AvailabilityService.getTimeZone(professional);
+    const { dateKey, time } = TimezoneUtils.toLocal(now, timeZone);
+    assigned.scheduling.preferredDate = new Date(`${dateKey}T00:00:00Z`);
+    assigned.scheduling.preferredTime = time;
+    assigned.scheduling.flexibility = 'asap';
+
+    const baseAmount = this.getBaseAmount(assigned, professional);
+    const surcharge = this.calculateSurcharge(assigned.service.category, baseAmount, timeZone, now);
+    assigned.dispatch.surcharge = surcharge;
+
+    if (baseAmount) {
+      assigned.pricing.quotedCost = baseAmount;
+      assigned.pricing.breakdown.additionalCosts.push({
+        description: 'Recargo de emergencia',
+        amount: surcharge.amount
+      });
+    }
+
+    try {
+      await ServiceRequestStateMachine.transition(assigned, 'dispatch_assign', { user, role: 'system' });
+    } catch (error) {
+      await this.revertAssignment(assigned._id, professional._id);
+      throw error;
+    }
+
+    logger.info('Emergencia asignada:', {
+      serviceRequestId: assigned._id,
+      professionalId: professional._id,
+      wave: assigned.dispatch.wave,
+      surcharge: surcharge.amount
+    });
+
+    await this.supersedeOffers(assigned);
+    await this.notifyClient(assigned, 'EMERGENCY_DISPATCH_ASSIGNED', {
+      price: (baseAmount || 0) + surcharge.amount
+    });
+    this.emitToClient(assigned._id, 'dispatch_updated', this.getClientState(assigned));
+
+    return assigned;
+  }
+
+  /**
+   * Deshacer una asignación cuya confirmación falló (ej. la agenda cambió entre
+   * la oferta y la aceptación): la oferta queda rechazada y la búsqueda continúa
+   * @param {string} serviceRequestId - ID de la solicitud
+   * @param {string} professionalId - Profesional que aceptó
+   */
+  async revertAssignment(serviceRequestId, professionalId) {
+    await ServiceRequest.updateOne(
+      { _id: serviceRequestId, status: 'pending', 'dispatch.status': 'assigned' },
+      {
+        $set: {
+          professionalId: null,
+          'dispatch.status': 'searching',
+          'dispatch.assignedAt': null,
+          'dispatch.finishedAt': null,
+          'dispatch.waveExpiresAt': new Date(),
+          'dispatch.offers.$[offer].status': 'declined'
+        }
+      },
+      { arrayFilters: [{ 'offer.professionalId': professionalId, 'offer.status': 'accepted' }] }
+    );
+  }
+
+  /**
+   * Rechazar una oferta. Si ya nadie de la oleada puede aceptar se lanza la siguiente
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Profesional
+   */
+  async decline(serviceRequest, user) {
+    const professional = await this.getOfferedProfessional(serviceRequest, user);
+
+    const declined = await ServiceRequest.findOneAndUpdate(
+      {
+        _id: serviceRequest._id,
+        'dispatch.status': 'searching',
+        'dispatch.offers': { $elemMatch: { professionalId: professional._id, status: 'offered' } }
+      },
+      {
+        $set: {
+          'dispatch.offers.$.status': 'declined',
+          'dispatch.offers.$.respondedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!declined) {
+      throw new AppError('La oferta ya no está disponible', 409, 'DISPATCH_OFFER_UNAVAILABLE');
+    }
+
+    const { wave, offers } = declined.dispatch;
+    const pending = offers.some(offer => offer.wave === wave && offer.status === 'offered');
+    if (!pending) {
+      await this.advance(declined._id, wave);
+    }
+  }
+
+  /**
+   * Obtener el profesional del usuario si recibió oferta para la solicitud
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Usuario
+   * @returns {Promise<Object>} Profesional
+   */
+  async getOfferedProfessional(serviceRequest, user) {
+    const professional = user.role === 'professional' &&
+      await Professional.findOne({ userId: user._id }).select('availability preferences services');
+
+    const offered = professional && (serviceRequest.dispatch?.offers || []).some(offer =>
+      offer.professionalId.toString() === professional._id.toString()
+    );
+
+    if (!offered) {
+      throw new AppError('No recibiste una oferta para esta emergencia', 403, 'FORBIDDEN');
+    }
+    return professional;
+  }
+
+  /**
+   * Precio base de la emergencia: el precio fijo del servicio del profesional en
+   * la categoría o, si no tiene, el costo estimado de la solicitud
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} professional - Profesional asignado
+   * @returns {number}
+   */
+  getBaseAmount(serviceRequest, professional) {
+    const service = (professional.services || []).find(item =>
+      item.isActive && item.category === serviceRequest.service.category && item.pricing?.type === 'fixed'
+    );
+
+    return service?.pricing.amount || serviceRequest.pricing?.estimatedCost || 0;
+  }
+
+  /**
+   * Calcular el recargo de emergencia según la tabla de EMERGENCY_SURCHARGES
+   * @param {string} category - Categoría del servicio
+   * @param {number} baseAmount - Precio base
+   * @param {string} timeZone - Zona horaria del profesional
+   * @param {Date} date - Momento del servicio
+   * @returns {Object} { baseAmount, rate, amount, components: [{ type, rate }] }
+   */
+  calculateSurcharge(category, baseAmount, timeZone, date = new Date()) {
+    const { time, weekday } = TimezoneUtils.toLocal(date, timeZone);
+    const minutes = TimezoneUtils.timeToMinutes(time);
+    const { night, weekend } = EMERGENCY_SURCHARGES;
+
+    const components = [{
+      type: 'category',
+      rate: EMERGENCY_SURCHARGES.categories[category] ?? EMERGENCY_SURCHARGES.default
+    }];
+
+    // La franja nocturna cruza la medianoche
+    const nightStart = TimezoneUtils.timeToMinutes(night.start);
+    const nightEnd = TimezoneUtils.timeToMinutes(night.end);
+    if (minutes >= nightStart || minutes < nightEnd) {
+      components.push({ type: 'night', rate: night.rate });
+    }
+
+    if (weekday === 0 || weekday === 6) {
+      components.push({ type: 'weekend', rate: weekend.rate });
+    }
+
+    const rate = Math.min(
+      components.reduce((sum, component) => sum + component.rate, 0),
+      EMERGENCY_SURCHARGES.maxRate
+    );
+
+    return {
+      baseAmount,
+      rate,
+      amount: Math.round(baseAmount * rate * 100) / 100,
+      components
+    };
+  }
+
+  /**
+   * Marcar como superadas las ofertas pendientes y avisar a esos profesionales
+   * @param {Object} serviceRequest - Solicitud asignada
+   */
+  async supersedeOffers(serviceRequest) {
+    const pendingIds = serviceRequest.dispatch.offers
+      .filter(offer => offer.status === 'offered')
+      .map(offer => offer.professionalId);
+
+    if (pendingIds.length === 0) return;
+
+    await ServiceRequest.updateOne(
+      { _id: serviceRequest._id },
+      { $set: { 'dispatch.offers.$[offer].status': 'superseded' } },
+      { arrayFilters: [{ 'offer.status': 'offered' }] }
+    );
+
+    serviceRequest.dispatch.offers.forEach(offer => {
+      if (offer.status === 'offered') offer.status = 'superseded';
+    });
+
+    const professionals = await Professional.find({ _id: { $in: pendingIds } }).select('userId');
+
+    for (const professional of professionals) {
+      this.emitToProfessional(professional.userId, 'offer_withdrawn', { serviceRequestId: serviceRequest._id });
+
+      try {
+        await NotificationService.sendNotification(professional.userId, 'EMERGENCY_DISPATCH_TAKEN', {
+          serviceRequestId: serviceRequest._id,
+          serviceTitle: serviceRequest.service.title
+        }, {
+          metadata: {
+            serviceRequestId: serviceRequest._id
+          }
+        });
+      } catch (error) {
+        logger.warn('Error notificando oferta de emergencia superada', {
+          serviceRequestId: serviceRequest._id,
+          professionalId: professional._id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Enviar la oferta a los profesionales de la oleada (socket y notificación)
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Array} candidates - Candidatos de findCandidates
+   */
+  async notifyCandidates(serviceRequest, candidates) {
+    const { acceptTimeoutSeconds } = EMERGENCY_DISPATCH_CONFIG;
+
+    for (const candidate of candidates) {
+      const offer = {
+        serviceRequestId: serviceRequest._id,
+        wave: serviceRequest.dispatch.wave,
+        service: {
+          category: serviceRequest.service.category,
+          subcategory: serviceRequest.service.subcategory,
+          title: serviceRequest.service.title,
+          description: serviceRequest.service.description
+        },
+        distanceKm: candidate.distanceKm,
+        expiresAt: serviceRequest.dispatch.waveExpiresAt
+      };
+
+      this.emitToProfessional(candidate.userId, 'dispatch_offer', offer);
+
+      try {
+        await NotificationService.sendNotification(candidate.userId, 'EMERGENCY_DISPATCH_OFFER', {
+          serviceRequestId: serviceRequest._id,
+          serviceTitle: serviceRequest.service.title,
+          distance: candidate.distanceKm,
+          timeoutSeconds: acceptTimeoutSeconds
+        }, {
+          metadata: {
+            serviceRequestId: serviceRequest._id,
+            wave: serviceRequest.dispatch.wave
+          }
+        });
+      } catch (error) {
+        logger.warn('Error notificando oferta de emergencia', {
+          serviceRequestId: serviceRequest._id,
+          professionalId: candidate.professional._id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Notificar al cliente un resultado del despacho
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {string} templateKey - Plantilla de notificación
+   * @param {Object} data - Datos adicionales de la plantilla
+   */
+  async notifyClient(serviceRequest, templateKey, data = {}) {
+    try {
+      await NotificationService.sendNotification(serviceRequest.clientId, templateKey, {
+        serviceRequestId: serviceRequest._id,
+        serviceTitle: serviceRequest.service?.title || 'Servicio',
+        ...data
+      }, {
+        metadata: {
+          serviceRequestId: serviceRequest._id,
+          dispatchStatus: serviceRequest.dispatch.status
+        }
+      });
+    } catch (error) {
+      logger.warn('Error notificando despacho de emergencia', {
+        serviceRequestId: serviceRequest._id,
+        templateKey,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Estado del despacho visible para el cliente
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {Object}
+   */
+  getClientState(serviceRequest) {
+    const dispatch = serviceRequest.dispatch;
+    const now = new Date();
+
+    return {
+      serviceRequestId: serviceRequest._id,
+      status: dispatch.status,
+      wave: dispatch.wave,
+      radiusKm: dispatch.radiusKm,
+      startedAt: dispatch.startedAt,
+      waveExpiresAt: dispatch.waveExpiresAt || null,
+      offersSent: dispatch.offers.length,
+      pendingOffers: dispatch.offers.filter(offer => offer.status === 'offered' && offer.expiresAt > now).length,
+      professionalId: dispatch.status === 'assigned' ? serviceRequest.professionalId : null,
+      assignedAt: dispatch.assignedAt || null,
+      finishedAt: dispatch.finishedAt || null,
+      surcharge: dispatch.surcharge?.rate !== undefined ? dispatch.surcharge : null
+    };
+  }
+
+  /**
+   * Consultar el despacho según el rol: el cliente (o admin) ve el progreso
+   * completo y cada profesional solo su propia oferta
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Usuario
+   * @returns {Promise<Object>}
+   */
+  async getStatus(serviceRequest, user) {
+    if (!serviceRequest.dispatch?.status) {
+      throw new AppError('La solicitud no tiene un despacho de emergencia', 404, 'DISPATCH_NOT_FOUND');
+    }
+
+    if (user.role === 'admin' || serviceRequest.clientId.toString() === user._id.toString()) {
+      return this.getClientState(serviceRequest);
+    }
+
+    const professional = user.role === 'professional' &&
+      await Professional.findOne({ userId: user._id }).select('_id');
+    const offer = professional && serviceRequest.dispatch.offers.find(item =>
+      item.professionalId.toString() === professional._id.toString()
+    );
+
+    if (!offer) {
+      throw new AppError('No tienes acceso a este despacho', 403, 'FORBIDDEN');
+    }
+
+    return {
+      serviceRequestId: serviceRequest._id,
+      status: serviceRequest.dispatch.status,
+      service: {
+        category: serviceRequest.service.category,
+        subcategory: serviceRequest.service.subcategory,
+        title: serviceRequest.service.title,
+        description: serviceRequest.service.description
+      },
+      offer: {
+        wave: offer.wave,
+        status: offer.status,
+        distanceKm: offer.distanceKm,
+        offeredAt: offer.offeredAt,
+        expiresAt: offer.expiresAt,
+        respondedAt: offer.respondedAt || null
+      }
+    };
+  }
+
+  /**
+   * Avanzar las oleadas vencidas y cerrar los despachos de solicitudes que
+   * dejaron de estar pendientes (ej. canceladas por el cliente)
+   * @returns {Promise<Object>} { advanced, exhausted, cancelled, failed }
+   */
+  async advanceDueWaves() {
+    const serviceRequests = await ServiceRequest.find({
+      'dispatch.status': 'searching',
+      'dispatch.waveExpiresAt': { $lte: new Date() }
+    }).select('status dispatch.wave');
+
+    const summary = { advanced: 0, exhausted: 0, cancelled: 0, failed: 0 };
+
+    for (const serviceRequest of serviceRequests) {
+      try {
+        if (serviceRequest.status !== 'pending') {
+          if (await this.finish(serviceRequest._id, 'cancelled')) summary.cancelled += 1;
+          continue;
+        }
+
+        const updated = await this.advance(serviceRequest._id, serviceRequest.dispatch.wave);
+        if (updated?.dispatch.status === 'exhausted') summary.exhausted += 1;
+        else if (updated) summary.advanced += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.warn('Error avanzando despacho de emergencia:', {
+          serviceRequestId: serviceRequest._id,
+          error: error.message
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Emitir un evento a quienes siguen el despacho de una solicitud
+   * @param {string} serviceRequestId - ID de la solicitud
+   * @param {string} event - Nombre del evento
+   * @param {Object} payload - Datos del evento
+   */
+  emitToClient(serviceRequestId, event, payload) {
+    if (!this.namespace) return;
+    this.namespace.to(this.getRoom(serviceRequestId)).emit(event, payload);
+  }
+
+  /**
+   * Emitir un evento a un profesional conectado
+   * @param {string} userId - ID del usuario profesional
+   * @param {string} event - Nombre del evento
+   * @param {Object} payload - Datos del evento
+   */
+  emitToProfessional(userId, event, payload) {
+    if (!this.namespace) return;
+    this.namespace.to(this.getProfessionalRoom(userId)).emit(event, payload);
+  }
+}
+
+module.exports = new EmergencyDispatchService();
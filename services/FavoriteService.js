@@ -0,0 +1,207 @@
+/**
+ * Servicio de Profesionales Favoritos
+ * Los clientes marcan profesionales como favoritos y los listan con su
+ * disponibilidad actual (libre ahora y próxima franja libre)
+ */
+
+const mongoose = require('mongoose');
+const FavoriteProfessional = require('../models/FavoriteProfessional');
+const Professional = require('../models/Professional');
+const AvailabilityService = require('./AvailabilityService');
+const { AppError } = require('../utils/errors');
+const { TimezoneUtils } = require('../utils/timezone');
+const logger = require('../utils/logger');
+const { FAVORITES_CONFIG } = require('../config/favorites');
+
+// Campos del profesional necesarios para la respuesta y la disponibilidad
+const PROFESSIONAL_FIELDS = [
+  'userId',
+  'businessInfo.businessName',
+  'businessInfo.description',
+  'services',
+  'rating',
+  'verification.status',
+  'availability',
+  'preferences',
+  'isActive'
+].join(' ');
+
+class FavoriteService {
+  /**
+   * Profesional activo por ID
+   * @param {string} professionalId - ID del profesional
+   * @returns {Promise<Object>}
+   */
+  async loadProfessional(professionalId) {
+    const professional = mongoose.Types.ObjectId.isValid(professionalId)
+      ? await Professional.findOne({ _id: professionalId, isActive: true }).select('userId')
+      : null;
+
+    if (!professional) {
+      throw new AppError('Profesional no encontrado', 404, 'PROFESSIONAL_NOT_FOUND');
+    }
+    return professional;
+  }
+
+  /**
+   * Marcar un profesional como favorito (idempotente)
+   * @param {Object} user - Cliente
+   * @param {string} professionalId - ID del profesional
+   * @returns {Promise<Object>} { professionalId, created }
+   */
+  async add(user, professionalId) {
+    const professional = await this.loadProfessional(professionalId);
+
+    if (professional.userId.equals(user._id)) {
+      throw new AppError('No puedes marcarte como favorito', 400, 'INVALID_FAVORITE');
+    }
+
+    const count = await FavoriteProfessional.countDocuments({ clientId: user._id });
+    if (count >= FAVORITES_CONFIG.maxPerUser) {
+      throw new AppError(
+        `Solo puedes tener ${FAVORITES_CONFIG.maxPerUser} profesionales favoritos`,
+        400,
+        'FAVORITES_LIMIT'
+      );
+    }
+
+    const result = await FavoriteProfessional.updateOne(
+      { clientId: user._id, professionalId: professional._id },
+      { $setOnInsert: { clientId: user._id, professionalId: professional._id } },
+      { upsert: true }
+    );
+
+    return { professionalId: professional._id, created: result.upsertedCount > 0 };
+  }
+
+  /**
+   * Quitar un profesional de favoritos
+   * @param {Object} user - Cliente
+   * @param {string} professionalId - ID del profesional
+   */
+  async remove(user, professionalId) {
+    const result = mongoose.Types.ObjectId.isValid(professionalId)
+      ? await FavoriteProfessional.deleteOne({ clientId: user._id, professionalId })
+      : { deletedCount: 0 };
+
+    if (result.deletedCount === 0) {
+      throw new AppError('El profesional no está en tus favoritos', 404, 'FAVORITE_NOT_FOUND');
+    }
+  }
+
+  /**
+   * Favoritos del cliente con su disponibilidad, del más reciente al más antiguo
+   * @param {Object} user - Cliente
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { favorites, total }
+   */
+  async list(user, options = {}) {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+
+    const [favorites, total] = await Promise.all([
+      FavoriteProfessional.find({ clientId: user._id })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate({
+          path: 'professionalId',
+          select: PROFESSIONAL_FIELDS,
+          populate: { path: 'userId', select: 'profile.firstName profile.lastName profile.avatar' }
+        }),
+      FavoriteProfessional.countDocuments({ clientId: user._id })
+    ]);
+
+    const results = await Promise.all(favorites.map(async favorite => {
+      const professional = favorite.professionalId;
+
+      return {
+        professional: professional ? this.toProfessionalResponse(professional) : null,
+        favoritedAt: favorite.createdAt,
+        availability: professional?.isActive
+          ? await this.getAvailability(professional)
+          : { availableNow: false, nextSlot: null }
+      };
+    }));
+
+    return { favorites: results, total };
+  }
+
+  /**
+   * Disponibilidad actual: libre en este momento y próxima franja reservable
+   * @param {Object} professional - Profesional con availability y preferences
+   * @param {Date} now - Fecha de referencia
+   * @returns {Promise<Object>} { availableNow, nextSlot: { date, start, localStart } | null }
+   */
+  async getAvailability(professional, now = new Date()) {
+    try {
+      const timeZone = AvailabilityService.getTimeZone(professional);
+      const { dateKey, time } = TimezoneUtils.toLocal(now, timeZone);
+
+      const [current, agenda] = await Promise.all([
+        AvailabilityService.checkSlot({
+          professionalId: professional._id,
+          status: 'confirmed',
+          scheduling: { preferredDate: new Date(`${dateKey}T00:00:00Z`), preferredTime: time }
+        }, { professional }),
+        AvailabilityService.getAvailableSlots(professional, {
+          from: dateKey,
+          to: TimezoneUtils.addDaysToKey(dateKey, FAVORITES_CONFIG.availabilityDays - 1)
+        })
+      ]);
+
+      const day = agenda.days.find(item => item.slots.length > 0);
+      const slot = day?.slots[0];
+
+      return {
+        availableNow: current.available,
+        nextSlot: slot ? { date: day.date, start: slot.start, localStart: slot.localStart } : null
+      };
+    } catch (error) {
+      logger.warn('Error calculando disponibilidad de favorito', {
+        professionalId: professional._id,
+        error: error.message
+      });
+      return { availableNow: false, nextSlot: null };
+    }
+  }
+
+  /**
+   * Datos públicos del profesional favorito
+   * @param {Object} professional - Profesional con userId poblado
+   * @returns {Object}
+   */
+  toProfessionalResponse(professional) {
+    const profile = professional.userId?.profile || {};
+
+    return {
+      _id: professional._id,
+      name: [profile.firstName, profile.lastName].filter(Boolean).join(' '),
+      avatar: profile.avatar,
+      businessName: professional.businessInfo?.businessName,
+      rating: professional.rating,
+      verificationStatus: professional.verification?.status,
+      isActive: professional.isActive,
+      services: professional.services
+        .filter(service => service.isActive)
+        .map(service => ({
+          _id: service._id,
+          category: service.category,
+          subcategory: service.subcategory,
+          title: service.title,
+          pricing: service.pricing
+        }))
+    };
+  }
+
+  /**
+   * Cantidad de clientes que marcaron al profesional como favorito
+   * @param {Object} professionalId - ID del profesional
+   * @returns {Promise<number>}
+   */
+  async countForProfessional(professionalId) {
+    return FavoriteProfessional.countDocuments({ professionalId });
+  }
+}
+
+module.exports = new FavoriteService();
@@ -0,0 +1,377 @@
+/**
+ * Servicio de Reservas Inmediatas
+ * Profesionales con autoAcceptBookings publican servicios de precio fijo que el
+ * cliente reserva sobre una franja libre: se cobra al reservar y la solicitud
+ * queda confirmada sin pasar por cotización
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const Payment = require('../models/Payment');
+const InstantBookingCounter = require('../models/InstantBookingCounter');
+const NotificationService = require('./NotificationService');
+const AvailabilityService = require('./AvailabilityService');
+const { AppError } = require('../utils/errors');
+const { GeolocationUtils } = require('../utils/geolocation');
+const { TimezoneUtils } = require('../utils/timezone');
+const { paymentService } = require('../utils/payments');
+const logger = require('../utils/logger');
+const { DAILY_CAP_STATUSES, INSTANT_BOOKING_CONFIG } = require('../config/scheduling');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class InstantBookingService {
+  /**
+   * Obtener el profesional y el servicio reservable o lanzar el error correspondiente
+   * @param {string} professionalId - ID del profesional
+   * @param {string} serviceId - ID del servicio en Professional.services
+   * @returns {Promise<Object>} { professional, service }
+   */
+  async loadBookable(professionalId, serviceId) {
+    const professional = await Professional.findById(professionalId)
+      .populate('userId', 'profile.address.coordinates');
+
+    if (!professional || !professional.isActive) {
+      throw new AppError('Profesional no encontrado', 404, 'PROFESSIONAL_NOT_FOUND');
+    }
+
+    if (!professional.preferences?.autoAcceptBookings || professional.verification?.status !== 'verified') {
+      throw new AppError('Este profesional no acepta reservas inmediatas', 409, 'INSTANT_BOOKING_DISABLED');
+    }
+
+    const service = professional.services.id(serviceId);
+    if (!service || !service.isActive) {
+      throw new AppError('Servicio no encontrado', 404, 'SERVICE_NOT_FOUND');
+    }
+
+    if (service.pricing?.type !== 'fixed' || !service.pricing.amount) {
+      throw new AppError('Solo los servicios de precio fijo admiten reserva inmediata', 409, 'SERVICE_NOT_INSTANT_BOOKABLE');
+    }
+
+    return { professional, service };
+  }
+
+  /**
+   * Verificar que la dirección esté dentro del radio de servicio del profesional
+   * @param {Object} professional - Profesional con userId poblado
+   * @param {Array<number>} coordinates - [lng, lat] del servicio
+   * @returns {number} Distancia en km
+   */
+  assertWithinRadius(professional, coordinates) {
+    const baseCoordinates = professional.userId?.profile?.address?.coordinates;
+    if (!baseCoordinates || baseCoordinates.length !== 2) {
+      throw new AppError('El profesional no tiene una zona de servicio configurada', 409, 'INSTANT_BOOKING_DISABLED');
+    }
+
+    const distance = GeolocationUtils.calculateDistance(baseCoordinates, coordinates);
+    if (distance > professional.serviceRadius) {
+      throw new AppError('La dirección está fuera del radio de servicio del profesional', 409, 'OUTSIDE_SERVICE_AREA', {
+        distance: Math.round(distance * 10) / 10,
+        serviceRadius: professional.serviceRadius
+      });
+    }
+
+    return distance;
+  }
+
+  /**
+   * Contador semanal de reservas inmediatas de un profesional (semana de lunes a domingo)
+   * @param {Object} professionalId - ID del profesional
+   * @param {string} dateKey - Día de la reserva 'YYYY-MM-DD'
+   * @returns {Object} { id, weekStartKey }
+   */
+  getWeeklyCounter(professionalId, dateKey) {
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    const weekStartKey = TimezoneUtils.addDaysToKey(dateKey, -((weekday + 6) % 7));
+    return { id: `${professionalId}:${weekStartKey}`, weekStartKey };
+  }
+
+  /**
+   * Tomar un cupo del límite semanal de forma atómica: dos reservas simultáneas
+   * no pueden superar el límite. Sin límite el cupo se cuenta igual, para que el
+   * contador esté al día si el profesional lo fija después
+   * @param {Object} professional - Profesional
+   * @param {string} dateKey - Día de la reserva 'YYYY-MM-DD'
+   * @returns {Promise<string>} ID del contador (para liberar el cupo si la reserva falla)
+   */
+  async reserveWeeklySlot(professional, dateKey) {
+    const limit = professional.preferences?.maxInstantBookingsPerWeek;
+    const { id, weekStartKey } = this.getWeeklyCounter(professional._id, dateKey);
+    const weekEnd = new Date(`${TimezoneUtils.addDaysToKey(weekStartKey, 7)}T00:00:00Z`);
+
+    // Primera reserva de la semana: se parte de las reservas ya registradas
+    if (!await InstantBookingCounter.exists({ _id: id })) {
+      const count = await ServiceRequest.countDocuments({
+        professionalId: professional._id,
+        'instantBooking.bookedAt': { $exists: true },
+        status: { $in: DAILY_CAP_STATUSES },
+        'scheduling.preferredDate': { $gte: new Date(`${weekStartKey}T00:00:00Z`), $lt: weekEnd }
+      });
+
+      await InstantBookingCounter.ensure({
+        _id: id,
+        professionalId: professional._id,
+        weekStart: weekStartKey,
+        count,
+        expiresAt: new Date(weekEnd.getTime() + INSTANT_BOOKING_CONFIG.counterRetentionDays * DAY_MS)
+      });
+    }
+
+    if (!await InstantBookingCounter.reserve(id, limit || Number.MAX_SAFE_INTEGER)) {
+      throw new AppError('El profesional alcanzó su límite de reservas inmediatas para esa semana', 409, 'INSTANT_BOOKING_WEEKLY_LIMIT', {
+        limit,
+        weekStart: weekStartKey
+      });
+    }
+
+    return id;
+  }
+
+  /**
+   * Devolver el cupo semanal de una reserva inmediata cancelada (efecto de la máquina de estados)
+   * @param {Object} serviceRequest - Solicitud cancelada
+   */
+  async releaseWeeklySlot(serviceRequest) {
+    if (!serviceRequest.instantBooking?.bookedAt || !serviceRequest.scheduling?.preferredDate) return;
+
+    const { id } = this.getWeeklyCounter(
+      serviceRequest.professionalId,
+      TimezoneUtils.toDateKey(serviceRequest.scheduling.preferredDate)
+    );
+    await InstantBookingCounter.release(id);
+  }
+
+  /**
+   * Mover el cupo semanal de una reserva inmediata reprogramada a otra semana.
+   * La nueva fecha la acordaron ambas partes, así que no se aplica el límite
+   * @param {Object} serviceRequest - Solicitud ya reprogramada
+   * @param {Date} previousDate - Fecha anterior
+   */
+  async moveWeeklySlot(serviceRequest, previousDate) {
+    if (!serviceRequest.instantBooking?.bookedAt || !previousDate) return;
+
+    const previous = this.getWeeklyCounter(serviceRequest.professionalId, TimezoneUtils.toDateKey(previousDate));
+    const next = this.getWeeklyCounter(
+      serviceRequest.professionalId,
+      TimezoneUtils.toDateKey(serviceRequest.scheduling.preferredDate)
+    );
+    if (previous.id === next.id) return;
+
+    await InstantBookingCounter.release(previous.id);
+
+    // Sin contador para la nueva semana no hay nada que mover: al crearse parte
+    // de las reservas registradas, que ya incluyen esta solicitud
+    if (await InstantBookingCounter.exists({ _id: next.id })) {
+      await InstantBookingCounter.reserve(next.id, Number.MAX_SAFE_INTEGER);
+    }
+  }
+
+  /**
+   * Reservar una franja: valida disponibilidad, cobra y confirma la solicitud
+   * @param {Object} user - Cliente que reserva
+   * @param {Object} data - { professionalId, serviceId, date, time, location, description, paymentMethodId }
+   * @returns {Promise<Object>} { serviceRequest, payment }
+   */
+  async book(user, data) {
+    const { professional, service } = await this.loadBookable(data.professionalId, data.serviceId);
+
+    if (professional.userId?._id?.toString() === user._id.toString()) {
+      throw new AppError('No puedes reservar tus propios servicios', 403, 'FORBIDDEN');
+    }
+
+    const distance = this.assertWithinRadius(professional, data.location.coordinates);
+    const amount = service.pricing.amount;
+    const durationValue = service.duration?.estimated;
+
+    const serviceRequest = new ServiceRequest({
+      clientId: user._id,
+      professionalId: professional._id,
+      service: {
+        category: service.category,
+        subcategory: service.subcategory,
+        title: service.title,
+        description: data.description || service.description,
+        requirements: service.requirements
+      },
+      location: data.location,
+      scheduling: {
+        preferredDate: new Date(`${data.date}T00:00:00Z`),
+        preferredTime: data.time,
+        flexibility: 'strict',
+        // Professional.services[].duration.estimated está en minutos
+        estimatedDuration: durationValue ? { value: durationValue, unit: 'minutes' } : undefined
+      },
+      pricing: {
+        estimatedCost: amount,
+        quotedCost: amount,
+        currency: service.pricing.currency,
+        paymentMethod: 'card'
+      },
+      status: 'confirmed',
+      statusHistory: [{
+        status: 'confirmed',
+        updatedBy: user._id,
+        reason: 'Reserva inmediata'
+      }]
+    });
+
+    // Horario, antelación mínima, reservas por día y bloqueos externos
+    await AvailabilityService.assertSlotAvailable(serviceRequest, { professional, checkNotice: true });
+    const counterId = await this.reserveWeeklySlot(professional, data.date);
+
+    const platformFee = paymentService.calculatePlatformFee(amount, professional, service.category);
+    serviceRequest.pricing.platformFee = platformFee;
+    serviceRequest.pricing.professionalEarnings = amount - platformFee;
+
+    let charge;
+    try {
+      charge = await paymentService.chargePayment({
+        amount,
+        currency: service.pricing.currency,
+        paymentMethodId: data.paymentMethodId,
+        description: `Reserva inmediata: ${service.title}`,
+        metadata: {
+          serviceRequestId: serviceRequest._id.toString(),
+          professionalId: professional._id.toString(),
+          clientId: user._id.toString(),
+          type: 'instant_booking'
+        }
+      });
+    } catch (error) {
+      await InstantBookingCounter.release(counterId);
+      throw error;
+    }
+
+    if (!charge.success) {
+      await InstantBookingCounter.release(counterId);
+      throw new AppError('No se pudo cobrar la reserva', 402, 'PAYMENT_FAILED', { error: charge.error });
+    }
+
+    const paidAt = new Date();
+    const payment = new Payment({
+      paymentId: Payment.generatePaymentId(),
+      serviceRequest: serviceRequest._id,
+      client: user._id,
+      professional: professional._id,
+      amount,
+      platformFee,
+      totalAmount: amount,
+      currency: service.pricing.currency,
+      status: 'completed',
+      paymentMethod: { type: 'card', provider: charge.provider },
+      providerPaymentId: charge.providerPaymentId,
+      providerResponse: charge.payment,
+      processedAt: paidAt,
+      completedAt: paidAt,
+      description: `Reserva inmediata: ${service.title}`,
+      // El método de pago permite cobrar aparte las órdenes de cambio aprobadas
+      metadata: { instantBooking: true, paymentMethodId: data.paymentMethodId }
+    });
+
+    serviceRequest.payment.paymentStatus = 'completed';
+    serviceRequest.payment.paidAt = paidAt;
+    serviceRequest.payment.paymentIntentId = charge.providerPaymentId;
+    serviceRequest.instantBooking = { serviceId: service._id, bookedAt: paidAt, paymentId: payment._id };
+
+    // El pago se registra primero: sin él los reembolsos por cancelación, disputa
+    // o garantía no tendrían qué devolver
+    try {
+      await payment.save();
+    } catch (error) {
+      await this.refund(charge, amount, service.pricing.currency, serviceRequest._id);
+      await InstantBookingCounter.release(counterId);
+      throw error;
+    }
+
+    try {
+      await serviceRequest.save();
+    } catch (error) {
+      // El cobro ya se hizo: se devuelve antes de reportar el error
+      await this.refund(charge, amount, service.pricing.currency, serviceRequest._id, payment);
+      await InstantBookingCounter.release(counterId);
+      throw error;
+    }
+
+    logger.info('Reserva inmediata confirmada:', {
+      serviceRequestId: serviceRequest._id,
+      professionalId: professional._id,
+      clientId: user._id,
+      amount,
+      distance
+    });
+
+    await this.notifyProfessional(professional, serviceRequest);
+
+    return { serviceRequest, payment };
+  }
+
+  /**
+   * Reembolsar un cobro de una reserva que no pudo registrarse
+   * @param {Object} charge - Resultado de paymentService.chargePayment
+   * @param {number} amount - Monto cobrado
+   * @param {string} currency - Moneda
+   * @param {Object} serviceRequestId - ID de la solicitud
+   * @param {Object} payment - Pago ya registrado, si lo hay
+   */
+  async refund(charge, amount, currency, serviceRequestId, payment = null) {
+    const result = await paymentService.refundPayment({
+      provider: charge.provider,
+      providerPaymentId: charge.providerPaymentId,
+      amount,
+      currency
+    });
+
+    if (!result.success) {
+      logger.error('No se pudo reembolsar una reserva inmediata fallida:', {
+        serviceRequestId,
+        providerPaymentId: charge.providerPaymentId,
+        error: result.error
+      });
+    }
+
+    if (!payment) return;
+
+    try {
+      payment.refundStatus = result.success ? result.status : 'failed';
+      payment.refundAmount = amount;
+      payment.refundReason = 'Reserva inmediata no registrada';
+      payment.refundProviderResponse = result.success ? result.refund : { error: result.error };
+      if (result.status === 'completed') payment.refundedAt = new Date();
+      await payment.save();
+    } catch (error) {
+      logger.error('Error registrando el reembolso de una reserva inmediata:', {
+        serviceRequestId,
+        paymentId: payment._id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Avisar al profesional de la nueva reserva
+   * @param {Object} professional - Profesional con userId poblado
+   * @param {Object} serviceRequest - Solicitud confirmada
+   */
+  async notifyProfessional(professional, serviceRequest) {
+    try {
+      await NotificationService.sendNotification(professional.userId._id, 'INSTANT_BOOKING_RECEIVED', {
+        serviceRequestId: serviceRequest._id,
+        serviceTitle: serviceRequest.service.title,
+        date: TimezoneUtils.toDateKey(serviceRequest.scheduling.preferredDate),
+        time: serviceRequest.scheduling.preferredTime,
+        price: serviceRequest.pricing.quotedCost
+      }, {
+        metadata: {
+          serviceRequestId: serviceRequest._id
+        }
+      });
+    } catch (error) {
+      logger.warn('Error notificando reserva inmediata', {
+        serviceRequestId: serviceRequest._id,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new InstantBookingService();
@@ -0,0 +1,282 @@
+/**
+ * Planificador de tareas programadas
+ * Ejecuta las tareas de config/jobs.js con node-cron. Antes de cada ejecución
+ * toma un bloqueo distribuido en MongoDB (JobLock) para que, con varias
+ * instancias, solo una ejecute cada tarea; cada ejecución queda en JobRun
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+const Chat = require('../models/Chat');
+const ReminderService = require('./ReminderService');
+const QuoteService = require('./QuoteService');
+const BiddingService = require('./BiddingService');
+const EmergencyDispatchService = require('./EmergencyDispatchService');
+const SavedSearchService = require('./SavedSearchService');
+const PriceEstimateService = require('./PriceEstimateService');
+const TrackingService = require('./TrackingService');
+const CompletionService = require('./CompletionService');
+const CalendarImportService = require('./CalendarImportService');
+const RescheduleService = require('./RescheduleService');
+const DisputeService = require('./DisputeService');
+const WarrantyService = require('./WarrantyService');
+const ServiceSeriesService = require('./ServiceSeriesService');
+const { storageService } = require('../utils/storage');
+const { AppError } = require('../utils/errors');
+const {
+  JOBS_CONFIG,
+  JOB_DEFINITIONS,
+  TEMP_FILES_CONFIG,
+  getJobConfig
+} = require('../config/jobs');
+const logger = require('../utils/logger');
+
+class JobScheduler {
+  constructor() {
+    // Identificador de esta instancia como dueña de los bloqueos
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.tasks = new Map(); // nombre -> tarea de node-cron
+    this.running = new Set(); // tareas en ejecución en esta instancia
+
+    // Implementación de cada tarea de config/jobs.js; el resultado queda en el historial
+    this.handlers = {
+      service_reminders: () => ReminderService.sendDueReminders(),
+      chat_auto_archive: () => Chat.archiveInactiveChats(),
+      temp_file_cleanup: () => storageService.cleanupTempFiles(TEMP_FILES_CONFIG.directory, TEMP_FILES_CONFIG.maxAgeMs),
+      arrival_monitor: () => TrackingService.checkLateArrivals(),
+      completion_auto_confirm: () => CompletionService.autoConfirmDue(),
+      quote_expiry: () => QuoteService.expireDueQuotes(),
+      bidding_windows: () => BiddingService.processDueWindows(),
+      emergency_dispatch: () => EmergencyDispatchService.advanceDueWaves(),
+      saved_search_alerts: () => SavedSearchService.processAlerts(),
+      price_estimates: () => PriceEstimateService.recompute(),
+      calendar_import_sync: () => CalendarImportService.syncDueImports(),
+      reschedule_expiry: async () => ({ expired: await RescheduleService.expireDueProposals() }),
+      dispute_escalation: async () => ({ escalated: await DisputeService.escalateOverdueDisputes() }),
+      warranty_escalation: async () => ({ escalated: await WarrantyService.escalateOverdueClaims() }),
+      series_generation: () => ServiceSeriesService.generateDueOccurrences()
+    };
+  }
+
+  /**
+   * Obtener la configuración de una tarea registrada
+   * @param {string} name - Nombre de la tarea
+   * @returns {Object} Configuración efectiva
+   */
+  getJob(name) {
+    const job = this.handlers[name] && getJobConfig(name);
+    if (!job) {
+      throw new AppError('Tarea programada no encontrada', 404, 'JOB_NOT_FOUND');
+    }
+    return job;
+  }
+
+  /**
+   * Programar todas las tareas habilitadas
+   */
+  start() {
+    if (this.tasks.size || !JOBS_CONFIG.enabled) return;
+
+    for (const name of Object.keys(JOB_DEFINITIONS)) {
+      const job = this.getJob(name);
+      if (!job.enabled) continue;
+
+      if (!cron.validate(job.cron)) {
+        logger.error('Expresión cron inválida, la tarea no se programa', { job: name, cron: job.cron });
+        continue;
+      }
+
+      this.tasks.set(name, cron.schedule(job.cron, () => this.runScheduled(name), {
+        timezone: JOBS_CONFIG.timezone
+      }));
+    }
+
+    logger.info('Tareas programadas iniciadas', {
+      instance: this.instanceId,
+      jobs: [...this.tasks.keys()]
+    });
+  }
+
+  /**
+   * Detener todas las tareas
+   */
+  stop() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+  }
+
+  /**
+   * Tomar el bloqueo y registrar el inicio de una ejecución
+   * @param {Object} job - Configuración de la tarea
+   * @param {string} trigger - schedule o manual
+   * @param {Object|null} user - Administrador que la disparó
+   * @returns {Promise<Object>} Ejecución (JobRun)
+   */
+  async begin(job, trigger, user = null) {
+    if (this.running.has(job.name)) {
+      throw new AppError('La tarea ya se está ejecutando', 409, 'JOB_RUNNING');
+    }
+
+    const acquired = await JobLock.acquire(job.name, this.instanceId, job.lockTtlMs);
+    if (!acquired) {
+      throw new AppError('La tarea se está ejecutando en otra instancia', 409, 'JOB_LOCKED');
+    }
+
+    this.running.add(job.name);
+
+    try {
+      return await JobRun.create({
+        job: job.name,
+        trigger,
+        triggeredBy: user ? user._id : undefined,
+        instance: this.instanceId,
+        startedAt: new Date()
+      });
+    } catch (error) {
+      await this.finish(job);
+      throw error;
+    }
+  }
+
+  /**
+   * Ejecutar la tarea y registrar el resultado; nunca lanza
+   * @param {Object} job - Configuración de la tarea
+   * @param {Object} run - Ejecución (JobRun)
+   * @returns {Promise<Object>} Ejecución finalizada
+   */
+  async execute(job, run) {
+    try {
+      run.result = await this.handlers[job.name]();
+      run.status = 'succeeded';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = { message: error.message, stack: error.stack };
+      logger.error('Error ejecutando tarea programada', {
+        job: job.name,
+        runId: run._id,
+        error: error.message
+      });
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+
+    try {
+      await run.save();
+    } catch (error) {
+      logger.error('Error guardando el historial de la tarea', { job: job.name, error: error.message });
+    }
+
+    await this.finish(job);
+    return run;
+  }
+
+  /**
+   * Liberar el bloqueo de la tarea
+   * @param {Object} job - Configuración de la tarea
+   */
+  async finish(job) {
+    this.running.delete(job.name);
+
+    try {
+      await JobLock.release(job.name, this.instanceId);
+    } catch (error) {
+      // El bloqueo vence solo en lockTtlMs
+      logger.warn('Error liberando bloqueo de tarea', { job: job.name, error: error.message });
+    }
+  }
+
+  /**
+   * Ejecución disparada por node-cron; si otra instancia tiene el bloqueo se omite
+   * @param {string} name - Nombre de la tarea
+   */
+  async runScheduled(name) {
+    const job = this.getJob(name);
+
+    try {
+      const run = await this.begin(job, 'schedule');
+      await this.execute(job, run);
+    } catch (error) {
+      if (error instanceof AppError) {
+        logger.debug('Tarea programada omitida', { job: name, reason: error.code });
+        return;
+      }
+      logger.error('Error iniciando tarea programada', { job: name, error: error.message });
+    }
+  }
+
+  /**
+   * Disparar una tarea manualmente; responde al iniciar sin esperar el resultado
+   * @param {string} name - Nombre de la tarea
+   * @param {Object} user - Administrador que la dispara
+   * @returns {Promise<Object>} Ejecución en curso (JobRun)
+   */
+  async trigger(name, user) {
+    const job = this.getJob(name);
+    const run = await this.begin(job, 'manual', user);
+
+    this.execute(job, run);
+
+    return run;
+  }
+
+  /**
+   * Listar las tareas con su estado y última ejecución
+   * @returns {Promise<Array<Object>>}
+   */
+  async listJobs() {
+    const names = Object.keys(JOB_DEFINITIONS).filter(name => this.handlers[name]);
+    const now = new Date();
+
+    const [locks, lastRuns] = await Promise.all([
+      JobLock.find({ _id: { $in: names }, expiresAt: { $gt: now } }).lean(),
+      Promise.all(names.map(name =>
+        JobRun.findOne({ job: name }).sort({ startedAt: -1 }).select('-error.stack').lean()
+      ))
+    ]);
+
+    return names.map((name, index) => {
+      const job = this.getJob(name);
+      const lock = locks.find(item => item._id === name);
+
+      return {
+        name,
+        description: job.description,
+        cron: job.cron,
+        enabled: JOBS_CONFIG.enabled && job.enabled,
+        scheduled: this.tasks.has(name),
+        locked: !!lock,
+        lockedBy: lock ? lock.owner : null,
+        lockExpiresAt: lock ? lock.expiresAt : null,
+        lastRun: lastRuns[index]
+      };
+    });
+  }
+
+  /**
+   * Historial de ejecuciones de una tarea
+   * @param {string} name - Nombre de la tarea
+   * @param {Object} filters - { status, limit }
+   * @returns {Promise<Array<Object>>}
+   */
+  async getRuns(name, filters = {}) {
+    this.getJob(name);
+
+    const query = { job: name };
+    if (filters.status) query.status = filters.status;
+
+    const limit = Math.min(parseInt(filters.limit) || 20, JOBS_CONFIG.maxHistoryPerJob);
+
+    return JobRun.find(query)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .populate('triggeredBy', 'profile.firstName profile.lastName email');
+  }
+}
+
+module.exports = new JobScheduler();
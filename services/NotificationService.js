@@ -44,6 +44,222 @@ class NotificationService {
         type: 'service_request',
         priority: 'medium'
       },
+      SERVICE_REQUEST_STATUS_CHANGED: {
+        title: 'Estado del servicio actualizado',
+        body: 'El servicio {{serviceTitle}} ahora está: {{statusLabel}}',
+        type: 'service_request',
+        priority: 'medium'
+      },
+      RESCHEDULE_PROPOSED: {
+        title: 'Propuesta de reprogramación',
+        body: 'Proponen mover el servicio {{serviceTitle}} a: {{options}}',
+        type: 'service_request',
+        priority: 'high'
+      },
+      RESCHEDULE_ACCEPTED: {
+        title: 'Reprogramación aceptada',
+        body: 'El servicio {{serviceTitle}} quedó para el {{newDate}} a las {{newTime}}',
+        type: 'service_request',
+        priority: 'high'
+      },
+      RESCHEDULE_REJECTED: {
+        title: 'Reprogramación rechazada',
+        body: 'Tu propuesta para reprogramar el servicio {{serviceTitle}} fue rechazada',
+        type: 'service_request',
+        priority: 'medium'
+      },
+      RESCHEDULE_EXPIRED: {
+        title: 'Propuesta de reprogramación vencida',
+        body: 'Tu propuesta para reprogramar el servicio {{serviceTitle}} venció sin respuesta',
+        type: 'service_request',
+        priority: 'low'
+      },
+      PROFESSIONAL_NO_SHOW_PENALTY: {
+        title: 'Penalización por inasistencia',
+        body: 'Se reportó tu inasistencia al servicio {{serviceTitle}}. Se aplicó una penalización de {{penaltyAmount}} COP',
+        type: 'service_request',
+        priority: 'high'
+      },
+      ARRIVAL_DELAYED: {
+        title: 'Posible retraso',
+        body: 'El profesional aún no llega al servicio {{serviceTitle}} ({{minutesLate}} minutos después de la hora pactada)',
+        type: 'service_request',
+        priority: 'high'
+      },
+      ARRIVAL_POSSIBLE_NO_SHOW: {
+        title: 'Posible inasistencia',
+        body: 'El profesional no ha llegado al servicio {{serviceTitle}} tras {{minutesLate}} minutos. El cliente ya puede reportar la inasistencia',
+        type: 'service_request',
+        priority: 'high'
+      },
+      COMPLETION_SUBMITTED: {
+        title: 'Servicio finalizado',
+        body: 'El profesional finalizó el servicio {{serviceTitle}} (total ${{finalCost}}). Confírmalo o impúgnalo en las próximas {{confirmationWindowHours}} horas',
+        type: 'service_request',
+        priority: 'high'
+      },
+      COMPLETION_CAPTURE_FAILED: {
+        title: 'Captura de pago fallida',
+        body: 'No se pudo capturar el pago del servicio {{serviceTitle}}: {{error}}',
+        type: 'payment',
+        priority: 'high'
+      },
+      COMPLETION_CAPTURE_PARTIAL: {
+        title: 'Captura de pago parcial',
+        body: 'Del servicio {{serviceTitle}} quedaron ${{pendingAmount}} sin cobrar: {{error}}',
+        type: 'payment',
+        priority: 'high'
+      },
+      QUOTE_RECEIVED: {
+        title: 'Nueva cotización',
+        body: 'Recibiste una cotización de ${{price}} para {{serviceTitle}}',
+        type: 'service_request',
+        priority: 'high'
+      },
+      QUOTE_REVISED: {
+        title: 'Cotización revisada',
+        body: 'El profesional revisó su cotización para {{serviceTitle}}: ahora ${{price}}',
+        type: 'service_request',
+        priority: 'medium'
+      },
+      QUOTE_COUNTERED: {
+        title: 'Contraoferta recibida',
+        body: 'El cliente contraofertó ${{price}} en la cotización para {{serviceTitle}}',
+        type: 'service_request',
+        priority: 'high'
+      },
+      QUOTE_ACCEPTED: {
+        title: 'Cotización aceptada',
+        body: 'El cliente aceptó tu cotización de ${{price}} para {{serviceTitle}}',
+        type: 'service_request',
+        priority: 'high'
+      },
+      QUOTE_REJECTED: {
+        title: 'Cotización no aceptada',
+        body: 'Tu cotización para {{serviceTitle}} no fue aceptada: {{reason}}',
+        type: 'service_request',
+        priority: 'medium'
+      },
+      QUOTE_WITHDRAWN: {
+        title: 'Cotización retirada',
+        body: 'El profesional retiró su cotización para {{serviceTitle}}',
+        type: 'service_request',
+        priority: 'medium'
+      },
+      QUOTE_EXPIRED: {
+        title: 'Cotización vencida',
+        body: 'Tu cotización para {{serviceTitle}} venció sin respuesta',
+        type: 'service_request',
+        priority: 'low'
+      },
+      INSTANT_BOOKING_RECEIVED: {
+        title: 'Nueva reserva inmediata',
+        body: 'Te reservaron {{serviceTitle}} para el {{date}} a las {{time}} (${{price}}, ya pagado)',
+        type: 'service_request',
+        priority: 'high'
+      },
+      DIRECT_REQUEST_RECEIVED: {
+        title: 'Un cliente quiere repetir contigo',
+        body: 'Un cliente volvió a solicitar {{serviceTitle}} para el {{date}} a las {{time}}. Envía tu cotización',
+        type: 'service_request',
+        priority: 'high'
+      },
+      BIDDING_CLOSED: {
+        title: 'Ventana de cotizaciones cerrada',
+        body: 'Recibiste {{quoteCount}} cotización(es) para {{serviceTitle}}, desde ${{lowestPrice}} hasta ${{highestPrice}}. Tienes {{gracePeriodHours}} horas para elegir una',
+        type: 'service_request',
+        priority: 'high'
+      },
+      BIDDING_CLOSED_EMPTY: {
+        title: 'Ventana de cotizaciones cerrada',
+        body: 'La ventana de cotizaciones de {{serviceTitle}} cerró sin cotizaciones vigentes',
+        type: 'service_request',
+        priority: 'medium'
+      },
+      EMERGENCY_DISPATCH_OFFER: {
+        title: 'Emergencia cerca de ti',
+        body: '{{serviceTitle}} a {{distance}} km. Tienes {{timeoutSeconds}} segundos para aceptarla',
+        type: 'service_request',
+        priority: 'high'
+      },
+      EMERGENCY_DISPATCH_ASSIGNED: {
+        title: 'Profesional en camino',
+        body: 'Un profesional aceptó tu emergencia {{serviceTitle}}. Precio con recargo de emergencia: ${{price}}',
+        type: 'service_request',
+        priority: 'high'
+      },
+      EMERGENCY_DISPATCH_EXHAUSTED: {
+        title: 'Sin profesionales disponibles',
+        body: 'Ningún profesional aceptó tu emergencia {{serviceTitle}} dentro de {{radiusKm}} km. Puedes reintentar el despacho',
+        type: 'service_request',
+        priority: 'high'
+      },
+      EMERGENCY_DISPATCH_TAKEN: {
+        title: 'Emergencia asignada',
+        body: 'Otro profesional aceptó primero la emergencia {{serviceTitle}}',
+        type: 'service_request',
+        priority: 'low'
+      },
+      SAVED_SEARCH_DIGEST: {
+        title: 'Nuevos profesionales para tus búsquedas',
+        body: 'Hay {{count}} profesional(es) nuevo(s) que cumplen tus búsquedas guardadas: {{searches}}',
+        type: 'system',
+        priority: 'low'
+      },
+      CHANGE_ORDER_PROPOSED: {
+        title: 'Trabajo adicional propuesto',
+        body: 'El profesional propone {{itemCount}} ítem(s) adicionales por ${{total}} en el servicio {{serviceTitle}}. Apruébalos o recházalos',
+        type: 'service_request',
+        priority: 'high'
+      },
+      CHANGE_ORDER_DECIDED: {
+        title: 'Orden de cambio respondida',
+        body: 'El cliente aprobó {{approvedCount}} y rechazó {{rejectedCount}} ítem(s) del servicio {{serviceTitle}}. Nuevo total: ${{finalCost}}',
+        type: 'service_request',
+        priority: 'medium'
+      },
+      DISPUTE_OPENED: {
+        title: 'Disputa abierta',
+        body: 'Se abrió una disputa sobre el servicio {{serviceTitle}} ({{category}}). Tienes {{responseWindowHours}} horas para responder',
+        type: 'service_request',
+        priority: 'high'
+      },
+      DISPUTE_RESPONSE_RECEIVED: {
+        title: 'Respuesta a tu disputa',
+        body: 'La contraparte respondió la disputa sobre el servicio {{serviceTitle}}. Un administrador la revisará',
+        type: 'service_request',
+        priority: 'medium'
+      },
+      DISPUTE_RESOLVED: {
+        title: 'Disputa resuelta',
+        body: 'La disputa sobre el servicio {{serviceTitle}} fue resuelta: {{outcome}}',
+        type: 'service_request',
+        priority: 'high'
+      },
+      WARRANTY_CLAIM_OPENED: {
+        title: 'Reclamo de garantía',
+        body: 'El cliente reclamó la garantía del servicio {{serviceTitle}}. Tienes {{responseWindowHours}} horas para agendar una visita o impugnar el reclamo',
+        type: 'service_request',
+        priority: 'high'
+      },
+      WARRANTY_VISIT_SCHEDULED: {
+        title: 'Visita de garantía agendada',
+        body: 'Se agendó la visita de garantía {{serviceTitle}} para el {{visitDate}} a las {{preferredTime}}',
+        type: 'service_request',
+        priority: 'high'
+      },
+      WARRANTY_CLAIM_ESCALATED: {
+        title: 'Reclamo de garantía en revisión',
+        body: 'Un reclamo de garantía requiere revisión: {{reason}}',
+        type: 'service_request',
+        priority: 'high'
+      },
+      WARRANTY_CLAIM_RESOLVED: {
+        title: 'Reclamo de garantía resuelto',
+        body: 'El reclamo de garantía del servicio {{serviceTitle}} fue resuelto: {{outcome}}',
+        type: 'service_request',
+        priority: 'medium'
+      },
       
       // Notificaciones de pagos
       PAYMENT_PROCESSED: {
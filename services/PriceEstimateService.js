@@ -0,0 +1,292 @@
+/**
+ * Servicio de Estimación de Precios
+ * Precalcula rangos de precio (p25/mediana/p75) con el costo final de las
+ * solicitudes completadas, normalizado por duración y urgencia, agrupados por
+ * categoría, subcategoría y ciudad. Si un grupo no reúne suficientes muestras
+ * se usa el precio sugerido de la categoría (ServiceCategory.pricingHint)
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const PriceEstimate = require('../models/PriceEstimate');
+const AvailabilityService = require('./AvailabilityService');
+const ServiceCategoryService = require('./ServiceCategoryService');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { SLOT_CONFIG } = require('../config/scheduling');
+const { PRICE_ESTIMATE_CONFIG, URGENCY_PRICE_FACTORS } = require('../config/price-estimates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MINUTES = 60;
+
+/**
+ * Percentil con interpolación lineal
+ * @param {Array<number>} sorted - Valores ordenados de menor a mayor
+ * @param {number} percentile - Entre 0 y 1
+ * @returns {number}
+ */
+const quantile = (sorted, percentile) => {
+  const position = (sorted.length - 1) * percentile;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const roundPrice = (value) => Math.round(value / PRICE_ESTIMATE_CONFIG.roundTo) * PRICE_ESTIMATE_CONFIG.roundTo;
+
+class PriceEstimateService {
+  constructor() {
+    this.cache = new Map(); // categoría -> { estimates, cachedAt }
+  }
+
+  /**
+   * Ciudad normalizada para agrupar (minúsculas, sin tildes ni espacios repetidos)
+   * @param {string} city - Ciudad
+   * @returns {string|null}
+   */
+  normalizeCity(city) {
+    if (!city) return null;
+    return city.normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().replace(/\s+/g, ' ').toLowerCase() || null;
+  }
+
+  /**
+   * Subcategoría normalizada para agrupar
+   * @param {string} subcategory - Subcategoría
+   * @returns {string|null}
+   */
+  normalizeSubcategory(subcategory) {
+    return subcategory ? subcategory.trim().toLowerCase() || null : null;
+  }
+
+  /**
+   * Duración real de la solicitud o, si no se registró, la estimada
+   * @param {Object} serviceRequest - Solicitud completada
+   * @returns {number} Minutos
+   */
+  getSampleDurationMinutes(serviceRequest) {
+    const { actualStartTime, actualEndTime } = serviceRequest.scheduling || {};
+    const actual = actualStartTime && actualEndTime
+      ? (new Date(actualEndTime) - new Date(actualStartTime)) / (60 * 1000)
+      : 0;
+    const minutes = actual > 0 ? actual : AvailabilityService.getDurationMinutes(serviceRequest);
+
+    return Math.min(Math.max(minutes, SLOT_CONFIG.minDurationMinutes), SLOT_CONFIG.maxDurationMinutes);
+  }
+
+  /**
+   * Tarifa por hora a urgencia media de una solicitud completada
+   * @param {Object} serviceRequest - Solicitud completada
+   * @returns {Object} { hourlyRate, durationMinutes }
+   */
+  toSample(serviceRequest) {
+    const durationMinutes = this.getSampleDurationMinutes(serviceRequest);
+    const urgencyFactor = URGENCY_PRICE_FACTORS[serviceRequest.service.urgency] || 1;
+
+    return {
+      hourlyRate: serviceRequest.pricing.finalCost / (durationMinutes / HOUR_MINUTES) / urgencyFactor,
+      durationMinutes
+    };
+  }
+
+  /**
+   * Grupos a los que aporta una solicitud: categoría, +subcategoría, +ciudad y ambas
+   * @param {Object} serviceRequest - Solicitud completada
+   * @returns {Array<Object>} [{ category, subcategory, city }]
+   */
+  getGroups(serviceRequest) {
+    const category = serviceRequest.service.category;
+    const subcategory = this.normalizeSubcategory(serviceRequest.service.subcategory);
+    const city = this.normalizeCity(serviceRequest.location?.address?.city);
+
+    const groups = [{ category, subcategory: null, city: null }];
+    if (subcategory) groups.push({ category, subcategory, city: null });
+    if (city) groups.push({ category, subcategory: null, city });
+    if (subcategory && city) groups.push({ category, subcategory, city });
+    return groups;
+  }
+
+  /**
+   * Recalcular todas las estimaciones (tarea programada price_estimates)
+   * @param {Date} now - Fecha de referencia
+   * @returns {Promise<Object>} { samples, estimates, removed }
+   */
+  async recompute(now = new Date()) {
+    const since = new Date(now.getTime() - PRICE_ESTIMATE_CONFIG.lookbackDays * DAY_MS);
+    const groups = new Map();
+    let samples = 0;
+
+    const cursor = ServiceRequest.find({
+      status: 'completed',
+      'pricing.finalCost': { $gt: 0 },
+      'pricing.currency': PRICE_ESTIMATE_CONFIG.currency,
+      createdAt: { $gte: since }
+    })
+      .select('service.category service.subcategory service.urgency location.address.city pricing.finalCost scheduling.estimatedDuration scheduling.actualStartTime scheduling.actualEndTime')
+      .lean()
+      .cursor();
+
+    for await (const serviceRequest of cursor) {
+      const sample = this.toSample(serviceRequest);
+      samples += 1;
+
+      this.getGroups(serviceRequest).forEach(group => {
+        const key = [group.category, group.subcategory, group.city].join('|');
+        if (!groups.has(key)) groups.set(key, { ...group, rates: [], durations: [] });
+        groups.get(key).rates.push(sample.hourlyRate);
+        groups.get(key).durations.push(sample.durationMinutes);
+      });
+    }
+
+    const operations = [...groups.values()].map(group => {
+      const rates = group.rates.sort((a, b) => a - b);
+      const durations = group.durations.sort((a, b) => a - b);
+
+      return {
+        updateOne: {
+          filter: {
+            category: group.category,
+            subcategory: group.subcategory,
+            city: group.city,
+            currency: PRICE_ESTIMATE_CONFIG.currency
+          },
+          update: {
+            $set: {
+              sampleCount: rates.length,
+              hourlyRate: {
+                p25: quantile(rates, 0.25),
+                median: quantile(rates, 0.5),
+                p75: quantile(rates, 0.75)
+              },
+              medianDurationMinutes: Math.round(quantile(durations, 0.5)),
+              computedAt: now
+            }
+          },
+          upsert: true
+        }
+      };
+    });
+
+    if (operations.length > 0) {
+      await PriceEstimate.bulkWrite(operations, { ordered: false });
+    }
+
+    // Grupos que ya no tienen solicitudes dentro de la ventana
+    const { deletedCount } = await PriceEstimate.deleteMany({ computedAt: { $lt: now } });
+    this.cache.clear();
+
+    logger.info('Estimaciones de precio recalculadas:', {
+      samples,
+      estimates: operations.length,
+      removed: deletedCount
+    });
+
+    return { samples, estimates: operations.length, removed: deletedCount };
+  }
+
+  /**
+   * Estimaciones precalculadas de una categoría (con caché en memoria)
+   * @param {string} category - Categoría
+   * @returns {Promise<Array>}
+   */
+  async getCategoryEstimates(category) {
+    const cached = this.cache.get(category);
+    if (cached && Date.now() - cached.cachedAt < PRICE_ESTIMATE_CONFIG.cacheMs) {
+      return cached.estimates;
+    }
+
+    const estimates = await PriceEstimate.find({
+      category,
+      currency: PRICE_ESTIMATE_CONFIG.currency
+    }).lean();
+
+    this.cache.set(category, { estimates, cachedAt: Date.now() });
+    return estimates;
+  }
+
+  /**
+   * Estimar el precio de un servicio: el grupo más específico con suficientes
+   * muestras (subcategoría y ciudad, subcategoría, ciudad, categoría) o el precio
+   * sugerido de la categoría
+   * @param {Object} params - { category, subcategory, city, duration (horas), urgency }
+   * @returns {Promise<Object>} { range: { p25, median, p75 } | null, sampleCount, source, ... }
+   */
+  async estimate(params) {
+    const categories = await ServiceCategoryService.getAll();
+    const category = categories.find(item => item.slug === params.category && !item.parent);
+    if (!category) {
+      throw new AppError('Categoría de servicio no encontrada', 404, 'SERVICE_CATEGORY_NOT_FOUND');
+    }
+
+    const subcategory = this.normalizeSubcategory(params.subcategory);
+    const city = this.normalizeCity(params.city);
+    const urgency = URGENCY_PRICE_FACTORS[params.urgency] ? params.urgency : 'medium';
+    const urgencyFactor = URGENCY_PRICE_FACTORS[urgency];
+    const requestedMinutes = params.duration ? Math.round(params.duration * HOUR_MINUTES) : null;
+
+    const estimates = await this.getCategoryEstimates(category.slug);
+    const candidates = [
+      [subcategory, city],
+      [subcategory, null],
+      [null, city],
+      [null, null]
+    ]
+      .filter(([groupSubcategory, groupCity]) =>
+        (groupSubcategory === null || subcategory) && (groupCity === null || city))
+      .map(([groupSubcategory, groupCity]) => estimates.find(estimate =>
+        estimate.subcategory === groupSubcategory && estimate.city === groupCity))
+      .filter(Boolean);
+
+    const match = candidates.find(estimate => estimate.sampleCount >= PRICE_ESTIMATE_CONFIG.minSamples);
+    const base = {
+      category: category.slug,
+      subcategory: subcategory || null,
+      city: city || null,
+      urgency,
+      currency: PRICE_ESTIMATE_CONFIG.currency
+    };
+
+    if (match) {
+      const durationMinutes = requestedMinutes || match.medianDurationMinutes;
+      const multiplier = (durationMinutes / HOUR_MINUTES) * urgencyFactor;
+
+      return {
+        ...base,
+        range: {
+          p25: roundPrice(match.hourlyRate.p25 * multiplier),
+          median: roundPrice(match.hourlyRate.median * multiplier),
+          p75: roundPrice(match.hourlyRate.p75 * multiplier)
+        },
+        durationMinutes,
+        sampleCount: match.sampleCount,
+        source: 'historical',
+        basedOn: { subcategory: match.subcategory !== null, city: match.city !== null },
+        computedAt: match.computedAt
+      };
+    }
+
+    // Datos insuficientes: precio sugerido de la categoría
+    const durationMinutes = requestedMinutes || SLOT_CONFIG.defaultDurationMinutes;
+    const sampleCount = candidates.length > 0 ? candidates[0].sampleCount : 0;
+    const hint = category.pricingHint;
+
+    if (!hint || hint.min == null || hint.max == null) {
+      return { ...base, range: null, durationMinutes, sampleCount, source: 'none' };
+    }
+
+    // Sugerencias por hora escalan con la duración; por servicio, día o proyecto no
+    const multiplier = (hint.unit === 'hour' ? durationMinutes / HOUR_MINUTES : 1) * urgencyFactor;
+
+    return {
+      ...base,
+      range: {
+        p25: roundPrice(hint.min * multiplier),
+        median: roundPrice(((hint.min + hint.max) / 2) * multiplier),
+        p75: roundPrice(hint.max * multiplier)
+      },
+      durationMinutes,
+      sampleCount,
+      source: 'category_default'
+    };
+  }
+}
+
+module.exports = new PriceEstimateService();
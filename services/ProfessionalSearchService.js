@@ -0,0 +1,427 @@
+/**
+ * Servicio de Búsqueda de Profesionales
+ * Aplica los filtros de búsqueda (texto libre, categoría, precio, calificación,
+ * verificación, emergencias, fines de semana, plan y ubicación), calcula las
+ * facetas con sus conteos y entrega los candidatos al motor de ranking
+ * (ver RankingService)
+ */
+
+const Professional = require('../models/Professional');
+const User = require('../models/User');
+const RankingService = require('./RankingService');
+const { RANKING_CONFIG } = require('../config/ranking');
+const { SEARCH_FACETS, PRICE_RANGES, RATING_BANDS } = require('../config/search');
+
+// Campos públicos de los candidatos (sin datos fiscales, bancarios ni ganancias)
+const CANDIDATE_FIELDS = [
+  'userId',
+  'businessInfo.businessName',
+  'businessInfo.businessType',
+  'businessInfo.description',
+  'businessInfo.website',
+  'services',
+  'rating',
+  'statistics.totalServices',
+  'statistics.completedServices',
+  'statistics.completionRate',
+  'statistics.averageResponseTime',
+  'verification.status',
+  'subscription.plan',
+  'subscription.isActive',
+  'subscription.endDate',
+  'preferences.emergencyServices',
+  'preferences.weekendWork',
+  'serviceRadius',
+  'isActive',
+  'createdAt'
+];
+
+// Filtros que ignora cada faceta: sus conteos respetan el resto de filtros activos
+const FACET_EXCLUDED_FILTERS = {
+  category: ['category'],
+  subcategory: ['subcategory'],
+  priceRange: ['priceRange', 'maxPrice'],
+  rating: ['minRating'],
+  verification: ['verifiedOnly'],
+  emergencyServices: ['emergencyServices'],
+  weekendWork: ['weekendWork'],
+  subscription: ['subscriptionPlans']
+};
+
+const sortByRelevance = (a, b) => (b.relevance || 0) - (a.relevance || 0) || b.score - a.score;
+
+class ProfessionalSearchService {
+  /**
+   * Rango de precio configurado
+   * @param {string} key - Clave del rango (ver PRICE_RANGES)
+   * @returns {Object|null} { key, min, max }
+   */
+  getPriceRange(key) {
+    return PRICE_RANGES.find(range => range.key === key) || null;
+  }
+
+  /**
+   * Condición que debe cumplir al menos un servicio del profesional
+   * @param {Object} filters - Filtros de búsqueda
+   * @param {Array<string>} excluded - Filtros a ignorar
+   * @returns {Object} Condición para $elemMatch
+   */
+  buildServiceMatch(filters, excluded = []) {
+    const applies = (name) => filters[name] && !excluded.includes(name);
+    const match = { isActive: true };
+
+    if (applies('category')) match.category = filters.category;
+    if (applies('subcategory')) match.subcategory = filters.subcategory;
+
+    const amount = {};
+    if (applies('maxPrice')) amount.$lte = filters.maxPrice;
+
+    const range = applies('priceRange') ? this.getPriceRange(filters.priceRange) : null;
+    if (range) {
+      amount.$gte = range.min;
+      if (range.max !== null) amount.$lt = range.max;
+    }
+
+    if (Object.keys(amount).length > 0) {
+      match['pricing.amount'] = amount;
+    }
+
+    return match;
+  }
+
+  /**
+   * Condiciones comunes a resultados y facetas (texto libre, ubicación y
+   * fecha de publicación)
+   * @param {Object} filters - Filtros de búsqueda
+   * @param {Array|null} userIds - Usuarios dentro del radio (null: sin ubicación)
+   * @returns {Object}
+   */
+  buildBaseQuery(filters, userIds = null) {
+    const query = { isActive: true };
+
+    if (filters.q) {
+      query.$text = { $search: filters.q };
+    }
+
+    if (userIds) {
+      query.userId = { $in: userIds };
+    }
+
+    if (filters.listedAfter) {
+      query.listedAt = { $gt: filters.listedAfter };
+    }
+
+    return query;
+  }
+
+  /**
+   * Condiciones de los filtros seleccionables (las que ignoran las facetas)
+   * @param {Object} filters - Filtros de búsqueda
+   * @param {Array<string>} excluded - Filtros a ignorar
+   * @returns {Object}
+   */
+  buildFilterQuery(filters, excluded = []) {
+    const applies = (name) => filters[name] && !excluded.includes(name);
+    const query = {
+      services: { $elemMatch: this.buildServiceMatch(filters, excluded) }
+    };
+
+    if (applies('minRating')) {
+      query['rating.average'] = { $gte: filters.minRating };
+    }
+
+    if (applies('verifiedOnly')) {
+      query['verification.status'] = 'verified';
+    }
+
+    if (applies('emergencyServices')) {
+      query['preferences.emergencyServices'] = true;
+    }
+
+    if (applies('weekendWork')) {
+      query['preferences.weekendWork'] = true;
+    }
+
+    if (applies('subscriptionPlans') && filters.subscriptionPlans.length > 0) {
+      query['subscription.plan'] = { $in: filters.subscriptionPlans };
+    }
+
+    return query;
+  }
+
+  /**
+   * Usuarios activos dentro del radio de búsqueda, del más cercano al más lejano
+   * @param {Object} filters - { coordinates, radiusKm }
+   * @returns {Promise<Array|null>} IDs de usuario o null si no hay ubicación
+   */
+  async findUserIdsInRadius(filters) {
+    if (!filters.coordinates) return null;
+
+    const radiusKm = filters.radiusKm || RANKING_CONFIG.distance.defaultRadiusKm;
+    const users = await User.find({
+      isActive: true,
+      'profile.address.coordinates': {
+        $near: {
+          $geometry: { type: 'Point', coordinates: filters.coordinates },
+          $maxDistance: radiusKm * 1000
+        }
+      }
+    }).select('_id');
+
+    return users.map(user => user._id);
+  }
+
+  /**
+   * Buscar profesionales activos que cumplan los filtros. Con texto libre se
+   * conservan los más relevantes; con ubicación, los más cercanos
+   * @param {Object} filters - Filtros
+   * @param {string} filters.q - Texto libre (negocio, títulos y etiquetas de servicios)
+   * @param {string} filters.category - Categoría del servicio
+   * @param {string} filters.subcategory - Subcategoría
+   * @param {Array<number>} filters.coordinates - [lng, lat] de referencia
+   * @param {number} filters.radiusKm - Radio de búsqueda (requiere coordinates)
+   * @param {number} filters.minRating - Calificación promedio mínima
+   * @param {number} filters.maxPrice - Precio máximo del servicio
+   * @param {string} filters.priceRange - Rango de precio (ver PRICE_RANGES)
+   * @param {boolean} filters.verifiedOnly - Solo profesionales verificados
+   * @param {boolean} filters.emergencyServices - Solo quienes atienden emergencias
+   * @param {boolean} filters.weekendWork - Solo quienes trabajan fines de semana
+   * @param {Array<string>} filters.subscriptionPlans - Planes de suscripción
+   * @param {Date} filters.listedAfter - Solo publicados después de esta fecha (ver Professional.listedAt)
+   * @param {Array} userIds - Resultado de findUserIdsInRadius (se consulta si se omite)
+   * @returns {Promise<Array>} Profesionales con userId poblado
+   */
+  async findCandidates(filters = {}, userIds) {
+    if (userIds === undefined) {
+      userIds = await this.findUserIdsInRadius(filters);
+    }
+
+    const query = {
+      ...this.buildBaseQuery(filters, userIds),
+      ...this.buildFilterQuery(filters)
+    };
+    const projection = CANDIDATE_FIELDS.reduce((fields, field) => {
+      fields[field] = 1;
+      return fields;
+    }, {});
+    let sort = null;
+
+    if (filters.q) {
+      projection.relevance = { $meta: 'textScore' };
+      sort = { relevance: { $meta: 'textScore' } };
+    } else if (userIds) {
+      // userIds viene ordenado por distancia: se conservan los más cercanos
+      const matching = new Set(
+        (await Professional.find(query).distinct('userId')).map(id => id.toString())
+      );
+      query.userId = {
+        $in: userIds.filter(id => matching.has(id.toString())).slice(0, RANKING_CONFIG.maxCandidates)
+      };
+    }
+
+    const cursor = Professional.find(query, projection);
+    if (sort) cursor.sort(sort);
+
+    const professionals = await cursor
+      .populate('userId', 'profile.firstName profile.lastName profile.avatar profile.address.city profile.address.coordinates isActive')
+      .limit(RANKING_CONFIG.maxCandidates);
+
+    return professionals.filter(professional => professional.userId?.isActive);
+  }
+
+  /**
+   * Etapas de una faceta sobre los servicios que cumplen el resto de filtros
+   * (cada profesional cuenta una vez por valor)
+   * @param {Object} filters - Filtros de búsqueda
+   * @param {Array<string>} excluded - Filtros que ignora la faceta
+   * @param {*} value - Expresión del valor a contar
+   * @returns {Array}
+   */
+  buildServiceFacet(filters, excluded, value) {
+    const serviceMatch = Object.entries(this.buildServiceMatch(filters, excluded))
+      .reduce((match, [field, condition]) => {
+        match[`services.${field}`] = condition;
+        return match;
+      }, {});
+
+    return [
+      { $unwind: '$services' },
+      { $match: serviceMatch },
+      { $group: { _id: { professional: '$_id', value } } },
+      { $match: { '_id.value': { $ne: null } } },
+      { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+  }
+
+  /**
+   * Etapas de cada faceta
+   * @param {string} facet - Faceta (ver SEARCH_FACETS)
+   * @param {Object} filters - Filtros de búsqueda
+   * @returns {Array}
+   */
+  buildFacetStages(facet, filters) {
+    const excluded = FACET_EXCLUDED_FILTERS[facet];
+    const stages = [{ $match: this.buildFilterQuery(filters, excluded) }];
+    const countBy = (value) => [
+      { $group: { _id: value, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+
+    switch (facet) {
+      case 'category':
+        return stages.concat(this.buildServiceFacet(filters, excluded, '$services.category'));
+
+      case 'subcategory':
+        return stages.concat(this.buildServiceFacet(filters, excluded, '$services.subcategory'));
+
+      case 'priceRange':
+        return stages.concat(this.buildServiceFacet(filters, excluded, {
+          $switch: {
+            branches: PRICE_RANGES.map(range => ({
+              case: {
+                $and: [
+                  { $gte: ['$services.pricing.amount', range.min] },
+                  ...(range.max !== null ? [{ $lt: ['$services.pricing.amount', range.max] }] : [])
+                ]
+              },
+              then: range.key
+            })),
+            default: null
+          }
+        }));
+
+      case 'rating':
+        return stages.concat([{
+          $group: RATING_BANDS.reduce((group, band, index) => {
+            group[`band${index}`] = { $sum: { $cond: [{ $gte: ['$rating.average', band] }, 1, 0] } };
+            return group;
+          }, { _id: null })
+        }]);
+
+      case 'verification':
+        return stages.concat(countBy({ $ifNull: ['$verification.status', 'pending'] }));
+
+      case 'emergencyServices':
+        return stages.concat(countBy({ $ifNull: ['$preferences.emergencyServices', false] }));
+
+      case 'weekendWork':
+        return stages.concat(countBy({ $ifNull: ['$preferences.weekendWork', false] }));
+
+      case 'subscription':
+        return stages.concat(countBy({ $ifNull: ['$subscription.plan', 'basic'] }));
+
+      default:
+        return stages;
+    }
+  }
+
+  /**
+   * Dar formato a los conteos de una faceta
+   * @param {string} facet - Faceta
+   * @param {Array} buckets - Salida de la agregación
+   * @returns {Array} [{ value, count }] (rangos de precio con min y max)
+   */
+  formatFacet(facet, buckets = []) {
+    const counts = new Map(buckets.map(bucket => [bucket._id, bucket.count]));
+
+    switch (facet) {
+      case 'priceRange':
+        return PRICE_RANGES.map(range => ({
+          value: range.key,
+          min: range.min,
+          max: range.max,
+          count: counts.get(range.key) || 0
+        }));
+
+      case 'rating':
+        return RATING_BANDS.map((band, index) => ({
+          value: band,
+          count: buckets[0]?.[`band${index}`] || 0
+        }));
+
+      case 'emergencyServices':
+      case 'weekendWork':
+        return [true, false].map(value => ({ value, count: counts.get(value) || 0 }));
+
+      default:
+        return buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+    }
+  }
+
+  /**
+   * Conteos de cada faceta. Cada faceta respeta los demás filtros activos pero
+   * no el propio, para mostrar cuántos resultados daría cambiar esa selección
+   * @param {Object} filters - Filtros de búsqueda
+   * @param {Array|null} userIds - Resultado de findUserIdsInRadius
+   * @returns {Promise<Object>} { faceta: [{ value, count }] }
+   */
+  async getFacets(filters = {}, userIds = null) {
+    const facetStages = SEARCH_FACETS.reduce((stages, facet) => {
+      stages[facet] = this.buildFacetStages(facet, filters);
+      return stages;
+    }, {});
+
+    const [result = {}] = await Professional.aggregate([
+      { $match: this.buildBaseQuery(filters, userIds) },
+      { $facet: facetStages }
+    ]);
+
+    return SEARCH_FACETS.reduce((facets, facet) => {
+      facets[facet] = this.formatFacet(facet, result[facet]);
+      return facets;
+    }, {});
+  }
+
+  /**
+   * Buscar, rankear y paginar profesionales
+   * @param {Object} filters - Filtros de findCandidates más budget
+   * @param {Object} options - { sortBy: relevance|score|rating|reviews|price|distance, page, limit, facets }
+   * @returns {Promise<Object>} { results, total, facets }
+   */
+  async search(filters = {}, options = {}) {
+    const page = options.page || 1;
+    const limit = options.limit || 10;
+
+    const userIds = await this.findUserIdsInRadius(filters);
+    const candidates = await this.findCandidates(filters, userIds);
+    const facets = options.facets ? await this.getFacets(filters, userIds) : null;
+    const ranked = await RankingService.rank(candidates, filters);
+
+    if (filters.q) {
+      ranked.forEach(result => {
+        result.relevance = Math.round((result.professional.get('relevance') || 0) * 1000) / 1000;
+      });
+    }
+
+    if (options.sortBy === 'relevance' && filters.q) {
+      ranked.sort(sortByRelevance);
+    } else {
+      RankingService.sort(ranked, options.sortBy);
+    }
+
+    return {
+      results: ranked.slice((page - 1) * limit, page * limit),
+      total: ranked.length,
+      facets
+    };
+  }
+
+  /**
+   * Serializar un resultado de la búsqueda para la respuesta de la API
+   * @param {Object} result - Elemento devuelto por search
+   * @returns {Object}
+   */
+  toResponse(result) {
+    // La relevancia de texto viaja dentro de ranking, no como campo del profesional
+    const { relevance, ...response } = RankingService.toResponse(result);
+
+    if (result.relevance !== undefined) {
+      response.ranking.relevance = result.relevance;
+    }
+
+    return response;
+  }
+}
+
+module.exports = new ProfessionalSearchService();
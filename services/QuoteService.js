@@ -0,0 +1,822 @@
+/**
+ * Servicio de Cotizaciones
+ * Negociación entre cliente y profesionales sobre una solicitud: envío, revisiones,
+ * contraofertas, aceptación (rechaza las demás y asigna al profesional), rechazo,
+ * retiro y vencimiento. Mantiene la solicitud en 'quoted' mientras haya cotizaciones vigentes
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const Quote = require('../models/Quote');
+const ServiceRequestStateMachine = require('./ServiceRequestStateMachine');
+const BiddingService = require('./BiddingService');
+const { AppError } = require('../utils/errors');
+const { notifyServiceRequestUser } = require('../utils/service-requests');
+const { GeolocationUtils } = require('../utils/geolocation');
+const logger = require('../utils/logger');
+const {
+  QUOTE_OPEN_STATUSES,
+  QUOTE_ACTIONS,
+  QUOTABLE_REQUEST_STATUSES,
+  QUOTE_CONFIG,
+  QUOTE_COMPARISON_CRITERIA
+} = require('../config/quotes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Términos de una oferta del profesional que se conservan entre versiones
+const OFFER_FIELDS = [
+  'price', 'availableDate', 'availableTime', 'description',
+  'estimatedDuration', 'materials', 'transportCost', 'warrantyDays', 'terms'
+];
+
+class QuoteService {
+  /**
+   * Obtener una cotización de la solicitud o lanzar 404
+   * @param {string} serviceRequestId - ID de la solicitud
+   * @param {string} quoteId - ID de la cotización
+   * @returns {Promise<Object>}
+   */
+  async loadQuote(serviceRequestId, quoteId) {
+    const quote = await Quote.findOne({ _id: quoteId, serviceRequestId });
+    if (!quote) {
+      throw new AppError('Cotización no encontrada', 404, 'QUOTE_NOT_FOUND');
+    }
+    return quote;
+  }
+
+  /**
+   * Perfil profesional del usuario
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object|null>}
+   */
+  async getProfessional(user) {
+    if (user.role !== 'professional') return null;
+    return Professional.findOne({ userId: user._id });
+  }
+
+  /**
+   * Determinar el rol del usuario respecto a una cotización
+   * @param {Object} quote - Cotización
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<string|null>} client, professional, admin o null
+   */
+  async getRole(quote, user) {
+    if (user.role === 'admin') return 'admin';
+    if (quote.clientId.toString() === user._id.toString()) return 'client';
+
+    const professional = await this.getProfessional(user);
+    if (professional && professional._id.toString() === quote.professionalId.toString()) {
+      return 'professional';
+    }
+
+    return null;
+  }
+
+  /**
+   * Verificar que la acción se pueda ejecutar sobre la cotización
+   * @param {Object} quote - Cotización
+   * @param {string} action - Acción de QUOTE_ACTIONS
+   * @param {Object} user - Usuario autenticado
+   */
+  async assertAction(quote, action, user) {
+    const { label, from, role } = QUOTE_ACTIONS[action];
+
+    if (await this.getRole(quote, user) !== role) {
+      throw new AppError('No tienes permisos para realizar esta acción sobre la cotización', 403, 'FORBIDDEN');
+    }
+
+    if (!from.includes(quote.status)) {
+      throw new AppError(
+        `No se puede '${label.toLowerCase()}' una cotización en estado ${quote.status}`,
+        409,
+        'QUOTE_ACTION_NOT_ALLOWED'
+      );
+    }
+  }
+
+  /**
+   * Verificar que la cotización siga vigente
+   * @param {Object} quote - Cotización
+   */
+  assertNotExpired(quote) {
+    if (quote.validUntil && quote.validUntil <= new Date()) {
+      throw new AppError('La cotización está vencida', 409, 'QUOTE_EXPIRED');
+    }
+  }
+
+  /**
+   * Verificar que la solicitud admita cotizaciones
+   * @param {Object} serviceRequest - Solicitud de servicio
+   */
+  assertQuotable(serviceRequest) {
+    if (!QUOTABLE_REQUEST_STATUSES.includes(serviceRequest.status)) {
+      throw new AppError('Esta solicitud ya no está disponible para cotizaciones', 409, 'SERVICE_REQUEST_NOT_QUOTABLE');
+    }
+  }
+
+  /**
+   * Vigencia de una versión (la enviada o la vigencia por defecto)
+   * @param {Date} validUntil - Vigencia solicitada
+   * @returns {Date}
+   */
+  resolveValidUntil(validUntil) {
+    return validUntil && new Date(validUntil) > new Date()
+      ? new Date(validUntil)
+      : new Date(Date.now() + QUOTE_CONFIG.validityDays * DAY_MS);
+  }
+
+  /**
+   * Términos de una nueva oferta: los enviados sobre los de la última oferta
+   * @param {Object} quote - Cotización
+   * @param {Object} data - Términos enviados
+   * @returns {Object}
+   */
+  buildOffer(quote, data) {
+    const previous = quote.getLatestOffer();
+    const base = previous ? previous.toObject() : {};
+
+    return OFFER_FIELDS.reduce((offer, field) => {
+      const value = data[field] !== undefined ? data[field] : base[field];
+      if (value !== undefined) offer[field] = value;
+      return offer;
+    }, {});
+  }
+
+  /**
+   * Crear una cotización (borrador o enviada)
+   * @param {Object} serviceRequest - Solicitud a cotizar
+   * @param {Object} user - Profesional
+   * @param {Object} data - Términos de la oferta y draft
+   * @returns {Promise<Object>} Cotización creada
+   */
+  async create(serviceRequest, user, data) {
+    const professional = await this.getProfessional(user);
+    if (!professional) {
+      throw new AppError('Perfil profesional no encontrado', 404, 'PROFESSIONAL_NOT_FOUND');
+    }
+
+    if (professional.verification?.status !== 'verified') {
+      throw new AppError('Debes tener un perfil verificado para enviar cotizaciones', 403, 'PROFESSIONAL_NOT_VERIFIED');
+    }
+
+    const directProfessionalId = serviceRequest.directRequest?.professionalId;
+    if (directProfessionalId && !directProfessionalId.equals(professional._id)) {
+      throw new AppError('La solicitud es privada para otro profesional', 403, 'DIRECT_REQUEST');
+    }
+
+    if (!professional.services.some(service => service.category === serviceRequest.service.category)) {
+      throw new AppError('No ofreces este tipo de servicio', 403, 'SERVICE_NOT_OFFERED');
+    }
+
+    this.assertQuotable(serviceRequest);
+
+    const existing = await Quote.findOne({
+      serviceRequestId: serviceRequest._id,
+      professionalId: professional._id,
+      status: { $in: ['draft', ...QUOTE_OPEN_STATUSES] }
+    }).select('_id');
+    if (existing) {
+      throw new AppError('Ya tienes una cotización activa para esta solicitud', 409, 'QUOTE_EXISTS', {
+        quoteId: existing._id
+      });
+    }
+
+    const quote = new Quote({
+      serviceRequestId: serviceRequest._id,
+      professionalId: professional._id,
+      clientId: serviceRequest.clientId,
+      currency: serviceRequest.pricing?.currency,
+      price: data.price
+    });
+    quote.addVersion({
+      ...this.buildOffer(quote, data),
+      author: 'professional',
+      createdBy: user._id,
+      validUntil: data.validUntil ? new Date(data.validUntil) : undefined
+    });
+    quote.setStatus('draft', user._id);
+
+    if (data.draft) {
+      await quote.save();
+      return quote;
+    }
+
+    return this.send(quote, user, serviceRequest);
+  }
+
+  /**
+   * Enviar un borrador al cliente
+   * @param {Object} quote - Cotización en borrador
+   * @param {Object} user - Profesional autor
+   * @param {Object} serviceRequest - Solicitud cotizada
+   * @returns {Promise<Object>} Cotización enviada
+   */
+  async send(quote, user, serviceRequest) {
+    await this.assertAction(quote, 'send', user);
+    this.assertQuotable(serviceRequest);
+
+    const offer = quote.versions[quote.versions.length - 1];
+    offer.validUntil = this.resolveValidUntil(offer.validUntil);
+    quote.validUntil = offer.validUntil;
+    quote.sentAt = new Date();
+    quote.setStatus('sent', user._id);
+
+    // Con ventana de cotizaciones, las tardías o por encima del cupo se rechazan
+    const claimedSlot = await BiddingService.claimSlot(serviceRequest);
+    try {
+      await quote.save();
+    } catch (error) {
+      if (claimedSlot) await BiddingService.releaseSlot(serviceRequest);
+      throw error;
+    }
+
+    await this.syncServiceRequest(serviceRequest, { user });
+
+    await this.notify(serviceRequest.clientId, serviceRequest, quote, 'QUOTE_RECEIVED');
+
+    return quote;
+  }
+
+  /**
+   * Editar un borrador o revisar una cotización enviada (nueva versión)
+   * @param {Object} quote - Cotización
+   * @param {Object} user - Profesional autor
+   * @param {Object} data - Términos a cambiar y mensaje
+   * @param {Object} serviceRequest - Solicitud cotizada
+   * @returns {Promise<Object>} Cotización actualizada
+   */
+  async revise(quote, user, data, serviceRequest) {
+    if (quote.status === 'draft') {
+      if (await this.getRole(quote, user) !== 'professional') {
+        throw new AppError('No tienes permisos para realizar esta acción sobre la cotización', 403, 'FORBIDDEN');
+      }
+
+      // El borrador no tiene historial: se reemplaza su única versión
+      const offer = this.buildOffer(quote, data);
+      const validUntil = data.validUntil ? new Date(data.validUntil) : quote.versions[0].validUntil;
+      quote.versions = [];
+      quote.addVersion({ ...offer, author: 'professional', createdBy: user._id, validUntil });
+      await quote.save();
+      return quote;
+    }
+
+    await this.assertAction(quote, 'revise', user);
+    this.assertVersionLimit(quote);
+
+    quote.addVersion({
+      ...this.buildOffer(quote, data),
+      author: 'professional',
+      createdBy: user._id,
+      message: data.message,
+      validUntil: this.resolveValidUntil(data.validUntil)
+    });
+    quote.setStatus('revised', user._id);
+    await quote.save();
+
+    await this.syncServiceRequest(serviceRequest, { user });
+
+    await this.notify(serviceRequest.clientId, serviceRequest, quote, 'QUOTE_REVISED');
+
+    return quote;
+  }
+
+  /**
+   * Contraofertar precio o fecha (cliente)
+   * @param {Object} quote - Cotización enviada o revisada
+   * @param {Object} user - Cliente
+   * @param {Object} data - { price, availableDate, availableTime, message }
+   * @param {Object} serviceRequest - Solicitud cotizada
+   * @returns {Promise<Object>} Cotización contraofertada
+   */
+  async counter(quote, user, data, serviceRequest) {
+    await this.assertAction(quote, 'counter', user);
+    this.assertNotExpired(quote);
+    this.assertVersionLimit(quote);
+
+    quote.addVersion({
+      author: 'client',
+      createdBy: user._id,
+      price: data.price !== undefined ? data.price : quote.price,
+      availableDate: data.availableDate || quote.availableDate,
+      availableTime: data.availableTime || quote.availableTime,
+      message: data.message
+    });
+    quote.setStatus('countered', user._id);
+    await quote.save();
+
+    await this.notify(await this.getProfessionalUserId(quote), serviceRequest, quote, 'QUOTE_COUNTERED');
+
+    return quote;
+  }
+
+  /**
+   * Aceptar una cotización: asigna al profesional, fija el precio y rechaza las demás
+   * @param {Object} quote - Cotización enviada o revisada
+   * @param {Object} user - Cliente
+   * @param {Object} serviceRequest - Solicitud cotizada
+   * @returns {Promise<Object>} { quote, serviceRequest }
+   */
+  async accept(quote, user, serviceRequest) {
+    await this.assertAction(quote, 'accept', user);
+    this.assertNotExpired(quote);
+
+    if (serviceRequest.status !== 'quoted') {
+      throw new AppError('La solicitud ya no admite aceptar cotizaciones', 409, 'SERVICE_REQUEST_NOT_QUOTABLE');
+    }
+
+    const previousStatus = quote.status;
+    const acceptedAt = new Date();
+
+    // Reclamo atómico: el índice único de cotizaciones aceptadas impide una segunda
+    // aceptación en la misma solicitud, y el filtro por versión una oferta ya cambiada
+    let claimed;
+    try {
+      claimed = await Quote.findOneAndUpdate(
+        { _id: quote._id, status: previousStatus, version: quote.version },
+        {
+          $set: { status: 'accepted', acceptedAt },
+          $push: { statusHistory: { status: 'accepted', changedBy: user._id, changedAt: acceptedAt } }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('La solicitud ya tiene una cotización aceptada', 409, 'QUOTE_ALREADY_ACCEPTED');
+      }
+      throw error;
+    }
+
+    if (!claimed) {
+      throw new AppError('La cotización cambió; revisa la versión actual', 409, 'QUOTE_CHANGED');
+    }
+
+    serviceRequest.professionalId = quote.professionalId;
+    serviceRequest.acceptedQuoteId = quote._id;
+    serviceRequest.pricing.quotedCost = quote.price;
+    if (quote.availableDate && quote.availableTime) {
+      serviceRequest.scheduling.preferredDate = quote.availableDate;
+      serviceRequest.scheduling.preferredTime = quote.availableTime;
+    }
+    const offer = quote.getLatestOffer();
+    if (offer?.estimatedDuration?.value) {
+      serviceRequest.scheduling.estimatedDuration = offer.estimatedDuration;
+    }
+
+    try {
+      await ServiceRequestStateMachine.transition(serviceRequest, 'accept', { user, role: 'system' });
+    } catch (error) {
+      await Quote.updateOne(
+        { _id: quote._id, status: 'accepted' },
+        { $set: { status: previousStatus }, $unset: { acceptedAt: 1 }, $pop: { statusHistory: 1 } }
+      );
+      throw error;
+    }
+
+    if (serviceRequest.bidding?.status === 'open') {
+      await BiddingService.close(serviceRequest._id, 'quote_accepted');
+    }
+
+    const others = await Quote.find({
+      serviceRequestId: serviceRequest._id,
+      _id: { $ne: quote._id },
+      status: { $in: QUOTE_OPEN_STATUSES }
+    }).select('_id professionalId');
+
+    if (others.length) {
+      await Quote.updateMany(
+        { _id: { $in: others.map(other => other._id) }, status: { $in: QUOTE_OPEN_STATUSES } },
+        {
+          $set: { status: 'rejected' },
+          $push: { statusHistory: { status: 'rejected', changedBy: user._id, changedAt: acceptedAt, reason: 'other_quote_accepted' } }
+        }
+      );
+    }
+
+    logger.info('Cotización aceptada:', {
+      quoteId: quote._id,
+      serviceRequestId: serviceRequest._id,
+      professionalId: quote.professionalId,
+      price: quote.price,
+      rejected: others.length
+    });
+
+    await this.notify(await this.getProfessionalUserId(claimed), serviceRequest, claimed, 'QUOTE_ACCEPTED');
+    for (const other of others) {
+      await this.notify(await this.getProfessionalUserId(other), serviceRequest, other, 'QUOTE_REJECTED', {
+        reason: 'Se aceptó otra cotización'
+      });
+    }
+
+    return { quote: claimed, serviceRequest };
+  }
+
+  /**
+   * Rechazar una cotización (cliente)
+   * @param {Object} quote - Cotización vigente
+   * @param {Object} user - Cliente
+   * @param {string} reason - Motivo
+   * @param {Object} serviceRequest - Solicitud cotizada
+   * @returns {Promise<Object>} Cotización rechazada
+   */
+  async reject(quote, user, reason, serviceRequest) {
+    await this.assertAction(quote, 'reject', user);
+
+    quote.setStatus('rejected', user._id, reason);
+    await quote.save();
+
+    await this.syncServiceRequest(serviceRequest, { user, closingAction: 'reject_quote', reason });
+
+    await this.notify(await this.getProfessionalUserId(quote), serviceRequest, quote, 'QUOTE_REJECTED', {
+      reason: reason || 'Sin motivo'
+    });
+
+    return quote;
+  }
+
+  /**
+   * Retirar una cotización (profesional)
+   * @param {Object} quote - Borrador o cotización vigente
+   * @param {Object} user - Profesional autor
+   * @param {string} reason - Motivo
+   * @param {Object} serviceRequest - Solicitud cotizada
+   * @returns {Promise<Object>} Cotización retirada
+   */
+  async withdraw(quote, user, reason, serviceRequest) {
+    await this.assertAction(quote, 'withdraw', user);
+
+    const wasOpen = QUOTE_OPEN_STATUSES.includes(quote.status);
+    quote.setStatus('withdrawn', user._id, reason);
+    await quote.save();
+
+    if (wasOpen) {
+      await this.syncServiceRequest(serviceRequest, {
+        user,
+        role: 'system',
+        closingAction: 'reject_quote',
+        reason: 'quote_withdrawn'
+      });
+
+      await this.notify(serviceRequest.clientId, serviceRequest, quote, 'QUOTE_WITHDRAWN');
+    }
+
+    return quote;
+  }
+
+  /**
+   * Vencer las cotizaciones cuya vigencia expiró (para ejecución programada)
+   * Las solicitudes sin cotizaciones vigentes vuelven a pendiente
+   * @param {Date} now - Instante de referencia
+   * @returns {Promise<Object>} { expired, reopened, failed }
+   */
+  async expireDueQuotes(now = new Date()) {
+    const quotes = await Quote.find({
+      status: { $in: QUOTE_ACTIONS.expire.from },
+      validUntil: { $lte: now }
+    });
+
+    const summary = { expired: 0, reopened: 0, failed: 0 };
+    const serviceRequestIds = new Set();
+
+    for (const quote of quotes) {
+      try {
+        quote.setStatus('expired', null, 'quote_expired');
+        await quote.save();
+        summary.expired += 1;
+        serviceRequestIds.add(quote.serviceRequestId.toString());
+
+        const serviceRequest = await ServiceRequest.findById(quote.serviceRequestId).select('service.title');
+        if (serviceRequest) {
+          await this.notify(await this.getProfessionalUserId(quote), serviceRequest, quote, 'QUOTE_EXPIRED');
+        }
+      } catch (error) {
+        summary.failed += 1;
+        logger.warn('Error venciendo cotización:', {
+          quoteId: quote._id,
+          error: error.message
+        });
+      }
+    }
+
+    for (const serviceRequestId of serviceRequestIds) {
+      try {
+        const serviceRequest = await ServiceRequest.findById(serviceRequestId);
+        if (!serviceRequest) continue;
+
+        const reopened = await this.syncServiceRequest(serviceRequest, {
+          role: 'system',
+          closingAction: 'expire_quote'
+        });
+        if (reopened) summary.reopened += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.warn('Error reabriendo solicitud tras vencer cotizaciones:', {
+          serviceRequestId,
+          error: error.message
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Ajustar la solicitud a sus cotizaciones vigentes: pasa a 'quoted' con la primera,
+   * extiende pricing.quoteValidUntil a la vigencia más lejana y vuelve a 'pending'
+   * (con la acción indicada) cuando ya no queda ninguna
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} options - { user, role, closingAction, reason }
+   * @returns {Promise<boolean>} true si la solicitud volvió a pendiente
+   */
+  async syncServiceRequest(serviceRequest, options = {}) {
+    const { user = null, closingAction = null, reason } = options;
+
+    const latest = await Quote.findOne({
+      serviceRequestId: serviceRequest._id,
+      status: { $in: QUOTE_OPEN_STATUSES }
+    }).sort({ validUntil: -1 }).select('validUntil');
+
+    if (latest) {
+      serviceRequest.set('pricing.quoteValidUntil', latest.validUntil);
+
+      if (serviceRequest.status === 'pending') {
+        await ServiceRequestStateMachine.transition(serviceRequest, 'quote', { user, role: 'system' });
+      } else {
+        await serviceRequest.save();
+      }
+      return false;
+    }
+
+    if (serviceRequest.status === 'quoted' && closingAction) {
+      await ServiceRequestStateMachine.transition(serviceRequest, closingAction, {
+        user,
+        role: options.role || 'system',
+        reason
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Verificar el límite de versiones
+   * @param {Object} quote - Cotización
+   */
+  assertVersionLimit(quote) {
+    if (quote.versions.length >= QUOTE_CONFIG.maxVersions) {
+      throw new AppError('La cotización alcanzó el máximo de versiones', 409, 'QUOTE_VERSION_LIMIT');
+    }
+  }
+
+  /**
+   * Cotizaciones de una solicitud visibles para el usuario: el cliente y los
+   * administradores ven todas las enviadas, cada profesional solo la suya
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Array>}
+   */
+  async getVisibleQuotes(serviceRequest, user) {
+    const query = { serviceRequestId: serviceRequest._id };
+
+    if (user.role !== 'admin' && serviceRequest.clientId.toString() === user._id.toString()) {
+      query.status = { $ne: 'draft' };
+    } else if (user.role !== 'admin') {
+      const professional = await this.getProfessional(user);
+      if (!professional) {
+        throw new AppError('No tienes permisos para ver estas cotizaciones', 403, 'FORBIDDEN');
+      }
+      query.professionalId = professional._id;
+    }
+
+    return Quote.find(query)
+      .sort({ createdAt: -1 })
+      .populate('professionalId', 'businessInfo.businessName rating.average rating.count userId');
+  }
+
+  /**
+   * Comparar lado a lado las cotizaciones vigentes de una solicitud (cliente o admin)
+   * Cada criterio se normaliza entre 0 (peor) y 1 (mejor) y el puntaje es el promedio
+   * ponderado con los pesos del cliente sobre los de QUOTE_COMPARISON_CRITERIA
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} options - { weights: { price, availability, rating, distance }, sortBy }
+   * @returns {Promise<Object>} { quotes, highlights, weights, sortBy }
+   */
+  async compare(serviceRequest, user, options = {}) {
+    if (user.role !== 'admin' && serviceRequest.clientId.toString() !== user._id.toString()) {
+      throw new AppError('Solo el cliente de la solicitud puede comparar sus cotizaciones', 403, 'FORBIDDEN');
+    }
+
+    const quotes = await Quote.find({
+      serviceRequestId: serviceRequest._id,
+      status: { $in: QUOTE_OPEN_STATUSES }
+    }).populate({
+      path: 'professionalId',
+      select: 'businessInfo.businessName rating statistics.completionRate statistics.averageResponseTime verification.status userId',
+      populate: { path: 'userId', select: 'profile.firstName profile.lastName profile.avatar profile.address.coordinates' }
+    });
+
+    const requestCoordinates = serviceRequest.location?.coordinates;
+    const entries = quotes.map(quote => this.buildComparisonEntry(quote, requestCoordinates));
+
+    const weights = Object.keys(QUOTE_COMPARISON_CRITERIA).reduce((result, criterion) => {
+      const weight = options.weights?.[criterion];
+      result[criterion] = weight !== undefined ? weight : QUOTE_COMPARISON_CRITERIA[criterion].weight;
+      return result;
+    }, {});
+    this.scoreComparison(entries, weights);
+
+    const sortBy = options.sortBy || 'score';
+    entries.sort((a, b) => {
+      if (sortBy === 'score') return b.score - a.score;
+      const better = QUOTE_COMPARISON_CRITERIA[sortBy].better === 'lower' ? 1 : -1;
+      const valueA = a.metrics[sortBy];
+      const valueB = b.metrics[sortBy];
+      // Las cotizaciones sin el dato van al final
+      if (valueA === null) return valueB === null ? 0 : 1;
+      if (valueB === null) return -1;
+      return better * (valueA - valueB);
+    });
+
+    return {
+      serviceRequestId: serviceRequest._id,
+      quotes: entries,
+      highlights: {
+        cheapest: this.pickBest(entries, 'price'),
+        soonest: this.pickBest(entries, 'availability'),
+        bestRated: this.pickBest(entries, 'rating')
+      },
+      weights,
+      sortBy
+    };
+  }
+
+  /**
+   * Datos normalizados de una cotización para la comparación
+   * @param {Object} quote - Cotización con el profesional poblado
+   * @param {Array<number>} requestCoordinates - [lng, lat] de la solicitud
+   * @returns {Object}
+   */
+  buildComparisonEntry(quote, requestCoordinates) {
+    const offer = quote.getLatestOffer();
+    const professional = quote.professionalId || {};
+    const professionalCoordinates = professional.userId?.profile?.address?.coordinates;
+
+    const distance = requestCoordinates?.length === 2 && professionalCoordinates?.length === 2
+      ? GeolocationUtils.calculateDistance(requestCoordinates, professionalCoordinates)
+      : null;
+    const availableDate = offer?.availableDate || null;
+
+    return {
+      quoteId: quote._id,
+      status: quote.status,
+      version: quote.version,
+      validUntil: quote.validUntil,
+      // En una contraoferta el precio vigente es el del cliente; se compara la oferta del profesional
+      counterOffer: quote.status === 'countered' ? { price: quote.price, availableDate: quote.availableDate } : null,
+      price: quote.getPriceBreakdown(),
+      availableDate,
+      availableTime: offer?.availableTime || null,
+      estimatedDuration: offer?.estimatedDuration?.value ? offer.estimatedDuration : null,
+      warrantyDays: offer?.warrantyDays || 0,
+      professional: {
+        _id: professional._id,
+        businessName: professional.businessInfo?.businessName,
+        name: professional.userId?.profile
+          ? `${professional.userId.profile.firstName} ${professional.userId.profile.lastName}`
+          : null,
+        avatar: professional.userId?.profile?.avatar,
+        rating: professional.rating?.average || 0,
+        reviewCount: professional.rating?.count || 0,
+        completionRate: professional.statistics?.completionRate || 0,
+        averageResponseTime: professional.statistics?.averageResponseTime || 0,
+        verificationStatus: professional.verification?.status || 'pending',
+        distance
+      },
+      metrics: {
+        price: offer ? offer.price : quote.price,
+        availability: availableDate ? new Date(availableDate).getTime() : null,
+        rating: professional.rating?.average || 0,
+        distance
+      }
+    };
+  }
+
+  /**
+   * Asignar a cada entrada su puntaje (0 a 100) con los pesos dados
+   * @param {Array<Object>} entries - Entradas de la comparación
+   * @param {Object} weights - Peso por criterio
+   */
+  scoreComparison(entries, weights) {
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+    const ranges = Object.keys(QUOTE_COMPARISON_CRITERIA).reduce((result, criterion) => {
+      const values = entries.map(entry => entry.metrics[criterion]).filter(value => value !== null);
+      result[criterion] = { min: Math.min(...values), max: Math.max(...values) };
+      return result;
+    }, {});
+
+    for (const entry of entries) {
+      let weighted = 0;
+
+      for (const [criterion, { better }] of Object.entries(QUOTE_COMPARISON_CRITERIA)) {
+        const value = entry.metrics[criterion];
+        const { min, max } = ranges[criterion];
+        let normalized = 0;
+
+        if (value !== null) {
+          normalized = max === min ? 1 : (value - min) / (max - min);
+          if (better === 'lower' && max !== min) normalized = 1 - normalized;
+        }
+
+        weighted += normalized * weights[criterion];
+      }
+
+      entry.score = totalWeight > 0 ? Math.round((weighted / totalWeight) * 10000) / 100 : 0;
+    }
+  }
+
+  /**
+   * Cotización con el mejor valor de un criterio
+   * @param {Array<Object>} entries - Entradas de la comparación
+   * @param {string} criterion - Criterio de QUOTE_COMPARISON_CRITERIA
+   * @returns {Object|null} ID de la cotización
+   */
+  pickBest(entries, criterion) {
+    const better = QUOTE_COMPARISON_CRITERIA[criterion].better;
+    const best = entries
+      .filter(entry => entry.metrics[criterion] !== null)
+      .reduce((current, entry) => {
+        if (!current) return entry;
+        const value = entry.metrics[criterion];
+        const currentValue = current.metrics[criterion];
+        return (better === 'lower' ? value < currentValue : value > currentValue) ? entry : current;
+      }, null);
+
+    return best ? best.quoteId : null;
+  }
+
+  /**
+   * Estadísticas de cotizaciones de un profesional
+   * @param {Object} professionalId - ID del profesional
+   * @returns {Promise<Object>}
+   */
+  async getStats(professionalId) {
+    const [stats] = await Quote.aggregate([
+      { $match: { professionalId, status: { $ne: 'draft' } } },
+      {
+        $group: {
+          _id: null,
+          totalQuotes: { $sum: 1 },
+          acceptedQuotes: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] } },
+          counteredQuotes: { $sum: { $cond: [{ $gt: [{ $size: '$versions' }, 1] }, 1, 0] } },
+          avgQuotePrice: { $avg: '$price' },
+          totalRevenue: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, '$price', 0] } }
+        }
+      }
+    ]);
+
+    const result = stats || {
+      totalQuotes: 0,
+      acceptedQuotes: 0,
+      counteredQuotes: 0,
+      avgQuotePrice: 0,
+      totalRevenue: 0
+    };
+    delete result._id;
+
+    result.acceptanceRate = result.totalQuotes > 0
+      ? Math.round((result.acceptedQuotes / result.totalQuotes) * 10000) / 100
+      : 0;
+
+    return result;
+  }
+
+  /**
+   * ID de usuario del profesional autor
+   * @param {Object} quote - Cotización
+   * @returns {Promise<Object|null>}
+   */
+  async getProfessionalUserId(quote) {
+    const professional = await Professional.findById(quote.professionalId).select('userId');
+    return professional ? professional.userId : null;
+  }
+
+  /**
+   * Notificar sobre una cotización incluyendo su precio en el template
+   * @param {Object} recipientId - Usuario destinatario
+   * @param {Object} serviceRequest - Solicitud cotizada
+   * @param {Object} quote - Cotización
+   * @param {string} templateKey - Template de NotificationService
+   * @param {Object} data - Datos adicionales del template
+   */
+  async notify(recipientId, serviceRequest, quote, templateKey, data = {}) {
+    await notifyServiceRequestUser(recipientId, serviceRequest, templateKey, {
+      price: quote.price,
+      ...data
+    }, { quoteId: quote._id });
+  }
+}
+
+module.exports = new QuoteService();
@@ -0,0 +1,298 @@
+/**
+ * Servicio de Ranking de Profesionales
+ * Ordena candidatos combinando factores normalizados (distancia, calificación
+ * bayesiana, tasa de finalización, tiempo de respuesta, cancelaciones recientes,
+ * ajuste al presupuesto, plan de suscripción y exposición de nuevos) con pesos
+ * ajustables por administradores. Lo usan la búsqueda de profesionales (ver
+ * ProfessionalSearchService) y la selección de profesionales a notificar de una
+ * solicitud nueva
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const RankingSettings = require('../models/RankingSettings');
+const { AppError } = require('../utils/errors');
+const { GeolocationUtils } = require('../utils/geolocation');
+const logger = require('../utils/logger');
+const { RANKING_FACTORS, DEFAULT_RANKING_WEIGHTS, RANKING_CONFIG } = require('../config/ranking');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SETTINGS_ID = 'default';
+
+const SORTERS = {
+  score: (a, b) => b.score - a.score || (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity),
+  rating: (a, b) => (b.professional.rating?.average || 0) - (a.professional.rating?.average || 0) || b.score - a.score,
+  reviews: (a, b) => (b.professional.rating?.count || 0) - (a.professional.rating?.count || 0) || b.score - a.score,
+  price: (a, b) => (a.price ?? Infinity) - (b.price ?? Infinity) || b.score - a.score,
+  distance: (a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity) || b.score - a.score
+};
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+const round = (value, decimals = 3) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+class RankingService {
+  constructor() {
+    this.cachedWeights = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Pesos vigentes (guardados por un administrador o los de config/ranking)
+   * @returns {Promise<Object>} { factor: peso }
+   */
+  async getWeights() {
+    if (this.cachedWeights && Date.now() - this.cachedAt < RANKING_CONFIG.settingsCacheMs) {
+      return this.cachedWeights;
+    }
+
+    const settings = await RankingSettings.findById(SETTINGS_ID).lean();
+    const weights = { ...DEFAULT_RANKING_WEIGHTS };
+
+    RANKING_FACTORS.forEach(factor => {
+      if (typeof settings?.weights?.[factor] === 'number') {
+        weights[factor] = settings.weights[factor];
+      }
+    });
+
+    this.cachedWeights = weights;
+    this.cachedAt = Date.now();
+    return weights;
+  }
+
+  /**
+   * Actualizar los pesos del ranking (los factores omitidos conservan su valor)
+   * @param {Object} weights - { factor: peso }
+   * @param {Object} user - Administrador
+   * @returns {Promise<Object>} Pesos vigentes
+   */
+  async updateWeights(weights, user) {
+    const merged = { ...await this.getWeights(), ...weights };
+
+    if (!RANKING_FACTORS.some(factor => merged[factor] > 0)) {
+      throw new AppError('Al menos un peso del ranking debe ser mayor que cero', 400, 'INVALID_RANKING_WEIGHTS');
+    }
+
+    const update = { updatedBy: user._id };
+    Object.entries(weights).forEach(([factor, value]) => {
+      update[`weights.${factor}`] = value;
+    });
+
+    await RankingSettings.findOneAndUpdate(
+      { _id: SETTINGS_ID },
+      { $set: update },
+      { upsert: true, runValidators: true }
+    );
+
+    this.cachedWeights = null;
+
+    logger.info('Pesos del ranking actualizados:', {
+      weights: merged,
+      userId: user._id
+    });
+
+    return this.getWeights();
+  }
+
+  /**
+   * Pesos normalizados para que sumen 1
+   * @param {Object} weights - { factor: peso }
+   * @returns {Object}
+   */
+  normalizeWeights(weights) {
+    const total = RANKING_FACTORS.reduce((sum, factor) => sum + (weights[factor] || 0), 0);
+
+    return RANKING_FACTORS.reduce((normalized, factor) => {
+      normalized[factor] = total ? (weights[factor] || 0) / total : 1 / RANKING_FACTORS.length;
+      return normalized;
+    }, {});
+  }
+
+  /**
+   * Cancelaciones hechas por cada profesional dentro de la ventana reciente
+   * @param {Array} professionals - Profesionales con userId (poblado o no)
+   * @param {Date} now - Fecha de referencia
+   * @returns {Promise<Map>} professionalId -> cantidad
+   */
+  async getRecentCancellations(professionals, now = new Date()) {
+    if (professionals.length === 0) return new Map();
+
+    const since = new Date(now.getTime() - RANKING_CONFIG.cancellations.windowDays * DAY_MS);
+
+    const counts = await ServiceRequest.aggregate([
+      {
+        $match: {
+          professionalId: { $in: professionals.map(professional => professional._id) },
+          status: 'cancelled',
+          'cancellation.cancelledAt': { $gte: since },
+          'cancellation.cancelledBy': { $in: professionals.map(professional => professional.userId?._id || professional.userId) }
+        }
+      },
+      { $group: { _id: '$professionalId', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(item => [item._id.toString(), item.count]));
+  }
+
+  /**
+   * Precio del servicio del profesional que mejor coincide con la búsqueda
+   * @param {Object} professional - Profesional
+   * @param {string} category - Categoría
+   * @param {string} subcategory - Subcategoría
+   * @returns {number|null}
+   */
+  getServicePrice(professional, category, subcategory) {
+    const services = (professional.services || []).filter(service =>
+      service.isActive && (!category || service.category === category) && service.pricing?.amount
+    );
+
+    const service = services.find(item => subcategory && item.subcategory === subcategory) ||
+      services.sort((a, b) => a.pricing.amount - b.pricing.amount)[0];
+
+    return service ? service.pricing.amount : null;
+  }
+
+  /**
+   * Puntaje y valor de cada factor para un profesional
+   * @param {Object} professional - Profesional con userId poblado
+   * @param {Object} context - { coordinates, radiusKm, budget, category, subcategory, cancellations, now }
+   * @returns {Object} { distanceKm, price, factors: { factor: { value, score } } }
+   */
+  scoreFactors(professional, context) {
+    const { neutralScore } = RANKING_CONFIG;
+    const now = context.now || new Date();
+    const statistics = professional.statistics || {};
+    const factors = {};
+
+    // Distancia: 1 en la ubicación, 0 en el borde del radio
+    const baseCoordinates = professional.userId?.profile?.address?.coordinates;
+    let distanceKm = null;
+    if (context.coordinates && baseCoordinates?.length === 2) {
+      distanceKm = round(GeolocationUtils.calculateDistance(baseCoordinates, context.coordinates), 2);
+      const radiusKm = context.radiusKm || RANKING_CONFIG.distance.defaultRadiusKm;
+      factors.distance = { value: distanceKm, score: clamp(1 - distanceKm / radiusKm) };
+    } else {
+      factors.distance = { value: null, score: neutralScore };
+    }
+
+    // Calificación bayesiana: con pocas reseñas pesa más el promedio asumido
+    const { priorMean, priorWeight } = RANKING_CONFIG.rating;
+    const ratingCount = professional.rating?.count || 0;
+    const bayesianRating = (priorMean * priorWeight + (professional.rating?.average || 0) * ratingCount) /
+      (priorWeight + ratingCount);
+    factors.rating = { value: round(bayesianRating, 2), score: clamp(bayesianRating / 5) };
+
+    factors.completionRate = statistics.totalServices
+      ? { value: statistics.completionRate, score: clamp(statistics.completionRate / 100) }
+      : { value: null, score: neutralScore };
+
+    // Tiempo de respuesta: 0 significa sin datos
+    const { targetMinutes, maxMinutes } = RANKING_CONFIG.responseTime;
+    const responseTime = statistics.averageResponseTime;
+    factors.responseTime = responseTime
+      ? { value: responseTime, score: clamp(1 - (responseTime - targetMinutes) / (maxMinutes - targetMinutes)) }
+      : { value: null, score: neutralScore };
+
+    const cancellations = context.cancellations?.get(professional._id.toString()) || 0;
+    factors.cancellations = {
+      value: cancellations,
+      score: clamp(1 - cancellations / RANKING_CONFIG.cancellations.maxCount)
+    };
+
+    // Ajuste al presupuesto: 1 dentro del presupuesto, 0 al superar la tolerancia
+    const price = this.getServicePrice(professional, context.category, context.subcategory);
+    factors.priceFit = price && context.budget
+      ? { value: price, score: clamp(1 - (price - context.budget) / (context.budget * RANKING_CONFIG.priceFit.tolerance)) }
+      : { value: price, score: neutralScore };
+
+    const subscription = professional.subscription || {};
+    const subscriptionActive = subscription.isActive !== false && (!subscription.endDate || subscription.endDate > now);
+    factors.subscription = {
+      value: subscriptionActive ? subscription.plan || 'basic' : null,
+      score: subscriptionActive ? RANKING_CONFIG.subscription[subscription.plan] || 0 : 0
+    };
+
+    // Exposición para nuevos: por antigüedad o por pocos servicios, lo que más favorezca
+    const { newProfessionalDays, minServices } = RANKING_CONFIG.fairness;
+    const ageDays = professional.createdAt ? (now - professional.createdAt) / DAY_MS : 0;
+    factors.fairness = {
+      value: Math.floor(ageDays),
+      score: Math.max(
+        clamp(1 - ageDays / newProfessionalDays),
+        clamp(1 - (statistics.totalServices || 0) / minServices)
+      )
+    };
+
+    return { distanceKm, price, factors };
+  }
+
+  /**
+   * Ordenar profesionales por puntaje con el desglose de cada factor
+   * @param {Array} professionals - Profesionales con userId poblado
+   * @param {Object} context - { coordinates, radiusKm, budget, category, subcategory }
+   * @returns {Promise<Array>} [{ professional, score, distanceKm, price, breakdown }] de mayor a menor puntaje
+   */
+  async rank(professionals, context = {}) {
+    const now = new Date();
+    const weights = this.normalizeWeights(await this.getWeights());
+    const cancellations = await this.getRecentCancellations(professionals, now);
+
+    const ranked = professionals.map(professional => {
+      const { distanceKm, price, factors } = this.scoreFactors(professional, { ...context, cancellations, now });
+      const breakdown = {};
+      let score = 0;
+
+      RANKING_FACTORS.forEach(factor => {
+        const contribution = factors[factor].score * weights[factor];
+        score += contribution;
+        breakdown[factor] = {
+          value: factors[factor].value,
+          score: round(factors[factor].score),
+          weight: round(weights[factor]),
+          contribution: round(contribution, 4)
+        };
+      });
+
+      return { professional, score: round(score, 4), distanceKm, price, breakdown };
+    });
+
+    return ranked.sort(SORTERS.score);
+  }
+
+  /**
+   * Reordenar resultados del ranking por otro criterio (score por defecto)
+   * @param {Array} ranked - Resultados de rank
+   * @param {string} sortBy - score|rating|reviews|price|distance
+   * @returns {Array} El mismo arreglo ordenado
+   */
+  sort(ranked, sortBy) {
+    if (sortBy && sortBy !== 'score' && SORTERS[sortBy]) {
+      ranked.sort(SORTERS[sortBy]);
+    }
+
+    return ranked;
+  }
+
+  /**
+   * Serializar un resultado del ranking para la respuesta de la API
+   * @param {Object} result - Elemento devuelto por rank
+   * @returns {Object}
+   */
+  toResponse(result) {
+    const professional = result.professional.toJSON();
+
+    // La dirección base del profesional no se expone, solo la distancia
+    if (professional.userId?.profile?.address) {
+      delete professional.userId.profile.address.coordinates;
+    }
+
+    return {
+      ...professional,
+      distance: result.distanceKm,
+      ranking: {
+        score: result.score,
+        breakdown: result.breakdown
+      }
+    };
+  }
+}
+
+module.exports = new RankingService();
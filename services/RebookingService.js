@@ -0,0 +1,163 @@
+/**
+ * Servicio de Re-reserva
+ * Clona un servicio completado y lo envía como solicitud privada al mismo
+ * profesional: no se publica a otros profesionales y solo él puede cotizarla
+ */
+
+const mongoose = require('mongoose');
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const NotificationService = require('./NotificationService');
+const AvailabilityService = require('./AvailabilityService');
+const { AppError } = require('../utils/errors');
+const { TimezoneUtils } = require('../utils/timezone');
+const logger = require('../utils/logger');
+const { REBOOK_CONFIG } = require('../config/favorites');
+
+class RebookingService {
+  /**
+   * Solicitud original del cliente o lanzar el error correspondiente
+   * @param {string} serviceRequestId - ID de la solicitud original
+   * @param {Object} user - Cliente
+   * @returns {Promise<Object>}
+   */
+  async loadSource(serviceRequestId, user) {
+    const source = mongoose.Types.ObjectId.isValid(serviceRequestId)
+      ? await ServiceRequest.findById(serviceRequestId)
+      : null;
+
+    if (!source) {
+      throw new AppError('Solicitud de servicio no encontrada', 404, 'SERVICE_REQUEST_NOT_FOUND');
+    }
+
+    if (!source.clientId.equals(user._id)) {
+      throw new AppError('No tienes acceso a esta solicitud', 403, 'FORBIDDEN');
+    }
+
+    if (!REBOOK_CONFIG.sourceStatuses.includes(source.status) || !source.professionalId) {
+      throw new AppError('Solo se pueden volver a reservar servicios completados', 400, 'REBOOK_NOT_ALLOWED');
+    }
+
+    return source;
+  }
+
+  /**
+   * Profesional de la solicitud original si sigue atendiendo la categoría
+   * @param {Object} source - Solicitud original
+   * @returns {Promise<Object>} Profesional con userId poblado
+   */
+  async loadProfessional(source) {
+    const professional = await Professional.findById(source.professionalId)
+      .populate('userId', 'isActive');
+
+    if (!professional || !professional.isActive || !professional.userId?.isActive ||
+      professional.verification?.status !== 'verified') {
+      throw new AppError('El profesional ya no está disponible', 409, 'PROFESSIONAL_UNAVAILABLE');
+    }
+
+    const offersService = professional.services.some(service =>
+      service.isActive && service.category === source.service.category
+    );
+    if (!offersService) {
+      throw new AppError('El profesional ya no ofrece este tipo de servicio', 409, 'SERVICE_NOT_OFFERED');
+    }
+
+    return professional;
+  }
+
+  /**
+   * Volver a reservar un servicio completado con el mismo profesional
+   * @param {string} serviceRequestId - ID de la solicitud original
+   * @param {Object} user - Cliente
+   * @param {Object} data - { date, time, flexibility, description, instructions }
+   * @returns {Promise<Object>} Nueva solicitud privada (pendiente de cotización)
+   */
+  async rebook(serviceRequestId, user, data) {
+    const source = await this.loadSource(serviceRequestId, user);
+    const professional = await this.loadProfessional(source);
+    const { service, location, scheduling, pricing } = source;
+
+    const serviceRequest = new ServiceRequest({
+      clientId: user._id,
+      service: {
+        category: service.category,
+        subcategory: service.subcategory,
+        title: service.title,
+        description: data.description || service.description,
+        // Una urgencia pasada no se repite: la re-reserva se agenda
+        urgency: service.urgency === 'emergency' ? 'high' : service.urgency,
+        requirements: service.requirements
+      },
+      location: {
+        address: location.address,
+        coordinates: location.coordinates,
+        instructions: data.instructions || location.instructions,
+        accessInfo: location.accessInfo
+      },
+      scheduling: {
+        preferredDate: new Date(`${data.date}T00:00:00Z`),
+        preferredTime: data.time,
+        flexibility: data.flexibility || scheduling.flexibility,
+        estimatedDuration: scheduling.estimatedDuration
+      },
+      pricing: {
+        estimatedCost: pricing.finalCost || pricing.quotedCost || pricing.estimatedCost,
+        currency: pricing.currency,
+        paymentMethod: pricing.paymentMethod
+      },
+      directRequest: {
+        professionalId: professional._id,
+        rebookedFrom: source._id,
+        requestedAt: new Date()
+      },
+      statusHistory: [{
+        status: 'pending',
+        updatedBy: user._id,
+        reason: 'Re-reserva con el mismo profesional'
+      }]
+    });
+
+    // Horario, antelación mínima, reservas por día y bloqueos externos
+    await AvailabilityService.assertSlotAvailable(serviceRequest, { professional, checkNotice: true });
+    await serviceRequest.save();
+
+    logger.info('Re-reserva creada:', {
+      serviceRequestId: serviceRequest._id,
+      rebookedFrom: source._id,
+      professionalId: professional._id,
+      clientId: user._id
+    });
+
+    await this.notifyProfessional(professional, serviceRequest);
+
+    return serviceRequest;
+  }
+
+  /**
+   * Avisar al profesional de la solicitud privada
+   * @param {Object} professional - Profesional con userId poblado
+   * @param {Object} serviceRequest - Solicitud creada
+   */
+  async notifyProfessional(professional, serviceRequest) {
+    try {
+      await NotificationService.sendNotification(professional.userId._id, 'DIRECT_REQUEST_RECEIVED', {
+        serviceRequestId: serviceRequest._id,
+        serviceTitle: serviceRequest.service.title,
+        date: TimezoneUtils.toDateKey(serviceRequest.scheduling.preferredDate),
+        time: serviceRequest.scheduling.preferredTime
+      }, {
+        metadata: {
+          serviceRequestId: serviceRequest._id,
+          rebookedFrom: serviceRequest.directRequest.rebookedFrom
+        }
+      });
+    } catch (error) {
+      logger.warn('Error notificando re-reserva', {
+        serviceRequestId: serviceRequest._id,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new RebookingService();
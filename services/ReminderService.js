@@ -0,0 +1,135 @@
+/**
+ * Servicio de Recordatorios
+ * Avisa al cliente y al profesional antes del inicio de un servicio confirmado
+ * (por defecto 24 h y 1 h antes) por push/tiempo real y email. Cada ventana se
+ * envía una sola vez por fecha; reprogramar reinicia los recordatorios
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const User = require('../models/User');
+const Professional = require('../models/Professional');
+const AvailabilityService = require('./AvailabilityService');
+const { notificationService } = require('../utils/notifications');
+const { emailService } = require('../utils/email');
+const { RecurrenceUtils } = require('../utils/recurrence');
+const { REMINDER_CONFIG } = require('../config/jobs');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class ReminderService {
+  /**
+   * Ventana de recordatorio que corresponde según las horas que faltan:
+   * la más corta que aún cubre el inicio (a 3 h del inicio toca la de 24 h)
+   * @param {number} hoursUntil - Horas hasta el inicio
+   * @param {Array<number>} windows - Ventanas configuradas
+   * @returns {number|null} Horas de la ventana o null si no corresponde ninguna
+   */
+  getDueWindow(hoursUntil, windows = REMINDER_CONFIG.hoursBefore) {
+    if (hoursUntil <= 0) return null;
+
+    const due = [...windows].sort((a, b) => a - b).find(hours => hoursUntil <= hours);
+    return due === undefined ? null : due;
+  }
+
+  /**
+   * Verificar si ya se envió la ventana o una más cercana al inicio
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {number} window - Horas de la ventana
+   * @returns {boolean}
+   */
+  wasSent(serviceRequest, window) {
+    return (serviceRequest.scheduling.remindersSent || [])
+      .some(reminder => reminder.hoursBefore <= window);
+  }
+
+  /**
+   * Enviar los recordatorios pendientes (para ejecución programada)
+   * @param {Date} now - Instante de referencia
+   * @returns {Promise<Object>} { checked, sent, failed }
+   */
+  async sendDueReminders(now = new Date()) {
+    const maxWindow = Math.max(...REMINDER_CONFIG.hoursBefore);
+
+    // preferredDate es el día calendario: se amplía un día a cada lado por las zonas horarias
+    const serviceRequests = await ServiceRequest.find({
+      status: { $in: REMINDER_CONFIG.statuses },
+      professionalId: { $ne: null },
+      'scheduling.preferredDate': {
+        $gte: RecurrenceUtils.addDays(now, -1),
+        $lte: RecurrenceUtils.addDays(new Date(now.getTime() + maxWindow * HOUR_MS), 1)
+      }
+    });
+
+    const summary = { checked: serviceRequests.length, sent: 0, failed: 0 };
+
+    for (const serviceRequest of serviceRequests) {
+      try {
+        const professional = await Professional.findById(serviceRequest.professionalId)
+          .select('userId availability.timeZone');
+        if (!professional) continue;
+
+        const timeZone = AvailabilityService.getTimeZone(professional);
+        const { start } = AvailabilityService.getRequestInterval(serviceRequest, timeZone);
+        const hoursUntil = (start.getTime() - now.getTime()) / HOUR_MS;
+
+        const window = this.getDueWindow(hoursUntil);
+        if (window === null || this.wasSent(serviceRequest, window)) continue;
+
+        await this.sendReminder(serviceRequest, professional, Math.max(1, Math.round(hoursUntil)));
+
+        // Actualización atómica para no chocar con cambios concurrentes de la solicitud
+        await ServiceRequest.updateOne(
+          { _id: serviceRequest._id },
+          { $push: { 'scheduling.remindersSent': { hoursBefore: window, sentAt: now } } }
+        );
+        summary.sent += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.warn('Error enviando recordatorio de servicio', {
+          serviceRequestId: serviceRequest._id,
+          error: error.message
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Enviar el recordatorio a ambas partes
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} professional - Profesional asignado
+   * @param {number} hoursUntil - Horas (redondeadas) hasta el inicio
+   */
+  async sendReminder(serviceRequest, professional, hoursUntil) {
+    const [client, professionalUser] = await Promise.all([
+      User.findById(serviceRequest.clientId),
+      User.findById(professional.userId)
+    ]);
+
+    if (!client || !professionalUser) {
+      throw new Error('No se encontraron los usuarios de la solicitud');
+    }
+
+    // notifyServiceReminder espera las partes pobladas en client/professional
+    const reminderRequest = {
+      _id: serviceRequest._id,
+      service: serviceRequest.service,
+      scheduling: serviceRequest.scheduling,
+      location: serviceRequest.location,
+      client,
+      professional: professionalUser
+    };
+
+    for (const user of [client, professionalUser]) {
+      await notificationService.notifyServiceReminder(user, reminderRequest, hoursUntil);
+
+      if (user.email) {
+        await emailService.sendServiceReminderEmail(user, reminderRequest, hoursUntil);
+      }
+    }
+  }
+}
+
+module.exports = new ReminderService();
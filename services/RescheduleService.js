@@ -0,0 +1,469 @@
+/**
+ * Servicio de Reprogramación
+ * Negociación de nuevas fechas entre cliente y profesional: una parte propone
+ * una o varias opciones con un motivo y la otra acepta una o rechaza todas.
+ * Cada paso queda en statusHistory y se publica como mensaje de sistema en el chat
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const Chat = require('../models/Chat');
+const ChatService = require('./ChatService');
+const AvailabilityService = require('./AvailabilityService');
+const ServiceRequestStateMachine = require('./ServiceRequestStateMachine');
+const InstantBookingService = require('./InstantBookingService');
+const { AppError, SlotConflictError } = require('../utils/errors');
+const { notifyServiceRequestUser } = require('../utils/service-requests');
+const { TimezoneUtils } = require('../utils/timezone');
+const { RESCHEDULE_CONFIG } = require('../config/scheduling');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Motivos registrados en statusHistory para cada paso de la negociación
+const RESCHEDULE_HISTORY_REASONS = {
+  proposed: 'reschedule_proposed',
+  accepted: 'reschedule_accepted',
+  rejected: 'reschedule_rejected',
+  expired: 'reschedule_expired',
+  withdrawn: 'reschedule_withdrawn'
+};
+
+class RescheduleService {
+  /**
+   * Formatear una opción para mensajes (ej. 2026-11-02 14:30)
+   * @param {Object} option - { preferredDate, preferredTime }
+   * @returns {string}
+   */
+  formatOption(option) {
+    return `${TimezoneUtils.toDateKey(option.preferredDate)} ${option.preferredTime}`;
+  }
+
+  /**
+   * Obtener el rol del usuario y validar que sea parte del trabajo
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<string>} client o professional
+   */
+  async getPartyRole(serviceRequest, user) {
+    const role = await ServiceRequestStateMachine.getActorRole(serviceRequest, user);
+
+    if (!['client', 'professional'].includes(role)) {
+      throw new AppError('Solo el cliente o el profesional asignado pueden reprogramar este servicio', 403, 'FORBIDDEN');
+    }
+
+    return role;
+  }
+
+  /**
+   * Buscar una propuesta de la solicitud
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {string} proposalId - ID de la propuesta
+   * @returns {Object}
+   */
+  getProposal(serviceRequest, proposalId) {
+    const proposal = serviceRequest.rescheduleProposals.id(proposalId);
+
+    if (!proposal) {
+      throw new AppError('Propuesta de reprogramación no encontrada', 404, 'RESCHEDULE_NOT_FOUND');
+    }
+
+    return proposal;
+  }
+
+  /**
+   * Registrar un paso de la negociación en statusHistory
+   * El estado no cambia; el motivo identifica el paso
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {string} step - Clave de RESCHEDULE_HISTORY_REASONS
+   * @param {string} updatedBy - Usuario que ejecuta el paso
+   * @param {string} notes - Descripción legible
+   */
+  recordHistory(serviceRequest, step, updatedBy, notes) {
+    serviceRequest.statusHistory.push({
+      status: serviceRequest.status,
+      updatedBy,
+      timestamp: new Date(),
+      reason: RESCHEDULE_HISTORY_REASONS[step],
+      notes
+    });
+  }
+
+  /**
+   * Verificar una opción contra la agenda del profesional asignado
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} option - { preferredDate, preferredTime }
+   * @returns {Promise<Object>} { available, reasons }
+   */
+  async checkOption(serviceRequest, option) {
+    if (!serviceRequest.professionalId) {
+      return { available: true, reasons: [] };
+    }
+
+    return AvailabilityService.checkSlot({
+      _id: serviceRequest._id,
+      professionalId: serviceRequest.professionalId,
+      status: serviceRequest.status,
+      scheduling: {
+        preferredDate: option.preferredDate,
+        preferredTime: option.preferredTime,
+        estimatedDuration: serviceRequest.scheduling.estimatedDuration
+      }
+    }, { checkNotice: true });
+  }
+
+  /**
+   * Marcar como vencidas las propuestas pendientes cuyo plazo expiró
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {Array} Propuestas vencidas en esta llamada
+   */
+  expireProposals(serviceRequest) {
+    const now = new Date();
+    const expired = (serviceRequest.rescheduleProposals || [])
+      .filter(proposal => proposal.status === 'pending' && proposal.expiresAt <= now);
+
+    expired.forEach(proposal => {
+      proposal.status = 'expired';
+      this.recordHistory(
+        serviceRequest,
+        'expired',
+        proposal.proposedBy,
+        'La propuesta de reprogramación venció sin respuesta'
+      );
+    });
+
+    return expired;
+  }
+
+  /**
+   * Proponer nuevas fechas para el servicio
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Usuario que propone
+   * @param {Object} data - { options: [{ preferredDate, preferredTime }], reason, expiresInHours }
+   * @returns {Promise<Object>} Propuesta creada
+   */
+  async propose(serviceRequest, user, data) {
+    const role = await this.getPartyRole(serviceRequest, user);
+
+    if (!RESCHEDULE_CONFIG.reschedulableStatuses.includes(serviceRequest.status)) {
+      throw new AppError('El servicio ya no puede reprogramarse en su estado actual', 409, 'RESCHEDULE_NOT_ALLOWED');
+    }
+
+    const expired = this.expireProposals(serviceRequest);
+    if (serviceRequest.getPendingRescheduleProposal()) {
+      throw new AppError('Ya existe una propuesta de reprogramación pendiente', 409, 'RESCHEDULE_PENDING');
+    }
+
+    const currentKey = serviceRequest.scheduling.preferredDate
+      ? this.formatOption(serviceRequest.scheduling)
+      : null;
+    const seen = new Set();
+    const unavailable = [];
+
+    for (const option of data.options) {
+      const key = this.formatOption(option);
+      if (key === currentKey || seen.has(key)) {
+        throw new AppError(`La opción ${key} está repetida o coincide con el horario actual`, 400, 'INVALID_RESCHEDULE_OPTION');
+      }
+      seen.add(key);
+
+      const result = await this.checkOption(serviceRequest, option);
+      if (!result.available) {
+        unavailable.push({ option: key, reasons: result.reasons });
+      }
+    }
+
+    if (unavailable.length) {
+      throw new SlotConflictError('Algunas opciones no están disponibles en la agenda del profesional', {
+        unavailable
+      });
+    }
+
+    const expiresInHours = data.expiresInHours || RESCHEDULE_CONFIG.defaultExpirationHours;
+    serviceRequest.rescheduleProposals.push({
+      proposedBy: user._id,
+      proposerRole: role,
+      options: data.options,
+      reason: data.reason,
+      previousSchedule: {
+        preferredDate: serviceRequest.scheduling.preferredDate,
+        preferredTime: serviceRequest.scheduling.preferredTime
+      },
+      expiresAt: new Date(Date.now() + expiresInHours * HOUR_MS)
+    });
+    const proposal = serviceRequest.rescheduleProposals[serviceRequest.rescheduleProposals.length - 1];
+
+    const optionsText = proposal.options.map(option => this.formatOption(option)).join(', ');
+    const description = `${role === 'client' ? 'El cliente' : 'El profesional'} propone reprogramar a: ${optionsText}. Motivo: ${data.reason}`;
+    this.recordHistory(serviceRequest, 'proposed', user._id, description);
+    await serviceRequest.save();
+
+    await this.announce(serviceRequest, proposal, 'proposed', description, { expired });
+    await this.notifyCounterpart(serviceRequest, proposal, 'RESCHEDULE_PROPOSED', user, { options: optionsText });
+
+    return proposal;
+  }
+
+  /**
+   * Aceptar una de las opciones propuestas
+   * La opción se valida de nuevo contra la agenda del profesional
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {string} proposalId - ID de la propuesta
+   * @param {Object} user - Usuario que responde
+   * @param {Object} data - { optionId }
+   * @returns {Promise<Object>} Propuesta aceptada
+   */
+  async accept(serviceRequest, proposalId, user, data) {
+    const proposal = await this.getRespondableProposal(serviceRequest, proposalId, user);
+    const option = proposal.options.id(data.optionId);
+
+    if (!option) {
+      throw new AppError('Opción de reprogramación no encontrada', 404, 'RESCHEDULE_OPTION_NOT_FOUND');
+    }
+
+    if (!RESCHEDULE_CONFIG.reschedulableStatuses.includes(serviceRequest.status)) {
+      throw new AppError('El servicio ya no puede reprogramarse en su estado actual', 409, 'RESCHEDULE_NOT_ALLOWED');
+    }
+
+    const result = await this.checkOption(serviceRequest, option);
+    if (!result.available) {
+      throw new SlotConflictError(result.reasons[0], {
+        option: this.formatOption(option),
+        reasons: result.reasons
+      });
+    }
+
+    const previousDate = serviceRequest.scheduling.preferredDate;
+    const previous = previousDate
+      ? this.formatOption(serviceRequest.scheduling)
+      : 'sin fecha';
+
+    serviceRequest.scheduling.preferredDate = option.preferredDate;
+    serviceRequest.scheduling.preferredTime = option.preferredTime;
+    proposal.status = 'accepted';
+    proposal.acceptedOptionId = option._id;
+    proposal.respondedBy = user._id;
+    proposal.respondedAt = new Date();
+
+    const description = `Reprogramación aceptada: ${previous} → ${this.formatOption(option)}`;
+    this.recordHistory(serviceRequest, 'accepted', user._id, description);
+    await serviceRequest.save();
+    await InstantBookingService.moveWeeklySlot(serviceRequest, previousDate);
+
+    await this.announce(serviceRequest, proposal, 'accepted', description, {
+      oldValue: previous,
+      newValue: this.formatOption(option)
+    });
+    await this.notifyCounterpart(serviceRequest, proposal, 'RESCHEDULE_ACCEPTED', user, {
+      newDate: TimezoneUtils.toDateKey(option.preferredDate),
+      newTime: option.preferredTime
+    });
+
+    return proposal;
+  }
+
+  /**
+   * Rechazar todas las opciones de una propuesta
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {string} proposalId - ID de la propuesta
+   * @param {Object} user - Usuario que responde
+   * @param {Object} data - { reason }
+   * @returns {Promise<Object>} Propuesta rechazada
+   */
+  async reject(serviceRequest, proposalId, user, data = {}) {
+    const proposal = await this.getRespondableProposal(serviceRequest, proposalId, user);
+
+    proposal.status = 'rejected';
+    proposal.respondedBy = user._id;
+    proposal.respondedAt = new Date();
+    proposal.responseReason = data.reason;
+
+    const description = `Reprogramación rechazada${data.reason ? `. Motivo: ${data.reason}` : ''}`;
+    this.recordHistory(serviceRequest, 'rejected', user._id, description);
+    await serviceRequest.save();
+
+    await this.announce(serviceRequest, proposal, 'rejected', description);
+    await this.notifyCounterpart(serviceRequest, proposal, 'RESCHEDULE_REJECTED', user);
+
+    return proposal;
+  }
+
+  /**
+   * Retirar una propuesta propia aún pendiente
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {string} proposalId - ID de la propuesta
+   * @param {Object} user - Usuario que la propuso
+   * @returns {Promise<Object>} Propuesta retirada
+   */
+  async withdraw(serviceRequest, proposalId, user) {
+    await this.getPartyRole(serviceRequest, user);
+    const proposal = this.getProposal(serviceRequest, proposalId);
+
+    if (proposal.proposedBy.toString() !== user._id.toString()) {
+      throw new AppError('Solo quien hizo la propuesta puede retirarla', 403, 'FORBIDDEN');
+    }
+
+    this.assertPending(serviceRequest, proposal);
+
+    proposal.status = 'withdrawn';
+    proposal.respondedAt = new Date();
+
+    const description = 'La propuesta de reprogramación fue retirada';
+    this.recordHistory(serviceRequest, 'withdrawn', user._id, description);
+    await serviceRequest.save();
+
+    await this.announce(serviceRequest, proposal, 'withdrawn', description);
+
+    return proposal;
+  }
+
+  /**
+   * Verificar que la propuesta siga pendiente (aplicando el vencimiento)
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} proposal - Propuesta
+   */
+  assertPending(serviceRequest, proposal) {
+    const isExpired = proposal.status === 'expired' ||
+      (proposal.status === 'pending' && proposal.expiresAt <= new Date());
+    if (isExpired) {
+      throw new AppError('La propuesta de reprogramación venció', 409, 'RESCHEDULE_EXPIRED');
+    }
+
+    if (proposal.status !== 'pending') {
+      throw new AppError('La propuesta de reprogramación ya fue respondida', 409, 'RESCHEDULE_CLOSED');
+    }
+  }
+
+  /**
+   * Obtener una propuesta que el usuario puede responder
+   * Solo la contraparte de quien propuso puede aceptar o rechazar
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {string} proposalId - ID de la propuesta
+   * @param {Object} user - Usuario que responde
+   * @returns {Promise<Object>}
+   */
+  async getRespondableProposal(serviceRequest, proposalId, user) {
+    const role = await this.getPartyRole(serviceRequest, user);
+    const proposal = this.getProposal(serviceRequest, proposalId);
+
+    if (proposal.proposerRole === role) {
+      throw new AppError('La propuesta debe ser respondida por la otra parte', 403, 'FORBIDDEN');
+    }
+
+    if (proposal.status === 'pending' && proposal.expiresAt <= new Date()) {
+      const expired = this.expireProposals(serviceRequest);
+      await serviceRequest.save();
+      await this.announce(serviceRequest, proposal, 'expired', 'La propuesta de reprogramación venció sin respuesta', { expired });
+    }
+
+    this.assertPending(serviceRequest, proposal);
+
+    return proposal;
+  }
+
+  /**
+   * Publicar un paso de la negociación como mensaje de sistema en el chat
+   * Los fallos del chat no interrumpen la negociación
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} proposal - Propuesta
+   * @param {string} step - Paso (proposed, accepted, rejected, expired, withdrawn)
+   * @param {string} description - Texto del mensaje
+   * @param {Object} extra - Datos adicionales
+   */
+  async announce(serviceRequest, proposal, step, description, extra = {}) {
+    if (!ChatService.isAvailable()) return;
+
+    try {
+      const chat = await Chat.findOne({ serviceRequest: serviceRequest._id }).select('_id');
+      if (!chat) return;
+
+      // Vencimientos detectados antes de este paso
+      for (const expiredProposal of extra.expired || []) {
+        if (expiredProposal._id.equals(proposal._id)) continue;
+        await ChatService.sendSystemMessage(chat._id.toString(), 'La propuesta de reprogramación venció sin respuesta', {
+          extra: { serviceRequestId: serviceRequest._id, rescheduleProposalId: expiredProposal._id, event: 'reschedule_expired' }
+        });
+      }
+
+      await ChatService.sendSystemMessage(chat._id.toString(), description, {
+        extra: {
+          serviceRequestId: serviceRequest._id,
+          rescheduleProposalId: proposal._id,
+          event: RESCHEDULE_HISTORY_REASONS[step],
+          oldValue: extra.oldValue,
+          newValue: extra.newValue
+        }
+      });
+    } catch (error) {
+      logger.warn('Error publicando reprogramación en el chat', {
+        serviceRequestId: serviceRequest._id,
+        step,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Notificar a la otra parte de la negociación
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} proposal - Propuesta
+   * @param {string} templateKey - Plantilla de NotificationService
+   * @param {Object} actor - Usuario que ejecutó el paso
+   * @param {Object} data - Variables adicionales de la plantilla
+   */
+  async notifyCounterpart(serviceRequest, proposal, templateKey, actor, data = {}) {
+    const recipients = [serviceRequest.clientId];
+
+    try {
+      if (serviceRequest.professionalId) {
+        const professional = await Professional.findById(serviceRequest.professionalId).select('userId');
+        if (professional) recipients.push(professional.userId);
+      }
+    } catch (error) {
+      logger.warn('Error obteniendo el profesional para notificar la reprogramación', {
+        serviceRequestId: serviceRequest._id,
+        error: error.message
+      });
+    }
+
+    for (const recipientId of recipients) {
+      if (!recipientId || recipientId.toString() === actor._id.toString()) continue;
+      await notifyServiceRequestUser(recipientId, serviceRequest, templateKey, data, {
+        rescheduleProposalId: proposal._id
+      });
+    }
+  }
+
+  /**
+   * Vencer las propuestas pendientes cuyo plazo expiró (para ejecución programada)
+   * @returns {Promise<number>} Propuestas vencidas
+   */
+  async expireDueProposals() {
+    const serviceRequests = await ServiceRequest.find({
+      rescheduleProposals: {
+        $elemMatch: { status: 'pending', expiresAt: { $lte: new Date() } }
+      }
+    });
+
+    let count = 0;
+
+    for (const serviceRequest of serviceRequests) {
+      const expired = this.expireProposals(serviceRequest);
+      if (!expired.length) continue;
+
+      await serviceRequest.save();
+      count += expired.length;
+
+      for (const proposal of expired) {
+        await this.announce(serviceRequest, proposal, 'expired', 'La propuesta de reprogramación venció sin respuesta');
+        await notifyServiceRequestUser(proposal.proposedBy, serviceRequest, 'RESCHEDULE_EXPIRED', {}, {
+          rescheduleProposalId: proposal._id
+        });
+      }
+    }
+
+    return count;
+  }
+}
+
+module.exports = new RescheduleService();
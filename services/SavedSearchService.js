@@ -0,0 +1,340 @@
+/**
+ * Servicio de Búsquedas Guardadas
+ * CRUD de las búsquedas de profesionales que guardan los clientes y alertas de
+ * profesionales nuevos: una tarea programada evalúa cada búsqueda contra los
+ * profesionales publicados desde la última revisión y envía como máximo un
+ * resumen por cliente en cada intervalo (SAVED_SEARCH_CONFIG.digestIntervalMs)
+ */
+
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/SavedSearch');
+const Professional = require('../models/Professional');
+const ProfessionalSearchService = require('./ProfessionalSearchService');
+const NotificationService = require('./NotificationService');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { SAVED_SEARCH_CONFIG } = require('../config/saved-searches');
+
+const FILTER_FIELDS = ['category', 'subcategory', 'coordinates', 'address', 'radiusKm', 'maxPrice', 'minRating'];
+
+class SavedSearchService {
+  /**
+   * Búsquedas guardadas del cliente
+   * @param {Object} user - Cliente
+   * @returns {Promise<Array>}
+   */
+  async list(user) {
+    return SavedSearch.find({ userId: user._id }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Búsqueda guardada del cliente
+   * @param {string} savedSearchId - ID de la búsqueda
+   * @param {Object} user - Cliente
+   * @returns {Promise<Object>}
+   */
+  async get(savedSearchId, user) {
+    const savedSearch = mongoose.Types.ObjectId.isValid(savedSearchId)
+      ? await SavedSearch.findOne({ _id: savedSearchId, userId: user._id })
+      : null;
+
+    if (!savedSearch) {
+      throw new AppError('Búsqueda guardada no encontrada', 404, 'SAVED_SEARCH_NOT_FOUND');
+    }
+    return savedSearch;
+  }
+
+  /**
+   * Guardar una búsqueda
+   * @param {Object} user - Cliente
+   * @param {Object} data - { name, category, subcategory, coordinates, address, radiusKm, maxPrice, minRating, alertsEnabled }
+   * @returns {Promise<Object>}
+   */
+  async create(user, data) {
+    const count = await SavedSearch.countDocuments({ userId: user._id });
+    if (count >= SAVED_SEARCH_CONFIG.maxPerUser) {
+      throw new AppError(
+        `Solo puedes guardar ${SAVED_SEARCH_CONFIG.maxPerUser} búsquedas`,
+        400,
+        'SAVED_SEARCH_LIMIT'
+      );
+    }
+
+    const savedSearch = new SavedSearch({
+      userId: user._id,
+      name: data.name,
+      filters: this.pickFilters(data),
+      alerts: { enabled: data.alertsEnabled !== false }
+    });
+
+    await savedSearch.save();
+    return savedSearch;
+  }
+
+  /**
+   * Actualizar una búsqueda guardada. Si cambian los filtros se descartan los
+   * profesionales pendientes de resumen (se evaluaron con los filtros anteriores)
+   * @param {string} savedSearchId - ID de la búsqueda
+   * @param {Object} user - Cliente
+   * @param {Object} data - Campos de create (todos opcionales)
+   * @returns {Promise<Object>}
+   */
+  async update(savedSearchId, user, data) {
+    const savedSearch = await this.get(savedSearchId, user);
+
+    if (data.name !== undefined) {
+      savedSearch.name = data.name;
+    }
+
+    const filters = this.pickFilters(data);
+    if (Object.keys(filters).length > 0) {
+      Object.assign(savedSearch.filters, filters);
+      savedSearch.alerts.pendingProfessionals = [];
+    }
+
+    if (data.alertsEnabled !== undefined && data.alertsEnabled !== savedSearch.alerts.enabled) {
+      savedSearch.alerts.enabled = data.alertsEnabled;
+      // Al reactivar solo se avisa de lo publicado desde ahora
+      if (data.alertsEnabled) {
+        savedSearch.alerts.checkedAt = new Date();
+        savedSearch.alerts.pendingProfessionals = [];
+      }
+    }
+
+    await savedSearch.save();
+    return savedSearch;
+  }
+
+  /**
+   * Eliminar una búsqueda guardada
+   * @param {string} savedSearchId - ID de la búsqueda
+   * @param {Object} user - Cliente
+   */
+  async remove(savedSearchId, user) {
+    const savedSearch = await this.get(savedSearchId, user);
+    await savedSearch.deleteOne();
+  }
+
+  /**
+   * Filtros presentes en los datos recibidos
+   * @param {Object} data - Datos de la búsqueda
+   * @returns {Object}
+   */
+  pickFilters(data) {
+    return FILTER_FIELDS.reduce((filters, field) => {
+      if (data[field] !== undefined) filters[field] = data[field];
+      return filters;
+    }, {});
+  }
+
+  /**
+   * Serializar una búsqueda guardada para la respuesta de la API
+   * @param {Object} savedSearch - Búsqueda guardada
+   * @returns {Object}
+   */
+  toResponse(savedSearch) {
+    return {
+      _id: savedSearch._id,
+      name: savedSearch.name,
+      filters: savedSearch.filters,
+      alerts: {
+        enabled: savedSearch.alerts.enabled,
+        pendingCount: savedSearch.alerts.pendingProfessionals.length,
+        lastDigestAt: savedSearch.alerts.lastDigestAt
+      },
+      createdAt: savedSearch.createdAt,
+      updatedAt: savedSearch.updatedAt
+    };
+  }
+
+  /**
+   * Acumular los profesionales publicados desde la última revisión que cumplen
+   * la búsqueda y no se han avisado
+   * @param {Object} savedSearch - Búsqueda guardada
+   * @param {Date} now - Inicio de la evaluación (nueva marca de revisión)
+   * @returns {Promise<number>} Profesionales nuevos
+   */
+  async evaluate(savedSearch, now = new Date()) {
+    const { filters, alerts } = savedSearch;
+
+    const candidates = await ProfessionalSearchService.findCandidates({
+      category: filters.category,
+      subcategory: filters.subcategory,
+      coordinates: filters.coordinates?.length === 2 ? filters.coordinates : null,
+      radiusKm: filters.radiusKm,
+      maxPrice: filters.maxPrice,
+      minRating: filters.minRating,
+      verifiedOnly: true,
+      listedAfter: alerts.checkedAt
+    });
+
+    const known = new Set(
+      [...alerts.pendingProfessionals, ...alerts.notifiedProfessionals].map(id => id.toString())
+    );
+    const matches = candidates
+      .filter(professional => !known.has(professional._id.toString()))
+      .filter(professional => !professional.userId._id.equals(savedSearch.userId))
+      .map(professional => professional._id);
+
+    // Condicionado a la marca leída: otra evaluación concurrente no duplica
+    await SavedSearch.updateOne(
+      { _id: savedSearch._id, 'alerts.checkedAt': alerts.checkedAt },
+      {
+        $set: { 'alerts.checkedAt': now },
+        $addToSet: { 'alerts.pendingProfessionals': { $each: matches } }
+      }
+    );
+
+    return matches.length;
+  }
+
+  /**
+   * Enviar un resumen a cada cliente con profesionales pendientes que no haya
+   * recibido otro dentro del intervalo
+   * @param {Date} now - Fecha de referencia
+   * @returns {Promise<Object>} { sent, failed }
+   */
+  async sendDigests(now = new Date()) {
+    const pending = await SavedSearch.find({
+      'alerts.enabled': true,
+      'alerts.pendingProfessionals.0': { $exists: true }
+    });
+
+    const byUser = new Map();
+    pending.forEach(savedSearch => {
+      const key = savedSearch.userId.toString();
+      if (!byUser.has(key)) byUser.set(key, []);
+      byUser.get(key).push(savedSearch);
+    });
+
+    if (byUser.size === 0) return { sent: 0, failed: 0 };
+
+    const threshold = new Date(now.getTime() - SAVED_SEARCH_CONFIG.digestIntervalMs);
+    const throttled = new Set((await SavedSearch.find({
+      userId: { $in: [...byUser.keys()] },
+      'alerts.lastDigestAt': { $gt: threshold }
+    }).distinct('userId')).map(id => id.toString()));
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const [userId, savedSearches] of byUser) {
+      if (throttled.has(userId)) continue;
+
+      try {
+        if (await this.sendDigest(userId, savedSearches, now)) sent += 1;
+      } catch (error) {
+        failed += 1;
+        logger.warn('Error enviando resumen de búsquedas guardadas', {
+          userId,
+          error: error.message
+        });
+      }
+    }
+
+    return { sent, failed };
+  }
+
+  /**
+   * Resumen de un cliente: profesionales que siguen visibles, agrupados por búsqueda
+   * @param {string} userId - Cliente
+   * @param {Array} savedSearches - Búsquedas con profesionales pendientes
+   * @param {Date} now - Fecha de referencia
+   * @returns {Promise<boolean>} Si se envió el resumen
+   */
+  async sendDigest(userId, savedSearches, now) {
+    const pendingIds = savedSearches.flatMap(savedSearch => savedSearch.alerts.pendingProfessionals);
+    const visible = new Set((await Professional.find({
+      _id: { $in: pendingIds },
+      isActive: true,
+      'verification.status': 'verified'
+    }).distinct('_id')).map(id => id.toString()));
+
+    const matches = savedSearches
+      .map(savedSearch => ({
+        savedSearch,
+        professionalIds: savedSearch.alerts.pendingProfessionals.filter(id => visible.has(id.toString()))
+      }))
+      .filter(match => match.professionalIds.length > 0);
+
+    if (matches.length > 0) {
+      const count = new Set(matches.flatMap(match => match.professionalIds.map(id => id.toString()))).size;
+
+      await NotificationService.sendNotification(userId, 'SAVED_SEARCH_DIGEST', {
+        count,
+        searches: matches.map(match => `${match.savedSearch.name} (${match.professionalIds.length})`).join(', ')
+      }, {
+        metadata: {
+          savedSearches: matches.map(match => ({
+            savedSearchId: match.savedSearch._id,
+            name: match.savedSearch.name,
+            professionalIds: match.professionalIds
+          }))
+        }
+      });
+
+      await SavedSearch.updateMany({ userId }, { $set: { 'alerts.lastDigestAt': now } });
+    }
+
+    // Los que ya no están visibles se descartan; los avisados no se repiten
+    await Promise.all(savedSearches.map(savedSearch => {
+      const notified = matches.find(match => match.savedSearch === savedSearch)?.professionalIds || [];
+
+      return SavedSearch.updateOne({ _id: savedSearch._id }, {
+        $pullAll: { 'alerts.pendingProfessionals': savedSearch.alerts.pendingProfessionals },
+        $push: {
+          'alerts.notifiedProfessionals': {
+            $each: notified,
+            $slice: -SAVED_SEARCH_CONFIG.maxNotifiedTracked
+          }
+        }
+      });
+    }));
+
+    return matches.length > 0;
+  }
+
+  /**
+   * Evaluar las búsquedas con alertas activas y enviar los resúmenes debidos
+   * (tarea programada saved_search_alerts)
+   * @returns {Promise<Object>} { evaluated, matched, digests, failed }
+   */
+  async processAlerts() {
+    const now = new Date();
+    const latest = await Professional.findOne({ listedAt: { $ne: null } })
+      .sort({ listedAt: -1 })
+      .select('listedAt')
+      .lean();
+
+    let evaluated = 0;
+    let matched = 0;
+    let failed = 0;
+
+    // Solo las búsquedas revisadas antes del último profesional publicado
+    const savedSearches = latest
+      ? await SavedSearch.find({
+        'alerts.enabled': true,
+        'alerts.checkedAt': { $lt: latest.listedAt }
+      })
+      : [];
+
+    for (const savedSearch of savedSearches) {
+      try {
+        matched += await this.evaluate(savedSearch, now);
+        evaluated += 1;
+      } catch (error) {
+        failed += 1;
+        logger.warn('Error evaluando búsqueda guardada', {
+          savedSearchId: savedSearch._id,
+          error: error.message
+        });
+      }
+    }
+
+    const digests = await this.sendDigests(now);
+
+    return { evaluated, matched, digests: digests.sent, failed: failed + digests.failed };
+  }
+}
+
+module.exports = new SavedSearchService();
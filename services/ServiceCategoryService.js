@@ -0,0 +1,645 @@
+/**
+ * Servicio de Categorías de Servicio
+ * Taxonomía guardada en ServiceCategory: consulta con caché en memoria (la usan
+ * los validadores de ServiceRequest, Professional y ServiceSeries), CRUD de
+ * administración y migración de los documentos con categorías antiguas
+ */
+
+const mongoose = require('mongoose');
+const ServiceCategory = require('../models/ServiceCategory');
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const ServiceSeries = require('../models/ServiceSeries');
+const SavedSearch = require('../models/SavedSearch');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const {
+  SERVICE_CATEGORY_CONFIG,
+  DEFAULT_SERVICE_CATEGORIES,
+  LEGACY_CATEGORY_MAP,
+  LEGACY_SUBCATEGORY_MAP
+} = require('../config/service-categories');
+
+const UPDATABLE_FIELDS = [
+  'name', 'icon', 'pricingHint', 'cancellationPolicy', 'requiredCredentials', 'sortOrder', 'isActive'
+];
+
+// Documentos que guardan una categoría raíz y su subcategoría; arrayPath indica un
+// arreglo de subdocumentos y optionalSubcategory que la subcategoría puede quedar vacía
+const CATEGORY_REFERENCES = [
+  { key: 'serviceRequests', model: ServiceRequest, path: 'service.category', subcategoryPath: 'service.subcategory' },
+  {
+    key: 'professionals',
+    model: Professional,
+    path: 'services.category',
+    subcategoryPath: 'services.subcategory',
+    arrayPath: 'services'
+  },
+  {
+    key: 'serviceSeries',
+    model: ServiceSeries,
+    path: 'template.service.category',
+    subcategoryPath: 'template.service.subcategory'
+  },
+  {
+    key: 'savedSearches',
+    model: SavedSearch,
+    path: 'filters.category',
+    subcategoryPath: 'filters.subcategory',
+    optionalSubcategory: true
+  }
+];
+
+// Forma comparable de un valor escrito a mano: sin tildes, minúsculas y con guiones bajos
+const toKey = value => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const byOrder = (a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.es.localeCompare(b.name.es, 'es');
+
+class ServiceCategoryService {
+  constructor() {
+    this.cachedCategories = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Todas las categorías (activas e inactivas). Si la colección está vacía
+   * (migración pendiente) se usa la taxonomía inicial de config/service-categories
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    if (this.cachedCategories && Date.now() - this.cachedAt < SERVICE_CATEGORY_CONFIG.cacheMs) {
+      return this.cachedCategories;
+    }
+
+    let categories = await ServiceCategory.find().lean();
+    if (categories.length === 0) {
+      logger.warn('Colección de categorías vacía: usando la taxonomía por defecto');
+      categories = this.buildDefaultCategories();
+    }
+
+    this.cachedCategories = categories;
+    this.cachedAt = Date.now();
+    return categories;
+  }
+
+  /**
+   * Descartar la caché tras un cambio de administración
+   */
+  invalidate() {
+    this.cachedCategories = null;
+  }
+
+  /**
+   * Taxonomía inicial como documentos planos (sin guardar)
+   * @returns {Array}
+   */
+  buildDefaultCategories() {
+    return DEFAULT_SERVICE_CATEGORIES.flatMap((root, index) => {
+      const rootId = new mongoose.Types.ObjectId();
+
+      return [
+        { ...this.fromDefault(root, index), _id: rootId, parent: null },
+        ...(root.subcategories || []).map((subcategory, subIndex) => ({
+          ...this.fromDefault(subcategory, subIndex),
+          _id: new mongoose.Types.ObjectId(),
+          parent: rootId
+        }))
+      ];
+    });
+  }
+
+  /**
+   * Campos de una categoría de la taxonomía inicial
+   * @param {Object} definition - Entrada de DEFAULT_SERVICE_CATEGORIES
+   * @param {number} sortOrder - Posición
+   * @returns {Object}
+   */
+  fromDefault(definition, sortOrder) {
+    return {
+      slug: definition.slug,
+      name: definition.name,
+      icon: definition.icon,
+      pricingHint: definition.pricingHint,
+      ...(definition.cancellationPolicy && { cancellationPolicy: definition.cancellationPolicy }),
+      requiredCredentials: definition.requiredCredentials || [],
+      sortOrder,
+      isActive: true
+    };
+  }
+
+  /**
+   * Si un slug es una categoría raíz activa (valor válido de service.category)
+   * @param {string} slug - Slug de la categoría
+   * @returns {Promise<boolean>}
+   */
+  async isSelectable(slug) {
+    const categories = await this.getAll();
+    return categories.some(category => category.slug === slug && !category.parent && category.isActive);
+  }
+
+  /**
+   * Si un slug es una subcategoría activa de la categoría raíz indicada (valor
+   * válido de service.subcategory)
+   * @param {string} categorySlug - Slug de la categoría raíz
+   * @param {string} slug - Slug de la subcategoría
+   * @returns {Promise<boolean>}
+   */
+  async isSelectableSubcategory(categorySlug, slug) {
+    const categories = await this.getAll();
+    const root = categories.find(category => category.slug === categorySlug && !category.parent);
+    if (!root) return false;
+
+    return categories.some(category =>
+      category.slug === slug && category.parent && category.parent.equals(root._id) && category.isActive
+    );
+  }
+
+  /**
+   * Árbol de categorías raíz con sus subcategorías, ordenado
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Array>} [{ ...categoría, subcategories: [...] }]
+   */
+  async getTree(options = {}) {
+    const categories = (await this.getAll())
+      .filter(category => options.includeInactive || category.isActive);
+
+    return categories
+      .filter(category => !category.parent)
+      .sort(byOrder)
+      .map(root => ({
+        ...root,
+        subcategories: categories
+          .filter(category => category.parent && category.parent.equals(root._id))
+          .sort(byOrder)
+      }));
+  }
+
+  /**
+   * Categoría para la respuesta pública en el idioma pedido
+   * @param {Object} category - Categoría (con subcategories si es raíz)
+   * @param {string} lang - 'es' o 'en'
+   * @returns {Object}
+   */
+  toPublicResponse(category, lang = 'es') {
+    const response = {
+      slug: category.slug,
+      name: category.name[lang] || category.name.es,
+      names: category.name,
+      icon: category.icon
+    };
+
+    if (category.subcategories) {
+      response.pricingHint = category.pricingHint;
+      response.cancellationPolicy = category.cancellationPolicy;
+      response.requiredCredentials = category.requiredCredentials;
+      response.subcategories = category.subcategories.map(subcategory => this.toPublicResponse(subcategory, lang));
+    }
+
+    return response;
+  }
+
+  /**
+   * Categoría por ID (administración)
+   * @param {string} categoryId - ID de la categoría
+   * @returns {Promise<Object>}
+   */
+  async get(categoryId) {
+    const category = mongoose.Types.ObjectId.isValid(categoryId)
+      ? await ServiceCategory.findById(categoryId)
+      : null;
+
+    if (!category) {
+      throw new AppError('Categoría no encontrada', 404, 'SERVICE_CATEGORY_NOT_FOUND');
+    }
+    return category;
+  }
+
+  /**
+   * Crear una categoría raíz o una subcategoría (parent = slug de una raíz)
+   * @param {Object} data - { slug, parent, name, icon, pricingHint, requiredCredentials, sortOrder, isActive }
+   * @param {Object} user - Administrador
+   * @returns {Promise<Object>}
+   */
+  async create(data, user) {
+    if (await ServiceCategory.exists({ slug: data.slug })) {
+      throw new AppError('Ya existe una categoría con ese slug', 409, 'SERVICE_CATEGORY_EXISTS');
+    }
+
+    let parent = null;
+    if (data.parent) {
+      parent = await ServiceCategory.findOne({ slug: data.parent }).select('parent');
+      // Dos niveles: categoría (service.category) y subcategoría
+      if (!parent || parent.parent) {
+        throw new AppError('La categoría padre debe ser una categoría raíz existente', 400, 'INVALID_PARENT_CATEGORY');
+      }
+      this.assertRootOnlyFields(data);
+    }
+
+    const category = new ServiceCategory({
+      ...this.pickUpdatable(data),
+      slug: data.slug,
+      parent: parent?._id || null,
+      updatedBy: user._id
+    });
+
+    await category.save();
+    this.invalidate();
+
+    logger.info('Categoría de servicio creada:', {
+      categoryId: category._id,
+      slug: category.slug,
+      userId: user._id
+    });
+
+    return category;
+  }
+
+  /**
+   * Actualizar nombres, ícono, sugerencia de precio, credenciales, orden o estado.
+   * El slug y el padre no cambian; desactivar una categoría no invalida los
+   * documentos que ya la usan, solo impide elegirla de nuevo
+   * @param {string} categoryId - ID de la categoría
+   * @param {Object} data - Campos a actualizar
+   * @param {Object} user - Administrador
+   * @returns {Promise<Object>}
+   */
+  async update(categoryId, data, user) {
+    const category = await this.get(categoryId);
+    if (category.parent) this.assertRootOnlyFields(data);
+
+    Object.entries(this.pickUpdatable(data)).forEach(([field, value]) => {
+      category.set(field, value);
+    });
+    category.updatedBy = user._id;
+
+    await category.save();
+    this.invalidate();
+
+    logger.info('Categoría de servicio actualizada:', {
+      categoryId: category._id,
+      fields: Object.keys(this.pickUpdatable(data)),
+      userId: user._id
+    });
+
+    return category;
+  }
+
+  /**
+   * Eliminar una categoría sin subcategorías. Una categoría o subcategoría en
+   * uso solo puede desactivarse
+   * @param {string} categoryId - ID de la categoría
+   * @param {Object} user - Administrador
+   */
+  async remove(categoryId, user) {
+    const category = await this.get(categoryId);
+
+    if (await ServiceCategory.exists({ parent: category._id })) {
+      throw new AppError('La categoría tiene subcategorías', 409, 'SERVICE_CATEGORY_HAS_CHILDREN');
+    }
+
+    const usage = await this.countUsage(category);
+    if (Object.values(usage).some(count => count > 0)) {
+      throw new AppError('La categoría está en uso; desactívala en lugar de eliminarla', 409, 'SERVICE_CATEGORY_IN_USE', usage);
+    }
+
+    await category.deleteOne();
+    this.invalidate();
+
+    logger.info('Categoría de servicio eliminada:', {
+      categoryId: category._id,
+      slug: category.slug,
+      userId: user._id
+    });
+  }
+
+  /**
+   * Documentos que usan una categoría raíz o una subcategoría
+   * @param {Object} category - Categoría ({ slug, parent })
+   * @returns {Promise<Object>} { serviceRequests, professionals, serviceSeries, savedSearches }
+   */
+  async countUsage(category) {
+    const counts = await Promise.all(CATEGORY_REFERENCES.map(reference =>
+      reference.model.countDocuments({
+        [category.parent ? reference.subcategoryPath : reference.path]: category.slug
+      })
+    ));
+
+    return CATEGORY_REFERENCES.reduce((usage, reference, index) => {
+      usage[reference.key] = counts[index];
+      return usage;
+    }, {});
+  }
+
+  /**
+   * Rechazar en subcategorías los campos que solo aplican a la categoría raíz
+   * @param {Object} data - Datos de la subcategoría
+   */
+  assertRootOnlyFields(data) {
+    if (data.cancellationPolicy !== undefined) {
+      throw new AppError(
+        'La política de cancelación se define en la categoría raíz',
+        400,
+        'ROOT_CATEGORY_FIELD'
+      );
+    }
+  }
+
+  /**
+   * Campos editables presentes en los datos recibidos
+   * @param {Object} data - Datos de la categoría
+   * @returns {Object}
+   */
+  pickUpdatable(data) {
+    return UPDATABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) fields[field] = data[field];
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Guardar la taxonomía inicial sin tocar las categorías que ya existen
+   * @returns {Promise<number>} Categorías creadas
+   */
+  async seedDefaults() {
+    let created = 0;
+
+    for (const [index, root] of DEFAULT_SERVICE_CATEGORIES.entries()) {
+      const rootResult = await ServiceCategory.updateOne(
+        { slug: root.slug },
+        { $setOnInsert: { ...this.fromDefault(root, index), parent: null } },
+        { upsert: true }
+      );
+      created += rootResult.upsertedCount;
+
+      // Categorías sembradas antes de existir el campo: reciben la política de la taxonomía inicial
+      await ServiceCategory.updateOne(
+        { slug: root.slug, cancellationPolicy: { $exists: false } },
+        { $set: { cancellationPolicy: root.cancellationPolicy } }
+      );
+
+      const { _id: parentId } = await ServiceCategory.findOne({ slug: root.slug }).select('_id').lean();
+
+      for (const [subIndex, subcategory] of (root.subcategories || []).entries()) {
+        const result = await ServiceCategory.updateOne(
+          { slug: subcategory.slug },
+          { $setOnInsert: { ...this.fromDefault(subcategory, subIndex), parent: parentId } },
+          { upsert: true }
+        );
+        created += result.upsertedCount;
+      }
+    }
+
+    this.invalidate();
+    return created;
+  }
+
+  /**
+   * Categoría raíz que corresponde a un valor antiguo: la de LEGACY_CATEGORY_MAP,
+   * la raíz de una subcategoría usada como categoría o la categoría de respaldo
+   * @param {string} value - Valor guardado
+   * @param {Array} categories - Categorías existentes
+   * @returns {Object} { slug, mapped }
+   */
+  resolveLegacyCategory(value, categories) {
+    const roots = categories.filter(category => !category.parent);
+    const isRoot = slug => roots.some(root => root.slug === slug);
+
+    if (isRoot(LEGACY_CATEGORY_MAP[value])) {
+      return { slug: LEGACY_CATEGORY_MAP[value], mapped: true };
+    }
+
+    const subcategory = categories.find(category => category.parent && category.slug === value);
+    const parent = subcategory && roots.find(root => root._id.equals(subcategory.parent));
+    if (parent) {
+      return { slug: parent.slug, mapped: true };
+    }
+
+    return { slug: SERVICE_CATEGORY_CONFIG.fallbackCategory, mapped: false };
+  }
+
+  /**
+   * Subcategoría que corresponde a un valor antiguo dentro de una categoría raíz:
+   * la de LEGACY_SUBCATEGORY_MAP o la hija cuyo slug o nombre coincide. Sin
+   * correspondencia se usa la subcategoría general de la categoría
+   * @param {string} rootSlug - Categoría raíz del documento
+   * @param {string} value - Subcategoría guardada
+   * @param {Array} categories - Categorías existentes
+   * @returns {Object} { slug, mapped }
+   */
+  resolveLegacySubcategory(rootSlug, value, categories) {
+    const root = categories.find(category => !category.parent && category.slug === rootSlug);
+    const children = root
+      ? categories.filter(category => category.parent && category.parent.equals(root._id))
+      : [];
+
+    const current = children.find(category => category.slug === value);
+    if (current) {
+      return { slug: current.slug, mapped: true };
+    }
+
+    const key = toKey(value);
+    const match = children.find(category => category.slug === LEGACY_SUBCATEGORY_MAP[key]) ||
+      children.find(category => [category.slug, category.name.es, category.name.en].some(name => toKey(name) === key));
+    if (match) {
+      return { slug: match.slug, mapped: true };
+    }
+
+    return { slug: `${rootSlug}${SERVICE_CATEGORY_CONFIG.fallbackSubcategory.suffix}`, mapped: false };
+  }
+
+  /**
+   * Crear (si no existe) la subcategoría general de una categoría raíz
+   * @param {string} rootSlug - Slug de la categoría raíz
+   * @param {Array} categories - Categorías existentes; se agrega la creada
+   * @returns {Promise<number>} Categorías creadas
+   */
+  async ensureFallbackSubcategory(rootSlug, categories) {
+    const { suffix, name } = SERVICE_CATEGORY_CONFIG.fallbackSubcategory;
+    const slug = `${rootSlug}${suffix}`;
+    const root = categories.find(category => !category.parent && category.slug === rootSlug);
+    if (!root || categories.some(category => category.slug === slug)) return 0;
+
+    const subcategory = {
+      slug,
+      name,
+      parent: root._id,
+      requiredCredentials: [],
+      sortOrder: categories.filter(category => category.parent && category.parent.equals(root._id)).length,
+      isActive: true
+    };
+    const result = await ServiceCategory.updateOne({ slug }, { $setOnInsert: subcategory }, { upsert: true });
+    categories.push(subcategory);
+    this.invalidate();
+
+    return result.upsertedCount;
+  }
+
+  /**
+   * Sembrar la taxonomía y llevar las categorías y subcategorías antiguas de todos
+   * los documentos a categorías existentes
+   * @param {Object} options - { dryRun: solo contar sin modificar }
+   * @returns {Promise<Object>} { seeded, changes: [{ collection, path, from, to, documents }],
+   *   unmapped, unmappedSubcategories }
+   */
+  async migrate(options = {}) {
+    const seeded = options.dryRun ? 0 : await this.seedDefaults();
+    const categories = options.dryRun
+      ? await this.getAll()
+      : await ServiceCategory.find().lean();
+    const rootSlugs = new Set(categories.filter(category => !category.parent).map(category => category.slug));
+
+    const changes = [];
+    const unmapped = new Set();
+
+    for (const reference of CATEGORY_REFERENCES) {
+      const values = (await reference.model.distinct(reference.path))
+        .filter(value => value && !rootSlugs.has(value));
+
+      for (const value of values) {
+        const { slug, mapped } = this.resolveLegacyCategory(value, categories);
+        if (!mapped) unmapped.add(value);
+
+        const documents = options.dryRun
+          ? await reference.model.countDocuments({ [reference.path]: value })
+          : (await this.replaceCategory(reference, value, slug)).modifiedCount;
+
+        changes.push({ collection: reference.key, path: reference.path, from: value, to: slug, documents });
+      }
+    }
+
+    // Después de las categorías: la subcategoría se valida contra la categoría ya migrada
+    // (las copias de documentos antiguos, como re-reservas o hijas de series, la revalidan)
+    const unmappedSubcategories = new Set();
+    let created = 0;
+
+    for (const reference of CATEGORY_REFERENCES) {
+      for (const { category, subcategory } of await this.getSubcategoryValues(reference)) {
+        if (!category || !subcategory) continue;
+
+        const rootSlug = rootSlugs.has(category)
+          ? category
+          : this.resolveLegacyCategory(category, categories).slug;
+        const { slug, mapped } = this.resolveLegacySubcategory(rootSlug, subcategory, categories);
+        if (slug === subcategory) continue;
+
+        // Sin correspondencia: se vacía si es opcional y si no va a la subcategoría general
+        const to = mapped || !reference.optionalSubcategory ? slug : null;
+        if (!mapped) unmappedSubcategories.add(`${rootSlug}/${subcategory}`);
+        if (!mapped && to && !options.dryRun) {
+          created += await this.ensureFallbackSubcategory(rootSlug, categories);
+        }
+
+        const documents = options.dryRun
+          ? await reference.model.countDocuments(this.getSubcategoryFilter(reference, category, subcategory))
+          : (await this.replaceSubcategory(reference, category, subcategory, to)).modifiedCount;
+
+        changes.push({ collection: reference.key, path: reference.subcategoryPath, from: subcategory, to, documents });
+      }
+    }
+
+    logger.info('Migración de categorías de servicio:', {
+      dryRun: Boolean(options.dryRun),
+      seeded: seeded + created,
+      changes: changes.length,
+      unmapped: [...unmapped],
+      unmappedSubcategories: [...unmappedSubcategories]
+    });
+
+    return {
+      seeded: seeded + created,
+      changes,
+      unmapped: [...unmapped],
+      unmappedSubcategories: [...unmappedSubcategories]
+    };
+  }
+
+  /**
+   * Combinaciones de categoría y subcategoría guardadas en una colección
+   * @param {Object} reference - Entrada de CATEGORY_REFERENCES
+   * @returns {Promise<Array>} [{ category, subcategory }]
+   */
+  async getSubcategoryValues(reference) {
+    const groups = await reference.model.aggregate([
+      ...(reference.arrayPath ? [{ $unwind: `$${reference.arrayPath}` }] : []),
+      { $group: { _id: { category: `$${reference.path}`, subcategory: `$${reference.subcategoryPath}` } } }
+    ]);
+
+    return groups.map(group => group._id);
+  }
+
+  /**
+   * Filtro de los documentos con una subcategoría dentro de una categoría
+   * @param {Object} reference - Entrada de CATEGORY_REFERENCES
+   * @param {string} category - Categoría guardada
+   * @param {string} subcategory - Subcategoría guardada
+   * @returns {Object}
+   */
+  getSubcategoryFilter(reference, category, subcategory) {
+    if (!reference.arrayPath) {
+      return { [reference.path]: category, [reference.subcategoryPath]: subcategory };
+    }
+
+    const prefix = reference.arrayPath.length + 1;
+    return {
+      [reference.arrayPath]: {
+        $elemMatch: {
+          [reference.path.slice(prefix)]: category,
+          [reference.subcategoryPath.slice(prefix)]: subcategory
+        }
+      }
+    };
+  }
+
+  /**
+   * Reemplazar (o vaciar) una subcategoría dentro de una categoría en una colección
+   * @param {Object} reference - Entrada de CATEGORY_REFERENCES
+   * @param {string} category - Categoría guardada
+   * @param {string} from - Subcategoría antigua
+   * @param {string|null} to - Subcategoría nueva; null la elimina
+   * @returns {Promise<Object>} Resultado de updateMany
+   */
+  async replaceSubcategory(reference, category, from, to) {
+    const filter = this.getSubcategoryFilter(reference, category, from);
+    const update = (path) => (to ? { $set: { [path]: to } } : { $unset: { [path]: '' } });
+
+    if (!reference.arrayPath) {
+      return reference.model.updateMany(filter, update(reference.subcategoryPath));
+    }
+
+    const prefix = reference.arrayPath.length + 1;
+    const categoryField = reference.path.slice(prefix);
+    const subcategoryField = reference.subcategoryPath.slice(prefix);
+    return reference.model.updateMany(
+      filter,
+      update(`${reference.arrayPath}.$[item].${subcategoryField}`),
+      { arrayFilters: [{ [`item.${categoryField}`]: category, [`item.${subcategoryField}`]: from }] }
+    );
+  }
+
+  /**
+   * Reemplazar un valor de categoría en una colección
+   * @param {Object} reference - Entrada de CATEGORY_REFERENCES
+   * @param {string} from - Valor antiguo
+   * @param {string} to - Slug nuevo
+   * @returns {Promise<Object>} Resultado de updateMany
+   */
+  async replaceCategory(reference, from, to) {
+    if (!reference.arrayPath) {
+      return reference.model.updateMany({ [reference.path]: from }, { $set: { [reference.path]: to } });
+    }
+
+    const field = reference.path.slice(reference.arrayPath.length + 1);
+    return reference.model.updateMany(
+      { [reference.path]: from },
+      { $set: { [`${reference.arrayPath}.$[item].${field}`]: to } },
+      { arrayFilters: [{ [`item.${field}`]: from }] }
+    );
+  }
+}
+
+module.exports = new ServiceCategoryService();
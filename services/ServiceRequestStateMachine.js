@@ -0,0 +1,342 @@
+/**
+ * Máquina de estados de solicitudes de servicio
+ * Aplica la tabla declarativa de config/service-request-transitions.js:
+ * valida rol y condiciones, cambia el estado y dispara los efectos secundarios
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const Chat = require('../models/Chat');
+const NotificationService = require('./NotificationService');
+const ChatService = require('./ChatService');
+const AvailabilityService = require('./AvailabilityService');
+const CancellationService = require('./CancellationService');
+const TrackingService = require('./TrackingService');
+const InstantBookingService = require('./InstantBookingService');
+const logger = require('../utils/logger');
+const { AppError, InvalidTransitionError } = require('../utils/errors');
+const {
+  SERVICE_REQUEST_TRANSITIONS,
+  STATUS_LABELS,
+  RESERVED_REASONS,
+  getActionsFromStatus
+} = require('../config/service-request-transitions');
+
+// Template de notificación según el estado destino
+const STATUS_NOTIFICATION_TEMPLATES = {
+  accepted: 'SERVICE_REQUEST_ACCEPTED',
+  completed: 'SERVICE_REQUEST_COMPLETED',
+  cancelled: 'SERVICE_REQUEST_CANCELLED'
+};
+
+class ServiceRequestStateMachine {
+  constructor() {
+    // Condiciones que deben cumplirse antes de una transición
+    this.guards = {
+      professionalAssigned: {
+        message: 'La solicitud no tiene un profesional asignado',
+        check: (serviceRequest) => !!serviceRequest.professionalId
+      },
+      // Autorizado (processing) se captura al confirmar el acta de finalización;
+      // completed corresponde a cobros inmediatos (reserva inmediata)
+      paymentSecured: {
+        message: 'El pago debe estar autorizado antes de iniciar el servicio',
+        check: (serviceRequest) =>
+          serviceRequest.pricing?.paymentMethod === 'cash' ||
+          ['processing', 'completed'].includes(serviceRequest.payment?.paymentStatus) ||
+          !!serviceRequest.followUp?.warrantyClaimId // Visita de garantía sin costo
+      },
+      slotAvailable: {
+        message: 'La franja horaria ya no está disponible para el profesional',
+        code: 'SLOT_CONFLICT',
+        check: async (serviceRequest) =>
+          (await AvailabilityService.checkSlot(serviceRequest)).available
+      },
+      startTimePassed: {
+        message: 'Aún no ha pasado el tiempo de espera desde la hora pactada',
+        check: (serviceRequest) => CancellationService.canReportNoShow(serviceRequest)
+      }
+    };
+
+    // Efectos secundarios tras una transición exitosa
+    this.effects = {
+      notifyParties: (context) => this.notifyParties(context),
+      chatMessage: (context) => this.postChatMessage(context),
+      updateStatistics: (context) => this.updateProfessionalStatistics(context),
+      applyCancellationPolicy: (context) => CancellationService.applyCancellation(context),
+      stopTracking: ({ serviceRequest }) => TrackingService.stopSharing(serviceRequest, 'status_changed'),
+      releaseInstantBooking: ({ serviceRequest }) => InstantBookingService.releaseWeeklySlot(serviceRequest),
+      // WarrantyService importa esta máquina de estados; se resuelve al ejecutar el efecto
+      syncWarrantyClaim: (context) => require('./WarrantyService').syncFollowUp(context)
+    };
+  }
+
+  /**
+   * Determinar el rol del usuario respecto a una solicitud
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<string|null>} client, professional, admin o null
+   */
+  async getActorRole(serviceRequest, user) {
+    if (!user) return null;
+    if (user.role === 'admin') return 'admin';
+
+    if (serviceRequest.clientId && serviceRequest.clientId.toString() === user._id.toString()) {
+      return 'client';
+    }
+
+    if (user.role === 'professional' && serviceRequest.professionalId) {
+      const professional = await Professional.findOne({ userId: user._id }).select('_id');
+      if (professional && professional._id.toString() === serviceRequest.professionalId.toString()) {
+        return 'professional';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Verificar que el usuario tenga uno de los roles permitidos sobre la solicitud
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Usuario autenticado
+   * @param {Array<string>} roles - Roles permitidos
+   * @param {string} message - Mensaje del error 403
+   * @returns {Promise<string>} Rol del usuario
+   */
+  async assertActorRole(serviceRequest, user, roles, message = 'No tienes permisos para esta acción sobre el servicio') {
+    const role = await this.getActorRole(serviceRequest, user);
+    if (!roles.includes(role)) {
+      throw new AppError(message, 403, 'FORBIDDEN');
+    }
+    return role;
+  }
+
+  /**
+   * Evaluar si una acción puede ejecutarse
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {string} action - Acción solicitada
+   * @param {string} role - Rol del actor
+   * @returns {Promise<Object>} { allowed, reasons, statusCode, code }
+   */
+  async evaluate(serviceRequest, action, role) {
+    const transition = SERVICE_REQUEST_TRANSITIONS[action];
+
+    if (!transition) {
+      return { allowed: false, reasons: [`Acción desconocida: ${action}`], statusCode: 400 };
+    }
+
+    if (!transition.from.includes(serviceRequest.status)) {
+      return {
+        allowed: false,
+        reasons: [`No se puede '${transition.label.toLowerCase()}' desde el estado ${STATUS_LABELS[serviceRequest.status]}`],
+        statusCode: 409
+      };
+    }
+
+    if (!role || !transition.roles.includes(role)) {
+      return {
+        allowed: false,
+        reasons: ['No tienes permisos para realizar esta acción'],
+        statusCode: 403
+      };
+    }
+
+    const failedGuards = [];
+    for (const guardName of transition.guards) {
+      if (!await this.guards[guardName].check(serviceRequest)) {
+        failedGuards.push(this.guards[guardName]);
+      }
+    }
+
+    return {
+      allowed: failedGuards.length === 0,
+      reasons: failedGuards.map(guard => guard.message),
+      statusCode: 409,
+      code: failedGuards[0]?.code
+    };
+  }
+
+  /**
+   * Listar las acciones disponibles para un usuario
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object>} Rol del actor y acciones con su disponibilidad
+   */
+  async getAvailableTransitions(serviceRequest, user) {
+    const role = await this.getActorRole(serviceRequest, user);
+
+    const actions = getActionsFromStatus(serviceRequest.status)
+      .filter(action => role && SERVICE_REQUEST_TRANSITIONS[action].roles.includes(role));
+
+    const transitions = [];
+    for (const action of actions) {
+      const transition = SERVICE_REQUEST_TRANSITIONS[action];
+      const { allowed, reasons } = await this.evaluate(serviceRequest, action, role);
+
+      transitions.push({
+        action,
+        label: transition.label,
+        from: serviceRequest.status,
+        to: transition.to,
+        allowed,
+        reasons
+      });
+    }
+
+    return { role, status: serviceRequest.status, transitions };
+  }
+
+  /**
+   * Ejecutar una transición
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {string} action - Acción a ejecutar
+   * @param {Object} options - Opciones
+   * @param {Object} options.user - Usuario que ejecuta la acción
+   * @param {string} options.role - Rol forzado (solo para procesos internos, ej. 'system')
+   * @param {string} options.reason - Motivo del cambio
+   * @param {string} options.notes - Notas adicionales
+   * @returns {Promise<Object>} Solicitud actualizada
+   */
+  async transition(serviceRequest, action, options = {}) {
+    const { user = null, notes = '' } = options;
+    const role = options.role || await this.getActorRole(serviceRequest, user);
+    const transition = SERVICE_REQUEST_TRANSITIONS[action];
+    const reason = transition?.reason || options.reason || '';
+    const from = serviceRequest.status;
+
+    if (transition && !transition.reason && RESERVED_REASONS.includes(options.reason)) {
+      throw new AppError(
+        `El motivo '${options.reason}' no puede usarse en la acción '${transition.label.toLowerCase()}'`,
+        400,
+        'RESERVED_REASON'
+      );
+    }
+
+    const { allowed, reasons, statusCode, code } = await this.evaluate(serviceRequest, action, role);
+    if (!allowed) {
+      throw new InvalidTransitionError(from, transition ? transition.to : null, {
+        message: reasons[0],
+        action,
+        reasons,
+        statusCode,
+        code
+      });
+    }
+
+    const updatedBy = user ? user._id : serviceRequest.clientId;
+    await serviceRequest.updateStatus(transition.to, updatedBy, reason, notes);
+
+    logger.info('Transición de solicitud de servicio:', {
+      serviceRequestId: serviceRequest._id,
+      action,
+      from,
+      to: transition.to,
+      role,
+      userId: user ? user._id : null
+    });
+
+    await this.runEffects(transition.effects, {
+      serviceRequest,
+      action,
+      from,
+      to: transition.to,
+      role,
+      user,
+      reason
+    });
+
+    return serviceRequest;
+  }
+
+  /**
+   * Ejecutar efectos secundarios sin interrumpir la transición si alguno falla
+   * @param {Array<string>} effectNames - Efectos a ejecutar
+   * @param {Object} context - Contexto de la transición
+   */
+  async runEffects(effectNames, context) {
+    for (const effectName of effectNames) {
+      try {
+        await this.effects[effectName](context);
+      } catch (error) {
+        logger.warn('Error ejecutando efecto de transición:', {
+          effect: effectName,
+          serviceRequestId: context.serviceRequest._id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Notificar a las partes involucradas (excepto a quien disparó la acción)
+   * @param {Object} context - Contexto de la transición
+   */
+  async notifyParties({ serviceRequest, action, from, to, user }) {
+    const recipients = [serviceRequest.clientId];
+
+    if (serviceRequest.professionalId) {
+      const professional = await Professional.findById(serviceRequest.professionalId).select('userId');
+      if (professional) recipients.push(professional.userId);
+    }
+
+    const actorId = user ? user._id.toString() : null;
+    const templateKey = STATUS_NOTIFICATION_TEMPLATES[to] || 'SERVICE_REQUEST_STATUS_CHANGED';
+
+    for (const recipientId of recipients) {
+      if (!recipientId || recipientId.toString() === actorId) continue;
+
+      await NotificationService.sendNotification(
+        recipientId,
+        templateKey,
+        {
+          serviceRequestId: serviceRequest._id,
+          serviceTitle: serviceRequest.service?.title || 'Servicio',
+          previousStatus: from,
+          status: to,
+          statusLabel: STATUS_LABELS[to]
+        },
+        {
+          metadata: {
+            serviceRequestId: serviceRequest._id,
+            action
+          }
+        }
+      );
+    }
+  }
+
+  /**
+   * Publicar el cambio de estado en el chat del servicio
+   * @param {Object} context - Contexto de la transición
+   */
+  async postChatMessage({ serviceRequest, from, to, reason }) {
+    if (!ChatService.isAvailable()) return;
+
+    const chat = await Chat.findOne({ serviceRequest: serviceRequest._id }).select('_id');
+    if (!chat) return;
+
+    const description = `Estado actualizado: ${STATUS_LABELS[from]} → ${STATUS_LABELS[to]}` +
+      (reason ? ` (${reason})` : '');
+
+    await ChatService.notifyServiceUpdate(chat._id.toString(), 'status_change', from, to, description);
+  }
+
+  /**
+   * Actualizar estadísticas del profesional asignado
+   * @param {Object} context - Contexto de la transición
+   */
+  async updateProfessionalStatistics({ serviceRequest, to }) {
+    // Las visitas de garantía no cuentan como servicios nuevos
+    if (!serviceRequest.professionalId || serviceRequest.followUp?.warrantyClaimId) return;
+
+    const professional = await Professional.findById(serviceRequest.professionalId);
+    if (!professional) return;
+
+    await professional.updateStatistics({
+      status: to,
+      finalCost: serviceRequest.pricing?.finalCost || 0
+    });
+  }
+}
+
+module.exports = new ServiceRequestStateMachine();
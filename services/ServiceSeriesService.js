@@ -0,0 +1,562 @@
+/**
+ * Servicio de Series Recurrentes
+ * Genera solicitudes hijas por adelantado y gestiona omisiones, pausas y
+ * ediciones de una ocurrencia o de todas las siguientes
+ */
+
+const ServiceSeries = require('../models/ServiceSeries');
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const ServiceRequestStateMachine = require('./ServiceRequestStateMachine');
+const logger = require('../utils/logger');
+const { AppError, SlotConflictError } = require('../utils/errors');
+const { RecurrenceUtils } = require('../utils/recurrence');
+const {
+  RECURRENCE_PRESETS,
+  SERIES_EDITABLE_STATUSES,
+  SERIES_GENERATION,
+  SERIES_EDITABLE_FIELDS
+} = require('../config/recurrence');
+
+class ServiceSeriesService {
+  /**
+   * Crear una serie y generar las primeras ocurrencias
+   * @param {Object} user - Cliente que crea la serie
+   * @param {Object} data - Datos validados (service, location, scheduling, pricing, recurrence, professionalId)
+   * @returns {Promise<Object>} { series, occurrences }
+   */
+  async createSeries(user, data) {
+    if (data.professionalId) {
+      const professional = await Professional.findById(data.professionalId).select('isActive');
+      if (!professional || !professional.isActive) {
+        throw new AppError('Profesional no encontrado o inactivo', 404, 'PROFESSIONAL_NOT_FOUND');
+      }
+    }
+
+    const series = new ServiceSeries({
+      clientId: user._id,
+      professionalId: data.professionalId || null,
+      template: {
+        service: data.service,
+        location: data.location,
+        scheduling: data.scheduling,
+        pricing: data.pricing || {}
+      },
+      recurrence: this.resolveRecurrence(data.recurrence)
+    });
+
+    await series.save();
+    const occurrences = await this.generateOccurrences(series);
+
+    logger.info('Serie recurrente creada:', {
+      seriesId: series._id,
+      clientId: user._id,
+      rrule: series.rrule,
+      occurrences: occurrences.length
+    });
+
+    return { series, occurrences };
+  }
+
+  /**
+   * Convertir la entrada del cliente (preset, RRULE o campos) en una regla
+   * @param {Object} input - Datos de recurrencia
+   * @returns {Object} Regla normalizada para el modelo
+   */
+  resolveRecurrence(input) {
+    const { preset, rrule, ...fields } = input;
+    let recurrence = { ...fields };
+
+    if (rrule) {
+      recurrence = { ...RecurrenceUtils.parseRRule(rrule), ...recurrence };
+    }
+
+    if (preset) {
+      recurrence = { ...recurrence, ...RECURRENCE_PRESETS[preset] };
+    }
+
+    if (!recurrence.startDate) {
+      throw new AppError('La fecha de inicio de la serie es requerida', 400, 'INVALID_RECURRENCE');
+    }
+
+    const normalized = RecurrenceUtils.normalize(recurrence);
+
+    return {
+      frequency: normalized.frequency,
+      interval: normalized.interval,
+      byWeekday: normalized.frequency === 'weekly' ? normalized.byWeekday : [],
+      byMonthDay: normalized.frequency === 'monthly' ? normalized.byMonthDay : undefined,
+      startDate: normalized.startDate,
+      endDate: normalized.endDate || undefined,
+      count: normalized.count || undefined,
+      timeZone: recurrence.timeZone
+    };
+  }
+
+  /**
+   * Generar las solicitudes hijas que falten dentro del horizonte
+   * @param {Object} series - Serie recurrente
+   * @param {Object} options - Opciones
+   * @param {Date} options.until - Fecha límite (por defecto hoy + horizonDays)
+   * @returns {Promise<Array>} Solicitudes creadas
+   */
+  async generateOccurrences(series, options = {}) {
+    const today = RecurrenceUtils.startOfDay(new Date());
+
+    // Reanudar automáticamente las pausas con fecha de fin cumplida
+    if (series.status === 'paused' && series.pause.resumeAt && series.pause.resumeAt <= new Date()) {
+      series.status = 'active';
+      series.pause = {};
+    }
+
+    if (series.status !== 'active') {
+      return [];
+    }
+
+    const startDate = RecurrenceUtils.startOfDay(series.recurrence.startDate);
+    const tomorrow = RecurrenceUtils.addDays(today, 1);
+    const from = startDate > tomorrow ? startDate : tomorrow;
+    const until = options.until || RecurrenceUtils.addDays(today, SERIES_GENERATION.horizonDays);
+
+    const dates = RecurrenceUtils.getOccurrences(series.recurrence, from, until);
+
+    const existing = await ServiceRequest.find({
+      'series.seriesId': series._id,
+      'series.occurrenceDate': { $in: dates },
+      'series.cancelledByPause': { $ne: true }
+    }).select('series.occurrenceDate');
+
+    const covered = new Set(existing.map(sr => RecurrenceUtils.toDateKey(sr.series.occurrenceDate)));
+    const created = [];
+
+    for (const date of dates) {
+      const exception = series.getException(date);
+      if (covered.has(RecurrenceUtils.toDateKey(date)) || (exception && exception.type === 'skipped')) {
+        continue;
+      }
+
+      let serviceRequest = this.buildOccurrence(series, date);
+
+      try {
+        await serviceRequest.save();
+      } catch (error) {
+        if (!(error instanceof SlotConflictError)) throw error;
+
+        // Si el profesional ya no tiene esa franja, la ocurrencia queda abierta a otros profesionales
+        logger.warn('Franja ocupada al generar ocurrencia de serie:', {
+          seriesId: series._id,
+          occurrenceDate: date,
+          reasons: error.details?.reasons
+        });
+
+        serviceRequest = this.buildOccurrence(series, date, { unassigned: true });
+        await serviceRequest.save();
+      }
+
+      created.push(serviceRequest);
+    }
+
+    series.generation.generatedUntil = until;
+    series.generation.lastRunAt = new Date();
+    series.generation.occurrencesGenerated += created.length;
+
+    // Terminar la serie cuando ya no quedan ocurrencias futuras
+    if (RecurrenceUtils.getOccurrences(series.recurrence, from, RecurrenceUtils.addDays(from, 400)).length === 0) {
+      series.status = 'ended';
+    }
+
+    await series.save();
+    return created;
+  }
+
+  /**
+   * Generar ocurrencias para todas las series pendientes (uso desde tareas programadas)
+   * @returns {Promise<Object>} Resumen de la ejecución
+   */
+  async generateDueOccurrences() {
+    const horizonEnd = RecurrenceUtils.addDays(new Date(), SERIES_GENERATION.horizonDays);
+    const seriesList = await ServiceSeries.findDueForGeneration(horizonEnd);
+    const summary = { processed: 0, created: 0, failed: 0 };
+
+    for (const series of seriesList) {
+      try {
+        const created = await this.generateOccurrences(series);
+        summary.processed += 1;
+        summary.created += created.length;
+      } catch (error) {
+        summary.failed += 1;
+        logger.error('Error generando ocurrencias de serie:', {
+          seriesId: series._id,
+          error: error.message
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Construir la solicitud hija de una fecha, aplicando las modificaciones registradas
+   * @param {Object} series - Serie recurrente
+   * @param {Date} date - Fecha de la ocurrencia
+   * @param {Object} options - { unassigned: true para generarla sin profesional }
+   * @returns {Object} ServiceRequest sin guardar
+   */
+  buildOccurrence(series, date, options = {}) {
+    const template = series.toObject({ virtuals: false }).template;
+    const professionalId = options.unassigned ? null : series.professionalId;
+    const status = professionalId ? 'accepted' : 'pending';
+    const exception = series.getException(date);
+    const overrides = exception && exception.type === 'modified' ? exception.overrides || {} : {};
+
+    const serviceRequest = new ServiceRequest({
+      clientId: series.clientId,
+      professionalId,
+      service: template.service,
+      location: template.location,
+      scheduling: { ...template.scheduling, preferredDate: date },
+      pricing: template.pricing,
+      status,
+      statusHistory: [{
+        status,
+        updatedBy: series.clientId,
+        reason: 'Generada por serie recurrente'
+      }],
+      series: {
+        seriesId: series._id,
+        occurrenceDate: date,
+        isException: Object.keys(overrides).length > 0
+      }
+    });
+
+    this.applyOverrides(serviceRequest, overrides);
+    return serviceRequest;
+  }
+
+  /**
+   * Convertir los cambios del cliente en rutas de la plantilla
+   * @param {Object} changes - Cambios (preferredTime, description, quotedCost...)
+   * @returns {Object} Mapa ruta -> valor
+   */
+  toOverrides(changes = {}) {
+    const overrides = {};
+
+    Object.entries(SERIES_EDITABLE_FIELDS).forEach(([path, key]) => {
+      if (changes[key] !== undefined) overrides[path] = changes[key];
+    });
+
+    if (changes.preferredDate !== undefined) {
+      overrides['scheduling.preferredDate'] = new Date(changes.preferredDate);
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Aplicar un mapa ruta -> valor a un documento
+   * @param {Object} doc - Documento de Mongoose
+   * @param {Object} overrides - Cambios
+   * @param {string} prefix - Prefijo de ruta (ej. 'template.')
+   */
+  applyOverrides(doc, overrides, prefix = '') {
+    Object.entries(overrides).forEach(([path, value]) => {
+      doc.set(`${prefix}${path}`, value);
+    });
+  }
+
+  /**
+   * Verificar que una fecha sea una ocurrencia futura de la serie
+   * @param {Object} series - Serie recurrente
+   * @param {Date|string} date - Fecha
+   * @returns {Date} Fecha normalizada
+   */
+  assertFutureOccurrence(series, date) {
+    if (isNaN(new Date(date).getTime())) {
+      throw new AppError('Fecha de ocurrencia inválida', 400, 'INVALID_DATE');
+    }
+
+    const occurrenceDate = RecurrenceUtils.startOfDay(date);
+
+    if (!RecurrenceUtils.isOccurrence(series.recurrence, occurrenceDate)) {
+      throw new AppError('La fecha no corresponde a una ocurrencia de la serie', 404, 'OCCURRENCE_NOT_FOUND');
+    }
+
+    if (occurrenceDate < RecurrenceUtils.startOfDay(new Date())) {
+      throw new AppError('No se pueden modificar ocurrencias pasadas', 400, 'OCCURRENCE_IN_PAST');
+    }
+
+    if (['cancelled', 'ended'].includes(series.status)) {
+      throw new AppError('La serie ya no está activa', 409, 'SERIES_INACTIVE');
+    }
+
+    return occurrenceDate;
+  }
+
+  /**
+   * Cancelar solicitudes hijas todavía editables
+   * @param {Object} series - Serie recurrente
+   * @param {Object} filter - Filtro adicional sobre las hijas
+   * @param {Object} options - { user, reason, cancelledByPause }
+   * @returns {Promise<number>} Cantidad de solicitudes canceladas
+   */
+  async cancelChildren(series, filter, options = {}) {
+    const { user, reason = '', cancelledByPause = false } = options;
+
+    const children = await ServiceRequest.find({
+      'series.seriesId': series._id,
+      status: { $in: SERIES_EDITABLE_STATUSES },
+      ...filter
+    });
+
+    for (const child of children) {
+      if (cancelledByPause) {
+        child.series.cancelledByPause = true;
+      }
+
+      await ServiceRequestStateMachine.transition(child, 'cancel', {
+        user,
+        role: 'system',
+        reason: 'client_request',
+        notes: reason
+      });
+    }
+
+    return children.length;
+  }
+
+  /**
+   * Omitir una ocurrencia o todas las siguientes
+   * @param {Object} series - Serie recurrente
+   * @param {Date|string} date - Fecha de la ocurrencia
+   * @param {Object} options - { scope: 'this'|'future', user, reason }
+   * @returns {Promise<Object>} { series, cancelled }
+   */
+  async skipOccurrence(series, date, options = {}) {
+    const { scope = 'this', user, reason } = options;
+    const occurrenceDate = this.assertFutureOccurrence(series, date);
+    let cancelled;
+
+    if (scope === 'future') {
+      series.recurrence.endDate = RecurrenceUtils.addDays(occurrenceDate, -1);
+      cancelled = await this.cancelChildren(series, {
+        'series.occurrenceDate': { $gte: occurrenceDate }
+      }, { user, reason });
+
+      if (series.getUpcomingOccurrences(1, occurrenceDate).length === 0) {
+        series.status = 'ended';
+      }
+    } else {
+      series.setException(occurrenceDate, 'skipped', { reason, createdBy: user._id });
+      cancelled = await this.cancelChildren(series, {
+        'series.occurrenceDate': occurrenceDate
+      }, { user, reason });
+    }
+
+    await series.save();
+
+    logger.info('Ocurrencia de serie omitida:', {
+      seriesId: series._id,
+      occurrenceDate,
+      scope,
+      cancelled
+    });
+
+    return { series, cancelled };
+  }
+
+  /**
+   * Editar una ocurrencia o todas las siguientes
+   * Editar "esta y las siguientes" a mitad de serie la divide en dos series
+   * para conservar el historial de las ocurrencias anteriores
+   * @param {Object} series - Serie recurrente
+   * @param {Date|string} date - Fecha de la ocurrencia
+   * @param {Object} options - { scope: 'this'|'future', changes, user, reason }
+   * @returns {Promise<Object>} { series, updated }
+   */
+  async updateOccurrence(series, date, options = {}) {
+    const { scope = 'this', changes = {}, user, reason } = options;
+    const occurrenceDate = this.assertFutureOccurrence(series, date);
+    const overrides = this.toOverrides(changes);
+
+    if (Object.keys(overrides).length === 0) {
+      throw new AppError('No se especificaron cambios', 400, 'NO_CHANGES');
+    }
+
+    if (scope === 'this') {
+      series.setException(occurrenceDate, 'modified', { overrides, reason, createdBy: user._id });
+
+      const child = await ServiceRequest.findOne({
+        'series.seriesId': series._id,
+        'series.occurrenceDate': occurrenceDate,
+        status: { $in: SERIES_EDITABLE_STATUSES }
+      });
+
+      if (child) {
+        this.applyOverrides(child, overrides);
+        child.series.isException = true;
+        await child.save();
+      }
+
+      await series.save();
+      return { series, updated: child ? 1 : 0 };
+    }
+
+    if (overrides['scheduling.preferredDate']) {
+      throw new AppError('Solo se puede mover la fecha de una ocurrencia individual', 400, 'INVALID_SCOPE');
+    }
+
+    const target = occurrenceDate > RecurrenceUtils.startOfDay(series.recurrence.startDate)
+      ? await this.splitSeries(series, occurrenceDate)
+      : series;
+
+    this.applyOverrides(target, overrides, 'template.');
+    await target.save();
+
+    // Propagar a las hijas ya generadas que no tengan modificaciones propias
+    const children = await ServiceRequest.find({
+      'series.seriesId': target._id,
+      'series.occurrenceDate': { $gte: occurrenceDate },
+      'series.isException': { $ne: true },
+      status: { $in: SERIES_EDITABLE_STATUSES }
+    });
+
+    for (const child of children) {
+      this.applyOverrides(child, overrides);
+      await child.save();
+    }
+
+    logger.info('Serie recurrente editada:', {
+      seriesId: target._id,
+      parentSeriesId: target.parentSeriesId,
+      from: occurrenceDate,
+      fields: Object.keys(overrides),
+      updated: children.length
+    });
+
+    return { series: target, updated: children.length };
+  }
+
+  /**
+   * Dividir una serie: la original termina el día anterior y se crea una nueva desde la fecha
+   * @param {Object} series - Serie original
+   * @param {Date} date - Primera fecha de la nueva serie
+   * @returns {Promise<Object>} Nueva serie (sin guardar los cambios de plantilla)
+   */
+  async splitSeries(series, date) {
+    const data = series.toObject({ virtuals: false });
+    const previousCount = RecurrenceUtils.countBefore(series.recurrence, date);
+
+    delete data._id;
+    delete data.__v;
+    delete data.createdAt;
+    delete data.updatedAt;
+
+    const newSeries = new ServiceSeries({
+      ...data,
+      parentSeriesId: series._id,
+      recurrence: {
+        ...data.recurrence,
+        startDate: date,
+        count: data.recurrence.count ? data.recurrence.count - previousCount : undefined
+      },
+      exceptions: data.exceptions.filter(exception => exception.occurrenceDate >= date),
+      generation: {
+        generatedUntil: series.generation.generatedUntil,
+        lastRunAt: new Date(),
+        occurrencesGenerated: 0
+      }
+    });
+
+    series.recurrence.endDate = RecurrenceUtils.addDays(date, -1);
+    series.exceptions = series.exceptions.filter(exception => exception.occurrenceDate < date);
+    series.status = 'ended';
+
+    await newSeries.save();
+    await series.save();
+
+    await ServiceRequest.updateMany(
+      { 'series.seriesId': series._id, 'series.occurrenceDate': { $gte: date } },
+      { $set: { 'series.seriesId': newSeries._id } }
+    );
+
+    return newSeries;
+  }
+
+  /**
+   * Pausar la serie, cancelando las ocurrencias generadas dentro de la pausa
+   * @param {Object} series - Serie recurrente
+   * @param {Object} options - { user, resumeAt, reason }
+   * @returns {Promise<Object>} { series, cancelled }
+   */
+  async pauseSeries(series, options = {}) {
+    const { user, resumeAt, reason } = options;
+
+    if (series.status !== 'active') {
+      throw new AppError('Solo se pueden pausar series activas', 409, 'SERIES_INACTIVE');
+    }
+
+    series.status = 'paused';
+    series.pause = {
+      pausedAt: new Date(),
+      pausedBy: user._id,
+      resumeAt: resumeAt ? RecurrenceUtils.startOfDay(resumeAt) : undefined,
+      reason
+    };
+
+    const window = { $gt: RecurrenceUtils.startOfDay(new Date()) };
+    if (series.pause.resumeAt) window.$lt = series.pause.resumeAt;
+
+    const cancelled = await this.cancelChildren(series, { 'series.occurrenceDate': window }, {
+      user,
+      reason: reason || 'Serie pausada por el cliente',
+      cancelledByPause: true
+    });
+
+    await series.save();
+    return { series, cancelled };
+  }
+
+  /**
+   * Reanudar una serie pausada y regenerar sus ocurrencias
+   * @param {Object} series - Serie recurrente
+   * @returns {Promise<Object>} { series, occurrences }
+   */
+  async resumeSeries(series) {
+    if (series.status !== 'paused') {
+      throw new AppError('La serie no está pausada', 409, 'SERIES_NOT_PAUSED');
+    }
+
+    series.status = 'active';
+    series.pause = {};
+
+    const occurrences = await this.generateOccurrences(series);
+    return { series, occurrences };
+  }
+
+  /**
+   * Cancelar la serie completa y sus ocurrencias futuras
+   * @param {Object} series - Serie recurrente
+   * @param {Object} options - { user, reason }
+   * @returns {Promise<Object>} { series, cancelled }
+   */
+  async cancelSeries(series, options = {}) {
+    const { user, reason } = options;
+
+    if (['cancelled', 'ended'].includes(series.status)) {
+      throw new AppError('La serie ya no está activa', 409, 'SERIES_INACTIVE');
+    }
+
+    const cancelled = await this.cancelChildren(series, {
+      'series.occurrenceDate': { $gt: RecurrenceUtils.startOfDay(new Date()) }
+    }, { user, reason: reason || 'Serie cancelada por el cliente' });
+
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    series.cancelledBy = user._id;
+    await series.save();
+
+    return { series, cancelled };
+  }
+}
+
+module.exports = new ServiceSeriesService();
@@ -0,0 +1,543 @@
+/**
+ * Servicio de Seguimiento en Vivo
+ * El profesional asignado transmite su posición GPS por el namespace /tracking
+ * de Socket.IO (o por REST si no puede mantener el socket). Las posiciones se
+ * limitan en frecuencia, se guardan en tracking.professionalLocation con un ETA
+ * recalculado y se envían solo al cliente de la solicitud. Al completarse o
+ * cancelarse el servicio se deja de compartir automáticamente.
+ * Una geocerca alrededor de la ubicación del servicio detecta la llegada y
+ * alerta si el profesional sigue fuera después de la hora pactada
+ */
+
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const User = require('../models/User');
+const ChatService = require('./ChatService');
+const NotificationService = require('./NotificationService');
+const AvailabilityService = require('./AvailabilityService');
+const { AppError } = require('../utils/errors');
+const { loadServiceRequest } = require('../utils/service-requests');
+const { GeolocationUtils } = require('../utils/geolocation');
+const { RecurrenceUtils } = require('../utils/recurrence');
+const { notificationService } = require('../utils/notifications');
+const { TRACKING_CONFIG, GEOFENCE_CONFIG, ARRIVAL_ALERTS } = require('../config/tracking');
+const { findCityByName } = require('../config/locations');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+class TrackingService {
+  constructor() {
+    this.namespace = null;
+    this.lastAccepted = new Map(); // serviceRequestId -> timestamp de la última posición aceptada
+  }
+
+  /**
+   * Sala del cliente de una solicitud
+   * @param {string} serviceRequestId - ID de la solicitud
+   * @returns {string}
+   */
+  getRoom(serviceRequestId) {
+    return `request:${serviceRequestId}`;
+  }
+
+  /**
+   * Registrar el namespace de seguimiento sobre el servidor de Socket.IO del chat
+   * @param {Object} io - Servidor de Socket.IO
+   */
+  initialize(io) {
+    this.namespace = io.of(TRACKING_CONFIG.namespace);
+    this.namespace.use((socket, next) => ChatService.authenticateSocket(socket, next));
+    this.namespace.on('connection', (socket) => this.handleConnection(socket));
+
+    logger.info('Tracking service initialized with Socket.IO');
+  }
+
+  /**
+   * Registrar los eventos de una conexión
+   * Cada evento responde por callback (ack) con { success, data } o { success, error }
+   * @param {Object} socket - Socket autenticado
+   */
+  handleConnection(socket) {
+    const handle = (handler) => async (data = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        const serviceRequest = await this.loadServiceRequest(data.serviceRequestId);
+        reply({ success: true, data: await handler(serviceRequest, data) });
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          logger.error('Error en evento de seguimiento:', {
+            userId: socket.userId,
+            serviceRequestId: data.serviceRequestId,
+            error: error.message
+          });
+        }
+        reply({ success: false, error: error instanceof AppError ? error.message : 'Error procesando el seguimiento' });
+      }
+    };
+
+    // Cliente: suscribirse a la posición del profesional
+    socket.on('watch', handle(async (serviceRequest) => {
+      this.assertClient(serviceRequest, socket.user);
+      socket.join(this.getRoom(serviceRequest._id));
+      return this.getTrackingState(serviceRequest);
+    }));
+
+    socket.on('unwatch', handle(async (serviceRequest) => {
+      socket.leave(this.getRoom(serviceRequest._id));
+      return { serviceRequestId: serviceRequest._id };
+    }));
+
+    // Profesional: transmitir posiciones
+    socket.on('start_sharing', handle((serviceRequest, data) =>
+      this.startSharing(serviceRequest, socket.user, data)
+    ));
+
+    socket.on('location_update', handle((serviceRequest, data) =>
+      this.updateLocation(serviceRequest, socket.user, data)
+    ));
+
+    socket.on('stop_sharing', handle(async (serviceRequest) => {
+      await this.assertProfessional(serviceRequest, socket.user);
+      return this.stopSharing(serviceRequest, 'stopped_by_professional');
+    }));
+  }
+
+  /**
+   * Cargar la solicitud con los campos que usa el seguimiento
+   * @param {string} id - ID de la solicitud
+   * @returns {Promise<Object>} Solicitud
+   */
+  async loadServiceRequest(id) {
+    return loadServiceRequest(id, 'clientId professionalId status service.title scheduling location tracking');
+  }
+
+  /**
+   * Verificar que el usuario sea el cliente de la solicitud
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Usuario
+   */
+  assertClient(serviceRequest, user) {
+    if (serviceRequest.clientId.toString() !== user._id.toString()) {
+      throw new AppError('Solo el cliente puede seguir la ubicación del profesional', 403, 'FORBIDDEN');
+    }
+  }
+
+  /**
+   * Verificar que el usuario sea el profesional asignado
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Usuario
+   */
+  async assertProfessional(serviceRequest, user) {
+    const professional = user.role === 'professional' && serviceRequest.professionalId &&
+      await Professional.findOne({ userId: user._id }).select('_id');
+
+    if (!professional || professional._id.toString() !== serviceRequest.professionalId.toString()) {
+      throw new AppError('Solo el profesional asignado puede compartir su ubicación', 403, 'FORBIDDEN');
+    }
+  }
+
+  /**
+   * Verificar que el servicio admita seguimiento
+   * @param {Object} serviceRequest - Solicitud de servicio
+   */
+  assertTrackable(serviceRequest) {
+    if (!TRACKING_CONFIG.trackableStatuses.includes(serviceRequest.status)) {
+      throw new AppError(
+        'Solo se puede compartir la ubicación en servicios confirmados o en progreso',
+        409,
+        'TRACKING_NOT_AVAILABLE'
+      );
+    }
+  }
+
+  /**
+   * Velocidad promedio de la ciudad del servicio
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {number} km/h
+   */
+  getAverageSpeed(serviceRequest) {
+    const city = findCityByName(serviceRequest.location?.address?.city);
+    return city?.averageSpeedKmh || TRACKING_CONFIG.defaultSpeedKmh;
+  }
+
+  /**
+   * Distancia al servicio y hora estimada de llegada
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Array<number>} coordinates - Posición del profesional [lng, lat]
+   * @param {Date} now - Instante de referencia
+   * @returns {Object} { distanceKm, estimatedArrival }
+   */
+  calculateEta(serviceRequest, coordinates, now = new Date()) {
+    const destination = serviceRequest.location?.coordinates;
+    if (!GeolocationUtils.validateCoordinates(destination ? [...destination] : null)) {
+      return { distanceKm: null, estimatedArrival: null };
+    }
+
+    const distanceKm = GeolocationUtils.calculateDistance(coordinates, [...destination]);
+
+    // En progreso el profesional ya llegó; la llegada no se recalcula
+    if (serviceRequest.status !== 'confirmed') {
+      return { distanceKm, estimatedArrival: null };
+    }
+
+    if (distanceKm <= TRACKING_CONFIG.arrivalDistanceKm) {
+      return { distanceKm, estimatedArrival: now };
+    }
+
+    const hours = (distanceKm * TRACKING_CONFIG.routeFactor) / this.getAverageSpeed(serviceRequest);
+    return { distanceKm, estimatedArrival: new Date(now.getTime() + hours * HOUR_MS) };
+  }
+
+  /**
+   * Estado actual del seguimiento
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {Object}
+   */
+  getTrackingState(serviceRequest) {
+    const location = serviceRequest.tracking?.professionalLocation || {};
+    const coordinates = location.coordinates?.length ? [...location.coordinates] : null;
+
+    return {
+      serviceRequestId: serviceRequest._id,
+      status: serviceRequest.status,
+      isSharing: !!location.isSharing,
+      coordinates,
+      lastUpdated: location.lastUpdated || null,
+      estimatedArrival: serviceRequest.tracking?.estimatedArrival || null,
+      distanceKm: coordinates ? this.calculateEta(serviceRequest, coordinates).distanceKm : null
+    };
+  }
+
+  /**
+   * Empezar a compartir la ubicación
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Profesional
+   * @param {Object} position - Posición inicial opcional { coordinates, accuracy }
+   * @returns {Promise<Object>} Estado del seguimiento
+   */
+  async startSharing(serviceRequest, user, position = {}) {
+    await this.assertProfessional(serviceRequest, user);
+    this.assertTrackable(serviceRequest);
+
+    if (!serviceRequest.tracking?.professionalLocation?.isSharing) {
+      const update = { $set: { 'tracking.professionalLocation.isSharing': true } };
+
+      // El primer inicio antes del servicio marca que el profesional va en camino
+      const isOnWay = serviceRequest.tracking?.checkpoints?.some(checkpoint => checkpoint.type === 'on_way');
+      if (serviceRequest.status === 'confirmed' && !isOnWay) {
+        update.$push = { 'tracking.checkpoints': { type: 'on_way', timestamp: new Date() } };
+      }
+
+      await ServiceRequest.updateOne({ _id: serviceRequest._id }, update);
+      serviceRequest.set('tracking.professionalLocation.isSharing', true);
+    }
+
+    if (position.coordinates) {
+      return this.updateLocation(serviceRequest, user, position);
+    }
+
+    const state = this.getTrackingState(serviceRequest);
+    this.emitToClient(serviceRequest._id, 'sharing_started', state);
+    return state;
+  }
+
+  /**
+   * Registrar una posición del profesional
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} user - Profesional
+   * @param {Object} position - { coordinates: [lng, lat], accuracy, heading, speed }
+   * @returns {Promise<Object>} Estado del seguimiento; throttled si se descartó por frecuencia
+   */
+  async updateLocation(serviceRequest, user, position = {}) {
+    await this.assertProfessional(serviceRequest, user);
+    this.assertTrackable(serviceRequest);
+
+    const coordinates = Array.isArray(position.coordinates) ? position.coordinates.map(Number) : null;
+    if (!GeolocationUtils.validateCoordinates(coordinates)) {
+      throw new AppError('Coordenadas inválidas', 400, 'INVALID_COORDINATES');
+    }
+
+    if (position.accuracy && position.accuracy > TRACKING_CONFIG.maxAccuracyMeters) {
+      return { ...this.getTrackingState(serviceRequest), throttled: true, reason: 'low_accuracy' };
+    }
+
+    const now = new Date();
+    const key = serviceRequest._id.toString();
+    const lastUpdated = Math.max(
+      this.lastAccepted.get(key) || 0,
+      serviceRequest.tracking?.professionalLocation?.lastUpdated?.getTime() || 0
+    );
+
+    if (now.getTime() - lastUpdated < TRACKING_CONFIG.minUpdateIntervalMs) {
+      return { ...this.getTrackingState(serviceRequest), throttled: true, reason: 'too_frequent' };
+    }
+    this.lastAccepted.set(key, now.getTime());
+
+    const { distanceKm, estimatedArrival } = this.calculateEta(serviceRequest, coordinates, now);
+
+    const update = {
+      'tracking.professionalLocation.coordinates': coordinates,
+      'tracking.professionalLocation.lastUpdated': now,
+      'tracking.professionalLocation.isSharing': true
+    };
+    if (serviceRequest.status === 'confirmed') {
+      update['tracking.estimatedArrival'] = estimatedArrival;
+    }
+
+    // Actualización atómica: no dispara las validaciones de agenda del guardado completo
+    await ServiceRequest.updateOne({ _id: serviceRequest._id }, { $set: update });
+    Object.entries(update).forEach(([path, value]) => serviceRequest.set(path, value));
+
+    const payload = {
+      serviceRequestId: serviceRequest._id,
+      coordinates,
+      heading: position.heading ?? null,
+      speed: position.speed ?? null,
+      lastUpdated: now,
+      distanceKm,
+      estimatedArrival: serviceRequest.tracking.estimatedArrival || null
+    };
+
+    this.emitToClient(serviceRequest._id, 'location_updated', payload);
+
+    if (serviceRequest.status === 'confirmed') {
+      payload.arrived = await this.evaluateGeofence(serviceRequest, { coordinates, distanceKm, now });
+    }
+
+    return { ...payload, status: serviceRequest.status, isSharing: true, throttled: false };
+  }
+
+  /**
+   * Verificar si ya se registró la llegada
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @returns {boolean}
+   */
+  hasArrived(serviceRequest) {
+    return (serviceRequest.tracking?.checkpoints || []).some(checkpoint => checkpoint.type === 'arrived');
+  }
+
+  /**
+   * Evaluar la geocerca con una posición nueva: registrar la llegada al
+   * entrar al radio o alertar si sigue fuera después de la hora pactada
+   * @param {Object} serviceRequest - Solicitud confirmada
+   * @param {Object} position - { coordinates, distanceKm, now }
+   * @returns {Promise<boolean>} true si el profesional ya llegó
+   */
+  async evaluateGeofence(serviceRequest, { coordinates, distanceKm, now }) {
+    if (this.hasArrived(serviceRequest)) return true;
+
+    if (distanceKm !== null && distanceKm * 1000 <= GEOFENCE_CONFIG.arrivalRadiusMeters) {
+      await this.recordArrival(serviceRequest, coordinates, now);
+      return true;
+    }
+
+    await this.checkArrivalAlert(serviceRequest, { distanceKm, now });
+    return false;
+  }
+
+  /**
+   * Registrar el checkpoint 'arrived' y avisar al cliente
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Array<number>} coordinates - Posición del profesional
+   * @param {Date} now - Instante de llegada
+   */
+  async recordArrival(serviceRequest, coordinates, now = new Date()) {
+    const checkpoint = {
+      type: 'arrived',
+      timestamp: now,
+      location: { coordinates },
+      notes: 'Llegada detectada por geocerca'
+    };
+
+    // Condicionado a que no exista otra llegada (posiciones concurrentes)
+    const result = await ServiceRequest.updateOne(
+      { _id: serviceRequest._id, 'tracking.checkpoints.type': { $ne: 'arrived' } },
+      { $push: { 'tracking.checkpoints': checkpoint }, $set: { 'tracking.estimatedArrival': now } }
+    );
+    if (!result.modifiedCount) return;
+
+    serviceRequest.tracking.checkpoints.push(checkpoint);
+    serviceRequest.set('tracking.estimatedArrival', now);
+
+    this.emitToClient(serviceRequest._id, 'professional_arrived', {
+      serviceRequestId: serviceRequest._id,
+      arrivedAt: now,
+      coordinates
+    });
+
+    try {
+      const [client, professional] = await Promise.all([
+        User.findById(serviceRequest.clientId),
+        Professional.findById(serviceRequest.professionalId).populate('userId', 'profile')
+      ]);
+
+      if (client && professional) {
+        await notificationService.notifyProfessionalArrival(client, serviceRequest, professional);
+      }
+    } catch (error) {
+      logger.warn('Error notificando la llegada del profesional', {
+        serviceRequestId: serviceRequest._id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Alertar si el profesional sigue fuera de la geocerca después de la hora pactada
+   * Cada tipo de alerta se emite una sola vez por solicitud
+   * @param {Object} serviceRequest - Solicitud confirmada
+   * @param {Object} options - { distanceKm, now }
+   * @returns {Promise<string|null>} Tipo de alerta emitida
+   */
+  async checkArrivalAlert(serviceRequest, { distanceKm = null, now = new Date() } = {}) {
+    if (serviceRequest.status !== 'confirmed' || this.hasArrived(serviceRequest)) return null;
+
+    const professional = await Professional.findById(serviceRequest.professionalId).select('userId availability.timeZone');
+    if (!professional) return null;
+
+    const timeZone = AvailabilityService.getTimeZone(professional);
+    const { start } = AvailabilityService.getRequestInterval(serviceRequest, timeZone);
+    const minutesLate = Math.floor((now.getTime() - start.getTime()) / MINUTE_MS);
+
+    // La alerta más grave que ya corresponde
+    const type = Object.keys(ARRIVAL_ALERTS)
+      .filter(alertType => minutesLate >= ARRIVAL_ALERTS[alertType].afterMinutes)
+      .pop();
+
+    const raised = (serviceRequest.tracking?.arrivalAlerts || []).map(alert => alert.type);
+    if (!type || raised.includes(type)) return null;
+
+    const alert = { type, raisedAt: now, minutesLate, distanceKm };
+    const result = await ServiceRequest.updateOne(
+      { _id: serviceRequest._id, 'tracking.arrivalAlerts.type': { $ne: type } },
+      { $push: { 'tracking.arrivalAlerts': alert } }
+    );
+    if (!result.modifiedCount) return null;
+
+    serviceRequest.tracking.arrivalAlerts.push(alert);
+    this.emitToClient(serviceRequest._id, 'arrival_alert', { serviceRequestId: serviceRequest._id, ...alert });
+
+    await this.notifyArrivalAlert(serviceRequest, professional, alert);
+    return type;
+  }
+
+  /**
+   * Notificar una alerta de llegada al cliente, al profesional y a los administradores
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {Object} professional - Profesional asignado
+   * @param {Object} alert - Alerta emitida
+   */
+  async notifyArrivalAlert(serviceRequest, professional, alert) {
+    const { template } = ARRIVAL_ALERTS[alert.type];
+    const data = {
+      serviceRequestId: serviceRequest._id,
+      serviceTitle: serviceRequest.service?.title || 'Servicio',
+      minutesLate: alert.minutesLate,
+      distanceKm: alert.distanceKm
+    };
+    const options = { metadata: { serviceRequestId: serviceRequest._id, alert: alert.type } };
+
+    for (const userId of [serviceRequest.clientId, professional.userId]) {
+      try {
+        await NotificationService.sendNotification(userId, template, data, options);
+      } catch (error) {
+        logger.warn('Error notificando alerta de llegada', {
+          serviceRequestId: serviceRequest._id,
+          userId,
+          error: error.message
+        });
+      }
+    }
+
+    try {
+      await NotificationService.sendNotificationToRole('admin', template, data, options);
+    } catch (error) {
+      logger.warn('Error notificando alerta de llegada a administradores', {
+        serviceRequestId: serviceRequest._id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Revisar servicios confirmados sin llegada registrada, incluso si el
+   * profesional nunca compartió su ubicación (para ejecución programada)
+   * @param {Date} now - Instante de referencia
+   * @returns {Promise<Object>} { checked, alerts }
+   */
+  async checkLateArrivals(now = new Date()) {
+    // preferredDate es el día calendario: se amplía un día a cada lado por las zonas horarias
+    const serviceRequests = await ServiceRequest.find({
+      status: 'confirmed',
+      professionalId: { $ne: null },
+      'scheduling.preferredDate': { $gte: RecurrenceUtils.addDays(now, -2), $lte: RecurrenceUtils.addDays(now, 1) },
+      'tracking.checkpoints.type': { $ne: 'arrived' },
+      'tracking.arrivalAlerts.type': { $ne: 'possible_no_show' }
+    }).select('clientId professionalId status service.title scheduling location tracking');
+
+    const summary = { checked: serviceRequests.length, alerts: 0 };
+
+    for (const serviceRequest of serviceRequests) {
+      try {
+        const lastPosition = serviceRequest.tracking?.professionalLocation?.coordinates;
+        const destination = serviceRequest.location?.coordinates;
+        const distanceKm = lastPosition?.length && destination?.length
+          ? GeolocationUtils.calculateDistance([...lastPosition], [...destination])
+          : null;
+
+        if (await this.checkArrivalAlert(serviceRequest, { distanceKm, now })) {
+          summary.alerts += 1;
+        }
+      } catch (error) {
+        logger.warn('Error revisando la llegada del profesional', {
+          serviceRequestId: serviceRequest._id,
+          error: error.message
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Dejar de compartir la ubicación
+   * @param {Object} serviceRequest - Solicitud de servicio
+   * @param {string} reason - Motivo (stopped_by_professional, status_changed)
+   * @returns {Promise<Object>} Estado del seguimiento
+   */
+  async stopSharing(serviceRequest, reason) {
+    this.lastAccepted.delete(serviceRequest._id.toString());
+
+    if (serviceRequest.tracking?.professionalLocation?.isSharing) {
+      await ServiceRequest.updateOne(
+        { _id: serviceRequest._id },
+        { $set: { 'tracking.professionalLocation.isSharing': false } }
+      );
+      serviceRequest.set('tracking.professionalLocation.isSharing', false);
+    }
+
+    this.emitToClient(serviceRequest._id, 'sharing_stopped', {
+      serviceRequestId: serviceRequest._id,
+      status: serviceRequest.status,
+      reason
+    });
+
+    return this.getTrackingState(serviceRequest);
+  }
+
+  /**
+   * Enviar un evento solo al cliente suscrito a la solicitud
+   * @param {string} serviceRequestId - ID de la solicitud
+   * @param {string} event - Nombre del evento
+   * @param {Object} payload - Datos
+   */
+  emitToClient(serviceRequestId, event, payload) {
+    if (!this.namespace) return;
+    this.namespace.to(this.getRoom(serviceRequestId)).emit(event, payload);
+  }
+}
+
+module.exports = new TrackingService();
@@ -0,0 +1,423 @@
+/**
+ * Servicio de Garantías
+ * El cliente reclama sobre un servicio completado con garantía vigente; el profesional
+ * original agenda una visita de seguimiento (una solicitud sin costo enlazada al
+ * reclamo) o lo impugna. Los reclamos impugnados o sin respuesta pasan a revisión de
+ * un administrador, que ordena la visita o rechaza el reclamo
+ */
+
+const WarrantyClaim = require('../models/WarrantyClaim');
+const ServiceRequest = require('../models/ServiceRequest');
+const Professional = require('../models/Professional');
+const NotificationService = require('./NotificationService');
+const ServiceRequestStateMachine = require('./ServiceRequestStateMachine');
+const { storageService } = require('../utils/storage');
+const { AppError } = require('../utils/errors');
+const { notifyServiceRequestUser } = require('../utils/service-requests');
+const logger = require('../utils/logger');
+const {
+  WARRANTY_ESCALATION_REASONS,
+  WARRANTY_OUTCOMES,
+  WARRANTY_CONFIG
+} = require('../config/warranty');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class WarrantyService {
+  /**
+   * Rol del usuario respecto al reclamo
+   * @param {Object} claim - Reclamo
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<string|null>} client, professional, admin o null
+   */
+  async getRole(claim, user) {
+    if (user.role === 'admin') return 'admin';
+    if (claim.clientId.toString() === user._id.toString()) return 'client';
+
+    if (user.role === 'professional') {
+      const professional = await Professional.findOne({ userId: user._id }).select('_id');
+      if (professional && professional._id.toString() === claim.professionalId.toString()) {
+        return 'professional';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Abrir un reclamo sobre un servicio completado con garantía vigente
+   * @param {Object} serviceRequest - Solicitud completada
+   * @param {Object} user - Cliente
+   * @param {Object} data - { description }
+   * @param {Array} files - Fotos del problema
+   * @returns {Promise<Object>} Reclamo creado
+   */
+  async open(serviceRequest, user, data, files = []) {
+    const role = await ServiceRequestStateMachine.getActorRole(serviceRequest, user);
+    if (role !== 'client') {
+      throw new AppError('Solo el cliente del servicio puede reclamar la garantía', 403, 'FORBIDDEN');
+    }
+
+    if (serviceRequest.status !== 'completed' || serviceRequest.followUp?.warrantyClaimId) {
+      throw new AppError('Solo se puede reclamar la garantía de un servicio completado', 409, 'WARRANTY_NOT_CLAIMABLE');
+    }
+
+    const warrantyExpiresAt = serviceRequest.getWarrantyExpiry();
+    if (!warrantyExpiresAt) {
+      throw new AppError('El servicio no tiene garantía', 409, 'WARRANTY_NOT_AVAILABLE');
+    }
+    if (warrantyExpiresAt <= new Date()) {
+      throw new AppError('La garantía del servicio está vencida', 409, 'WARRANTY_EXPIRED', { warrantyExpiresAt });
+    }
+
+    const existing = await WarrantyClaim.exists({ serviceRequestId: serviceRequest._id, status: { $ne: 'resolved' } });
+    if (existing) {
+      throw new AppError('Ya existe un reclamo de garantía abierto para este servicio', 409, 'WARRANTY_CLAIM_EXISTS');
+    }
+
+    const claim = new WarrantyClaim({
+      serviceRequestId: serviceRequest._id,
+      clientId: serviceRequest.clientId,
+      professionalId: serviceRequest.professionalId,
+      description: data.description,
+      warrantyExpiresAt,
+      responseDeadline: new Date(Date.now() + WARRANTY_CONFIG.responseWindowHours * HOUR_MS),
+      photos: await this.uploadPhotos(files)
+    });
+    await claim.save();
+
+    const professional = await Professional.findById(serviceRequest.professionalId);
+    if (professional) {
+      await professional.recordWarrantyClaim();
+      await this.notifyUser(professional.userId, claim, serviceRequest, 'WARRANTY_CLAIM_OPENED', {
+        responseWindowHours: WARRANTY_CONFIG.responseWindowHours
+      });
+    }
+
+    return claim;
+  }
+
+  /**
+   * Subir las fotos del reclamo
+   * @param {Array} files - Archivos de multer
+   * @returns {Promise<Array<Object>>}
+   */
+  async uploadPhotos(files) {
+    if (!files.length) return [];
+
+    const upload = await storageService.uploadMultipleFiles(files, { folder: 'proserv/warranty' });
+    if (!upload.success || upload.errors.length) {
+      throw new AppError('No se pudieron subir las fotos del reclamo', 502, 'WARRANTY_UPLOAD_FAILED', {
+        errors: upload.errors.map(error => ({ file: error.originalname, error: error.error }))
+      });
+    }
+
+    return upload.results.map(file => ({
+      url: file.secureUrl || file.url,
+      publicId: file.publicId,
+      originalName: file.originalname
+    }));
+  }
+
+  /**
+   * Verificar que el usuario sea el profesional del reclamo y que este espere su respuesta
+   * @param {Object} claim - Reclamo
+   * @param {Object} user - Usuario autenticado
+   */
+  async assertAwaitingProfessional(claim, user) {
+    if (await this.getRole(claim, user) !== 'professional') {
+      throw new AppError('Solo el profesional del servicio puede responder el reclamo', 403, 'FORBIDDEN');
+    }
+
+    if (this.escalateIfOverdue(claim)) {
+      await claim.save();
+      await this.notifyEscalation(claim);
+    }
+
+    if (claim.status !== 'awaiting_response') {
+      throw new AppError('El reclamo ya no admite respuesta del profesional', 409, 'WARRANTY_CLAIM_CLOSED');
+    }
+  }
+
+  /**
+   * Crear la solicitud sin costo de la visita de seguimiento
+   * @param {Object} claim - Reclamo
+   * @param {Object} original - Solicitud reclamada
+   * @param {Object} data - { preferredDate, preferredTime, notes }
+   * @param {Object} user - Quien agenda (profesional o admin)
+   * @returns {Promise<Object>} Solicitud creada
+   */
+  async createFollowUp(claim, original, data, user) {
+    const source = original.toObject({ virtuals: false });
+
+    const followUp = new ServiceRequest({
+      clientId: original.clientId,
+      professionalId: original.professionalId,
+      service: {
+        category: source.service.category,
+        subcategory: source.service.subcategory,
+        title: `Garantía: ${source.service.title}`.slice(0, 100),
+        description: claim.description.slice(0, 1000)
+      },
+      location: source.location,
+      scheduling: {
+        preferredDate: data.preferredDate,
+        preferredTime: data.preferredTime,
+        estimatedDuration: source.scheduling?.estimatedDuration
+      },
+      pricing: {
+        estimatedCost: 0,
+        quotedCost: 0,
+        currency: source.pricing?.currency,
+        paymentMethod: source.pricing?.paymentMethod
+      },
+      status: 'confirmed',
+      statusHistory: [{
+        status: 'confirmed',
+        updatedBy: user._id,
+        reason: 'Visita de garantía',
+        notes: data.notes
+      }],
+      followUp: {
+        originalRequestId: original._id,
+        warrantyClaimId: claim._id
+      }
+    });
+
+    // El guardado valida la franja contra la agenda del profesional
+    return followUp.save();
+  }
+
+  /**
+   * Agendar la visita de seguimiento (profesional)
+   * @param {Object} claim - Reclamo en espera de respuesta
+   * @param {Object} user - Profesional
+   * @param {Object} data - { preferredDate, preferredTime, notes }
+   * @returns {Promise<Object>} Solicitud de la visita
+   */
+  async scheduleVisit(claim, user, data) {
+    await this.assertAwaitingProfessional(claim, user);
+
+    const original = await ServiceRequest.findById(claim.serviceRequestId);
+    const followUp = await this.createFollowUp(claim, original, data, user);
+
+    claim.status = 'visit_scheduled';
+    claim.followUpRequestId = followUp._id;
+    claim.response = { type: 'visit', notes: data.notes, respondedBy: user._id, respondedAt: new Date() };
+    await claim.save();
+
+    await this.notifyUser(claim.clientId, claim, followUp, 'WARRANTY_VISIT_SCHEDULED', {
+      preferredTime: data.preferredTime
+    });
+
+    return followUp;
+  }
+
+  /**
+   * Impugnar el reclamo (profesional): pasa a revisión de un administrador
+   * @param {Object} claim - Reclamo en espera de respuesta
+   * @param {Object} user - Profesional
+   * @param {Object} data - { reason }
+   */
+  async contest(claim, user, data) {
+    await this.assertAwaitingProfessional(claim, user);
+
+    claim.response = { type: 'contest', notes: data.reason, respondedBy: user._id, respondedAt: new Date() };
+    this.escalate(claim, 'contested');
+    await claim.save();
+
+    await this.notifyEscalation(claim);
+  }
+
+  /**
+   * Pasar el reclamo a revisión
+   * @param {Object} claim - Reclamo
+   * @param {string} reason - Motivo (WARRANTY_ESCALATION_REASONS)
+   */
+  escalate(claim, reason) {
+    claim.status = 'under_review';
+    claim.escalatedAt = new Date();
+    claim.escalationReason = reason;
+  }
+
+  /**
+   * Escalar si venció el plazo del profesional sin respuesta
+   * @param {Object} claim - Reclamo
+   * @param {Date} now - Instante de referencia
+   * @returns {boolean} true si se escaló
+   */
+  escalateIfOverdue(claim, now = new Date()) {
+    if (claim.status !== 'awaiting_response' || claim.responseDeadline > now) return false;
+
+    this.escalate(claim, 'no_response');
+    return true;
+  }
+
+  /**
+   * Escalar los reclamos cuyo plazo venció (para ejecución programada)
+   * @param {Date} now - Instante de referencia
+   * @returns {Promise<number>} Reclamos escalados
+   */
+  async escalateOverdueClaims(now = new Date()) {
+    const claims = await WarrantyClaim.find({
+      status: 'awaiting_response',
+      responseDeadline: { $lte: now }
+    });
+
+    for (const claim of claims) {
+      this.escalateIfOverdue(claim, now);
+      await claim.save();
+      await this.notifyEscalation(claim);
+    }
+
+    return claims.length;
+  }
+
+  /**
+   * Decidir un reclamo en revisión (admin): ordenar la visita o rechazarlo
+   * @param {Object} claim - Reclamo en revisión
+   * @param {Object} admin - Administrador
+   * @param {Object} data - { decision, preferredDate, preferredTime, notes }
+   * @returns {Promise<Object>} Reclamo actualizado
+   */
+  async decide(claim, admin, data) {
+    this.escalateIfOverdue(claim);
+    if (claim.status !== 'under_review') {
+      throw new AppError('Solo se pueden decidir reclamos en revisión', 409, 'WARRANTY_CLAIM_NOT_UNDER_REVIEW');
+    }
+
+    const original = await ServiceRequest.findById(claim.serviceRequestId);
+    let followUp = original;
+
+    if (data.decision === 'order_visit') {
+      followUp = await this.createFollowUp(claim, original, data, admin);
+      claim.status = 'visit_scheduled';
+      claim.followUpRequestId = followUp._id;
+    } else {
+      this.resolve(claim, 'rejected', admin, data.notes);
+    }
+    await claim.save();
+
+    const templateKey = data.decision === 'order_visit' ? 'WARRANTY_VISIT_SCHEDULED' : 'WARRANTY_CLAIM_RESOLVED';
+    const professional = await Professional.findById(claim.professionalId).select('userId');
+
+    for (const recipientId of [claim.clientId, professional?.userId]) {
+      await this.notifyUser(recipientId, claim, followUp, templateKey, {
+        preferredTime: data.preferredTime,
+        outcome: WARRANTY_OUTCOMES.rejected
+      });
+    }
+
+    return claim;
+  }
+
+  /**
+   * Registrar la resolución del reclamo
+   * @param {Object} claim - Reclamo
+   * @param {string} outcome - Resultado (WARRANTY_OUTCOMES)
+   * @param {Object|null} user - Quien resuelve (null si lo resuelve la visita)
+   * @param {string} notes - Notas
+   */
+  resolve(claim, outcome, user, notes) {
+    claim.status = 'resolved';
+    claim.resolution = {
+      outcome,
+      notes,
+      resolvedBy: user ? user._id : undefined,
+      resolvedAt: new Date()
+    };
+  }
+
+  /**
+   * Reflejar en el reclamo el cierre de su visita de seguimiento (efecto de transición)
+   * Completada resuelve el reclamo; cancelada lo devuelve a revisión
+   * @param {Object} context - Contexto de la transición
+   */
+  async syncFollowUp({ serviceRequest, to }) {
+    const claimId = serviceRequest.followUp?.warrantyClaimId;
+    if (!claimId || !['completed', 'cancelled'].includes(to)) return;
+
+    const claim = await WarrantyClaim.findOne({ _id: claimId, status: 'visit_scheduled' });
+    if (!claim) return;
+
+    if (to === 'completed') {
+      this.resolve(claim, 'repaired', null);
+      await claim.save();
+      await this.notifyUser(claim.clientId, claim, serviceRequest, 'WARRANTY_CLAIM_RESOLVED', {
+        outcome: WARRANTY_OUTCOMES.repaired
+      });
+      return;
+    }
+
+    this.escalate(claim, 'visit_cancelled');
+    await claim.save();
+    await this.notifyEscalation(claim);
+  }
+
+  /**
+   * Cola de reclamos para administradores (por defecto en revisión, más antiguos primero)
+   * @param {Object} filters - { status, page, limit }
+   * @returns {Promise<Object>} { claims, pagination }
+   */
+  async getQueue(filters = {}) {
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 20;
+    const query = { status: filters.status || 'under_review' };
+
+    const [claims, total] = await Promise.all([
+      WarrantyClaim.find(query)
+        .sort({ escalatedAt: 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('serviceRequestId', 'service.title service.category completion.completedAt'),
+      WarrantyClaim.countDocuments(query)
+    ]);
+
+    return {
+      claims,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  /**
+   * Avisar a los administradores de un reclamo en revisión
+   * @param {Object} claim - Reclamo escalado
+   */
+  async notifyEscalation(claim) {
+    try {
+      await NotificationService.sendNotificationToRole('admin', 'WARRANTY_CLAIM_ESCALATED', {
+        claimId: claim._id,
+        reason: WARRANTY_ESCALATION_REASONS[claim.escalationReason]
+      }, {
+        metadata: { warrantyClaimId: claim._id, serviceRequestId: claim.serviceRequestId }
+      });
+    } catch (error) {
+      logger.warn('Error notificando reclamo de garantía escalado', {
+        warrantyClaimId: claim._id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Notificar sobre un reclamo incluyendo la fecha de la visita en el template
+   * @param {Object} recipientId - Usuario destinatario
+   * @param {Object} claim - Reclamo
+   * @param {Object} serviceRequest - Solicitud reclamada o visita de seguimiento
+   * @param {string} templateKey - Template de NotificationService
+   * @param {Object} data - Datos adicionales del template
+   */
+  async notifyUser(recipientId, claim, serviceRequest, templateKey, data = {}) {
+    await notifyServiceRequestUser(recipientId, serviceRequest, templateKey, {
+      visitDate: serviceRequest.scheduling?.preferredDate?.toISOString().slice(0, 10),
+      ...data
+    }, { warrantyClaimId: claim._id });
+  }
+}
+
+module.exports = new WarrantyService();
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../../models/ServiceRequest');
+const Professional = require('../../models/Professional');
+const Quote = require('../../models/Quote');
+const ServiceController = require('../../controllers/serviceController');
+
+const buildQueryChain = (result) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    skip: jest.fn(() => chain),
+    limit: jest.fn(() => Promise.resolve(result))
+  };
+  return chain;
+};
+
+const buildRes = () => ({
+  paginated: jest.fn((data, pagination) => ({ data, pagination })),
+  success: jest.fn(),
+  error: jest.fn(),
+  notFound: jest.fn(),
+  serverError: jest.fn()
+});
+
+describe('ServiceController.getServiceRequests', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const professionalId = new mongoose.Types.ObjectId();
+  const quotedRequestId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(ServiceRequest, 'find').mockReturnValue(buildQueryChain([]));
+    jest.spyOn(ServiceRequest, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Quote, 'distinct').mockResolvedValue([quotedRequestId]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('filtra por el perfil del profesional: abiertas, privadas propias y cotizadas', async () => {
+    jest.spyOn(Professional, 'findOne').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ _id: professionalId })
+    });
+    const res = buildRes();
+
+    await ServiceController.getServiceRequests(
+      { query: {}, userId, userRole: 'professional' },
+      res
+    );
+
+    expect(Professional.findOne).toHaveBeenCalledWith({ userId });
+    expect(Quote.distinct).toHaveBeenCalledWith('serviceRequestId', { professionalId });
+    expect(ServiceRequest.find.mock.calls[0][0].$or).toEqual([
+      { status: { $in: ['pending', 'quoted'] }, 'directRequest.professionalId': null },
+      { 'directRequest.professionalId': professionalId },
+      { _id: { $in: [quotedRequestId] } }
+    ]);
+    expect(res.paginated).toHaveBeenCalled();
+  });
+
+  it('responde 404 si el usuario no tiene perfil profesional', async () => {
+    jest.spyOn(Professional, 'findOne').mockReturnValue({
+      select: jest.fn().mockResolvedValue(null)
+    });
+    const res = buildRes();
+
+    await ServiceController.getServiceRequests(
+      { query: {}, userId, userRole: 'professional' },
+      res
+    );
+
+    expect(res.notFound).toHaveBeenCalledWith('Perfil profesional no encontrado');
+    expect(ServiceRequest.find).not.toHaveBeenCalled();
+  });
+
+  it('los clientes solo ven sus propias solicitudes', async () => {
+    const res = buildRes();
+
+    await ServiceController.getServiceRequests(
+      { query: {}, userId, userRole: 'client' },
+      res
+    );
+
+    expect(ServiceRequest.find.mock.calls[0][0]).toMatchObject({ clientId: userId });
+  });
+});
+
+describe('ServiceController.cancelServiceRequest', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(['professional_no_show', 'bidding_expired'])(
+    'rechaza el motivo reservado %s en una cancelación normal',
+    async (reason) => {
+      const serviceRequest = {
+        _id: new mongoose.Types.ObjectId(),
+        status: 'confirmed',
+        clientId: userId,
+        professionalId: new mongoose.Types.ObjectId(),
+        updateStatus: jest.fn()
+      };
+      jest.spyOn(ServiceRequest, 'findById').mockResolvedValue(serviceRequest);
+      const res = buildRes();
+
+      await ServiceController.cancelServiceRequest(
+        { params: { id: serviceRequest._id }, body: { reason }, userId, user: { _id: userId, role: 'client' } },
+        res
+      );
+
+      expect(res.error).toHaveBeenCalledWith(expect.stringContaining(reason), 400, null);
+      expect(serviceRequest.updateStatus).not.toHaveBeenCalled();
+      expect(res.success).not.toHaveBeenCalled();
+    }
+  );
+});
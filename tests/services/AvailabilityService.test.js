@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const AvailabilityService = require('../../services/AvailabilityService');
+const { SlotConflictError } = require('../../utils/errors');
+
+// 2030-03-04 es lunes; America/Bogota es UTC-5 sin horario de verano
+const MONDAY = '2030-03-04';
+
+const buildProfessional = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  availability: {
+    timeZone: 'America/Bogota',
+    schedule: {
+      monday: { available: true, start: '08:00', end: '12:00', breaks: [{ start: '10:00', end: '10:30' }] },
+      tuesday: { available: false }
+    },
+    exceptions: []
+  },
+  preferences: { minimumNotice: 0 },
+  ...overrides
+});
+
+const buildRequest = (preferredTime, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'confirmed',
+  scheduling: {
+    preferredDate: new Date(`${MONDAY}T00:00:00Z`),
+    preferredTime,
+    estimatedDuration: { value: 1, unit: 'hours' }
+  },
+  ...overrides
+});
+
+const utc = (time) => new Date(`${MONDAY}T${time}:00Z`);
+
+describe('AvailabilityService', () => {
+  beforeEach(() => {
+    jest.spyOn(AvailabilityService, 'getScheduledRequests').mockResolvedValue([]);
+    jest.spyOn(AvailabilityService, 'getBlockedIntervals').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getDayWindows', () => {
+    it('descuenta los descansos del horario del día', () => {
+      expect(AvailabilityService.getDayWindows(buildProfessional(), MONDAY)).toEqual([
+        { start: '08:00', end: '10:00' },
+        { start: '10:30', end: '12:00' }
+      ]);
+    });
+
+    it('aplica las excepciones de fecha', () => {
+      const professional = buildProfessional();
+      professional.availability.exceptions = [
+        { date: new Date(`${MONDAY}T00:00:00Z`), available: true, customSchedule: { start: '14:00', end: '16:00' } },
+        { date: new Date('2030-03-11T00:00:00Z'), available: false }
+      ];
+
+      expect(AvailabilityService.getDayWindows(professional, MONDAY)).toEqual([{ start: '14:00', end: '16:00' }]);
+      expect(AvailabilityService.getDayWindows(professional, '2030-03-11')).toEqual([]);
+      expect(AvailabilityService.getDayWindows(professional, '2030-03-05')).toEqual([]);
+    });
+  });
+
+  describe('checkSlot', () => {
+    it('acepta una franja libre dentro del horario', async () => {
+      const result = await AvailabilityService.checkSlot(buildRequest('08:00'), { professional: buildProfessional() });
+
+      expect(result).toEqual({ available: true, reasons: [], start: utc('13:00'), end: utc('14:00') });
+    });
+
+    it('rechaza franjas que cruzan un descanso o salen del horario', async () => {
+      const professional = buildProfessional();
+
+      const overBreak = await AvailabilityService.checkSlot(buildRequest('09:30'), { professional });
+      const afterHours = await AvailabilityService.checkSlot(buildRequest('11:30'), { professional });
+
+      expect(overBreak.reasons).toEqual(['El horario está fuera de la disponibilidad del profesional']);
+      expect(afterHours.available).toBe(false);
+    });
+
+    it('detecta solapes con servicios agendados pero no con los que solo se tocan', async () => {
+      const professional = buildProfessional();
+      AvailabilityService.getScheduledRequests.mockResolvedValue([buildRequest('08:30')]);
+
+      const overlapping = await AvailabilityService.checkSlot(buildRequest('09:00'), { professional });
+      const adjacent = await AvailabilityService.checkSlot(buildRequest('10:30'), { professional });
+
+      expect(overlapping.reasons).toEqual(['El profesional ya tiene un servicio agendado en ese horario']);
+      expect(adjacent.available).toBe(true);
+    });
+
+    it('detecta solapes con bloqueos de calendarios externos', async () => {
+      AvailabilityService.getBlockedIntervals.mockResolvedValue([{ start: utc('13:30'), end: utc('13:45') }]);
+
+      const result = await AvailabilityService.checkSlot(buildRequest('08:00'), { professional: buildProfessional() });
+
+      expect(result.reasons).toEqual(['El profesional tiene un compromiso externo en ese horario']);
+    });
+
+    it('aplica el máximo de reservas por día con estados que no ocupan agenda', async () => {
+      const professional = buildProfessional({ preferences: { maximumBookingsPerDay: 1 } });
+      AvailabilityService.getScheduledRequests.mockResolvedValue([buildRequest('11:00', { status: 'accepted' })]);
+
+      const result = await AvailabilityService.checkSlot(buildRequest('08:00'), { professional });
+
+      expect(result.reasons).toEqual(['El profesional alcanzó el máximo de reservas para ese día']);
+    });
+
+    it('assertSlotAvailable lanza SlotConflictError con los motivos', async () => {
+      AvailabilityService.getScheduledRequests.mockResolvedValue([buildRequest('08:00')]);
+
+      await expect(AvailabilityService.assertSlotAvailable(buildRequest('08:00'), { professional: buildProfessional() }))
+        .rejects.toBeInstanceOf(SlotConflictError);
+    });
+  });
+
+  describe('getAvailableSlots', () => {
+    it('lista franjas libres descontando agenda y descansos', async () => {
+      AvailabilityService.getScheduledRequests.mockResolvedValue([buildRequest('08:30')]);
+
+      const result = await AvailabilityService.getAvailableSlots(buildProfessional(), {
+        from: MONDAY,
+        to: '2030-03-05',
+        duration: 60
+      });
+
+      expect(result.days[0].slots.map(slot => slot.localStart)).toEqual(['10:30', '11:00']);
+      expect(result.days[1]).toMatchObject({ date: '2030-03-05', available: false, reason: 'unavailable' });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../../models/ServiceRequest');
+const Professional = require('../../models/Professional');
+const Quote = require('../../models/Quote');
+const BiddingService = require('../../services/BiddingService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const clientId = new mongoose.Types.ObjectId();
+
+const buildRequest = (bidding = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  clientId,
+  status: 'quoted',
+  bidding: {
+    status: 'open',
+    mode: 'sealed',
+    maxQuotes: 3,
+    quoteCount: 1,
+    openedAt: new Date(Date.now() - HOUR_MS),
+    closesAt: new Date(Date.now() + HOUR_MS),
+    ...bidding
+  }
+});
+
+// ServiceRequest.findById(...).select('bidding')
+const mockCurrent = (bidding) => jest.spyOn(ServiceRequest, 'findById')
+  .mockReturnValue({ select: jest.fn().mockResolvedValue(bidding ? { bidding } : null) });
+
+describe('BiddingService.claimSlot', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('no limita las solicitudes sin ventana', async () => {
+    const findOneAndUpdate = jest.spyOn(ServiceRequest, 'findOneAndUpdate');
+
+    await expect(BiddingService.claimSlot({ _id: new mongoose.Types.ObjectId() })).resolves.toBe(false);
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('reserva el cupo con una actualización condicionada al plazo y al máximo', async () => {
+    const serviceRequest = buildRequest();
+    const findOneAndUpdate = jest.spyOn(ServiceRequest, 'findOneAndUpdate')
+      .mockResolvedValue({ bidding: { quoteCount: 2, maxQuotes: 3 } });
+    const close = jest.spyOn(BiddingService, 'close');
+
+    await expect(BiddingService.claimSlot(serviceRequest)).resolves.toBe(true);
+
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        _id: serviceRequest._id,
+        'bidding.status': 'open',
+        'bidding.closesAt': { $gt: expect.any(Date) },
+        'bidding.quoteCount': { $lt: 3 }
+      },
+      { $inc: { 'bidding.quoteCount': 1 } },
+      expect.objectContaining({ new: true })
+    );
+    expect(close).not.toHaveBeenCalled();
+  });
+
+  it('cierra la ventana al ocupar el último cupo', async () => {
+    jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue({ bidding: { quoteCount: 3, maxQuotes: 3 } });
+    const close = jest.spyOn(BiddingService, 'close').mockResolvedValue(null);
+    const serviceRequest = buildRequest({ quoteCount: 2 });
+
+    await BiddingService.claimSlot(serviceRequest);
+
+    expect(close).toHaveBeenCalledWith(serviceRequest._id, 'max_quotes');
+  });
+
+  it('responde BIDDING_FULL si otra cotización ocupó el último cupo', async () => {
+    jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue(null);
+    const serviceRequest = buildRequest({ quoteCount: 2 });
+    mockCurrent({ ...serviceRequest.bidding, quoteCount: 3 });
+
+    await expect(BiddingService.claimSlot(serviceRequest))
+      .rejects.toMatchObject({ statusCode: 409, code: 'BIDDING_FULL', details: { maxQuotes: 3 } });
+  });
+
+  it('responde BIDDING_CLOSED con la ventana cerrada o vencida', async () => {
+    jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue(null);
+    const closedAt = new Date(Date.now() - 10 * 60 * 1000);
+    mockCurrent({ status: 'closed', closedAt, closesAt: new Date(Date.now() + HOUR_MS), maxQuotes: 3, quoteCount: 3 });
+
+    await expect(BiddingService.claimSlot(buildRequest()))
+      .rejects.toMatchObject({ statusCode: 409, code: 'BIDDING_CLOSED', details: { closesAt: closedAt } });
+
+    mockCurrent({ status: 'open', closesAt: new Date(Date.now() - 1000), maxQuotes: 3, quoteCount: 1 });
+    await expect(BiddingService.claimSlot(buildRequest()))
+      .rejects.toMatchObject({ code: 'BIDDING_CLOSED' });
+  });
+});
+
+describe('BiddingService.close', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('solo cierra ventanas abiertas y envía el resumen al cliente', async () => {
+    const closed = buildRequest({ status: 'closed' });
+    const findOneAndUpdate = jest.spyOn(ServiceRequest, 'findOneAndUpdate')
+      .mockResolvedValueOnce(closed)
+      .mockResolvedValueOnce(null);
+    const notifySummary = jest.spyOn(BiddingService, 'notifySummary').mockResolvedValue();
+
+    await expect(BiddingService.close(closed._id, 'deadline')).resolves.toBe(closed);
+    await expect(BiddingService.close(closed._id, 'deadline')).resolves.toBeNull();
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: closed._id, 'bidding.status': 'open' });
+    expect(update.$set).toMatchObject({ 'bidding.status': 'closed', 'bidding.closeReason': 'deadline' });
+    expect(update.$set['bidding.decisionDeadline'].getTime()).toBeGreaterThan(update.$set['bidding.closedAt'].getTime());
+    expect(notifySummary).toHaveBeenCalledTimes(1);
+  });
+
+  it('no envía resumen cuando el cliente ya aceptó una cotización', async () => {
+    jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue(buildRequest({ status: 'closed' }));
+    const notifySummary = jest.spyOn(BiddingService, 'notifySummary').mockResolvedValue();
+
+    await BiddingService.close(new mongoose.Types.ObjectId(), 'quote_accepted');
+
+    expect(notifySummary).not.toHaveBeenCalled();
+  });
+});
+
+describe('BiddingService.getStatus', () => {
+  const professionalUser = { _id: new mongoose.Types.ObjectId(), role: 'professional' };
+
+  beforeEach(() => {
+    const offer = (price) => Quote.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      price,
+      versions: [{ version: 1, author: 'professional', createdBy: new mongoose.Types.ObjectId(), price }]
+    });
+    jest.spyOn(Quote, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([offer(180000), offer(120000), offer(150000)])
+    });
+    jest.spyOn(Professional, 'findOne').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ _id: new mongoose.Types.ObjectId() })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('el cliente ve el resumen completo de precios', async () => {
+    const status = await BiddingService.getStatus(buildRequest(), { _id: clientId, role: 'client' });
+
+    expect(status.summary).toEqual({ quoteCount: 3, lowestPrice: 120000, highestPrice: 180000, averagePrice: 150000 });
+    expect(status.remainingSlots).toBe(2);
+  });
+
+  it('en modo sellado los profesionales no ven precios', async () => {
+    const status = await BiddingService.getStatus(buildRequest({ mode: 'sealed' }), professionalUser);
+
+    expect(status).not.toHaveProperty('summary');
+    expect(status).not.toHaveProperty('lowestPrice');
+    expect(Quote.find).not.toHaveBeenCalled();
+  });
+
+  it('en modo abierto los profesionales solo ven el precio más bajo', async () => {
+    const status = await BiddingService.getStatus(buildRequest({ mode: 'open' }), professionalUser);
+
+    expect(status.lowestPrice).toBe(120000);
+    expect(status).not.toHaveProperty('summary');
+  });
+
+  it('rechaza usuarios que no son el cliente ni profesionales', async () => {
+    Professional.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+    await expect(BiddingService.getStatus(buildRequest(), { _id: new mongoose.Types.ObjectId(), role: 'client' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
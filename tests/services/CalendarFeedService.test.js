@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Professional = require('../../models/Professional');
+const CalendarFeedService = require('../../services/CalendarFeedService');
+const { AuthUtils } = require('../../utils/auth');
+const { ICalUtils } = require('../../utils/ical');
+
+const buildRequest = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'confirmed',
+  clientId: { profile: { firstName: 'Ana', lastName: 'Gómez' } },
+  service: { title: 'Instalación de lavamanos' },
+  scheduling: {
+    preferredDate: new Date('2026-05-04T00:00:00Z'),
+    preferredTime: '09:30',
+    estimatedDuration: { value: 2, unit: 'hours' }
+  },
+  location: {
+    address: { fullAddress: 'Calle 10 # 5-20, Bogotá' },
+    coordinates: [-74.07, 4.6]
+  },
+  statusHistory: [{ status: 'pending' }, { status: 'confirmed' }],
+  updatedAt: new Date('2026-05-01T12:00:00Z'),
+  ...overrides
+});
+
+describe('CalendarFeedService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('tokens', () => {
+    it('guarda solo el hash del token rotado', async () => {
+      const professional = { save: jest.fn().mockResolvedValue() };
+
+      const { token, url } = await CalendarFeedService.rotateToken(professional);
+
+      expect(token).toMatch(/^[a-f0-9]{64}$/);
+      expect(url).toContain(`/calendar/${token}.ics`);
+      expect(professional.calendarFeed).toMatchObject({ tokenHash: AuthUtils.hashToken(token), lastAccessedAt: null });
+      expect(JSON.stringify(professional.calendarFeed)).not.toContain(token);
+    });
+
+    it('no consulta la base de datos con tokens malformados', async () => {
+      const findOne = jest.spyOn(Professional, 'findOne');
+
+      await expect(CalendarFeedService.findProfessionalByToken('')).resolves.toBeNull();
+      await expect(CalendarFeedService.findProfessionalByToken('../etc/passwd')).resolves.toBeNull();
+
+      expect(findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildEvent', () => {
+    it('ubica el trabajo en la zona horaria del profesional', () => {
+      const serviceRequest = buildRequest();
+
+      const event = CalendarFeedService.buildEvent(serviceRequest, 'America/Bogota');
+
+      expect(event).toMatchObject({
+        uid: `service-request-${serviceRequest._id}@proserv`,
+        start: new Date('2026-05-04T14:30:00Z'),
+        durationMinutes: 120,
+        summary: 'Instalación de lavamanos - Ana Gómez',
+        location: 'Calle 10 # 5-20, Bogotá',
+        status: 'CONFIRMED',
+        sequence: 2
+      });
+      expect(event.description).toContain('Duración estimada: 2 horas');
+    });
+
+    it('marca como canceladas las solicitudes que salieron de la agenda', () => {
+      const event = CalendarFeedService.buildEvent(buildRequest({ status: 'cancelled' }), 'America/Bogota');
+
+      expect(event.status).toBe('CANCELLED');
+      expect(event.summary).toMatch(/^\[Cancelado\] /);
+      expect(event.description).toContain('Estado: Cancelado');
+    });
+  });
+
+  describe('buildFeed', () => {
+    it('genera un calendario ICS con los trabajos agendados', async () => {
+      const unscheduled = buildRequest({ scheduling: { preferredDate: null } });
+      jest.spyOn(CalendarFeedService, 'getFeedRequests').mockResolvedValue([buildRequest(), unscheduled]);
+      const professional = {
+        _id: new mongoose.Types.ObjectId(),
+        availability: { timeZone: 'America/Bogota' },
+        businessInfo: { businessName: 'Plomería Ruiz' }
+      };
+
+      const ics = await CalendarFeedService.buildFeed(professional);
+      const lines = ics.split('\r\n');
+
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(lines).toContain('X-WR-TIMEZONE:America/Bogota');
+      expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(1);
+      expect(lines).toContain('DTSTART:20260504T143000Z');
+      expect(lines).toContain('DURATION:PT2H');
+      expect(lines).toContain('LOCATION:Calle 10 # 5-20\\, Bogotá');
+      expect(lines).toContain('GEO:4.6;-74.07');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+  });
+});
+
+describe('ICalUtils', () => {
+  it('pliega las líneas largas sin superar 75 octetos', () => {
+    const line = `DESCRIPTION:${'ñ'.repeat(80)}`;
+
+    const folded = ICalUtils.foldLine(line).split('\r\n');
+
+    expect(folded.length).toBeGreaterThan(1);
+    folded.forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+    expect(folded.map((part, index) => (index ? part.slice(1) : part)).join('')).toBe(line);
+  });
+
+  it('formatea duraciones en ISO 8601', () => {
+    expect(ICalUtils.formatDuration(90)).toBe('PT1H30M');
+    expect(ICalUtils.formatDuration(24 * 60)).toBe('P1D');
+    expect(ICalUtils.formatDuration(0)).toBe('PT0M');
+  });
+});
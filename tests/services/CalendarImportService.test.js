@@ -0,0 +1,183 @@
+const dns = require('dns');
+const axios = require('axios');
+const CalendarImportService = require('../../services/CalendarImportService');
+
+const ICS = 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n';
+
+const mockResolve = (mapping) => jest.spyOn(dns.promises, 'lookup')
+  .mockImplementation(async (host) => mapping[host].map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+
+describe('CalendarImportService URL fetching', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('assertPublicUrl', () => {
+    it.each([
+      'http://localhost/cal.ics',
+      'http://127.0.0.1/cal.ics',
+      'http://10.1.2.3/cal.ics',
+      'http://169.254.169.254/latest/meta-data',
+      'http://172.20.0.1/cal.ics',
+      'http://192.168.1.10/cal.ics',
+      'http://100.64.0.1/cal.ics',
+      'http://[::1]/cal.ics',
+      'http://[fe80::1]/cal.ics',
+      'http://[fd00::1]/cal.ics',
+      'http://[::ffff:10.0.0.1]/cal.ics',
+      'ftp://calendar.example.com/cal.ics'
+    ])('rechaza %s', async (url) => {
+      await expect(CalendarImportService.assertPublicUrl(url))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_CALENDAR_URL' });
+    });
+
+    it('rechaza nombres que resuelven a direcciones internas', async () => {
+      mockResolve({ 'internal.example.com': ['93.184.216.34', '10.0.0.5'] });
+
+      await expect(CalendarImportService.assertPublicUrl('https://internal.example.com/cal.ics'))
+        .rejects.toMatchObject({ code: 'INVALID_CALENDAR_URL' });
+    });
+
+    it('acepta nombres que resuelven solo a direcciones públicas', async () => {
+      mockResolve({ 'calendar.example.com': ['93.184.216.34', '2606:2800:220:1::1'] });
+
+      await expect(CalendarImportService.assertPublicUrl('https://calendar.example.com/cal.ics'))
+        .resolves.toBeUndefined();
+    });
+
+    it('reporta hosts que no resuelven', async () => {
+      jest.spyOn(dns.promises, 'lookup').mockRejectedValue(new Error('ENOTFOUND'));
+
+      await expect(CalendarImportService.assertPublicUrl('https://missing.example.com/cal.ics'))
+        .rejects.toMatchObject({ statusCode: 422, code: 'CALENDAR_FETCH_FAILED' });
+    });
+  });
+
+  describe('fetchCalendar', () => {
+    it('no sigue redirecciones automáticamente y valida cada destino', async () => {
+      mockResolve({ 'calendar.example.com': ['93.184.216.34'] });
+      const get = jest.spyOn(axios, 'get').mockResolvedValueOnce({
+        status: 302,
+        headers: { location: 'http://169.254.169.254/latest/meta-data' },
+        data: ''
+      });
+
+      await expect(CalendarImportService.fetchCalendar('webcal://calendar.example.com/cal.ics'))
+        .rejects.toMatchObject({ code: 'INVALID_CALENDAR_URL' });
+
+      expect(get).toHaveBeenCalledTimes(1);
+      expect(get.mock.calls[0][0]).toBe('https://calendar.example.com/cal.ics');
+      expect(get.mock.calls[0][1].maxRedirects).toBe(0);
+    });
+
+    it('sigue redirecciones relativas hacia hosts públicos', async () => {
+      mockResolve({ 'calendar.example.com': ['93.184.216.34'] });
+      const get = jest.spyOn(axios, 'get')
+        .mockResolvedValueOnce({ status: 301, headers: { location: '/v2/cal.ics' }, data: '' })
+        .mockResolvedValueOnce({ status: 200, headers: {}, data: ICS });
+
+      await expect(CalendarImportService.fetchCalendar('https://calendar.example.com/cal.ics')).resolves.toBe(ICS);
+      expect(get.mock.calls[1][0]).toBe('https://calendar.example.com/v2/cal.ics');
+    });
+
+    it('corta las cadenas de redirecciones demasiado largas', async () => {
+      mockResolve({ 'calendar.example.com': ['93.184.216.34'] });
+      jest.spyOn(axios, 'get').mockResolvedValue({ status: 302, headers: { location: '/loop' }, data: '' });
+
+      await expect(CalendarImportService.fetchCalendar('https://calendar.example.com/cal.ics'))
+        .rejects.toMatchObject({ statusCode: 422, code: 'CALENDAR_FETCH_FAILED' });
+    });
+  });
+});
+
+describe('CalendarImportService.parseBusyIntervals', () => {
+  const calendar = (...events) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+    'END:VCALENDAR',
+    ''
+  ].join('\r\n');
+
+  const parse = (content, now = '2030-03-04T12:00:00Z') =>
+    CalendarImportService.parseBusyIntervals(content, { timeZone: 'America/Bogota', now: new Date(now) });
+
+  const starts = (result) => result.intervals.map(interval => interval.start.toISOString());
+
+  it('rechaza contenido que no es un calendario', () => {
+    expect(() => parse('hola')).toThrow('El archivo no es un calendario ICS válido');
+  });
+
+  it('interpreta horas UTC, con TZID, flotantes y días completos', () => {
+    const result = parse(calendar(
+      ['UID:utc', 'DTSTART:20300305T140000Z', 'DTEND:20300305T150000Z'],
+      ['UID:tzid', 'DTSTART;TZID=Europe/Madrid:20300305T090000', 'DURATION:PT30M'],
+      ['UID:floating', 'DTSTART:20300305T090000', 'DTEND:20300305T100000'],
+      ['UID:allday', 'DTSTART;VALUE=DATE:20300306']
+    ));
+
+    expect(result.intervals.map(({ externalUid, start, end, allDay }) => ({
+      externalUid, start: start.toISOString(), end: end.toISOString(), allDay
+    }))).toEqual([
+      { externalUid: 'tzid', start: '2030-03-05T08:00:00.000Z', end: '2030-03-05T08:30:00.000Z', allDay: false },
+      { externalUid: 'utc', start: '2030-03-05T14:00:00.000Z', end: '2030-03-05T15:00:00.000Z', allDay: false },
+      { externalUid: 'floating', start: '2030-03-05T14:00:00.000Z', end: '2030-03-05T15:00:00.000Z', allDay: false },
+      { externalUid: 'allday', start: '2030-03-06T05:00:00.000Z', end: '2030-03-07T05:00:00.000Z', allDay: true }
+    ]);
+  });
+
+  it('ignora eventos cancelados, transparentes y los del propio feed', () => {
+    const result = parse(calendar(
+      ['UID:cancelled', 'STATUS:CANCELLED', 'DTSTART:20300305T140000Z', 'DTEND:20300305T150000Z'],
+      ['UID:free', 'TRANSP:TRANSPARENT', 'DTSTART:20300305T140000Z', 'DTEND:20300305T150000Z'],
+      ['UID:job-1@proserv', 'DTSTART:20300305T140000Z', 'DTEND:20300305T150000Z']
+    ));
+
+    expect(result.intervals).toEqual([]);
+  });
+
+  it('expande recurrencias con EXDATE e instancias modificadas', () => {
+    const result = parse(calendar(
+      [
+        'UID:weekly',
+        'DTSTART;TZID=America/Bogota:20300304T080000',
+        'DTEND;TZID=America/Bogota:20300304T090000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=4',
+        'EXDATE;TZID=America/Bogota:20300311T080000'
+      ],
+      [
+        'UID:weekly',
+        'RECURRENCE-ID;TZID=America/Bogota:20300318T080000',
+        'DTSTART;TZID=America/Bogota:20300318T150000',
+        'DTEND;TZID=America/Bogota:20300318T160000'
+      ]
+    ));
+
+    expect(starts(result)).toEqual([
+      '2030-03-04T13:00:00.000Z',
+      '2030-03-18T20:00:00.000Z',
+      '2030-03-25T13:00:00.000Z'
+    ]);
+  });
+
+  it('expande eventos diarios creados hace años sin agotar las iteraciones', () => {
+    const result = parse(calendar(
+      ['UID:daily', 'DTSTART:20200101T140000Z', 'DTEND:20200101T150000Z', 'RRULE:FREQ=DAILY;UNTIL=20300306']
+    ));
+
+    expect(starts(result)).toEqual([
+      '2030-03-03T14:00:00.000Z',
+      '2030-03-04T14:00:00.000Z',
+      '2030-03-05T14:00:00.000Z',
+      '2030-03-06T14:00:00.000Z'
+    ]);
+  });
+
+  it('cuenta como omitidas las recurrencias no soportadas', () => {
+    const result = parse(calendar(
+      ['UID:yearly', 'DTSTART:20300305T140000Z', 'DTEND:20300305T150000Z', 'RRULE:FREQ=YEARLY']
+    ));
+
+    expect(result.skipped).toBe(1);
+  });
+});
@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const CancellationService = require('../../services/CancellationService');
+const ServiceCategoryService = require('../../services/ServiceCategoryService');
+const { paymentService } = require('../../utils/payments');
+
+const buildPayment = (overrides = {}) => Payment.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  paymentId: 'PAY_TEST',
+  serviceRequest: new mongoose.Types.ObjectId(),
+  amount: 100000,
+  platformFee: 5000,
+  totalAmount: 100000,
+  currency: 'COP',
+  status: 'processing',
+  paymentMethod: { type: 'card', provider: 'stripe' },
+  providerPaymentId: 'pi_authorized',
+  refundStatus: 'none',
+  ...overrides
+});
+
+const buildRequest = (refundPercentage) => ({
+  _id: new mongoose.Types.ObjectId(),
+  cancellation: { reason: 'schedule_conflict', policy: 'moderate', refundPercentage },
+  payment: { paymentStatus: 'processing' },
+  save: jest.fn().mockResolvedValue()
+});
+
+describe('CancellationService.calculate', () => {
+  // 09:00 en Bogotá (UTC-5) del 13 de marzo = 14:00 UTC
+  const buildService = (overrides = {}) => ({
+    status: 'confirmed',
+    service: { category: 'home_services' },
+    pricing: { finalCost: 150000 },
+    scheduling: { preferredDate: new Date('2026-03-13T00:00:00Z'), preferredTime: '09:00' },
+    ...overrides
+  });
+  const hoursBefore = (hours) => new Date(Date.parse('2026-03-13T14:00:00Z') - hours * 60 * 60 * 1000);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    [100, 100],
+    [72, 100],
+    [71.5, 50],
+    [24, 50],
+    [23, 0],
+    [-2, 0]
+  ])('con %s horas de anticipación la política moderada reembolsa %s%%', (hours, percentage) => {
+    const result = CancellationService.calculate(buildService(), { role: 'client', now: hoursBefore(hours) });
+
+    expect(result).toMatchObject({ policy: 'moderate', hoursBeforeStart: hours, refundPercentage: percentage, rule: 'tier' });
+  });
+
+  it('usa la política del profesional antes que la de la categoría', () => {
+    const professional = { preferences: { cancellationPolicy: 'strict' }, availability: { timeZone: 'America/Bogota' } };
+
+    const result = CancellationService.calculate(buildService(), { professional, role: 'client', now: hoursBefore(100) });
+
+    expect(result).toMatchObject({ policy: 'strict', refundPercentage: 50 });
+  });
+
+  it('usa la política de la categoría si el profesional no adoptó una', () => {
+    const professional = { preferences: { cancellationPolicy: null }, availability: { timeZone: 'America/Bogota' } };
+
+    const byCategory = CancellationService.calculate(buildService(), {
+      professional,
+      categoryPolicy: 'flexible',
+      role: 'client',
+      now: hoursBefore(30)
+    });
+    const byDefault = CancellationService.calculate(buildService(), { professional, role: 'client', now: hoursBefore(30) });
+
+    expect(byCategory).toMatchObject({ policy: 'flexible', refundPercentage: 100 });
+    expect(byDefault).toMatchObject({ policy: 'moderate', refundPercentage: 50 });
+  });
+
+  it('lee la política de la categoría raíz del servicio', async () => {
+    jest.spyOn(ServiceCategoryService, 'getAll').mockResolvedValue([
+      { _id: new mongoose.Types.ObjectId(), slug: 'construction', parent: null, cancellationPolicy: 'strict' },
+      { _id: new mongoose.Types.ObjectId(), slug: 'beauty_wellness', parent: null }
+    ]);
+
+    await expect(CancellationService.getCategoryPolicy(buildService({ service: { category: 'construction' } })))
+      .resolves.toBe('strict');
+    await expect(CancellationService.getCategoryPolicy(buildService({ service: { category: 'beauty_wellness' } })))
+      .resolves.toBeNull();
+  });
+
+  it('reembolsa todo si la solicitud aún no estaba aceptada', () => {
+    const result = CancellationService.calculate(buildService({ status: 'pending' }), { role: 'client', now: hoursBefore(1) });
+
+    expect(result).toMatchObject({ refundPercentage: 100, rule: 'status' });
+  });
+
+  it('prioriza el rol sobre el motivo y el motivo sobre los tramos', () => {
+    const byProfessional = CancellationService.calculate(buildService(), {
+      role: 'professional',
+      reason: 'emergency',
+      now: hoursBefore(1)
+    });
+    const byReason = CancellationService.calculate(buildService(), {
+      role: 'client',
+      reason: 'emergency',
+      now: hoursBefore(1)
+    });
+
+    expect(byProfessional).toMatchObject({ refundPercentage: 100, rule: 'role' });
+    expect(byReason).toMatchObject({ refundPercentage: 50, rule: 'reason' });
+  });
+
+  it('trata las solicitudes sin fecha pactada como cancelación anticipada', () => {
+    const result = CancellationService.calculate(buildService({ scheduling: {} }), { role: 'client' });
+
+    expect(result).toMatchObject({ hoursBeforeStart: null, refundPercentage: 100, rule: 'tier' });
+  });
+
+  it('calcula la penalización por inasistencia con un mínimo', () => {
+    const noShow = { action: 'report_no_show', reason: 'professional_no_show' };
+    const high = CancellationService.calculate(buildService(), noShow);
+    const low = CancellationService.calculate(buildService({ pricing: { finalCost: 50000 } }), noShow);
+
+    expect(high).toMatchObject({ refundPercentage: 100, penaltyAmount: 30000, rule: 'no_show' });
+    expect(low.penaltyAmount).toBe(20000);
+  });
+
+  it('aplica la regla de inasistencia solo a la acción report_no_show', () => {
+    const result = CancellationService.calculate(buildService(), {
+      role: 'client',
+      action: 'cancel',
+      reason: 'professional_no_show',
+      now: hoursBefore(1)
+    });
+
+    expect(result).toMatchObject({ refundPercentage: 0, penaltyAmount: 0, rule: 'tier' });
+  });
+});
+
+describe('CancellationService', () => {
+  beforeEach(() => {
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('settleAuthorization', () => {
+    it('captura solo lo retenido y registra como reembolsado lo liberado', async () => {
+      const payment = buildPayment();
+      const capture = jest.spyOn(paymentService, 'capturePayment').mockResolvedValue({
+        success: true,
+        captureId: 'pi_authorized',
+        capture: {}
+      });
+
+      const outcome = await CancellationService.refundPayment(payment, 40000, 'Cancelación');
+
+      expect(capture).toHaveBeenCalledWith(expect.objectContaining({ amount: 60000 }));
+      expect(outcome).toEqual({ status: 'completed', amount: 40000 });
+      expect(payment.status).toBe('completed');
+      expect(payment.refundStatus).toBe('completed');
+      expect(payment.refundAmount).toBe(40000);
+    });
+
+    it('anula la autorización cuando se devuelve todo', async () => {
+      const payment = buildPayment();
+      const voidAuthorization = jest.spyOn(paymentService, 'voidAuthorization').mockResolvedValue({ success: true });
+      const capture = jest.spyOn(paymentService, 'capturePayment');
+
+      const outcome = await CancellationService.refundPayment(payment, 100000, 'Cancelación');
+
+      expect(voidAuthorization).toHaveBeenCalledWith(expect.objectContaining({ providerPaymentId: 'pi_authorized' }));
+      expect(capture).not.toHaveBeenCalled();
+      expect(outcome).toEqual({ status: 'completed', amount: 100000 });
+      expect(payment.status).toBe('cancelled');
+    });
+
+    it('marca el reembolso como fallido y conserva la autorización si el proveedor falla', async () => {
+      const payment = buildPayment();
+      jest.spyOn(paymentService, 'voidAuthorization').mockResolvedValue({ success: false, error: 'timeout' });
+
+      const outcome = await CancellationService.refundPayment(payment, 100000, 'Cancelación');
+
+      expect(outcome.status).toBe('failed');
+      expect(payment.status).toBe('processing');
+      expect(payment.refundStatus).toBe('failed');
+    });
+  });
+
+  describe('processRefunds', () => {
+    it('captura la autorización completa cuando la política no reembolsa nada', async () => {
+      const payment = buildPayment();
+      jest.spyOn(CancellationService, 'getRefundablePayments').mockResolvedValue([payment]);
+      const capture = jest.spyOn(paymentService, 'capturePayment').mockResolvedValue({
+        success: true,
+        captureId: 'pi_authorized',
+        capture: {}
+      });
+      const serviceRequest = buildRequest(0);
+
+      const cancellation = await CancellationService.processRefunds(serviceRequest);
+
+      expect(capture).toHaveBeenCalledWith(expect.objectContaining({ amount: 100000 }));
+      expect(cancellation.refundStatus).toBe('not_required');
+      expect(serviceRequest.payment.paymentStatus).toBe('completed');
+    });
+
+    it('reembolsa pagos capturados según el porcentaje de la política', async () => {
+      const payment = buildPayment({ status: 'completed', providerPaymentId: 'pi_captured' });
+      jest.spyOn(CancellationService, 'getRefundablePayments').mockResolvedValue([payment]);
+      const refund = jest.spyOn(paymentService, 'refundPayment').mockResolvedValue({
+        success: true,
+        status: 'completed',
+        refund: {}
+      });
+      const serviceRequest = buildRequest(50);
+
+      const cancellation = await CancellationService.processRefunds(serviceRequest);
+
+      expect(refund).toHaveBeenCalledWith(expect.objectContaining({ providerPaymentId: 'pi_captured', amount: 50000 }));
+      expect(cancellation.refundAmount).toBe(50000);
+      expect(cancellation.refundStatus).toBe('processed');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const ChangeOrderService = require('../../services/ChangeOrderService');
+const { paymentService } = require('../../utils/payments');
+
+const buildPayment = (overrides = {}) => Payment.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  paymentId: 'PAY_TEST',
+  serviceRequest: new mongoose.Types.ObjectId(),
+  client: new mongoose.Types.ObjectId(),
+  professional: new mongoose.Types.ObjectId(),
+  amount: 100000,
+  platformFee: 5000,
+  totalAmount: 100000,
+  currency: 'COP',
+  status: 'processing',
+  paymentMethod: { type: 'card', provider: 'stripe' },
+  providerPaymentId: 'pi_authorized',
+  ...overrides
+});
+
+const buildRequest = (paymentMethod = 'card') => ({
+  _id: new mongoose.Types.ObjectId(),
+  service: { title: 'Reparación de tubería' },
+  pricing: { paymentMethod }
+});
+
+// Payment.findOne(...) se encadena con .sort() al buscar el cobro original
+const mockFindOne = (...results) => {
+  const spy = jest.spyOn(Payment, 'findOne');
+  results.forEach(result => {
+    const query = Promise.resolve(result);
+    query.sort = () => Promise.resolve(result);
+    spy.mockReturnValueOnce(query);
+  });
+  return spy;
+};
+
+describe('ChangeOrderService.increaseAuthorization', () => {
+  beforeEach(() => {
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('no cobra nada en servicios en efectivo', async () => {
+    const findOne = jest.spyOn(Payment, 'findOne');
+
+    const result = await ChangeOrderService.increaseAuthorization(buildRequest('cash'), 30000);
+
+    expect(result.status).toBe('not_required');
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('aumenta la autorización pendiente de captura', async () => {
+    const payment = buildPayment();
+    mockFindOne(payment);
+    const increase = jest.spyOn(paymentService, 'increaseAuthorization').mockResolvedValue({
+      success: true,
+      authorizationId: 'pi_authorized',
+      amount: 130000
+    });
+
+    const result = await ChangeOrderService.increaseAuthorization(buildRequest(), 30000);
+
+    expect(increase).toHaveBeenCalledWith(expect.objectContaining({ providerPaymentId: 'pi_authorized', amount: 130000 }));
+    expect(result.status).toBe('increased');
+    expect(payment.totalAmount).toBe(130000);
+  });
+
+  it('cobra la diferencia aparte cuando el pago ya fue capturado', async () => {
+    const original = buildPayment({ status: 'completed', metadata: { paymentMethodId: 'pm_card' } });
+    mockFindOne(null, original);
+    const charge = jest.spyOn(paymentService, 'chargePayment').mockResolvedValue({
+      success: true,
+      provider: 'stripe',
+      providerPaymentId: 'pi_change_order',
+      payment: {}
+    });
+
+    const result = await ChangeOrderService.increaseAuthorization(buildRequest(), 30000);
+
+    expect(charge).toHaveBeenCalledWith(expect.objectContaining({ amount: 30000, paymentMethodId: 'pm_card' }));
+    expect(result.status).toBe('charged');
+    expect(Payment.prototype.save).toHaveBeenCalled();
+  });
+
+  it('reembolsa el cobro si no se puede registrar el pago', async () => {
+    const original = buildPayment({ status: 'completed', metadata: { paymentMethodId: 'pm_card' } });
+    mockFindOne(null, original);
+    jest.spyOn(paymentService, 'chargePayment').mockResolvedValue({
+      success: true,
+      provider: 'stripe',
+      providerPaymentId: 'pi_change_order',
+      payment: {}
+    });
+    Payment.prototype.save.mockRejectedValue(new Error('write conflict'));
+    const refund = jest.spyOn(paymentService, 'refundPayment').mockResolvedValue({ success: true });
+
+    const result = await ChangeOrderService.increaseAuthorization(buildRequest(), 30000);
+
+    expect(refund).toHaveBeenCalledWith(expect.objectContaining({ providerPaymentId: 'pi_change_order', amount: 30000 }));
+    expect(result.status).toBe('failed');
+  });
+
+  it('falla si no hay autorización ni método de pago con el cual cobrar', async () => {
+    mockFindOne(null, null);
+
+    const result = await ChangeOrderService.increaseAuthorization(buildRequest(), 30000);
+
+    expect(result.status).toBe('failed');
+  });
+});
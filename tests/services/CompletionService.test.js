@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../../models/ServiceRequest');
+const Payment = require('../../models/Payment');
+const CompletionService = require('../../services/CompletionService');
+const ServiceRequestStateMachine = require('../../services/ServiceRequestStateMachine');
+const { paymentService } = require('../../utils/payments');
+
+const buildPayment = (overrides = {}) => Payment.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  paymentId: 'PAY_TEST',
+  serviceRequest: new mongoose.Types.ObjectId(),
+  amount: 100000,
+  platformFee: 5000,
+  totalAmount: 100000,
+  currency: 'COP',
+  status: 'processing',
+  paymentMethod: { type: 'card', provider: 'stripe' },
+  providerPaymentId: 'pi_authorized',
+  refundStatus: 'none',
+  ...overrides
+});
+
+const buildRequest = (finalCost) => ({
+  _id: new mongoose.Types.ObjectId(),
+  pricing: { finalCost },
+  completion: { signOff: {} }
+});
+
+describe('CompletionService.capturePayment', () => {
+  beforeEach(() => {
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(ServiceRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('captura el costo final de la autorización y marca el pago como completado', async () => {
+    const payment = buildPayment();
+    jest.spyOn(Payment, 'find').mockResolvedValue([payment]);
+    const capture = jest.spyOn(paymentService, 'capturePayment').mockResolvedValue({
+      success: true,
+      captureId: 'pi_authorized',
+      amount: 80000,
+      capture: {}
+    });
+    const serviceRequest = buildRequest(80000);
+
+    const result = await CompletionService.capturePayment(serviceRequest);
+
+    expect(Payment.find).toHaveBeenCalledWith({ serviceRequest: serviceRequest._id, status: 'processing' });
+    expect(capture).toHaveBeenCalledWith(expect.objectContaining({
+      provider: 'stripe',
+      providerPaymentId: 'pi_authorized',
+      amount: 80000
+    }));
+    expect(result).toEqual({ status: 'captured', amount: 80000 });
+    expect(payment.status).toBe('completed');
+
+    const [, update] = ServiceRequest.updateOne.mock.calls[0];
+    expect(update.$set['payment.paymentStatus']).toBe('completed');
+  });
+
+  it('no captura nada cuando no hay autorizaciones pendientes', async () => {
+    jest.spyOn(Payment, 'find').mockResolvedValue([]);
+    const capture = jest.spyOn(paymentService, 'capturePayment');
+
+    const result = await CompletionService.capturePayment(buildRequest(80000));
+
+    expect(capture).not.toHaveBeenCalled();
+    expect(result).toEqual({ status: 'not_required', amount: 0 });
+  });
+
+  it('deja la autorización vigente y avisa a los administradores si la captura falla', async () => {
+    const payment = buildPayment();
+    jest.spyOn(Payment, 'find').mockResolvedValue([payment]);
+    jest.spyOn(paymentService, 'capturePayment').mockResolvedValue({ success: false, error: 'card_declined' });
+    const notifyAdmins = jest.spyOn(CompletionService, 'notifyAdmins').mockResolvedValue();
+
+    const result = await CompletionService.capturePayment(buildRequest(80000));
+
+    expect(result).toEqual({ status: 'failed', amount: 0, error: 'card_declined' });
+    expect(payment.status).toBe('processing');
+    expect(notifyAdmins).toHaveBeenCalled();
+  });
+
+  it('amplía la autorización cuando los ajustes superan lo autorizado y captura el total', async () => {
+    const payment = buildPayment();
+    jest.spyOn(Payment, 'find').mockResolvedValue([payment]);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    const increase = jest.spyOn(paymentService, 'increaseAuthorization').mockResolvedValue({
+      success: true,
+      authorizationId: 'pi_authorized',
+      amount: 130000
+    });
+    const capture = jest.spyOn(paymentService, 'capturePayment').mockResolvedValue({
+      success: true,
+      captureId: 'pi_authorized',
+      capture: {}
+    });
+
+    const result = await CompletionService.capturePayment(buildRequest(130000));
+
+    expect(increase).toHaveBeenCalledWith(expect.objectContaining({ providerPaymentId: 'pi_authorized', amount: 130000 }));
+    expect(capture).toHaveBeenCalledWith(expect.objectContaining({ amount: 130000 }));
+    expect(result).toEqual({ status: 'captured', amount: 130000 });
+    expect(payment.totalAmount).toBe(130000);
+  });
+
+  it('captura lo autorizado, informa lo pendiente y avisa si no se puede ampliar la autorización', async () => {
+    const payment = buildPayment();
+    jest.spyOn(Payment, 'find').mockResolvedValue([payment]);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    jest.spyOn(paymentService, 'increaseAuthorization').mockResolvedValue({ success: false, error: 'not_supported' });
+    jest.spyOn(paymentService, 'capturePayment').mockResolvedValue({ success: true, captureId: 'pi_authorized', capture: {} });
+    const notifyAdmins = jest.spyOn(CompletionService, 'notifyAdmins').mockResolvedValue();
+
+    const result = await CompletionService.capturePayment(buildRequest(130000));
+
+    expect(result).toEqual({ status: 'partial', amount: 100000, pendingAmount: 30000, error: 'not_supported' });
+    expect(notifyAdmins).toHaveBeenCalledWith(expect.anything(), result);
+    const [, update] = ServiceRequest.updateOne.mock.calls[0];
+    expect(update.$set['payment.paymentStatus']).toBeUndefined();
+  });
+});
+
+describe('CompletionService.confirm', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devuelve el acta a pendiente si no se puede completar el servicio', async () => {
+    const serviceRequest = {
+      _id: new mongoose.Types.ObjectId(),
+      status: 'in_progress',
+      completion: { signOff: { status: 'submitted' } },
+      calculateFinalCost: jest.fn().mockResolvedValue()
+    };
+    const updateOne = jest.spyOn(ServiceRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(ServiceRequestStateMachine, 'transition').mockRejectedValue(new Error('fallo al guardar'));
+    const capture = jest.spyOn(CompletionService, 'capturePayment');
+
+    await expect(CompletionService.confirm(serviceRequest, null, [], { auto: true })).rejects.toThrow('fallo al guardar');
+
+    expect(updateOne).toHaveBeenCalledTimes(2);
+    expect(updateOne.mock.calls[1]).toEqual([
+      { _id: serviceRequest._id, status: 'in_progress' },
+      {
+        $set: { 'completion.signOff.status': 'submitted' },
+        $unset: { 'completion.signOff.confirmedAt': '', 'completion.signOff.confirmedBy': '' }
+      }
+    ]);
+    expect(serviceRequest.completion.signOff.status).toBe('submitted');
+    expect(capture).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Dispute = require('../../models/Dispute');
+const DisputeService = require('../../services/DisputeService');
+const NotificationService = require('../../services/NotificationService');
+const ServiceRequestStateMachine = require('../../services/ServiceRequestStateMachine');
+
+const clientId = new mongoose.Types.ObjectId();
+
+const buildRequest = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  clientId,
+  professionalId: new mongoose.Types.ObjectId(),
+  status: 'completed',
+  service: { title: 'Reparación de tubería' },
+  ...overrides
+});
+
+const DATA = { category: 'quality', description: 'La fuga volvió al día siguiente' };
+
+describe('DisputeService.open', () => {
+  const user = { _id: clientId, role: 'client' };
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    jest.spyOn(Dispute, 'exists').mockResolvedValue(null);
+    jest.spyOn(Dispute.prototype, 'save').mockImplementation(function save() {
+      calls.push('save');
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Dispute.prototype, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(DisputeService, 'announce').mockResolvedValue();
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue();
+    jest.spyOn(DisputeService, 'getPartyUserId').mockResolvedValue(new mongoose.Types.ObjectId());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('guarda la disputa antes de pasar la solicitud a disputa', async () => {
+    const transition = jest.spyOn(ServiceRequestStateMachine, 'transition').mockImplementation(async () => {
+      calls.push('transition');
+    });
+    const serviceRequest = buildRequest();
+
+    const dispute = await DisputeService.open(serviceRequest, user, DATA);
+
+    expect(calls).toEqual(['save', 'transition']);
+    expect(transition).toHaveBeenCalledWith(serviceRequest, 'dispute', {
+      user,
+      reason: 'quality',
+      notes: DATA.description
+    });
+    expect(dispute).toMatchObject({ openedByRole: 'client', previousStatus: 'completed', status: 'awaiting_response' });
+    expect(Dispute.prototype.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('elimina la disputa si la solicitud no puede pasar a disputa', async () => {
+    jest.spyOn(ServiceRequestStateMachine, 'transition').mockRejectedValue(new Error('fallo al guardar'));
+
+    await expect(DisputeService.open(buildRequest(), user, DATA)).rejects.toThrow('fallo al guardar');
+
+    expect(Dispute.prototype.save).toHaveBeenCalled();
+    expect(Dispute.prototype.deleteOne).toHaveBeenCalled();
+    expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+  });
+
+  it('no cambia el estado si la disputa no es válida', async () => {
+    Dispute.prototype.save.mockRestore();
+    const transition = jest.spyOn(ServiceRequestStateMachine, 'transition');
+
+    await expect(DisputeService.open(buildRequest(), user, { category: 'unknown', description: 'x' }))
+      .rejects.toMatchObject({ name: 'ValidationError' });
+
+    expect(transition).not.toHaveBeenCalled();
+  });
+
+  it('rechaza disputas duplicadas, de estados no permitidos o de terceros', async () => {
+    const transition = jest.spyOn(ServiceRequestStateMachine, 'transition');
+
+    await expect(DisputeService.open(buildRequest({ status: 'confirmed' }), user, DATA))
+      .rejects.toMatchObject({ statusCode: 409, code: 'DISPUTE_NOT_ALLOWED' });
+    await expect(DisputeService.open(buildRequest(), { _id: new mongoose.Types.ObjectId(), role: 'client' }, DATA))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    Dispute.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    await expect(DisputeService.open(buildRequest(), user, DATA))
+      .rejects.toMatchObject({ statusCode: 409, code: 'DISPUTE_EXISTS' });
+
+    expect(Dispute.prototype.save).not.toHaveBeenCalled();
+    expect(transition).not.toHaveBeenCalled();
+  });
+});
+
+describe('DisputeService.escalateIfOverdue', () => {
+  it('pasa a revisión solo las disputas sin respuesta con plazo vencido', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    const overdue = { status: 'awaiting_response', responseDeadline: new Date('2026-03-10T11:00:00Z') };
+    const onTime = { status: 'awaiting_response', responseDeadline: new Date('2026-03-10T13:00:00Z') };
+    const answered = { status: 'under_review', responseDeadline: new Date('2026-03-10T11:00:00Z') };
+
+    expect(DisputeService.escalateIfOverdue(overdue, now)).toBe(true);
+    expect(overdue).toMatchObject({ status: 'under_review', escalatedAt: now });
+    expect(DisputeService.escalateIfOverdue(onTime, now)).toBe(false);
+    expect(DisputeService.escalateIfOverdue(answered, now)).toBe(false);
+  });
+});
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../../models/ServiceRequest');
+const Professional = require('../../models/Professional');
+const EmergencyDispatchService = require('../../services/EmergencyDispatchService');
+const ServiceRequestStateMachine = require('../../services/ServiceRequestStateMachine');
+const { EMERGENCY_DISPATCH_CONFIG } = require('../../config/emergency');
+
+const clientId = new mongoose.Types.ObjectId();
+
+const buildRequest = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  clientId,
+  status: 'pending',
+  service: { title: 'Fuga de gas', category: 'home_services', urgency: 'emergency' },
+  location: { coordinates: [-74.08, 4.6] },
+  ...overrides
+});
+
+describe('EmergencyDispatchService.calculateSurcharge', () => {
+  // 2026-03-11 es miércoles y 2026-03-14 sábado
+  it('aplica solo el recargo de la categoría en horario diurno entre semana', () => {
+    const surcharge = EmergencyDispatchService.calculateSurcharge(
+      'technical_services', 100000, 'America/Bogota', new Date('2026-03-11T15:00:00Z')
+    );
+
+    expect(surcharge).toEqual({
+      baseAmount: 100000,
+      rate: 0.4,
+      amount: 40000,
+      components: [{ type: 'category', rate: 0.4 }]
+    });
+  });
+
+  it('suma los recargos nocturno y de fin de semana en la hora local del profesional', () => {
+    // 03:00 UTC del sábado son las 22:00 del viernes en Bogotá
+    const fridayNight = EmergencyDispatchService.calculateSurcharge(
+      'automotive', 100000, 'America/Bogota', new Date('2026-03-14T03:00:00Z')
+    );
+    expect(fridayNight.components.map(component => component.type)).toEqual(['category', 'night']);
+    expect(fridayNight.rate).toBeCloseTo(0.85);
+
+    const saturdayNight = EmergencyDispatchService.calculateSurcharge(
+      'unknown_category', 80000, 'America/Bogota', new Date('2026-03-15T04:00:00Z')
+    );
+    expect(saturdayNight.components).toEqual([
+      { type: 'category', rate: 0.5 },
+      { type: 'night', rate: 0.25 },
+      { type: 'weekend', rate: 0.15 }
+    ]);
+    expect(saturdayNight.amount).toBe(72000);
+  });
+});
+
+describe('EmergencyDispatchService.getBaseAmount', () => {
+  it('usa el precio fijo activo del profesional en la categoría o el costo estimado', () => {
+    const serviceRequest = buildRequest({ pricing: { estimatedCost: 90000 } });
+    const fixed = { services: [{ category: 'home_services', isActive: true, pricing: { type: 'fixed', amount: 120000 } }] };
+    const hourly = { services: [{ category: 'home_services', isActive: true, pricing: { type: 'hourly', amount: 40000 } }] };
+
+    expect(EmergencyDispatchService.getBaseAmount(serviceRequest, fixed)).toBe(120000);
+    expect(EmergencyDispatchService.getBaseAmount(serviceRequest, hourly)).toBe(90000);
+    expect(EmergencyDispatchService.getBaseAmount(buildRequest(), {})).toBe(0);
+  });
+});
+
+describe('EmergencyDispatchService.start', () => {
+  const client = { _id: clientId, role: 'client' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['solicitudes que no son emergencias', { service: { category: 'home_services', urgency: 'high' } }, 'DISPATCH_NOT_EMERGENCY'],
+    ['solicitudes con ventana de cotizaciones', { bidding: { status: 'open' } }, 'DISPATCH_NOT_ALLOWED'],
+    ['solicitudes privadas', { directRequest: { professionalId: new mongoose.Types.ObjectId() } }, 'DISPATCH_NOT_ALLOWED'],
+    ['solicitudes sin coordenadas', { location: {} }, 'DISPATCH_NOT_ALLOWED']
+  ])('rechaza %s', async (label, overrides, code) => {
+    const findOneAndUpdate = jest.spyOn(ServiceRequest, 'findOneAndUpdate');
+
+    await expect(EmergencyDispatchService.start(buildRequest(overrides), client))
+      .rejects.toMatchObject({ statusCode: 409, code });
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('no lanza un segundo despacho si otro ya está en curso', async () => {
+    jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue(null);
+    const advance = jest.spyOn(EmergencyDispatchService, 'advance');
+
+    await expect(EmergencyDispatchService.start(buildRequest(), client))
+      .rejects.toMatchObject({ statusCode: 409, code: 'DISPATCH_IN_PROGRESS' });
+    expect(advance).not.toHaveBeenCalled();
+  });
+});
+
+describe('EmergencyDispatchService.advance', () => {
+  beforeEach(() => {
+    jest.spyOn(EmergencyDispatchService, 'notifyCandidates').mockResolvedValue();
+    jest.spyOn(EmergencyDispatchService, 'emitToClient').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('amplía el radio hasta encontrar candidatos y les ofrece la oleada', async () => {
+    const claimed = buildRequest({ dispatch: { status: 'searching', wave: 1, radiusKm: 0, offers: [] } });
+    const candidate = { professional: { _id: new mongoose.Types.ObjectId() }, userId: new mongoose.Types.ObjectId(), distanceKm: 7.2 };
+    const findOneAndUpdate = jest.spyOn(ServiceRequest, 'findOneAndUpdate')
+      .mockResolvedValueOnce(claimed)
+      .mockImplementationOnce(async (filter, update) => ({ ...claimed, dispatch: { ...claimed.dispatch, offers: update.$push['dispatch.offers'].$each } }));
+    const findCandidates = jest.spyOn(EmergencyDispatchService, 'findCandidates')
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([candidate]);
+
+    const updated = await EmergencyDispatchService.advance(claimed._id, 0);
+
+    expect(findCandidates.mock.calls.map(([, radiusKm]) => radiusKm)).toEqual([
+      EMERGENCY_DISPATCH_CONFIG.initialRadiusKm,
+      EMERGENCY_DISPATCH_CONFIG.initialRadiusKm + EMERGENCY_DISPATCH_CONFIG.radiusStepKm
+    ]);
+    expect(findOneAndUpdate.mock.calls[0][0]).toMatchObject({ 'dispatch.status': 'searching', 'dispatch.wave': 0 });
+    expect(updated.dispatch.offers).toEqual([expect.objectContaining({
+      professionalId: candidate.professional._id,
+      wave: 1,
+      distanceKm: 7.2,
+      status: 'offered'
+    })]);
+    expect(EmergencyDispatchService.notifyCandidates).toHaveBeenCalledWith(updated, [candidate]);
+  });
+
+  it('agota el despacho si no hay candidatos hasta el radio máximo', async () => {
+    const claimed = buildRequest({ dispatch: { status: 'searching', wave: 3, radiusKm: EMERGENCY_DISPATCH_CONFIG.maxRadiusKm - 1, offers: [] } });
+    jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue(claimed);
+    const findCandidates = jest.spyOn(EmergencyDispatchService, 'findCandidates').mockResolvedValue([]);
+    const finish = jest.spyOn(EmergencyDispatchService, 'finish').mockResolvedValue(claimed);
+
+    await EmergencyDispatchService.advance(claimed._id, 2);
+
+    expect(findCandidates).toHaveBeenCalledTimes(1);
+    expect(findCandidates.mock.calls[0][1]).toBe(EMERGENCY_DISPATCH_CONFIG.maxRadiusKm);
+    expect(finish).toHaveBeenCalledWith(claimed._id, 'exhausted');
+  });
+
+  it('no hace nada si otro proceso ya avanzó la oleada', async () => {
+    jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue(null);
+    const findCandidates = jest.spyOn(EmergencyDispatchService, 'findCandidates');
+
+    await expect(EmergencyDispatchService.advance(new mongoose.Types.ObjectId(), 1)).resolves.toBeNull();
+    expect(findCandidates).not.toHaveBeenCalled();
+  });
+});
+
+describe('EmergencyDispatchService.accept', () => {
+  const professionalUser = { _id: new mongoose.Types.ObjectId(), role: 'professional' };
+  const professional = { _id: new mongoose.Types.ObjectId(), availability: { timeZone: 'America/Bogota' }, services: [] };
+
+  const buildOffered = () => buildRequest({
+    dispatch: {
+      status: 'searching',
+      wave: 1,
+      offers: [{ professionalId: professional._id, wave: 1, status: 'offered', expiresAt: new Date(Date.now() + 60000) }]
+    }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Professional, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(professional) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('responde 409 si otro profesional ganó la emergencia', async () => {
+    jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue(null);
+    const transition = jest.spyOn(ServiceRequestStateMachine, 'transition');
+
+    await expect(EmergencyDispatchService.accept(buildOffered(), professionalUser))
+      .rejects.toMatchObject({ statusCode: 409, code: 'DISPATCH_OFFER_UNAVAILABLE' });
+    expect(transition).not.toHaveBeenCalled();
+  });
+
+  it('deshace la asignación si la solicitud no puede confirmarse', async () => {
+    const serviceRequest = buildOffered();
+    jest.spyOn(ServiceRequest, 'findOneAndUpdate').mockResolvedValue({
+      ...serviceRequest,
+      scheduling: {},
+      pricing: { estimatedCost: 100000, breakdown: { additionalCosts: [] } },
+      dispatch: { ...serviceRequest.dispatch, status: 'assigned' }
+    });
+    jest.spyOn(ServiceRequestStateMachine, 'transition').mockRejectedValue(new Error('Horario ocupado'));
+    const revert = jest.spyOn(EmergencyDispatchService, 'revertAssignment').mockResolvedValue();
+    const supersede = jest.spyOn(EmergencyDispatchService, 'supersedeOffers');
+
+    await expect(EmergencyDispatchService.accept(serviceRequest, professionalUser)).rejects.toThrow('Horario ocupado');
+
+    expect(revert).toHaveBeenCalledWith(serviceRequest._id, professional._id);
+    expect(supersede).not.toHaveBeenCalled();
+  });
+
+  it('solo aceptan los profesionales que recibieron oferta', async () => {
+    Professional.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: new mongoose.Types.ObjectId() }) });
+
+    await expect(EmergencyDispatchService.accept(buildOffered(), professionalUser))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
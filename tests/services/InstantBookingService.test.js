@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../../models/ServiceRequest');
+const Payment = require('../../models/Payment');
+const InstantBookingCounter = require('../../models/InstantBookingCounter');
+const InstantBookingService = require('../../services/InstantBookingService');
+const AvailabilityService = require('../../services/AvailabilityService');
+const { paymentService } = require('../../utils/payments');
+
+const professionalUserId = new mongoose.Types.ObjectId();
+const professional = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: { _id: professionalUserId },
+  preferences: { maxInstantBookingsPerWeek: 1 },
+  serviceRadius: 20
+};
+const service = {
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Limpieza general',
+  category: 'cleaning',
+  pricing: { type: 'fixed', amount: 120000, currency: 'COP' },
+  duration: { estimated: 120 }
+};
+const client = { _id: new mongoose.Types.ObjectId() };
+const bookingData = (date = '2026-11-04') => ({
+  professionalId: professional._id,
+  serviceId: service._id,
+  date,
+  time: '10:00',
+  location: { coordinates: [-74.08, 4.6], address: { city: 'Bogotá' } },
+  paymentMethodId: 'pm_card'
+});
+
+// Contador en memoria con la misma semántica atómica que MongoDB ($lt + $inc)
+const mockCounters = () => {
+  const counters = new Map();
+  jest.spyOn(InstantBookingCounter, 'exists').mockImplementation(async ({ _id }) => counters.has(_id));
+  jest.spyOn(InstantBookingCounter, 'ensure').mockImplementation(async (data) => {
+    if (!counters.has(data._id)) counters.set(data._id, data.count);
+  });
+  jest.spyOn(InstantBookingCounter, 'reserve').mockImplementation(async (id, limit) => {
+    if (counters.get(id) >= limit) return false;
+    counters.set(id, counters.get(id) + 1);
+    return true;
+  });
+  jest.spyOn(InstantBookingCounter, 'release').mockImplementation(async (id) => {
+    if (counters.get(id) > 0) counters.set(id, counters.get(id) - 1);
+  });
+  return counters;
+};
+
+describe('InstantBookingService.book', () => {
+  let counters;
+
+  beforeEach(() => {
+    counters = mockCounters();
+    jest.spyOn(ServiceRequest, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(InstantBookingService, 'loadBookable').mockResolvedValue({ professional, service });
+    jest.spyOn(InstantBookingService, 'assertWithinRadius').mockReturnValue(3);
+    jest.spyOn(InstantBookingService, 'notifyProfessional').mockResolvedValue();
+    jest.spyOn(AvailabilityService, 'assertSlotAvailable').mockResolvedValue();
+    jest.spyOn(paymentService, 'calculatePlatformFee').mockReturnValue(6000);
+    jest.spyOn(paymentService, 'chargePayment').mockResolvedValue({
+      success: true,
+      provider: 'stripe',
+      providerPaymentId: 'pi_instant',
+      payment: {}
+    });
+    jest.spyOn(paymentService, 'refundPayment').mockResolvedValue({ success: true, status: 'completed', refund: {} });
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(ServiceRequest.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('confirma la reserva, registra el pago y toma un cupo semanal', async () => {
+    const { serviceRequest, payment } = await InstantBookingService.book(client, bookingData());
+
+    expect(serviceRequest.status).toBe('confirmed');
+    expect(serviceRequest.payment.paymentStatus).toBe('completed');
+    expect(payment.providerPaymentId).toBe('pi_instant');
+    expect(counters.get(`${professional._id}:2026-11-02`)).toBe(1);
+  });
+
+  it('no supera el límite semanal con reservas simultáneas', async () => {
+    const results = await Promise.allSettled([
+      InstantBookingService.book(client, bookingData('2026-11-04')),
+      InstantBookingService.book(client, bookingData('2026-11-05'))
+    ]);
+
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason.code).toBe('INSTANT_BOOKING_WEEKLY_LIMIT');
+    expect(paymentService.chargePayment).toHaveBeenCalledTimes(1);
+  });
+
+  it('cuenta las reservas existentes la primera vez que usa el contador de la semana', async () => {
+    ServiceRequest.countDocuments.mockResolvedValue(1);
+
+    await expect(InstantBookingService.book(client, bookingData()))
+      .rejects.toMatchObject({ code: 'INSTANT_BOOKING_WEEKLY_LIMIT' });
+    expect(paymentService.chargePayment).not.toHaveBeenCalled();
+  });
+
+  it('libera el cupo si el cobro falla', async () => {
+    paymentService.chargePayment.mockResolvedValue({ success: false, error: 'card_declined' });
+
+    await expect(InstantBookingService.book(client, bookingData()))
+      .rejects.toMatchObject({ statusCode: 402, code: 'PAYMENT_FAILED' });
+    expect(counters.get(`${professional._id}:2026-11-02`)).toBe(0);
+  });
+
+  it('reembolsa y no confirma la reserva si no se puede registrar el pago', async () => {
+    Payment.prototype.save.mockRejectedValue(new Error('write conflict'));
+
+    await expect(InstantBookingService.book(client, bookingData())).rejects.toThrow('write conflict');
+
+    expect(paymentService.refundPayment).toHaveBeenCalledWith(expect.objectContaining({
+      providerPaymentId: 'pi_instant',
+      amount: 120000
+    }));
+    expect(ServiceRequest.prototype.save).not.toHaveBeenCalled();
+    expect(counters.get(`${professional._id}:2026-11-02`)).toBe(0);
+  });
+
+  it('reembolsa y marca el pago como reembolsado si la solicitud no se guarda', async () => {
+    ServiceRequest.prototype.save.mockRejectedValue(new Error('validation failed'));
+
+    await expect(InstantBookingService.book(client, bookingData())).rejects.toThrow('validation failed');
+
+    const payment = Payment.prototype.save.mock.contexts.at(-1);
+    expect(payment.refundStatus).toBe('completed');
+    expect(payment.refundAmount).toBe(120000);
+    expect(counters.get(`${professional._id}:2026-11-02`)).toBe(0);
+  });
+});
+
+describe('InstantBookingService weekly slots', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('libera el cupo de una reserva inmediata cancelada', async () => {
+    const release = jest.spyOn(InstantBookingCounter, 'release').mockResolvedValue();
+
+    await InstantBookingService.releaseWeeklySlot({
+      professionalId: professional._id,
+      instantBooking: { bookedAt: new Date() },
+      scheduling: { preferredDate: new Date('2026-11-08T00:00:00Z') }
+    });
+
+    expect(release).toHaveBeenCalledWith(`${professional._id}:2026-11-02`);
+  });
+
+  it('ignora solicitudes que no son reservas inmediatas', async () => {
+    const release = jest.spyOn(InstantBookingCounter, 'release');
+
+    await InstantBookingService.releaseWeeklySlot({ scheduling: { preferredDate: new Date() } });
+
+    expect(release).not.toHaveBeenCalled();
+  });
+
+  it('mueve el cupo al reprogramar a otra semana', async () => {
+    const counters = mockCounters();
+    counters.set(`${professional._id}:2026-11-02`, 1);
+    counters.set(`${professional._id}:2026-11-09`, 0);
+
+    await InstantBookingService.moveWeeklySlot({
+      professionalId: professional._id,
+      instantBooking: { bookedAt: new Date() },
+      scheduling: { preferredDate: new Date('2026-11-10T00:00:00Z') }
+    }, new Date('2026-11-04T00:00:00Z'));
+
+    expect(counters.get(`${professional._id}:2026-11-02`)).toBe(0);
+    expect(counters.get(`${professional._id}:2026-11-09`)).toBe(1);
+  });
+
+  it('no crea el contador de la nueva semana al reprogramar', async () => {
+    const counters = mockCounters();
+    counters.set(`${professional._id}:2026-11-02`, 1);
+
+    await InstantBookingService.moveWeeklySlot({
+      professionalId: professional._id,
+      instantBooking: { bookedAt: new Date() },
+      scheduling: { preferredDate: new Date('2026-11-10T00:00:00Z') }
+    }, new Date('2026-11-04T00:00:00Z'));
+
+    expect(counters.get(`${professional._id}:2026-11-02`)).toBe(0);
+    expect(counters.has(`${professional._id}:2026-11-09`)).toBe(false);
+  });
+
+  it('toma el cupo con una actualización condicionada al límite', async () => {
+    const findOneAndUpdate = jest.spyOn(InstantBookingCounter, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(InstantBookingCounter.reserve('counter', 3)).resolves.toBe(false);
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'counter', count: { $lt: 3 } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+  });
+});
@@ -0,0 +1,126 @@
+const JobLock = require('../../models/JobLock');
+const JobRun = require('../../models/JobRun');
+const JobScheduler = require('../../services/JobScheduler');
+const { getJobConfig } = require('../../config/jobs');
+
+describe('JobLock', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adquiere el bloqueo solo si no existe o ya venció', async () => {
+    const findOneAndUpdate = jest.spyOn(JobLock, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(JobLock.acquire('quote_expiry', 'instancia-a', 60000)).resolves.toBe(true);
+
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: 'quote_expiry', expiresAt: { $lte: expect.any(Date) } });
+    expect(update.$set.owner).toBe('instancia-a');
+    expect(update.$set.expiresAt - update.$set.lockedAt).toBe(60000);
+    expect(options).toEqual({ upsert: true });
+  });
+
+  it('no adquiere un bloqueo vigente de otra instancia', async () => {
+    jest.spyOn(JobLock, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(JobLock.acquire('quote_expiry', 'instancia-b', 60000)).resolves.toBe(false);
+  });
+
+  it('propaga otros errores de la base de datos', async () => {
+    jest.spyOn(JobLock, 'findOneAndUpdate').mockRejectedValue(new Error('sin conexión'));
+
+    await expect(JobLock.acquire('quote_expiry', 'instancia-b', 60000)).rejects.toThrow('sin conexión');
+  });
+
+  it('solo libera el bloqueo de la misma instancia', async () => {
+    const deleteOne = jest.spyOn(JobLock, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    await JobLock.release('quote_expiry', 'instancia-a');
+
+    expect(deleteOne).toHaveBeenCalledWith({ _id: 'quote_expiry', owner: 'instancia-a' });
+  });
+});
+
+describe('JobScheduler', () => {
+  const job = getJobConfig('quote_expiry');
+  const buildRun = () => ({ _id: 'run-1', startedAt: new Date(), save: jest.fn().mockResolvedValue() });
+
+  beforeEach(() => {
+    jest.spyOn(JobLock, 'acquire').mockResolvedValue(true);
+    jest.spyOn(JobLock, 'release').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(JobRun, 'create').mockImplementation(async () => buildRun());
+  });
+
+  afterEach(() => {
+    JobScheduler.running.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('ejecuta la tarea, guarda el resultado y libera el bloqueo', async () => {
+    jest.spyOn(JobScheduler.handlers, 'quote_expiry').mockResolvedValue({ expired: 2 });
+
+    const run = await JobScheduler.begin(job, 'manual');
+    await JobScheduler.execute(job, run);
+
+    expect(JobLock.acquire).toHaveBeenCalledWith('quote_expiry', JobScheduler.instanceId, job.lockTtlMs);
+    expect(run).toMatchObject({ status: 'succeeded', result: { expired: 2 } });
+    expect(run.save).toHaveBeenCalled();
+    expect(JobLock.release).toHaveBeenCalledWith('quote_expiry', JobScheduler.instanceId);
+    expect(JobScheduler.running.has('quote_expiry')).toBe(false);
+  });
+
+  it('registra el fallo de la tarea y también libera el bloqueo', async () => {
+    jest.spyOn(JobScheduler.handlers, 'quote_expiry').mockRejectedValue(new Error('boom'));
+
+    const run = await JobScheduler.execute(job, await JobScheduler.begin(job, 'manual'));
+
+    expect(run.status).toBe('failed');
+    expect(run.error.message).toBe('boom');
+    expect(JobLock.release).toHaveBeenCalled();
+  });
+
+  it('rechaza ejecuciones simultáneas en la misma instancia', async () => {
+    await JobScheduler.begin(job, 'manual');
+
+    await expect(JobScheduler.begin(job, 'manual')).rejects.toMatchObject({ statusCode: 409, code: 'JOB_RUNNING' });
+    expect(JobLock.acquire).toHaveBeenCalledTimes(1);
+  });
+
+  it('rechaza la ejecución si otra instancia tiene el bloqueo', async () => {
+    JobLock.acquire.mockResolvedValue(false);
+
+    await expect(JobScheduler.begin(job, 'manual')).rejects.toMatchObject({ code: 'JOB_LOCKED' });
+    expect(JobRun.create).not.toHaveBeenCalled();
+  });
+
+  it('libera el bloqueo si no se pudo registrar la ejecución', async () => {
+    JobRun.create.mockRejectedValue(new Error('sin conexión'));
+
+    await expect(JobScheduler.begin(job, 'manual')).rejects.toThrow('sin conexión');
+    expect(JobLock.release).toHaveBeenCalled();
+    expect(JobScheduler.running.has('quote_expiry')).toBe(false);
+  });
+
+  it('omite en silencio las ejecuciones programadas bloqueadas', async () => {
+    JobLock.acquire.mockResolvedValue(false);
+    const handler = jest.spyOn(JobScheduler.handlers, 'quote_expiry');
+
+    await expect(JobScheduler.runScheduled('quote_expiry')).resolves.toBeUndefined();
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
+
+describe('getJobConfig', () => {
+  afterEach(() => {
+    delete process.env.JOB_CALENDAR_IMPORT_SYNC_CRON;
+    delete process.env.JOB_CALENDAR_IMPORT_SYNC_ENABLED;
+  });
+
+  it('aplica los overrides JOB_<NOMBRE>_CRON y JOB_<NOMBRE>_ENABLED', () => {
+    process.env.JOB_CALENDAR_IMPORT_SYNC_CRON = '0 * * * *';
+    process.env.JOB_CALENDAR_IMPORT_SYNC_ENABLED = 'false';
+
+    expect(getJobConfig('calendar_import_sync')).toMatchObject({ cron: '0 * * * *', enabled: false });
+    expect(getJobConfig('desconocida')).toBeNull();
+  });
+});
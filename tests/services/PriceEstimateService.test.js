@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../../models/ServiceRequest');
+const PriceEstimate = require('../../models/PriceEstimate');
+const PriceEstimateService = require('../../services/PriceEstimateService');
+const ServiceCategoryService = require('../../services/ServiceCategoryService');
+
+const completed = (finalCost, overrides = {}) => ({
+  service: { category: 'home_services', subcategory: 'plumbing', urgency: 'medium', ...overrides.service },
+  location: { address: { city: 'Bogotá' } },
+  pricing: { finalCost },
+  scheduling: {
+    actualStartTime: new Date('2026-01-10T14:00:00Z'),
+    actualEndTime: new Date('2026-01-10T15:00:00Z'),
+    ...overrides.scheduling
+  }
+});
+
+const mockCursor = (requests) => jest.spyOn(ServiceRequest, 'find').mockReturnValue({
+  select: () => ({ lean: () => ({ cursor: () => requests }) })
+});
+
+describe('PriceEstimateService.recompute', () => {
+  beforeEach(() => {
+    jest.spyOn(PriceEstimate, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(PriceEstimate, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getGroup = (subcategory, city) => PriceEstimate.bulkWrite.mock.calls[0][0]
+    .map(operation => operation.updateOne)
+    .find(operation => operation.filter.subcategory === subcategory && operation.filter.city === city);
+
+  it('calcula percentiles interpolados de la tarifa por hora', async () => {
+    mockCursor([40000, 10000, 30000, 20000].map(cost => completed(cost)));
+
+    await PriceEstimateService.recompute(new Date('2026-02-01T00:00:00Z'));
+
+    expect(getGroup(null, null).update.$set).toMatchObject({
+      sampleCount: 4,
+      hourlyRate: { p25: 17500, median: 25000, p75: 32500 },
+      medianDurationMinutes: 60
+    });
+  });
+
+  it('normaliza cada muestra por duración y urgencia', async () => {
+    mockCursor([
+      completed(120000, { service: { urgency: 'high' } }),
+      completed(200000, {
+        scheduling: { actualStartTime: new Date('2026-01-10T14:00:00Z'), actualEndTime: new Date('2026-01-10T16:00:00Z') }
+      })
+    ]);
+
+    await PriceEstimateService.recompute(new Date('2026-02-01T00:00:00Z'));
+
+    expect(getGroup(null, null).update.$set.hourlyRate).toEqual({ p25: 100000, median: 100000, p75: 100000 });
+    expect(getGroup(null, null).update.$set.medianDurationMinutes).toBe(90);
+  });
+
+  it('agrupa por categoría, subcategoría y ciudad normalizadas', async () => {
+    mockCursor([completed(50000, { service: { subcategory: ' Plumbing ' } })]);
+
+    await PriceEstimateService.recompute(new Date('2026-02-01T00:00:00Z'));
+
+    const filters = PriceEstimate.bulkWrite.mock.calls[0][0].map(operation => operation.updateOne.filter);
+    expect(filters).toEqual([
+      { category: 'home_services', subcategory: null, city: null, currency: 'COP' },
+      { category: 'home_services', subcategory: 'plumbing', city: null, currency: 'COP' },
+      { category: 'home_services', subcategory: null, city: 'bogota', currency: 'COP' },
+      { category: 'home_services', subcategory: 'plumbing', city: 'bogota', currency: 'COP' }
+    ]);
+  });
+});
+
+describe('PriceEstimateService.estimate', () => {
+  const homeId = new mongoose.Types.ObjectId();
+  const estimate = (subcategory, city, sampleCount, median) => ({
+    category: 'home_services',
+    subcategory,
+    city,
+    sampleCount,
+    hourlyRate: { p25: median * 0.8, median, p75: median * 1.2 },
+    medianDurationMinutes: 120
+  });
+
+  beforeEach(() => {
+    PriceEstimateService.cache.clear();
+    jest.spyOn(ServiceCategoryService, 'getAll').mockResolvedValue([
+      { _id: homeId, slug: 'home_services', parent: null, isActive: true, pricingHint: { min: 60000, max: 250000, unit: 'service' } },
+      { _id: new mongoose.Types.ObjectId(), slug: 'cleaning', parent: null, isActive: true, pricingHint: { min: 25000, max: 45000, unit: 'hour' } }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockEstimates = (estimates) => jest.spyOn(PriceEstimate, 'find').mockReturnValue({ lean: () => Promise.resolve(estimates) });
+
+  it('usa el grupo más específico con suficientes muestras', async () => {
+    mockEstimates([
+      estimate('plumbing', 'bogota', 2, 90000),
+      estimate('plumbing', null, 8, 50000),
+      estimate(null, null, 40, 30000)
+    ]);
+
+    const result = await PriceEstimateService.estimate({ category: 'home_services', subcategory: 'plumbing', city: 'Bogotá' });
+
+    expect(result).toMatchObject({
+      range: { p25: 80000, median: 100000, p75: 120000 },
+      durationMinutes: 120,
+      sampleCount: 8,
+      source: 'historical',
+      basedOn: { subcategory: true, city: false }
+    });
+  });
+
+  it('escala el rango con la duración pedida y la urgencia', async () => {
+    mockEstimates([estimate(null, null, 40, 30000)]);
+
+    const result = await PriceEstimateService.estimate({ category: 'home_services', duration: 3, urgency: 'emergency' });
+
+    expect(result.range).toEqual({ p25: 108000, median: 135000, p75: 162000 });
+  });
+
+  it('usa el precio sugerido de la categoría si no hay muestras suficientes', async () => {
+    mockEstimates([estimate(null, null, 3, 30000)]);
+
+    const perService = await PriceEstimateService.estimate({ category: 'home_services', duration: 3 });
+    const perHour = await PriceEstimateService.estimate({ category: 'cleaning', duration: 2 });
+
+    expect(perService).toMatchObject({ range: { p25: 60000, median: 155000, p75: 250000 }, sampleCount: 3, source: 'category_default' });
+    expect(perHour.range).toEqual({ p25: 50000, median: 70000, p75: 90000 });
+  });
+
+  it('rechaza categorías inexistentes', async () => {
+    await expect(PriceEstimateService.estimate({ category: 'plumbing' }))
+      .rejects.toMatchObject({ statusCode: 404, code: 'SERVICE_CATEGORY_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,94 @@
+const Professional = require('../../models/Professional');
+const ProfessionalSearchService = require('../../services/ProfessionalSearchService');
+
+const FILTERS = {
+  category: 'home_services',
+  subcategory: 'plumbing',
+  priceRange: '50k_100k',
+  maxPrice: 80000,
+  minRating: 4,
+  verifiedOnly: true,
+  subscriptionPlans: ['premium']
+};
+
+describe('ProfessionalSearchService facetas', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('combina el rango de precio y el precio máximo en el mismo servicio', () => {
+    expect(ProfessionalSearchService.buildServiceMatch(FILTERS)).toEqual({
+      isActive: true,
+      category: 'home_services',
+      subcategory: 'plumbing',
+      'pricing.amount': { $lte: 80000, $gte: 50000, $lt: 100000 }
+    });
+  });
+
+  it('cada faceta ignora su propio filtro y respeta los demás', () => {
+    const [categoryMatch] = ProfessionalSearchService.buildFacetStages('category', FILTERS);
+    const [priceMatch] = ProfessionalSearchService.buildFacetStages('priceRange', FILTERS);
+    const [ratingMatch] = ProfessionalSearchService.buildFacetStages('rating', FILTERS);
+
+    expect(categoryMatch.$match.services.$elemMatch).not.toHaveProperty('category');
+    expect(categoryMatch.$match.services.$elemMatch).toHaveProperty('subcategory', 'plumbing');
+    expect(categoryMatch.$match).toMatchObject({ 'rating.average': { $gte: 4 }, 'verification.status': 'verified' });
+
+    expect(priceMatch.$match.services.$elemMatch).not.toHaveProperty(['pricing.amount']);
+    expect(priceMatch.$match.services.$elemMatch).toHaveProperty('category', 'home_services');
+
+    expect(ratingMatch.$match).not.toHaveProperty(['rating.average']);
+    expect(ratingMatch.$match).toHaveProperty(['subscription.plan'], { $in: ['premium'] });
+  });
+
+  it('cuenta cada profesional una vez por valor en las facetas de servicios', () => {
+    const stages = ProfessionalSearchService.buildFacetStages('subcategory', FILTERS);
+
+    expect(stages.slice(1)).toEqual([
+      { $unwind: '$services' },
+      {
+        $match: {
+          'services.isActive': true,
+          'services.category': 'home_services',
+          'services.pricing.amount': { $lte: 80000, $gte: 50000, $lt: 100000 }
+        }
+      },
+      { $group: { _id: { professional: '$_id', value: '$services.subcategory' } } },
+      { $match: { '_id.value': { $ne: null } } },
+      { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+  });
+
+  it('completa con cero los rangos, bandas y opciones sin resultados', () => {
+    expect(ProfessionalSearchService.formatFacet('priceRange', [{ _id: '50k_100k', count: 3 }]))
+      .toEqual([
+        { value: 'under_50k', min: 0, max: 50000, count: 0 },
+        { value: '50k_100k', min: 50000, max: 100000, count: 3 },
+        { value: '100k_200k', min: 100000, max: 200000, count: 0 },
+        { value: '200k_500k', min: 200000, max: 500000, count: 0 },
+        { value: 'over_500k', min: 500000, max: null, count: 0 }
+      ]);
+    expect(ProfessionalSearchService.formatFacet('rating', [{ _id: null, band0: 2, band1: 5, band2: 7 }]))
+      .toEqual([{ value: 4.5, count: 2 }, { value: 4, count: 5 }, { value: 3, count: 7 }]);
+    expect(ProfessionalSearchService.formatFacet('weekendWork', [{ _id: true, count: 4 }]))
+      .toEqual([{ value: true, count: 4 }, { value: false, count: 0 }]);
+    expect(ProfessionalSearchService.formatFacet('category', undefined)).toEqual([]);
+  });
+
+  it('calcula todas las facetas en una agregación sobre la consulta base', async () => {
+    const aggregate = jest.spyOn(Professional, 'aggregate').mockResolvedValue([{
+      category: [{ _id: 'home_services', count: 6 }],
+      verification: [{ _id: 'verified', count: 4 }, { _id: 'pending', count: 2 }]
+    }]);
+
+    const facets = await ProfessionalSearchService.getFacets({ ...FILTERS, q: 'fuga' }, ['u1']);
+
+    const [baseMatch, facetStage] = aggregate.mock.calls[0][0];
+    expect(baseMatch.$match).toEqual({ isActive: true, $text: { $search: 'fuga' }, userId: { $in: ['u1'] } });
+    expect(Object.keys(facetStage.$facet)).toEqual(Object.keys(facets));
+    expect(facets.category).toEqual([{ value: 'home_services', count: 6 }]);
+    expect(facets.verification).toEqual([{ value: 'verified', count: 4 }, { value: 'pending', count: 2 }]);
+    expect(facets.subscription).toEqual([]);
+  });
+});
@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const Quote = require('../../models/Quote');
+const Professional = require('../../models/Professional');
+const User = require('../../models/User');
+const QuoteService = require('../../services/QuoteService');
+const ServiceRequestStateMachine = require('../../services/ServiceRequestStateMachine');
+
+const clientUser = { _id: new mongoose.Types.ObjectId(), role: 'client' };
+
+const buildQuote = (overrides = {}) => Quote.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  serviceRequestId: new mongoose.Types.ObjectId(),
+  clientId: clientUser._id,
+  professionalId: new mongoose.Types.ObjectId(),
+  status: 'sent',
+  version: 2,
+  price: 120000,
+  versions: [],
+  statusHistory: [],
+  ...overrides
+});
+
+const buildRequest = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'quoted',
+  pricing: {},
+  scheduling: {},
+  ...overrides
+});
+
+describe('QuoteService.accept', () => {
+  beforeEach(() => {
+    jest.spyOn(ServiceRequestStateMachine, 'transition').mockImplementation(async serviceRequest => serviceRequest);
+    jest.spyOn(Quote, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    jest.spyOn(Quote, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Quote, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(QuoteService, 'getProfessionalUserId').mockResolvedValue(new mongoose.Types.ObjectId());
+    jest.spyOn(QuoteService, 'notify').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reclama la cotización con su estado y versión y rechaza las demás abiertas', async () => {
+    const quote = buildQuote();
+    const other = { _id: new mongoose.Types.ObjectId(), professionalId: new mongoose.Types.ObjectId() };
+    const serviceRequest = buildRequest();
+    jest.spyOn(Quote, 'findOneAndUpdate').mockResolvedValue(quote);
+    Quote.find.mockReturnValue({ select: jest.fn().mockResolvedValue([other]) });
+
+    await QuoteService.accept(quote, clientUser, serviceRequest);
+
+    expect(Quote.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: quote._id, status: 'sent', version: 2 });
+    expect(serviceRequest).toMatchObject({
+      professionalId: quote.professionalId,
+      acceptedQuoteId: quote._id,
+      pricing: { quotedCost: 120000 }
+    });
+    expect(ServiceRequestStateMachine.transition).toHaveBeenCalledWith(serviceRequest, 'accept', { user: clientUser, role: 'system' });
+    expect(Quote.updateMany.mock.calls[0][0]).toEqual({
+      _id: { $in: [other._id] },
+      status: { $in: ['sent', 'countered', 'revised'] }
+    });
+  });
+
+  it('responde 409 si otra cotización de la solicitud ganó la carrera', async () => {
+    jest.spyOn(Quote, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(QuoteService.accept(buildQuote(), clientUser, buildRequest()))
+      .rejects.toMatchObject({ statusCode: 409, code: 'QUOTE_ALREADY_ACCEPTED' });
+    expect(ServiceRequestStateMachine.transition).not.toHaveBeenCalled();
+  });
+
+  it('responde 409 si la cotización cambió de versión antes de aceptarla', async () => {
+    jest.spyOn(Quote, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(QuoteService.accept(buildQuote(), clientUser, buildRequest()))
+      .rejects.toMatchObject({ statusCode: 409, code: 'QUOTE_CHANGED' });
+    expect(ServiceRequestStateMachine.transition).not.toHaveBeenCalled();
+  });
+
+  it('revierte la aceptación si la solicitud no puede pasar a aceptada', async () => {
+    const quote = buildQuote({ status: 'revised' });
+    jest.spyOn(Quote, 'findOneAndUpdate').mockResolvedValue(quote);
+    ServiceRequestStateMachine.transition.mockRejectedValue(new Error('transición inválida'));
+
+    await expect(QuoteService.accept(quote, clientUser, buildRequest())).rejects.toThrow('transición inválida');
+
+    expect(Quote.updateOne).toHaveBeenCalledWith(
+      { _id: quote._id, status: 'accepted' },
+      { $set: { status: 'revised' }, $unset: { acceptedAt: 1 }, $pop: { statusHistory: 1 } }
+    );
+    expect(Quote.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('no acepta cotizaciones de solicitudes que ya no están cotizadas', async () => {
+    const findOneAndUpdate = jest.spyOn(Quote, 'findOneAndUpdate');
+
+    await expect(QuoteService.accept(buildQuote(), clientUser, buildRequest({ status: 'accepted' })))
+      .rejects.toMatchObject({ code: 'SERVICE_REQUEST_NOT_QUOTABLE' });
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('solo el cliente de la solicitud puede aceptar', async () => {
+    const stranger = { _id: new mongoose.Types.ObjectId(), role: 'client' };
+
+    await expect(QuoteService.accept(buildQuote(), stranger, buildRequest()))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('el índice único impide dos cotizaciones aceptadas en la misma solicitud', () => {
+    const index = Quote.schema.indexes().find(([fields]) => fields.serviceRequestId === 1 && Object.keys(fields).length === 1);
+
+    expect(index[1]).toMatchObject({ unique: true, partialFilterExpression: { status: 'accepted' } });
+  });
+});
+
+describe('Quote helpers', () => {
+  const professionalUser = new mongoose.Types.ObjectId();
+
+  it('addVersion refleja la última versión en los campos de primer nivel', () => {
+    const quote = buildQuote({ version: 1, price: 100000 });
+    const availableDate = new Date('2026-07-01T00:00:00Z');
+
+    const version = quote.addVersion({ author: 'professional', createdBy: professionalUser, price: 90000, availableDate, availableTime: '08:00' });
+
+    expect(version.version).toBe(1);
+    expect(quote).toMatchObject({ version: 1, price: 90000, availableDate, availableTime: '08:00' });
+  });
+
+  it('la última oferta ignora las contraofertas del cliente', () => {
+    const quote = buildQuote();
+    quote.addVersion({ author: 'professional', createdBy: professionalUser, price: 150000 });
+    quote.addVersion({ author: 'client', createdBy: clientUser._id, price: 120000 });
+
+    expect(quote.price).toBe(120000);
+    expect(quote.getLatestOffer()).toMatchObject({ version: 1, price: 150000 });
+  });
+
+  it('getPriceBreakdown separa materiales, transporte y mano de obra', () => {
+    const quote = buildQuote();
+    quote.addVersion({
+      author: 'professional',
+      createdBy: professionalUser,
+      price: 200000,
+      materials: [{ name: 'Tubo PVC', quantity: 4, unitPrice: 15000 }, { name: 'Codo', quantity: 2, unitPrice: 5000 }],
+      transportCost: 20000
+    });
+
+    expect(quote.getPriceBreakdown()).toEqual({ labor: 110000, materials: 70000, transport: 20000, total: 200000 });
+    expect(buildQuote().getPriceBreakdown()).toEqual({ labor: 0, materials: 0, transport: 0, total: 0 });
+  });
+});
+
+describe('QuoteService.compare', () => {
+  // Cotización con el profesional poblado como la consulta de compare()
+  const buildOffer = ({ price, availableDate, rating, coordinates }) => {
+    const quote = buildQuote({ status: 'sent' });
+    quote.addVersion({ author: 'professional', createdBy: new mongoose.Types.ObjectId(), price, availableDate });
+    const professional = Professional.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      businessInfo: { businessName: `Profesional ${price}` },
+      rating: { average: rating, count: 10 }
+    });
+    professional.userId = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      profile: { firstName: 'Luis', lastName: 'Pérez', address: { coordinates } }
+    });
+    quote.professionalId = professional;
+    return quote;
+  };
+
+  const serviceRequest = buildRequest({ clientId: clientUser._id, location: { coordinates: [-74.08, 4.6] } });
+
+  const mockQuotes = (quotes) => jest.spyOn(Quote, 'find')
+    .mockReturnValue({ populate: jest.fn().mockResolvedValue(quotes) });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('puntúa cada criterio entre el peor y el mejor valor y destaca los mejores', async () => {
+    const cheap = buildOffer({ price: 100000, availableDate: new Date('2026-07-02'), rating: 3.5, coordinates: [-74.08, 4.6] });
+    const expensive = buildOffer({ price: 200000, availableDate: new Date('2026-07-10'), rating: 4.9, coordinates: [-74.2, 4.7] });
+    mockQuotes([expensive, cheap]);
+
+    const result = await QuoteService.compare(serviceRequest, clientUser);
+
+    // cheap: precio 0.4 + fecha 0.2 + distancia 0.1; expensive: calificación 0.3
+    expect(result.quotes.map(entry => [String(entry.quoteId), entry.score]))
+      .toEqual([[String(cheap._id), 70], [String(expensive._id), 30]]);
+    expect(result.quotes[0].price).toEqual({ labor: 100000, materials: 0, transport: 0, total: 100000 });
+    expect(result.highlights).toEqual({ cheapest: cheap._id, soonest: cheap._id, bestRated: expensive._id });
+  });
+
+  it('usa los pesos del cliente y permite ordenar por un criterio', async () => {
+    const cheap = buildOffer({ price: 100000, availableDate: null, rating: 3.5, coordinates: [-74.08, 4.6] });
+    const expensive = buildOffer({ price: 200000, availableDate: new Date('2026-07-02'), rating: 4.9, coordinates: [-74.2, 4.7] });
+    mockQuotes([cheap, expensive]);
+
+    const byRating = await QuoteService.compare(serviceRequest, clientUser, { weights: { price: 0, rating: 1 } });
+    expect(byRating.weights).toMatchObject({ price: 0, rating: 1, availability: 0.2, distance: 0.1 });
+    expect(String(byRating.quotes[0].quoteId)).toBe(String(expensive._id));
+
+    const byAvailability = await QuoteService.compare(serviceRequest, clientUser, { sortBy: 'availability' });
+    // Las cotizaciones sin fecha van al final
+    expect(byAvailability.quotes.map(entry => String(entry.quoteId))).toEqual([String(expensive._id), String(cheap._id)]);
+  });
+
+  it('solo el cliente o un administrador pueden comparar', async () => {
+    const find = mockQuotes([]);
+    const stranger = { _id: new mongoose.Types.ObjectId(), role: 'client' };
+
+    await expect(QuoteService.compare(serviceRequest, stranger)).rejects.toMatchObject({ statusCode: 403 });
+    expect(find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../../models/ServiceRequest');
+const RankingSettings = require('../../models/RankingSettings');
+const RankingService = require('../../services/RankingService');
+const { DEFAULT_RANKING_WEIGHTS } = require('../../config/ranking');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-05-01T12:00:00Z');
+
+const buildProfessional = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: { _id: new mongoose.Types.ObjectId(), profile: { address: { coordinates: [-74.08, 4.6] } } },
+  rating: { average: 4.8, count: 40 },
+  statistics: { totalServices: 50, completionRate: 96, averageResponseTime: 30 },
+  services: [{ category: 'home_services', subcategory: 'plumbing', isActive: true, pricing: { amount: 100000 } }],
+  subscription: { plan: 'basic', isActive: true },
+  createdAt: new Date(now.getTime() - 365 * DAY_MS),
+  ...overrides
+});
+
+// RankingSettings.findById(...).lean()
+const mockSettings = (weights) => jest.spyOn(RankingSettings, 'findById')
+  .mockReturnValue({ lean: jest.fn().mockResolvedValue(weights ? { weights } : null) });
+
+describe('RankingService.scoreFactors', () => {
+  const context = { now, cancellations: new Map() };
+
+  it('acerca al promedio asumido las calificaciones con pocas reseñas', () => {
+    const newcomer = RankingService.scoreFactors(buildProfessional({ rating: { average: 5, count: 1 } }), context);
+    const veteran = RankingService.scoreFactors(buildProfessional({ rating: { average: 4.8, count: 200 } }), context);
+
+    expect(newcomer.factors.rating.value).toBeCloseTo((3.5 * 10 + 5) / 11, 2);
+    expect(veteran.factors.rating.score).toBeGreaterThan(newcomer.factors.rating.score);
+  });
+
+  it('puntúa la distancia dentro del radio y usa un puntaje neutro sin ubicación', () => {
+    const near = RankingService.scoreFactors(buildProfessional(), { ...context, coordinates: [-74.08, 4.6], radiusKm: 10 });
+    const unknown = RankingService.scoreFactors(buildProfessional(), context);
+
+    expect(near.distanceKm).toBe(0);
+    expect(near.factors.distance.score).toBe(1);
+    expect(unknown.factors.distance).toEqual({ value: null, score: 0.5 });
+  });
+
+  it('penaliza precios sobre el presupuesto hasta la tolerancia', () => {
+    const score = (budget) => RankingService.scoreFactors(buildProfessional(), { ...context, budget, category: 'home_services' })
+      .factors.priceFit.score;
+
+    expect(score(120000)).toBe(1);
+    expect(score(80000)).toBeCloseTo(0.5);
+    expect(score(50000)).toBe(0);
+    expect(score(undefined)).toBe(0.5);
+  });
+
+  it('descuenta las cancelaciones recientes y no premia suscripciones vencidas', () => {
+    const professional = buildProfessional({ subscription: { plan: 'enterprise', endDate: new Date(now.getTime() - DAY_MS) } });
+    const { factors } = RankingService.scoreFactors(professional, {
+      now,
+      cancellations: new Map([[professional._id.toString(), 2]])
+    });
+
+    expect(factors.cancellations).toEqual({ value: 2, score: 0.6 });
+    expect(factors.subscription).toEqual({ value: null, score: 0 });
+  });
+
+  it('da exposición a los profesionales nuevos o con pocos servicios', () => {
+    const recent = buildProfessional({ createdAt: new Date(now.getTime() - 15 * DAY_MS) });
+    const fewServices = buildProfessional({ statistics: { totalServices: 1 } });
+
+    expect(RankingService.scoreFactors(recent, context).factors.fairness.score).toBeCloseTo(0.75);
+    expect(RankingService.scoreFactors(fewServices, context).factors.fairness.score).toBeCloseTo(0.8);
+    expect(RankingService.scoreFactors(buildProfessional(), context).factors.fairness.score).toBe(0);
+  });
+});
+
+describe('RankingService.rank', () => {
+  beforeEach(() => {
+    RankingService.cachedWeights = null;
+    jest.spyOn(ServiceRequest, 'aggregate').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ordena por el puntaje ponderado con los pesos guardados', async () => {
+    mockSettings({ distance: 0, rating: 1, completionRate: 0, responseTime: 0, cancellations: 0, priceFit: 0, subscription: 0, fairness: 0 });
+    const best = buildProfessional({ rating: { average: 4.9, count: 300 } });
+    const worse = buildProfessional({ rating: { average: 3, count: 300 } });
+
+    const ranked = await RankingService.rank([worse, best]);
+
+    expect(ranked.map(result => result.professional)).toEqual([best, worse]);
+    expect(ranked[0].breakdown.rating.weight).toBe(1);
+    expect(ranked[0].breakdown.distance).toMatchObject({ weight: 0, contribution: 0 });
+    expect(ranked[0].score).toBeCloseTo(ranked[0].breakdown.rating.score, 3);
+  });
+
+  it('usa los pesos por defecto sin configuración y los guarda en memoria', async () => {
+    const findById = mockSettings(null);
+
+    await expect(RankingService.getWeights()).resolves.toEqual(DEFAULT_RANKING_WEIGHTS);
+    await RankingService.getWeights();
+
+    expect(findById).toHaveBeenCalledTimes(1);
+  });
+
+  it('cuenta solo las cancelaciones hechas por el propio profesional', async () => {
+    const professional = buildProfessional();
+
+    await RankingService.getRecentCancellations([professional], now);
+
+    const [{ $match }] = ServiceRequest.aggregate.mock.calls[0][0];
+    expect($match).toMatchObject({
+      status: 'cancelled',
+      'cancellation.cancelledBy': { $in: [professional.userId._id] },
+      'cancellation.cancelledAt': { $gte: new Date(now.getTime() - 90 * DAY_MS) }
+    });
+  });
+
+  it('rechaza pesos que dejan todos los factores en cero', async () => {
+    mockSettings(null);
+    const update = jest.spyOn(RankingSettings, 'findOneAndUpdate');
+    const zero = Object.keys(DEFAULT_RANKING_WEIGHTS).reduce((weights, factor) => ({ ...weights, [factor]: 0 }), {});
+
+    await expect(RankingService.updateWeights(zero, { _id: new mongoose.Types.ObjectId() }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_RANKING_WEIGHTS' });
+    expect(update).not.toHaveBeenCalled();
+  });
+});
+
+describe('RankingService.sort', () => {
+  it('reordena por precio dejando al final los profesionales sin precio', () => {
+    const ranked = [
+      { score: 0.9, price: null, professional: {} },
+      { score: 0.5, price: 80000, professional: {} },
+      { score: 0.7, price: 60000, professional: {} }
+    ];
+
+    expect(RankingService.sort(ranked, 'price').map(result => result.price)).toEqual([60000, 80000, null]);
+    expect(RankingService.sort(ranked, 'unknown').map(result => result.price)).toEqual([60000, 80000, null]);
+  });
+});
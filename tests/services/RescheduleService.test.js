@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../../models/ServiceRequest');
+const RescheduleService = require('../../services/RescheduleService');
+const AvailabilityService = require('../../services/AvailabilityService');
+const InstantBookingService = require('../../services/InstantBookingService');
+const NotificationService = require('../../services/NotificationService');
+const ServiceRequestStateMachine = require('../../services/ServiceRequestStateMachine');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const clientId = new mongoose.Types.ObjectId();
+const professionalUserId = new mongoose.Types.ObjectId();
+const client = { _id: clientId, role: 'client' };
+const professionalUser = { _id: professionalUserId, role: 'professional' };
+
+const buildRequest = (proposalOverrides = {}) => ServiceRequest.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  clientId,
+  professionalId: new mongoose.Types.ObjectId(),
+  status: 'confirmed',
+  service: { title: 'Mantenimiento de aire acondicionado' },
+  scheduling: { preferredDate: new Date('2026-06-10T00:00:00Z'), preferredTime: '10:00' },
+  statusHistory: [],
+  rescheduleProposals: [{
+    _id: new mongoose.Types.ObjectId(),
+    proposedBy: professionalUserId,
+    proposerRole: 'professional',
+    status: 'pending',
+    reason: 'Repuesto retrasado',
+    options: [
+      { _id: new mongoose.Types.ObjectId(), preferredDate: new Date('2026-06-12T00:00:00Z'), preferredTime: '08:00' },
+      { _id: new mongoose.Types.ObjectId(), preferredDate: new Date('2026-06-13T00:00:00Z'), preferredTime: '15:30' }
+    ],
+    expiresAt: new Date(Date.now() + 24 * HOUR_MS),
+    ...proposalOverrides
+  }]
+});
+
+describe('RescheduleService', () => {
+  beforeEach(() => {
+    jest.spyOn(ServiceRequest.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(ServiceRequestStateMachine, 'getActorRole')
+      .mockImplementation(async (serviceRequest, user) => (user.role === 'client' ? 'client' : 'professional'));
+    jest.spyOn(RescheduleService, 'announce').mockResolvedValue();
+    jest.spyOn(RescheduleService, 'notifyCounterpart').mockResolvedValue();
+    jest.spyOn(InstantBookingService, 'moveWeeklySlot').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('expireProposals', () => {
+    it('vence solo las propuestas pendientes con plazo cumplido', () => {
+      const serviceRequest = buildRequest({ expiresAt: new Date(Date.now() - HOUR_MS) });
+      serviceRequest.rescheduleProposals.push({
+        proposedBy: clientId,
+        proposerRole: 'client',
+        status: 'pending',
+        reason: 'Viaje',
+        options: [{ preferredDate: new Date('2026-06-20T00:00:00Z'), preferredTime: '09:00' }],
+        expiresAt: new Date(Date.now() + HOUR_MS)
+      });
+
+      const expired = RescheduleService.expireProposals(serviceRequest);
+
+      expect(expired).toHaveLength(1);
+      expect(serviceRequest.rescheduleProposals.map(proposal => proposal.status)).toEqual(['expired', 'pending']);
+      expect(serviceRequest.statusHistory[0]).toMatchObject({
+        status: 'confirmed',
+        reason: 'reschedule_expired',
+        updatedBy: professionalUserId
+      });
+    });
+  });
+
+  describe('accept', () => {
+    it('mueve el servicio a la opción elegida tras revalidar la agenda', async () => {
+      const checkSlot = jest.spyOn(AvailabilityService, 'checkSlot').mockResolvedValue({ available: true, reasons: [] });
+      const serviceRequest = buildRequest();
+      const [proposal] = serviceRequest.rescheduleProposals;
+      const option = proposal.options[1];
+
+      const accepted = await RescheduleService.accept(serviceRequest, proposal._id, client, { optionId: option._id });
+
+      expect(accepted).toMatchObject({ status: 'accepted', acceptedOptionId: option._id, respondedBy: clientId });
+      expect(serviceRequest.scheduling).toMatchObject({ preferredDate: option.preferredDate, preferredTime: '15:30' });
+      expect(checkSlot).toHaveBeenCalledWith(expect.objectContaining({
+        scheduling: expect.objectContaining({ preferredTime: '15:30' })
+      }), { checkNotice: true });
+      expect(serviceRequest.statusHistory[0]).toMatchObject({
+        reason: 'reschedule_accepted',
+        notes: 'Reprogramación aceptada: 2026-06-10 10:00 → 2026-06-13 15:30'
+      });
+      expect(InstantBookingService.moveWeeklySlot)
+        .toHaveBeenCalledWith(serviceRequest, new Date('2026-06-10T00:00:00Z'));
+    });
+
+    it('rechaza opciones que ya no están libres sin modificar la solicitud', async () => {
+      jest.spyOn(AvailabilityService, 'checkSlot').mockResolvedValue({ available: false, reasons: ['Horario ocupado'] });
+      const serviceRequest = buildRequest();
+      const [proposal] = serviceRequest.rescheduleProposals;
+
+      await expect(RescheduleService.accept(serviceRequest, proposal._id, client, { optionId: proposal.options[0]._id }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Horario ocupado' });
+
+      expect(proposal.status).toBe('pending');
+      expect(serviceRequest.scheduling.preferredTime).toBe('10:00');
+      expect(ServiceRequest.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('registra el vencimiento y rechaza propuestas con plazo cumplido', async () => {
+      const checkSlot = jest.spyOn(AvailabilityService, 'checkSlot');
+      const serviceRequest = buildRequest({ expiresAt: new Date(Date.now() - HOUR_MS) });
+      const [proposal] = serviceRequest.rescheduleProposals;
+
+      await expect(RescheduleService.accept(serviceRequest, proposal._id, client, { optionId: proposal.options[0]._id }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'RESCHEDULE_EXPIRED' });
+
+      expect(proposal.status).toBe('expired');
+      expect(ServiceRequest.prototype.save).toHaveBeenCalledTimes(1);
+      expect(RescheduleService.announce).toHaveBeenCalledWith(serviceRequest, proposal, 'expired', expect.any(String), expect.any(Object));
+      expect(checkSlot).not.toHaveBeenCalled();
+    });
+
+    it('solo la contraparte puede aceptar', async () => {
+      const serviceRequest = buildRequest();
+      const [proposal] = serviceRequest.rescheduleProposals;
+
+      await expect(RescheduleService.accept(serviceRequest, proposal._id, professionalUser, { optionId: proposal.options[0]._id }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(proposal.status).toBe('pending');
+    });
+  });
+
+  describe('expireDueProposals', () => {
+    it('vence las propuestas atrasadas y avisa a quien propuso', async () => {
+      const serviceRequest = buildRequest({ expiresAt: new Date(Date.now() - HOUR_MS) });
+      jest.spyOn(ServiceRequest, 'find').mockResolvedValue([serviceRequest]);
+      const send = jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue();
+
+      await expect(RescheduleService.expireDueProposals()).resolves.toBe(1);
+
+      expect(serviceRequest.rescheduleProposals[0].status).toBe('expired');
+      expect(send).toHaveBeenCalledWith(professionalUserId, 'RESCHEDULE_EXPIRED', expect.any(Object), {
+        metadata: {
+          serviceRequestId: serviceRequest._id,
+          rescheduleProposalId: serviceRequest.rescheduleProposals[0]._id
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const SavedSearch = require('../../models/SavedSearch');
+const Professional = require('../../models/Professional');
+const SavedSearchService = require('../../services/SavedSearchService');
+const ProfessionalSearchService = require('../../services/ProfessionalSearchService');
+const NotificationService = require('../../services/NotificationService');
+const { SAVED_SEARCH_CONFIG } = require('../../config/saved-searches');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const userId = new mongoose.Types.ObjectId();
+const user = { _id: userId, role: 'client' };
+
+const buildSavedSearch = (alerts = {}) => SavedSearch.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  name: 'Plomeros cerca de casa',
+  filters: { category: 'home_services', coordinates: [-74.08, 4.6], radiusKm: 10 },
+  alerts: {
+    enabled: true,
+    checkedAt: new Date('2026-04-01T00:00:00Z'),
+    pendingProfessionals: [],
+    notifiedProfessionals: [],
+    ...alerts
+  }
+});
+
+describe('SavedSearchService CRUD', () => {
+  beforeEach(() => {
+    jest.spyOn(SavedSearch.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('guarda solo los filtros conocidos y rechaza superar el máximo por cliente', async () => {
+    jest.spyOn(SavedSearch, 'countDocuments').mockResolvedValueOnce(0).mockResolvedValueOnce(SAVED_SEARCH_CONFIG.maxPerUser);
+
+    const savedSearch = await SavedSearchService.create(user, {
+      name: 'Electricistas',
+      category: 'home_services',
+      minRating: 4,
+      sortBy: 'price',
+      alertsEnabled: false
+    });
+
+    expect(savedSearch.filters.toObject()).toMatchObject({ category: 'home_services', minRating: 4 });
+    expect(savedSearch.filters.sortBy).toBeUndefined();
+    expect(savedSearch.alerts.enabled).toBe(false);
+
+    await expect(SavedSearchService.create(user, { name: 'Otra' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'SAVED_SEARCH_LIMIT' });
+  });
+
+  it('descarta los pendientes al cambiar filtros o reactivar alertas', async () => {
+    const pending = [new mongoose.Types.ObjectId()];
+    const filtered = buildSavedSearch({ pendingProfessionals: pending });
+    const renamed = buildSavedSearch({ pendingProfessionals: pending });
+    const reactivated = buildSavedSearch({ enabled: false, pendingProfessionals: pending });
+    jest.spyOn(SavedSearch, 'findOne')
+      .mockResolvedValueOnce(filtered)
+      .mockResolvedValueOnce(renamed)
+      .mockResolvedValueOnce(reactivated);
+
+    await SavedSearchService.update(filtered._id, user, { radiusKm: 25 });
+    await SavedSearchService.update(renamed._id, user, { name: 'Plomeros del barrio' });
+    await SavedSearchService.update(reactivated._id, user, { alertsEnabled: true });
+
+    expect(filtered.filters.radiusKm).toBe(25);
+    expect(filtered.alerts.pendingProfessionals).toHaveLength(0);
+    expect(renamed.alerts.pendingProfessionals).toHaveLength(1);
+    expect(reactivated.alerts.pendingProfessionals).toHaveLength(0);
+    expect(reactivated.alerts.checkedAt.getTime()).toBeGreaterThan(new Date('2026-04-01T00:00:00Z').getTime());
+  });
+
+  it('solo el dueño accede a sus búsquedas', async () => {
+    const findOne = jest.spyOn(SavedSearch, 'findOne').mockResolvedValue(null);
+    const savedSearchId = new mongoose.Types.ObjectId();
+
+    await expect(SavedSearchService.get(savedSearchId, user)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(SavedSearchService.get('no-es-un-id', user)).rejects.toMatchObject({ statusCode: 404 });
+
+    expect(findOne).toHaveBeenCalledTimes(1);
+    expect(findOne).toHaveBeenCalledWith({ _id: savedSearchId, userId });
+  });
+});
+
+describe('SavedSearchService.evaluate', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('acumula solo profesionales nuevos que no son el propio cliente', async () => {
+    const known = new mongoose.Types.ObjectId();
+    const fresh = new mongoose.Types.ObjectId();
+    const savedSearch = buildSavedSearch({ notifiedProfessionals: [known] });
+    const findCandidates = jest.spyOn(ProfessionalSearchService, 'findCandidates').mockResolvedValue([
+      { _id: known, userId: { _id: new mongoose.Types.ObjectId() } },
+      { _id: fresh, userId: { _id: new mongoose.Types.ObjectId() } },
+      { _id: new mongoose.Types.ObjectId(), userId: { _id: userId } }
+    ]);
+    const updateOne = jest.spyOn(SavedSearch, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const now = new Date('2026-04-02T00:00:00Z');
+
+    await expect(SavedSearchService.evaluate(savedSearch, now)).resolves.toBe(1);
+
+    expect(findCandidates).toHaveBeenCalledWith(expect.objectContaining({
+      category: 'home_services',
+      verifiedOnly: true,
+      listedAfter: new Date('2026-04-01T00:00:00Z')
+    }));
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: savedSearch._id, 'alerts.checkedAt': new Date('2026-04-01T00:00:00Z') },
+      { $set: { 'alerts.checkedAt': now }, $addToSet: { 'alerts.pendingProfessionals': { $each: [fresh] } } }
+    );
+  });
+});
+
+describe('SavedSearchService.sendDigests', () => {
+  const now = new Date('2026-04-02T12:00:00Z');
+
+  beforeEach(() => {
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue();
+    jest.spyOn(SavedSearch, 'updateMany').mockResolvedValue({});
+    jest.spyOn(SavedSearch, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('envía un resumen por cliente con los profesionales que siguen visibles', async () => {
+    const visible = new mongoose.Types.ObjectId();
+    const hidden = new mongoose.Types.ObjectId();
+    const first = buildSavedSearch({ pendingProfessionals: [visible, hidden] });
+    const second = buildSavedSearch({ pendingProfessionals: [visible] });
+    second.name = 'Plomeros urgentes';
+    jest.spyOn(SavedSearch, 'find')
+      .mockResolvedValueOnce([first, second])
+      .mockReturnValueOnce({ distinct: jest.fn().mockResolvedValue([]) });
+    jest.spyOn(Professional, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue([visible]) });
+
+    await expect(SavedSearchService.sendDigests(now)).resolves.toEqual({ sent: 1, failed: 0 });
+
+    expect(NotificationService.sendNotification).toHaveBeenCalledTimes(1);
+    expect(NotificationService.sendNotification).toHaveBeenCalledWith(userId.toString(), 'SAVED_SEARCH_DIGEST', {
+      count: 1,
+      searches: 'Plomeros cerca de casa (1), Plomeros urgentes (1)'
+    }, expect.any(Object));
+    expect(SavedSearch.updateMany).toHaveBeenCalledWith({ userId: userId.toString() }, { $set: { 'alerts.lastDigestAt': now } });
+    expect(SavedSearch.updateOne).toHaveBeenCalledWith({ _id: first._id }, {
+      $pullAll: { 'alerts.pendingProfessionals': first.alerts.pendingProfessionals },
+      $push: { 'alerts.notifiedProfessionals': { $each: [visible], $slice: -SAVED_SEARCH_CONFIG.maxNotifiedTracked } }
+    });
+  });
+
+  it('no envía otro resumen dentro del intervalo', async () => {
+    const savedSearch = buildSavedSearch({
+      pendingProfessionals: [new mongoose.Types.ObjectId()],
+      lastDigestAt: new Date(now.getTime() - HOUR_MS)
+    });
+    const find = jest.spyOn(SavedSearch, 'find')
+      .mockResolvedValueOnce([savedSearch])
+      .mockReturnValueOnce({ distinct: jest.fn().mockResolvedValue([userId]) });
+
+    await expect(SavedSearchService.sendDigests(now)).resolves.toEqual({ sent: 0, failed: 0 });
+
+    expect(find.mock.calls[1][0]).toEqual({
+      userId: { $in: [userId.toString()] },
+      'alerts.lastDigestAt': { $gt: new Date(now.getTime() - SAVED_SEARCH_CONFIG.digestIntervalMs) }
+    });
+    expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+    expect(SavedSearch.updateOne).not.toHaveBeenCalled();
+  });
+});
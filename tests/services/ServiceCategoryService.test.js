@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const ServiceCategoryService = require('../../services/ServiceCategoryService');
+const ServiceRequest = require('../../models/ServiceRequest');
+const Professional = require('../../models/Professional');
+const ServiceSeries = require('../../models/ServiceSeries');
+const SavedSearch = require('../../models/SavedSearch');
+const ServiceCategory = require('../../models/ServiceCategory');
+
+const homeId = new mongoose.Types.ObjectId();
+const cleaningId = new mongoose.Types.ObjectId();
+
+const CATEGORIES = [
+  { _id: homeId, slug: 'home_services', parent: null, isActive: true, name: { es: 'Servicios del Hogar', en: 'Home Services' } },
+  { _id: cleaningId, slug: 'cleaning', parent: null, isActive: true, name: { es: 'Limpieza', en: 'Cleaning' } },
+  { _id: new mongoose.Types.ObjectId(), slug: 'plumbing', parent: homeId, isActive: true, name: { es: 'Plomería', en: 'Plumbing' } },
+  { _id: new mongoose.Types.ObjectId(), slug: 'carpentry', parent: homeId, isActive: true, name: { es: 'Carpintería', en: 'Carpentry' } },
+  { _id: new mongoose.Types.ObjectId(), slug: 'locksmith', parent: homeId, isActive: false, name: { es: 'Cerrajería', en: 'Locksmith' } },
+  { _id: new mongoose.Types.ObjectId(), slug: 'deep_cleaning', parent: cleaningId, isActive: true, name: { es: 'Limpieza profunda', en: 'Deep Cleaning' } }
+];
+
+describe('ServiceCategoryService.isSelectableSubcategory', () => {
+  beforeEach(() => {
+    jest.spyOn(ServiceCategoryService, 'getAll').mockResolvedValue(CATEGORIES);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('acepta una subcategoría activa de la categoría', async () => {
+    await expect(ServiceCategoryService.isSelectableSubcategory('home_services', 'plumbing')).resolves.toBe(true);
+  });
+
+  it('rechaza subcategorías inactivas, de otra categoría o inexistentes', async () => {
+    await expect(ServiceCategoryService.isSelectableSubcategory('home_services', 'locksmith')).resolves.toBe(false);
+    await expect(ServiceCategoryService.isSelectableSubcategory('home_services', 'deep_cleaning')).resolves.toBe(false);
+    await expect(ServiceCategoryService.isSelectableSubcategory('home_services', 'Reparación de tubería')).resolves.toBe(false);
+    await expect(ServiceCategoryService.isSelectableSubcategory('plumbing', 'plumbing')).resolves.toBe(false);
+  });
+
+  it('valida la subcategoría al crear una solicitud', async () => {
+    const serviceRequest = new ServiceRequest({
+      service: { category: 'home_services', subcategory: 'deep_cleaning' }
+    });
+
+    const error = await serviceRequest.validate().catch(err => err);
+
+    expect(error.errors['service.subcategory'].message)
+      .toBe('La subcategoría deep_cleaning no existe, no está activa o no pertenece a la categoría');
+    expect(error.errors['service.category']).toBeUndefined();
+  });
+
+  it('valida la subcategoría de los servicios de un profesional', async () => {
+    const professional = new Professional({
+      services: [
+        { category: 'home_services', subcategory: 'plumbing' },
+        { category: 'cleaning', subcategory: 'texto libre' }
+      ]
+    });
+
+    const error = await professional.validate().catch(err => err);
+
+    expect(error.errors['services.0.subcategory']).toBeUndefined();
+    expect(error.errors['services.1.subcategory']).toBeDefined();
+  });
+});
+
+describe('ServiceCategoryService.migrate', () => {
+  const MODELS = [ServiceRequest, Professional, ServiceSeries, SavedSearch];
+
+  beforeEach(() => {
+    jest.spyOn(ServiceCategoryService, 'seedDefaults').mockResolvedValue(0);
+    jest.spyOn(ServiceCategory, 'find').mockReturnValue({ lean: () => Promise.resolve(CATEGORIES.map(category => ({ ...category }))) });
+    jest.spyOn(ServiceCategory, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+    MODELS.forEach(model => {
+      jest.spyOn(model, 'distinct').mockResolvedValue([]);
+      jest.spyOn(model, 'aggregate').mockResolvedValue([]);
+      jest.spyOn(model, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lleva las subcategorías antiguas a la subcategoría equivalente de su categoría', async () => {
+    ServiceRequest.aggregate.mockResolvedValue([
+      { _id: { category: 'home_services', subcategory: 'plumbing' } },
+      { _id: { category: 'home_services', subcategory: 'repairs' } },
+      { _id: { category: 'home_services', subcategory: ' Plomería ' } }
+    ]);
+
+    const result = await ServiceCategoryService.migrate();
+
+    expect(ServiceRequest.updateMany).toHaveBeenCalledTimes(2);
+    expect(ServiceRequest.updateMany).toHaveBeenCalledWith(
+      { 'service.category': 'home_services', 'service.subcategory': 'repairs' },
+      { $set: { 'service.subcategory': 'carpentry' } }
+    );
+    expect(ServiceRequest.updateMany).toHaveBeenCalledWith(
+      { 'service.category': 'home_services', 'service.subcategory': ' Plomería ' },
+      { $set: { 'service.subcategory': 'plumbing' } }
+    );
+    expect(result.unmappedSubcategories).toEqual([]);
+    expect(ServiceCategory.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('usa la subcategoría general si no hay correspondencia y vacía las opcionales', async () => {
+    Professional.aggregate.mockResolvedValue([{ _id: { category: 'cleaning', subcategory: 'texto libre' } }]);
+    SavedSearch.aggregate.mockResolvedValue([{ _id: { category: 'cleaning', subcategory: 'texto libre' } }]);
+
+    const result = await ServiceCategoryService.migrate();
+
+    expect(ServiceCategory.updateOne).toHaveBeenCalledTimes(1);
+    expect(ServiceCategory.updateOne).toHaveBeenCalledWith(
+      { slug: 'cleaning_general' },
+      { $setOnInsert: expect.objectContaining({ parent: cleaningId, isActive: true }) },
+      { upsert: true }
+    );
+    expect(Professional.updateMany).toHaveBeenCalledWith(
+      { services: { $elemMatch: { category: 'cleaning', subcategory: 'texto libre' } } },
+      { $set: { 'services.$[item].subcategory': 'cleaning_general' } },
+      { arrayFilters: [{ 'item.category': 'cleaning', 'item.subcategory': 'texto libre' }] }
+    );
+    expect(SavedSearch.updateMany).toHaveBeenCalledWith(
+      { 'filters.category': 'cleaning', 'filters.subcategory': 'texto libre' },
+      { $unset: { 'filters.subcategory': '' } }
+    );
+    expect(result).toMatchObject({ seeded: 1, unmappedSubcategories: ['cleaning/texto libre'] });
+    expect(result.changes).toContainEqual({
+      collection: 'savedSearches',
+      path: 'filters.subcategory',
+      from: 'texto libre',
+      to: null,
+      documents: 2
+    });
+  });
+
+  it('resuelve la subcategoría contra la categoría ya migrada en la simulación', async () => {
+    jest.spyOn(ServiceCategoryService, 'getAll').mockResolvedValue(CATEGORIES);
+    jest.spyOn(ServiceSeries, 'countDocuments').mockResolvedValue(3);
+    ServiceSeries.aggregate.mockResolvedValue([{ _id: { category: 'plomeria', subcategory: 'plomeria' } }]);
+
+    const result = await ServiceCategoryService.migrate({ dryRun: true });
+
+    expect(result.changes).toContainEqual({
+      collection: 'serviceSeries',
+      path: 'template.service.subcategory',
+      from: 'plomeria',
+      to: 'plumbing',
+      documents: 3
+    });
+    expect(ServiceSeries.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('ServiceCategoryService.countUsage', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cuenta las subcategorías en su propio campo', async () => {
+    const counts = [ServiceRequest, Professional, ServiceSeries, SavedSearch]
+      .map(model => jest.spyOn(model, 'countDocuments').mockResolvedValue(1));
+
+    const usage = await ServiceCategoryService.countUsage({ slug: 'plumbing', parent: homeId });
+
+    expect(usage).toEqual({ serviceRequests: 1, professionals: 1, serviceSeries: 1, savedSearches: 1 });
+    expect(counts.map(count => count.mock.calls[0][0])).toEqual([
+      { 'service.subcategory': 'plumbing' },
+      { 'services.subcategory': 'plumbing' },
+      { 'template.service.subcategory': 'plumbing' },
+      { 'filters.subcategory': 'plumbing' }
+    ]);
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const ServiceRequestStateMachine = require('../../services/ServiceRequestStateMachine');
+const {
+  SERVICE_REQUEST_TRANSITIONS,
+  STATUS_LABELS,
+  TRANSITION_ROLES,
+  isTransitionAllowed
+} = require('../../config/service-request-transitions');
+
+const buildRequest = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'confirmed',
+  professionalId: new mongoose.Types.ObjectId(),
+  pricing: { paymentMethod: 'card' },
+  payment: { paymentStatus: 'pending' },
+  ...overrides
+});
+
+describe('ServiceRequestStateMachine.evaluate', () => {
+  it('rechaza acciones desde un estado no permitido', async () => {
+    const result = await ServiceRequestStateMachine.evaluate(buildRequest({ status: 'pending' }), 'start', 'professional');
+
+    expect(result.allowed).toBe(false);
+    expect(result.statusCode).toBe(409);
+  });
+
+  it('rechaza roles no autorizados', async () => {
+    const result = await ServiceRequestStateMachine.evaluate(buildRequest(), 'start', 'client');
+
+    expect(result.allowed).toBe(false);
+    expect(result.statusCode).toBe(403);
+  });
+
+  it('no permite iniciar sin pago autorizado', async () => {
+    const result = await ServiceRequestStateMachine.evaluate(buildRequest(), 'start', 'professional');
+
+    expect(result.allowed).toBe(false);
+    expect(result.reasons).toEqual(['El pago debe estar autorizado antes de iniciar el servicio']);
+  });
+
+  it.each(['processing', 'completed'])('permite iniciar con el pago en estado %s', async (paymentStatus) => {
+    const result = await ServiceRequestStateMachine.evaluate(
+      buildRequest({ payment: { paymentStatus } }),
+      'start',
+      'professional'
+    );
+
+    expect(result.allowed).toBe(true);
+  });
+
+  it('permite iniciar servicios en efectivo sin pago registrado', async () => {
+    const result = await ServiceRequestStateMachine.evaluate(
+      buildRequest({ pricing: { paymentMethod: 'cash' } }),
+      'start',
+      'professional'
+    );
+
+    expect(result.allowed).toBe(true);
+  });
+
+  it('exige profesional asignado', async () => {
+    const result = await ServiceRequestStateMachine.evaluate(
+      buildRequest({ professionalId: null, payment: { paymentStatus: 'processing' } }),
+      'start',
+      'professional'
+    );
+
+    expect(result.allowed).toBe(false);
+    expect(result.reasons).toEqual(['La solicitud no tiene un profesional asignado']);
+  });
+});
+
+describe('Tabla de transiciones', () => {
+  const transitions = Object.entries(SERVICE_REQUEST_TRANSITIONS);
+
+  it.each(transitions)('%s solo referencia estados, roles, guardas y efectos existentes', (action, transition) => {
+    [...transition.from, transition.to].forEach(status => expect(STATUS_LABELS).toHaveProperty(status));
+    transition.roles.forEach(role => expect(TRANSITION_ROLES).toContain(role));
+    transition.guards.forEach(guard => expect(ServiceRequestStateMachine.guards).toHaveProperty(guard));
+    transition.effects.forEach(effect => expect(ServiceRequestStateMachine.effects).toHaveProperty(effect));
+  });
+
+  it('permite solo los saltos de estado declarados', () => {
+    expect(isTransitionAllowed('confirmed', 'in_progress')).toBe(true);
+    expect(isTransitionAllowed('pending', 'pending')).toBe(true);
+    expect(isTransitionAllowed('pending', 'completed')).toBe(false);
+    expect(isTransitionAllowed('cancelled', 'pending')).toBe(false);
+  });
+});
+
+describe('ServiceRequestStateMachine.transition', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rechaza la transición sin cambiar el estado ni ejecutar efectos', async () => {
+    const serviceRequest = { ...buildRequest(), updateStatus: jest.fn() };
+    const runEffects = jest.spyOn(ServiceRequestStateMachine, 'runEffects');
+
+    await expect(ServiceRequestStateMachine.transition(serviceRequest, 'start', { role: 'professional' }))
+      .rejects.toMatchObject({ name: 'InvalidTransitionError', statusCode: 409 });
+
+    expect(serviceRequest.updateStatus).not.toHaveBeenCalled();
+    expect(runEffects).not.toHaveBeenCalled();
+  });
+
+  it('actualiza el estado y ejecuta los efectos declarados aunque alguno falle', async () => {
+    const serviceRequest = {
+      ...buildRequest({ payment: { paymentStatus: 'processing' } }),
+      updateStatus: jest.fn().mockResolvedValue()
+    };
+    const effects = SERVICE_REQUEST_TRANSITIONS.start.effects;
+    const calls = [];
+    effects.forEach((effect, index) => {
+      jest.spyOn(ServiceRequestStateMachine.effects, effect).mockImplementation(async () => {
+        calls.push(effect);
+        if (index === 0) throw new Error('fallo del efecto');
+      });
+    });
+
+    await ServiceRequestStateMachine.transition(serviceRequest, 'start', { role: 'professional' });
+
+    expect(serviceRequest.updateStatus).toHaveBeenCalledWith('in_progress', serviceRequest.clientId, '', '');
+    expect(calls).toEqual(effects);
+  });
+});
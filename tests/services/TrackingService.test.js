@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../../models/ServiceRequest');
+const Professional = require('../../models/Professional');
+const User = require('../../models/User');
+const NotificationService = require('../../services/NotificationService');
+const TrackingService = require('../../services/TrackingService');
+const { notificationService } = require('../../utils/notifications');
+
+// Servicio en Bogotá (UTC-5) a las 09:00 locales = 14:00 UTC
+const DESTINATION = [-74.0721, 4.711];
+const START = new Date('2030-03-04T14:00:00Z');
+const minutesAfterStart = (minutes) => new Date(START.getTime() + minutes * 60 * 1000);
+const metersNorth = (meters) => [DESTINATION[0], DESTINATION[1] + meters / 111320];
+
+const buildRequest = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'confirmed',
+  clientId: new mongoose.Types.ObjectId(),
+  professionalId: new mongoose.Types.ObjectId(),
+  service: { title: 'Reparación' },
+  location: { coordinates: DESTINATION, address: { city: 'Bogotá' } },
+  scheduling: {
+    preferredDate: new Date('2030-03-04T00:00:00Z'),
+    preferredTime: '09:00',
+    estimatedDuration: { value: 1, unit: 'hours' }
+  },
+  tracking: { checkpoints: [], arrivalAlerts: [] },
+  set: jest.fn(),
+  ...overrides
+});
+
+describe('TrackingService geocerca', () => {
+  beforeEach(() => {
+    jest.spyOn(ServiceRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Professional, 'findById').mockImplementation(() => ({
+      select: jest.fn().mockResolvedValue({ userId: new mongoose.Types.ObjectId(), availability: { timeZone: 'America/Bogota' } }),
+      populate: jest.fn().mockResolvedValue({ userId: {} })
+    }));
+    jest.spyOn(User, 'findById').mockResolvedValue({});
+    jest.spyOn(TrackingService, 'emitToClient').mockImplementation(() => {});
+    jest.spyOn(notificationService, 'notifyProfessionalArrival').mockResolvedValue();
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue();
+    jest.spyOn(NotificationService, 'sendNotificationToRole').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const evaluate = (serviceRequest, coordinates, now) => {
+    const { distanceKm } = TrackingService.calculateEta(serviceRequest, coordinates, now);
+    return TrackingService.evaluateGeofence(serviceRequest, { coordinates, distanceKm, now });
+  };
+
+  it('registra la llegada una sola vez al entrar al radio', async () => {
+    const serviceRequest = buildRequest();
+
+    await expect(evaluate(serviceRequest, metersNorth(100), minutesAfterStart(-5))).resolves.toBe(true);
+    await expect(evaluate(serviceRequest, metersNorth(50), minutesAfterStart(-4))).resolves.toBe(true);
+
+    expect(ServiceRequest.updateOne).toHaveBeenCalledTimes(1);
+    expect(ServiceRequest.updateOne.mock.calls[0][0]).toEqual({
+      _id: serviceRequest._id,
+      'tracking.checkpoints.type': { $ne: 'arrived' }
+    });
+    expect(serviceRequest.tracking.checkpoints).toHaveLength(1);
+    expect(TrackingService.emitToClient).toHaveBeenCalledWith(serviceRequest._id, 'professional_arrived', expect.any(Object));
+    expect(notificationService.notifyProfessionalArrival).toHaveBeenCalledTimes(1);
+  });
+
+  it('no avisa si otra posición concurrente ya registró la llegada', async () => {
+    ServiceRequest.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    const serviceRequest = buildRequest();
+
+    await evaluate(serviceRequest, metersNorth(100), minutesAfterStart(0));
+
+    expect(TrackingService.emitToClient).not.toHaveBeenCalled();
+    expect(notificationService.notifyProfessionalArrival).not.toHaveBeenCalled();
+  });
+
+  it('fuera del radio antes de la hora pactada no genera alertas', async () => {
+    const serviceRequest = buildRequest();
+
+    await expect(evaluate(serviceRequest, metersNorth(500), minutesAfterStart(-10))).resolves.toBe(false);
+
+    expect(ServiceRequest.updateOne).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [20, 'late'],
+    [45, 'possible_no_show']
+  ])('fuera del radio %s minutos tarde emite la alerta %s', async (minutes, type) => {
+    const serviceRequest = buildRequest();
+
+    await evaluate(serviceRequest, metersNorth(500), minutesAfterStart(minutes));
+
+    expect(serviceRequest.tracking.arrivalAlerts).toEqual([
+      expect.objectContaining({ type, minutesLate: minutes })
+    ]);
+    expect(NotificationService.sendNotification).toHaveBeenCalledTimes(2);
+    expect(NotificationService.sendNotificationToRole).toHaveBeenCalledWith('admin', expect.any(String), expect.any(Object), expect.any(Object));
+  });
+
+  it('no repite una alerta ya emitida', async () => {
+    const serviceRequest = buildRequest({
+      tracking: { checkpoints: [], arrivalAlerts: [{ type: 'late' }] }
+    });
+
+    await expect(TrackingService.checkArrivalAlert(serviceRequest, { now: minutesAfterStart(25) })).resolves.toBeNull();
+    expect(ServiceRequest.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('TrackingService.calculateEta', () => {
+  it('estima la llegada con la velocidad de la ciudad y el factor de ruta', () => {
+    const now = new Date('2030-03-04T13:00:00Z');
+    const { distanceKm, estimatedArrival } = TrackingService.calculateEta(buildRequest(), metersNorth(5000), now);
+
+    expect(distanceKm).toBeCloseTo(5, 1);
+    expect(estimatedArrival.getTime()).toBeGreaterThan(now.getTime());
+  });
+
+  it('no estima la llegada si el servicio ya está en progreso', () => {
+    const { estimatedArrival } = TrackingService.calculateEta(buildRequest({ status: 'in_progress' }), metersNorth(5000));
+
+    expect(estimatedArrival).toBeNull();
+  });
+});
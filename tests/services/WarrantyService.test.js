@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../../models/ServiceRequest');
+const WarrantyClaim = require('../../models/WarrantyClaim');
+const Professional = require('../../models/Professional');
+const WarrantyService = require('../../services/WarrantyService');
+const NotificationService = require('../../services/NotificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clientId = new mongoose.Types.ObjectId();
+const client = { _id: clientId, role: 'client' };
+
+const buildRequest = (overrides = {}) => ServiceRequest.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  clientId,
+  professionalId: new mongoose.Types.ObjectId(),
+  status: 'completed',
+  service: { title: 'Impermeabilización de terraza' },
+  completion: {
+    completedAt: new Date(Date.now() - 10 * DAY_MS),
+    warranty: { duration: 30 }
+  },
+  ...overrides
+});
+
+describe('WarrantyService.open', () => {
+  let professional;
+
+  beforeEach(() => {
+    professional = { userId: new mongoose.Types.ObjectId(), recordWarrantyClaim: jest.fn().mockResolvedValue() };
+    jest.spyOn(WarrantyClaim, 'exists').mockResolvedValue(null);
+    jest.spyOn(WarrantyClaim.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Professional, 'findById').mockResolvedValue(professional);
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('abre el reclamo dentro de la garantía y avisa al profesional', async () => {
+    const serviceRequest = buildRequest();
+
+    const claim = await WarrantyService.open(serviceRequest, client, { description: 'Volvió la filtración' });
+
+    expect(claim).toMatchObject({
+      serviceRequestId: serviceRequest._id,
+      clientId,
+      professionalId: serviceRequest.professionalId,
+      status: 'awaiting_response',
+      warrantyExpiresAt: serviceRequest.getWarrantyExpiry()
+    });
+    expect(claim.responseDeadline.getTime()).toBeGreaterThan(Date.now());
+    expect(professional.recordWarrantyClaim).toHaveBeenCalled();
+    expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+      professional.userId,
+      'WARRANTY_CLAIM_OPENED',
+      expect.objectContaining({ serviceRequestId: serviceRequest._id }),
+      { metadata: { serviceRequestId: serviceRequest._id, warrantyClaimId: claim._id } }
+    );
+  });
+
+  it.each([
+    ['un servicio sin completar', { status: 'in_progress' }, 'WARRANTY_NOT_CLAIMABLE'],
+    ['una visita de garantía', { followUp: { warrantyClaimId: new mongoose.Types.ObjectId() } }, 'WARRANTY_NOT_CLAIMABLE'],
+    ['un servicio sin garantía', { completion: { completedAt: new Date() } }, 'WARRANTY_NOT_AVAILABLE'],
+    ['una garantía desactivada', { completion: { completedAt: new Date(), warranty: { duration: 30, isActive: false } } }, 'WARRANTY_NOT_AVAILABLE'],
+    ['una garantía vencida', { completion: { completedAt: new Date(Date.now() - 40 * DAY_MS), warranty: { duration: 30 } } }, 'WARRANTY_EXPIRED']
+  ])('rechaza %s', async (label, overrides, code) => {
+    await expect(WarrantyService.open(buildRequest(overrides), client, { description: 'Falla' }))
+      .rejects.toMatchObject({ statusCode: 409, code });
+
+    expect(WarrantyClaim.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('rechaza un segundo reclamo abierto sobre el mismo servicio', async () => {
+    WarrantyClaim.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    await expect(WarrantyService.open(buildRequest(), client, { description: 'Falla' }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'WARRANTY_CLAIM_EXISTS' });
+  });
+
+  it('solo el cliente del servicio puede reclamar', async () => {
+    const other = { _id: new mongoose.Types.ObjectId(), role: 'client' };
+
+    await expect(WarrantyService.open(buildRequest(), other, { description: 'Falla' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(WarrantyClaim.exists).not.toHaveBeenCalled();
+  });
+});
+
+describe('WarrantyService.escalateIfOverdue', () => {
+  it('pasa a revisión solo los reclamos sin respuesta con plazo vencido', () => {
+    const now = new Date('2026-04-02T12:00:00Z');
+    const overdue = { status: 'awaiting_response', responseDeadline: new Date('2026-04-02T11:00:00Z') };
+    const onTime = { status: 'awaiting_response', responseDeadline: new Date('2026-04-02T13:00:00Z') };
+    const scheduled = { status: 'visit_scheduled', responseDeadline: new Date('2026-04-02T11:00:00Z') };
+
+    expect(WarrantyService.escalateIfOverdue(overdue, now)).toBe(true);
+    expect(overdue).toMatchObject({ status: 'under_review', escalationReason: 'no_response' });
+    expect(WarrantyService.escalateIfOverdue(onTime, now)).toBe(false);
+    expect(WarrantyService.escalateIfOverdue(scheduled, now)).toBe(false);
+  });
+});
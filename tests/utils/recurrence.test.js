@@ -0,0 +1,94 @@
+const { RecurrenceUtils } = require('../../utils/recurrence');
+
+const day = (key) => new Date(`${key}T00:00:00Z`);
+const keys = (dates) => dates.map(date => RecurrenceUtils.toDateKey(date));
+const ALL_WEEK = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+describe('RecurrenceUtils.getOccurrences', () => {
+  it('expande reglas semanales con intervalo', () => {
+    const recurrence = { frequency: 'weekly', interval: 2, byWeekday: ['MO', 'TH'], startDate: day('2024-01-01') };
+
+    expect(keys(RecurrenceUtils.getOccurrences(recurrence, day('2024-01-01'), day('2024-01-31'))))
+      .toEqual(['2024-01-01', '2024-01-04', '2024-01-15', '2024-01-18', '2024-01-29']);
+  });
+
+  it('no trunca series antiguas y densas al consultar una ventana lejana', () => {
+    const recurrence = { frequency: 'weekly', byWeekday: ALL_WEEK, startDate: day('2020-01-01') };
+
+    expect(keys(RecurrenceUtils.getOccurrences(recurrence, day('2026-10-19'), day('2026-10-21'))))
+      .toEqual(['2026-10-19', '2026-10-20', '2026-10-21']);
+  });
+
+  it('respeta COUNT aunque la ventana empiece después del inicio', () => {
+    // Empieza miércoles: el lunes de esa semana no cuenta
+    const recurrence = { frequency: 'weekly', byWeekday: ['MO', 'TH'], startDate: day('2024-01-03'), count: 5 };
+
+    expect(keys(RecurrenceUtils.getOccurrences(recurrence, day('2024-01-14'), day('2024-03-01'))))
+      .toEqual(['2024-01-15', '2024-01-18']);
+    expect(RecurrenceUtils.getOccurrences(recurrence, day('2024-01-19'), day('2024-03-01'))).toEqual([]);
+  });
+
+  it('usa el último día del mes cuando el día no existe', () => {
+    const recurrence = { frequency: 'monthly', startDate: day('2024-01-31') };
+
+    expect(keys(RecurrenceUtils.getOccurrences(recurrence, day('2024-02-01'), day('2024-04-30'))))
+      .toEqual(['2024-02-29', '2024-03-31', '2024-04-30']);
+  });
+
+  it('cuenta las ocurrencias mensuales saltadas al aplicar COUNT', () => {
+    // El día 10 de enero es anterior al inicio y no cuenta
+    const recurrence = { frequency: 'monthly', byMonthDay: 10, startDate: day('2024-01-20'), count: 2 };
+
+    expect(keys(RecurrenceUtils.getOccurrences(recurrence, day('2024-03-01'), day('2024-12-31'))))
+      .toEqual(['2024-03-10']);
+  });
+
+  it('corta en la fecha de fin', () => {
+    const recurrence = { frequency: 'monthly', byMonthDay: 5, startDate: day('2024-01-01'), endDate: day('2024-03-04') };
+
+    expect(keys(RecurrenceUtils.getOccurrences(recurrence, day('2024-01-01'), day('2024-12-31'))))
+      .toEqual(['2024-01-05', '2024-02-05']);
+  });
+
+  it('lanza un error de validación si el rango no se puede expandir completo', () => {
+    const recurrence = { frequency: 'weekly', byWeekday: ALL_WEEK, startDate: day('2020-01-01') };
+
+    expect(() => RecurrenceUtils.getOccurrences(recurrence, day('2020-01-01'), day('2026-01-01')))
+      .toThrow(expect.objectContaining({ code: 'INVALID_RECURRENCE', statusCode: 400 }));
+  });
+});
+
+describe('RecurrenceUtils.countBefore', () => {
+  it('cuenta sin expandir desde el inicio de la serie', () => {
+    const recurrence = { frequency: 'weekly', byWeekday: ALL_WEEK, startDate: day('2020-01-01') };
+    const expected = (day('2026-10-19') - day('2020-01-01')) / (24 * 60 * 60 * 1000);
+
+    expect(RecurrenceUtils.countBefore(recurrence, day('2026-10-19'))).toBe(expected);
+  });
+
+  it('no cuenta ocurrencias después de la fecha de fin ni más allá de COUNT', () => {
+    const base = { frequency: 'weekly', byWeekday: ['MO', 'TH'], startDate: day('2024-01-03') };
+
+    expect(RecurrenceUtils.countBefore(base, day('2024-01-03'))).toBe(0);
+    expect(RecurrenceUtils.countBefore(base, day('2024-01-15'))).toBe(3);
+    expect(RecurrenceUtils.countBefore({ ...base, endDate: day('2024-01-09') }, day('2024-02-01'))).toBe(2);
+    expect(RecurrenceUtils.countBefore({ ...base, count: 4 }, day('2024-02-01'))).toBe(4);
+  });
+});
+
+describe('RecurrenceUtils RRULE', () => {
+  it('convierte una regla a RRULE y de vuelta', () => {
+    const recurrence = { frequency: 'weekly', interval: 2, byWeekday: ['MO', 'TH'], startDate: day('2024-01-01'), count: 6 };
+    const rrule = RecurrenceUtils.toRRule(recurrence);
+
+    expect(rrule).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=6');
+    expect(RecurrenceUtils.parseRRule(`RRULE:${rrule}`))
+      .toEqual({ frequency: 'weekly', interval: 2, byWeekday: ['MO', 'TH'], count: 6 });
+  });
+
+  it('rechaza partes y días no soportados', () => {
+    expect(() => RecurrenceUtils.parseRRule('FREQ=DAILY')).toThrow('RRULE debe incluir FREQ=WEEKLY o FREQ=MONTHLY');
+    expect(() => RecurrenceUtils.parseRRule('FREQ=WEEKLY;BYDAY=XX')).toThrow('Días inválidos en BYDAY: XX');
+    expect(() => RecurrenceUtils.parseRRule('FREQ=WEEKLY;BYSETPOS=1')).toThrow('Parte de RRULE no soportada');
+  });
+});
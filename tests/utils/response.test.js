@@ -0,0 +1,43 @@
+const { handleControllerError } = require('../../utils/response');
+const { AppError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+const buildRes = () => ({
+  error: jest.fn(),
+  badRequest: jest.fn(),
+  serverError: jest.fn()
+});
+
+describe('handleControllerError', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('responde los errores de la aplicación con su estado y detalles', () => {
+    const res = buildRes();
+
+    handleControllerError(res, new AppError('Conflicto', 409, 'CONFLICT', { field: 'x' }), 'Error');
+
+    expect(res.error).toHaveBeenCalledWith('Conflicto', 409, { field: 'x' });
+  });
+
+  it('responde las validaciones de Mongoose como 400', () => {
+    const res = buildRes();
+    const error = new Error('Campo requerido');
+    error.name = 'ValidationError';
+
+    handleControllerError(res, error, 'Error');
+
+    expect(res.badRequest).toHaveBeenCalledWith('Campo requerido');
+  });
+
+  it('registra y oculta los errores inesperados', () => {
+    const res = buildRes();
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    handleControllerError(res, new Error('boom'), 'Error creando la serie', { seriesId: 's1' });
+
+    expect(logger.error).toHaveBeenCalledWith('Error creando la serie:', { error: 'boom', seriesId: 's1' });
+    expect(res.serverError).toHaveBeenCalledWith('Error creando la serie');
+  });
+});
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../../models/ServiceRequest');
+const NotificationService = require('../../services/NotificationService');
+const logger = require('../../utils/logger');
+const { loadServiceRequest, notifyServiceRequestUser } = require('../../utils/service-requests');
+
+describe('loadServiceRequest', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devuelve la solicitud o lanza 404', async () => {
+    const serviceRequest = { _id: new mongoose.Types.ObjectId() };
+    const findById = jest.spyOn(ServiceRequest, 'findById').mockResolvedValueOnce(serviceRequest).mockResolvedValueOnce(null);
+
+    await expect(loadServiceRequest(serviceRequest._id)).resolves.toBe(serviceRequest);
+    await expect(loadServiceRequest(new mongoose.Types.ObjectId()))
+      .rejects.toMatchObject({ statusCode: 404, code: 'SERVICE_REQUEST_NOT_FOUND' });
+    await expect(loadServiceRequest(undefined)).rejects.toMatchObject({ statusCode: 404 });
+
+    expect(findById).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('notifyServiceRequestUser', () => {
+  const serviceRequest = { _id: new mongoose.Types.ObjectId(), service: { title: 'Pintura de sala' } };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('agrega la solicitud a los datos y metadatos de la notificación', async () => {
+    const send = jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue();
+    const recipientId = new mongoose.Types.ObjectId();
+    const quoteId = new mongoose.Types.ObjectId();
+
+    await notifyServiceRequestUser(recipientId, serviceRequest, 'QUOTE_RECEIVED', { price: 120 }, { quoteId });
+
+    expect(send).toHaveBeenCalledWith(recipientId, 'QUOTE_RECEIVED', {
+      serviceRequestId: serviceRequest._id,
+      serviceTitle: 'Pintura de sala',
+      price: 120
+    }, {
+      metadata: { serviceRequestId: serviceRequest._id, quoteId }
+    });
+  });
+
+  it('omite destinatarios vacíos y solo registra los fallos de envío', async () => {
+    const send = jest.spyOn(NotificationService, 'sendNotification').mockRejectedValue(new Error('SMTP caído'));
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    await notifyServiceRequestUser(null, serviceRequest, 'DISPUTE_OPENED');
+    expect(send).not.toHaveBeenCalled();
+
+    await expect(notifyServiceRequestUser(new mongoose.Types.ObjectId(), serviceRequest, 'DISPUTE_OPENED'))
+      .resolves.toBeUndefined();
+    expect(warn).toHaveBeenCalledWith('Error enviando notificación de la solicitud', expect.objectContaining({
+      templateKey: 'DISPUTE_OPENED',
+      error: 'SMTP caído'
+    }));
+  });
+});
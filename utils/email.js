@@ -470,15 +470,18 @@ class EmailService {
    * Enviar recordatorio de servicio
    */
   async sendServiceReminderEmail(user, serviceRequest, hoursUntil) {
+    const { scheduling } = serviceRequest;
+
     return await this.sendEmail(
       user.email,
-      `Recordatorio: Servicio en ${hoursUntil} horas`,
+      `Recordatorio: Servicio en ${hoursUntil} ${hoursUntil === 1 ? 'hora' : 'horas'}`,
       'service-reminder',
       {
-        userName: user.firstName,
-        serviceTitle: serviceRequest.title,
+        userName: user.profile?.firstName || user.firstName,
+        serviceTitle: serviceRequest.service?.title || serviceRequest.title,
         hoursUntil,
-        scheduledDate: serviceRequest.scheduling.confirmedDate?.toLocaleString()
+        scheduledDate: (scheduling.confirmedDate || scheduling.preferredDate)?.toLocaleDateString(),
+        scheduledTime: scheduling.preferredTime
       }
     );
   }
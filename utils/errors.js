@@ -0,0 +1,77 @@
+/**
+ * Errores tipados de la aplicación
+ * Permiten que controladores y el manejador global de errores respondan
+ * con el código HTTP adecuado sin depender del texto del mensaje
+ */
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Mensaje descriptivo
+   * @param {number} statusCode - Código de estado HTTP
+   * @param {string} code - Código interno de error
+   * @param {*} details - Información adicional para el cliente
+   */
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+    this.isOperational = true;
+  }
+}
+
+/**
+ * Transición de estado no permitida para una solicitud de servicio
+ */
+class InvalidTransitionError extends AppError {
+  /**
+   * @param {string} from - Estado actual
+   * @param {string} to - Estado destino
+   * @param {Object} options - Opciones adicionales
+   * @param {string} options.message - Mensaje personalizado
+   * @param {string} options.action - Acción solicitada
+   * @param {Array} options.reasons - Razones por las que se rechazó
+   * @param {number} options.statusCode - Código HTTP (409 por defecto)
+   * @param {string} options.code - Código interno (INVALID_TRANSITION por defecto)
+   */
+  constructor(from, to, options = {}) {
+    const {
+      message,
+      action = null,
+      reasons = [],
+      statusCode = 409,
+      code = 'INVALID_TRANSITION'
+    } = options;
+
+    super(
+      message || `Transición no permitida de '${from}' a '${to}'`,
+      statusCode,
+      code,
+      { from, to, action, reasons }
+    );
+    this.from = from;
+    this.to = to;
+    this.action = action;
+    this.reasons = reasons;
+  }
+}
+
+/**
+ * Franja horaria ocupada o fuera de la disponibilidad del profesional
+ */
+class SlotConflictError extends AppError {
+  /**
+   * @param {string} message - Mensaje descriptivo
+   * @param {Object} details - Franja solicitada y razones del conflicto
+   */
+  constructor(message = 'La franja horaria solicitada no está disponible', details = null) {
+    super(message, 409, 'SLOT_CONFLICT', details);
+  }
+}
+
+module.exports = {
+  AppError,
+  InvalidTransitionError,
+  SlotConflictError
+};
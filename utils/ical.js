@@ -0,0 +1,271 @@
+/**
+ * Utilidades para generar e interpretar calendarios iCalendar (RFC 5545)
+ */
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+class ICalUtils {
+  /**
+   * Escapar texto según RFC 5545 (comas, punto y coma, barras y saltos de línea)
+   * @param {string} value - Texto
+   * @returns {string}
+   */
+  static escapeText(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Plegar líneas largas a 75 octetos
+   * @param {string} line - Línea de contenido
+   * @returns {string}
+   */
+  static foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+    const chunks = [];
+    let current = '';
+
+    for (const char of line) {
+      const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (Buffer.byteLength(current + char) > limit) {
+        chunks.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    chunks.push(current);
+
+    return chunks.join(`${CRLF} `);
+  }
+
+  /**
+   * Formatear un instante en UTC (YYYYMMDDTHHMMSSZ)
+   * @param {Date} date - Fecha
+   * @returns {string}
+   */
+  static formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Formatear una duración en minutos como ISO 8601 (ej. PT1H30M, P1D)
+   * @param {number} minutes - Duración en minutos
+   * @returns {string}
+   */
+  static formatDuration(minutes) {
+    const days = Math.floor(minutes / (24 * 60));
+    const hours = Math.floor((minutes % (24 * 60)) / 60);
+    const mins = minutes % 60;
+
+    let duration = 'P';
+    if (days) duration += `${days}D`;
+    if (hours || mins) {
+      duration += 'T';
+      if (hours) duration += `${hours}H`;
+      if (mins) duration += `${mins}M`;
+    }
+
+    return duration === 'P' ? 'PT0M' : duration;
+  }
+
+  /**
+   * Construir un VEVENT
+   * @param {Object} event - Datos del evento
+   * @param {string} event.uid - Identificador estable
+   * @param {Date} event.start - Inicio
+   * @param {number} event.durationMinutes - Duración
+   * @param {string} event.summary - Título
+   * @param {string} event.description - Descripción
+   * @param {string} event.location - Dirección
+   * @param {Array} event.geo - [longitude, latitude]
+   * @param {string} event.url - Enlace al trabajo
+   * @param {string} event.status - CONFIRMED, TENTATIVE o CANCELLED
+   * @param {number} event.sequence - Versión del evento
+   * @param {Date} event.lastModified - Última modificación
+   * @returns {Array<string>} Líneas del evento
+   */
+  static buildEvent(event) {
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${this.formatDateTime(event.lastModified || new Date())}`,
+      `DTSTART:${this.formatDateTime(event.start)}`,
+      `DURATION:${this.formatDuration(event.durationMinutes)}`,
+      `SUMMARY:${this.escapeText(event.summary)}`
+    ];
+
+    if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+    if (event.geo && event.geo.length === 2) lines.push(`GEO:${event.geo[1]};${event.geo[0]}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${this.formatDateTime(event.lastModified)}`);
+
+    lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+    lines.push(`SEQUENCE:${event.sequence || 0}`);
+    lines.push('END:VEVENT');
+
+    return lines;
+  }
+
+  /**
+   * Construir un VCALENDAR completo
+   * @param {Object} calendar - Datos del calendario
+   * @param {string} calendar.name - Nombre visible
+   * @param {string} calendar.timeZone - Zona horaria sugerida
+   * @param {Array<Object>} calendar.events - Eventos (ver buildEvent)
+   * @returns {string} Contenido .ics
+   */
+  static buildCalendar(calendar) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//${this.escapeText(process.env.APP_NAME || 'ProServ')}//Agenda de servicios//ES`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(calendar.name)}`
+    ];
+
+    if (calendar.timeZone) lines.push(`X-WR-TIMEZONE:${calendar.timeZone}`);
+
+    calendar.events.forEach(event => {
+      lines.push(...this.buildEvent(event));
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join(CRLF) + CRLF;
+  }
+
+  /**
+   * Revertir el escapado de texto RFC 5545
+   * @param {string} value - Texto escapado
+   * @returns {string}
+   */
+  static unescapeText(value) {
+    return String(value).replace(/\\([\\;,nN])/g, (match, char) =>
+      (char === 'n' || char === 'N' ? '\n' : char)
+    );
+  }
+
+  /**
+   * Separar una línea de contenido en nombre, parámetros y valor
+   * @param {string} line - Línea ya desplegada (ej. DTSTART;TZID=America/Bogota:20261102T143000)
+   * @returns {Object|null} { name, params, value }
+   */
+  static parseLine(line) {
+    let inQuotes = false;
+    let separator = -1;
+
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        separator = i;
+        break;
+      }
+    }
+
+    if (separator === -1) return null;
+
+    const [name, ...rawParams] = line.slice(0, separator).split(';');
+    const params = {};
+    rawParams.forEach(param => {
+      const [key, ...rest] = param.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+  }
+
+  /**
+   * Extraer los VEVENT de un calendario
+   * Los componentes anidados (VALARM) se ignoran
+   * @param {string} text - Contenido .ics
+   * @returns {Array<Object>} Eventos como { PROPIEDAD: [{ value, params }] }
+   */
+  static parseEvents(text) {
+    const lines = String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const events = [];
+    let current = null;
+    let nestedDepth = 0;
+
+    lines.forEach(rawLine => {
+      const line = this.parseLine(rawLine.trim());
+      if (!line) return;
+
+      if (line.name === 'BEGIN') {
+        if (line.value.toUpperCase() === 'VEVENT' && !current) {
+          current = {};
+        } else if (current) {
+          nestedDepth += 1;
+        }
+        return;
+      }
+
+      if (line.name === 'END' && current) {
+        if (nestedDepth > 0) {
+          nestedDepth -= 1;
+        } else if (line.value.toUpperCase() === 'VEVENT') {
+          events.push(current);
+          current = null;
+        }
+        return;
+      }
+
+      if (current && nestedDepth === 0) {
+        current[line.name] = current[line.name] || [];
+        current[line.name].push({ value: line.value, params: line.params });
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Interpretar un valor DATE o DATE-TIME
+   * @param {string} value - Ej: 20261102, 20261102T143000, 20261102T143000Z
+   * @param {Object} params - Parámetros de la propiedad (TZID, VALUE)
+   * @returns {Object|null} { dateKey, time, allDay, utc, tzid }
+   */
+  static parseDateValue(value, params = {}) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, , utc] = match;
+
+    return {
+      dateKey: `${year}-${month}-${day}`,
+      time: hours ? `${hours}:${minutes}` : null,
+      allDay: !hours || params.VALUE === 'DATE',
+      utc: !!utc,
+      tzid: params.TZID || null
+    };
+  }
+
+  /**
+   * Convertir una duración ISO 8601 a minutos
+   * @param {string} value - Ej: PT1H30M, P1D, P1W
+   * @returns {number|null}
+   */
+  static parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const total = (parseInt(weeks) || 0) * 7 * 24 * 60 +
+      (parseInt(days) || 0) * 24 * 60 +
+      (parseInt(hours) || 0) * 60 +
+      (parseInt(minutes) || 0) +
+      Math.ceil((parseInt(seconds) || 0) / 60);
+
+    return sign === '-' ? -total : total;
+  }
+}
+
+module.exports = {
+  ICalUtils
+};
@@ -535,19 +535,24 @@ class NotificationService {
    * Notificar llegada del profesional
    */
   async notifyProfessionalArrival(client, serviceRequest, professional) {
+    // professional.userId puede venir poblado con el usuario del profesional
+    const professionalUser = professional.userId?.profile ? professional.userId : null;
+    const name = professional.businessInfo?.businessName || professionalUser?.profile.firstName || 'El profesional';
+    const phone = professional.profile?.phone || professionalUser?.profile.phone;
+
     const notificationData = {
       type: 'professional_arrived',
       title: 'El profesional ha llegado',
-      body: `${professional.businessInfo.businessName} está en tu ubicación`,
+      body: `${name} está en tu ubicación`,
       data: {
         serviceRequestId: serviceRequest._id.toString(),
         professionalId: professional._id.toString(),
-        professionalPhone: professional.profile.phone,
+        professionalPhone: phone,
         location: serviceRequest.location.address
       },
       channels: ['push', 'realTime', 'sms'],
       priority: 'high',
-      smsMessage: `${professional.businessInfo.businessName} ha llegado para tu servicio. Tel: ${professional.profile.phone}`
+      smsMessage: `${name} ha llegado para tu servicio.${phone ? ` Tel: ${phone}` : ''}`
     };
 
     return await this.sendCompleteNotification(client, notificationData);
@@ -149,6 +149,7 @@ class PaymentService {
         description,
         metadata = {},
         paymentMethodId,
+        paymentMethodOptions,
         confirmationMethod = 'manual',
         captureMethod = 'manual' // Para autorizar primero, capturar después
       } = paymentData;
@@ -180,6 +181,10 @@ class PaymentService {
         intentData.payment_method = paymentMethodId;
       }
 
+      if (paymentMethodOptions) {
+        intentData.payment_method_options = paymentMethodOptions;
+      }
+
       const paymentIntent = await this.stripeClient.paymentIntents.create(intentData);
 
       logger.info('Payment Intent creado', {
@@ -648,6 +653,134 @@ class PaymentService {
     }
   }
 
+  /**
+   * Aumentar el monto autorizado de un PaymentIntent de Stripe sin capturar
+   * @param {string} paymentIntentId - ID del payment intent
+   * @param {number} amount - Nuevo monto total autorizado
+   * @returns {Object} Resultado del incremento
+   */
+  async incrementStripeAuthorization(paymentIntentId, amount) {
+    try {
+      if (!this.stripeClient) {
+        throw new Error('Stripe no está configurado');
+      }
+
+      const paymentIntent = await this.stripeClient.paymentIntents.incrementAuthorization(paymentIntentId, {
+        amount: Math.round(amount * 100)
+      });
+
+      logger.info('Autorización de Stripe incrementada', {
+        paymentIntentId,
+        amount: paymentIntent.amount / 100
+      });
+
+      return {
+        success: true,
+        authorization: {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          amount: paymentIntent.amount / 100
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error incrementando autorización de Stripe', {
+        paymentIntentId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Reautorizar una autorización PayPal por un nuevo monto
+   * @param {string} authorizationId - ID de la autorización
+   * @param {number} amount - Nuevo monto total autorizado
+   * @param {string} currency - Moneda
+   * @returns {Object} Resultado de la reautorización
+   */
+  async reauthorizePayPalAuthorization(authorizationId, amount, currency = 'COP') {
+    try {
+      if (!this.paypalClient) {
+        throw new Error('PayPal no está configurado');
+      }
+
+      const request = new paypal.payments.AuthorizationsReauthorizeRequest(authorizationId);
+      request.requestBody({
+        amount: {
+          currency_code: currency.toUpperCase(),
+          value: amount.toFixed(2)
+        }
+      });
+
+      const authorization = await this.paypalClient.execute(request);
+
+      logger.info('Autorización PayPal renovada', {
+        authorizationId,
+        newAuthorizationId: authorization.result.id,
+        amount
+      });
+
+      return {
+        success: true,
+        authorization: {
+          id: authorization.result.id,
+          status: authorization.result.status,
+          amount
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error renovando autorización PayPal', {
+        authorizationId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Anular una autorización de PayPal sin capturarla
+   * @param {string} authorizationId - ID de la autorización
+   * @returns {Object} Resultado de la anulación
+   */
+  async voidPayPalAuthorization(authorizationId) {
+    try {
+      if (!this.paypalClient) {
+        throw new Error('PayPal no está configurado');
+      }
+
+      const request = new paypal.payments.AuthorizationsVoidRequest(authorizationId);
+      await this.paypalClient.execute(request);
+
+      logger.info('Autorización PayPal anulada', { authorizationId });
+
+      return {
+        success: true,
+        authorization: { id: authorizationId, status: 'VOIDED' }
+      };
+
+    } catch (error) {
+      logger.error('Error anulando autorización PayPal', {
+        authorizationId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Crear reembolso PayPal
    * @param {string} captureId - ID de la captura
@@ -702,6 +835,248 @@ class PaymentService {
     }
   }
 
+  /**
+   * Reembolsar un pago con el proveedor con el que se cobró
+   * @param {Object} refundData - Datos del reembolso
+   * @param {string} refundData.provider - Proveedor (stripe, paypal, ...)
+   * @param {string} refundData.providerPaymentId - Payment intent (Stripe) o captura (PayPal)
+   * @param {number} refundData.amount - Cantidad a reembolsar
+   * @param {string} refundData.currency - Moneda
+   * @returns {Object} { success, status: completed|processing, refundId, refund } o { success: false, error }
+   */
+  async refundPayment({ provider, providerPaymentId, amount, currency = 'COP' }) {
+    if (!providerPaymentId) {
+      return { success: false, error: 'El pago no tiene referencia del proveedor' };
+    }
+
+    if (provider === PAYMENT_PROVIDERS.STRIPE) {
+      const result = await this.createStripeRefund(providerPaymentId, amount);
+      if (!result.success) return result;
+
+      return {
+        success: true,
+        status: result.refund.status === 'succeeded' ? 'completed' : 'processing',
+        refundId: result.refund.id,
+        refund: result.refund
+      };
+    }
+
+    if (provider === PAYMENT_PROVIDERS.PAYPAL) {
+      const result = await this.createPayPalRefund(providerPaymentId, amount, currency);
+      if (!result.success) return result;
+
+      return {
+        success: true,
+        status: result.refund.status === 'COMPLETED' ? 'completed' : 'processing',
+        refundId: result.refund.refundId,
+        refund: result.refund
+      };
+    }
+
+    return {
+      success: false,
+      error: `Reembolsos automáticos no disponibles para ${provider}`
+    };
+  }
+
+  /**
+   * Cobrar de inmediato con un método de pago guardado (reservas sin cotización)
+   * @param {Object} chargeData - Datos del cobro
+   * @param {number} chargeData.amount - Cantidad a cobrar
+   * @param {string} chargeData.currency - Moneda
+   * @param {string} chargeData.paymentMethodId - Método de pago del proveedor
+   * @param {string} chargeData.description - Descripción del cobro
+   * @param {Object} chargeData.metadata - serviceRequestId, professionalId, clientId...
+   * @returns {Object} { success, provider, providerPaymentId, amount } o { success: false, error }
+   */
+  async chargePayment({ amount, currency = 'COP', paymentMethodId, description, metadata = {} }) {
+    if (!this.stripeClient) {
+      return { success: false, error: 'Los cobros inmediatos requieren Stripe configurado' };
+    }
+
+    const intent = await this.createStripePaymentIntent({
+      amount,
+      currency,
+      paymentMethodId,
+      description,
+      metadata,
+      captureMethod: 'automatic'
+    });
+    if (!intent.success) return intent;
+
+    const confirmation = await this.confirmStripePayment(intent.paymentIntent.id, paymentMethodId);
+    if (!confirmation.success) return confirmation;
+
+    if (confirmation.paymentIntent.status !== 'succeeded') {
+      // Autenticación adicional (3D Secure) u otro estado pendiente: se libera la intención
+      await this.cancelStripePayment(intent.paymentIntent.id, 'abandoned');
+      return {
+        success: false,
+        error: `El pago no se completó (estado: ${confirmation.paymentIntent.status})`
+      };
+    }
+
+    return {
+      success: true,
+      provider: PAYMENT_PROVIDERS.STRIPE,
+      providerPaymentId: confirmation.paymentIntent.id,
+      amount: confirmation.paymentIntent.amount,
+      payment: confirmation.paymentIntent
+    };
+  }
+
+  /**
+   * Autorizar un cobro sin capturarlo: el monto queda retenido hasta que el
+   * cliente confirme el servicio (CompletionService.capturePayment)
+   * @param {Object} authorizationData - Datos de la autorización
+   * @param {number} authorizationData.amount - Cantidad a autorizar
+   * @param {string} authorizationData.currency - Moneda
+   * @param {string} authorizationData.paymentMethodId - Método de pago del proveedor
+   * @param {string} authorizationData.description - Descripción del cobro
+   * @param {Object} authorizationData.metadata - serviceRequestId, professionalId, clientId...
+   * @returns {Object} { success, status: processing, provider, providerPaymentId, amount } o { success: false, error }
+   */
+  async authorizePayment({ amount, currency = 'COP', paymentMethodId, description, metadata = {} }) {
+    if (!this.stripeClient) {
+      return { success: false, error: 'Las autorizaciones de pago requieren Stripe configurado' };
+    }
+
+    const intent = await this.createStripePaymentIntent({
+      amount,
+      currency,
+      paymentMethodId,
+      description,
+      metadata,
+      captureMethod: 'manual',
+      // Las órdenes de cambio aumentan el monto autorizado antes de capturar
+      paymentMethodOptions: { card: { request_incremental_authorization_support: true } }
+    });
+    if (!intent.success) return intent;
+
+    const confirmation = await this.confirmStripePayment(intent.paymentIntent.id, paymentMethodId);
+    if (!confirmation.success) return confirmation;
+
+    if (confirmation.paymentIntent.status !== 'requires_capture') {
+      await this.cancelStripePayment(intent.paymentIntent.id, 'abandoned');
+      return {
+        success: false,
+        error: `El pago no quedó autorizado (estado: ${confirmation.paymentIntent.status})`
+      };
+    }
+
+    return {
+      success: true,
+      status: 'processing',
+      provider: PAYMENT_PROVIDERS.STRIPE,
+      providerPaymentId: confirmation.paymentIntent.id,
+      amount: confirmation.paymentIntent.amount,
+      payment: confirmation.paymentIntent
+    };
+  }
+
+  /**
+   * Capturar un pago autorizado con el proveedor con el que se autorizó
+   * @param {Object} captureData - Datos de la captura
+   * @param {string} captureData.provider - Proveedor (stripe, paypal, ...)
+   * @param {string} captureData.providerPaymentId - Payment intent (Stripe) o autorización (PayPal)
+   * @param {number} captureData.amount - Cantidad a capturar
+   * @param {string} captureData.currency - Moneda
+   * @returns {Object} { success, captureId, amount, capture } o { success: false, error }
+   */
+  async capturePayment({ provider, providerPaymentId, amount, currency = 'COP' }) {
+    if (!providerPaymentId) {
+      return { success: false, error: 'El pago no tiene referencia del proveedor' };
+    }
+
+    if (provider === PAYMENT_PROVIDERS.STRIPE) {
+      const result = await this.captureStripePayment(providerPaymentId, amount);
+      if (!result.success) return result;
+
+      return {
+        success: true,
+        captureId: result.paymentIntent.id,
+        amount: result.paymentIntent.amountCaptured,
+        capture: result.paymentIntent
+      };
+    }
+
+    if (provider === PAYMENT_PROVIDERS.PAYPAL) {
+      const result = await this.capturePayPalAuthorization(providerPaymentId, amount, currency);
+      if (!result.success) return result;
+
+      // Los reembolsos de PayPal se hacen sobre la captura, no sobre la autorización
+      return {
+        success: true,
+        captureId: result.capture.captureId,
+        amount: result.capture.amount,
+        capture: result.capture
+      };
+    }
+
+    return {
+      success: false,
+      error: `Capturas automáticas no disponibles para ${provider}`
+    };
+  }
+
+  /**
+   * Liberar un pago autorizado sin capturar nada
+   * @param {Object} voidData - Datos de la anulación
+   * @param {string} voidData.provider - Proveedor (stripe, paypal, ...)
+   * @param {string} voidData.providerPaymentId - Payment intent (Stripe) o autorización (PayPal)
+   * @returns {Object} { success } o { success: false, error }
+   */
+  async voidAuthorization({ provider, providerPaymentId }) {
+    if (!providerPaymentId) {
+      return { success: false, error: 'El pago no tiene referencia del proveedor' };
+    }
+
+    if (provider === PAYMENT_PROVIDERS.STRIPE) {
+      const result = await this.cancelStripePayment(providerPaymentId);
+      return result.success ? { success: true } : result;
+    }
+
+    if (provider === PAYMENT_PROVIDERS.PAYPAL) {
+      const result = await this.voidPayPalAuthorization(providerPaymentId);
+      return result.success ? { success: true } : result;
+    }
+
+    return {
+      success: false,
+      error: `Anulaciones automáticas no disponibles para ${provider}`
+    };
+  }
+
+  /**
+   * Aumentar el monto autorizado de un pago aún no capturado
+   * @param {Object} authorizationData - Datos de la autorización
+   * @param {string} authorizationData.provider - Proveedor (stripe, paypal, ...)
+   * @param {string} authorizationData.providerPaymentId - Payment intent (Stripe) o autorización (PayPal)
+   * @param {number} authorizationData.amount - Nuevo monto total autorizado
+   * @param {string} authorizationData.currency - Moneda
+   * @returns {Object} { success, authorizationId, amount } o { success: false, error }
+   */
+  async increaseAuthorization({ provider, providerPaymentId, amount, currency = 'COP' }) {
+    if (!providerPaymentId) {
+      return { success: false, error: 'El pago no tiene referencia del proveedor' };
+    }
+
+    const result = provider === PAYMENT_PROVIDERS.STRIPE
+      ? await this.incrementStripeAuthorization(providerPaymentId, amount)
+      : provider === PAYMENT_PROVIDERS.PAYPAL
+        // PayPal emite una autorización nueva; la captura debe hacerse sobre ella
+        ? await this.reauthorizePayPalAuthorization(providerPaymentId, amount, currency)
+        : { success: false, error: `Incrementos de autorización no disponibles para ${provider}` };
+
+    if (!result.success) return result;
+
+    return {
+      success: true,
+      authorizationId: result.authorization.id,
+      amount: result.authorization.amount
+    };
+  }
+
   /**
    * Calcular comisiones de la plataforma
    * @param {number} amount - Cantidad base
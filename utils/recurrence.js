@@ -0,0 +1,277 @@
+const { AppError } = require('./errors');
+const {
+  RECURRENCE_FREQUENCIES,
+  RECURRENCE_WEEKDAYS,
+  SERIES_GENERATION
+} = require('../config/recurrence');
+
+/**
+ * Utilidades para reglas de recurrencia estilo RRULE
+ * Las fechas de ocurrencia se manejan como días calendario (medianoche UTC);
+ * la hora del servicio se guarda aparte en scheduling.preferredTime
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RecurrenceUtils {
+  /**
+   * Normalizar una fecha al inicio del día (UTC)
+   * @param {Date|string} date - Fecha
+   * @returns {Date}
+   */
+  static startOfDay(date) {
+    const d = new Date(date);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  }
+
+  /**
+   * Sumar días a una fecha
+   * @param {Date} date - Fecha base
+   * @param {number} days - Días a sumar
+   * @returns {Date}
+   */
+  static addDays(date, days) {
+    return new Date(this.startOfDay(date).getTime() + days * DAY_MS);
+  }
+
+  /**
+   * Formatear una fecha como YYYY-MM-DD
+   * @param {Date} date - Fecha
+   * @returns {string}
+   */
+  static toDateKey(date) {
+    return this.startOfDay(date).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Completar una regla con los valores implícitos de la fecha de inicio
+   * @param {Object} recurrence - Regla de recurrencia
+   * @returns {Object} Regla normalizada
+   */
+  static normalize(recurrence) {
+    const startDate = this.startOfDay(recurrence.startDate);
+    const normalized = {
+      frequency: recurrence.frequency,
+      interval: recurrence.interval || 1,
+      byWeekday: recurrence.byWeekday && recurrence.byWeekday.length ? [...recurrence.byWeekday] : [],
+      byMonthDay: recurrence.byMonthDay || null,
+      startDate,
+      endDate: recurrence.endDate ? this.startOfDay(recurrence.endDate) : null,
+      count: recurrence.count || null
+    };
+
+    if (!RECURRENCE_FREQUENCIES.includes(normalized.frequency)) {
+      throw new AppError(`Frecuencia no soportada: ${normalized.frequency}`, 400, 'INVALID_RECURRENCE');
+    }
+
+    if (normalized.frequency === 'weekly' && normalized.byWeekday.length === 0) {
+      const weekday = Object.keys(RECURRENCE_WEEKDAYS)
+        .find(code => RECURRENCE_WEEKDAYS[code] === startDate.getUTCDay());
+      normalized.byWeekday = [weekday];
+    }
+
+    if (normalized.frequency === 'monthly' && !normalized.byMonthDay) {
+      normalized.byMonthDay = startDate.getUTCDate();
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Expandir una regla en fechas de ocurrencia dentro de un rango
+   * @param {Object} recurrence - Regla (frequency, interval, byWeekday, byMonthDay, startDate, endDate, count)
+   * @param {Date} rangeStart - Inicio del rango (inclusive)
+   * @param {Date} rangeEnd - Fin del rango (inclusive)
+   * @returns {Array<Date>} Fechas de ocurrencia
+   */
+  static getOccurrences(recurrence, rangeStart, rangeEnd) {
+    const rule = this.normalize(recurrence);
+    const from = this.startOfDay(rangeStart);
+    const to = rule.endDate && rule.endDate < this.startOfDay(rangeEnd)
+      ? rule.endDate
+      : this.startOfDay(rangeEnd);
+
+    const occurrences = [];
+
+    for (const { date, index } of this.iterate(rule, from)) {
+      if (date > to) break;
+      if (rule.count && index >= rule.count) break;
+
+      if (date >= from) {
+        occurrences.push(date);
+      }
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Contar las ocurrencias anteriores a una fecha
+   * @param {Object} recurrence - Regla de recurrencia
+   * @param {Date} date - Fecha límite (exclusive)
+   * @returns {number}
+   */
+  static countBefore(recurrence, date) {
+    const rule = this.normalize(recurrence);
+    let limit = this.startOfDay(date);
+    if (rule.endDate && rule.endDate < limit) limit = this.addDays(rule.endDate, 1);
+    if (limit <= rule.startDate) return 0;
+
+    // La posición de la primera ocurrencia desde el límite es la cantidad anterior
+    for (const { date: occurrence, index } of this.iterate(rule, limit)) {
+      if (occurrence >= limit) {
+        return rule.count ? Math.min(index, rule.count) : index;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Verificar si una fecha corresponde a una ocurrencia de la regla
+   * @param {Object} recurrence - Regla de recurrencia
+   * @param {Date} date - Fecha a verificar
+   * @returns {boolean}
+   */
+  static isOccurrence(recurrence, date) {
+    return this.getOccurrences(recurrence, date, date).length === 1;
+  }
+
+  /**
+   * Generador de ocurrencias en orden cronológico a partir del periodo que
+   * contiene una fecha. Los periodos anteriores se saltan calculando cuántas
+   * ocurrencias tenían, así que el límite de iteraciones aplica a la ventana
+   * consultada y no a la antigüedad de la serie
+   * @param {Object} rule - Regla normalizada
+   * @param {Date} from - Fecha desde la que interesan las ocurrencias
+   * @yields {{ date: Date, index: number }} Fecha y posición en la serie (desde 0)
+   */
+  static * iterate(rule, from = rule.startDate) {
+    let iterations = 0;
+
+    if (rule.frequency === 'weekly') {
+      // Lunes de la semana de inicio como ancla
+      const anchor = this.addDays(rule.startDate, -((rule.startDate.getUTCDay() + 6) % 7));
+      const offsets = rule.byWeekday
+        .map(code => (RECURRENCE_WEEKDAYS[code] + 6) % 7)
+        .sort((a, b) => a - b);
+      // Días de la primera semana anteriores al inicio (no son ocurrencias)
+      const beforeStart = offsets.filter(offset => this.addDays(anchor, offset) < rule.startDate).length;
+
+      const weeksToFrom = Math.floor((this.startOfDay(from) - anchor) / (7 * DAY_MS));
+      const skipped = Math.max(0, Math.floor(weeksToFrom / rule.interval));
+      let index = skipped > 0 ? skipped * offsets.length - beforeStart : 0;
+
+      for (let week = skipped * rule.interval; iterations < SERIES_GENERATION.maxIterations; week += rule.interval) {
+        for (const offset of offsets) {
+          iterations += 1;
+          const date = this.addDays(anchor, week * 7 + offset);
+          if (date >= rule.startDate) yield { date, index: index++ };
+        }
+      }
+    } else {
+      // Mensual: se usa el último día del mes cuando el día no existe (ej. 31)
+      const startYear = rule.startDate.getUTCFullYear();
+      const startMonth = rule.startDate.getUTCMonth();
+      const dateInMonth = (month) => {
+        const daysInMonth = new Date(Date.UTC(startYear, startMonth + month + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(startYear, startMonth + month, Math.min(rule.byMonthDay, daysInMonth)));
+      };
+      const beforeStart = dateInMonth(0) < rule.startDate ? 1 : 0;
+
+      const fromDay = this.startOfDay(from);
+      const monthsToFrom = (fromDay.getUTCFullYear() - startYear) * 12 + fromDay.getUTCMonth() - startMonth;
+      const skipped = Math.max(0, Math.floor(monthsToFrom / rule.interval));
+      let index = skipped > 0 ? skipped - beforeStart : 0;
+
+      for (let month = skipped * rule.interval; iterations < SERIES_GENERATION.maxIterations; month += rule.interval) {
+        iterations += 1;
+        const date = dateInMonth(month);
+        if (date >= rule.startDate) yield { date, index: index++ };
+      }
+    }
+
+    throw new AppError(
+      'La regla de recurrencia no se puede expandir en el rango pedido',
+      400,
+      'INVALID_RECURRENCE'
+    );
+  }
+
+  /**
+   * Convertir una regla a texto RRULE (RFC 5545)
+   * @param {Object} recurrence - Regla de recurrencia
+   * @returns {string}
+   */
+  static toRRule(recurrence) {
+    const rule = this.normalize(recurrence);
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`, `INTERVAL=${rule.interval}`];
+
+    if (rule.frequency === 'weekly') {
+      parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+    } else {
+      parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+    }
+
+    if (rule.endDate) {
+      parts.push(`UNTIL=${this.toDateKey(rule.endDate).replace(/-/g, '')}`);
+    }
+
+    if (rule.count) {
+      parts.push(`COUNT=${rule.count}`);
+    }
+
+    return parts.join(';');
+  }
+
+  /**
+   * Interpretar un texto RRULE (subconjunto soportado)
+   * @param {string} rrule - Ej: FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH
+   * @returns {Object} Regla parcial (sin startDate)
+   */
+  static parseRRule(rrule) {
+    const recurrence = {};
+    const source = String(rrule).replace(/^RRULE:/i, '');
+
+    source.split(';').filter(Boolean).forEach(part => {
+      const [key, value] = part.split('=');
+
+      switch ((key || '').toUpperCase()) {
+        case 'FREQ':
+          recurrence.frequency = value.toLowerCase();
+          break;
+        case 'INTERVAL':
+          recurrence.interval = parseInt(value);
+          break;
+        case 'BYDAY':
+          recurrence.byWeekday = value.toUpperCase().split(',');
+          break;
+        case 'BYMONTHDAY':
+          recurrence.byMonthDay = parseInt(value);
+          break;
+        case 'UNTIL':
+          recurrence.endDate = new Date(`${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}T00:00:00Z`);
+          break;
+        case 'COUNT':
+          recurrence.count = parseInt(value);
+          break;
+        default:
+          throw new AppError(`Parte de RRULE no soportada: ${part}`, 400, 'INVALID_RECURRENCE');
+      }
+    });
+
+    if (!RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+      throw new AppError('RRULE debe incluir FREQ=WEEKLY o FREQ=MONTHLY', 400, 'INVALID_RECURRENCE');
+    }
+
+    const invalidDays = (recurrence.byWeekday || []).filter(code => !(code in RECURRENCE_WEEKDAYS));
+    if (invalidDays.length) {
+      throw new AppError(`Días inválidos en BYDAY: ${invalidDays.join(',')}`, 400, 'INVALID_RECURRENCE');
+    }
+
+    return recurrence;
+  }
+}
+
+module.exports = {
+  RecurrenceUtils
+};
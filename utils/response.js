@@ -1,4 +1,5 @@
 const logger = require('./logger');
+const { AppError } = require('./errors');
 
 /**
  * Utilidades para estandarizar las respuestas HTTP de la API
@@ -414,6 +415,28 @@ const domainResponses = {
   }
 };
 
+/**
+ * Responder desde un controlador un error capturado: errores tipados de la
+ * aplicación con su estado, validaciones de Mongoose como 400 y el resto como
+ * error interno registrado en el log
+ * @param {Object} res - Response object
+ * @param {Error} error - Error capturado
+ * @param {string} message - Mensaje para errores inesperados
+ * @param {Object} context - Datos para el log
+ */
+const handleControllerError = (res, error, message, context = {}) => {
+  if (error instanceof AppError) {
+    return res.error(error.message, error.statusCode, error.details);
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.badRequest(error.message);
+  }
+
+  logger.error(`${message}:`, { error: error.message, ...context });
+  return res.serverError(message);
+};
+
 /**
  * Manejador de errores global
  */
@@ -421,6 +444,11 @@ const errorHandler = (err, req, res, next) => {
   // Log del error
   logger.logError(err, req);
 
+  // Errores tipados de la aplicación (utils/errors.js)
+  if (err instanceof AppError) {
+    return new ApiResponse(res).error(err.message, err.statusCode, err.details, err.code);
+  }
+
   // Errores de validación de Mongoose
   if (err.name === 'ValidationError') {
     const errors = Object.values(err.errors).map(e => ({
@@ -459,5 +487,6 @@ module.exports = {
   ApiResponse,
   responseMiddleware,
   domainResponses,
-  errorHandler
+  errorHandler,
+  handleControllerError
 };
\ No newline at end of file
@@ -0,0 +1,66 @@
+const ServiceRequest = require('../models/ServiceRequest');
+const NotificationService = require('../services/NotificationService');
+const logger = require('./logger');
+const { AppError } = require('./errors');
+
+/**
+ * Utilidades compartidas por los servicios y controladores que operan sobre
+ * una solicitud de servicio existente
+ */
+
+/**
+ * Cargar una solicitud de servicio o lanzar 404
+ * @param {string} id - ID de la solicitud
+ * @param {string} fields - Proyección opcional (ej. 'clientId professionalId status')
+ * @returns {Promise<Object>} Solicitud
+ */
+async function loadServiceRequest(id, fields = null) {
+  let serviceRequest = null;
+
+  if (id) {
+    const query = ServiceRequest.findById(id);
+    serviceRequest = await (fields ? query.select(fields) : query);
+  }
+
+  if (!serviceRequest) {
+    throw new AppError('Solicitud de servicio no encontrada', 404, 'SERVICE_REQUEST_NOT_FOUND');
+  }
+  return serviceRequest;
+}
+
+/**
+ * Notificar a un usuario sobre una solicitud sin interrumpir el flujo si falla
+ * @param {Object} recipientId - Usuario destinatario
+ * @param {Object} serviceRequest - Solicitud de servicio
+ * @param {string} templateKey - Template de NotificationService
+ * @param {Object} data - Datos adicionales del template
+ * @param {Object} metadata - IDs adicionales de la notificación (ej. { quoteId })
+ */
+async function notifyServiceRequestUser(recipientId, serviceRequest, templateKey, data = {}, metadata = {}) {
+  if (!recipientId) return;
+
+  try {
+    await NotificationService.sendNotification(recipientId, templateKey, {
+      serviceRequestId: serviceRequest._id,
+      serviceTitle: serviceRequest.service?.title || 'Servicio',
+      ...data
+    }, {
+      metadata: {
+        serviceRequestId: serviceRequest._id,
+        ...metadata
+      }
+    });
+  } catch (error) {
+    logger.warn('Error enviando notificación de la solicitud', {
+      serviceRequestId: serviceRequest._id,
+      ...metadata,
+      templateKey,
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  loadServiceRequest,
+  notifyServiceRequestUser
+};
@@ -637,35 +637,47 @@ class StorageService {
    * Limpiar archivos temporales antiguos
    * @param {string} directory - Directorio a limpiar
    * @param {number} maxAge - Edad máxima en milisegundos
+   * @returns {Promise<Object>} { directory, deletedCount, totalFiles }
    */
   async cleanupTempFiles(directory = './uploads/temp', maxAge = 24 * 60 * 60 * 1000) {
+    let files;
+
     try {
-      const files = await fs.readdir(directory);
-      const now = Date.now();
-      let deletedCount = 0;
+      files = await fs.readdir(directory);
+    } catch (error) {
+      // Sin directorio temporal no hay nada que limpiar
+      if (error.code === 'ENOENT') return { directory, deletedCount: 0, totalFiles: 0 };
+      throw error;
+    }
 
-      for (const file of files) {
-        const filePath = path.join(directory, file);
+    const now = Date.now();
+    let deletedCount = 0;
+
+    for (const file of files) {
+      const filePath = path.join(directory, file);
+
+      try {
         const stats = await fs.stat(filePath);
-        
-        if (now - stats.mtime.getTime() > maxAge) {
+
+        if (stats.isFile() && now - stats.mtime.getTime() > maxAge) {
           await fs.unlink(filePath);
           deletedCount++;
         }
+      } catch (error) {
+        logger.warn('Error eliminando archivo temporal', {
+          filePath,
+          error: error.message
+        });
       }
-
-      logger.info('Limpieza de archivos temporales completada', {
-        directory,
-        deletedCount,
-        totalFiles: files.length
-      });
-      
-    } catch (error) {
-      logger.error('Error limpiando archivos temporales', {
-        directory,
-        error: error.message
-      });
     }
+
+    logger.info('Limpieza de archivos temporales completada', {
+      directory,
+      deletedCount,
+      totalFiles: files.length
+    });
+
+    return { directory, deletedCount, totalFiles: files.length };
   }
 
   /**
@@ -0,0 +1,138 @@
+/**
+ * Utilidades para convertir entre hora local de una zona horaria y UTC
+ * Usa Intl (ICU de Node) para no depender de librerías externas
+ */
+
+const formatters = new Map();
+
+class TimezoneUtils {
+  /**
+   * Obtener (y cachear) un formateador para la zona
+   * @param {string} timeZone - Zona IANA (ej. America/Bogota)
+   * @returns {Intl.DateTimeFormat}
+   */
+  static getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }));
+    }
+    return formatters.get(timeZone);
+  }
+
+  /**
+   * Verificar si una zona horaria es válida
+   * @param {string} timeZone - Zona IANA
+   * @returns {boolean}
+   */
+  static isValidTimeZone(timeZone) {
+    try {
+      this.getFormatter(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Obtener las partes de fecha/hora locales de un instante
+   * @param {Date} date - Instante
+   * @param {string} timeZone - Zona IANA
+   * @returns {Object} { dateKey: 'YYYY-MM-DD', time: 'HH:MM', weekday: 0-6 }
+   */
+  static toLocal(date, timeZone) {
+    const parts = {};
+    this.getFormatter(timeZone).formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    const dateKey = `${parts.year}-${parts.month}-${parts.day}`;
+
+    return {
+      dateKey,
+      time: `${parts.hour}:${parts.minute}`,
+      weekday: new Date(`${dateKey}T00:00:00Z`).getUTCDay()
+    };
+  }
+
+  /**
+   * Diferencia en minutos entre la hora local y UTC para un instante
+   * @param {Date} date - Instante
+   * @param {string} timeZone - Zona IANA
+   * @returns {number} Minutos (ej. -300 para America/Bogota)
+   */
+  static getOffsetMinutes(date, timeZone) {
+    const parts = {};
+    this.getFormatter(timeZone).formatToParts(date).forEach(part => {
+      parts[part.type] = parseInt(part.value);
+    });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  }
+
+  /**
+   * Convertir una fecha y hora locales a un instante UTC
+   * @param {string} dateKey - Fecha local 'YYYY-MM-DD'
+   * @param {string} time - Hora local 'HH:MM'
+   * @param {string} timeZone - Zona IANA
+   * @returns {Date}
+   */
+  static toUtc(dateKey, time, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Dos pasadas para resolver correctamente los cambios de horario
+    const firstOffset = this.getOffsetMinutes(new Date(wallClock), timeZone);
+    let result = wallClock - firstOffset * 60000;
+    const secondOffset = this.getOffsetMinutes(new Date(result), timeZone);
+    if (secondOffset !== firstOffset) {
+      result = wallClock - secondOffset * 60000;
+    }
+
+    return new Date(result);
+  }
+
+  /**
+   * Clave de día calendario de una fecha almacenada como medianoche UTC
+   * @param {Date|string} date - Fecha
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  static toDateKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Sumar días a una clave de día
+   * @param {string} dateKey - 'YYYY-MM-DD'
+   * @param {number} days - Días a sumar
+   * @returns {string}
+   */
+  static addDaysToKey(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return this.toDateKey(date);
+  }
+
+  /**
+   * Convertir 'HH:MM' a minutos desde medianoche
+   * @param {string} time - Hora
+   * @returns {number}
+   */
+  static timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+}
+
+module.exports = {
+  TimezoneUtils
+};
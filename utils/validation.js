@@ -1,5 +1,22 @@
 const Joi = require('joi');
 const mongoose = require('mongoose');
+const {
+  RECURRENCE_FREQUENCIES,
+  RECURRENCE_WEEKDAYS,
+  RECURRENCE_PRESETS,
+  SERIES_GENERATION
+} = require('../config/recurrence');
+const { RESCHEDULE_CONFIG, INSTANT_BOOKING_CONFIG } = require('../config/scheduling');
+const { CANCELLATION_POLICIES } = require('../config/cancellation-policies');
+const { DISPUTE_CATEGORIES, DISPUTE_OUTCOMES, DISPUTE_CONFIG } = require('../config/disputes');
+const { COMPLETION_CONFIG } = require('../config/completion');
+const { WARRANTY_DECISIONS } = require('../config/warranty');
+const { CHANGE_ORDER_CONFIG } = require('../config/change-orders');
+const { QUOTE_CONFIG, QUOTE_COMPARISON_CRITERIA, BIDDING_MODES, BIDDING_CONFIG } = require('../config/quotes');
+const { RANKING_FACTORS, RANKING_CONFIG } = require('../config/ranking');
+const { SAVED_SEARCH_CONFIG } = require('../config/saved-searches');
+const { SERVICE_CATEGORY_CONFIG, CREDENTIAL_TYPES, PRICING_HINT_UNITS } = require('../config/service-categories');
+const { PRICE_ESTIMATE_CONFIG, URGENCY_PRICE_FACTORS } = require('../config/price-estimates');
 
 // Validaciones personalizadas
 const customValidations = {
@@ -67,13 +84,10 @@ const customValidations = {
   // Validar duración en minutos
   duration: Joi.number().integer().min(15).max(480), // 15 min a 8 horas
 
-  // Validar categoría de servicio
-  serviceCategory: Joi.string().valid(
-    'limpieza', 'reparaciones', 'jardineria', 'plomeria', 'electricidad',
-    'pintura', 'carpinteria', 'tecnologia', 'tutoria', 'cuidado_personal',
-    'eventos', 'transporte', 'consultoria', 'diseno', 'fotografia',
-    'cocina', 'mascotas', 'salud', 'fitness', 'otros'
-  ),
+  // Validar slug de categoría de servicio (su existencia la validan los modelos contra ServiceCategory)
+  serviceCategory: Joi.string().trim().max(50).pattern(SERVICE_CATEGORY_CONFIG.slugPattern).messages({
+    'string.pattern.base': 'Categoría de servicio inválida'
+  }),
 
   // Validar urgencia
   urgency: Joi.string().valid('baja', 'media', 'alta', 'urgente'),
@@ -104,6 +118,96 @@ const customValidations = {
   timezone: Joi.string().pattern(/^[A-Za-z_]+\/[A-Za-z_]+$/)
 };
 
+// Evidencia adjunta a disputas: mensajes del chat e id de factura.
+// messageIds llega como arreglo (JSON) o texto separado por comas (multipart)
+const disputeEvidenceKeys = {
+  messageIds: Joi.alternatives().try(
+    Joi.array().items(customValidations.objectId).max(DISPUTE_CONFIG.maxChatExcerptMessages),
+    Joi.string().pattern(/^[a-f\d]{24}(\s*,\s*[a-f\d]{24})*$/i)
+  ),
+  invoiceId: customValidations.objectId,
+  evidenceDescription: Joi.string().trim().max(500)
+};
+
+// Arreglo de objetos que en multipart llega como texto JSON
+const jsonArray = (arraySchema) => Joi.alternatives().try(
+  arraySchema,
+  Joi.string().custom((value, helpers) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return helpers.message('{{#label}} debe ser un arreglo JSON válido');
+    }
+
+    const { error, value: validated } = arraySchema.validate(parsed);
+    if (error) return helpers.message(error.message);
+    return validated;
+  }, 'JSON array')
+);
+
+// Términos de una oferta de cotización
+const quoteOfferKeys = {
+  price: customValidations.price,
+  description: Joi.string().trim().min(10).max(2000),
+  estimatedDuration: Joi.object({
+    value: Joi.number().positive().required(),
+    unit: Joi.string().valid('minutes', 'hours', 'days').required()
+  }),
+  availableDate: customValidations.futureDate,
+  availableTime: customValidations.timeFormat,
+  materials: Joi.array().items(Joi.object({
+    name: Joi.string().trim().max(200).required(),
+    quantity: Joi.number().positive().required(),
+    unitPrice: Joi.number().min(0).required()
+  })).max(QUOTE_CONFIG.maxMaterials),
+  transportCost: Joi.number().min(0),
+  warrantyDays: Joi.number().integer().min(0).max(365),
+  terms: Joi.string().trim().max(1000),
+  validUntil: customValidations.futureDate
+};
+
+// Campos editables de una categoría de servicio
+const serviceCategoryKeys = {
+  name: Joi.object({
+    es: Joi.string().trim().max(80).required(),
+    en: Joi.string().trim().max(80).required()
+  }),
+  icon: Joi.string().trim().max(50).allow(''),
+  pricingHint: Joi.object({
+    min: Joi.number().min(0),
+    max: Joi.number().min(0),
+    currency: Joi.string().valid('COP', 'USD'),
+    unit: Joi.string().valid(...PRICING_HINT_UNITS)
+  }),
+  cancellationPolicy: Joi.string().valid(...Object.keys(CANCELLATION_POLICIES)),
+  requiredCredentials: Joi.array().items(Joi.object({
+    type: Joi.string().valid(...CREDENTIAL_TYPES).required(),
+    description: Joi.string().trim().max(200).required()
+  })).max(10),
+  sortOrder: Joi.number().integer().min(0),
+  isActive: Joi.boolean()
+};
+
+// Nombre y filtros de una búsqueda guardada
+const savedSearchKeys = {
+  name: Joi.string().trim().min(1).max(SAVED_SEARCH_CONFIG.maxNameLength),
+  category: Joi.string().trim().max(50),
+  subcategory: Joi.string().trim().max(100),
+  coordinates: customValidations.coordinates,
+  address: Joi.string().trim().max(200),
+  radiusKm: Joi.number().min(1).max(SAVED_SEARCH_CONFIG.maxRadiusKm),
+  maxPrice: customValidations.price,
+  minRating: Joi.number().min(0).max(5)
+};
+
+// Decisión del cliente por ítem de una orden de cambio
+const changeOrderDecisions = Joi.array().items(Joi.object({
+  itemId: customValidations.objectId.required(),
+  decision: Joi.string().valid('approve', 'reject').required(),
+  reason: Joi.string().trim().max(500)
+})).min(1).max(CHANGE_ORDER_CONFIG.maxItemsPerOrder);
+
 // Esquemas de validación para diferentes entidades
 const schemas = {
   // Registro de usuario
@@ -264,23 +368,359 @@ const schemas = {
     paymentMethod: customValidations.paymentMethod.required()
   }),
 
-  // Cotización
-  quote: Joi.object({
+  // Serie recurrente de servicios
+  serviceSeries: Joi.object({
+    professionalId: customValidations.objectId,
+    service: Joi.object({
+      category: Joi.string().required(),
+      subcategory: Joi.string().required(),
+      title: Joi.string().max(100).required(),
+      description: Joi.string().max(1000).required(),
+      requirements: Joi.array().items(Joi.string().max(100)).max(10)
+    }).required(),
+    location: Joi.object({
+      address: Joi.object({
+        street: Joi.string().required(),
+        city: Joi.string().required(),
+        state: Joi.string().required(),
+        zipCode: Joi.string().required(),
+        country: Joi.string(),
+        fullAddress: Joi.string().required()
+      }).required(),
+      coordinates: customValidations.coordinates.required(),
+      instructions: Joi.string().max(500),
+      accessInfo: Joi.object({
+        buildingNumber: Joi.string(),
+        floor: Joi.string(),
+        apartment: Joi.string(),
+        accessCode: Joi.string(),
+        parkingInfo: Joi.string()
+      })
+    }).required(),
+    scheduling: Joi.object({
+      preferredTime: customValidations.timeFormat.required(),
+      flexibility: Joi.string().valid('strict', 'flexible', 'asap'),
+      estimatedDuration: Joi.object({
+        value: Joi.number().min(15).required(),
+        unit: Joi.string().valid('minutes', 'hours', 'days')
+      })
+    }).required(),
+    pricing: Joi.object({
+      estimatedCost: Joi.number().min(0),
+      quotedCost: Joi.number().min(0),
+      currency: Joi.string().valid('COP', 'USD'),
+      paymentMethod: Joi.string().valid('cash', 'card', 'transfer', 'digital_wallet')
+    }),
+    recurrence: Joi.object({
+      preset: Joi.string().valid(...Object.keys(RECURRENCE_PRESETS)),
+      rrule: Joi.string().max(200),
+      frequency: Joi.string().valid(...RECURRENCE_FREQUENCIES),
+      interval: Joi.number().integer().min(1).max(SERIES_GENERATION.maxInterval),
+      byWeekday: Joi.array().items(Joi.string().valid(...Object.keys(RECURRENCE_WEEKDAYS))).max(7).unique(),
+      byMonthDay: Joi.number().integer().min(1).max(31),
+      startDate: Joi.date().required(),
+      endDate: Joi.date().greater(Joi.ref('startDate')),
+      count: Joi.number().integer().min(1).max(SERIES_GENERATION.maxCount),
+      timeZone: customValidations.timezone
+    }).or('preset', 'rrule', 'frequency').required()
+  }),
+
+  // Omitir ocurrencia de una serie
+  seriesOccurrenceSkip: Joi.object({
+    scope: Joi.string().valid('this', 'future').default('this'),
+    reason: Joi.string().max(500)
+  }),
+
+  // Editar ocurrencia(s) de una serie
+  seriesOccurrenceUpdate: Joi.object({
+    scope: Joi.string().valid('this', 'future').default('this'),
+    reason: Joi.string().max(500),
+    changes: Joi.object({
+      preferredDate: customValidations.futureDate,
+      preferredTime: customValidations.timeFormat,
+      flexibility: Joi.string().valid('strict', 'flexible', 'asap'),
+      estimatedDuration: Joi.object({
+        value: Joi.number().min(15).required(),
+        unit: Joi.string().valid('minutes', 'hours', 'days')
+      }),
+      description: Joi.string().max(1000),
+      requirements: Joi.array().items(Joi.string().max(100)).max(10),
+      instructions: Joi.string().max(500),
+      quotedCost: Joi.number().min(0)
+    }).min(1).required()
+  }),
+
+  // Pausar serie
+  seriesPause: Joi.object({
+    resumeAt: customValidations.futureDate,
+    reason: Joi.string().max(500)
+  }),
+
+  // Propuesta de reprogramación
+  rescheduleProposal: Joi.object({
+    options: Joi.array().items(Joi.object({
+      preferredDate: customValidations.futureDate.required(),
+      preferredTime: customValidations.timeFormat.required()
+    })).min(1).max(RESCHEDULE_CONFIG.maxOptions).required(),
+    reason: Joi.string().trim().max(500).required(),
+    expiresInHours: Joi.number().integer()
+      .min(RESCHEDULE_CONFIG.minExpirationHours)
+      .max(RESCHEDULE_CONFIG.maxExpirationHours)
+  }),
+
+  // Aceptar una opción de reprogramación
+  rescheduleAccept: Joi.object({
+    optionId: customValidations.objectId.required()
+  }),
+
+  // Rechazar una propuesta de reprogramación
+  rescheduleReject: Joi.object({
+    reason: Joi.string().trim().max(500)
+  }),
+
+  // Posición del profesional (seguimiento por REST)
+  trackingLocation: Joi.object({
+    coordinates: customValidations.coordinates.required(),
+    accuracy: Joi.number().min(0),
+    heading: Joi.number().min(0).max(360),
+    speed: Joi.number().min(0)
+  }),
+
+  // Política de cancelación del profesional (null = la de la categoría)
+  cancellationPolicy: Joi.object({
+    policy: Joi.string().valid(...Object.keys(CANCELLATION_POLICIES)).allow(null).required()
+  }),
+
+  // Reservas inmediatas del profesional (null = sin límite semanal)
+  instantBookingSettings: Joi.object({
+    autoAcceptBookings: Joi.boolean(),
+    maxInstantBookingsPerWeek: Joi.number().integer().min(1).max(INSTANT_BOOKING_CONFIG.maxPerWeekLimit).allow(null)
+  }).min(1),
+
+  // Reserva inmediata de una franja libre (date y time en la hora local del profesional)
+  instantBooking: Joi.object({
+    professionalId: customValidations.objectId.required(),
+    serviceId: customValidations.objectId.required(),
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().messages({
+      'string.pattern.base': 'La fecha debe tener formato YYYY-MM-DD'
+    }),
+    time: customValidations.timeFormat.required(),
+    location: Joi.object({
+      address: Joi.object({
+        street: Joi.string().required(),
+        city: Joi.string().required(),
+        state: Joi.string().required(),
+        zipCode: Joi.string().required(),
+        country: Joi.string(),
+        fullAddress: Joi.string().required()
+      }).required(),
+      coordinates: customValidations.coordinates.required(),
+      instructions: Joi.string().max(500)
+    }).required(),
+    description: Joi.string().max(1000),
+    paymentMethodId: Joi.string().required()
+  }),
+
+  // Re-reserva de un servicio completado con el mismo profesional
+  rebook: Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().messages({
+      'string.pattern.base': 'La fecha debe tener formato YYYY-MM-DD'
+    }),
+    time: customValidations.timeFormat.required(),
+    flexibility: Joi.string().valid('strict', 'flexible', 'asap'),
+    description: Joi.string().min(10).max(1000),
+    instructions: Joi.string().max(500)
+  }),
+
+  // Evidencia de disputas (los archivos llegan aparte en 'files')
+  disputeEvidence: Joi.object(disputeEvidenceKeys),
+
+  disputeOpen: Joi.object({
+    ...disputeEvidenceKeys,
+    serviceRequestId: customValidations.objectId.required(),
+    category: Joi.string().valid(...Object.keys(DISPUTE_CATEGORIES)).required(),
+    description: Joi.string().trim().min(10).max(2000).required()
+  }),
+
+  disputeResponse: Joi.object({
+    ...disputeEvidenceKeys,
+    description: Joi.string().trim().min(10).max(2000).required()
+  }),
+
+  disputeResolution: Joi.object({
+    outcome: Joi.string().valid(...Object.keys(DISPUTE_OUTCOMES)).required(),
+    refundAmount: Joi.number().positive().when('outcome', {
+      is: 'partial_refund',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    penaltyAmount: Joi.number().positive().when('outcome', {
+      is: 'penalty',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    notes: Joi.string().trim().max(2000)
+  }),
+
+  // Acta de finalización (fotos en 'beforeImages' y 'afterImages')
+  completionSubmit: Joi.object({
+    workSummary: Joi.string().trim().min(10).max(5000).required(),
+    materialsUsed: jsonArray(Joi.array().items(Joi.object({
+      name: Joi.string().trim().max(200).required(),
+      quantity: Joi.number().positive().required(),
+      cost: Joi.number().min(0).required()
+    })).max(COMPLETION_CONFIG.maxMaterials)),
+    adjustments: jsonArray(Joi.array().items(Joi.object({
+      description: Joi.string().trim().max(300).required(),
+      amount: Joi.number().invalid(0).required() // Negativo para descuentos
+    })).max(COMPLETION_CONFIG.maxAdjustments)),
+    warrantyDays: Joi.number().integer().min(0).max(COMPLETION_CONFIG.maxWarrantyDays),
+    warrantyTerms: Joi.string().trim().max(2000)
+  }),
+
+  // Impugnación del acta: abre una disputa (evidencia en 'files')
+  completionContest: Joi.object({
+    ...disputeEvidenceKeys,
+    category: Joi.string().valid(...Object.keys(DISPUTE_CATEGORIES)).required(),
+    description: Joi.string().trim().min(10).max(2000).required()
+  }),
+
+  // Reclamo de garantía (fotos en 'photos')
+  warrantyClaimOpen: Joi.object({
+    serviceRequestId: customValidations.objectId.required(),
+    description: Joi.string().trim().min(10).max(2000).required()
+  }),
+
+  warrantyVisit: Joi.object({
+    preferredDate: customValidations.futureDate.required(),
+    preferredTime: customValidations.timeFormat.required(),
+    notes: Joi.string().trim().max(2000)
+  }),
+
+  warrantyContest: Joi.object({
+    reason: Joi.string().trim().min(10).max(2000).required()
+  }),
+
+  warrantyDecision: Joi.object({
+    decision: Joi.string().valid(...WARRANTY_DECISIONS).required(),
+    preferredDate: customValidations.futureDate.when('decision', {
+      is: 'order_visit',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    preferredTime: customValidations.timeFormat.when('decision', {
+      is: 'order_visit',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    notes: Joi.string().trim().max(2000)
+  }),
+
+  // Pesos del ranking de profesionales (admin); se normalizan al usarse
+  rankingWeights: Joi.object(RANKING_FACTORS.reduce((keys, factor) => ({
+    ...keys,
+    [factor]: Joi.number().min(0).max(RANKING_CONFIG.maxWeight)
+  }), {})).min(1),
+
+  // Consulta del estimador de precios (duration en horas)
+  priceEstimate: Joi.object({
+    category: customValidations.serviceCategory.required(),
+    subcategory: Joi.string().trim().max(100),
+    city: Joi.string().trim().max(100),
+    duration: Joi.number().min(0.25).max(PRICE_ESTIMATE_CONFIG.maxDurationHours),
+    urgency: Joi.string().valid(...Object.keys(URGENCY_PRICE_FACTORS))
+  }),
+
+  // Categoría de servicio (administración); parent es el slug de una categoría raíz
+  serviceCategory: Joi.object({
+    ...serviceCategoryKeys,
+    slug: customValidations.serviceCategory.lowercase().required(),
+    parent: customValidations.serviceCategory.lowercase(),
+    name: serviceCategoryKeys.name.required()
+  }),
+
+  serviceCategoryUpdate: Joi.object(serviceCategoryKeys).min(1),
+
+  // Búsqueda guardada de un cliente (el radio requiere coordenadas)
+  savedSearch: Joi.object({
+    ...savedSearchKeys,
+    name: savedSearchKeys.name.required(),
+    category: savedSearchKeys.category.required(),
+    alertsEnabled: Joi.boolean().default(true)
+  }).with('radiusKm', 'coordinates'),
+
+  savedSearchUpdate: Joi.object({
+    ...savedSearchKeys,
+    alertsEnabled: Joi.boolean()
+  }).min(1),
+
+  // Orden de cambio (fotos de cada ítem en 'photos_<índice>')
+  changeOrderCreate: Joi.object({
+    items: jsonArray(Joi.array().items(Joi.object({
+      description: Joi.string().trim().min(3).max(300).required(),
+      amount: Joi.number().positive().required()
+    })).min(1).max(CHANGE_ORDER_CONFIG.maxItemsPerOrder)).required(),
+    notes: Joi.string().trim().max(1000)
+  }),
+
+  changeOrderDecision: Joi.object({
+    decisions: changeOrderDecisions.required()
+  }),
+
+  // Decisión enviada desde el chat (evento de socket change_order_decision)
+  chatChangeOrderDecision: Joi.object({
     serviceRequestId: customValidations.objectId.required(),
+    changeOrderId: customValidations.objectId.required(),
+    decisions: changeOrderDecisions.required()
+  }),
+
+  // Calendario externo (URL o archivo .ics subido como 'file')
+  calendarImport: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    url: Joi.string().uri({ scheme: ['http', 'https', 'webcal'] })
+  }),
+
+  // Cotización (la solicitud va en la URL)
+  quote: Joi.object({
+    ...quoteOfferKeys,
     price: customValidations.price.required(),
-    currency: customValidations.currency.required(),
-    estimatedDuration: customValidations.duration.required(),
-    description: Joi.string().max(500).required(),
-    materials: Joi.array().items(
-      Joi.object({
-        name: Joi.string().required(),
-        quantity: Joi.number().positive().required(),
-        unitPrice: customValidations.price.required(),
-        total: customValidations.price.required()
-      })
-    ),
-    validUntil: customValidations.futureDate.required(),
-    terms: Joi.string().max(1000)
+    description: Joi.string().trim().min(10).max(2000).required(),
+    draft: Joi.boolean().default(false)
+  }).and('availableDate', 'availableTime'),
+
+  // Edición de un borrador o revisión de la cotización (nueva versión)
+  quoteRevision: Joi.object({
+    ...quoteOfferKeys,
+    message: Joi.string().trim().max(1000)
+  }).or(...Object.keys(quoteOfferKeys)).and('availableDate', 'availableTime'),
+
+  // Contraoferta del cliente sobre el precio o la fecha
+  quoteCounter: Joi.object({
+    price: customValidations.price,
+    availableDate: customValidations.futureDate,
+    availableTime: customValidations.timeFormat,
+    message: Joi.string().trim().max(1000)
+  }).or('price', 'availableDate').and('availableDate', 'availableTime'),
+
+  // Comparación de cotizaciones (query): pesos por criterio y orden
+  quoteComparison: Joi.object({
+    ...Object.keys(QUOTE_COMPARISON_CRITERIA).reduce((keys, criterion) => ({
+      ...keys,
+      [`${criterion}Weight`]: Joi.number().min(0).max(10)
+    }), {}),
+    sortBy: Joi.string().valid('score', ...Object.keys(QUOTE_COMPARISON_CRITERIA)).default('score')
+  }),
+
+  // Rechazo (cliente) o retiro (profesional)
+  quoteReason: Joi.object({
+    reason: Joi.string().trim().max(500)
+  }),
+
+  // Ventana de cotizaciones de una solicitud
+  biddingWindow: Joi.object({
+    durationHours: Joi.number().valid(...BIDDING_CONFIG.durationsHours).default(BIDDING_CONFIG.defaultDurationHours),
+    maxQuotes: Joi.number().integer().min(1).max(BIDDING_CONFIG.maxQuotesLimit).default(BIDDING_CONFIG.defaultMaxQuotes),
+    mode: Joi.string().valid(...BIDDING_MODES).default('sealed')
   }),
 
   // Reseña